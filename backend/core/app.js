@@ -119,7 +119,14 @@ class CoreApplication {
       require('./billing/routes/stripe.routes')
     );
     
-    this.app.use(express.json());
+    // Keep the raw bytes for provider webhooks so their signatures can be verified
+    this.app.use(express.json({
+      verify: (req, res, buf) => {
+        if ((req.originalUrl || req.url || '').includes('/webhook/')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true }));
     this.app.use(cookieParser()); // Parse cookies
     
@@ -39,6 +39,31 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 
+// Endpoints that carry their own verification instead of a JWT (provider
+// and scheduler callbacks, signed links). Matched against the full mounted path
+// (baseUrl + path) so the same check holds globally and inside a router,
+// and no other path can borrow the skip.
+const SELF_VERIFIED_PATHS = [
+  /^\/api\/voice-agent\/webhook\/vapi\/?$/, // Verified by signature in the voice-agent feature
+  /^\/api\/voice-agent\/storage\/objects\/[^/]+\/?$/, // HMAC-signed, expiring object link
+  /^\/api\/voice-agent\/scheduled-calls\/fire\/?$/ // Cloud Tasks callback, X-Voice-Scheduler-Secret
+];
+
+/**
+ * Verify an access token with the app's JWT secret. Shared by the HTTP
+ * middlewares and socket handshakes so every entry point accepts the same tokens.
+ * @returns {Object} decoded token payload
+ * @throws {Error} jsonwebtoken error when the token is invalid or expired
+ */
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+};
+
+const isSelfVerified = (req) => {
+  const fullPath = `${req.baseUrl || ''}${req.path || ''}`;
+  return SELF_VERIFIED_PATHS.some(pattern => pattern.test(fullPath));
+};
+
 const authenticateToken = (req, res, next) => {
   // Skip auth for OPTIONS requests (CORS preflight)
   if (req.method === 'OPTIONS') {
@@ -59,6 +84,12 @@ const authenticateToken = (req, res, next) => {
     return next();
   }
 
+  // Skip auth for callbacks and signed links (verified by the voice-agent feature)
+  if (isSelfVerified(req)) {
+    logger.debug(`[Auth] Skipping auth for self-verified endpoint: ${req.path}`);
+    return next();
+  }
+
   // Skip auth for service-to-service calls with x-tenant-id header
   // These are internal API calls from campaign processor, scheduled tasks, etc.
   const tenantIdHeader = req.headers['x-tenant-id'];
@@ -122,8 +153,7 @@ const authenticateToken = (req, res, next) => {
   }
 
   try {
-    const jwtSecret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-    const decoded = jwt.verify(token, jwtSecret);
+    const decoded = verifyAccessToken(token);
     req.user = decoded;
     logger.debug(`Auth success for ${req.method} ${req.path}`, { 
       userId: decoded.userId, 
@@ -198,7 +228,7 @@ const authenticateSSE = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    const decoded = verifyAccessToken(token);
     req.user = decoded;
     logger.debug(`[SSE Auth] Success for ${req.method} ${req.path}`, { 
       userId: decoded.userId, 
@@ -219,4 +249,4 @@ const authenticateSSE = (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken, authenticateSSE };
\ No newline at end of file
+module.exports = { authenticateToken, authenticateSSE, verifyAccessToken };
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * Batch Status Constants
+ *
+ * Statuses stored in voice_call_batches.status and
+ * voice_call_batch_entries.status for natively dispatched batches
+ */
+
+const BATCH_STATUS = {
+  DRAFT: 'draft', // Imported from a lead file, waiting to be reviewed and launched
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// The worker only dials entries of these batches
+const DISPATCHABLE_BATCH_STATUSES = [BATCH_STATUS.RUNNING];
+
+const BATCH_ENTRY_STATUS = {
+  PENDING: 'pending',
+  DISPATCHING: 'dispatching',
+  DISPATCHED: 'dispatched',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  SKIPPED: 'skipped' // Never dialed, see skip_reason (e.g. Do-Not-Call)
+};
+
+// Entries holding a concurrency slot
+const IN_FLIGHT_ENTRY_STATUSES = [
+  BATCH_ENTRY_STATUS.DISPATCHING,
+  BATCH_ENTRY_STATUS.DISPATCHED
+];
+
+const BATCH_DISPATCH_MODES = {
+  NATIVE: 'native',
+  EXTERNAL: 'external'
+};
+
+module.exports = {
+  BATCH_STATUS,
+  DISPATCHABLE_BATCH_STATUSES,
+  BATCH_ENTRY_STATUS,
+  IN_FLIGHT_ENTRY_STATUSES,
+  BATCH_DISPATCH_MODES
+};
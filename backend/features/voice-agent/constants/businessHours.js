@@ -0,0 +1,34 @@
+/**
+ * Business Hours Constants
+ *
+ * Hours in which outbound calls may be placed. `timezone` is either an IANA
+ * zone or LEAD_TIMEZONE, meaning the hours are evaluated in the lead's local
+ * time (from lead data or the number's country code), falling back to
+ * `fallback_timezone` when neither resolves.
+ */
+
+const LEAD_TIMEZONE = 'lead';
+
+// Applies to tenants that have not stored their own business hours
+const DEFAULT_BUSINESS_HOURS = {
+  enabled: true,
+  days: [1, 2, 3, 4, 5], // Monday-Friday
+  start: '08:00',
+  end: '22:00',
+  timezone: LEAD_TIMEZONE,
+  fallback_timezone: 'Asia/Dubai'
+};
+
+// Where the lead's timezone came from
+const TIMEZONE_SOURCES = {
+  FIXED: 'business_hours',
+  LEAD: 'lead',
+  PHONE: 'phone_number',
+  FALLBACK: 'fallback'
+};
+
+module.exports = {
+  LEAD_TIMEZONE,
+  DEFAULT_BUSINESS_HOURS,
+  TIMEZONE_SOURCES
+};
@@ -0,0 +1,31 @@
+/**
+ * Call Monitor Constants
+ *
+ * Socket.IO channel supervisors use to follow calls in progress (see
+ * CallMonitorService). Clients connect to CALL_MONITOR_NAMESPACE with their
+ * access token (handshake auth.token) and join calls with MONITOR_JOIN.
+ */
+
+const { CALL_EVENT_TYPES } = require('./callStatus');
+
+const CALL_MONITOR_NAMESPACE = '/voice-monitor';
+
+const CALL_MONITOR_EVENTS = {
+  // client -> server (with an acknowledgement callback)
+  JOIN: 'monitor:join', // { call_log_id, audio? } -> { success, data: { call, transcript, audio } }
+  LEAVE: 'monitor:leave', // { call_log_id }
+  // server -> client
+  EVENT: 'monitor:event', // call timeline event (transcript turns, speech, status, live controls)
+  AUDIO: 'monitor:audio', // { call_log_id, chunk } binary audio frame
+  AUDIO_STOPPED: 'monitor:audio_stopped', // { call_log_id, reason }
+  ENDED: 'monitor:ended' // { call_log_id, status }
+};
+
+// Timeline events that end a call; listeners are released when one arrives
+const CALL_MONITOR_END_EVENTS = [CALL_EVENT_TYPES.CALL_ENDED, CALL_EVENT_TYPES.CALL_FAILED];
+
+module.exports = {
+  CALL_MONITOR_NAMESPACE,
+  CALL_MONITOR_EVENTS,
+  CALL_MONITOR_END_EVENTS
+};
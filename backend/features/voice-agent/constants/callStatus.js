@@ -0,0 +1,83 @@
+/**
+ * Call Status Constants
+ *
+ * Statuses stored in voice_call_logs.status and the mapping from
+ * VAPI status-update values onto them
+ */
+
+const CALL_STATUS = {
+  QUEUED: 'queued',
+  PENDING: 'pending',
+  CALLING: 'calling',
+  RINGING: 'ringing',
+  IN_PROGRESS: 'in_progress',
+  ONGOING: 'ongoing',
+  FORWARDING: 'forwarding',
+  ENDED: 'ended',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  DECLINED: 'declined'
+};
+
+// voice_call_logs.direction
+const CALL_DIRECTIONS = {
+  OUTBOUND: 'outbound',
+  INBOUND: 'inbound'
+};
+
+// Once a call reaches one of these, progress updates must not overwrite it
+const TERMINAL_CALL_STATUSES = [
+  CALL_STATUS.ENDED,
+  CALL_STATUS.COMPLETED,
+  CALL_STATUS.FAILED,
+  CALL_STATUS.CANCELLED,
+  CALL_STATUS.DECLINED
+];
+
+// Statuses counted as "ongoing" in call stats
+const ACTIVE_CALL_STATUSES = [
+  CALL_STATUS.CALLING,
+  CALL_STATUS.RINGING,
+  CALL_STATUS.ONGOING,
+  CALL_STATUS.IN_PROGRESS,
+  CALL_STATUS.FORWARDING
+];
+
+// VAPI status-update `status` -> voice_call_logs.status
+// `ended` is intentionally absent: the end-of-call-report owns the final status and billing
+const VAPI_STATUS_MAP = {
+  queued: CALL_STATUS.QUEUED,
+  ringing: CALL_STATUS.RINGING,
+  'in-progress': CALL_STATUS.IN_PROGRESS,
+  forwarding: CALL_STATUS.FORWARDING
+};
+
+// voice_call_events.event_type values
+const CALL_EVENT_TYPES = {
+  CALL_STARTED: 'call_started',
+  STATUS_UPDATE: 'status_update',
+  TRANSCRIPT: 'transcript',
+  SPEECH_UPDATE: 'speech_update',
+  TOOL_CALLS: 'tool_calls',
+  HANG: 'hang',
+  CALL_ENDED: 'call_ended',
+  CALL_FAILED: 'call_failed',
+  // Live controls sent by a user (LiveCallControlService)
+  TRANSFER: 'transfer',
+  MESSAGE_INJECTED: 'message_injected',
+  TAKEOVER: 'takeover',
+  // Classified after the call or set by a rep (CallDispositionService)
+  DISPOSITION: 'disposition',
+  // Answering-machine detection and the agent's voicemail action
+  VOICEMAIL: 'voicemail'
+};
+
+module.exports = {
+  CALL_STATUS,
+  CALL_DIRECTIONS,
+  TERMINAL_CALL_STATUSES,
+  ACTIVE_CALL_STATUSES,
+  VAPI_STATUS_MAP,
+  CALL_EVENT_TYPES
+};
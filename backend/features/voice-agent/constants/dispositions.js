@@ -0,0 +1,97 @@
+/**
+ * Call Disposition Constants
+ *
+ * What happened on a call (voice_call_logs.disposition), as opposed to
+ * whether it ended (status). Classified after each call by
+ * CallDispositionService; reps can override the classification.
+ */
+
+const CALL_DISPOSITIONS = {
+  INTERESTED: 'interested',
+  CALLBACK_REQUESTED: 'callback_requested',
+  NOT_INTERESTED: 'not_interested',
+  WRONG_NUMBER: 'wrong_number',
+  VOICEMAIL: 'voicemail',
+  DNC_REQUEST: 'dnc_request'
+};
+
+// Filter / stats key for calls without a disposition (not stored)
+const UNCLASSIFIED_DISPOSITION = 'unclassified';
+
+// voice_call_logs.disposition_source
+const DISPOSITION_SOURCES = {
+  AUTO: 'auto',
+  REP: 'rep'
+};
+
+// What an automatic classification was based on, strongest first
+const DISPOSITION_SIGNALS = {
+  ENDED_REASON: 'ended_reason',
+  SPOKEN_OPT_OUT: 'spoken_opt_out',
+  PROVIDER_ANALYSIS: 'provider_analysis',
+  TRANSCRIPT: 'transcript',
+  SUCCESS_EVALUATION: 'success_evaluation'
+};
+
+// Lead phrases per disposition, tried in this order (so "not interested"
+// wins over "interested")
+const DISPOSITION_PATTERNS = [
+  [CALL_DISPOSITIONS.WRONG_NUMBER, [
+    /\bwrong (number|person)\b/i,
+    /\b(no one|nobody|no-one) (here )?(by|with|called) (that|this) name\b/i,
+    /\b(there is|there's) no \w+ (here|at this number)\b/i
+  ]],
+  [CALL_DISPOSITIONS.CALLBACK_REQUESTED, [
+    /\b(call|ring|phone|try) (me |us )?(back|again)\b/i,
+    /\b(call|ring|phone|try) (me|us) (later|tomorrow|next week|in an? (hour|few))\b/i,
+    /\b(not a good|bad) time\b/i,
+    /\b(busy|driving|in a meeting) (right )?now\b/i
+  ]],
+  [CALL_DISPOSITIONS.NOT_INTERESTED, [
+    /\bnot interested\b/i,
+    /\b(no|not) (thanks|thank you)\b/i,
+    /\b(don'?t|do not) (need|want) (it|this|that|any)\b/i,
+    /\balready (have|use|got) (one|a provider|someone)\b/i
+  ]],
+  [CALL_DISPOSITIONS.INTERESTED, [
+    /\b(i am|i'm|we are|we're|sounds|very) interested\b/i,
+    /\b(tell|send) me (more|the details|some information|an email)\b/i,
+    /\b(sign|count) (me|us) up\b/i,
+    /\b(book|schedule|set up) (a|the) (demo|meeting|call|appointment)\b/i,
+    /\bsounds (good|great|interesting)\b/i
+  ]]
+];
+
+// Provider / analysis wording -> disposition (compared lowercased, spaces and dashes as _)
+const DISPOSITION_ALIASES = {
+  interested: CALL_DISPOSITIONS.INTERESTED,
+  hot: CALL_DISPOSITIONS.INTERESTED,
+  qualified: CALL_DISPOSITIONS.INTERESTED,
+  meeting_booked: CALL_DISPOSITIONS.INTERESTED,
+  callback: CALL_DISPOSITIONS.CALLBACK_REQUESTED,
+  call_back: CALL_DISPOSITIONS.CALLBACK_REQUESTED,
+  callback_requested: CALL_DISPOSITIONS.CALLBACK_REQUESTED,
+  follow_up: CALL_DISPOSITIONS.CALLBACK_REQUESTED,
+  not_interested: CALL_DISPOSITIONS.NOT_INTERESTED,
+  rejected: CALL_DISPOSITIONS.NOT_INTERESTED,
+  wrong_number: CALL_DISPOSITIONS.WRONG_NUMBER,
+  voicemail: CALL_DISPOSITIONS.VOICEMAIL,
+  voice_mail: CALL_DISPOSITIONS.VOICEMAIL,
+  answering_machine: CALL_DISPOSITIONS.VOICEMAIL,
+  dnc: CALL_DISPOSITIONS.DNC_REQUEST,
+  do_not_call: CALL_DISPOSITIONS.DNC_REQUEST,
+  dnc_request: CALL_DISPOSITIONS.DNC_REQUEST,
+  opt_out: CALL_DISPOSITIONS.DNC_REQUEST
+};
+
+const MAX_DISPOSITION_NOTE_LENGTH = 1000;
+
+module.exports = {
+  CALL_DISPOSITIONS,
+  UNCLASSIFIED_DISPOSITION,
+  DISPOSITION_SOURCES,
+  DISPOSITION_SIGNALS,
+  DISPOSITION_PATTERNS,
+  DISPOSITION_ALIASES,
+  MAX_DISPOSITION_NOTE_LENGTH
+};
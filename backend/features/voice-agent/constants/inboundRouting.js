@@ -0,0 +1,39 @@
+/**
+ * Inbound Routing Constants
+ *
+ * How incoming calls on a tenant number (voice_agent_numbers.inbound_routing)
+ * are given to a voice agent. Rules are tried in order; a rule without
+ * business_hours always applies. When no rule applies the call goes to
+ * fallback_agent_id, else the number's default agent - unless
+ * reject_when_closed is set, in which case the caller hears closed_message.
+ */
+
+// Applies to numbers without stored routing: every call goes to the default agent
+const DEFAULT_INBOUND_ROUTING = {
+  enabled: true,
+  rules: [],
+  reject_when_closed: false,
+  fallback_agent_id: null,
+  closed_message: null
+};
+
+// Spoken when a call is not taken and the number sets no closed_message
+const DEFAULT_CLOSED_MESSAGE = 'Sorry, we are not able to take your call right now. Please try again later.';
+
+// Why an inbound call was routed the way it was (stored on the call log)
+const INBOUND_ROUTE_REASONS = {
+  RULE: 'rule',
+  FALLBACK: 'fallback',
+  DEFAULT_AGENT: 'default_agent',
+  CLOSED: 'closed',
+  DISABLED: 'disabled',
+  NO_AGENT: 'no_agent',
+  PROVIDER_ASSISTANT: 'provider_assistant',
+  UNKNOWN_NUMBER: 'unknown_number'
+};
+
+module.exports = {
+  DEFAULT_INBOUND_ROUTING,
+  DEFAULT_CLOSED_MESSAGE,
+  INBOUND_ROUTE_REASONS
+};
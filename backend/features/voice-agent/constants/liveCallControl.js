@@ -0,0 +1,43 @@
+/**
+ * Live Call Control Constants
+ *
+ * Commands a supervisor can send to an in-progress call (see
+ * LiveCallControlService). Commands are provider neutral; each provider
+ * adapter translates them in controlCall.
+ */
+
+// command.action values accepted by TelephonyProvider.controlCall
+const LIVE_CONTROL_ACTIONS = {
+  TRANSFER: 'transfer',
+  INJECT: 'inject',
+  SAY: 'say',
+  MUTE: 'mute',
+  UNMUTE: 'unmute'
+};
+
+// cold: the caller is connected straight away; warm: the agent briefs the
+// human first (with the given message, else a summary of the call)
+const TRANSFER_MODES = {
+  COLD: 'cold',
+  WARM: 'warm'
+};
+
+// take: the AI agent stops talking so a human listening in can speak;
+// release: the AI agent resumes
+const TAKEOVER_ACTIONS = {
+  TAKE: 'take',
+  RELEASE: 'release'
+};
+
+// Roles an injected instruction can be added to the conversation as
+const INJECT_ROLES = ['system', 'user', 'assistant'];
+
+const MAX_INJECT_LENGTH = 4000;
+
+module.exports = {
+  LIVE_CONTROL_ACTIONS,
+  TRANSFER_MODES,
+  TAKEOVER_ACTIONS,
+  INJECT_ROLES,
+  MAX_INJECT_LENGTH
+};
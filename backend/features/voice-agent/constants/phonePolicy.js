@@ -0,0 +1,42 @@
+/**
+ * Phone Policy Constants
+ *
+ * Per-tenant rules for destination numbers: the country national numbers
+ * belong to, and the countries and number types that are never dialed.
+ */
+
+// Number types reported by libphonenumber, as stored in policies and checks
+const PHONE_NUMBER_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'fixed_line',
+  FIXED_LINE_OR_MOBILE: 'fixed_line_or_mobile',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  VOIP: 'voip',
+  PERSONAL_NUMBER: 'personal_number',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail',
+  UNKNOWN: 'unknown'
+};
+
+// Applies to tenants that have not stored their own policy. default_country
+// null falls back to VOICE_PHONE_DEFAULT_COUNTRY.
+const DEFAULT_PHONE_POLICY = {
+  default_country: null,
+  blocked_countries: [],
+  blocked_number_types: [PHONE_NUMBER_TYPES.PREMIUM_RATE]
+};
+
+// Why a valid number may not be dialed
+const PHONE_POLICY_ERRORS = {
+  BLOCKED_COUNTRY: 'BLOCKED_COUNTRY',
+  BLOCKED_NUMBER_TYPE: 'BLOCKED_NUMBER_TYPE'
+};
+
+module.exports = {
+  PHONE_NUMBER_TYPES,
+  DEFAULT_PHONE_POLICY,
+  PHONE_POLICY_ERRORS
+};
@@ -0,0 +1,38 @@
+/**
+ * Recording Policy Constants
+ *
+ * Per-tenant rules for recording calls, playing a recording consent
+ * disclosure (both overridable per destination calling code) and how long
+ * recordings and transcripts are kept.
+ */
+
+// Applies to tenants that have not stored their own policy: record, no
+// disclosure, keep everything
+const DEFAULT_RECORDING_POLICY = {
+  record_calls: true,
+  consent_disclosure: false,
+  disclosure_message: 'This call may be recorded for quality and training purposes.',
+  countries: {},
+  recording_retention_days: null,
+  transcript_retention_days: null
+};
+
+// What a retention purge removed (voice_retention_deletions.artifact_type)
+const RETENTION_ARTIFACTS = {
+  RECORDING: 'recording',
+  TRANSCRIPT: 'transcript',
+  ANALYSIS: 'analysis' // Transcript-derived summary, key points and sentiment (voice_call_analysis)
+};
+
+// Outcome of a purge (voice_retention_deletions.status)
+const RETENTION_DELETION_STATUS = {
+  DELETED: 'deleted',   // Data removed (recording object deleted from storage)
+  UNLINKED: 'unlinked', // Recording hosted by the provider: only our reference was removed
+  FAILED: 'failed'
+};
+
+module.exports = {
+  DEFAULT_RECORDING_POLICY,
+  RETENTION_ARTIFACTS,
+  RETENTION_DELETION_STATUS
+};
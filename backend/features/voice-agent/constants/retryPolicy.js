@@ -0,0 +1,50 @@
+/**
+ * Retry Policy Constants
+ *
+ * Call outcomes an automatic retry can be configured for, the mapping from
+ * provider endedReason values onto them, and policy defaults
+ */
+
+const CALL_OUTCOMES = {
+  NO_ANSWER: 'no-answer',
+  BUSY: 'busy',
+  FAILED: 'failed',
+  VOICEMAIL: 'voicemail'
+};
+
+// VAPI endedReason -> outcome; reasons not listed are not retryable
+// (other *failed* / *error* reasons are classified in CallRetryService)
+const ENDED_REASON_OUTCOMES = {
+  'customer-did-not-answer': CALL_OUTCOMES.NO_ANSWER,
+  'no-answer': CALL_OUTCOMES.NO_ANSWER,
+  'customer-busy': CALL_OUTCOMES.BUSY,
+  busy: CALL_OUTCOMES.BUSY,
+  voicemail: CALL_OUTCOMES.VOICEMAIL,
+  'failed-to-connect': CALL_OUTCOMES.FAILED,
+  'customer-did-not-give-microphone-permission': CALL_OUTCOMES.FAILED
+};
+
+const DEFAULT_RETRY_POLICY = {
+  max_attempts: 3,
+  min_spacing_minutes: 60,
+  retry_on: [CALL_OUTCOMES.NO_ANSWER, CALL_OUTCOMES.BUSY, CALL_OUTCOMES.FAILED],
+  windows: []
+};
+
+const MAX_RETRY_ATTEMPTS = 10;
+
+const RETRY_STATUS = {
+  PENDING: 'pending',
+  DISPATCHING: 'dispatching',
+  DISPATCHED: 'dispatched',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+module.exports = {
+  CALL_OUTCOMES,
+  ENDED_REASON_OUTCOMES,
+  DEFAULT_RETRY_POLICY,
+  MAX_RETRY_ATTEMPTS,
+  RETRY_STATUS
+};
@@ -0,0 +1,17 @@
+/**
+ * Scheduled Call Status Constants
+ *
+ * Statuses stored in voice_scheduled_calls.status
+ */
+
+const SCHEDULED_CALL_STATUS = {
+  PENDING: 'pending',
+  DISPATCHING: 'dispatching',
+  DISPATCHED: 'dispatched',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+module.exports = {
+  SCHEDULED_CALL_STATUS
+};
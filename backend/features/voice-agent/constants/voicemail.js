@@ -0,0 +1,48 @@
+/**
+ * Voicemail Constants
+ *
+ * Per-agent policy for calls answered by voicemail (voice_agents.voicemail_policy)
+ * and the answering-machine detection result stored on the call log.
+ */
+
+// What the agent does when the provider detects voicemail
+const VOICEMAIL_ACTIONS = {
+  HANGUP: 'hangup',
+  DROP_MESSAGE: 'drop_message',
+  RETRY_LATER: 'retry_later'
+};
+
+// How a drop message is played: spoken by the agent's voice, or a recorded audio file
+const VOICEMAIL_MESSAGE_TYPES = {
+  TTS: 'tts',
+  AUDIO: 'audio'
+};
+
+// voice_call_logs.answered_by
+const ANSWERED_BY = {
+  HUMAN: 'human',
+  MACHINE: 'machine',
+  UNKNOWN: 'unknown'
+};
+
+// Agents without a policy hang up on voicemail
+const DEFAULT_VOICEMAIL_POLICY = {
+  detection: true,
+  action: VOICEMAIL_ACTIONS.HANGUP,
+  message_type: VOICEMAIL_MESSAGE_TYPES.TTS,
+  message: null,
+  audio_url: null,
+  retry_after_minutes: 120
+};
+
+const MAX_VOICEMAIL_MESSAGE_LENGTH = 1000;
+const MAX_RETRY_AFTER_MINUTES = 7 * 24 * 60;
+
+module.exports = {
+  VOICEMAIL_ACTIONS,
+  VOICEMAIL_MESSAGE_TYPES,
+  ANSWERED_BY,
+  DEFAULT_VOICEMAIL_POLICY,
+  MAX_VOICEMAIL_MESSAGE_LENGTH,
+  MAX_RETRY_AFTER_MINUTES
+};
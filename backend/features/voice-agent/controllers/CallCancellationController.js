@@ -2,14 +2,14 @@
  * Call Cancellation Controller
  * 1.0
  * Unified endpoint for cancelling single calls and batches
- * Forwards requests to external voice agent service (BASE_URL)
+ * Forwards requests to the default telephony provider (external voice service at BASE_URL)
  * 
  * Endpoints:
  * - POST /calls/cancel - Cancel single call or batch (auto-detects type)
  * - GET /calls/status/:resource_id - Get status of call or batch
  */
 
-const axios = require('axios');
+const { getProviderRegistry } = require('../services/providers');
 let logger;
 try {
   logger = require('../../../core/utils/logger');
@@ -21,29 +21,7 @@ try {
 class CallCancellationController {
   constructor(db) {
     this.db = db;
-  }
-
-  /**
-   * Get external service configuration from environment
-   * @returns {Object} Configuration object with baseUrl, headers
-   */
-  _getExternalServiceConfig() {
-    const baseUrl = process.env.BASE_URL;
-    const frontendId = process.env.BASE_URL_FRONTEND_HEADER || 'settings';
-    const apiKey = process.env.BASE_URL_FRONTEND_APIKEY || '';
-
-    if (!baseUrl) {
-      throw new Error('BASE_URL is not configured for call cancellation');
-    }
-
-    return {
-      baseUrl,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Frontend-ID': frontendId,
-        'X-API-Key': apiKey
-      }
-    };
+    this.providerRegistry = getProviderRegistry();
   }
 
   /**
@@ -127,67 +105,40 @@ class CallCancellationController {
         }
       }
 
-      // Get external service configuration
-      const { baseUrl, headers } = this._getExternalServiceConfig();
+      const provider = this.providerRegistry.getDefault();
 
-      // Forward to external cancellation endpoint
-      const payload = {
-        resource_id: resource_id,
-        force: force === true
-      };
-
-      logger.info('[CallCancellationController] Forwarding to external service', {
-        url: `${baseUrl}/calls/cancel`,
+      logger.info('[CallCancellationController] Forwarding to provider', {
+        provider: provider.key,
         resourceCount: resourceIds.length
       });
 
-      const response = await axios.post(`${baseUrl}/calls/cancel`, payload, { headers });
+      const result = await provider.cancelCalls(resource_id, {
+        force: force === true,
+        frontendId: 'settings'
+      });
+
+      if (!result.success) {
+        return this._sendProviderError(res, result, 'Failed to cancel calls', 'Call cancellation service not configured');
+      }
 
-      logger.info('[CallCancellationController] External service response', {
-        status: response.status,
-        totalCancelled: response.data?.total_cancelled
+      logger.info('[CallCancellationController] Provider response', {
+        totalCancelled: result.data?.total_cancelled
       });
 
       return res.json({
         success: true,
-        ...response.data
+        ...result.data
       });
 
     } catch (error) {
       logger.error('[CallCancellationController] Cancel calls failed', {
-        error: error.message,
-        response: error.response?.data,
-        status: error.response?.status
+        error: error.message
       });
 
-      // Handle specific error cases
-      if (error.message.includes('BASE_URL is not configured')) {
-        return res.status(500).json({
-          success: false,
-          error: 'Call cancellation service not configured'
-        });
-      }
-
-      if (error.response?.status === 401 || error.response?.status === 403) {
-        return res.status(502).json({
-          success: false,
-          error: 'External service authentication failed',
-          message: error.response?.data?.message || 'Authentication error'
-        });
-      }
-
-      if (error.response?.status === 503) {
-        return res.status(503).json({
-          success: false,
-          error: 'Database temporarily unavailable',
-          message: 'Please retry the request'
-        });
-      }
-
-      return res.status(500).json({
+      return res.status(error.status || 500).json({
         success: false,
         error: 'Failed to cancel calls',
-        message: error.response?.data?.message || error.message
+        message: error.message
       });
     }
   }
@@ -220,63 +171,77 @@ class CallCancellationController {
       // Detect resource type for logging
       const resourceType = this._detectResourceType(resource_id);
 
-      // Get external service configuration
-      const { baseUrl, headers } = this._getExternalServiceConfig();
+      const provider = this.providerRegistry.getDefault();
 
-      logger.info('[CallCancellationController] Forwarding status request to external service', {
-        url: `${baseUrl}/calls/status/${resource_id}`,
+      logger.info('[CallCancellationController] Forwarding status request to provider', {
+        provider: provider.key,
         resourceType
       });
 
-      const response = await axios.get(`${baseUrl}/calls/status/${resource_id}`, { headers });
+      const result = await provider.getCallStatus(resource_id, { frontendId: 'settings' });
 
-      logger.info('[CallCancellationController] External service status response', {
-        status: response.status,
-        hasData: !!response.data
-      });
+      if (!result.success) {
+        if (result.httpStatus === 404) {
+          return res.status(404).json({
+            success: false,
+            error: 'Resource not found',
+            resource_id
+          });
+        }
+        return this._sendProviderError(res, result, 'Failed to get call status', 'Call status service not configured');
+      }
 
       return res.json({
         success: true,
-        ...response.data
+        ...result.data
       });
 
     } catch (error) {
       logger.error('[CallCancellationController] Get call status failed', {
         error: error.message,
-        response: error.response?.data,
-        status: error.response?.status,
         resourceId: req.params.resource_id
       });
 
-      // Handle specific error cases
-      if (error.message.includes('BASE_URL is not configured')) {
-        return res.status(500).json({
-          success: false,
-          error: 'Call status service not configured'
-        });
-      }
+      return res.status(error.status || 500).json({
+        success: false,
+        error: 'Failed to get call status',
+        message: error.message
+      });
+    }
+  }
 
-      if (error.response?.status === 404) {
-        return res.status(404).json({
-          success: false,
-          error: 'Resource not found',
-          resource_id: req.params.resource_id
-        });
-      }
+  /**
+   * Map a failed provider result onto the HTTP response
+   */
+  _sendProviderError(res, result, fallbackError, notConfiguredError) {
+    if (result.notConfigured) {
+      return res.status(500).json({
+        success: false,
+        error: notConfiguredError
+      });
+    }
 
-      if (error.response?.status === 401 || error.response?.status === 403) {
-        return res.status(502).json({
-          success: false,
-          error: 'External service authentication failed'
-        });
-      }
+    if (result.httpStatus === 401 || result.httpStatus === 403) {
+      return res.status(502).json({
+        success: false,
+        error: 'External service authentication failed',
+        message: result.error || 'Authentication error'
+      });
+    }
 
-      return res.status(500).json({
+    if (result.httpStatus === 503) {
+      return res.status(503).json({
         success: false,
-        error: 'Failed to get call status',
-        message: error.response?.data?.message || error.message
+        error: 'Database temporarily unavailable',
+        message: 'Please retry the request'
       });
     }
+
+    return res.status(500).json({
+      success: false,
+      error: fallbackError,
+      message: result.error
+    });
   }
 }
 
@@ -7,9 +7,20 @@
 require('dotenv')
 const axios = require('axios');
 const { VoiceCallModel, PhoneResolverModel, VoiceAgentModel } = require('../models');
-const { VAPIService, CallLoggingService, RecordingService } = require('../services');
-const { getSchema } = require('../../../core/utils/schemaHelper');
+const {
+  VAPIService,
+  CallLoggingService,
+  RecordingService,
+  CallTimelineService,
+  CallTranscriptService,
+  CallRetryService,
+  PhonePolicyService,
+  CallDispositionService
+} = require('../services');
+const { CALL_DISPOSITIONS, UNCLASSIFIED_DISPOSITION } = require('../constants/dispositions');
+const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
 const { deductCredits } = require('../../../shared/middleware/credit_guard');
+const { sendObjectStream, sendRangeNotSatisfiable } = require('./objectStreamResponse');
 let logger;
 try {
   logger = require('../../../core/utils/logger');
@@ -26,6 +37,33 @@ class CallController {
     this.vapiService = new VAPIService();
     this.callLoggingService = new CallLoggingService(db);
     this.recordingService = new RecordingService();
+    this.callTimelineService = new CallTimelineService(db);
+    this.callTranscriptService = new CallTranscriptService(db);
+    this.callRetryService = new CallRetryService(db);
+    this.phonePolicyService = new PhonePolicyService(db);
+    this.callDispositionService = new CallDispositionService(db, { timelineService: this.callTimelineService });
+  }
+
+  /**
+   * Parse the disposition query filter (comma-separated, 'unclassified' for calls without one)
+   * @returns {{ dispositions?: string[], error?: string }}
+   */
+  _parseDispositionFilter(value) {
+    if (!value) return {};
+    const dispositions = String(value).split(',').map(d => d.trim()).filter(Boolean);
+    const allowed = [...Object.values(CALL_DISPOSITIONS), UNCLASSIFIED_DISPOSITION];
+    const invalid = dispositions.filter(d => !allowed.includes(d));
+    if (invalid.length > 0) {
+      return { error: `disposition must be one or more of: ${allowed.join(', ')}` };
+    }
+    return { dispositions };
+  }
+
+  /**
+   * Id of the requesting user (the JWT carries userId; id on older tokens)
+   */
+  _userId(req) {
+    return req.user?.userId || req.user?.id || null;
   }
 
   /**
@@ -112,8 +150,11 @@ class CallController {
         });
       }
 
-      // Resolve phones
-      const results = await this.phoneResolver.resolvePhones(ids, type, tenantId);
+      // Resolve phones; national numbers are read in the tenant's default country
+      const { policy } = await this.phonePolicyService.getTenantPolicy(sanitizeSchema(getSchema(req)), tenantId);
+      const results = await this.phoneResolver.resolvePhones(ids, type, tenantId, {
+        defaultCountry: this.phonePolicyService.defaultCountryFor(policy)
+      });
 
       res.json({
         success: true,
@@ -268,16 +309,26 @@ class CallController {
   /**
    * GET /calls
    * Get call logs with filters and pagination
+   * Query: status, lead_tag, agent_id, disposition (comma-separated), start_date, from_date, to_date, page, limit
    */
   async getCallLogs(req, res) {
     try {
       const tenantId = req.tenantId || req.user?.tenantId;
       const schema = getSchema(req);
-      const { status, lead_tag, agent_id, start_date, from_date, to_date, page, limit } = req.query;
+      const { status, lead_tag, agent_id, disposition, start_date, from_date, to_date, page, limit } = req.query;
+
+      const dispositionFilter = this._parseDispositionFilter(disposition);
+      if (dispositionFilter.error) {
+        return res.status(400).json({
+          success: false,
+          error: dispositionFilter.error
+        });
+      }
 
       const filters = {};
       if (status) filters.status = status;
       if (lead_tag) filters.leadTag = lead_tag;
+      if (dispositionFilter.dispositions) filters.dispositions = dispositionFilter.dispositions;
       if (agent_id) filters.agentId = agent_id;
       if (start_date) filters.startDate = new Date(start_date);
       if (from_date) filters.fromDate = new Date(from_date);
@@ -341,6 +392,91 @@ class CallController {
     }
   }
 
+  /**
+   * GET /calllogs/search
+   * Full-text search over call transcripts and summaries
+   * Query: q (required), plus the same filters as GET /calllogs
+   */
+  async searchCallLogs(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = getSchema(req);
+      const { q, status, lead_tag, agent_id, disposition, start_date, from_date, to_date, page, limit } = req.query;
+
+      const searchQuery = typeof q === 'string' ? q.trim() : '';
+      if (!searchQuery) {
+        return res.status(400).json({
+          success: false,
+          error: 'q query parameter is required'
+        });
+      }
+      if (searchQuery.length > 256) {
+        return res.status(400).json({
+          success: false,
+          error: 'q must be at most 256 characters'
+        });
+      }
+
+      const dispositionFilter = this._parseDispositionFilter(disposition);
+      if (dispositionFilter.error) {
+        return res.status(400).json({
+          success: false,
+          error: dispositionFilter.error
+        });
+      }
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (lead_tag) filters.leadTag = lead_tag;
+      if (dispositionFilter.dispositions) filters.dispositions = dispositionFilter.dispositions;
+      if (agent_id) filters.agentId = agent_id;
+      if (start_date) filters.startDate = new Date(start_date);
+      if (from_date) filters.fromDate = new Date(from_date);
+      if (to_date) filters.toDate = new Date(to_date);
+
+      if (this.callLoggingService.shouldRestrictToInitiator(req.user)) {
+        filters.userId = this._userId(req);
+      }
+
+      const currentPage = page ? parseInt(page, 10) : 1;
+      const pageSize = limit ? Math.min(parseInt(limit, 10), 100) : 20;
+      const offset = (currentPage - 1) * pageSize;
+
+      const { calls, total } = await this.callLoggingService.searchCallLogs(
+        schema,
+        tenantId,
+        searchQuery,
+        filters,
+        pageSize,
+        offset
+      );
+
+      const totalPages = Math.ceil(total / pageSize);
+
+      res.json({
+        success: true,
+        query: searchQuery,
+        logs: calls,
+        count: calls.length,
+        pagination: {
+          page: currentPage,
+          limit: pageSize,
+          total: total,
+          totalPages: totalPages,
+          hasNextPage: currentPage < totalPages,
+          hasPreviousPage: currentPage > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Search call logs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search call logs',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * GET /call/:call_log_id
    * Get a single call log by ID with signed recording URL
@@ -389,6 +525,7 @@ class CallController {
 
       // If there's a recording URL, get a signed URL for it
       if (callLog.recording_url) {
+        callLog.recording_stream_url = `${req.baseUrl}/calls/${call_log_id}/recording`;
         try {
           const signingEndpoint = `${process.env.BASE_URL}/recordings/calls/${callLog.recording_url}/signed-url`;
           const response = await axios.get(signingEndpoint, { 
@@ -411,6 +548,14 @@ class CallController {
         }
       }
 
+      // Transcript turns, summary and provider analysis (from end-of-call reports)
+      try {
+        callLog.transcript = await this.callTranscriptService.getTranscript(schema, tenantId, call_log_id);
+      } catch (error) {
+        logger.error('Error loading call transcript:', error);
+        callLog.transcript = null;
+      }
+
       logger.info(`[CallController] Sending response for call ${call_log_id}: transcripts segments=${callLog.transcripts?.segments?.length || 0}`);
 
       return res.json({
@@ -428,6 +573,258 @@ class CallController {
     }
   }
 
+  /**
+   * GET /calls/:id/recording
+   * Stream the call recording through the backend (supports HTTP Range
+   * requests for seeking). Users who cannot view all call logs may only play
+   * calls they initiated.
+   */
+  async streamCallRecording(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = getSchema(req);
+      const { id } = req.params;
+
+      const callLog = await this.callLoggingService.getCallLog(schema, id, tenantId);
+
+      if (!callLog) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call log not found'
+        });
+      }
+
+      if (!this.callLoggingService.canViewAllCallLogs(req.user) &&
+          callLog.initiated_by_user_id !== this._userId(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to view this call log'
+        });
+      }
+
+      if (!callLog.recording_url) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recording not available for this call'
+        });
+      }
+
+      const opened = await this.recordingService.openRecording(callLog.recording_url, req.headers.range);
+
+      sendObjectStream(req, res, opened, {
+        failureMessage: 'Failed to read call recording',
+        context: { callLogId: id }
+      });
+    } catch (error) {
+      if (error.status === 416) {
+        return sendRangeNotSatisfiable(res, error);
+      }
+      logger.error('Stream call recording error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to stream call recording',
+        code: error.code,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /calls/:id/transcript
+   * Get speaker-segmented transcript turns with timestamps, summary and analysis
+   */
+  async getCallTranscript(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = getSchema(req);
+      const { id } = req.params;
+
+      const callLog = await this.callLoggingService.getCallLog(schema, id, tenantId);
+
+      if (!callLog) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call log not found'
+        });
+      }
+
+      if (this.callLoggingService.shouldRestrictToInitiator(req.user) &&
+          callLog.initiated_by_user_id !== this._userId(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to view this call log'
+        });
+      }
+
+      const transcript = await this.callTranscriptService.getTranscript(schema, tenantId, id);
+
+      if (!transcript) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transcript not available for this call'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: transcript
+      });
+    } catch (error) {
+      logger.error('Get call transcript error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch call transcript',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /calls/:id/events
+   * Get the call timeline (status updates, transcript turns, speech/tool/hang events)
+   */
+  async getCallEvents(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = getSchema(req);
+      const { id } = req.params;
+      const { types } = req.query;
+
+      const callLog = await this.callLoggingService.getCallLog(schema, id, tenantId);
+
+      if (!callLog) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call log not found'
+        });
+      }
+
+      if (this.callLoggingService.shouldRestrictToInitiator(req.user) &&
+          callLog.initiated_by_user_id !== this._userId(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to view this call log'
+        });
+      }
+
+      const eventTypes = types ? String(types).split(',').map(t => t.trim()).filter(Boolean) : null;
+      const events = await this.callTimelineService.getTimeline(schema, tenantId, id, { eventTypes });
+
+      res.json({
+        success: true,
+        data: events,
+        count: events.length
+      });
+    } catch (error) {
+      logger.error('Get call events error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch call events',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /calls/:id/attempts
+   * Get every attempt of the call chain this call belongs to (original call
+   * and automatic retries), plus retries still scheduled
+   */
+  async getCallAttempts(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = getSchema(req);
+      const { id } = req.params;
+
+      const callLog = await this.callLoggingService.getCallLog(schema, id, tenantId);
+
+      if (!callLog) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call log not found'
+        });
+      }
+
+      if (this.callLoggingService.shouldRestrictToInitiator(req.user) &&
+          callLog.initiated_by_user_id !== this._userId(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to view this call log'
+        });
+      }
+
+      const chain = await this.callRetryService.listAttempts(schema, tenantId, id);
+
+      res.json({
+        success: true,
+        data: chain
+      });
+    } catch (error) {
+      logger.error('Get call attempts error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch call attempts',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /calls/:id/disposition
+   * Override the call's disposition; disposition null restores the automatic one
+   * Body: { disposition: 'interested' | 'callback_requested' | ... | null, note? }
+   */
+  async updateCallDisposition(req, res) {
+    const { disposition, note } = req.body || {};
+    if (disposition === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'disposition is required (null clears the override)'
+      });
+    }
+
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const { id } = req.params;
+
+      const callLog = await this.callLoggingService.getCallLog(schema, id, tenantId);
+
+      if (!callLog) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call log not found'
+        });
+      }
+
+      if (!this.callLoggingService.canViewAllCallLogs(req.user) &&
+          callLog.initiated_by_user_id !== this._userId(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to update this call log'
+        });
+      }
+
+      const result = await this.callDispositionService.override(schema, tenantId, id, { disposition, note }, {
+        userId: this._userId(req)
+      });
+
+      res.json({
+        success: true,
+        message: disposition === null ? 'Disposition override cleared' : 'Disposition updated',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Update call disposition error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to update call disposition',
+        code: error.code,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * V2: GET /calls/job/:job_id
    * Get call log by job ID
@@ -723,6 +1120,7 @@ class CallController {
 
       // 3. Attach signed recording URL (same as getCallLogById)
       if (callLog.recording_url) {
+        callLog.recording_stream_url = `${req.baseUrl}/calls/${call_log_id}/recording`;
         try {
           const signingEndpoint = `${process.env.BASE_URL}/recordings/calls/${callLog.recording_url}/signed-url`;
           const response = await axios.get(signingEndpoint, {
@@ -1,11 +1,11 @@
-const CallLogUpdatesService = require('../services/CallLogUpdatesService');
+const { getCallLogUpdatesService } = require('../services/CallLogUpdatesService');
 const logger = require('../../../core/utils/logger');
 const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
 
 class CallLogUpdatesController {
   constructor(options = {}) {
     this.logger = options.logger || logger;
-    this.service = options.service || new CallLogUpdatesService({ logger: this.logger });
+    this.service = options.service || getCallLogUpdatesService();
   }
 
   async streamCallLogUpdates(req, res) {
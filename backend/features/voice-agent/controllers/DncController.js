@@ -0,0 +1,353 @@
+/**
+ * Do-Not-Call Controller
+ *
+ * Tenant Do-Not-Call numbers (list, add, remove, CSV import, check) and the
+ * global lists maintained by the platform. Tenants opt in to optional global
+ * lists; creating and filling global lists is limited to admins of the
+ * platform tenants in VOICE_DNC_PLATFORM_TENANT_IDS.
+ */
+
+const DncService = require('../services/DncService');
+const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class DncController {
+  constructor(db) {
+    this.dncService = new DncService(db);
+  }
+
+  _tenantId(req) {
+    return req.tenantId || req.user?.tenantId;
+  }
+
+  _userId(req) {
+    return req.user?.userId || req.user?.id || null;
+  }
+
+  _isPlatformAdmin(req) {
+    const platformTenants = (process.env.VOICE_DNC_PLATFORM_TENANT_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+    return req.user?.role === 'admin' && platformTenants.includes(String(this._tenantId(req)));
+  }
+
+  _forbidden(res) {
+    return res.status(403).json({
+      success: false,
+      error: 'Platform admin access required'
+    });
+  }
+
+  _fail(res, error, fallback, context = {}) {
+    logger.error(`[DncController] ${fallback}`, { error: error.message, ...context });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : fallback,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  /**
+   * CSV text from an uploaded `file` or a `csv` body field
+   */
+  _csvText(req) {
+    if (req.file?.buffer) {
+      return req.file.buffer.toString('utf8');
+    }
+    return typeof req.body?.csv === 'string' ? req.body.csv : null;
+  }
+
+  async _listEntries(req, res, owner) {
+    const { q, page, limit } = req.query;
+    const currentPage = page ? parseInt(page, 10) : 1;
+    const pageSize = limit ? Math.min(parseInt(limit, 10), 200) : 50;
+    const offset = (currentPage - 1) * pageSize;
+
+    const { entries, total } = await this.dncService.listEntries(sanitizeSchema(getSchema(req)), owner, {
+      search: q || null,
+      limit: pageSize,
+      offset
+    });
+
+    const totalPages = Math.ceil(total / pageSize);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        totalPages,
+        hasNextPage: currentPage < totalPages,
+        hasPreviousPage: currentPage > 1
+      }
+    });
+  }
+
+  async _addEntry(req, res, owner) {
+    const entry = await this.dncService.addEntry(sanitizeSchema(getSchema(req)), owner, req.body || {}, {
+      userId: this._userId(req)
+    });
+
+    res.status(entry.inserted ? 201 : 200).json({
+      success: true,
+      message: entry.inserted ? 'Number added to Do-Not-Call list' : 'Number already on Do-Not-Call list; entry updated',
+      data: entry
+    });
+  }
+
+  async _importCsv(req, res, owner) {
+    const csvText = this._csvText(req);
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a CSV file as `file` or send its contents as `csv`'
+      });
+    }
+
+    const summary = await this.dncService.importCsv(sanitizeSchema(getSchema(req)), owner, csvText, {
+      userId: this._userId(req)
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${summary.added + summary.updated} numbers`,
+      data: summary
+    });
+  }
+
+  async _removeEntry(req, res, owner) {
+    const entry = await this.dncService.removeEntry(sanitizeSchema(getSchema(req)), owner, req.params.id, {
+      userId: this._userId(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Number removed from Do-Not-Call list',
+      data: entry
+    });
+  }
+
+  /**
+   * GET /dnc
+   * List the tenant's Do-Not-Call numbers (search with ?q=)
+   */
+  async listEntries(req, res) {
+    try {
+      await this._listEntries(req, res, { tenantId: this._tenantId(req) });
+    } catch (error) {
+      this._fail(res, error, 'Failed to fetch Do-Not-Call numbers');
+    }
+  }
+
+  /**
+   * POST /dnc
+   * Body: { phone_number, reason?, expires_at? }
+   */
+  async addEntry(req, res) {
+    try {
+      await this._addEntry(req, res, { tenantId: this._tenantId(req) });
+    } catch (error) {
+      this._fail(res, error, 'Failed to add Do-Not-Call number');
+    }
+  }
+
+  /**
+   * POST /dnc/import
+   * CSV with a header row: phone_number (or phone/number), optional reason
+   */
+  async importEntries(req, res) {
+    try {
+      await this._importCsv(req, res, { tenantId: this._tenantId(req) });
+    } catch (error) {
+      this._fail(res, error, 'Failed to import Do-Not-Call numbers');
+    }
+  }
+
+  /**
+   * DELETE /dnc/:id
+   */
+  async removeEntry(req, res) {
+    try {
+      await this._removeEntry(req, res, { tenantId: this._tenantId(req) });
+    } catch (error) {
+      this._fail(res, error, 'Failed to remove Do-Not-Call number', { id: req.params.id });
+    }
+  }
+
+  /**
+   * GET /dnc/check?phone_number=
+   * Whether calls to the number are suppressed for the tenant, and why
+   */
+  async checkNumber(req, res) {
+    const phoneNumber = req.query.phone_number;
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number is required'
+      });
+    }
+
+    try {
+      const check = await this.dncService.checkNumber(sanitizeSchema(getSchema(req)), this._tenantId(req), phoneNumber);
+      res.json({
+        success: true,
+        data: {
+          phone_number: check.phoneNumber,
+          suppressed: check.suppressed,
+          reason: check.reason,
+          source: check.source,
+          list_id: check.listId,
+          list_name: check.listName
+        }
+      });
+    } catch (error) {
+      this._fail(res, error, 'Failed to check Do-Not-Call status');
+    }
+  }
+
+  /**
+   * GET /dnc/lists
+   * Global lists, with whether each is enforced for the tenant
+   */
+  async listLists(req, res) {
+    try {
+      const lists = await this.dncService.listLists(sanitizeSchema(getSchema(req)), this._tenantId(req));
+      res.json({
+        success: true,
+        data: lists
+      });
+    } catch (error) {
+      this._fail(res, error, 'Failed to fetch Do-Not-Call lists');
+    }
+  }
+
+  /**
+   * POST /dnc/lists (platform admin)
+   * Body: { name, description?, mandatory? }
+   */
+  async createList(req, res) {
+    if (!this._isPlatformAdmin(req)) {
+      return this._forbidden(res);
+    }
+
+    try {
+      const list = await this.dncService.createList(sanitizeSchema(getSchema(req)), req.body || {}, {
+        userId: this._userId(req)
+      });
+      res.status(201).json({
+        success: true,
+        message: 'Do-Not-Call list created',
+        data: list
+      });
+    } catch (error) {
+      this._fail(res, error, 'Failed to create Do-Not-Call list');
+    }
+  }
+
+  /**
+   * PUT /dnc/lists/:listId/subscription
+   * Body: { subscribed } - opt the tenant in to or out of an optional list
+   */
+  async updateSubscription(req, res) {
+    if (typeof req.body?.subscribed !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'subscribed must be a boolean'
+      });
+    }
+
+    try {
+      const list = await this.dncService.setSubscription(
+        sanitizeSchema(getSchema(req)),
+        this._tenantId(req),
+        req.params.listId,
+        req.body.subscribed,
+        { userId: this._userId(req) }
+      );
+      res.json({
+        success: true,
+        message: req.body.subscribed ? 'Do-Not-Call list enforced' : 'Do-Not-Call list no longer enforced',
+        data: list
+      });
+    } catch (error) {
+      this._fail(res, error, 'Failed to update Do-Not-Call list subscription', { listId: req.params.listId });
+    }
+  }
+
+  /**
+   * GET /dnc/lists/:listId/entries (platform admin)
+   */
+  async listListEntries(req, res) {
+    if (!this._isPlatformAdmin(req)) {
+      return this._forbidden(res);
+    }
+
+    try {
+      const list = await this.dncService.getList(sanitizeSchema(getSchema(req)), req.params.listId);
+      await this._listEntries(req, res, { listId: list.id });
+    } catch (error) {
+      this._fail(res, error, 'Failed to fetch Do-Not-Call numbers', { listId: req.params.listId });
+    }
+  }
+
+  /**
+   * POST /dnc/lists/:listId/entries (platform admin)
+   */
+  async addListEntry(req, res) {
+    if (!this._isPlatformAdmin(req)) {
+      return this._forbidden(res);
+    }
+
+    try {
+      const list = await this.dncService.getList(sanitizeSchema(getSchema(req)), req.params.listId);
+      await this._addEntry(req, res, { listId: list.id });
+    } catch (error) {
+      this._fail(res, error, 'Failed to add Do-Not-Call number', { listId: req.params.listId });
+    }
+  }
+
+  /**
+   * POST /dnc/lists/:listId/import (platform admin)
+   */
+  async importListEntries(req, res) {
+    if (!this._isPlatformAdmin(req)) {
+      return this._forbidden(res);
+    }
+
+    try {
+      const list = await this.dncService.getList(sanitizeSchema(getSchema(req)), req.params.listId);
+      await this._importCsv(req, res, { listId: list.id });
+    } catch (error) {
+      this._fail(res, error, 'Failed to import Do-Not-Call numbers', { listId: req.params.listId });
+    }
+  }
+
+  /**
+   * DELETE /dnc/lists/:listId/entries/:id (platform admin)
+   */
+  async removeListEntry(req, res) {
+    if (!this._isPlatformAdmin(req)) {
+      return this._forbidden(res);
+    }
+
+    try {
+      const list = await this.dncService.getList(sanitizeSchema(getSchema(req)), req.params.listId);
+      await this._removeEntry(req, res, { listId: list.id });
+    } catch (error) {
+      this._fail(res, error, 'Failed to remove Do-Not-Call number', { listId: req.params.listId, id: req.params.id });
+    }
+  }
+}
+
+module.exports = DncController;
@@ -0,0 +1,144 @@
+/**
+ * Live Call Controller
+ *
+ * Controls for calls in progress: transfer to a human, inject an instruction
+ * into the agent's conversation, and take over from (or hand back to) the
+ * agent. Users act on the calls they can view; every action is recorded on
+ * the call timeline (GET /calls/:id/events).
+ */
+
+const LiveCallControlService = require('../services/LiveCallControlService');
+const CallLoggingService = require('../services/CallLoggingService');
+const { TAKEOVER_ACTIONS } = require('../constants/liveCallControl');
+const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class LiveCallController {
+  constructor(db) {
+    this.liveCallControlService = new LiveCallControlService(db);
+    this.callLoggingService = new CallLoggingService(db);
+  }
+
+  _tenantId(req) {
+    return req.tenantId || req.user?.tenantId;
+  }
+
+  _userId(req) {
+    return req.user?.userId || req.user?.id || null;
+  }
+
+  _fail(res, error, fallback, context = {}) {
+    logger.error(`[LiveCallController] ${fallback}`, { error: error.message, ...context });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : fallback,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  /**
+   * Load the call and check the user may act on it
+   * @returns {Promise<Object|null>} call log, or null when a 403 was sent
+   */
+  async _controllableCall(req, res, schema) {
+    const callLog = await this.liveCallControlService.getControllableCall(schema, this._tenantId(req), req.params.id);
+
+    if (!this.callLoggingService.canViewAllCallLogs(req.user) &&
+        callLog.initiated_by_user_id !== this._userId(req)) {
+      res.status(403).json({
+        success: false,
+        error: 'You do not have permission to control this call'
+      });
+      return null;
+    }
+    return callLog;
+  }
+
+  /**
+   * POST /calls/:id/transfer
+   * Body: { to_number, mode?: 'warm' (default) | 'cold', message? }
+   */
+  async transferCall(req, res) {
+    const { to_number: toNumber, mode, message } = req.body || {};
+    if (!toNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'to_number is required'
+      });
+    }
+
+    try {
+      const schema = sanitizeSchema(getSchema(req));
+      const callLog = await this._controllableCall(req, res, schema);
+      if (!callLog) return;
+
+      const result = await this.liveCallControlService.transfer(schema, callLog, { toNumber, mode, message }, {
+        userId: this._userId(req)
+      });
+      res.json({
+        success: true,
+        message: 'Transfer requested',
+        data: result
+      });
+    } catch (error) {
+      this._fail(res, error, 'Failed to transfer call', { id: req.params.id });
+    }
+  }
+
+  /**
+   * POST /calls/:id/inject
+   * Body: { content, role?: 'system' (default) | 'user' | 'assistant', respond?: boolean (default true) }
+   */
+  async injectMessage(req, res) {
+    try {
+      const schema = sanitizeSchema(getSchema(req));
+      const callLog = await this._controllableCall(req, res, schema);
+      if (!callLog) return;
+
+      const { content, role, respond } = req.body || {};
+      const result = await this.liveCallControlService.inject(schema, callLog, { content, role, respond }, {
+        userId: this._userId(req)
+      });
+      res.json({
+        success: true,
+        message: 'Instruction sent to the agent',
+        data: result
+      });
+    } catch (error) {
+      this._fail(res, error, 'Failed to inject message', { id: req.params.id });
+    }
+  }
+
+  /**
+   * POST /calls/:id/takeover
+   * Body: { action?: 'take' (default) | 'release', message? }
+   */
+  async takeoverCall(req, res) {
+    try {
+      const schema = sanitizeSchema(getSchema(req));
+      const callLog = await this._controllableCall(req, res, schema);
+      if (!callLog) return;
+
+      const { action, message } = req.body || {};
+      const result = await this.liveCallControlService.takeover(schema, callLog, { action, message }, {
+        userId: this._userId(req)
+      });
+      res.json({
+        success: true,
+        message: action === TAKEOVER_ACTIONS.RELEASE ? 'Call handed back to the agent' : 'Agent muted; you have the call',
+        data: result
+      });
+    } catch (error) {
+      this._fail(res, error, 'Failed to take over call', { id: req.params.id });
+    }
+  }
+}
+
+module.exports = LiveCallController;
@@ -0,0 +1,117 @@
+/**
+ * Mock Provider Controller
+ *
+ * Development/test endpoints for the simulated telephony provider: configure
+ * call outcomes, inspect simulated calls and fetch synthetic recordings.
+ * Routes are only mounted when the mock provider is registered.
+ */
+
+const { getProviderRegistry } = require('../services/providers');
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class MockProviderController {
+  constructor() {
+    this.provider = getProviderRegistry().get('mock');
+  }
+
+  /**
+   * GET /mock-provider/calls
+   */
+  async listCalls(req, res) {
+    const calls = this.provider.listCalls();
+    res.json({
+      success: true,
+      data: calls,
+      count: calls.length
+    });
+  }
+
+  /**
+   * GET /mock-provider/outcomes
+   */
+  async getOutcomes(req, res) {
+    res.json({
+      success: true,
+      data: this.provider.getOutcomes()
+    });
+  }
+
+  /**
+   * PUT /mock-provider/outcomes
+   * Body: { to_number?, outcome, duration_seconds?, transcript?, summary?, ended_reason? }
+   * Without to_number the outcome becomes the default for all calls
+   */
+  async setOutcome(req, res) {
+    try {
+      const {
+        to_number,
+        outcome,
+        duration_seconds,
+        transcript,
+        summary,
+        ended_reason
+      } = req.body || {};
+
+      if (transcript !== undefined && !Array.isArray(transcript)) {
+        return res.status(400).json({
+          success: false,
+          error: 'transcript must be an array of { role, message }'
+        });
+      }
+
+      const scenario = this.provider.setOutcome(to_number || null, {
+        outcome,
+        durationSeconds: duration_seconds !== undefined ? Number(duration_seconds) : undefined,
+        transcript,
+        summary,
+        endedReason: ended_reason
+      });
+
+      res.json({
+        success: true,
+        data: { to_number: to_number || null, ...scenario }
+      });
+    } catch (error) {
+      logger.error('[MockProviderController] setOutcome failed', { error: error.message });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to set mock outcome',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /mock-provider/outcomes
+   * Reset every number to the default answered outcome
+   */
+  async clearOutcomes(req, res) {
+    this.provider.clearOutcomes();
+    res.json({ success: true });
+  }
+
+  /**
+   * GET /mock-provider/recordings/:callId
+   */
+  async getRecording(req, res) {
+    const recording = this.provider.renderRecording(req.params.callId);
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      });
+    }
+
+    res.set('Content-Type', 'audio/wav');
+    res.set('Content-Length', String(recording.length));
+    res.send(recording);
+  }
+}
+
+module.exports = MockProviderController;
@@ -0,0 +1,212 @@
+/**
+ * Scheduled Call Controller
+ *
+ * List, cancel and reschedule single calls scheduled with
+ * POST /calls/start-call { scheduled_at }, plus the Cloud Tasks callback
+ * that fires a due call
+ */
+
+const ScheduledCallService = require('../services/ScheduledCallService');
+const { getCallScheduler, CloudTasksCallScheduler } = require('../services/schedulers');
+const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class ScheduledCallController {
+  constructor(db) {
+    this.scheduledCallService = new ScheduledCallService(db);
+  }
+
+  /**
+   * GET /scheduled-calls
+   * List the tenant's scheduled calls (filter with ?status=pending)
+   */
+  async listScheduledCalls(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const { status, page, limit } = req.query;
+
+      const currentPage = page ? parseInt(page, 10) : 1;
+      const pageSize = limit ? Math.min(parseInt(limit, 10), 200) : 50;
+      const offset = (currentPage - 1) * pageSize;
+
+      const { calls, total } = await this.scheduledCallService.listScheduledCalls(schema, tenantId, {
+        status,
+        limit: pageSize,
+        offset
+      });
+
+      const totalPages = Math.ceil(total / pageSize);
+
+      res.json({
+        success: true,
+        data: calls,
+        count: calls.length,
+        pagination: {
+          page: currentPage,
+          limit: pageSize,
+          total,
+          totalPages,
+          hasNextPage: currentPage < totalPages,
+          hasPreviousPage: currentPage > 1
+        }
+      });
+    } catch (error) {
+      logger.error('[ScheduledCallController] List scheduled calls error', { error: error.message });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to fetch scheduled calls',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /scheduled-calls/:id
+   */
+  async getScheduledCall(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const scheduledCall = await this.scheduledCallService.getScheduledCall(schema, tenantId, req.params.id);
+
+      res.json({
+        success: true,
+        data: scheduledCall
+      });
+    } catch (error) {
+      logger.error('[ScheduledCallController] Get scheduled call error', {
+        error: error.message,
+        id: req.params.id
+      });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to fetch scheduled call',
+        code: error.code,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /scheduled-calls/:id/cancel
+   */
+  async cancelScheduledCall(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const scheduledCall = await this.scheduledCallService.cancelScheduledCall(schema, tenantId, req.params.id, {
+        userId: req.user?.userId || req.user?.id || null
+      });
+
+      res.json({
+        success: true,
+        message: 'Scheduled call cancelled',
+        data: scheduledCall
+      });
+    } catch (error) {
+      logger.error('[ScheduledCallController] Cancel scheduled call error', {
+        error: error.message,
+        id: req.params.id
+      });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to cancel scheduled call',
+        code: error.code,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /scheduled-calls/:id/reschedule
+   * Body: { scheduled_at } (ISO 8601, in the future)
+   */
+  async rescheduleScheduledCall(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const scheduledCall = await this.scheduledCallService.rescheduleScheduledCall(
+        schema,
+        tenantId,
+        req.params.id,
+        req.body?.scheduled_at,
+        { userId: req.user?.userId || req.user?.id || null }
+      );
+
+      res.json({
+        success: true,
+        message: 'Scheduled call rescheduled',
+        data: scheduledCall
+      });
+    } catch (error) {
+      logger.error('[ScheduledCallController] Reschedule scheduled call error', {
+        error: error.message,
+        id: req.params.id
+      });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to reschedule scheduled call',
+        code: error.code,
+        message: error.message,
+        next_allowed_at: error.nextAllowedAt ? error.nextAllowedAt.toISOString() : undefined
+      });
+    }
+  }
+
+  /**
+   * POST /scheduled-calls/fire
+   * Cloud Tasks callback: { scheduled_call_id }. Answers 200 for calls that
+   * are no longer pending so the task is not retried.
+   */
+  async fireScheduledCall(req, res) {
+    const scheduler = getCallScheduler();
+    if (!(scheduler instanceof CloudTasksCallScheduler) || !scheduler.verifyCallback(req.headers)) {
+      logger.warn('[ScheduledCallController] Rejected scheduler callback', { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid scheduler secret'
+      });
+    }
+
+    const scheduledCallId = req.body?.scheduled_call_id;
+    if (!scheduledCallId) {
+      return res.status(400).json({
+        success: false,
+        error: 'scheduled_call_id is required'
+      });
+    }
+
+    try {
+      const schema = sanitizeSchema(getSchema(req));
+      const scheduledCall = await this.scheduledCallService.fire(schema, scheduledCallId);
+
+      res.json({
+        success: true,
+        fired: Boolean(scheduledCall)
+      });
+    } catch (error) {
+      logger.error('[ScheduledCallController] Fire scheduled call error', {
+        error: error.message,
+        scheduledCallId
+      });
+      // 5xx makes Cloud Tasks retry; the claim keeps a retried task from dialing twice
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fire scheduled call',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ScheduledCallController;
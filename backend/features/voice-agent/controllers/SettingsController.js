@@ -1,4 +1,12 @@
 const SettingsRepository = require('../repositories/settings.repository');
+const { getProviderRegistry } = require('../services/providers');
+const CallRetryService = require('../services/CallRetryService');
+const BusinessHoursService = require('../services/BusinessHoursService');
+const RecordingPolicyService = require('../services/RecordingPolicyService');
+const PhonePolicyService = require('../services/PhonePolicyService');
+const InboundCallService = require('../services/InboundCallService');
+const { normalizeVoicemailPolicy } = require('../services/voicemailPolicy');
+const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
 let logger;
 try {
   logger = require('../../../core/utils/logger');
@@ -9,6 +17,77 @@ try {
 class SettingsController {
   constructor(db) {
     this.settingsRepository = new SettingsRepository(db);
+    this.callRetryService = new CallRetryService(db);
+    this.businessHoursService = new BusinessHoursService(db);
+    this.recordingPolicyService = new RecordingPolicyService(db);
+    this.phonePolicyService = new PhonePolicyService(db);
+    this.inboundCallService = new InboundCallService(db, {
+      businessHoursService: this.businessHoursService,
+      recordingPolicyService: this.recordingPolicyService
+    });
+  }
+
+  /**
+   * Validate telephony provider fields on a voice agent payload
+   * @returns {string|null} Error message or null when valid
+   */
+  _validateProviderFields(data) {
+    if (data.provider !== undefined && data.provider !== null && !getProviderRegistry().has(data.provider)) {
+      return `Unknown provider: ${data.provider}`;
+    }
+    if (data.provider_config !== undefined && data.provider_config !== null &&
+        (typeof data.provider_config !== 'object' || Array.isArray(data.provider_config))) {
+      return 'provider_config must be an object';
+    }
+    return null;
+  }
+
+  /**
+   * Normalize retry_policy on a voice agent payload in place
+   * @returns {string|null} Error message or null when valid
+   */
+  _normalizeRetryPolicy(data) {
+    if (data.retry_policy === undefined) {
+      return null;
+    }
+    try {
+      data.retry_policy = this.callRetryService.normalizePolicy(data.retry_policy);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Normalize business_hours on a voice agent payload in place
+   * @returns {string|null} Error message or null when valid
+   */
+  _normalizeBusinessHours(data) {
+    if (data.business_hours === undefined) {
+      return null;
+    }
+    try {
+      data.business_hours = this.businessHoursService.normalizeBusinessHours(data.business_hours);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Normalize voicemail_policy on a voice agent payload in place
+   * @returns {string|null} Error message or null when valid
+   */
+  _normalizeVoicemailPolicy(data) {
+    if (data.voicemail_policy === undefined) {
+      return null;
+    }
+    try {
+      data.voicemail_policy = normalizeVoicemailPolicy(data.voicemail_policy);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
   }
 
   /**
@@ -85,7 +164,13 @@ class SettingsController {
         agent_instructions: agentData.agent_instructions,
         system_instructions: agentData.system_instructions,
         outbound_starter_prompt: agentData.outbound_starter_prompt,
-        inbound_starter_prompt: agentData.inbound_starter_prompt
+        inbound_starter_prompt: agentData.inbound_starter_prompt,
+        provider: agentData.provider,
+        provider_assistant_id: agentData.provider_assistant_id,
+        provider_config: agentData.provider_config,
+        retry_policy: agentData.retry_policy,
+        business_hours: agentData.business_hours,
+        voicemail_policy: agentData.voicemail_policy
       };
 
       // Validate required fields
@@ -98,6 +183,26 @@ class SettingsController {
         });
       }
 
+      const providerError = this._validateProviderFields(normalizedData);
+      if (providerError) {
+        return res.status(400).json({ error: providerError });
+      }
+
+      const retryPolicyError = this._normalizeRetryPolicy(normalizedData);
+      if (retryPolicyError) {
+        return res.status(400).json({ error: retryPolicyError });
+      }
+
+      const businessHoursError = this._normalizeBusinessHours(normalizedData);
+      if (businessHoursError) {
+        return res.status(400).json({ error: businessHoursError });
+      }
+
+      const voicemailPolicyError = this._normalizeVoicemailPolicy(normalizedData);
+      if (voicemailPolicyError) {
+        return res.status(400).json({ error: voicemailPolicyError });
+      }
+
       const agent = await this.settingsRepository.createVoiceAgent(
         tenant_id, 
         normalizedData
@@ -128,9 +233,35 @@ class SettingsController {
         agent_instructions: agentData.agent_instructions,
         system_instructions: agentData.system_instructions,
         outbound_starter_prompt: agentData.outbound_starter_prompt,
-        inbound_starter_prompt: agentData.inbound_starter_prompt
+        inbound_starter_prompt: agentData.inbound_starter_prompt,
+        provider: agentData.provider,
+        provider_assistant_id: agentData.provider_assistant_id,
+        provider_config: agentData.provider_config,
+        retry_policy: agentData.retry_policy,
+        business_hours: agentData.business_hours,
+        voicemail_policy: agentData.voicemail_policy
       };
 
+      const providerError = this._validateProviderFields(normalizedData);
+      if (providerError) {
+        return res.status(400).json({ error: providerError });
+      }
+
+      const retryPolicyError = this._normalizeRetryPolicy(normalizedData);
+      if (retryPolicyError) {
+        return res.status(400).json({ error: retryPolicyError });
+      }
+
+      const businessHoursError = this._normalizeBusinessHours(normalizedData);
+      if (businessHoursError) {
+        return res.status(400).json({ error: businessHoursError });
+      }
+
+      const voicemailPolicyError = this._normalizeVoicemailPolicy(normalizedData);
+      if (voicemailPolicyError) {
+        return res.status(400).json({ error: voicemailPolicyError });
+      }
+
       const agent = await this.settingsRepository.updateVoiceAgent(
         agentId, 
         tenant_id, 
@@ -403,6 +534,278 @@ class SettingsController {
       res.status(500).json({ error: 'Internal server error' });
     }
   }
+
+  /**
+   * Get the tenant's business hours (the default when none are stored)
+   */
+  async getBusinessHours(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const { businessHours, isDefault, updatedAt } =
+        await this.businessHoursService.getTenantBusinessHours(schema, tenant_id);
+
+      res.json({
+        data: {
+          business_hours: businessHours,
+          is_default: isDefault,
+          disabled: this.businessHoursService.isDisabled(),
+          updated_at: updatedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting business hours:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Replace the tenant's business hours; null resets to the default
+   */
+  async updateBusinessHours(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const businessHours = req.body?.business_hours;
+
+      if (businessHours === undefined) {
+        return res.status(400).json({ error: 'business_hours is required (null resets to the default)' });
+      }
+
+      const { businessHours: updated, isDefault, updatedAt } =
+        await this.businessHoursService.updateTenantBusinessHours(schema, tenant_id, businessHours, {
+          userId: req.user.userId || req.user.id || null
+        });
+
+      res.json({
+        data: {
+          business_hours: updated,
+          is_default: isDefault,
+          disabled: this.businessHoursService.isDisabled(),
+          updated_at: updatedAt
+        }
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error updating business hours:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Get the tenant's recording policy (the default when none is stored)
+   */
+  async getRecordingPolicy(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const { policy, isDefault, updatedAt } =
+        await this.recordingPolicyService.getTenantPolicy(schema, tenant_id);
+
+      res.json({
+        data: {
+          recording_policy: policy,
+          is_default: isDefault,
+          updated_at: updatedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting recording policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Replace the tenant's recording policy; null resets to the default
+   */
+  async updateRecordingPolicy(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const policy = req.body?.recording_policy;
+
+      if (policy === undefined) {
+        return res.status(400).json({ error: 'recording_policy is required (null resets to the default)' });
+      }
+
+      const { policy: updated, isDefault, updatedAt } =
+        await this.recordingPolicyService.updateTenantPolicy(schema, tenant_id, policy, {
+          userId: req.user.userId || req.user.id || null
+        });
+
+      res.json({
+        data: {
+          recording_policy: updated,
+          is_default: isDefault,
+          updated_at: updatedAt
+        }
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error updating recording policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Recordings and transcripts removed by the retention job (newest first)
+   */
+  async getRetentionDeletions(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const currentPage = req.query.page ? parseInt(req.query.page, 10) : 1;
+      const pageSize = req.query.limit ? Math.min(parseInt(req.query.limit, 10), 200) : 50;
+
+      const { deletions, total } = await this.recordingPolicyService.listDeletions(schema, tenant_id, {
+        limit: pageSize,
+        offset: (currentPage - 1) * pageSize
+      });
+
+      const totalPages = Math.ceil(total / pageSize);
+      res.json({
+        data: deletions,
+        pagination: {
+          page: currentPage,
+          limit: pageSize,
+          total,
+          totalPages,
+          hasNextPage: currentPage < totalPages,
+          hasPreviousPage: currentPage > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting retention deletions:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Get the tenant's phone number policy (the default when none is stored)
+   */
+  async getPhonePolicy(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const { policy, isDefault, updatedAt } =
+        await this.phonePolicyService.getTenantPolicy(schema, tenant_id);
+
+      res.json({
+        data: {
+          phone_policy: policy,
+          effective_default_country: this.phonePolicyService.defaultCountryFor(policy),
+          is_default: isDefault,
+          updated_at: updatedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting phone policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Replace the tenant's phone number policy; null resets to the default
+   */
+  async updatePhonePolicy(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const policy = req.body?.phone_policy;
+
+      if (policy === undefined) {
+        return res.status(400).json({ error: 'phone_policy is required (null resets to the default)' });
+      }
+
+      const { policy: updated, isDefault, updatedAt } =
+        await this.phonePolicyService.updateTenantPolicy(schema, tenant_id, policy, {
+          userId: req.user.userId || req.user.id || null
+        });
+
+      res.json({
+        data: {
+          phone_policy: updated,
+          effective_default_country: this.phonePolicyService.defaultCountryFor(updated),
+          is_default: isDefault,
+          updated_at: updatedAt
+        }
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error updating phone policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Get a number's inbound call routing (the default when none is stored)
+   */
+  async getInboundRouting(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const { number, routing, isDefault } =
+        await this.inboundCallService.getNumberRouting(schema, tenant_id, req.params.id);
+
+      res.json({
+        data: {
+          number,
+          inbound_routing: routing,
+          is_default: isDefault
+        }
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error getting inbound routing:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Replace a number's inbound call routing; null restores the default
+   */
+  async updateInboundRouting(req, res) {
+    try {
+      const tenant_id = req.user.tenant_id || req.user.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const routing = req.body?.inbound_routing;
+
+      if (routing === undefined) {
+        return res.status(400).json({ error: 'inbound_routing is required (null restores the default)' });
+      }
+
+      const { number, routing: updated, isDefault } =
+        await this.inboundCallService.updateNumberRouting(schema, tenant_id, req.params.id, routing, {
+          userId: req.user.userId || req.user.id || null
+        });
+
+      res.json({
+        data: {
+          number,
+          inbound_routing: updated,
+          is_default: isDefault
+        }
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error updating inbound routing:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
 }
 
 module.exports = SettingsController;
@@ -0,0 +1,52 @@
+/**
+ * Storage Controller
+ *
+ * Serves stored objects through proxy links (URL mode proxy, or stores that
+ * cannot sign URLs such as local disk). The link token is the credential:
+ * an HMAC-signed, expiring grant for one object, so no JWT is required and
+ * links work in <audio> tags and for providers fetching batch files.
+ */
+
+const ObjectStorageService = require('../services/ObjectStorageService');
+const { sendObjectStream, sendRangeNotSatisfiable } = require('./objectStreamResponse');
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class StorageController {
+  constructor() {
+    this.objectStorage = new ObjectStorageService();
+  }
+
+  /**
+   * GET /storage/objects/:token
+   * Stream the object a proxy link grants access to (HTTP Range supported)
+   */
+  async streamObject(req, res) {
+    try {
+      const location = this.objectStorage.verifyProxyToken(req.params.token);
+      const opened = await this.objectStorage.open(location, req.headers.range);
+
+      sendObjectStream(req, res, opened, {
+        failureMessage: 'Failed to read stored object'
+      });
+    } catch (error) {
+      if (error.status === 416) {
+        return sendRangeNotSatisfiable(res, error);
+      }
+      logger.error('[StorageController] Failed to stream stored object', { error: error.message, code: error.code });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to stream stored object',
+        code: error.code,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = StorageController;
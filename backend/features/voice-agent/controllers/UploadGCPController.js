@@ -1,6 +1,7 @@
 const multer = require('multer');
 const GCSUploadService = require('../services/GCSUploadService');
-const gcsLinkStore = require('../services/GCSLinkStore');
+const UploadSessionService = require('../services/UploadSessionService');
+const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
 
 let logger;
 try {
@@ -18,8 +19,9 @@ const upload = multer({
 });
 
 class UploadGCPController {
-  constructor() {
+  constructor(db) {
     this.gcsUploadService = new GCSUploadService();
+    this.uploadSessionService = new UploadSessionService(db, { uploadService: this.gcsUploadService });
   }
 
   multerMiddleware() {
@@ -111,13 +113,20 @@ class UploadGCPController {
       const attachment_link = excelUpload.url;
       const json_link = jsonUpload.url;
 
-      const stored = gcsLinkStore.setLinks({ tenantId, userId, attachment_link, json_link });
+      // Persisted so the batch can be triggered on any instance
+      const session = await this.uploadSessionService.createSession(sanitizeSchema(getSchema(req)), {
+        tenantId,
+        userId,
+        excelUpload,
+        jsonUpload
+      });
 
       return res.status(200).json({
         success: true,
+        upload_session_id: session.id,
         attachment_link,
         json_link,
-        expires_at: stored.expiresAt
+        expires_at: session.expires_at
       });
 
     } catch (error) {
@@ -3,6 +3,8 @@
  * 
  * Handles webhooks from VAPI for call status updates and billing
  * When a call completes, VAPI sends usage data and we charge credits accordingly
+ * Deliveries are stored in the webhook inbox first and processed asynchronously;
+ * assistant-requests for inbound calls are also answered synchronously
  */
 
 const { pool } = require('../../../shared/database/connection');
@@ -28,89 +30,381 @@ try {
   ({ sanitizeSchema } = require('../utils/schemaHelper'));
 }
 
+const WebhookSecurityService = require('../services/WebhookSecurityService');
+const { REJECTION_REASONS } = WebhookSecurityService;
+const WebhookInboxService = require('../services/WebhookInboxService');
+const { getWebhookInboxWorker } = require('../services/WebhookInboxWorker');
+const CallTimelineService = require('../services/CallTimelineService');
+const CallTranscriptService = require('../services/CallTranscriptService');
+const CallRetryService = require('../services/CallRetryService');
+const DncService = require('../services/DncService');
+const CallDispositionService = require('../services/CallDispositionService');
+const RecordingPolicyService = require('../services/RecordingPolicyService');
+const InboundCallService = require('../services/InboundCallService');
+const { VoiceCallModel, VoiceAgentModel } = require('../models');
+const { detectVoicemail, resolveVoicemailPolicy, dropMessageFor } = require('../services/voicemailPolicy');
+const { VAPI_STATUS_MAP, CALL_STATUS, CALL_EVENT_TYPES, CALL_DIRECTIONS } = require('../constants/callStatus');
+const { CALL_OUTCOMES } = require('../constants/retryPolicy');
+const { DEFAULT_CLOSED_MESSAGE } = require('../constants/inboundRouting');
+
 class VAPIWebhookController {
   constructor(db = pool) {
     this.db = db;
+    this.webhookSecurity = new WebhookSecurityService(db);
+    this.webhookInbox = new WebhookInboxService(db);
+    this.callModel = new VoiceCallModel(db);
+    this.agentModel = new VoiceAgentModel(db);
+    this.timeline = new CallTimelineService(db);
+    this.transcriptService = new CallTranscriptService(db);
+    this.retryService = new CallRetryService(db);
+    this.dncService = new DncService(db);
+    this.dispositionService = new CallDispositionService(db, { timelineService: this.timeline, dncService: this.dncService });
+    this.recordingPolicyService = new RecordingPolicyService(db);
+    this.inboundCallService = new InboundCallService(db, {
+      recordingPolicyService: this.recordingPolicyService
+    });
   }
 
   /**
    * POST /api/voice-agent/webhook/vapi
-   * Handle VAPI webhook events
+   * Receive VAPI webhook events
    * 
    * VAPI sends webhooks for:
-   * - call.started
-   * - call.ended
-   * - call.failed
+   * - call.started / call.ended / call.failed
+   * - end-of-call-report
+   * - status-update (queued, ringing, in-progress, forwarding, ended)
+   * - transcript, speech-update, tool-calls, hang
    * 
-   * When call ends, we:
-   * 1. Update call log with final status, duration, recording URL
-   * 2. Calculate cost based on duration
-   * 3. Deduct credits from tenant balance
+   * Every delivery is verified (signature/secret + timestamp window), claimed
+   * in voice_webhook_events and stored in voice_webhook_inbox. Processing happens
+   * asynchronously in WebhookInboxWorker (see processEvent), with retries.
+   * 
+   * An assistant-request (inbound call) must be answered in the response:
+   * after it is stored, the body is the assistant to use, or { error } to
+   * decline the call (see InboundCallService).
+   * 
+   * Responses:
+   * - 200: stored (or a replay that was already stored)
+   * - 401: verification failed (recorded in voice_webhook_rejections)
+   * - 500: payload could not be verified or stored - VAPI should retry
    */
   async handleVAPIWebhook(req, res) {
+    let verification;
     try {
-      const payload = req.body;
-      
-      logger.info('[VAPI Webhook] Received event', {
-        event: payload.event || payload.type,
-        callId: payload.callId || payload.id,
-        status: payload.status
-      });
+      verification = await this.webhookSecurity.verifyRequest(req);
+    } catch (error) {
+      logger.error('[VAPI Webhook] Error verifying webhook', { error: error.message });
 
-      // Extract event type
-      const eventType = payload.event || payload.type;
-      const callData = payload.call || payload;
+      // The call's webhook secret could not be looked up - let VAPI retry the delivery
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify webhook',
+        received: false
+      });
+    }
 
-      switch (eventType) {
-        case 'call.started':
-        case 'assistant-request':
-          await this.handleCallStarted(callData);
-          break;
+    if (!verification.valid) {
+      await this.webhookSecurity.recordRejection(req, verification.reason, {
+        method: verification.method || null,
+        skewSeconds: verification.skewSeconds
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Webhook verification failed',
+        reason: verification.reason
+      });
+    }
 
-        case 'call.ended':
-        case 'end-of-call-report':
-          await this.handleCallEnded(callData);
-          break;
+    try {
+      const { message, eventType, providerCallId } = this.webhookSecurity.describeEvent(req.body);
+      
+      logger.info('[VAPI Webhook] Received event', {
+        event: eventType,
+        callId: providerCallId,
+        status: message.status || message.call?.status
+      });
 
-        case 'call.failed':
-          await this.handleCallFailed(callData);
-          break;
+      const inboxEvent = await this.webhookInbox.enqueueVAPIEvent(req);
+      if (!inboxEvent) {
+        await this.webhookSecurity.recordRejection(req, REJECTION_REASONS.DUPLICATE_EVENT);
+        if (eventType === 'assistant-request') {
+          return res.status(200).json(await this.answerAssistantRequest(message));
+        }
+        return res.status(200).json({ success: true, received: true, duplicate: true });
+      }
 
-        default:
-          logger.warn('[VAPI Webhook] Unknown event type', { eventType });
+      // Answered before the worker runs, so the stored event finds the inbound call log
+      if (eventType === 'assistant-request') {
+        const answer = await this.answerAssistantRequest(message);
+        getWebhookInboxWorker().wake();
+        return res.status(200).json(answer);
       }
 
-      // Always respond with 200 OK for webhooks
-      return res.status(200).json({ success: true, received: true });
+      getWebhookInboxWorker().wake();
+
+      return res.status(200).json({ success: true, received: true, id: inboxEvent.id });
 
     } catch (error) {
-      logger.error('[VAPI Webhook] Error processing webhook', {
+      logger.error('[VAPI Webhook] Error storing webhook', {
         error: error.message,
-        stack: error.stack,
-        body: req.body
+        stack: error.stack
       });
 
-      // Still return 200 to prevent VAPI from retrying
-      return res.status(200).json({ 
+      // Nothing was stored - let VAPI retry the delivery
+      return res.status(500).json({ 
         success: false, 
-        error: 'Internal processing error',
-        received: true 
+        error: 'Failed to store webhook',
+        received: false 
       });
     }
   }
 
+  /**
+   * Process a stored VAPI payload (called by WebhookInboxWorker)
+   * 
+   * When call ends, we:
+   * 1. Update call log with final status, duration, recording URL
+   * 2. Store transcript, summary and structured analysis
+   * 3. Calculate cost based on duration
+   * 4. Deduct credits from tenant balance
+   * 
+   * Throws on failure so the worker can retry with backoff.
+   * @returns {Promise<{tenantId, callLogId}|null>}
+   */
+  async processEvent(payload) {
+    const { message, eventType } = this.webhookSecurity.describeEvent(payload);
+
+    // Extract call data (end-of-call-report carries artifact/endedReason on the message)
+    const callData = { ...message, ...(message.call || {}) };
+
+    switch (eventType) {
+      case 'call.started':
+        return this.handleCallStarted(callData);
+
+      // The inbound call log was created when the request was answered
+      case 'assistant-request':
+        return this.handleCallStarted(callData, { logInbound: false });
+
+      case 'call.ended':
+      case 'end-of-call-report':
+        return this.handleCallEnded(callData);
+
+      case 'call.failed':
+        return this.handleCallFailed(callData);
+
+      case 'status-update':
+        return this.handleStatusUpdate(message, callData);
+
+      case 'transcript':
+        return this.handleTranscript(message, callData);
+
+      case 'speech-update':
+        return this.handleSpeechUpdate(message, callData);
+
+      case 'tool-calls':
+        return this.handleToolCalls(message, callData);
+
+      case 'hang':
+        return this.handleHang(message, callData);
+
+      default:
+        logger.warn('[VAPI Webhook] Unknown event type', { eventType });
+        return null;
+    }
+  }
+
+  /**
+   * Answer an assistant-request: the agent that takes the inbound call, or
+   * { error } to decline it. Never throws - the provider is waiting on it
+   */
+  async answerAssistantRequest(message) {
+    const callData = { ...message, ...(message.call || {}) };
+    try {
+      return await this.inboundCallService.answerAssistantRequest(sanitizeSchema(getSchema()), callData);
+    } catch (error) {
+      logger.error('[VAPI Webhook] Error answering assistant-request', {
+        error: error.message,
+        callId: callData.id
+      });
+      return { error: DEFAULT_CLOSED_MESSAGE };
+    }
+  }
+
+  /**
+   * Call log of an inbound call the provider answered on its own (no
+   * assistant-request), created on its first event
+   */
+  async findOrLogInboundCall(callData) {
+    const callLog = await this.findCallByVAPIId(callData.id);
+    if (callLog || callData.type !== 'inboundPhoneCall') {
+      return callLog;
+    }
+
+    const created = await this.inboundCallService.logInboundCall(sanitizeSchema(getSchema()), callData);
+    return created ? this.findCallByVAPIId(callData.id) : null;
+  }
+
   /**
    * Handle call started event
    */
-  async handleCallStarted(callData) {
+  async handleCallStarted(callData, { logInbound = true } = {}) {
     logger.info('[VAPI Webhook] Call started', {
       callId: callData.id,
       customerNumber: callData.customer?.number,
       status: callData.status
     });
 
-    // Optional: Update call status to "in-progress"
-    // This is useful for real-time UI updates
+    const callLog = logInbound
+      ? await this.findOrLogInboundCall(callData)
+      : await this.findCallByVAPIId(callData.id);
+    if (!callLog) {
+      return null;
+    }
+
+    const schema = sanitizeSchema(getSchema());
+    await this.callModel.applyProgressStatus(schema, callLog.id, callLog.tenant_id, CALL_STATUS.IN_PROGRESS);
+    await this.recordTimelineEvent(callLog, {
+      type: callData.type,
+      timestamp: callData.timestamp,
+      call: { id: callData.id }
+    }, CALL_EVENT_TYPES.CALL_STARTED, {
+      status: CALL_STATUS.IN_PROGRESS
+    });
+
+    return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+  }
+
+  /**
+   * Handle status-update: persist ringing / in-progress / forwarding on the call log
+   * `ended` is only recorded on the timeline - the end-of-call-report sets the final status
+   * @throws {Error} CALL_LOG_NOT_FOUND until the call log has the provider call id
+   */
+  async handleStatusUpdate(message, callData) {
+    const providerStatus = message.status || callData.status;
+    const mappedStatus = VAPI_STATUS_MAP[providerStatus] || null;
+
+    const callLog = await this.findOrLogInboundCall(callData);
+    if (!callLog) {
+      throw this._callLogNotFound(callData);
+    }
+
+    let applied = null;
+    if (mappedStatus) {
+      const schema = sanitizeSchema(getSchema());
+      applied = await this.callModel.applyProgressStatus(schema, callLog.id, callLog.tenant_id, mappedStatus);
+    }
+
+    logger.info('[VAPI Webhook] Status update', {
+      callId: callLog.id,
+      providerStatus,
+      mappedStatus,
+      applied: !!applied
+    });
+
+    await this.recordTimelineEvent(callLog, message, CALL_EVENT_TYPES.STATUS_UPDATE, {
+      status: mappedStatus || providerStatus,
+      content: message.endedReason || null
+    });
+
+    return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+  }
+
+  /**
+   * Handle transcript: only final turns are stored, partial hypotheses are dropped
+   * @throws {Error} CALL_LOG_NOT_FOUND until the call log has the provider call id
+   */
+  async handleTranscript(message, callData) {
+    const transcriptType = message.transcriptType || 'final';
+    if (transcriptType !== 'final' || !message.transcript) {
+      return null;
+    }
+
+    const callLog = await this.findCallByVAPIId(callData.id);
+    if (!callLog) {
+      throw this._callLogNotFound(callData);
+    }
+
+    await this.recordTimelineEvent(callLog, message, CALL_EVENT_TYPES.TRANSCRIPT, {
+      role: message.role || null,
+      content: message.transcript
+    });
+
+    return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+  }
+
+  /**
+   * Handle speech-update (assistant/user started or stopped speaking)
+   */
+  async handleSpeechUpdate(message, callData) {
+    const callLog = await this.findCallByVAPIId(callData.id);
+    if (!callLog) {
+      return null;
+    }
+
+    await this.recordTimelineEvent(callLog, message, CALL_EVENT_TYPES.SPEECH_UPDATE, {
+      status: message.status || null,
+      role: message.role || null
+    });
+
+    return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+  }
+
+  /**
+   * Handle tool-calls
+   * Recorded on the timeline only; tool results are not returned from this
+   * (asynchronous) webhook, so tools that need a response must use their own server URL
+   */
+  async handleToolCalls(message, callData) {
+    const callLog = await this.findCallByVAPIId(callData.id);
+    if (!callLog) {
+      return null;
+    }
+
+    const toolCalls = message.toolCallList || message.toolCalls || [];
+    const toolNames = toolCalls
+      .map(toolCall => toolCall.function?.name || toolCall.name)
+      .filter(Boolean);
+
+    await this.recordTimelineEvent(callLog, message, CALL_EVENT_TYPES.TOOL_CALLS, {
+      content: toolNames.join(', ') || null
+    });
+
+    return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+  }
+
+  /**
+   * Handle hang (assistant did not respond in time)
+   */
+  async handleHang(message, callData) {
+    const callLog = await this.findCallByVAPIId(callData.id);
+    if (!callLog) {
+      return null;
+    }
+
+    logger.warn('[VAPI Webhook] Hang reported', { callId: callLog.id, vapiCallId: callData.id });
+
+    await this.recordTimelineEvent(callLog, message, CALL_EVENT_TYPES.HANG, {
+      content: 'Assistant did not respond in time'
+    });
+
+    return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+  }
+
+  /**
+   * Record a provider message on the call timeline
+   * The embedded `call` object (assistant config, customer) is not copied into the event payload
+   */
+  async recordTimelineEvent(callLog, message, eventType, fields = {}) {
+    const { call, artifact, ...payload } = message || {};
+    const occurredAt = message?.timestamp ? new Date(message.timestamp) : null;
+
+    return this.timeline.recordEvent(callLog, {
+      eventType,
+      providerCallId: call?.id || message?.id || null,
+      payload,
+      occurredAt: occurredAt && !Number.isNaN(occurredAt.getTime()) ? occurredAt : null,
+      ...fields
+    });
   }
 
   /**
@@ -135,24 +429,55 @@ class VAPIWebhookController {
 
       if (!callLog) {
         logger.warn('[VAPI Webhook] Call log not found', { vapiCallId });
-        return;
+        return null;
       }
 
+      const schema = sanitizeSchema(getSchema());
+
+      // Inbound callers reached us: there is no answering machine and no one to call back
+      const inbound = callLog.direction === CALL_DIRECTIONS.INBOUND;
+
+      // Answering-machine detection: voicemail calls get their own outcome and cost line
+      const detection = inbound
+        ? { voicemail: false, answeredBy: null }
+        : detectVoicemail({
+          endedReason: callData.endedReason,
+          answeredBy: callData.answeredBy,
+          segments: this.transcriptService.parseVAPIReport(callData).segments
+        });
+      const voicemailPolicy = detection.voicemail ? await this.getVoicemailPolicy(schema, callLog) : null;
+      const outcome = detection.voicemail
+        ? CALL_OUTCOMES.VOICEMAIL
+        : this.retryService.classifyOutcome(callData.endedReason, status);
+
       // Calculate cost based on duration
-      // Voice calls charge 3 credits per minute (rounded up)
+      // Voice calls charge 3 credits per minute (rounded up); voicemail time has its own rate
       const durationMinutes = Math.ceil(duration / 60);
       const creditsPerMinute = parseInt(process.env.VOICE_CREDITS_PER_MINUTE || '3', 10);
-      const creditsToDeduct = durationMinutes * creditsPerMinute;
+      const voicemailCreditsPerMinute = parseInt(
+        process.env.VOICE_VOICEMAIL_CREDITS_PER_MINUTE || String(creditsPerMinute),
+        10
+      );
+      const conversationCredits = detection.voicemail ? 0 : durationMinutes * creditsPerMinute;
+      const voicemailCredits = detection.voicemail ? durationMinutes * voicemailCreditsPerMinute : 0;
+      const creditsToDeduct = conversationCredits + voicemailCredits;
 
       logger.info('[VAPI Webhook] Calculated call cost', {
         callId: callLog.id,
         duration: `${duration}s`,
         durationMinutes,
         creditsPerMinute,
+        voicemail: detection.voicemail,
         totalCredits: creditsToDeduct
       });
 
-      const schema = sanitizeSchema(getSchema());
+      // Calls the tenant policy says not to record never keep a recording,
+      // even when the provider produced one
+      let storedRecordingUrl = recordingUrl || null;
+      if (storedRecordingUrl && !(await this.recordingPolicyService.isRecordingAllowed(schema, callLog))) {
+        logger.info('[VAPI Webhook] Recording discarded by tenant recording policy', { callId: callLog.id });
+        storedRecordingUrl = null;
+      }
 
       // Update call log with final status, duration, cost, recording
       await this.db.query(
@@ -164,25 +489,42 @@ class VAPIWebhookController {
            cost = $3,
            recording_url = $4,
            cost_breakdown = $5,
+           outcome = $8,
+           answered_by = $9,
            updated_at = NOW()
          WHERE id = $6 AND tenant_id = $7`,
         [
           status,
           duration,
           creditsToDeduct,
-          recordingUrl,
+          storedRecordingUrl,
           JSON.stringify({
             duration_seconds: duration,
             duration_minutes: durationMinutes,
             credits_per_minute: creditsPerMinute,
+            conversation_credits: conversationCredits,
+            ...(detection.voicemail ? {
+              voicemail: {
+                answered_by: detection.answeredBy,
+                action: voicemailPolicy.action,
+                credits_per_minute: voicemailCreditsPerMinute,
+                credits: voicemailCredits
+              }
+            } : {}),
             total_credits_deducted: creditsToDeduct,
             calculation_time: new Date().toISOString()
           }),
           callLog.id,
-          callLog.tenant_id
+          callLog.tenant_id,
+          outcome,
+          detection.answeredBy
         ]
       );
 
+      // Store transcript, summary and analysis before charging, so a failure here
+      // is retried by the inbox worker without having deducted credits yet
+      const transcript = await this.transcriptService.saveFromVAPIReport(callLog, callData, schema);
+
       // Deduct credits from tenant balance
       if (creditsToDeduct > 0) {
         await this.deductCallCredits(
@@ -199,12 +541,38 @@ class VAPIWebhookController {
         );
       }
 
+      await this._bestEffort('record timeline event', () => this.recordTimelineEvent(callLog, {
+        type: callData.type,
+        endedReason: callData.endedReason,
+        timestamp: callData.timestamp,
+        call: { id: vapiCallId }
+      }, CALL_EVENT_TYPES.CALL_ENDED, {
+        status,
+        content: typeof callData.endedReason === 'string' ? callData.endedReason : null
+      }), { callId: callLog.id });
+
+      if (detection.voicemail) {
+        await this.recordVoicemail(callLog, callData, detection, voicemailPolicy);
+      }
+
+      // Before the retry, so a lead who opted out is not called again
+      await this.recordSpokenOptOut(callLog, transcript?.segments);
+
+      await this.recordDisposition(callLog, callData.endedReason, transcript, detection.voicemail);
+
+      if (!inbound) {
+        await this.scheduleRetry(callLog, callData.endedReason, status, outcome);
+      }
+
       logger.info('[VAPI Webhook] Call processing completed', {
         callId: callLog.id,
         status,
-        creditsDeducted: creditsToDeduct
+        creditsDeducted: creditsToDeduct,
+        transcriptTurns: transcript?.segments?.length || 0
       });
 
+      return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+
     } catch (error) {
       logger.error('[VAPI Webhook] Error processing call ended', {
         error: error.message,
@@ -231,7 +599,7 @@ class VAPIWebhookController {
 
       if (!callLog) {
         logger.warn('[VAPI Webhook] Call log not found for failed call', { vapiCallId });
-        return;
+        return null;
       }
 
       const schema = sanitizeSchema(getSchema());
@@ -242,18 +610,41 @@ class VAPIWebhookController {
          SET 
            status = $1,
            ended_at = NOW(),
+           outcome = $4,
            updated_at = NOW()
          WHERE id = $2 AND tenant_id = $3`,
-        ['failed', callLog.id, callLog.tenant_id]
+        [
+          'failed',
+          callLog.id,
+          callLog.tenant_id,
+          this.retryService.classifyOutcome(callData.endedReason, CALL_STATUS.FAILED)
+        ]
       );
 
       // Refund the initial 1 credit that was deducted at call initiation
-      await this.refundCallCredits(callLog.tenant_id, 1, callLog.id, 'Call failed');
+      await this.refundCallCredits(callLog.tenant_id, 1, callLog.id, 'Call failed', { vapiCallId });
+
+      await this._bestEffort('record timeline event', () => this.recordTimelineEvent(callLog, {
+        type: callData.type,
+        endedReason: callData.endedReason,
+        timestamp: callData.timestamp,
+        call: { id: vapiCallId }
+      }, CALL_EVENT_TYPES.CALL_FAILED, {
+        status: CALL_STATUS.FAILED,
+        content: typeof callData.endedReason === 'string' ? callData.endedReason : null
+      }), { callId: callLog.id });
+
+      // Retries call the lead back; an inbound caller is not dialed
+      if (callLog.direction !== CALL_DIRECTIONS.INBOUND) {
+        await this.scheduleRetry(callLog, callData.endedReason, CALL_STATUS.FAILED);
+      }
 
       logger.info('[VAPI Webhook] Failed call processed and refunded', {
         callId: callLog.id
       });
 
+      return { tenantId: callLog.tenant_id, callLogId: callLog.id };
+
     } catch (error) {
       logger.error('[VAPI Webhook] Error processing call failed', {
         error: error.message,
@@ -263,6 +654,90 @@ class VAPIWebhookController {
     }
   }
 
+  /**
+   * Run a follow-up step of a settled call, logging instead of throwing.
+   * Credits are already settled at that point, so a failure here must not
+   * fail the event and trigger a redelivery.
+   */
+  async _bestEffort(label, fn, context = {}) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.warn(`[VAPI Webhook] Failed to ${label}`, { error: error.message, ...context });
+    }
+  }
+
+  /**
+   * Add the number to the tenant's Do-Not-Call list when the lead asked not to be called again
+   */
+  async recordSpokenOptOut(callLog, segments) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return;
+    }
+
+    await this._bestEffort('record spoken opt-out', () => (
+      this.dncService.recordSpokenOptOut(sanitizeSchema(getSchema()), callLog, segments)
+    ), { callId: callLog.id });
+  }
+
+  /**
+   * Voicemail policy of the call's agent (the default when the agent has none)
+   */
+  async getVoicemailPolicy(schema, callLog) {
+    const agent = callLog.agent_id !== null && callLog.agent_id !== undefined
+      ? await this.agentModel.getAgentProviderConfig(schema, callLog.agent_id, callLog.tenant_id)
+      : null;
+    return resolveVoicemailPolicy(agent?.voicemail_policy);
+  }
+
+  /**
+   * Record the voicemail detection and what the agent did on the call timeline
+   */
+  async recordVoicemail(callLog, callData, detection, policy) {
+    await this._bestEffort('record voicemail event', () => this.recordTimelineEvent(callLog, {
+      type: 'voicemail',
+      endedReason: callData.endedReason,
+      timestamp: callData.timestamp,
+      call: { id: callData.id }
+    }, CALL_EVENT_TYPES.VOICEMAIL, {
+      status: policy.action,
+      content: dropMessageFor(policy),
+      metadata: {
+        answered_by: detection.answeredBy,
+        action: policy.action,
+        message_type: dropMessageFor(policy) ? policy.message_type : null
+      }
+    }), { callId: callLog.id });
+  }
+
+  /**
+   * Classify how the call went (interested, callback requested, voicemail...)
+   */
+  async recordDisposition(callLog, endedReason, transcript, voicemail = false) {
+    await this._bestEffort('classify call disposition', () => (
+      this.dispositionService.classifyCall(sanitizeSchema(getSchema()), callLog, { endedReason, transcript, voicemail })
+    ), { callId: callLog.id });
+  }
+
+  /**
+   * Queue the next attempt when the call's retry policy covers how it ended
+   */
+  async scheduleRetry(callLog, endedReason, status, outcome = null) {
+    await this._bestEffort('schedule call retry', () => (
+      this.retryService.scheduleRetryForCall(sanitizeSchema(getSchema()), callLog.id, { endedReason, status, outcome })
+    ), { callId: callLog.id });
+  }
+
+  /**
+   * Events can arrive before initiateCall has stored the provider call id on
+   * the call log; failing them makes the inbox worker deliver them again later
+   */
+  _callLogNotFound(callData) {
+    const err = new Error(`Call log not found for VAPI call ${callData.id}`);
+    err.code = 'CALL_LOG_NOT_FOUND';
+    return err;
+  }
+
   /**
    * Find call log by VAPI call ID
    */
@@ -270,7 +745,11 @@ class VAPIWebhookController {
     const schema = sanitizeSchema(getSchema());
 
     const result = await this.db.query(
-      `SELECT id, tenant_id, status, created_at
+      `SELECT id, tenant_id, agent_id, status, direction, created_at, metadata,
+              COALESCE(
+                metadata->'call_request'->>'toNumber',
+                CONCAT(to_country_code, to_base_number)
+              ) AS to_number
        FROM ${schema}.voice_call_logs
        WHERE provider_call_id = $1 OR metadata->>'vapiCallId' = $1
        LIMIT 1`,
@@ -281,7 +760,9 @@ class VAPIWebhookController {
   }
 
   /**
-   * Deduct credits from tenant balance for completed call
+   * Deduct credits from tenant balance for completed call, once per provider
+   * call (metadata.vapiCallId)
+   * @returns {Promise<boolean>} false when the call was already charged
    */
   async deductCallCredits(tenantId, credits, callId, metadata = {}) {
     const schema = sanitizeSchema(getSchema());
@@ -290,6 +771,11 @@ class VAPIWebhookController {
     try {
       await client.query('BEGIN');
 
+      if (!(await this._claimSettlement(client, schema, 'deduction', { tenantId, credits, callId, metadata }))) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
       // Deduct from user balance
       await client.query(
         `UPDATE ${schema}.user_credits 
@@ -331,6 +817,7 @@ class VAPIWebhookController {
         credits,
         callId
       });
+      return true;
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -347,15 +834,21 @@ class VAPIWebhookController {
   }
 
   /**
-   * Refund credits when call fails
+   * Refund credits when call fails, once per provider call (metadata.vapiCallId)
+   * @returns {Promise<boolean>} false when the call was already refunded
    */
-  async refundCallCredits(tenantId, credits, callId, reason = '') {
+  async refundCallCredits(tenantId, credits, callId, reason = '', metadata = {}) {
     const schema = sanitizeSchema(getSchema());
     const client = await this.db.connect();
 
     try {
       await client.query('BEGIN');
 
+      if (!(await this._claimSettlement(client, schema, 'refund', { tenantId, credits, callId, metadata }))) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
       // Add credits back to balance
       await client.query(
         `UPDATE ${schema}.user_credits 
@@ -385,6 +878,7 @@ class VAPIWebhookController {
             usage_type: 'voice_call_refund',
             call_id: callId,
             reason,
+            ...metadata,
             timestamp: new Date().toISOString()
           }
         ]
@@ -398,6 +892,7 @@ class VAPIWebhookController {
         callId,
         reason
       });
+      return true;
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -412,6 +907,43 @@ class VAPIWebhookController {
       client.release();
     }
   }
+
+  /**
+   * Record a provider call's settlement in the credits transaction. The
+   * unique key makes a re-run of the same webhook event a no-op.
+   * @returns {Promise<boolean>} false when the call was already settled
+   */
+  async _claimSettlement(client, schema, settlementType, { tenantId, credits, callId, metadata }) {
+    const providerCallId = metadata.vapiCallId;
+    if (!providerCallId) {
+      throw new Error(`Cannot settle call ${callId} without its provider call ID`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO ${schema}.voice_call_settlements (
+        tenant_id,
+        provider,
+        provider_call_id,
+        call_log_id,
+        settlement_type,
+        credits
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (provider, provider_call_id, settlement_type) DO NOTHING
+      RETURNING id`,
+      [tenantId, WebhookSecurityService.PROVIDER_VAPI, String(providerCallId), callId, settlementType, credits]
+    );
+
+    if (result.rowCount === 0) {
+      logger.info('[VAPI Webhook] Call already settled, skipping', {
+        tenantId,
+        callId,
+        providerCallId,
+        settlementType
+      });
+      return false;
+    }
+    return true;
+  }
 }
 
 module.exports = VAPIWebhookController;
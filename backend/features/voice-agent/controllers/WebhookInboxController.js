@@ -0,0 +1,122 @@
+/**
+ * Webhook Inbox Controller
+ *
+ * Admin endpoints to inspect stored provider webhooks and re-drive
+ * events that failed or were moved to dead_letter
+ */
+
+const { WebhookInboxService } = require('../services');
+const { getWebhookInboxWorker } = require('../services/WebhookInboxWorker');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class WebhookInboxController {
+  constructor(db) {
+    this.webhookInboxService = new WebhookInboxService(db);
+  }
+
+  _isAdmin(req) {
+    return req.user?.role === 'admin';
+  }
+
+  /**
+   * GET /webhooks/inbox
+   * List stored webhook events for the tenant (filter with ?status=dead_letter)
+   */
+  async listInboxEvents(req, res) {
+    if (!this._isAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = getSchema(req);
+      const { status, page, limit } = req.query;
+
+      const currentPage = page ? parseInt(page, 10) : 1;
+      const pageSize = limit ? Math.min(parseInt(limit, 10), 200) : 50;
+      const offset = (currentPage - 1) * pageSize;
+
+      const { events, total } = await this.webhookInboxService.listEvents(schema, tenantId, {
+        status,
+        limit: pageSize,
+        offset
+      });
+
+      const totalPages = Math.ceil(total / pageSize);
+
+      res.json({
+        success: true,
+        data: events,
+        count: events.length,
+        pagination: {
+          page: currentPage,
+          limit: pageSize,
+          total,
+          totalPages,
+          hasNextPage: currentPage < totalPages,
+          hasPreviousPage: currentPage > 1
+        }
+      });
+    } catch (error) {
+      logger.error('[WebhookInboxController] List inbox events error', { error: error.message });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to fetch webhook events',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /webhooks/inbox/:id/redrive
+   * Reset a failed or dead-lettered event so the worker processes it again
+   */
+  async redriveInboxEvent(req, res) {
+    if (!this._isAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = getSchema(req);
+      const { id } = req.params;
+
+      const event = await this.webhookInboxService.redriveEvent(schema, tenantId, id, {
+        redrivenBy: req.user?.userId || req.user?.id || null
+      });
+
+      getWebhookInboxWorker().wake();
+
+      res.json({
+        success: true,
+        data: event
+      });
+    } catch (error) {
+      logger.error('[WebhookInboxController] Redrive inbox event error', {
+        error: error.message,
+        id: req.params.id
+      });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to re-drive webhook event',
+        code: error.code,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = WebhookInboxController;
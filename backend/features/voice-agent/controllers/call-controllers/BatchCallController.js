@@ -1,7 +1,14 @@
-const axios = require('axios');
-const { VAPIService, BatchService } = require('../../services');
-const gcsLinkStore = require('../../services/GCSLinkStore');
+const { BatchService } = require('../../services');
+const BatchDispatchService = require('../../services/BatchDispatchService');
+const DncService = require('../../services/DncService');
+const PhonePolicyService = require('../../services/PhonePolicyService');
+const RecordingPolicyService = require('../../services/RecordingPolicyService');
+const { getBatchDispatchWorker } = require('../../services/BatchDispatchWorker');
+const { BATCH_DISPATCH_MODES } = require('../../constants/batchStatus');
+const { getProviderRegistry } = require('../../services/providers');
+const UploadSessionService = require('../../services/UploadSessionService');
 const GCSUploadService = require('../../services/GCSUploadService');
+const LeadImportService = require('../../services/LeadImportService');
 let logger;
 try {
   logger = require('../../../../core/utils/logger');
@@ -12,12 +19,30 @@ try {
 
 const { getSchema, sanitizeSchema } = require('../../../../core/utils/schemaHelper');
 
+// Multipart bodies carry objects and arrays as JSON strings
+const maybeParseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!trimmed) return value;
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    return value;
+  }
+};
+
 class BatchCallController {
   constructor(db) {
-    this.vapiService = new VAPIService();
+    this.providerRegistry = getProviderRegistry();
     this.db = db;
     this.batchService = new BatchService(db);
+    this.batchDispatchService = new BatchDispatchService(db);
+    this.dncService = new DncService(db);
+    this.phonePolicyService = new PhonePolicyService(db);
+    this.recordingPolicyService = new RecordingPolicyService(db);
     this.gcsUploadService = new GCSUploadService();
+    this.uploadSessionService = new UploadSessionService(db, { uploadService: this.gcsUploadService });
+    this.leadImportService = new LeadImportService(db, { batchDispatchService: this.batchDispatchService });
   }
 
   /**
@@ -52,74 +77,68 @@ class BatchCallController {
         });
       }
 
-      // VAPI agents use VAPI batch API; others forward to legacy BASE_URL /calls/batch
-      if (this.vapiService.shouldUseVAPI(agentId)) {
-        // Initiate batch calls via VAPI
-        const vapiResults = await this.vapiService.batchInitiateCalls({
-          entries,
-          globalContext,
-          agentId,
-          assistantOverrides,
-          tenantId,
-          userId
-        });
+      const batchRequest = {
+        entries: entries.map(entry => ({
+          toNumber: entry.phoneNumber,
+          leadName: entry.leadName || entry.name,
+          leadId: entry.leadId,
+          // Context priority: entry.added_context > entry.summary > global context
+          addedContext: entry.added_context || entry.summary
+        })),
+        agentId,
+        voiceId,
+        fromNumber,
+        addedContext: globalContext,
+        assistantOverrides,
+        initiatedBy: userId,
+        tenantId,
+        userId
+      };
 
-        return res.json({
-          success: true,
-          message: 'Batch calls initiated via VAPI',
-          data: vapiResults
-        });
-      } else {
-        // Legacy batch call handling
-        const baseUrl = process.env.BASE_URL;
-        const frontendHeader = req.headers['x-frontend-id'];
-        const frontendApiKey = process.env.FRONTEND_API_KEY;
+      const schema = sanitizeSchema(getSchema(req));
+      const { callable, skipped, blocked } = await this._excludeSuppressed(schema, tenantId, batchRequest.entries);
+      if (callable.length === 0) {
+        return this._sendNothingCallable(res, skipped, blocked);
+      }
+      batchRequest.entries = callable;
+      await this.recordingPolicyService.applyToBatchRequest(schema, batchRequest);
+
+      const { provider, agent } = await this.providerRegistry.resolveForCall({ schema, tenantId, agentId });
+      const result = await provider.batchInitiateCalls(batchRequest, {
+        legacy: true,
+        schema,
+        agent,
+        frontendId: req.headers['x-frontend-id']
+      });
 
-        if (!baseUrl) {
+      if (!result.success) {
+        if (result.notConfigured) {
           return res.status(500).json({
             success: false,
             error: 'BASE_URL is not configured for batch call forwarding'
           });
         }
 
-        const batchPayload = {
-          entries,
-          agent_id: agentId,
-          voice_id: voiceId,
-          from_number: fromNumber,
-          added_context: globalContext,
-          initiated_by: userId
-        };
-
-        try {
-          const response = await axios.post(`${baseUrl}/calls/batch`, batchPayload, {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(frontendHeader && { 'X-Frontend-ID': frontendHeader }),
-              ...(frontendApiKey && { 'X-API-Key': frontendApiKey })
-            }
-          });
-
-          return res.json({
-            success: true,
-            message: 'Batch calls forwarded to remote API',
-            data: response.data
-          });
-        } catch (forwardError) {
-          logger.error('Error forwarding batch call data to remote API:', forwardError.message);
-          
-          return res.status(502).json({
-            success: false,
-            error: 'Failed to forward batch calls to remote API',
-            details: forwardError.response?.data || forwardError.message
-          });
-        }
+        logger.error('Error forwarding batch calls to provider:', result.error);
+        return res.status(502).json({
+          success: false,
+          error: `Failed to forward batch calls to ${provider.name}`,
+          details: result.errorDetails || result.error
+        });
       }
+
+      return res.json({
+        success: true,
+        message: `Batch calls initiated via ${provider.name}`,
+        data: result.data,
+        skipped
+      });
     } catch (error) {
       logger.error('Batch initiate calls error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to initiate batch calls',
+        error: error.status ? error.message : 'Failed to initiate batch calls',
+        code: error.code,
         message: error.message
       });
     }
@@ -140,17 +159,6 @@ class BatchCallController {
         body: req.body
       });
 
-      const maybeParseJson = (value) => {
-        if (typeof value !== 'string') return value;
-        const trimmed = value.trim();
-        if (!trimmed) return value;
-        try {
-          return JSON.parse(trimmed);
-        } catch (e) {
-          return value;
-        }
-      };
-
       const pickSingleFile = (fieldName) => {
         const list = req.files?.[fieldName];
         if (!list || !Array.isArray(list) || list.length === 0) return null;
@@ -165,10 +173,16 @@ class BatchCallController {
       const agent_id = req.body?.agent_id;
       const attachment_link = req.body?.attachment_link;
       const json_link = req.body?.json_link;
+      const upload_session_id = req.body?.upload_session_id;
       const llm_provider = req.body?.llm_provider;
       const llm_model = req.body?.llm_model;
       const knowledge_base_store_ids = maybeParseJson(req.body?.knowledge_base_store_ids);
       const entries = maybeParseJson(req.body?.entries);
+      const max_concurrent_calls = req.body?.max_concurrent_calls;
+      const calls_per_minute = req.body?.calls_per_minute;
+      const scheduled_at = req.body?.scheduled_at;
+      const retry_policy = maybeParseJson(req.body?.retry_policy);
+      const business_hours = maybeParseJson(req.body?.business_hours);
 
       // Validate required fields
       if (!voice_id) {
@@ -185,24 +199,15 @@ class BatchCallController {
         });
       }
 
-      // Validate each entry
+      // Numbers are parsed with the tenant's phone policy downstream (400 for
+      // numbers that cannot be dialed, blocked destinations are skipped)
       for (let i = 0; i < entries.length; i++) {
-        const entry = entries[i];
-        if (!entry.to_number) {
+        if (!entries[i].to_number) {
           return res.status(400).json({
             success: false,
             error: `Entry ${i}: to_number is required`
           });
         }
-
-        // Validate E.164 format
-        const e164Regex = /^\+[1-9]\d{1,14}$/;
-        if (!e164Regex.test(entry.to_number)) {
-          return res.status(400).json({
-            success: false,
-            error: `Entry ${i}: to_number must be in E.164 format`
-          });
-        }
       }
 
       // Build payload for downstream service
@@ -237,107 +242,124 @@ class BatchCallController {
 
         uploadAttachmentLink = excelUpload.url;
         uploadJsonLink = jsonUpload.url;
-
-        // store for compatibility / follow-up calls, but we won't rely on it for this request
-        gcsLinkStore.setLinks({
-          tenantId,
-          userId,
-          attachment_link: uploadAttachmentLink,
-          json_link: uploadJsonLink
-        });
       }
 
-      const storedLinks = gcsLinkStore.getLinks({ tenantId, userId, consume: true });
-      const resolvedAttachmentLink = attachment_link || uploadAttachmentLink || storedLinks?.attachment_link || null;
-      const resolvedJsonLink = json_link || uploadJsonLink || storedLinks?.json_link || null;
-
-      const batchPayload = {
-        voice_id,
-        from_number: from_number || null,
-        added_context: added_context || null,
-        initiated_by: initiated_by || userId || null, // Default to authenticated user when not provided
-        agent_id: agent_id || 'default',
-        attachment_link: resolvedAttachmentLink,
-        json_link: resolvedJsonLink,
-        llm_provider: llm_provider || null,
-        llm_model: llm_model || null,
-        knowledge_base_store_ids: knowledge_base_store_ids || null,
+      const schema = sanitizeSchema(getSchema(req));
+
+      // Files uploaded earlier through /upload-gcp (possibly on another instance);
+      // the session is only used up by the batch that is created
+      const sessionUpload = upload_session_id
+        ? await this.uploadSessionService.getSessionUpload(schema, tenantId, upload_session_id, userId)
+        : null;
+
+      const resolvedAttachmentLink = attachment_link || uploadAttachmentLink || sessionUpload?.attachmentLink || null;
+      const resolvedJsonLink = json_link || uploadJsonLink || sessionUpload?.jsonLink || null;
+
+      const batchRequest = {
+        voiceId: voice_id,
+        fromNumber: from_number,
+        addedContext: added_context,
+        initiatedBy: initiated_by || userId || null, // Default to authenticated user when not provided
+        agentId: agent_id,
+        attachmentLink: resolvedAttachmentLink,
+        jsonLink: resolvedJsonLink,
+        llmProvider: llm_provider,
+        llmModel: llm_model,
+        knowledgeBaseStoreIds: knowledge_base_store_ids,
         entries: entries.map(entry => ({
-          to_number: entry.to_number,
-          lead_name: entry.lead_name || null,
-          added_context: entry.added_context || null,
-          lead_id: entry.lead_id || null, // Now supports UUID string
-          knowledge_base_store_ids: entry.knowledge_base_store_ids || null
+          toNumber: entry.to_number,
+          leadName: entry.lead_name,
+          addedContext: entry.added_context,
+          leadId: entry.lead_id, // Supports UUID string
+          knowledgeBaseStoreIds: entry.knowledge_base_store_ids
         })),
-        tenant_id: tenantId,
-        user_id: userId
+        tenantId,
+        userId
       };
 
-      logger.info('[BatchCallController] V2 payload prepared', { 
-        batchPayload: { ...batchPayload, entries: `${entries.length} entries` } 
-      });
+      // Native dispatch: persist the batch and let BatchDispatchWorker dial it within the tenant's limits
+      if (this.batchDispatchService.isNativeDispatchEnabled()) {
+        const batch = await this._withUploadSession(schema, tenantId, sessionUpload, () =>
+          this.batchDispatchService.createBatch(schema, batchRequest, {
+            maxConcurrentCalls: max_concurrent_calls,
+            callsPerMinute: calls_per_minute,
+            scheduledAt: scheduled_at,
+            retryPolicy: retry_policy,
+            businessHours: business_hours
+          })
+        );
+        getBatchDispatchWorker().wake();
 
-      // Use existing VAPI service or forward to external service
-      if (this.vapiService.shouldUseVAPI(agent_id)) {
-        const result = await this.vapiService.batchInitiateCalls(batchPayload);
         return res.json({
           success: true,
-          result,
-          message: 'Batch calls initiated successfully via VAPI'
+          result: {
+            batch_id: batch.id,
+            status: batch.status,
+            total_calls: batch.total_calls,
+            dispatch_mode: batch.dispatch_mode,
+            scheduled_at: batch.scheduled_at,
+            skipped_calls: batch.skipped.length,
+            skipped: batch.skipped
+          },
+          message: 'Batch queued for dispatch'
         });
-      } else {
-        // Forward to external voice agent service
-        const baseUrl = process.env.BASE_URL;
-        if (!baseUrl) {
-          return res.status(500).json({
-            success: false,
-            error: 'External voice agent service not configured'
-          });
-        }
+      }
 
-        const headers = {
-          'Content-Type': 'application/json',
-          'X-Frontend-ID': process.env.BASE_URL_FRONTEND_HEADER || 'dev',
-          'X-API-Key': process.env.BASE_URL_FRONTEND_APIKEY || ''
-        };
-
-        // If the downstream requires the same JWT, pass it through.
-        // This is also important if BASE_URL accidentally points back to this service.
-        const authHeader = req.headers?.authorization;
-        if (authHeader) {
-          headers.Authorization = authHeader;
-        }
+      // Forwarded batches are dialed by the provider, so suppressed numbers are left out here
+      const { callable, skipped, blocked } = await this._excludeSuppressed(schema, tenantId, batchRequest.entries);
+      if (callable.length === 0) {
+        return this._sendNothingCallable(res, skipped, blocked);
+      }
+      batchRequest.entries = callable;
+      await this.recordingPolicyService.applyToBatchRequest(schema, batchRequest);
 
-        // Preserve tenant context for services that rely on x-tenant-id.
-        const tenantHeader = req.headers?.['x-tenant-id'];
-        if (tenantHeader) {
-          headers['x-tenant-id'] = tenantHeader;
-        }
+      const { provider, agent } = await this.providerRegistry.resolveForCall({ schema, tenantId, agentId: agent_id });
 
-        try {
-          const response = await axios.post(`${baseUrl}/batch/trigger-batch-call`, batchPayload, { headers });
+      logger.info('[BatchCallController] V2 batch request prepared', {
+        provider: provider.key,
+        batchRequest: { ...batchRequest, entries: `${entries.length} entries` }
+      });
 
-          return res.json({
-            success: true,
-            result: response.data,
-            message: 'Batch calls initiated successfully via external service'
-          });
-        } catch (forwardError) {
-          logger.error('[BatchCallController] Forward to external service failed', {
-            error: forwardError.message,
-            status: forwardError.response?.status,
-            data: forwardError.response?.data
-          });
+      // Pass through the caller's JWT and tenant context for the downstream service
+      const result = await this._withUploadSession(schema, tenantId, sessionUpload, () =>
+        provider.batchInitiateCalls(batchRequest, {
+          schema,
+          agent,
+          authorization: req.headers?.authorization,
+          tenantHeader: req.headers?.['x-tenant-id']
+        }),
+        forwarded => forwarded.success
+      );
 
-          return res.status(forwardError.response?.status || 502).json({
+      if (!result.success) {
+        if (result.notConfigured) {
+          return res.status(500).json({
             success: false,
-            error: 'Failed to forward batch calls to external service',
-            message: forwardError.response?.data?.message || forwardError.message,
-            details: forwardError.response?.data || null
+            error: 'External voice agent service not configured'
           });
         }
+
+        logger.error('[BatchCallController] Forward to provider failed', {
+          provider: provider.key,
+          error: result.error,
+          status: result.httpStatus
+        });
+
+        return res.status(result.httpStatus || 502).json({
+          success: false,
+          error: `Failed to forward batch calls to ${provider.name}`,
+          message: result.error,
+          details: result.errorDetails || null
+        });
       }
 
+      return res.json({
+        success: true,
+        result: result.data,
+        skipped,
+        message: `Batch calls initiated successfully via ${provider.name}`
+      });
+
     } catch (error) {
       logger.error('[BatchCallController] V2 batchInitiateCalls failed', { 
         error: error.message, 
@@ -345,14 +367,187 @@ class BatchCallController {
         body: req.body 
       });
       
-      return res.status(500).json({
+      return res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to initiate batch calls',
+        error: error.status ? error.message : 'Failed to initiate batch calls',
+        code: error.code,
         message: error.message
       });
     }
   }
 
+  /**
+   * V2: Create a draft batch from an uploaded lead file (.xlsx or CSV)
+   * POST /batch/batch-import
+   * Multipart: file, plus the trigger-batch-call fields (voice_id, agent_id, from_number, ...)
+   * and mapping (JSON: lead field -> column name), default_country, sheet_name.
+   * With dry_run=true only the validation report and a preview of the entries are returned.
+   */
+  async importBatchFileV2(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const userId = req.user?.id || req.user?.userId;
+      const body = req.body || {};
+      const dryRun = body.dry_run === true || body.dry_run === 'true';
+
+      logger.info('[BatchCallController] V2 importBatchFile called', {
+        tenantId,
+        userId,
+        fileName: req.file?.originalname,
+        size: req.file?.size,
+        dryRun
+      });
+
+      const importOptions = {
+        mapping: maybeParseJson(body.mapping) || null,
+        defaultCountry: body.default_country || null,
+        sheetName: body.sheet_name || null
+      };
+
+      if (dryRun) {
+        const schema = sanitizeSchema(getSchema(req));
+        const { entries, report } = await this.leadImportService.previewFile(schema, tenantId, req.file, importOptions);
+        return res.json({
+          success: true,
+          result: {
+            report,
+            entries: entries.slice(0, 100)
+          },
+          message: `${report.valid_rows} of ${report.total_rows} rows can be called`
+        });
+      }
+
+      if (!body.voice_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'voice_id is required'
+        });
+      }
+
+      const schema = sanitizeSchema(getSchema(req));
+      const { batch, report } = await this.leadImportService.createDraftBatch(schema, {
+        voiceId: body.voice_id,
+        fromNumber: body.from_number,
+        addedContext: body.added_context,
+        initiatedBy: body.initiated_by || userId || null,
+        agentId: body.agent_id,
+        attachmentLink: null,
+        jsonLink: null,
+        llmProvider: body.llm_provider,
+        llmModel: body.llm_model,
+        knowledgeBaseStoreIds: maybeParseJson(body.knowledge_base_store_ids),
+        tenantId,
+        userId
+      }, req.file, importOptions, {
+        maxConcurrentCalls: body.max_concurrent_calls,
+        callsPerMinute: body.calls_per_minute,
+        scheduledAt: body.scheduled_at,
+        retryPolicy: maybeParseJson(body.retry_policy),
+        businessHours: maybeParseJson(body.business_hours)
+      });
+
+      return res.status(201).json({
+        success: true,
+        result: {
+          batch_id: batch.id,
+          status: batch.status,
+          total_calls: batch.total_calls,
+          scheduled_at: batch.scheduled_at,
+          skipped_calls: batch.skipped.length,
+          skipped: batch.skipped,
+          report
+        },
+        message: 'Draft batch created; launch it with POST /batch/batch-launch/:id'
+      });
+    } catch (error) {
+      logger.error('[BatchCallController] V2 importBatchFile failed', {
+        error: error.message,
+        code: error.code,
+        fileName: req.file?.originalname
+      });
+
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to import lead file',
+        code: error.code,
+        message: error.message,
+        ...(error.sheets ? { sheets: error.sheets } : {}),
+        ...(error.report ? { report: error.report } : {})
+      });
+    }
+  }
+
+  /**
+   * Split batch entries ({ toNumber }, normalized to E.164 in place) into
+   * callable ones and those blocked by the phone policy or on a Do-Not-Call list
+   *
+   * @returns {Promise<{ callable: Array<Object>, skipped: Array<{ to_number, reason }>, blocked: number }>}
+   * @throws {Error} 400 when an entry's number cannot be dialed
+   */
+  async _excludeSuppressed(schema, tenantId, entries) {
+    const phoneChecks = await this.phonePolicyService.checkBatchEntries(schema, tenantId, entries);
+    const dncChecks = await this.dncService.checkNumbers(schema, tenantId, entries.map(entry => entry.toNumber));
+    const reasons = entries.map((entry, index) => {
+      if (!phoneChecks[index].allowed) return phoneChecks[index].reason;
+      return dncChecks[index].suppressed ? dncChecks[index].reason : null;
+    });
+
+    const callable = entries.filter((entry, index) => !reasons[index]);
+    const skipped = entries
+      .map((entry, index) => ({ to_number: entry.toNumber, reason: reasons[index] }))
+      .filter(entry => entry.reason);
+    const blocked = phoneChecks.filter(check => !check.allowed).length;
+
+    if (skipped.length > 0) {
+      logger.info('[BatchCallController] Blocked and Do-Not-Call numbers left out of batch', {
+        tenantId,
+        skipped: skipped.length,
+        blocked,
+        callable: callable.length
+      });
+    }
+    return { callable, skipped, blocked };
+  }
+
+  /**
+   * Create the batch with its upload session (if any) claimed, releasing the
+   * session again when the batch is not created
+   *
+   * @param {Function} create - Creates the batch
+   * @param {Function} [succeeded] - Whether create's result is a created batch (default: it resolved)
+   */
+  async _withUploadSession(schema, tenantId, sessionUpload, create, succeeded = () => true) {
+    if (!sessionUpload) {
+      return create();
+    }
+
+    const sessionId = sessionUpload.session.id;
+    await this.uploadSessionService.claimSession(schema, tenantId, sessionId);
+
+    let result;
+    try {
+      result = await create();
+    } catch (error) {
+      await this.uploadSessionService.releaseSession(schema, tenantId, sessionId);
+      throw error;
+    }
+    if (!succeeded(result)) {
+      await this.uploadSessionService.releaseSession(schema, tenantId, sessionId);
+    }
+    return result;
+  }
+
+  _sendNothingCallable(res, skipped, blocked) {
+    return res.status(403).json({
+      success: false,
+      error: blocked > 0
+        ? 'No number in the batch can be called: every number is blocked or on a Do-Not-Call list'
+        : 'Every number in the batch is on a Do-Not-Call list',
+      code: blocked > 0 ? 'DESTINATION_BLOCKED' : 'DNC_SUPPRESSED',
+      skipped
+    });
+  }
+
   /**
    * V2: Get batch status
    * GET /batch/batch-status/:id
@@ -388,7 +583,23 @@ class BatchCallController {
             vcb.scheduled_at,
             vcb.started_at,
             vcb.finished_at,
+            vcb.dispatch_mode,
+            vcb.max_concurrent_calls,
+            vcb.calls_per_minute,
+            vcb.paused_at,
+            vcb.retry_policy,
+            vcb.business_hours,
             vcb.metadata,
+            (
+              SELECT COUNT(*)::int
+              FROM ${schema}.voice_call_batch_entries pe
+              WHERE pe.batch_id = vcb.id AND pe.is_deleted = false AND pe.status = 'pending'
+            ) as pending_calls,
+            (
+              SELECT COUNT(*)::int
+              FROM ${schema}.voice_call_batch_entries se
+              WHERE se.batch_id = vcb.id AND se.is_deleted = false AND se.status = 'skipped'
+            ) as skipped_calls,
             vcb.created_at,
             vcb.updated_at,
             va.name as agent_name,
@@ -402,8 +613,14 @@ class BatchCallController {
                   'to_phone', vce.to_phone,
                   'status', vce.status,
                   'last_error', vce.last_error,
+                  'skip_reason', vce.skip_reason,
+                  'attempts', vce.attempts,
+                  'next_attempt_at', vce.next_attempt_at,
+                  'root_call_log_id', vce.root_call_log_id,
+                  'dispatched_at', vce.dispatched_at,
+                  'finished_at', vce.finished_at,
                   'created_at', vce.created_at
-                )
+                ) ORDER BY vce.position ASC NULLS LAST, vce.created_at ASC
               )
               FROM ${schema}.voice_call_batch_entries vce
               WHERE vce.batch_id = vcb.id AND vce.is_deleted = false
@@ -438,6 +655,16 @@ class BatchCallController {
               scheduledAt: batch.scheduled_at,
               startedAt: batch.started_at,
               finishedAt: batch.finished_at,
+              dispatchMode: batch.dispatch_mode,
+              maxConcurrentCalls: batch.max_concurrent_calls,
+              callsPerMinute: batch.calls_per_minute,
+              pausedAt: batch.paused_at,
+              retryPolicy: batch.retry_policy,
+              businessHours: batch.business_hours,
+              pendingCalls: batch.pending_calls,
+              skippedCalls: batch.skipped_calls,
+              // paused / resumed / rescheduled / cancelled, oldest first
+              transitions: batch.metadata?.status_history || [],
               metadata: batch.metadata,
               entries: batch.entries || [],
               createdAt: batch.created_at,
@@ -454,36 +681,28 @@ class BatchCallController {
         });
       }
 
-      // If not found in database, forward to external service
-      const baseUrl = process.env.BASE_URL;
-      if (!baseUrl) {
-        return res.status(404).json({
+      // If not found in database, ask the default provider (external voice service)
+      const provider = this.providerRegistry.getDefault();
+      const result = await provider.getBatchStatus(id);
+
+      if (!result.success) {
+        if (result.notConfigured) {
+          return res.status(404).json({
+            success: false,
+            error: 'Batch not found in database and external service not configured'
+          });
+        }
+
+        return res.status(500).json({
           success: false,
-          error: 'Batch not found in database and external service not configured'
+          error: 'Failed to get batch status',
+          message: result.error
         });
       }
 
-      const headers = {
-        'Content-Type': 'application/json',
-        'X-Frontend-ID': process.env.BASE_URL_FRONTEND_HEADER || 'dev',
-        'X-API-Key': process.env.BASE_URL_FRONTEND_APIKEY || ''
-      };
-
-      logger.info('[BatchCallController] Calling external service', { 
-        url: `${baseUrl}/batch/batch-status/${id}`,
-        headers: { ...headers, 'X-API-Key': '***' }
-      });
-
-      const response = await axios.get(`${baseUrl}/batch/batch-status/${id}`, { headers });
-      
-      logger.info('[BatchCallController] External service response received', { 
-        status: response.status,
-        hasData: !!response.data
-      });
-
       return res.json({
         success: true,
-        batch: response.data,
+        batch: result.data,
         message: 'Batch status retrieved from external service'
       });
 
@@ -522,26 +741,42 @@ class BatchCallController {
         });
       }
 
-      // Forward to external service
-      const baseUrl = process.env.BASE_URL;
-      if (!baseUrl) {
+      // Natively dispatched batches are cancelled here; others belong to the external service
+      const schema = sanitizeSchema(getSchema(req));
+      const localBatch = await this.batchDispatchService.getBatch(schema, tenantId, id);
+      if (localBatch?.dispatch_mode === BATCH_DISPATCH_MODES.NATIVE) {
+        const force = req.body?.force === true || req.body?.force === 'true';
+        const cancelled = await this.batchDispatchService.cancelBatch(schema, tenantId, id, {
+          force,
+          userId: req.user?.id || req.user?.userId || null
+        });
+
+        return res.json({
+          success: true,
+          result: {
+            batch_id: cancelled.batch.id,
+            status: cancelled.batch.status,
+            cancelled_entries: cancelled.cancelledEntries,
+            ended_calls: cancelled.endedCalls
+          },
+          message: 'Batch cancelled successfully'
+        });
+      }
+
+      const provider = this.providerRegistry.getDefault();
+      const result = await provider.cancelBatch(id);
+
+      if (!result.success) {
         return res.status(500).json({
           success: false,
-          error: 'External voice agent service not configured'
+          error: result.notConfigured ? 'External voice agent service not configured' : 'Failed to cancel batch',
+          message: result.error
         });
       }
 
-      const headers = {
-        'Content-Type': 'application/json',
-        'X-Frontend-ID': process.env.BASE_URL_FRONTEND_HEADER || 'dev',
-        'X-API-Key': process.env.BASE_URL_FRONTEND_APIKEY || ''
-      };
-
-      const response = await axios.post(`${baseUrl}/batch/batch-cancel/${id}`, {}, { headers });
-      
       return res.json({
         success: true,
-        result: response.data,
+        result: result.data,
         message: 'Batch cancelled successfully'
       });
 
@@ -551,9 +786,166 @@ class BatchCallController {
         batchId: req.params.id 
       });
       
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to cancel batch',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * V2: Start dialing a draft batch (see POST /batch/batch-import)
+   * POST /batch/batch-launch/:id
+   * Body: { scheduled_at? } (ISO 8601; default: now)
+   */
+  async launchBatchV2(req, res) {
+    return this._controlBatch(req, res, 'launch', async (schema, tenantId, id, userId) => {
+      const batch = await this.batchDispatchService.launchBatch(schema, tenantId, id, {
+        userId,
+        scheduledAt: req.body?.scheduled_at || null
+      });
+      getBatchDispatchWorker().wake();
+      return batch;
+    });
+  }
+
+  /**
+   * V2: Pause a natively dispatched batch
+   * POST /batch/batch-pause/:id
+   * Body: { reason? }
+   */
+  async pauseBatchV2(req, res) {
+    return this._controlBatch(req, res, 'pause', (schema, tenantId, id, userId) =>
+      this.batchDispatchService.pauseBatch(schema, tenantId, id, { userId, reason: req.body?.reason || null })
+    );
+  }
+
+  /**
+   * V2: Resume a paused batch
+   * POST /batch/batch-resume/:id
+   */
+  async resumeBatchV2(req, res) {
+    return this._controlBatch(req, res, 'resume', async (schema, tenantId, id, userId) => {
+      const batch = await this.batchDispatchService.resumeBatch(schema, tenantId, id, { userId });
+      getBatchDispatchWorker().wake();
+      return batch;
+    });
+  }
+
+  /**
+   * V2: Move a batch's remaining entries to a new start time
+   * POST /batch/batch-reschedule/:id
+   * Body: { scheduled_at } (ISO 8601, in the future)
+   */
+  async rescheduleBatchV2(req, res) {
+    return this._controlBatch(req, res, 'reschedule', (schema, tenantId, id, userId) =>
+      this.batchDispatchService.rescheduleBatch(schema, tenantId, id, req.body?.scheduled_at, { userId })
+    );
+  }
+
+  /**
+   * Shared request handling for launch/pause/resume/reschedule
+   */
+  async _controlBatch(req, res, action, apply) {
+    try {
+      const { id } = req.params;
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const userId = req.user?.id || req.user?.userId || null;
+      const schema = sanitizeSchema(getSchema(req));
+
+      logger.info(`[BatchCallController] V2 ${action}Batch called`, { id, tenantId, userId });
+
+      const batch = await apply(schema, tenantId, id, userId);
+
+      return res.json({
+        success: true,
+        result: {
+          batch_id: batch.id,
+          status: batch.status,
+          scheduled_at: batch.scheduled_at,
+          paused_at: batch.paused_at,
+          transitions: batch.metadata?.status_history || []
+        },
+        message: `Batch ${action.replace(/e?$/, 'ed')} successfully`
+      });
+    } catch (error) {
+      logger.error(`[BatchCallController] V2 ${action}Batch failed`, {
+        error: error.message,
+        batchId: req.params.id
+      });
+
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : `Failed to ${action} batch`,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /batch/dispatch-limits
+   * Effective batch dispatch limits for the tenant
+   */
+  async getDispatchLimits(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+
+      const limits = await this.batchDispatchService.getDispatchLimits(schema, tenantId);
+
+      return res.json({
+        success: true,
+        data: limits
+      });
+    } catch (error) {
+      logger.error('[BatchCallController] getDispatchLimits failed', {
+        error: error.message,
+        tenantId: req.tenantId || req.user?.tenantId
+      });
+
       return res.status(500).json({
         success: false,
-        error: 'Failed to cancel batch',
+        error: 'Failed to fetch dispatch limits',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /batch/dispatch-limits
+   * Body: { max_concurrent_calls, max_concurrent_per_number, calls_per_minute } (null resets to default)
+   */
+  async updateDispatchLimits(req, res) {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const schema = sanitizeSchema(getSchema(req));
+      const {
+        max_concurrent_calls,
+        max_concurrent_per_number,
+        calls_per_minute
+      } = req.body || {};
+
+      const limits = await this.batchDispatchService.updateDispatchLimits(schema, tenantId, {
+        maxConcurrentCalls: max_concurrent_calls,
+        maxConcurrentPerNumber: max_concurrent_per_number,
+        callsPerMinute: calls_per_minute
+      }, { userId: req.user?.id || req.user?.userId || null });
+
+      return res.json({
+        success: true,
+        data: limits,
+        message: 'Dispatch limits updated'
+      });
+    } catch (error) {
+      logger.error('[BatchCallController] updateDispatchLimits failed', {
+        error: error.message,
+        tenantId: req.tenantId || req.user?.tenantId
+      });
+
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to update dispatch limits',
         message: error.message
       });
     }
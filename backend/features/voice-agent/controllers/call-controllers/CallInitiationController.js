@@ -1,5 +1,9 @@
-const axios = require('axios');
-const { VAPIService } = require('../../services');
+const { getProviderRegistry } = require('../../services/providers');
+const CallRetryService = require('../../services/CallRetryService');
+const ScheduledCallService = require('../../services/ScheduledCallService');
+const DncService = require('../../services/DncService');
+const PhonePolicyService = require('../../services/PhonePolicyService');
+const RecordingPolicyService = require('../../services/RecordingPolicyService');
 const { VoiceAgentModel } = require('../../models');
 let logger;
 try {
@@ -9,11 +13,18 @@ try {
   logger = loggerAdapter.getLogger();
 }
 
+const { getSchema, sanitizeSchema } = require('../../../../core/utils/schemaHelper');
+
 class CallInitiationController {
   constructor(db) {
-    this.vapiService = new VAPIService();
+    this.providerRegistry = getProviderRegistry();
     this.db = db;
     this.agentModel = new VoiceAgentModel(db);
+    this.callRetryService = new CallRetryService(db);
+    this.scheduledCallService = new ScheduledCallService(db);
+    this.dncService = new DncService(db);
+    this.phonePolicyService = new PhonePolicyService(db);
+    this.recordingPolicyService = new RecordingPolicyService(db);
   }
 
   /** 1.0
@@ -55,129 +66,86 @@ class CallInitiationController {
         });
       }
 
-      // Check if should use VAPI (internal JS uses camelCase)
-      if (this.vapiService.shouldUseVAPI(agentId)) {
-        // Use VAPI for the call (internal JS uses camelCase)
-        const result = await this.vapiService.initiateCall({
-          phoneNumber,
-          leadName,
-          leadId,
-          agentId,
-          voiceId,
-          fromNumber,
-          addedContext,
-          assistantOverrides,
-          tenantId,
-          userId
-        });
+      const callRequest = {
+        toNumber: phoneNumber,
+        fromNumber,
+        agentId,
+        voiceId,
+        leadName,
+        leadId,
+        addedContext,
+        assistantOverrides,
+        initiatedBy: userId,
+        tenantId,
+        userId
+      };
+      const schema = sanitizeSchema(getSchema(req));
+      // National numbers are completed with the tenant's default country
+      callRequest.toNumber = (await this.phonePolicyService.assertCallable(schema, tenantId, phoneNumber)).phoneNumber;
+      await this.dncService.assertCallable(schema, tenantId, callRequest.toNumber);
+      await this.recordingPolicyService.applyToRequest(schema, callRequest);
+
+      const resolved = await this.providerRegistry.resolveForCall({ schema, tenantId, agentId });
+      let provider = resolved.provider;
+      const context = {
+        legacy: true,
+        schema,
+        agent: resolved.agent,
+        frontendId: req.headers['x-frontend-id']
+      };
 
-        // Check if VAPI call was successful
-        if (!result.success) {
-          // If VAPI is temporarily disabled, log and fall through to legacy
-          if (result.temporaryDisabled) {
-            logger.warn('[CallInitiationController] VAPI temporarily disabled, using legacy fallback', { agentId, phoneNumber });
-            // Don't return, fall through to legacy handling below
-          } else {
-            // For other VAPI failures, return error
-            return res.status(500).json({
-              success: false,
-              error: 'VAPI call initiation failed',
-              message: result.error,
-              details: result.errorDetails
-            });
-          }
-        } else {
-          // VAPI call succeeded
-          return res.json({
-            success: true,
-            message: 'Call initiated via VAPI',
-            data: result
-          });
-        }
-      }
-      
-      // Legacy call handling (also used as fallback when VAPI is disabled)
-      const baseUrl = process.env.BASE_URL;
-      const frontendHeader = process.env.BASE_URL_FRONTEND_HEADER || req.headers['x-frontend-id'];
-      const frontendApiKey = process.env.BASE_URL_FRONTEND_APIKEY || process.env.FRONTEND_API_KEY;
-
-      logger.info('Call forwarding configuration', {
-        baseUrl: baseUrl || 'NOT_SET',
-        hasHeader: !!frontendHeader,
-        hasApiKey: !!frontendApiKey,
+      logger.info('Call routing', {
+        provider: provider.key,
         agentId,
         phoneNumber: phoneNumber?.substring(0, 4) + '***' // Partial phone for privacy
       });
 
-      if (!baseUrl) {
-        return res.status(500).json({
-          success: false,
-          error: 'BASE_URL is not configured for call forwarding'
-        });
-      }
+      let result = await provider.initiateCall(callRequest, context);
 
-      // Build payload for remote API (LAD Standard: API/HTTP uses snake_case)
-      const callPayload = {
-        to_number: phoneNumber,
-        added_context: addedContext || '',
-        initiated_by: userId,
-        agent_id: parseInt(agentId, 10),
-        lead_name: leadName || null,
-        voice_id: "default"
-      };
-
-      // Only add from_number if provided
-      if (fromNumber) {
-        callPayload.from_number = fromNumber;
+      // A temporarily disabled provider falls back to the default provider
+      if (!result.success && result.temporaryDisabled) {
+        const fallback = this.providerRegistry.getDefault();
+        if (fallback !== provider) {
+          logger.warn('[CallInitiationController] Provider temporarily disabled, using default fallback', {
+            provider: provider.key,
+            fallback: fallback.key,
+            agentId
+          });
+          provider = fallback;
+          result = await provider.initiateCall(callRequest, context);
+        }
       }
 
-      try {
-        logger.info('Forwarding call to remote API', {
-          url: `${baseUrl}/calls`,
-          payload: callPayload,
-          agentId: callPayload.agent_id,
-          leadId: callPayload.lead_id
-        });
-
-        const response = await axios.post(`${baseUrl}/calls`, callPayload, {
-          headers: {
-            'Content-Type': 'application/json',
-            ...(frontendHeader && { 'X-Frontend-ID': frontendHeader }),
-            ...(frontendApiKey && { 'X-API-Key': frontendApiKey })
-          },
-          timeout: 30000 // 30 second timeout for call forwarding
-        });
-
-        return res.json({
-          success: true,
-          message: 'Call forwarded to remote API',
-          data: {
-            remoteResponse: response.data,
-            call: callPayload
-          }
-        });
-      } catch (forwardError) {
-        logger.error('Error forwarding call data to remote API', {
-          error: forwardError.message,
-          status: forwardError.response?.status,
-          responseData: forwardError.response?.data,
-          fullDetails: JSON.stringify(forwardError.response?.data, null, 2)
-        });
+      if (!result.success) {
+        if (result.notConfigured) {
+          return res.status(500).json({
+            success: false,
+            error: `${provider.name} is not configured for call forwarding`
+          });
+        }
 
         return res.status(502).json({
           success: false,
-          error: 'Failed to forward call to remote API',
-          details: forwardError.response?.data || forwardError.message
+          error: `${provider.name} call initiation failed`,
+          message: result.error,
+          details: result.errorDetails
         });
       }
+
+      return res.json({
+        success: true,
+        message: `Call initiated via ${provider.name}`,
+        data: result
+      });
     } catch (error) {
       logger.error('Initiate call error', {
         error: error.message,
         stack: error.stack
       });
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to initiate call',
+        error: error.status ? error.message : 'Failed to initiate call',
+        code: error.code,
         message: error.message
       });
     }
@@ -186,7 +154,7 @@ class CallInitiationController {
   /**
    * V2: Initiate a single voice call with UUID support
    * POST /calls/start-call
-   * Directly uses backend voice calling service (no VAPI)
+   * Routed to the agent's telephony provider (external voice service by default)
    * 
    * PREREQUISITES (validated by middleware):
    * 1. ✅ Authentication (JWT token via authenticateToken middleware)
@@ -194,6 +162,12 @@ class CallInitiationController {
    * 3. ✅ Business Hours (configurable hours via validateVoiceCallPrerequisites)
    * 4. ✅ Credit Availability (minimum 3 credits via validateVoiceCallPrerequisites)
    * 5. ✅ Rate Limiting (calls per hour/day via validateVoiceCallPrerequisites)
+   * 6. ✅ Phone policy (400 when to_number cannot be dialed, 403 DESTINATION_BLOCKED
+   *       for blocked countries / number types)
+   * 7. ✅ Do-Not-Call (403 DNC_SUPPRESSED when to_number is on a Do-Not-Call list)
+   * 
+   * With scheduled_at (ISO 8601, in the future) the call is stored in
+   * voice_scheduled_calls and placed by the configured call scheduler instead.
    * 
    * USAGE IN ROUTES:
    * router.post('/calls/start-call',
@@ -227,7 +201,8 @@ class CallInitiationController {
         agent_id,
         lead_name,
         lead_id,
-        knowledge_base_store_ids
+        knowledge_base_store_ids,
+        scheduled_at
       } = req.body;
 
       // Validate required fields
@@ -249,107 +224,105 @@ class CallInitiationController {
         });
       }
 
-      // Validate E.164 format for phone number
-      const e164Regex = /^\+[1-9]\d{1,14}$/;
-      if (!e164Regex.test(to_number)) {
-        logger.warn('[CallInitiationController] Invalid phone number format', { 
-          to_number,
-          expectedFormat: '+[1-9]XXXXXXXXXX (E.164)'
-        });
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid phone number format',
-          details: `to_number must be in E.164 format (e.g., +1234567890). Received: ${to_number}`
-        });
-      }
-
-      // Build payload for voice service
       // Use authenticated user ID from backend, not frontend-provided value
-      const callPayload = {
-        to_number,
-        agent_id: agent_id || 'default',
-        from_number: from_number || null,
-        lead_name: lead_name || null,
-        lead_id: lead_id || null,
-        voice_id,
-        added_context: added_context || null,
-        llm_provider: llm_provider || null,
-        llm_model: llm_model || null,
-        initiated_by: userId || initiated_by || null, // Prefer authenticated user ID
-        knowledge_base_store_ids: knowledge_base_store_ids || null,
-        tenant_id: tenantId,
-        user_id: userId
+      const callRequest = {
+        toNumber: to_number,
+        fromNumber: from_number,
+        agentId: agent_id,
+        voiceId: voice_id,
+        leadName: lead_name,
+        leadId: lead_id,
+        addedContext: added_context,
+        llmProvider: llm_provider,
+        llmModel: llm_model,
+        knowledgeBaseStoreIds: knowledge_base_store_ids,
+        initiatedBy: userId || initiated_by || null, // Prefer authenticated user ID
+        tenantId,
+        userId
       };
 
-      logger.info('[CallInitiationController] Initiating call via voice service', {
-        agentId: agent_id,
-        tenantId: tenantId,
-        toNumber: to_number?.substring(0, 4) + '***'
-      });
+      const schema = sanitizeSchema(getSchema(req));
 
-      // Call voice service
-      const baseUrl = process.env.BASE_URL;
-      const frontendHeader = process.env.BASE_URL_FRONTEND_HEADER || req.headers['x-frontend-id'];
-      const frontendApiKey = process.env.BASE_URL_FRONTEND_APIKEY || process.env.FRONTEND_API_KEY;
+      // Parsed with the tenant's phone policy: national numbers get its default
+      // country; invalid numbers are a 400, blocked destinations a 403
+      callRequest.toNumber = (await this.phonePolicyService.assertCallable(schema, tenantId, to_number)).phoneNumber;
+      await this.dncService.assertCallable(schema, tenantId, callRequest.toNumber);
 
-      if (!baseUrl) {
-        return res.status(500).json({
-          success: false,
-          error: 'BASE_URL is not configured for voice calling'
+      if (scheduled_at) {
+        const scheduledCall = await this.scheduledCallService.scheduleCall(schema, callRequest, scheduled_at);
+
+        return res.status(202).json({
+          success: true,
+          message: 'Call scheduled',
+          data: {
+            scheduled_call_id: scheduledCall.id,
+            scheduled_at: scheduledCall.scheduled_at,
+            status: scheduledCall.status,
+            backend: scheduledCall.backend
+          }
         });
       }
 
-      try {
-        const callUrl = `${baseUrl}/calls/start-call`;
-        
-        // Get JWT token from request headers to forward to voice service
-        const authHeader = req.headers.authorization || req.headers['x-access-token'] || '';
-        
-        logger.info('Calling voice service', {
-          url: callUrl,
-          agentId: agent_id,
-          toNumber: to_number?.substring(0, 4) + '***',
-          hasApiKey: !!frontendApiKey,
-          hasAuthToken: !!authHeader
-        });
+      // Scheduled calls get the policy in force when they are placed
+      await this.recordingPolicyService.applyToRequest(schema, callRequest);
 
-        const response = await axios.post(callUrl, callPayload, {
-          headers: {
-            'Content-Type': 'application/json',
-            ...(frontendHeader && { 'X-Frontend-ID': frontendHeader }),
-            ...(frontendApiKey && { 'X-API-Key': frontendApiKey }),
-            ...(authHeader && { 'Authorization': authHeader })
-          },
-          timeout: 30000
-        });
+      const { provider, agent } = await this.providerRegistry.resolveForCall({ schema, tenantId, agentId: agent_id });
 
-        logger.info('Voice service call successful', {
-          agentId: agent_id,
-          responseData: response.data
-        });
+      // Forward the caller's JWT to the voice service
+      const result = await provider.initiateCall(callRequest, {
+        schema,
+        agent,
+        authorization: req.headers.authorization || req.headers['x-access-token'] || '',
+        frontendId: req.headers['x-frontend-id']
+      });
+
+      if (!result.success) {
+        if (result.notConfigured) {
+          return res.status(500).json({
+            success: false,
+            error: 'BASE_URL is not configured for voice calling'
+          });
+        }
 
-        return res.json({
-          success: true,
-          message: 'Call initiated successfully',
-          data: response.data
-        });
-      } catch (voiceServiceError) {
         logger.error('Voice service call failed', {
-          error: voiceServiceError.message,
-          status: voiceServiceError.response?.status,
-          responseData: voiceServiceError.response?.data,
-          baseUrl: baseUrl,
-          endpoint: `${baseUrl}/calls/start-call`,
+          provider: provider.key,
+          error: result.error,
+          status: result.httpStatus,
           agentId: agent_id
         });
 
-        return res.status(voiceServiceError.response?.status || 502).json({
+        return res.status(result.httpStatus || 502).json({
           success: false,
           error: 'Failed to initiate call with voice service',
-          details: voiceServiceError.response?.data || voiceServiceError.message
+          details: result.errorDetails || result.error
         });
       }
 
+      logger.info('Voice service call successful', {
+        provider: provider.key,
+        agentId: agent_id,
+        responseData: result.data
+      });
+
+      // Best effort: keep the request so an automatic retry places the same call
+      const callLogId = result.data?.call_log_id || result.data?.callLogId;
+      if (callLogId) {
+        try {
+          await this.callRetryService.rememberCallRequest(schema, tenantId, callLogId, callRequest);
+        } catch (retryError) {
+          logger.warn('[CallInitiationController] Failed to store call request for retries', {
+            callLogId,
+            error: retryError.message
+          });
+        }
+      }
+
+      return res.json({
+        success: true,
+        message: 'Call initiated successfully',
+        data: result.data
+      });
+
     } catch (error) {
       logger.error('[CallInitiationController] V2 initiateCall failed', { 
         error: error.message, 
@@ -359,6 +332,14 @@ class CallInitiationController {
         status: error.response?.status,
         body: req.body 
       });
+
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
       
       return res.status(500).json({
         success: false,
@@ -12,6 +12,11 @@ const LeadTagsController = require('./LeadTagsController');
 const CallCancellationController = require('./CallCancellationController');
 const CallLogUpdatesController = require('./CallLogUpdatesController');
 const UploadGCPController = require('./UploadGCPController');
+const WebhookInboxController = require('./WebhookInboxController');
+const ScheduledCallController = require('./ScheduledCallController');
+const DncController = require('./DncController');
+const StorageController = require('./StorageController');
+const LiveCallController = require('./LiveCallController');
 
 module.exports = {
   VoiceAgentController,
@@ -21,5 +26,10 @@ module.exports = {
   LeadTagsController,
   CallCancellationController,
   CallLogUpdatesController,
-  UploadGCPController
+  UploadGCPController,
+  WebhookInboxController,
+  ScheduledCallController,
+  DncController,
+  StorageController,
+  LiveCallController
 };
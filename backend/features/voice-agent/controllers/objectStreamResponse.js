@@ -0,0 +1,76 @@
+/**
+ * Object Stream Response
+ *
+ * Writes an object opened by ObjectStorageService.open (recordings, proxied
+ * storage links) to an Express response: 200 or 206 with Content-Range,
+ * header-only for HEAD, and 416 for unsatisfiable ranges.
+ */
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+/**
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} opened - { stream, size, contentType, range }
+ * @param {Object} [options]
+ * @param {string} [options.failureMessage] - 502 body when storage fails before the first byte
+ * @param {Object} [options.context] - Logged with stream errors
+ */
+function sendObjectStream(req, res, opened, { failureMessage = 'Failed to read object', context = {} } = {}) {
+  const { stream, size, contentType, range } = opened;
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Content-Type': contentType,
+    'Cache-Control': 'private, no-store',
+    'Content-Disposition': 'inline'
+  });
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.set('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.status(200);
+    res.set('Content-Length', String(size));
+  }
+
+  if (req.method === 'HEAD') {
+    stream.destroy();
+    return res.end();
+  }
+
+  // Stop reading from storage when the player goes away (seeking aborts requests)
+  res.on('close', () => stream.destroy());
+  stream.on('error', (error) => {
+    logger.error('[ObjectStream] Storage stream error', { ...context, error: error.message });
+    if (!res.headersSent) {
+      res.status(502).json({ success: false, error: failureMessage });
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+}
+
+/**
+ * 416 for an unsatisfiable Range (error from ObjectStorageService.open)
+ */
+function sendRangeNotSatisfiable(res, error) {
+  res.set('Content-Range', `bytes */${error.size}`);
+  return res.status(416).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+module.exports = {
+  sendObjectStream,
+  sendRangeNotSatisfiable
+};
@@ -24,20 +24,66 @@ module.exports = {
     '/calls',
     '/calls/batch',
     '/calls/:id/recording-signed-url',
+    '/calls/:id/recording',
+    '/storage/objects/:token',
+    '/calls/:id/events',
+    '/calls/:id/transfer',
+    '/calls/:id/inject',
+    '/calls/:id/takeover',
+    '/calls/:id/disposition',
+    '/calls/:id/attempts',
+    '/calls/:id/transcript',
     '/calls/recent',
     '/calls/stats',
     '/calllogs',
+    '/calllogs/search',
     '/calllogs/:call_log_id',
     '/resolve-phones',
     '/update-summary',
     '/settings',
+    '/settings/business-hours',
+    '/settings/recording-policy',
+    '/settings/recording-policy/deletions',
+    '/settings/phone-policy',
+    '/settings/numbers/:id/inbound-routing',
     '/numbers',
     // V2 API routes
     '/calls/start-call',
+    '/upload-gcp',
     '/batch/trigger-batch-call',
+    '/batch/batch-import',
     '/calls/job/:job_id',
     '/batch/batch-status/:id',
-    '/batch/batch-cancel/:id'
+    '/batch/batch-cancel/:id',
+    '/batch/batch-launch/:id',
+    '/batch/batch-pause/:id',
+    '/batch/batch-resume/:id',
+    '/batch/batch-reschedule/:id',
+    '/batch/dispatch-limits',
+    // Scheduled single calls
+    '/scheduled-calls',
+    '/scheduled-calls/fire',
+    '/scheduled-calls/:id',
+    '/scheduled-calls/:id/cancel',
+    '/scheduled-calls/:id/reschedule',
+    // Do-Not-Call lists
+    '/dnc',
+    '/dnc/import',
+    '/dnc/check',
+    '/dnc/:id',
+    '/dnc/lists',
+    '/dnc/lists/:listId/subscription',
+    '/dnc/lists/:listId/entries',
+    '/dnc/lists/:listId/entries/:id',
+    '/dnc/lists/:listId/import',
+    // Provider webhooks & inbox administration
+    '/webhook/vapi',
+    '/webhooks/inbox',
+    '/webhooks/inbox/:id/redrive',
+    // Mock telephony provider (VOICE_MOCK_PROVIDER_ENABLED=true only)
+    '/mock-provider/calls',
+    '/mock-provider/outcomes',
+    '/mock-provider/recordings/:callId'
   ],
   
   description: 'AI-powered voice calling system. Initiate single or batch calls, manage voice agents, retrieve recordings, and handle call logging.',
@@ -46,20 +92,34 @@ module.exports = {
   enabled: true,
   beta: false,
   
-  // Supported providers
+  // Telephony providers - each entry with an `adapter` is registered in
+  // services/providers/ProviderRegistry (adapter = module in services/providers)
   providers: {
     vapi: {
       enabled: true,
       name: 'VAPI',
-      agentId: '24',
+      adapter: 'VAPIProvider',
+      agentIds: ['VAPI'],         // Routed to VAPI with the env assistant; voice_agents.provider = 'vapi' routes per agent
       description: 'Primary AI voice agent provider',
-      features: ['outbound-calls', 'assistant-overrides', 'dynamic-greetings', 'metadata']
+      features: ['outbound-calls', 'inbound-calls', 'assistant-overrides', 'dynamic-greetings', 'metadata', 'webhooks', 'live-controls', 'live-listen', 'voicemail-detection']
     },
     custom: {
       enabled: true,
       name: 'Custom Voice Agents',
+      adapter: 'ExternalVoiceServiceProvider',
+      default: true,              // Handles agents not routed elsewhere
       description: 'Internal voice agents with custom voices',
       features: ['outbound-calls', 'batch-calls', 'voice-selection']
+    },
+    mock: {
+      // Simulated provider for development/tests; never registered in production
+      enabled: process.env.VOICE_MOCK_PROVIDER_ENABLED === 'true' && process.env.NODE_ENV !== 'production',
+      name: 'Mock Telephony',
+      adapter: 'MockTelephonyProvider',
+      agentIds: ['MOCK'],
+      default: process.env.VOICE_MOCK_PROVIDER_DEFAULT === 'true', // Route every call to the mock
+      description: 'Simulated calls with scripted outcomes, webhooks, transcripts and recordings',
+      features: ['outbound-calls', 'batch-calls', 'webhooks', 'recordings', 'live-controls', 'voicemail-detection']
     }
   },
   
@@ -75,9 +135,9 @@ module.exports = {
   
   // Environment variables required
   requiredEnv: [
-    'VAPI_API_KEY',           // VAPI API key for call initiation
-    'VAPI_ASSISTANT_ID',      // Default VAPI assistant ID
-    'VAPI_PHONE_NUMBER_ID',   // VAPI phone number to call from
+    'VAPI_API_KEY',           // VAPI API key for call initiation (agents may carry their own)
+    'VAPI_ASSISTANT_ID',      // Default VAPI assistant ID (voice_agents.provider_assistant_id overrides)
+    'VAPI_PHONE_NUMBER_ID',   // Default VAPI phone number (voice_agent_numbers.provider_phone_number_id overrides)
     'BASE_URL',               // Base URL for external API calls
   ],
   
@@ -86,7 +146,70 @@ module.exports = {
     'DEFAULT_FROM_NUMBER',    // Default caller ID (if not VAPI)
     'BASE_URL_FRONTEND_HEADER', // Custom header for external API auth
     'BASE_URL_FRONTEND_APIKEY', // API key for external API auth
-    'SIGNING_ENDPOINT_URL',   // GCS signed URL generation endpoint
+    'SIGNING_ENDPOINT_URL',   // External signing service for gs:// voice samples (default: storage drivers sign)
+    'VAPI_WEBHOOK_SECRET',    // Shared secret / HMAC key for VAPI webhook verification
+    'VAPI_WEBHOOK_TOLERANCE_SECONDS', // Accepted webhook timestamp skew (default: 300)
+    'VAPI_WEBHOOK_VERIFICATION_DISABLED', // 'true' to skip verification (local development only; ignored in production)
+    'VOICE_WORKERS_DISABLED', // 'true' to start none of the background workers (features/voice-agent/workers.js) on this instance
+    'VOICE_WEBHOOK_WORKER_DISABLED', // 'true' to not start the webhook inbox worker on this instance
+    'VOICE_WEBHOOK_MAX_ATTEMPTS', // Attempts before an inbox event is dead-lettered (default: 8)
+    'VOICE_WEBHOOK_RETRY_BASE_MS', // Base retry backoff for inbox events (default: 5000)
+    'VOICE_MOCK_PROVIDER_ENABLED', // 'true' to register the simulated telephony provider (non-production)
+    'VOICE_MOCK_PROVIDER_DEFAULT', // 'true' to route every call to the simulated provider
+    'VOICE_MOCK_WEBHOOK_URL',  // Where simulated calls post webhooks (default: this server's /webhook/vapi)
+    'VOICE_MOCK_STEP_MS',     // Delay between simulated lifecycle events (default: 1000)
+    'VOICE_MOCK_DEFAULT_OUTCOME', // answered | voicemail | no-answer | failed (default: answered)
+    'VOICE_BATCH_DISPATCH_MODE', // native (dialed by the batch worker, default) | provider (forward whole batch)
+    'VOICE_BATCH_WORKER_DISABLED', // 'true' to not start the batch dispatch worker on this instance
+    'VOICE_BATCH_WORKER_INTERVAL_MS', // Batch dispatch poll interval (default: 5000)
+    'VOICE_BATCH_MAX_CONCURRENT_CALLS', // Default in-flight calls per tenant (default: 5)
+    'VOICE_BATCH_MAX_CONCURRENT_PER_NUMBER', // Default in-flight calls per from-number (default: 2)
+    'VOICE_BATCH_CALLS_PER_MINUTE', // Default dial rate per tenant (default: 20)
+    'VOICE_BATCH_STALE_CALL_MINUTES', // Release a slot when a dialed call reports no outcome (default: 60)
+    'VOICE_RETRY_WORKER_DISABLED', // 'true' to not start the call retry worker on this instance
+    'VOICE_RETRY_WORKER_INTERVAL_MS', // Call retry poll interval (default: 30000)
+    'VOICE_RETRY_BATCH_SIZE',  // Retries claimed per poll (default: 20)
+    'VOICE_RETRY_LOCK_TIMEOUT_SECONDS', // Fail retries stuck in dispatching after this long (default: 300)
+    'BUSINESS_HOURS_DISABLED', // 'true' to allow calls at any time (skips business hours everywhere)
+    'VOICE_CALL_SCHEDULER',    // Scheduled call backend: postgres (polled, default) | cloud-tasks
+    'VOICE_SCHEDULER_WORKER_DISABLED', // 'true' to not start the scheduled call worker on this instance
+    'VOICE_SCHEDULER_WORKER_INTERVAL_MS', // Scheduled call poll interval (default: 15000)
+    'VOICE_SCHEDULER_BATCH_SIZE', // Scheduled calls claimed per poll (default: 20)
+    'VOICE_SCHEDULER_LOCK_TIMEOUT_SECONDS', // Fail scheduled calls stuck in dispatching after this long (default: 300)
+    'VOICE_SCHEDULER_QUEUE',   // Cloud Tasks queue for scheduled calls (default: voice-scheduled-calls)
+    'VOICE_SCHEDULER_CALLBACK_URL', // Public URL of POST /scheduled-calls/fire (cloud-tasks backend)
+    'VOICE_SCHEDULER_SECRET',  // Shared secret sent by Cloud Tasks in X-Voice-Scheduler-Secret
+    'VOICE_DNC_DISABLED',      // 'true' to skip Do-Not-Call checks everywhere
+    'VOICE_DNC_PLATFORM_TENANT_IDS', // Comma-separated tenants whose admins manage global Do-Not-Call lists
+    'VOICE_DNC_MAX_IMPORT_ROWS', // Rows accepted per Do-Not-Call CSV import (default: 50000)
+    'VOICE_DNC_MAX_IMPORT_BYTES', // Max Do-Not-Call CSV upload size in bytes (default: 10MB)
+    'VOICE_STORAGE_DRIVER',    // Where uploads are stored: gcs (default) | s3 | local
+    'VOICE_STORAGE_URL_MODE',  // Upload/attachment URLs: signed (default) | public | proxy | location (legacy GCS_URL_MODE)
+    'VOICE_STORAGE_SIGNED_URL_EXPIRES_SECONDS', // Signed and proxy URL lifetime (default: 3600; legacy GCS_SIGNED_URL_EXPIRES_SECONDS)
+    'VOICE_STORAGE_UPLOAD_PREFIX', // Object name prefix for uploads (default: voice-agent/uploads; legacy GCS_UPLOAD_PREFIX)
+    'VOICE_STORAGE_PROXY_SECRET', // HMAC key for proxy links (default: JWT_SECRET)
+    'VOICE_STORAGE_PROXY_BASE_URL', // Public origin prefixed to proxy links (default: relative /api/voice-agent/...)
+    'VOICE_STORAGE_LOCAL_DIR', // Directory local:// objects are stored in (default: ./storage)
+    'GCS_BUCKET_NAME',         // Upload bucket for the gcs driver (or GCP_BUCKET_NAME)
+    'VOICE_S3_BUCKET',         // Upload bucket for the s3 driver
+    'VOICE_S3_REGION',         // S3 region (default: AWS_REGION or us-east-1)
+    'VOICE_S3_ENDPOINT',       // S3-compatible endpoint (MinIO, R2, ...); path-style addressing by default
+    'VOICE_S3_FORCE_PATH_STYLE', // 'true'/'false' to override path-style addressing
+    'VOICE_S3_ACCESS_KEY_ID',  // S3 credentials (default: AWS_ACCESS_KEY_ID)
+    'VOICE_S3_SECRET_ACCESS_KEY', // S3 credentials (default: AWS_SECRET_ACCESS_KEY)
+    'VOICE_RETENTION_WORKER_DISABLED', // 'true' to not start the recording retention worker on this instance
+    'VOICE_RETENTION_WORKER_INTERVAL_MS', // Retention purge interval (default: 3600000)
+    'VOICE_RETENTION_BATCH_SIZE', // Recordings/transcripts purged per tenant per run (default: 100)
+    'VOICE_UPLOAD_SESSION_TTL_SECONDS', // How long an /upload-gcp session can be used (default: 3600; legacy GCS_LINK_TTL_SECONDS)
+    'VOICE_UPLOAD_SESSION_WORKER_DISABLED', // 'true' to not start the upload session cleanup worker on this instance
+    'VOICE_UPLOAD_SESSION_WORKER_INTERVAL_MS', // Upload session cleanup interval (default: 600000)
+    'VOICE_UPLOAD_SESSION_CLEANUP_BATCH_SIZE', // Expired sessions removed per run (default: 100)
+    'VOICE_LEAD_IMPORT_MAX_BYTES', // Max lead file (.xlsx/CSV) upload size in bytes (default: 10MB)
+    'VOICE_LEAD_IMPORT_MAX_ROWS', // Max rows in an imported lead file (default: 10000)
+    'VOICE_PHONE_DEFAULT_COUNTRY', // ISO country for national numbers when neither the request nor the tenant's phone policy sets one
+    'VOICE_MONITOR_DISABLED', // 'true' to not register the /voice-monitor Socket.IO namespace on this instance
+    'VOICE_MONITOR_AUDIO_DISABLED', // 'true' to relay only transcripts/events to supervisors, never call audio
+    'VOICE_VOICEMAIL_CREDITS_PER_MINUTE', // Credits per minute for calls answered by voicemail (default: VOICE_CREDITS_PER_MINUTE)
   ],
   
   // Database tables used
@@ -100,6 +223,25 @@ module.exports = {
       'leads_voiceagent',               // Voice agent leads (separate from main leads)
       'v_user_available_agents',        // View: user's available agents
       'v_user_available_numbers',       // View: user's available phone numbers
+      'voice_webhook_events',           // Processed provider webhook events (replay protection)
+      'voice_webhook_rejections',       // Audit trail of rejected webhook deliveries
+      'voice_webhook_inbox',            // Stored webhook payloads awaiting/after async processing
+      'voice_call_settlements',         // Credits charged or refunded per provider call (settled once)
+      'voice_call_events',              // Per-call timeline (status, transcript, speech, tool calls)
+      'voice_call_transcripts',         // Transcript turns, summary and analysis per call
+      'voice_call_batches',             // Batches (native ones are dialed by the batch dispatch worker)
+      'voice_call_batch_entries',       // Batch entries and their dispatch state
+      'voice_call_dispatch_limits',     // Per-tenant batch concurrency and pacing limits
+      'voice_call_retries',             // Scheduled automatic retries of single calls
+      'voice_scheduled_calls',          // Single calls requested for a future time
+      'voice_business_hours',           // Per-tenant calling hours (agents and batches override)
+      'voice_dnc_entries',              // Do-Not-Call numbers (per tenant or on a global list)
+      'voice_dnc_lists',                // Global Do-Not-Call lists maintained by the platform
+      'voice_dnc_list_subscriptions',   // Optional global lists a tenant enforces
+      'voice_recording_policies',       // Per-tenant recording, consent disclosure and retention policy
+      'voice_retention_deletions',      // Audit trail of purged recordings, transcripts and analyses
+      'voice_upload_sessions',          // Batch files uploaded through /upload-gcp, used once by a batch
+      'voice_phone_policies',           // Per-tenant default country and blocked destinations
     ],
     external: [
       'public.leads',                   // Main leads table
@@ -123,13 +265,106 @@ module.exports = {
       description: 'Initiate multiple calls in batch',
       credits: 'per call',
       perEntryContext: true,
-      customAgents: true
+      customAgents: true,
+      nativeDispatch: true,
+      concurrencyLimits: ['per tenant', 'per from-number', 'per batch'],
+      pacing: 'calls per minute',
+      pauseResume: true,
+      reschedule: true,
+      retryPolicy: true,
+      businessHours: 'out-of-window entries deferred to the next allowed time',
+      doNotCall: 'suppressed entries marked skipped with a reason',
+      uploadSessions: 'files from /upload-gcp referenced by upload_session_id; persisted, expiring, used up only by a batch that is created',
+      leadImport: 'xlsx/CSV lead files parsed into draft batches: column mapping, E.164 normalization, dedupe, per-row errors',
+      drafts: 'previewed via batch-status, started with batch-launch'
+    },
+    callRetries: {
+      enabled: true,
+      description: 'Automatically retry unanswered, busy and failed calls per agent or batch policy',
+      outcomes: ['no-answer', 'busy', 'failed', 'voicemail'],
+      policy: ['max attempts', 'minimum spacing', 'allowed windows'],
+      linkedAttempts: true
+    },
+    businessHours: {
+      enabled: true,
+      description: 'Per-tenant calling hours, overridable per agent or batch, evaluated in the lead\'s local time',
+      timezoneSources: ['lead data', 'phone number country code', 'fallback timezone']
+    },
+    doNotCall: {
+      enabled: true,
+      description: 'Tenant Do-Not-Call lists with CSV import and optional global lists, enforced on every dial path',
+      dialPaths: ['single calls', 'scheduled calls', 'retries', 'batches', 'VoiceAgentClient.startCall'],
+      globalLists: ['mandatory', 'opt-in'],
+      spokenOptOut: 'leads asking not to be called again are added automatically'
+    },
+    scheduledCalls: {
+      enabled: true,
+      description: 'Schedule single calls for a future time; list, cancel and reschedule them',
+      backends: ['postgres', 'cloud-tasks'],
+      cancel: true,
+      reschedule: true
     },
     recordingManagement: {
       enabled: true,
-      description: 'Retrieve call recordings with signed URLs',
+      description: 'Retrieve call recordings with signed URLs or stream them through the backend',
       gcsIntegration: true,
-      urlExpiration: '96 hours default'
+      urlExpiration: '96 hours default',
+      streaming: 'GET /calls/:id/recording with HTTP Range support and call log permissions',
+      storage: ['gcs (gs://)', 's3-compatible (s3://)', 'local disk (local://)', 'provider-hosted (https://)']
+    },
+    objectStorage: {
+      enabled: true,
+      description: 'Pluggable storage drivers for uploads, recordings and voice samples, selected by VOICE_STORAGE_DRIVER',
+      drivers: ['gcs', 's3', 'local'],
+      urlModes: ['signed', 'public', 'proxy', 'location'],
+      proxyLinks: 'GET /storage/objects/:token with expiring HMAC-signed tokens and HTTP Range support'
+    },
+    recordingPolicy: {
+      enabled: true,
+      description: 'Per-tenant call recording and consent disclosure rules, overridable per destination calling code',
+      consentDisclosure: 'spoken before the first message',
+      retention: 'recordings and transcripts (with their analysis summary, key points and sentiment) purged after a per-tenant number of days, each deletion audited'
+    },
+    phonePolicy: {
+      enabled: true,
+      description: 'Destination numbers parsed and validated with libphonenumber on every call path',
+      defaultCountry: 'per tenant, for numbers written without a country code',
+      blocking: 'per-tenant blocked countries and number types (premium rate by default)',
+      numberTypes: ['mobile', 'fixed_line', 'toll_free', 'premium_rate', 'shared_cost', 'voip', '...']
+    },
+    inboundCalls: {
+      enabled: true,
+      description: 'Incoming calls routed to agents per number, answered through the provider assistant-request webhook',
+      routing: 'ordered rules with business hours, then a fallback or the number\'s default agent, or a closed message',
+      greeting: 'first message built from the agent\'s inbound_starter_prompt, personalised for known callers',
+      callLogs: 'direction inbound; callers matched to existing leads by phone number; never retried or treated as voicemail'
+    },
+    callMonitor: {
+      enabled: true,
+      description: 'Supervisors follow calls in progress over Socket.IO (namespace /voice-monitor, JWT in handshake auth.token)',
+      events: 'monitor:join / monitor:leave; monitor:event (timeline: transcript turns, speech, status, live controls), monitor:ended',
+      audio: 'monitor:audio frames relayed from providers advertising live-listen, one upstream stream per call',
+      access: 'users who can view the call log (view-all permission or the user who started the call)'
+    },
+    liveCallControls: {
+      enabled: true,
+      description: 'Act on calls in progress: warm or cold transfer to a human, inject instructions, take over from the agent',
+      providers: 'providers advertising live-controls (VAPI through the call monitor control URL)',
+      timeline: 'each action recorded as a transfer, message_injected or takeover call event'
+    },
+    callDispositions: {
+      enabled: true,
+      description: 'Each ended call classified as interested, callback_requested, not_interested, wrong_number, voicemail or dnc_request',
+      signals: 'provider ended reason, spoken opt-out, provider analysis, transcript phrases, success evaluation (strongest first)',
+      overrides: 'reps set or clear the disposition (PUT /calls/:id/disposition); automatic classification never replaces an override',
+      reporting: 'disposition filter on call log listing and search; counts per disposition in call stats'
+    },
+    voicemail: {
+      enabled: true,
+      description: 'Answering-machine detection on outbound calls from providers advertising voicemail-detection',
+      policy: 'per agent (voice_agents.voicemail_policy): hangup (default), drop_message (TTS text or recorded audio URL) or retry_later',
+      callLogs: 'outcome voicemail and answered_by (human | machine | unknown); a voicemail call event records the action taken',
+      billing: 'voicemail minutes billed on their own cost_breakdown.voicemail line'
     },
     voiceSelection: {
       enabled: true,
@@ -248,7 +483,7 @@ module.exports = {
       auth: false,
       params: {
         body: {
-          agent_id: 'string|number (agent ID, use "24" or "VAPI" for VAPI)',
+          agent_id: 'string|number (agent ID; "VAPI" or an agent with provider "vapi" routes to VAPI)',
           voice_id: 'string (optional, resolved from agent_id)',
           to_number: 'string (required, phone number to call)',
           from_number: 'string (optional, defaults to DEFAULT_FROM_NUMBER)',
@@ -258,9 +493,11 @@ module.exports = {
         }
       },
       vapi: {
-        routing: 'agent_id === "24" or "VAPI" triggers VAPI',
-        assistantId: 'VAPI_ASSISTANT_ID from env',
-        phoneNumberId: 'VAPI_PHONE_NUMBER_ID from env',
+        routing: 'agent_id === "VAPI" or voice_agents.provider === "vapi" triggers VAPI',
+        assistantId: 'voice_agents.provider_assistant_id, else VAPI_ASSISTANT_ID from env (not for agents with their own api_key)',
+        phoneNumberId: 'voice_agent_numbers.provider_phone_number_id (from_number or agent default), else VAPI_PHONE_NUMBER_ID from env',
+        apiKey: 'voice_agents.provider_config.api_key, else VAPI_API_KEY from env',
+        webhookSecret: 'voice_agents.provider_config.webhook_secret for agents with their own api_key, else VAPI_WEBHOOK_SECRET from env',
         dynamicGreeting: 'Time-based (morning/afternoon/evening)',
         firstMessage: 'Hi {lead_name}. {greeting}. This is Nithya from Pluto Travels...'
       }
@@ -382,7 +619,7 @@ module.exports = {
   
   // VAPI Configuration
   vapi: {
-    agentId: '24',
+    assistantResolution: 'per agent (voice_agents.provider_assistant_id), falling back to VAPI_ASSISTANT_ID',
     apiEndpoint: 'https://api.vapi.ai/call',
     authentication: 'Bearer token',
     features: {
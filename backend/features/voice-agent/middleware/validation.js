@@ -2,6 +2,8 @@
  * Validation Middleware for Voice Agent Feature
  */
 
+const { isValidE164 } = require('../services/phoneNumbers');
+
 /**
  * Validate phone number format
  */
@@ -16,12 +18,11 @@ function validatePhoneNumber(req, res, next) {
     });
   }
 
-  // E.164 format validation (+1234567890)
-  const e164Regex = /^\+[1-9]\d{1,14}$/;
-  if (!e164Regex.test(number)) {
+  // E.164 format, and a valid number for its country (+14155550100)
+  if (!isValidE164(number)) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid phone number format. Must be in E.164 format (+1234567890)'
+      error: 'Invalid phone number format. Must be in E.164 format (+14155550100)'
     });
   }
 
@@ -88,8 +89,7 @@ function validateCallRequest(req, res, next) {
   }
 
   // Validate phone number
-  const e164Regex = /^\+[1-9]\d{1,14}$/;
-  if (!e164Regex.test(to)) {
+  if (!isValidE164(to)) {
     return res.status(400).json({
       success: false,
       error: 'Invalid destination phone number. Must be in E.164 format'
@@ -5,7 +5,7 @@
  * 
  * VALIDATION PIPELINE:
  * 1. Feature access (voice-agent feature enabled)
- * 2. Business hours (configurable per tenant)
+ * 2. Business hours (per tenant, agent override; lead local time)
  * 3. Credit availability (minimum 3 credits for 1 minute call)
  * 4. Rate limiting (prevent abuse)
  * 
@@ -19,133 +19,31 @@
 
 const { getCreditBalance } = require('../../../shared/middleware/credit_guard');
 const logger = require('../../../core/utils/logger');
+const { getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper');
+const BusinessHoursService = require('../services/BusinessHoursService');
 
-/**
- * Business Hours Configuration per Tenant
- * Stored in metadata or environment variables
- * Format: { start: '09:00', end: '18:00', timezone: 'Asia/Dubai', days: [1,2,3,4,5] }
- */
+const businessHoursService = new BusinessHoursService();
 
-const DEFAULT_BUSINESS_HOURS = {
-  start: '8:00', // 7:00 PM
-  end: '22:00',   // 8:00 PM
-  timezone: 'Asia/Dubai',
-  days: [ 1, 2, 3, 4, 5] // All days (Monday-Friday)
-};
 /**
- * Check if current time is within business hours
- * @param {Object} config - Business hours configuration
- * @returns {Object} { withinHours: boolean, reason?: string }
+ * Check the call against the effective business hours in the lead's timezone
+ * @returns {Promise<Object|null>} BusinessHoursService.checkCallTime result; null when the check failed
  */
-function isWithinBusinessHours(config = DEFAULT_BUSINESS_HOURS) {
+async function checkBusinessHours(req, tenantId, at) {
   try {
-    logger.info('[Business Hours] Checking business hours', {
-      timezone: config?.timezone || DEFAULT_BUSINESS_HOURS.timezone,
-      startTime: config?.start || DEFAULT_BUSINESS_HOURS.start,
-      endTime: config?.end || DEFAULT_BUSINESS_HOURS.end,
-      allowedDays: config?.days || DEFAULT_BUSINESS_HOURS.days
+    return await businessHoursService.checkCallTime(sanitizeSchema(getSchema(req)), {
+      tenantId,
+      agentId: req.body?.agent_id || null,
+      toNumber: req.body?.to_number || null,
+      leadId: req.body?.lead_id || null,
+      at: at && !Number.isNaN(at.getTime()) ? at : new Date()
     });
-    
-    const now = new Date();
-
-    const timeZone = config?.timezone || DEFAULT_BUSINESS_HOURS.timezone;
-
-    const weekdayShort = new Intl.DateTimeFormat('en-US', {
-      timeZone,
-      weekday: 'short'
-    }).format(now);
-
-    const weekdayToNumber = {
-
-      Mon: 1,
-      Tue: 2,
-      Wed: 3,
-      Thu: 4,
-      Fri: 5,
-    };
-
-    const currentDay = weekdayToNumber[weekdayShort];
-    if (typeof currentDay !== 'number') {
-      throw new Error(`Unable to resolve weekday for timezone: ${timeZone}`);
-    }
-    
-    // Check day of week
-    if (!config.days.includes(currentDay)) {
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      return {
-        withinHours: false,
-        reason: `Calls are not allowed on ${dayNames[currentDay]}. Allowed days: ${config.days.map(d => dayNames[d]).join(', ')}`
-      };
-    }
-    
-    // Check time range
-    const timeParts = new Intl.DateTimeFormat('en-US', {
-      timeZone,
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    }).formatToParts(now);
-
-    const currentHour = Number(timeParts.find((p) => p.type === 'hour')?.value);
-    const currentMinute = Number(timeParts.find((p) => p.type === 'minute')?.value);
-
-    if (Number.isNaN(currentHour) || Number.isNaN(currentMinute)) {
-      throw new Error(`Unable to resolve time for timezone: ${timeZone}`);
-    }
-
-    if (process.env.NODE_ENV === 'development' || process.env.LOG_BUSINESS_HOURS === 'true') {
-      logger.info('[Business Hours]  Timezone conversion check', {
-        serverTimeIso: now.toISOString(),
-        timeZone,
-        tzWeekdayShort: weekdayShort,
-        tzDayNumber: currentDay,
-        tzHour: currentHour,
-        tzMinute: currentMinute,
-        currentTime: `${String(currentHour).padStart(2, '0')}:${String(currentMinute).padStart(2, '0')}`
-      });
-    }
-
-    const currentTime = `${String(currentHour).padStart(2, '0')}:${String(currentMinute).padStart(2, '0')}`;
-    
-    const [startHour, startMinute] = config.start.split(':').map(Number);
-    const [endHour, endMinute] = config.end.split(':').map(Number);
-    
-    const currentMinutes = currentHour * 60 + currentMinute;
-    const startMinutes = startHour * 60 + startMinute;
-    const endMinutes = endHour * 60 + endMinute;
-    
-    if (currentMinutes < startMinutes || currentMinutes > endMinutes) {
-      return {
-        withinHours: false,
-        reason: `Calls are only allowed between ${config.start} and ${config.end} (${timeZone}). Current time: ${currentTime}`
-      };
-    }
-    
-    return { withinHours: true };
   } catch (error) {
     logger.error('[Business Hours] Error checking business hours', { error: error.message });
     // Fail open - allow calls if check fails
-    return { withinHours: true };
+    return null;
   }
 }
 
-/**
- * Get business hours configuration for tenant
- * Can be extended to read from database per tenant
- */
-async function getTenantBusinessHours(tenantId) {
-  // TODO: Fetch from database tenant_settings table
-  // For now, return default configuration
-  // Future: SELECT business_hours FROM tenant_settings WHERE tenant_id = $1
-  
-  // Check environment variable override
-  if (process.env.BUSINESS_HOURS_DISABLED === 'true') {
-    return null; // Business hours check disabled
-  }
-  
-  return DEFAULT_BUSINESS_HOURS;
-}
-
 /**
  * Minimum credits required for voice call (3 credits = 1 minute minimum)
  */
@@ -193,29 +91,35 @@ const validateVoiceCallPrerequisites = async (req, res, next) => {
 
     logger.debug('[Voice Call Validation] ✓ Feature access verified');
 
-    // VALIDATION 2: Business Hours Check
-    const businessHours = await getTenantBusinessHours(tenantId);
-    if (businessHours) {
-      const { withinHours, reason } = isWithinBusinessHours(businessHours);
-      if (!withinHours) {
-        logger.warn('[Voice Call Validation] Outside business hours', { 
-          tenantId, 
-          reason,
-          businessHours 
-        });
-        return res.status(403).json({
-          success: false,
-          error: 'Outside business hours',
-          message: reason,
-          business_hours: {
-            start: businessHours.start,
-            end: businessHours.end,
-            timezone: businessHours.timezone,
-            allowed_days: businessHours.days
-          }
-        });
-      }
-      logger.debug('[Voice Call Validation] ✓ Business hours validated');
+    // VALIDATION 2: Business Hours Check (at scheduled_at for scheduled calls)
+    const scheduledAt = req.body?.scheduled_at ? new Date(req.body.scheduled_at) : null;
+    const businessHoursCheck = await checkBusinessHours(req, tenantId, scheduledAt);
+    if (businessHoursCheck && !businessHoursCheck.allowed) {
+      const { businessHours, reason } = businessHoursCheck;
+      logger.warn('[Voice Call Validation] Outside business hours', { 
+        tenantId, 
+        reason,
+        businessHours 
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Outside business hours',
+        message: reason,
+        business_hours: {
+          start: businessHours.start,
+          end: businessHours.end,
+          timezone: businessHours.timezone,
+          allowed_days: businessHours.days
+        },
+        lead_timezones: businessHoursCheck.timezones,
+        next_allowed_at: businessHoursCheck.nextAllowedAt ? businessHoursCheck.nextAllowedAt.toISOString() : null
+      });
+    }
+    if (businessHoursCheck?.businessHours) {
+      logger.debug('[Voice Call Validation] ✓ Business hours validated', {
+        timezones: businessHoursCheck.timezones,
+        timezoneSource: businessHoursCheck.timezoneSource
+      });
     } else {
       logger.debug('[Voice Call Validation] Business hours check disabled');
     }
@@ -253,7 +157,7 @@ const validateVoiceCallPrerequisites = async (req, res, next) => {
       tenantId,
       userId,
       creditBalance,
-      businessHoursChecked: !!businessHours,
+      businessHoursChecked: !!businessHoursCheck?.businessHours,
       validatedAt: new Date().toISOString()
     };
 
@@ -280,7 +184,6 @@ const validateVoiceCallPrerequisites = async (req, res, next) => {
 
 module.exports = {
   validateVoiceCallPrerequisites,
-  isWithinBusinessHours,
-  getTenantBusinessHours,
+  checkBusinessHours,
   MIN_CREDITS_FOR_CALL
 };
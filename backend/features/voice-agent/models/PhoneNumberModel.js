@@ -115,6 +115,48 @@ class PhoneNumberModel {
     return result.rows;
   }
 
+  /**
+   * Get the provider phone-number mapping for an outbound call (tenant-isolated)
+   * Prefers the number matching fromNumber, then a number whose default agent is agentId
+   * 
+   * @param {string} schema - Schema name
+   * @param {string} tenantId - Tenant ID for isolation
+   * @param {Object} params
+   * @param {string} [params.fromNumber] - Caller ID in E.164 format
+   * @param {string} [params.agentId] - Agent placing the call
+   * @returns {Promise<Object|null>} { id, phone_number, provider, provider_phone_number_id } or null
+   */
+  async getProviderPhoneNumber(schema, tenantId, { fromNumber = null, agentId = null } = {}) {
+    if (!fromNumber && !agentId) {
+      return null;
+    }
+
+    const query = `
+      SELECT 
+        id,
+        CONCAT('+', country_code, base_number) as phone_number,
+        provider,
+        provider_phone_number_id,
+        default_agent_id
+      FROM ${schema}.voice_agent_numbers
+      WHERE tenant_id = $1
+        AND provider_phone_number_id IS NOT NULL
+        AND (
+          CONCAT('+', country_code, base_number) = $2
+          OR default_agent_id::text = $3
+        )
+      ORDER BY COALESCE(CONCAT('+', country_code, base_number) = $2, false) DESC, created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await this.db.query(query, [
+      tenantId,
+      fromNumber,
+      agentId !== null && agentId !== undefined ? String(agentId) : null
+    ]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Create a new phone number (tenant-isolated)
    * 
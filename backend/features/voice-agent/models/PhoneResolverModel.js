@@ -6,8 +6,25 @@
  * 
  * This is a feature-specific model that doesn't represent a single table
  * but provides cross-table phone resolution functionality
+ *
+ * Resolved phones are parsed like every dialed number (see
+ * services/phoneNumbers): rows keep the cached phone as stored and add
+ * phone_e164 (null when it cannot be dialed), phone_country and phone_type.
  */
 
+const { parsePhoneNumber } = require('../services/phoneNumbers');
+
+// Cached phones are free text; national numbers need the tenant's default country
+function withParsedPhone(row, defaultCountry) {
+  const parsed = parsePhoneNumber(row.phone, { defaultCountry });
+  return {
+    ...row,
+    phone_e164: parsed.phoneNumber,
+    phone_country: parsed.country,
+    phone_type: parsed.type
+  };
+}
+
 class PhoneResolverModel {
   constructor(db) {
     this.pool = db;
@@ -20,20 +37,24 @@ class PhoneResolverModel {
    * @param {Array<string>} ids - Array of IDs to resolve
    * @param {string} type - Type: 'company' or 'employee'
    * @param {string} tenantId - Tenant ID for isolation
+   * @param {Object} [options]
+   * @param {string} [options.defaultCountry] - ISO country for national numbers (the tenant's phone policy)
    * @returns {Promise<Array>} Resolved phone data
    */
-  async resolvePhones(ids, type, tenantId) {
+  async resolvePhones(ids, type, tenantId, { defaultCountry = null } = {}) {
     if (!Array.isArray(ids) || ids.length === 0) {
       return [];
     }
 
+    let rows;
     if (type === 'company') {
-      return this._resolveCompanyPhones(ids, tenantId);
+      rows = await this._resolveCompanyPhones(ids, tenantId);
     } else if (type === 'employee') {
-      return this._resolveEmployeePhones(ids, tenantId);
+      rows = await this._resolveEmployeePhones(ids, tenantId);
     } else {
       throw new Error(`Invalid type: ${type}. Must be 'company' or 'employee'`);
     }
+    return rows.map(row => withParsedPhone(row, defaultCountry));
   }
 
   /**
@@ -298,9 +319,11 @@ class PhoneResolverModel {
    * 
    * @param {Array<Object>} entries - Array of {id, type} objects
    * @param {string} tenantId - Tenant ID for isolation
+   * @param {Object} [options]
+   * @param {string} [options.defaultCountry] - ISO country for national numbers (the tenant's phone policy)
    * @returns {Promise<Object>} Map of id -> resolved data
    */
-  async batchResolvePhones(entries, tenantId) {
+  async batchResolvePhones(entries, tenantId, { defaultCountry = null } = {}) {
     const companyIds = entries.filter(e => e.type === 'company').map(e => e.id);
     const employeeIds = entries.filter(e => e.type === 'employee').map(e => e.id);
 
@@ -310,7 +333,7 @@ class PhoneResolverModel {
     if (companyIds.length > 0) {
       const companyData = await this._resolveCompanyPhones(companyIds, tenantId);
       companyData.forEach(data => {
-        results[data.requested_id] = data;
+        results[data.requested_id] = withParsedPhone(data, defaultCountry);
       });
     }
 
@@ -318,7 +341,7 @@ class PhoneResolverModel {
     if (employeeIds.length > 0) {
       const employeeData = await this._resolveEmployeePhones(employeeIds, tenantId);
       employeeData.forEach(data => {
-        results[data.requested_id] = data;
+        results[data.requested_id] = withParsedPhone(data, defaultCountry);
       });
     }
 
@@ -91,6 +91,36 @@ WHERE vac.tenant_id = $1;
     return result.rows[0] || null;
   }
 
+  /**
+   * Get telephony provider mapping for an agent (tenant-isolated)
+   * Agent ids that are not integers (e.g. "VAPI") miss without a query
+   * 
+   * @param {string} schema - Schema name
+   * @param {string} agentId - Agent ID
+   * @param {string} tenantId - Tenant ID for isolation
+   * @returns {Promise<Object|null>} { id, provider, provider_assistant_id, provider_config, voicemail_policy } or null
+   */
+  async getAgentProviderConfig(schema, agentId, tenantId) {
+    if (!/^\d+$/.test(String(agentId))) {
+      return null;
+    }
+
+    const query = `
+      SELECT 
+        id,
+        tenant_id,
+        provider,
+        provider_assistant_id,
+        provider_config,
+        voicemail_policy
+      FROM ${schema}.voice_agents
+      WHERE id = $1 AND tenant_id = $2
+    `;
+
+    const result = await this.db.query(query, [String(agentId), tenantId]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Get voice ID for an agent (tenant-isolated)
    * 
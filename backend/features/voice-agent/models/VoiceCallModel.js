@@ -10,6 +10,8 @@
 
 const logger = require('../../../core/utils/logger');
 const { sanitizeSchema } = require('../../../core/utils/schemaHelper');
+const { TERMINAL_CALL_STATUSES } = require('../constants/callStatus');
+const { CALL_DISPOSITIONS, UNCLASSIFIED_DISPOSITION } = require('../constants/dispositions');
 
 class VoiceCallModel {
   constructor(db) {
@@ -141,6 +143,14 @@ class VoiceCallModel {
         vcl.updated_at,
         vcl.direction,
         vcl.metadata,
+        vcl.root_call_log_id,
+        vcl.attempt_number,
+        vcl.disposition,
+        vcl.disposition_source,
+        vcl.outcome,
+        vcl.answered_by,
+        vcl.disposition_details,
+        vcl.disposition_updated_at,
         l.first_name AS lead_first_name,
         l.last_name AS lead_last_name,
         vca.analysis
@@ -245,6 +255,36 @@ class VoiceCallModel {
     return result.rows[0];
   }
 
+  /**
+   * Apply an intermediate provider status (ringing, in_progress, forwarding)
+   * Never overwrites a terminal status - late status-updates can arrive after the end-of-call-report
+   * 
+   * @param {string} schema - Schema name
+   * @param {string} callId - Call log ID
+   * @param {string} tenantId - Tenant ID for isolation
+   * @param {string} status - New status
+   * @returns {Promise<Object|null>} Updated call log, or null if the call is already terminal
+   */
+  async applyProgressStatus(schema, callId, tenantId, status) {
+    const query = `
+      UPDATE ${schema}.voice_call_logs
+      SET 
+        status = $3,
+        started_at = CASE WHEN $3 = 'in_progress' THEN COALESCE(started_at, NOW()) ELSE started_at END,
+        updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2
+        AND (status IS NULL OR LOWER(status) <> ALL($4::text[]))
+      RETURNING 
+        id,
+        tenant_id,
+        status,
+        started_at
+    `;
+
+    const result = await this.pool.query(query, [callId, tenantId, status, TERMINAL_CALL_STATUSES]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Get calls for a lead (tenant-isolated)
    * 
@@ -277,51 +317,46 @@ class VoiceCallModel {
   }
 
   /**
-   * Get recent calls for tenant
+   * Build WHERE clauses for call log listing/search (shared so every listing
+   * applies the same tenant isolation and filters)
    * 
-   * @param {string} schema - Schema name
    * @param {string} tenantId - Tenant ID
-   * @param {number} limit - Max results
-   * @param {Object} filters - Optional filters
-   * @returns {Promise<Array>} Call logs
+   * @param {Object} filters - status, agentId, startDate, fromDate, toDate, userId, leadTag,
+   *   dispositions (any of; 'unclassified' matches calls without a disposition)
+   * @returns {{ whereClauses: string[], values: Array, paramIndex: number }}
    */
-  async getRecentCalls(schema, tenantId, filters = {}, limit = 50) {
-    return this.getCallLogs(schema, tenantId, filters, limit, 0);
-  }
-
-  async getCallLogs(schema, tenantId, filters = {}, limit = 50, offset = 0) {
-    const safeSchema = sanitizeSchema(schema);
-    const whereClauses = ['tenant_id = $1'];
+  _buildCallLogFilters(tenantId, filters = {}) {
+    const whereClauses = ['vcl.tenant_id = $1'];
     const values = [tenantId];
     let paramIndex = 2;
 
     if (filters.status) {
-      whereClauses.push(`status = $${paramIndex}`);
+      whereClauses.push(`vcl.status = $${paramIndex}`);
       values.push(filters.status);
       paramIndex++;
     }
     if (filters.agentId) {
-      whereClauses.push(`agent_id = $${paramIndex}`);
+      whereClauses.push(`vcl.agent_id = $${paramIndex}`);
       values.push(filters.agentId);
       paramIndex++;
     }
     if (filters.startDate) {
-      whereClauses.push(`started_at >= $${paramIndex}`);
+      whereClauses.push(`vcl.started_at >= $${paramIndex}`);
       values.push(filters.startDate);
       paramIndex++;
     }
     if (filters.fromDate) {
-      whereClauses.push(`started_at >= $${paramIndex}`);
+      whereClauses.push(`vcl.started_at >= $${paramIndex}`);
       values.push(filters.fromDate);
       paramIndex++;
     }
     if (filters.toDate) {
-      whereClauses.push(`started_at <= $${paramIndex}`);
+      whereClauses.push(`vcl.started_at <= $${paramIndex}`);
       values.push(filters.toDate);
       paramIndex++;
     }
     if (filters.userId) {
-      whereClauses.push(`initiated_by_user_id = $${paramIndex}`);
+      whereClauses.push(`vcl.initiated_by_user_id = $${paramIndex}`);
       values.push(filters.userId);
       paramIndex++;
     }
@@ -332,6 +367,40 @@ class VoiceCallModel {
       paramIndex++;
     }
 
+    if (Array.isArray(filters.dispositions) && filters.dispositions.length > 0) {
+      const dispositions = filters.dispositions.filter(d => d !== UNCLASSIFIED_DISPOSITION);
+      const matches = [];
+      if (dispositions.length > 0) {
+        matches.push(`vcl.disposition = ANY($${paramIndex}::text[])`);
+        values.push(dispositions);
+        paramIndex++;
+      }
+      if (dispositions.length < filters.dispositions.length) {
+        matches.push('vcl.disposition IS NULL');
+      }
+      whereClauses.push(`(${matches.join(' OR ')})`);
+    }
+
+    return { whereClauses, values, paramIndex };
+  }
+
+  /**
+   * Get recent calls for tenant
+   * 
+   * @param {string} schema - Schema name
+   * @param {string} tenantId - Tenant ID
+   * @param {number} limit - Max results
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Array>} Call logs
+   */
+  async getRecentCalls(schema, tenantId, filters = {}, limit = 50) {
+    return this.getCallLogs(schema, tenantId, filters, limit, 0);
+  }
+
+  async getCallLogs(schema, tenantId, filters = {}, limit = 50, offset = 0) {
+    const safeSchema = sanitizeSchema(schema);
+    const { whereClauses, values, paramIndex } = this._buildCallLogFilters(tenantId, filters);
+
     const query = `
       SELECT 
         vcl.id AS call_log_id,
@@ -355,6 +424,12 @@ class VoiceCallModel {
         vcl.campaign_lead_id,
         vcl.campaign_step_id,
         vcl.direction,
+        vcl.root_call_log_id,
+        vcl.attempt_number,
+        vcl.disposition,
+        vcl.disposition_source,
+        vcl.outcome,
+        vcl.answered_by,
         l.first_name AS lead_first_name,
         l.last_name AS lead_last_name,
         l.tags AS lead_tags,
@@ -363,7 +438,7 @@ class VoiceCallModel {
       LEFT JOIN ${safeSchema}.leads l ON l.id = vcl.lead_id AND l.tenant_id = vcl.tenant_id
       LEFT JOIN ${safeSchema}.voice_agents va ON va.id = vcl.agent_id::bigint AND va.tenant_id = vcl.tenant_id
       LEFT JOIN ${safeSchema}.voice_call_batch_entries vcbe ON vcbe.call_log_id = vcl.id AND vcbe.is_deleted = false
-      WHERE ${whereClauses.map(c => `vcl.${c}`).join(' AND ')}
+      WHERE ${whereClauses.join(' AND ')}
       ORDER BY vcl.started_at DESC
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
@@ -383,64 +458,108 @@ class VoiceCallModel {
    */
   async getCallLogsCount(schema, tenantId, filters = {}) {
     const safeSchema = sanitizeSchema(schema);
-    const whereClauses = ['tenant_id = $1'];
-    const values = [tenantId];
-    let paramIndex = 2;
-
-    if (filters.status) {
-      whereClauses.push(`status = $${paramIndex}`);
-      values.push(filters.status);
-      paramIndex++;
-    }
-    if (filters.agentId) {
-      whereClauses.push(`agent_id = $${paramIndex}`);
-      values.push(filters.agentId);
-      paramIndex++;
-    }
-    if (filters.startDate) {
-      whereClauses.push(`started_at >= $${paramIndex}`);
-      values.push(filters.startDate);
-      paramIndex++;
-    }
-    if (filters.fromDate) {
-      whereClauses.push(`started_at >= $${paramIndex}`);
-      values.push(filters.fromDate);
-      paramIndex++;
-    }
-    if (filters.toDate) {
-      whereClauses.push(`started_at <= $${paramIndex}`);
-      values.push(filters.toDate);
-      paramIndex++;
-    }
-    if (filters.userId) {
-      whereClauses.push(`initiated_by_user_id = $${paramIndex}`);
-      values.push(filters.userId);
-      paramIndex++;
-    }
-
-    if (filters.leadTag) {
-      whereClauses.push(`$${paramIndex} = ANY(l.tags)`);
-      values.push(filters.leadTag);
-      paramIndex++;
-    }
+    const { whereClauses, values } = this._buildCallLogFilters(tenantId, filters);
 
     const query = `
       SELECT COUNT(*) as total
       FROM ${safeSchema}.voice_call_logs vcl
       LEFT JOIN ${safeSchema}.leads l ON l.id = vcl.lead_id AND l.tenant_id = vcl.tenant_id
-      WHERE ${whereClauses.map(c => `vcl.${c}`).join(' AND ')}
+      WHERE ${whereClauses.join(' AND ')}
     `;
 
     const result = await this.pool.query(query, values);
     return parseInt(result.rows[0].total, 10);
   }
 
+  /**
+   * Full-text search over call transcripts and summaries (voice_call_transcripts.search_vector)
+   * Applies the same tenant isolation and filters as getCallLogs
+   * 
+   * @param {string} schema - Schema name
+   * @param {string} tenantId - Tenant ID
+   * @param {string} searchQuery - Web-search style query ("quoted phrase", or, -exclude)
+   * @param {Object} filters - Filters (same as getCallLogs)
+   * @param {Object} options - { limit, offset, headlineOptions }
+   * @returns {Promise<{calls: Array, total: number}>} Matches ordered by rank, with headline snippets
+   */
+  async searchCallLogs(schema, tenantId, searchQuery, filters = {}, options = {}) {
+    const safeSchema = sanitizeSchema(schema);
+    const { limit = 50, offset = 0, headlineOptions = '' } = options;
+    const { whereClauses, values, paramIndex } = this._buildCallLogFilters(tenantId, filters);
+
+    const queryParam = paramIndex;
+    const headlineParam = paramIndex + 1;
+    const searchValues = [...values, searchQuery, headlineOptions];
+    const searchWhere = [
+      ...whereClauses,
+      'vct.is_deleted = false',
+      `vct.search_vector @@ websearch_to_tsquery('english', $${queryParam})`
+    ].join(' AND ');
+
+    const fromClause = `
+      FROM ${safeSchema}.voice_call_logs vcl
+      JOIN ${safeSchema}.voice_call_transcripts vct ON vct.call_log_id = vcl.id AND vct.tenant_id = vcl.tenant_id
+      LEFT JOIN ${safeSchema}.leads l ON l.id = vcl.lead_id AND l.tenant_id = vcl.tenant_id
+    `;
+
+    const query = `
+      SELECT 
+        vcl.id AS call_log_id,
+        vcl.tenant_id,
+        vcl.initiated_by_user_id,
+        vcl.lead_id,
+        vcl.to_country_code,
+        vcl.to_base_number,
+        vcl.agent_id,
+        va.name AS agent_name,
+        vcl.status,
+        vcl.started_at,
+        vcl.ended_at,
+        vcl.duration_seconds,
+        vcl.direction,
+        vcl.disposition,
+        vcl.disposition_source,
+        vcl.outcome,
+        vcl.answered_by,
+        l.first_name AS lead_first_name,
+        l.last_name AS lead_last_name,
+        l.tags AS lead_tags,
+        vcbe.batch_id,
+        vct.summary,
+        ts_rank(vct.search_vector, websearch_to_tsquery('english', $${queryParam})) AS rank,
+        ts_headline('english', COALESCE(vct.transcript_text, ''), websearch_to_tsquery('english', $${queryParam}), $${headlineParam}) AS transcript_snippet,
+        ts_headline('english', COALESCE(vct.summary, ''), websearch_to_tsquery('english', $${queryParam}), $${headlineParam}) AS summary_snippet
+      ${fromClause}
+      LEFT JOIN ${safeSchema}.voice_agents va ON va.id = vcl.agent_id::bigint AND va.tenant_id = vcl.tenant_id
+      LEFT JOIN ${safeSchema}.voice_call_batch_entries vcbe ON vcbe.call_log_id = vcl.id AND vcbe.is_deleted = false
+      WHERE ${searchWhere}
+      ORDER BY rank DESC, vcl.started_at DESC
+      LIMIT $${paramIndex + 2} OFFSET $${paramIndex + 3}
+    `;
+
+    const countQuery = `
+      SELECT COUNT(*) as total
+      ${fromClause}
+      WHERE ${searchWhere}
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(query, [...searchValues, limit, offset]),
+      this.pool.query(countQuery, searchValues.slice(0, queryParam))
+    ]);
+
+    return {
+      calls: result.rows,
+      total: parseInt(countResult.rows[0].total, 10)
+    };
+  }
+
   /**
    * Get call statistics for tenant
    * 
    * @param {string} tenantId - Tenant ID
    * @param {Object} dateRange - Date range filter
-   * @returns {Promise<Object>} Statistics
+   * @returns {Promise<Object>} Statistics, with call counts per disposition
    */
   async getCallStats(schema, tenantId, dateRange = {}) {
     const whereClauses = ['vcl.tenant_id = $1'];
@@ -463,7 +582,7 @@ class VoiceCallModel {
         COUNT(*) as total_calls,
         COUNT(CASE WHEN LOWER(vcl.status) IN ('ended', 'completed') THEN 1 END) as completed_calls,
         COUNT(CASE WHEN LOWER(vcl.status) = 'failed' THEN 1 END) as failed_calls,
-        COUNT(CASE WHEN LOWER(vcl.status) IN ('ongoing', 'in_progress', 'calling') THEN 1 END) as ongoing,
+        COUNT(CASE WHEN LOWER(vcl.status) IN ('ongoing', 'in_progress', 'calling', 'ringing', 'forwarding') THEN 1 END) as ongoing,
         COUNT(CASE WHEN LOWER(vcl.status) IN ('queue', 'queued', 'pending') THEN 1 END) as queue,
         COUNT(CASE 
           WHEN LOWER(vca.raw_analysis->'lead_score_full'->>'lead_category') LIKE '%hot%' 
@@ -482,8 +601,28 @@ class VoiceCallModel {
       WHERE ${whereClauses.join(' AND ')}
     `;
 
-    const result = await this.pool.query(query, values);
+    // Separate query: the analysis join above can repeat a call
+    const dispositionQuery = `
+      SELECT vcl.disposition, COUNT(*) AS count
+      FROM ${schema}.voice_call_logs vcl
+      WHERE ${whereClauses.join(' AND ')}
+      GROUP BY vcl.disposition
+    `;
+
+    const [result, dispositionResult] = await Promise.all([
+      this.pool.query(query, values),
+      this.pool.query(dispositionQuery, values)
+    ]);
     const stats = result.rows[0];
+
+    const dispositions = { [UNCLASSIFIED_DISPOSITION]: 0 };
+    for (const disposition of Object.values(CALL_DISPOSITIONS)) {
+      dispositions[disposition] = 0;
+    }
+    for (const row of dispositionResult.rows) {
+      const key = row.disposition || UNCLASSIFIED_DISPOSITION;
+      dispositions[key] = (dispositions[key] || 0) + (parseInt(row.count, 10) || 0);
+    }
     
     // Convert string numbers to integers
     return {
@@ -494,7 +633,8 @@ class VoiceCallModel {
       queue: parseInt(stats.queue, 10) || 0,
       hot_leads: parseInt(stats.hot_leads, 10) || 0,
       warm_leads: parseInt(stats.warm_leads, 10) || 0,
-      cold_leads: parseInt(stats.cold_leads, 10) || 0
+      cold_leads: parseInt(stats.cold_leads, 10) || 0,
+      dispositions
     };
   }
 
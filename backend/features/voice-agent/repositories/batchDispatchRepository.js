@@ -0,0 +1,607 @@
+/**
+ * Batch Dispatch Repository
+ *
+ * SQL access for natively dispatched batches: voice_call_batches rows with
+ * dispatch_mode = 'native', their voice_call_batch_entries, and the
+ * per-tenant limits in voice_call_dispatch_limits.
+ *
+ * Entry claims for a tenant run inside withTenantLock(), which holds a
+ * transaction-scoped advisory lock so several instances never count the
+ * same free concurrency slots.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const {
+  BATCH_STATUS,
+  BATCH_ENTRY_STATUS,
+  IN_FLIGHT_ENTRY_STATUSES,
+  BATCH_DISPATCH_MODES
+} = require('../constants/batchStatus');
+const { TERMINAL_CALL_STATUSES, CALL_STATUS } = require('../constants/callStatus');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const BATCH_COLUMNS = `
+  id, tenant_id, status, total_calls, completed_calls, failed_calls,
+  initiated_by_user_id, agent_id, scheduled_at, started_at, finished_at,
+  dispatch_mode, call_request, max_concurrent_calls, calls_per_minute,
+  paused_at, retry_policy, business_hours, metadata, created_at, updated_at
+`;
+
+const ENTRY_COLUMNS = `
+  id, tenant_id, batch_id, position, lead_id, lead_name, to_phone,
+  added_context, from_number, call_options, status, call_log_id,
+  provider_call_id, attempts, root_call_log_id, next_attempt_at, last_error,
+  skip_reason, dispatched_at, finished_at, created_at
+`;
+
+const LIMIT_COLUMNS = `
+  tenant_id, max_concurrent_calls, max_concurrent_per_number,
+  calls_per_minute, updated_by_user_id, created_at, updated_at
+`;
+
+class BatchDispatchRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Insert a native batch and its entries in one transaction
+   *
+   * @param {Object} batch
+   * @param {string} [batch.status] - running (default) or draft
+   * @param {Array<Object>} batch.entries - { toPhone, leadId, leadName, addedContext, callOptions, skipReason }
+   *   entries with a skipReason are stored as skipped and never dialed
+   * @returns {Promise<Object>} batch row
+   */
+  async createBatch({
+    tenantId,
+    status = BATCH_STATUS.RUNNING,
+    initiatedByUserId = null,
+    agentId = null,
+    scheduledAt = null,
+    callRequest = {},
+    maxConcurrentCalls = null,
+    callsPerMinute = null,
+    retryPolicy = null,
+    businessHours = null,
+    attachments = null,
+    metadata = {},
+    entries
+  }, schema) {
+    const s = this._schema(schema);
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const batchResult = await client.query(
+        `INSERT INTO ${s}.voice_call_batches (
+           tenant_id, status, total_calls, completed_calls, failed_calls,
+           initiated_by_user_id, agent_id, scheduled_at, dispatch_mode,
+           call_request, max_concurrent_calls, calls_per_minute, retry_policy,
+           business_hours, attachments, metadata, created_at, updated_at
+         ) VALUES ($1, $2, $3, 0, 0, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+         RETURNING ${BATCH_COLUMNS}`,
+        [
+          tenantId,
+          status,
+          entries.length,
+          initiatedByUserId,
+          agentId,
+          scheduledAt,
+          BATCH_DISPATCH_MODES.NATIVE,
+          JSON.stringify(callRequest),
+          maxConcurrentCalls,
+          callsPerMinute,
+          retryPolicy ? JSON.stringify(retryPolicy) : null,
+          businessHours ? JSON.stringify(businessHours) : null,
+          attachments,
+          JSON.stringify(metadata)
+        ]
+      );
+      const batch = batchResult.rows[0];
+
+      await client.query(
+        `INSERT INTO ${s}.voice_call_batch_entries (
+           tenant_id, batch_id, position, lead_id, lead_name, to_phone,
+           added_context, call_options, status, skip_reason, finished_at, created_at
+         )
+         SELECT $1, $2, e.position, e.lead_id, e.lead_name, e.to_phone,
+                e.added_context, COALESCE(e.call_options, '{}'::jsonb),
+                CASE WHEN e.skip_reason IS NULL THEN $3 ELSE $5 END,
+                e.skip_reason,
+                CASE WHEN e.skip_reason IS NULL THEN NULL ELSE NOW() END,
+                NOW()
+         FROM jsonb_to_recordset($4::jsonb) AS e(
+           position INTEGER, lead_id UUID, lead_name TEXT, to_phone TEXT,
+           added_context TEXT, call_options JSONB, skip_reason TEXT
+         )`,
+        [
+          tenantId,
+          batch.id,
+          BATCH_ENTRY_STATUS.PENDING,
+          JSON.stringify(entries.map((entry, index) => ({
+            position: index,
+            lead_id: entry.leadId || null,
+            lead_name: entry.leadName || null,
+            to_phone: entry.toPhone,
+            added_context: entry.addedContext || null,
+            call_options: entry.callOptions || {},
+            skip_reason: entry.skipReason || null
+          }))),
+          BATCH_ENTRY_STATUS.SKIPPED
+        ]
+      );
+
+      await client.query('COMMIT');
+      return batch;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getBatch(schema, tenantId, batchId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${BATCH_COLUMNS}
+       FROM ${s}.voice_call_batches
+       WHERE id::text = $1 AND tenant_id = $2 AND is_deleted = false`,
+      [String(batchId), tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Tenants with a running native batch that has due pending entries
+   * (re-queued retries become due at next_attempt_at)
+   */
+  async listDispatchableTenants(schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT DISTINCT b.tenant_id
+       FROM ${s}.voice_call_batches b
+       WHERE b.is_deleted = false
+         AND b.dispatch_mode = $1
+         AND b.status = $2
+         AND (b.scheduled_at IS NULL OR b.scheduled_at <= NOW())
+         AND EXISTS (
+           SELECT 1 FROM ${s}.voice_call_batch_entries e
+           WHERE e.batch_id = b.id AND e.is_deleted = false AND e.status = $3
+             AND (e.next_attempt_at IS NULL OR e.next_attempt_at <= NOW())
+         )`,
+      [BATCH_DISPATCH_MODES.NATIVE, BATCH_STATUS.RUNNING, BATCH_ENTRY_STATUS.PENDING]
+    );
+    return result.rows.map(row => row.tenant_id);
+  }
+
+  /**
+   * Run fn(txRepository) in a transaction holding the tenant's dispatch lock
+   * @returns {Promise<*>} fn's result, or null when another instance holds the lock
+   */
+  async withTenantLock(tenantId, fn) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+      const lock = await client.query(
+        `SELECT pg_try_advisory_xact_lock(hashtext('voice_batch_dispatch:' || $1::text)) AS locked`,
+        [tenantId]
+      );
+      if (!lock.rows[0]?.locked) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await fn(new BatchDispatchRepository(client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * In-flight calls and dials in the last minute for a tenant, overall and per from-number
+   */
+  async getTenantUsage(schema, tenantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT COALESCE(from_number, '') AS from_number,
+              COUNT(*) FILTER (WHERE status = ANY($2::text[]))::int AS in_flight,
+              COUNT(*) FILTER (WHERE dispatched_at > NOW() - INTERVAL '1 minute')::int AS last_minute
+       FROM ${s}.voice_call_batch_entries
+       WHERE tenant_id = $1 AND is_deleted = false
+         AND (status = ANY($2::text[]) OR dispatched_at > NOW() - INTERVAL '1 minute')
+       GROUP BY COALESCE(from_number, '')`,
+      [tenantId, IN_FLIGHT_ENTRY_STATUSES]
+    );
+
+    const usage = { inFlight: 0, lastMinute: 0, byNumber: {} };
+    for (const row of result.rows) {
+      usage.inFlight += row.in_flight;
+      usage.lastMinute += row.last_minute;
+      usage.byNumber[row.from_number] = row.in_flight;
+    }
+    return usage;
+  }
+
+  /**
+   * Due running native batches of a tenant (oldest first) with their own usage
+   */
+  async listDispatchableBatches(schema, tenantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT b.id, b.tenant_id, b.agent_id, b.initiated_by_user_id, b.call_request,
+              b.max_concurrent_calls, b.calls_per_minute, b.started_at,
+              COUNT(e.id) FILTER (WHERE e.status = ANY($4::text[]))::int AS in_flight,
+              COUNT(e.id) FILTER (WHERE e.dispatched_at > NOW() - INTERVAL '1 minute')::int AS last_minute
+       FROM ${s}.voice_call_batches b
+       LEFT JOIN ${s}.voice_call_batch_entries e
+         ON e.batch_id = b.id AND e.is_deleted = false
+       WHERE b.tenant_id = $1 AND b.is_deleted = false
+         AND b.dispatch_mode = $2 AND b.status = $3
+         AND (b.scheduled_at IS NULL OR b.scheduled_at <= NOW())
+         AND EXISTS (
+           SELECT 1 FROM ${s}.voice_call_batch_entries p
+           WHERE p.batch_id = b.id AND p.is_deleted = false AND p.status = $5
+             AND (p.next_attempt_at IS NULL OR p.next_attempt_at <= NOW())
+         )
+       GROUP BY b.id
+       ORDER BY b.created_at ASC`,
+      [
+        tenantId,
+        BATCH_DISPATCH_MODES.NATIVE,
+        BATCH_STATUS.RUNNING,
+        IN_FLIGHT_ENTRY_STATUSES,
+        BATCH_ENTRY_STATUS.PENDING
+      ]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Move up to `limit` due pending entries of a batch to dispatching
+   */
+  async claimEntries(schema, batchId, limit, fromNumber = null) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries
+       SET status = $3,
+           from_number = $4,
+           attempts = attempts + 1,
+           dispatched_at = NOW(),
+           next_attempt_at = NULL,
+           last_error = NULL
+       WHERE id IN (
+         SELECT id FROM ${s}.voice_call_batch_entries
+         WHERE batch_id = $1 AND is_deleted = false AND status = $5
+           AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+         ORDER BY position ASC NULLS LAST, created_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${ENTRY_COLUMNS}`,
+      [batchId, limit, BATCH_ENTRY_STATUS.DISPATCHING, fromNumber, BATCH_ENTRY_STATUS.PENDING]
+    );
+    return result.rows;
+  }
+
+  async markBatchStarted(schema, batchId) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_batches
+       SET started_at = COALESCE(started_at, NOW()),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [batchId]
+    );
+  }
+
+  /**
+   * Hand a claimed entry back as pending until nextAttemptAt (outside business
+   * hours). Undoes the claim, so the deferral is not counted as an attempt or
+   * against the dial rate.
+   */
+  async deferEntry(schema, entryId, nextAttemptAt, reason = null) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries
+       SET status = $2,
+           attempts = GREATEST(attempts - 1, 0),
+           from_number = NULL,
+           dispatched_at = NULL,
+           next_attempt_at = $3,
+           last_error = $4
+       WHERE id = $1 AND status = $5`,
+      [entryId, BATCH_ENTRY_STATUS.PENDING, nextAttemptAt, reason, BATCH_ENTRY_STATUS.DISPATCHING]
+    );
+  }
+
+  async markEntryDispatched(schema, entryId, { callLogId = null, providerCallId = null }) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries
+       SET status = $2,
+           call_log_id = COALESCE($3, call_log_id),
+           provider_call_id = COALESCE($4, provider_call_id)
+       WHERE id = $1 AND status = $5`,
+      [entryId, BATCH_ENTRY_STATUS.DISPATCHED, callLogId, providerCallId, BATCH_ENTRY_STATUS.DISPATCHING]
+    );
+  }
+
+  /**
+   * Mark a claimed entry as skipped (never dialed, e.g. number on a Do-Not-Call
+   * list). Undoes the claim like deferEntry, so no attempt is counted.
+   */
+  async markEntrySkipped(schema, entryId, reason) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries
+       SET status = $2,
+           attempts = GREATEST(attempts - 1, 0),
+           from_number = NULL,
+           dispatched_at = NULL,
+           skip_reason = $3,
+           finished_at = NOW()
+       WHERE id = $1 AND status = $4`,
+      [entryId, BATCH_ENTRY_STATUS.SKIPPED, reason, BATCH_ENTRY_STATUS.DISPATCHING]
+    );
+  }
+
+  /**
+   * Mark a claimed entry as failed; entries already settled are left as they are
+   */
+  async markEntryFailed(schema, entryId, error) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries
+       SET status = $2,
+           last_error = $3,
+           finished_at = NOW()
+       WHERE id = $1 AND status = ANY($4::text[])`,
+      [entryId, BATCH_ENTRY_STATUS.FAILED, error, IN_FLIGHT_ENTRY_STATUSES]
+    );
+  }
+
+  /**
+   * Settle in-flight entries:
+   * - dispatched entries whose call log (call_log_id, same tenant) reached a terminal status
+   * - dispatched entries without an outcome after staleMinutes (slot released)
+   * - dispatching entries left behind by a crashed worker (never re-dialed, the call may have been placed)
+   * @returns {Promise<number>} entries settled
+   */
+  async settleEntries(schema, { staleMinutes, lockTimeoutSeconds }) {
+    const s = this._schema(schema);
+
+    const finished = await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries e
+       SET status = CASE WHEN vcl.status = ANY($4::text[]) THEN $3 ELSE $2 END,
+           last_error = CASE WHEN vcl.status = ANY($4::text[]) THEN vcl.status ELSE e.last_error END,
+           finished_at = COALESCE(vcl.ended_at, NOW())
+       FROM ${s}.voice_call_logs vcl
+       WHERE e.call_log_id = vcl.id
+         AND vcl.tenant_id = e.tenant_id
+         AND e.is_deleted = false
+         AND e.status = $1
+         AND vcl.status = ANY($5::text[])`,
+      [
+        BATCH_ENTRY_STATUS.DISPATCHED,
+        BATCH_ENTRY_STATUS.COMPLETED,
+        BATCH_ENTRY_STATUS.FAILED,
+        [CALL_STATUS.FAILED, CALL_STATUS.CANCELLED],
+        TERMINAL_CALL_STATUSES
+      ]
+    );
+
+    const stale = await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries
+       SET status = $2,
+           last_error = $3,
+           finished_at = NOW()
+       WHERE is_deleted = false
+         AND ((status = $1 AND dispatched_at < NOW() - ($4 || ' minutes')::interval)
+           OR (status = $5 AND dispatched_at < NOW() - ($6 || ' seconds')::interval))`,
+      [
+        BATCH_ENTRY_STATUS.DISPATCHED,
+        BATCH_ENTRY_STATUS.FAILED,
+        'No call outcome received',
+        String(staleMinutes),
+        BATCH_ENTRY_STATUS.DISPATCHING,
+        String(lockTimeoutSeconds)
+      ]
+    );
+
+    return finished.rowCount + stale.rowCount;
+  }
+
+  /**
+   * Refresh completed/failed counters of native batches and complete running
+   * batches with no pending or in-flight entries left
+   */
+  async refreshBatchProgress(schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_call_batches b
+       SET completed_calls = c.completed,
+           failed_calls = c.failed,
+           status = CASE WHEN b.status = $2 AND c.remaining = 0 THEN $3 ELSE b.status END,
+           finished_at = CASE WHEN b.status = $2 AND c.remaining = 0 THEN NOW() ELSE b.finished_at END,
+           updated_at = NOW()
+       FROM (
+         SELECT e.batch_id,
+                COUNT(*) FILTER (WHERE e.status = $4)::int AS completed,
+                COUNT(*) FILTER (WHERE e.status = $5)::int AS failed,
+                COUNT(*) FILTER (WHERE e.status = ANY($6::text[]))::int AS remaining
+         FROM ${s}.voice_call_batch_entries e
+         JOIN ${s}.voice_call_batches nb ON nb.id = e.batch_id
+         WHERE e.is_deleted = false
+           AND nb.dispatch_mode = $1
+           AND nb.status IN ($2, $7)
+         GROUP BY e.batch_id
+       ) c
+       WHERE b.id = c.batch_id
+         AND (b.completed_calls IS DISTINCT FROM c.completed
+           OR b.failed_calls IS DISTINCT FROM c.failed
+           OR (b.status = $2 AND c.remaining = 0))
+       RETURNING b.id, b.tenant_id, b.status`,
+      [
+        BATCH_DISPATCH_MODES.NATIVE,
+        BATCH_STATUS.RUNNING,
+        BATCH_STATUS.COMPLETED,
+        BATCH_ENTRY_STATUS.COMPLETED,
+        BATCH_ENTRY_STATUS.FAILED,
+        [BATCH_ENTRY_STATUS.PENDING, ...IN_FLIGHT_ENTRY_STATUSES],
+        BATCH_STATUS.PAUSED
+      ]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Change a native batch's status when it is currently in one of fromStatuses,
+   * appending the change to metadata.status_history
+   *
+   * @param {Object} change
+   * @param {string[]} change.fromStatuses - Statuses the transition applies to
+   * @param {string} change.toStatus
+   * @param {Object} [change.fields] - { paused, finished, scheduledAt }
+   * @param {Object} [change.transition] - { action, by, reason } recorded in the history
+   * @returns {Promise<Object|null>} updated batch, or null when the transition does not apply
+   */
+  async transitionBatch(schema, tenantId, batchId, { fromStatuses, toStatus, fields = {}, transition = {} }) {
+    const s = this._schema(schema);
+    const params = [String(batchId), tenantId, BATCH_DISPATCH_MODES.NATIVE, fromStatuses, toStatus];
+    const sets = ['status = $5', 'updated_at = NOW()'];
+
+    if (fields.paused !== undefined) {
+      sets.push(fields.paused ? 'paused_at = NOW()' : 'paused_at = NULL');
+    }
+    if (fields.finished) {
+      sets.push('finished_at = NOW()');
+    }
+    if (fields.scheduledAt !== undefined) {
+      params.push(fields.scheduledAt);
+      sets.push(`scheduled_at = $${params.length}`);
+    }
+
+    // `status` on the right-hand side is the value before this update
+    params.push(JSON.stringify({
+      action: transition.action || toStatus,
+      by: transition.by || null,
+      reason: transition.reason || null,
+      scheduled_at: fields.scheduledAt || undefined,
+      to: toStatus
+    }));
+    sets.push(`metadata = jsonb_set(
+      COALESCE(metadata, '{}'::jsonb),
+      '{status_history}',
+      COALESCE(metadata->'status_history', '[]'::jsonb) || jsonb_build_array(
+        $${params.length}::jsonb || jsonb_build_object('from', status, 'at', NOW())
+      )
+    )`);
+
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_call_batches
+       SET ${sets.join(', ')}
+       WHERE id::text = $1 AND tenant_id = $2 AND is_deleted = false
+         AND dispatch_mode = $3 AND status = ANY($4::text[])
+       RETURNING ${BATCH_COLUMNS}`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  async countEntriesByStatus(schema, tenantId, batchId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT status, COUNT(*)::int AS count
+       FROM ${s}.voice_call_batch_entries
+       WHERE batch_id = $1 AND tenant_id = $2 AND is_deleted = false
+       GROUP BY status`,
+      [batchId, tenantId]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.status, row.count]));
+  }
+
+  /**
+   * Cancel a batch's pending entries
+   * @returns {Promise<number>} entries cancelled
+   */
+  async cancelPendingEntries(schema, tenantId, batchId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_call_batch_entries
+       SET status = $3,
+           finished_at = NOW()
+       WHERE batch_id = $1 AND tenant_id = $2 AND is_deleted = false AND status = $4`,
+      [batchId, tenantId, BATCH_ENTRY_STATUS.CANCELLED, BATCH_ENTRY_STATUS.PENDING]
+    );
+    return result.rowCount;
+  }
+
+  async listInFlightEntries(schema, tenantId, batchId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${ENTRY_COLUMNS}
+       FROM ${s}.voice_call_batch_entries
+       WHERE batch_id = $1 AND tenant_id = $2 AND is_deleted = false
+         AND status = ANY($3::text[])`,
+      [batchId, tenantId, IN_FLIGHT_ENTRY_STATUSES]
+    );
+    return result.rows;
+  }
+
+  async getDispatchLimits(schema, tenantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${LIMIT_COLUMNS}
+       FROM ${s}.voice_call_dispatch_limits
+       WHERE tenant_id = $1`,
+      [tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async upsertDispatchLimits(schema, tenantId, {
+    maxConcurrentCalls = null,
+    maxConcurrentPerNumber = null,
+    callsPerMinute = null,
+    updatedByUserId = null
+  }) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_call_dispatch_limits (
+         tenant_id, max_concurrent_calls, max_concurrent_per_number,
+         calls_per_minute, updated_by_user_id
+       ) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (tenant_id) DO UPDATE SET
+         max_concurrent_calls = EXCLUDED.max_concurrent_calls,
+         max_concurrent_per_number = EXCLUDED.max_concurrent_per_number,
+         calls_per_minute = EXCLUDED.calls_per_minute,
+         updated_by_user_id = EXCLUDED.updated_by_user_id,
+         updated_at = NOW()
+       RETURNING ${LIMIT_COLUMNS}`,
+      [tenantId, maxConcurrentCalls, maxConcurrentPerNumber, callsPerMinute, updatedByUserId]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = BatchDispatchRepository;
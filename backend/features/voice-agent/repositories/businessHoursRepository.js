@@ -0,0 +1,93 @@
+/**
+ * Business Hours Repository
+ *
+ * SQL access for tenant business hours (voice_business_hours), agent
+ * overrides (voice_agents.business_hours) and the lead data used to find a
+ * lead's timezone.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const BUSINESS_HOURS_COLUMNS = `
+  tenant_id, business_hours, updated_by_user_id, created_at, updated_at
+`;
+
+class BusinessHoursRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  async getTenantBusinessHours(schema, tenantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${BUSINESS_HOURS_COLUMNS}
+       FROM ${s}.voice_business_hours
+       WHERE tenant_id = $1`,
+      [tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async upsertTenantBusinessHours(schema, tenantId, businessHours, updatedByUserId = null) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_business_hours (tenant_id, business_hours, updated_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tenant_id) DO UPDATE SET
+         business_hours = EXCLUDED.business_hours,
+         updated_by_user_id = EXCLUDED.updated_by_user_id,
+         updated_at = NOW()
+       RETURNING ${BUSINESS_HOURS_COLUMNS}`,
+      [tenantId, JSON.stringify(businessHours), updatedByUserId]
+    );
+    return result.rows[0];
+  }
+
+  async deleteTenantBusinessHours(schema, tenantId) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `DELETE FROM ${s}.voice_business_hours WHERE tenant_id = $1`,
+      [tenantId]
+    );
+  }
+
+  async getAgentBusinessHours(schema, tenantId, agentId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT business_hours
+       FROM ${s}.voice_agents
+       WHERE id::text = $1 AND tenant_id = $2`,
+      [String(agentId), tenantId]
+    );
+    return result.rows[0]?.business_hours || null;
+  }
+
+  /**
+   * Whole lead row as JSON; the timezone may live in a column or in metadata
+   */
+  async getLead(schema, tenantId, leadId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT to_jsonb(l) AS lead
+       FROM ${s}.leads l
+       WHERE l.id::text = $1 AND l.tenant_id = $2
+       LIMIT 1`,
+      [String(leadId), tenantId]
+    );
+    return result.rows[0]?.lead || null;
+  }
+}
+
+module.exports = BusinessHoursRepository;
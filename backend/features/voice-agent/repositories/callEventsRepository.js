@@ -0,0 +1,109 @@
+/**
+ * Call Events Repository
+ *
+ * SQL access for the per-call timeline (voice_call_events)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const EVENT_COLUMNS = `
+  id, tenant_id, call_log_id, provider, provider_call_id, event_type,
+  status, role, content, payload, occurred_at, metadata, created_at
+`;
+
+class CallEventsRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  async insertEvent({
+    tenantId,
+    callLogId,
+    provider = 'vapi',
+    providerCallId = null,
+    eventType,
+    status = null,
+    role = null,
+    content = null,
+    payload = {},
+    occurredAt = null,
+    metadata = {}
+  }, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_call_events (
+         tenant_id, call_log_id, provider, provider_call_id, event_type,
+         status, role, content, payload, occurred_at, metadata
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()), $11)
+       RETURNING ${EVENT_COLUMNS}`,
+      [
+        tenantId,
+        callLogId,
+        provider,
+        providerCallId,
+        eventType,
+        status,
+        role,
+        content,
+        JSON.stringify(payload),
+        occurredAt,
+        JSON.stringify(metadata)
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async getEventById(schema, tenantId, eventId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${EVENT_COLUMNS}
+       FROM ${s}.voice_call_events
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = false`,
+      [eventId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async listEventsForCall(schema, tenantId, callLogId, { eventTypes = null, limit = 500 } = {}) {
+    const s = this._schema(schema);
+    const params = [tenantId, callLogId];
+    let where = 'tenant_id = $1 AND call_log_id = $2 AND is_deleted = false';
+
+    if (Array.isArray(eventTypes) && eventTypes.length > 0) {
+      params.push(eventTypes);
+      where += ` AND event_type = ANY($${params.length}::text[])`;
+    }
+
+    params.push(limit);
+    const result = await this.db.query(
+      `SELECT ${EVENT_COLUMNS}
+       FROM ${s}.voice_call_events
+       WHERE ${where}
+       ORDER BY occurred_at ASC, created_at ASC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Publish a lightweight notification (ids only - NOTIFY payloads are capped at 8000 bytes)
+   */
+  async notify(channel, payload) {
+    await this.db.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(payload)]);
+  }
+}
+
+module.exports = CallEventsRepository;
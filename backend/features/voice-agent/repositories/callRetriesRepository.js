@@ -0,0 +1,319 @@
+/**
+ * Call Retries Repository
+ *
+ * SQL access for automatic call retries: the voice_call_retries queue for
+ * single calls, re-queueing of native batch entries, retry policies stored
+ * on agents and batches, and attempt linking on voice_call_logs.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { RETRY_STATUS } = require('../constants/retryPolicy');
+const { BATCH_STATUS, BATCH_ENTRY_STATUS, BATCH_DISPATCH_MODES } = require('../constants/batchStatus');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const RETRY_COLUMNS = `
+  id, tenant_id, root_call_log_id, previous_call_log_id, attempt_number,
+  agent_id, call_request, outcome, ended_reason, status, scheduled_for,
+  call_log_id, last_error, created_at, updated_at
+`;
+
+class CallRetriesRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Call log fields needed to decide on and rebuild a retry
+   */
+  async getCallLog(schema, callLogId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT id, tenant_id, agent_id, lead_id, initiated_by_user_id,
+              to_country_code, to_base_number, status, metadata,
+              root_call_log_id, attempt_number, provider_call_id
+       FROM ${s}.voice_call_logs
+       WHERE id = $1`,
+      [callLogId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getAgentRetryPolicy(schema, tenantId, agentId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT retry_policy
+       FROM ${s}.voice_agents
+       WHERE id::text = $1 AND tenant_id = $2`,
+      [String(agentId), tenantId]
+    );
+    return result.rows[0]?.retry_policy || null;
+  }
+
+  async getAgentVoicemailPolicy(schema, tenantId, agentId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT voicemail_policy
+       FROM ${s}.voice_agents
+       WHERE id::text = $1 AND tenant_id = $2`,
+      [String(agentId), tenantId]
+    );
+    return result.rows[0]?.voicemail_policy || null;
+  }
+
+  /**
+   * Native batch entry placed as this call (linked directly or by provider call id)
+   */
+  async findBatchEntryForCall(schema, callLog) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT e.id, e.batch_id, e.status, e.attempts, e.root_call_log_id,
+              b.status AS batch_status, b.agent_id, b.retry_policy
+       FROM ${s}.voice_call_batch_entries e
+       JOIN ${s}.voice_call_batches b ON b.id = e.batch_id
+       WHERE e.tenant_id = $1 AND e.is_deleted = false AND b.dispatch_mode = $4
+         AND (e.call_log_id = $2
+           OR (e.call_log_id IS NULL AND $3::text IS NOT NULL AND e.provider_call_id = $3::text))
+       LIMIT 1`,
+      [
+        callLog.tenant_id,
+        callLog.id,
+        callLog.provider_call_id || callLog.metadata?.vapiCallId || null,
+        BATCH_DISPATCH_MODES.NATIVE
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put a finished batch entry back to pending for another attempt and reopen
+   * its batch when it had already completed. Only applies while the entry is
+   * still linked to callLogId, so a redelivered end event is a no-op.
+   *
+   * @returns {Promise<boolean>} whether the entry was re-queued
+   */
+  async requeueBatchEntry(schema, { entryId, batchId, callLogId, nextAttemptAt }) {
+    const s = this._schema(schema);
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const requeued = await client.query(
+        `UPDATE ${s}.voice_call_batch_entries
+         SET status = $3,
+             root_call_log_id = COALESCE(root_call_log_id, $2),
+             next_attempt_at = $4,
+             call_log_id = NULL,
+             provider_call_id = NULL,
+             finished_at = NULL
+         WHERE id = $1
+           AND (call_log_id = $2 OR call_log_id IS NULL)
+           AND status = ANY($5::text[])`,
+        [
+          entryId,
+          callLogId,
+          BATCH_ENTRY_STATUS.PENDING,
+          nextAttemptAt,
+          [BATCH_ENTRY_STATUS.DISPATCHED, BATCH_ENTRY_STATUS.COMPLETED, BATCH_ENTRY_STATUS.FAILED]
+        ]
+      );
+
+      if (requeued.rowCount > 0) {
+        await client.query(
+          `UPDATE ${s}.voice_call_batches
+           SET status = $2,
+               finished_at = NULL,
+               updated_at = NOW()
+           WHERE id = $1 AND status = $3`,
+          [batchId, BATCH_STATUS.RUNNING, BATCH_STATUS.COMPLETED]
+        );
+      }
+
+      await client.query('COMMIT');
+      return requeued.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Queue a single-call retry; a call is only ever retried once
+   * @returns {Promise<Object|null>} retry row, or null when one already exists
+   */
+  async insertRetry(schema, retry) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_call_retries (
+         tenant_id, root_call_log_id, previous_call_log_id, attempt_number,
+         agent_id, call_request, outcome, ended_reason, status, scheduled_for
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (previous_call_log_id) DO NOTHING
+       RETURNING ${RETRY_COLUMNS}`,
+      [
+        retry.tenantId,
+        retry.rootCallLogId,
+        retry.previousCallLogId,
+        retry.attemptNumber,
+        retry.agentId,
+        JSON.stringify(retry.callRequest || {}),
+        retry.outcome,
+        retry.endedReason,
+        RETRY_STATUS.PENDING,
+        retry.scheduledFor
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim due retries. Rows left in dispatching by a crashed worker are failed
+   * rather than re-dialed, since the call may already have been placed.
+   */
+  async claimDue(schema, limit, lockTimeoutSeconds) {
+    const s = this._schema(schema);
+
+    await this.db.query(
+      `UPDATE ${s}.voice_call_retries
+       SET status = $1,
+           last_error = $2,
+           updated_at = NOW()
+       WHERE status = $3 AND locked_at < NOW() - ($4 || ' seconds')::interval`,
+      [RETRY_STATUS.FAILED, 'Dispatch interrupted', RETRY_STATUS.DISPATCHING, String(lockTimeoutSeconds)]
+    );
+
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_call_retries
+       SET status = $2,
+           locked_at = NOW(),
+           updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM ${s}.voice_call_retries
+         WHERE is_deleted = false AND status = $3 AND scheduled_for <= NOW()
+         ORDER BY scheduled_for ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${RETRY_COLUMNS}`,
+      [limit, RETRY_STATUS.DISPATCHING, RETRY_STATUS.PENDING]
+    );
+    return result.rows;
+  }
+
+  async markDispatched(schema, retryId, callLogId) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_retries
+       SET status = $2,
+           call_log_id = $3,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [retryId, RETRY_STATUS.DISPATCHED, callLogId]
+    );
+  }
+
+  async markFailed(schema, retryId, error) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_retries
+       SET status = $2,
+           last_error = $3,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [retryId, RETRY_STATUS.FAILED, error]
+    );
+  }
+
+  /**
+   * Mark a call log as attempt N of rootCallLogId
+   */
+  async linkAttempt(schema, callLogId, { rootCallLogId, attemptNumber }) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_logs
+       SET root_call_log_id = $2,
+           attempt_number = $3,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [callLogId, rootCallLogId, attemptNumber]
+    );
+  }
+
+  /**
+   * Keep the request a single call was placed with, so a retry can repeat it
+   */
+  async saveCallRequest(schema, tenantId, callLogId, callRequest) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_logs
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('call_request', $3::jsonb)
+       WHERE id = $1 AND tenant_id = $2`,
+      [callLogId, tenantId, JSON.stringify(callRequest)]
+    );
+  }
+
+  /**
+   * All attempts of the call chain callLogId belongs to, plus its pending retry
+   */
+  async listAttempts(schema, tenantId, callLogId) {
+    const s = this._schema(schema);
+
+    const root = await this.db.query(
+      `SELECT COALESCE(root_call_log_id, id) AS root_id
+       FROM ${s}.voice_call_logs
+       WHERE id::text = $1 AND tenant_id = $2`,
+      [String(callLogId), tenantId]
+    );
+    const rootId = root.rows[0]?.root_id;
+    if (!rootId) {
+      return null;
+    }
+
+    const attempts = await this.db.query(
+      `SELECT vcl.id AS call_log_id, vcl.attempt_number, vcl.status, vcl.started_at,
+              vcl.ended_at, vcl.duration_seconds, r.outcome AS retried_because
+       FROM ${s}.voice_call_logs vcl
+       LEFT JOIN ${s}.voice_call_retries r ON r.previous_call_log_id = vcl.id AND r.is_deleted = false
+       WHERE vcl.tenant_id = $1 AND (vcl.id = $2 OR vcl.root_call_log_id = $2)
+       ORDER BY vcl.attempt_number ASC, vcl.started_at ASC`,
+      [tenantId, rootId]
+    );
+
+    const pending = await this.db.query(
+      `SELECT id::text AS id, attempt_number, status, scheduled_for, outcome
+       FROM ${s}.voice_call_retries
+       WHERE tenant_id = $1 AND root_call_log_id = $2 AND is_deleted = false AND status = ANY($3::text[])
+       UNION ALL
+       SELECT e.id::text, e.attempts + 1, e.status, e.next_attempt_at, NULL
+       FROM ${s}.voice_call_batch_entries e
+       WHERE e.tenant_id = $1 AND e.root_call_log_id = $2 AND e.is_deleted = false AND e.status = $4`,
+      [
+        tenantId,
+        rootId,
+        [RETRY_STATUS.PENDING, RETRY_STATUS.DISPATCHING],
+        BATCH_ENTRY_STATUS.PENDING
+      ]
+    );
+
+    return {
+      rootCallLogId: rootId,
+      attempts: attempts.rows,
+      scheduled: pending.rows
+    };
+  }
+}
+
+module.exports = CallRetriesRepository;
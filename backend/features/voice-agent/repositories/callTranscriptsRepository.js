@@ -0,0 +1,115 @@
+/**
+ * Call Transcripts Repository
+ *
+ * SQL access for voice_call_transcripts (transcript + provider analysis per call)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const TRANSCRIPT_COLUMNS = `
+  id, tenant_id, call_log_id, provider, provider_call_id, transcript_text,
+  segments, summary, structured_data, success_evaluation, ended_reason,
+  metadata, created_at, updated_at
+`;
+
+class CallTranscriptsRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Insert or replace the transcript for a call (end-of-call reports can be re-processed)
+   */
+  async upsertTranscript({
+    tenantId,
+    callLogId,
+    provider = 'vapi',
+    providerCallId = null,
+    transcriptText = null,
+    segments = [],
+    messages = [],
+    summary = null,
+    structuredData = null,
+    successEvaluation = null,
+    endedReason = null,
+    metadata = {}
+  }, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_call_transcripts (
+         tenant_id, call_log_id, provider, provider_call_id, transcript_text,
+         segments, messages, summary, structured_data, success_evaluation,
+         ended_reason, metadata
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (call_log_id) DO UPDATE SET
+         provider = EXCLUDED.provider,
+         provider_call_id = EXCLUDED.provider_call_id,
+         transcript_text = EXCLUDED.transcript_text,
+         segments = EXCLUDED.segments,
+         messages = EXCLUDED.messages,
+         summary = EXCLUDED.summary,
+         structured_data = EXCLUDED.structured_data,
+         success_evaluation = EXCLUDED.success_evaluation,
+         ended_reason = EXCLUDED.ended_reason,
+         metadata = ${s}.voice_call_transcripts.metadata || EXCLUDED.metadata,
+         is_deleted = false,
+         updated_at = NOW()
+       WHERE ${s}.voice_call_transcripts.tenant_id = EXCLUDED.tenant_id
+       RETURNING ${TRANSCRIPT_COLUMNS}`,
+      [
+        tenantId,
+        callLogId,
+        provider,
+        providerCallId,
+        transcriptText,
+        JSON.stringify(segments),
+        JSON.stringify(messages),
+        summary,
+        structuredData === null || structuredData === undefined ? null : JSON.stringify(structuredData),
+        successEvaluation,
+        endedReason,
+        JSON.stringify(metadata)
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getByCallLogId(schema, tenantId, callLogId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${TRANSCRIPT_COLUMNS}
+       FROM ${s}.voice_call_transcripts
+       WHERE call_log_id = $1 AND tenant_id = $2 AND is_deleted = false`,
+      [callLogId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Legacy transcript written by the external voice service on voice_call_logs.transcripts
+   */
+  async getLegacyTranscript(schema, tenantId, callLogId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT transcripts
+       FROM ${s}.voice_call_logs
+       WHERE id = $1 AND tenant_id = $2`,
+      [callLogId, tenantId]
+    );
+    return result.rows[0]?.transcripts || null;
+  }
+}
+
+module.exports = CallTranscriptsRepository;
@@ -0,0 +1,110 @@
+/**
+ * Disposition Repository
+ *
+ * SQL access for call dispositions (voice_call_logs.disposition,
+ * disposition_source, disposition_details). Automatic classifications never
+ * replace a rep's override; they are kept in disposition_details.auto.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { DISPOSITION_SOURCES } = require('../constants/dispositions');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const DISPOSITION_COLUMNS = `
+  id, tenant_id, initiated_by_user_id, status, disposition, disposition_source,
+  disposition_details, disposition_updated_at
+`;
+
+class DispositionRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  async getCall(schema, tenantId, callLogId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${DISPOSITION_COLUMNS}
+       FROM ${s}.voice_call_logs
+       WHERE id::text = $1 AND tenant_id = $2`,
+      [String(callLogId), tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store an automatic classification; the disposition itself only changes
+   * when no rep has overridden it
+   *
+   * @param {Object} auto - { disposition, signal, evidence, classified_at }
+   * @returns {Promise<Object|null>} updated row
+   */
+  async saveAutoDisposition(schema, tenantId, callLogId, auto) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_call_logs
+       SET disposition_details = jsonb_set(COALESCE(disposition_details, '{}'::jsonb), '{auto}', $3::jsonb),
+           disposition = CASE WHEN disposition_source = $4 THEN disposition ELSE $5 END,
+           disposition_source = CASE WHEN disposition_source = $4 THEN disposition_source ELSE $6 END,
+           disposition_updated_at = CASE WHEN disposition_source = $4 THEN disposition_updated_at ELSE NOW() END
+       WHERE id::text = $1 AND tenant_id = $2
+       RETURNING ${DISPOSITION_COLUMNS}`,
+      [
+        String(callLogId),
+        tenantId,
+        JSON.stringify(auto),
+        DISPOSITION_SOURCES.REP,
+        auto?.disposition || null,
+        auto?.disposition ? DISPOSITION_SOURCES.AUTO : null
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set a rep's disposition, or clear it (override null) to restore the automatic one
+   * @returns {Promise<Object|null>} updated row, null when not found
+   */
+  async saveOverride(schema, tenantId, callLogId, override) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_call_logs
+       SET disposition_details = CASE
+             WHEN $3::jsonb IS NULL THEN COALESCE(disposition_details, '{}'::jsonb) - 'override'
+             ELSE jsonb_set(COALESCE(disposition_details, '{}'::jsonb), '{override}', $3::jsonb)
+           END,
+           disposition = CASE
+             WHEN $3::jsonb IS NULL THEN disposition_details->'auto'->>'disposition'
+             ELSE $3::jsonb->>'disposition'
+           END,
+           disposition_source = CASE
+             WHEN $3::jsonb IS NOT NULL THEN $4
+             WHEN disposition_details->'auto'->>'disposition' IS NOT NULL THEN $5
+             ELSE NULL
+           END,
+           disposition_updated_at = NOW()
+       WHERE id::text = $1 AND tenant_id = $2
+       RETURNING ${DISPOSITION_COLUMNS}`,
+      [
+        String(callLogId),
+        tenantId,
+        override ? JSON.stringify(override) : null,
+        DISPOSITION_SOURCES.REP,
+        DISPOSITION_SOURCES.AUTO
+      ]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = DispositionRepository;
@@ -0,0 +1,263 @@
+/**
+ * Do-Not-Call Repository
+ *
+ * SQL access for Do-Not-Call numbers (voice_dnc_entries), the global lists
+ * maintained by the platform (voice_dnc_lists) and tenant opt-ins to those
+ * lists (voice_dnc_list_subscriptions).
+ *
+ * An entry belongs either to a tenant (list_id NULL) or to a global list
+ * (tenant_id NULL); the owner is passed as { tenantId } or { listId }.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const ENTRY_COLUMNS = `
+  id, tenant_id, list_id, phone_number, reason, source, call_log_id,
+  added_by_user_id, expires_at, created_at, updated_at
+`;
+
+const LIST_COLUMNS = `
+  id, name, description, mandatory, created_by_user_id, created_at, updated_at
+`;
+
+class DncRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * WHERE clause selecting the owner's live entries
+   * @returns {{ where: string[], values: any[] }}
+   */
+  _ownerFilter({ tenantId = null, listId = null }) {
+    return listId
+      ? { where: ['list_id = $1', 'is_deleted = false'], values: [listId] }
+      : { where: ['tenant_id = $1', 'list_id IS NULL', 'is_deleted = false'], values: [tenantId] };
+  }
+
+  async listEntries(schema, owner, { search = null, limit = 50, offset = 0 } = {}) {
+    const s = this._schema(schema);
+    const { where, values } = this._ownerFilter(owner);
+
+    if (search) {
+      values.push(`%${search}%`);
+      where.push(`(phone_number ILIKE $${values.length} OR reason ILIKE $${values.length})`);
+    }
+
+    const count = await this.db.query(
+      `SELECT COUNT(*)::int AS total
+       FROM ${s}.voice_dnc_entries
+       WHERE ${where.join(' AND ')}`,
+      values
+    );
+
+    const result = await this.db.query(
+      `SELECT ${ENTRY_COLUMNS}
+       FROM ${s}.voice_dnc_entries
+       WHERE ${where.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return { entries: result.rows, total: count.rows[0]?.total || 0 };
+  }
+
+  /**
+   * Insert numbers, refreshing reason/source/expiry of numbers already listed
+   *
+   * @param {Object} owner - { tenantId } or { listId }
+   * @param {Array<Object>} entries - { phoneNumber, reason, source, callLogId, expiresAt }
+   * @returns {Promise<Array<Object>>} stored rows, with `inserted` false for numbers already listed
+   */
+  async upsertEntries(schema, { tenantId = null, listId = null }, entries, addedByUserId = null) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const s = this._schema(schema);
+    const conflictTarget = listId
+      ? '(list_id, phone_number) WHERE list_id IS NOT NULL AND is_deleted = false'
+      : '(tenant_id, phone_number) WHERE list_id IS NULL AND is_deleted = false';
+
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_dnc_entries (
+         tenant_id, list_id, phone_number, reason, source, call_log_id,
+         added_by_user_id, expires_at
+       )
+       SELECT $1, $2, e.phone_number, e.reason, e.source, e.call_log_id, $3, e.expires_at
+       FROM jsonb_to_recordset($4::jsonb) AS e(
+         phone_number TEXT, reason TEXT, source TEXT, call_log_id UUID, expires_at TIMESTAMPTZ
+       )
+       ON CONFLICT ${conflictTarget} DO UPDATE SET
+         reason = COALESCE(EXCLUDED.reason, voice_dnc_entries.reason),
+         source = EXCLUDED.source,
+         call_log_id = COALESCE(EXCLUDED.call_log_id, voice_dnc_entries.call_log_id),
+         expires_at = EXCLUDED.expires_at,
+         updated_at = NOW()
+       RETURNING ${ENTRY_COLUMNS}, (xmax = 0) AS inserted`,
+      [
+        listId ? null : tenantId,
+        listId,
+        addedByUserId,
+        JSON.stringify(entries.map(entry => ({
+          phone_number: entry.phoneNumber,
+          reason: entry.reason || null,
+          source: entry.source,
+          call_log_id: entry.callLogId || null,
+          expires_at: entry.expiresAt || null
+        })))
+      ]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Soft-delete an entry
+   * @returns {Promise<Object|null>} deleted row, or null when not found
+   */
+  async deleteEntry(schema, owner, entryId) {
+    const s = this._schema(schema);
+    const { where, values } = this._ownerFilter(owner);
+    values.push(entryId);
+
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_dnc_entries
+       SET is_deleted = true, updated_at = NOW()
+       WHERE ${where.join(' AND ')} AND id::text = $${values.length}
+       RETURNING ${ENTRY_COLUMNS}`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Live entries matching any of the numbers for a tenant: its own entries
+   * plus those on mandatory global lists and lists it subscribed to
+   *
+   * @param {string[]} phoneNumbers - E.164 numbers
+   * @returns {Promise<Array<Object>>} entries with list_name (null for tenant entries)
+   */
+  async findSuppressed(schema, tenantId, phoneNumbers) {
+    if (phoneNumbers.length === 0) {
+      return [];
+    }
+
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT e.id, e.tenant_id, e.list_id, e.phone_number, e.reason, e.source,
+              e.expires_at, e.created_at, l.name AS list_name
+       FROM ${s}.voice_dnc_entries e
+       LEFT JOIN ${s}.voice_dnc_lists l ON l.id = e.list_id AND l.is_deleted = false
+       WHERE e.phone_number = ANY($2::text[])
+         AND e.is_deleted = false
+         AND (e.expires_at IS NULL OR e.expires_at > NOW())
+         AND (
+           (e.list_id IS NULL AND e.tenant_id = $1)
+           OR l.mandatory = true
+           OR EXISTS (
+             SELECT 1 FROM ${s}.voice_dnc_list_subscriptions sub
+             WHERE sub.list_id = l.id AND sub.tenant_id = $1
+           )
+         )
+       ORDER BY e.list_id NULLS FIRST, e.created_at ASC`,
+      [tenantId, phoneNumbers]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Number a call was placed to (call request when stored, else the call log columns)
+   */
+  async getCallLogNumber(schema, tenantId, callLogId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT COALESCE(
+                metadata->'call_request'->>'toNumber',
+                CONCAT(to_country_code, to_base_number)
+              ) AS phone_number
+       FROM ${s}.voice_call_logs
+       WHERE id = $1 AND tenant_id = $2`,
+      [callLogId, tenantId]
+    );
+    return result.rows[0]?.phone_number || null;
+  }
+
+  /**
+   * Global lists with whether the tenant is subscribed
+   */
+  async listLists(schema, tenantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT l.id, l.name, l.description, l.mandatory, l.created_at, l.updated_at,
+              (l.mandatory OR sub.list_id IS NOT NULL) AS enforced,
+              (
+                SELECT COUNT(*)::int
+                FROM ${s}.voice_dnc_entries e
+                WHERE e.list_id = l.id AND e.is_deleted = false
+              ) AS entry_count
+       FROM ${s}.voice_dnc_lists l
+       LEFT JOIN ${s}.voice_dnc_list_subscriptions sub
+         ON sub.list_id = l.id AND sub.tenant_id = $1
+       WHERE l.is_deleted = false
+       ORDER BY l.mandatory DESC, l.name ASC`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  async getList(schema, listId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${LIST_COLUMNS}
+       FROM ${s}.voice_dnc_lists
+       WHERE id::text = $1 AND is_deleted = false`,
+      [String(listId)]
+    );
+    return result.rows[0] || null;
+  }
+
+  async createList(schema, { name, description = null, mandatory = false, createdByUserId = null }) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_dnc_lists (name, description, mandatory, created_by_user_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${LIST_COLUMNS}`,
+      [name, description, mandatory, createdByUserId]
+    );
+    return result.rows[0];
+  }
+
+  async subscribe(schema, tenantId, listId, subscribedByUserId = null) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `INSERT INTO ${s}.voice_dnc_list_subscriptions (tenant_id, list_id, subscribed_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tenant_id, list_id) DO NOTHING`,
+      [tenantId, listId, subscribedByUserId]
+    );
+  }
+
+  async unsubscribe(schema, tenantId, listId) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `DELETE FROM ${s}.voice_dnc_list_subscriptions
+       WHERE tenant_id = $1 AND list_id = $2`,
+      [tenantId, listId]
+    );
+  }
+}
+
+module.exports = DncRepository;
@@ -0,0 +1,193 @@
+/**
+ * Inbound Routing Repository
+ *
+ * SQL access for inbound calls: the tenant number that was called
+ * (voice_agent_numbers, including its inbound_routing), the agents it routes
+ * to, and the lead the caller is. Number lookups by the provider are not
+ * tenant-scoped - the webhook carries no tenant - everything else is.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const NUMBER_COLUMNS = `
+  id, tenant_id, ('+' || country_code || base_number) AS phone_number, provider,
+  provider_phone_number_id, default_agent_id, status, inbound_routing
+`;
+
+const AGENT_COLUMNS = `
+  id, tenant_id, name, provider, provider_assistant_id, provider_config, inbound_starter_prompt
+`;
+
+// Lead columns a phone number may be stored in
+const LEAD_PHONE_FIELDS = ['phone', 'phone_number', 'mobile', 'mobile_number'];
+// Leads whose number ends in the caller's national number, checked exactly by the caller
+const MAX_LEAD_CANDIDATES = 20;
+
+class InboundRoutingRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Number an inbound call arrived on, by provider phone number ID or E.164 number
+   * @returns {Promise<Object|null>} number row (phone_number is E.164)
+   */
+  async findNumberForCall(schema, { providerPhoneNumberId = null, phoneNumber = null }) {
+    if (!providerPhoneNumberId && !phoneNumber) {
+      return null;
+    }
+
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${NUMBER_COLUMNS}
+       FROM ${s}.voice_agent_numbers
+       WHERE provider_phone_number_id = $1
+          OR ('+' || country_code || base_number) = $2
+       ORDER BY COALESCE(provider_phone_number_id = $1, false) DESC, created_at DESC
+       LIMIT 1`,
+      [providerPhoneNumberId, phoneNumber]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getNumber(schema, tenantId, numberId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${NUMBER_COLUMNS}
+       FROM ${s}.voice_agent_numbers
+       WHERE id::text = $1 AND tenant_id = $2`,
+      [String(numberId), tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a number's inbound routing; null restores the default
+   * @returns {Promise<Object|null>} updated number row, null when not found
+   */
+  async updateRouting(schema, tenantId, numberId, routing) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_agent_numbers
+       SET inbound_routing = $3
+       WHERE id::text = $1 AND tenant_id = $2
+       RETURNING ${NUMBER_COLUMNS}`,
+      [String(numberId), tenantId, routing ? JSON.stringify(routing) : null]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getAgent(schema, tenantId, agentId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${AGENT_COLUMNS}
+       FROM ${s}.voice_agents
+       WHERE id::text = $1 AND tenant_id = $2`,
+      [String(agentId), tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getAgentByAssistantId(schema, tenantId, assistantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${AGENT_COLUMNS}
+       FROM ${s}.voice_agents
+       WHERE provider_assistant_id = $1 AND tenant_id = $2
+       LIMIT 1`,
+      [assistantId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Which of the given agent IDs belong to the tenant
+   * @returns {Promise<string[]>}
+   */
+  async findAgentIds(schema, tenantId, agentIds) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT id::text AS id
+       FROM ${s}.voice_agents
+       WHERE id::text = ANY($1::text[]) AND tenant_id = $2`,
+      [agentIds.map(String), tenantId]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Leads whose phone number ends in nationalNumber, most recently updated first.
+   * Leads store numbers as typed, so the caller compares them in E.164
+   *
+   * @returns {Promise<Array<Object>>} whole lead rows as JSON
+   */
+  async findLeadCandidates(schema, tenantId, nationalNumber) {
+    const s = this._schema(schema);
+    const phoneValues = LEAD_PHONE_FIELDS.map(field => `to_jsonb(l)->>'${field}'`).join(', ');
+    const result = await this.db.query(
+      `SELECT to_jsonb(l) AS lead
+       FROM ${s}.leads l
+       WHERE l.tenant_id = $1
+         AND EXISTS (
+           SELECT 1
+           FROM unnest(ARRAY[${phoneValues}]) AS p(value)
+           WHERE right(regexp_replace(p.value, '[^0-9]', '', 'g'), $3) = $2
+         )
+       ORDER BY to_jsonb(l)->>'updated_at' DESC NULLS LAST
+       LIMIT ${MAX_LEAD_CANDIDATES}`,
+      [tenantId, nationalNumber, nationalNumber.length]
+    );
+    return result.rows.map(row => row.lead);
+  }
+
+  /**
+   * Call log already created for a provider call (assistant-request redeliveries)
+   */
+  async findCallLog(schema, providerCallId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT id, tenant_id, agent_id, lead_id, status, direction, metadata
+       FROM ${s}.voice_call_logs
+       WHERE provider_call_id = $1 OR metadata->>'vapiCallId' = $1
+       LIMIT 1`,
+      [providerCallId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lead of the most recent call with this number
+   * @returns {Promise<string|null>} lead ID
+   */
+  async findLeadIdFromCalls(schema, tenantId, countryCode, baseNumber) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT lead_id
+       FROM ${s}.voice_call_logs
+       WHERE tenant_id = $1
+         AND to_country_code = $2
+         AND to_base_number = $3
+         AND lead_id IS NOT NULL
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [tenantId, countryCode, baseNumber]
+    );
+    return result.rows[0]?.lead_id || null;
+  }
+}
+
+InboundRoutingRepository.LEAD_PHONE_FIELDS = LEAD_PHONE_FIELDS;
+
+module.exports = InboundRoutingRepository;
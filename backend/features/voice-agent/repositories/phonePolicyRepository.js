@@ -0,0 +1,65 @@
+/**
+ * Phone Policy Repository
+ *
+ * SQL access for per-tenant destination number rules (voice_phone_policies).
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+class PhonePolicyRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Stored policy for a tenant
+   * @returns {Promise<Object|null>} { tenant_id, policy, updated_by_user_id, created_at, updated_at }
+   */
+  async getPolicy(schema, tenantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT tenant_id, policy, updated_by_user_id, created_at, updated_at
+       FROM ${s}.voice_phone_policies
+       WHERE tenant_id = $1`,
+      [tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async upsertPolicy(schema, tenantId, policy, updatedByUserId = null) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_phone_policies (tenant_id, policy, updated_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tenant_id) DO UPDATE SET
+         policy = EXCLUDED.policy,
+         updated_by_user_id = EXCLUDED.updated_by_user_id,
+         updated_at = NOW()
+       RETURNING tenant_id, policy, updated_by_user_id, created_at, updated_at`,
+      [tenantId, JSON.stringify(policy), updatedByUserId]
+    );
+    return result.rows[0];
+  }
+
+  async deletePolicy(schema, tenantId) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `DELETE FROM ${s}.voice_phone_policies WHERE tenant_id = $1`,
+      [tenantId]
+    );
+  }
+}
+
+module.exports = PhonePolicyRepository;
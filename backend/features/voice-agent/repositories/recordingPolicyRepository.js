@@ -0,0 +1,259 @@
+/**
+ * Recording Policy Repository
+ *
+ * SQL access for per-tenant recording policies (voice_recording_policies),
+ * the retention purge of recordings and transcripts on voice_call_logs (and
+ * of the transcript-derived content of voice_call_analysis) and its audit
+ * trail (voice_retention_deletions).
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { CALL_EVENT_TYPES } = require('../constants/callStatus');
+const { RETENTION_ARTIFACTS, RETENTION_DELETION_STATUS } = require('../constants/recordingPolicy');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+// Calls whose purge failed are retried after a day rather than on every run
+const RECENT_FAILURE_FILTER = (s, artifactType) => `
+  NOT EXISTS (
+    SELECT 1 FROM ${s}.voice_retention_deletions d
+    WHERE d.call_log_id = vcl.id
+      AND d.artifact_type = '${artifactType}'
+      AND d.status = '${RETENTION_DELETION_STATUS.FAILED}'
+      AND d.created_at > NOW() - INTERVAL '1 day'
+  )
+`;
+
+// Analysis rows still holding content derived from the transcript
+const ANALYSIS_CONTENT = `
+  (summary IS NOT NULL OR sentiment IS NOT NULL OR key_points IS NOT NULL
+   OR key_phrases IS NOT NULL OR prospect_questions IS NOT NULL OR prospect_concerns IS NOT NULL
+   OR raw_analysis ? 'sentiment_full')
+`;
+
+const DELETION_COLUMNS = `
+  id, tenant_id, call_log_id, artifact_type, location, retention_days,
+  status, error, created_at
+`;
+
+class RecordingPolicyRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Stored policy for a tenant
+   * @returns {Promise<Object|null>} { tenant_id, policy, updated_by_user_id, created_at, updated_at }
+   */
+  async getPolicy(schema, tenantId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT tenant_id, policy, updated_by_user_id, created_at, updated_at
+       FROM ${s}.voice_recording_policies
+       WHERE tenant_id = $1`,
+      [tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async upsertPolicy(schema, tenantId, policy, updatedByUserId = null) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_recording_policies (tenant_id, policy, updated_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tenant_id) DO UPDATE SET
+         policy = EXCLUDED.policy,
+         updated_by_user_id = EXCLUDED.updated_by_user_id,
+         updated_at = NOW()
+       RETURNING tenant_id, policy, updated_by_user_id, created_at, updated_at`,
+      [tenantId, JSON.stringify(policy), updatedByUserId]
+    );
+    return result.rows[0];
+  }
+
+  async deletePolicy(schema, tenantId) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `DELETE FROM ${s}.voice_recording_policies WHERE tenant_id = $1`,
+      [tenantId]
+    );
+  }
+
+  /**
+   * Tenants whose policy sets a recording or transcript retention period
+   * @returns {Promise<Array<{ tenant_id: string, policy: Object }>>}
+   */
+  async listPoliciesWithRetention(schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT tenant_id, policy
+       FROM ${s}.voice_recording_policies
+       WHERE policy->'recording_retention_days' <> 'null'::jsonb
+          OR policy->'transcript_retention_days' <> 'null'::jsonb`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Calls of a tenant whose recording is older than the retention period
+   */
+  async findExpiredRecordings(schema, tenantId, retentionDays, limit = 100) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT vcl.id, vcl.tenant_id, vcl.recording_url
+       FROM ${s}.voice_call_logs vcl
+       WHERE vcl.tenant_id = $1
+         AND vcl.recording_url IS NOT NULL
+         AND vcl.recording_purged_at IS NULL
+         AND COALESCE(vcl.ended_at, vcl.created_at) < NOW() - make_interval(days => $2)
+         AND ${RECENT_FAILURE_FILTER(s, RETENTION_ARTIFACTS.RECORDING)}
+       ORDER BY vcl.created_at ASC
+       LIMIT $3`,
+      [tenantId, retentionDays, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Calls of a tenant whose transcript is older than the retention period,
+   * including calls purged before their analysis was covered
+   * @returns {Promise<Array<Object>>} { id, tenant_id, has_transcript }
+   */
+  async findExpiredTranscripts(schema, tenantId, retentionDays, limit = 100) {
+    const s = this._schema(schema);
+    const hasTranscript = `(vcl.transcript_purged_at IS NULL AND (
+      vcl.transcripts IS NOT NULL
+      OR EXISTS (SELECT 1 FROM ${s}.voice_call_transcripts t WHERE t.call_log_id = vcl.id)
+    ))`;
+    const result = await this.db.query(
+      `SELECT vcl.id, vcl.tenant_id, ${hasTranscript} AS has_transcript
+       FROM ${s}.voice_call_logs vcl
+       WHERE vcl.tenant_id = $1
+         AND COALESCE(vcl.ended_at, vcl.created_at) < NOW() - make_interval(days => $2)
+         AND (
+           ${hasTranscript}
+           OR EXISTS (
+             SELECT 1 FROM ${s}.voice_call_analysis a
+             WHERE a.call_log_id = vcl.id AND ${ANALYSIS_CONTENT}
+           )
+         )
+         AND ${RECENT_FAILURE_FILTER(s, RETENTION_ARTIFACTS.TRANSCRIPT)}
+       ORDER BY vcl.created_at ASC
+       LIMIT $3`,
+      [tenantId, retentionDays, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Clear a call's recording reference
+   */
+  async markRecordingPurged(schema, tenantId, callLogId) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_call_logs
+       SET recording_url = NULL, recording_purged_at = NOW()
+       WHERE id = $1 AND tenant_id = $2`,
+      [callLogId, tenantId]
+    );
+  }
+
+  /**
+   * Delete a call's transcript and transcript timeline events, and clear the
+   * summary, key points and sentiment of its analysis
+   * @returns {Promise<{ analysisRedacted: boolean }>} whether analysis content was cleared
+   */
+  async purgeTranscript(schema, tenantId, callLogId) {
+    const s = this._schema(schema);
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `DELETE FROM ${s}.voice_call_transcripts
+         WHERE call_log_id = $1 AND tenant_id = $2`,
+        [callLogId, tenantId]
+      );
+      await client.query(
+        `DELETE FROM ${s}.voice_call_events
+         WHERE call_log_id = $1 AND tenant_id = $2 AND event_type = $3`,
+        [callLogId, tenantId, CALL_EVENT_TYPES.TRANSCRIPT]
+      );
+      await client.query(
+        `UPDATE ${s}.voice_call_logs
+         SET transcripts = NULL, transcript_purged_at = COALESCE(transcript_purged_at, NOW())
+         WHERE id = $1 AND tenant_id = $2`,
+        [callLogId, tenantId]
+      );
+      // The analysis is written by the analysis pipeline without tenant_id;
+      // the call log id was scoped to the tenant above
+      const analysis = await client.query(
+        `UPDATE ${s}.voice_call_analysis
+         SET summary = NULL, sentiment = NULL, key_points = NULL, key_phrases = NULL,
+             prospect_questions = NULL, prospect_concerns = NULL,
+             raw_analysis = raw_analysis - 'sentiment_full'
+         WHERE call_log_id = $1 AND ${ANALYSIS_CONTENT}`,
+        [callLogId]
+      );
+      await client.query('COMMIT');
+      return { analysisRedacted: analysis.rowCount > 0 };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertDeletion(schema, {
+    tenantId,
+    callLogId,
+    artifactType,
+    location = null,
+    retentionDays,
+    status,
+    error = null
+  }) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_retention_deletions (
+         tenant_id, call_log_id, artifact_type, location, retention_days, status, error
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${DELETION_COLUMNS}`,
+      [tenantId, callLogId, artifactType, location, retentionDays, status, error]
+    );
+    return result.rows[0];
+  }
+
+  async listDeletions(schema, tenantId, { limit = 50, offset = 0 } = {}) {
+    const s = this._schema(schema);
+    const count = await this.db.query(
+      `SELECT COUNT(*)::int AS total
+       FROM ${s}.voice_retention_deletions
+       WHERE tenant_id = $1`,
+      [tenantId]
+    );
+
+    const result = await this.db.query(
+      `SELECT ${DELETION_COLUMNS}
+       FROM ${s}.voice_retention_deletions
+       WHERE tenant_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [tenantId, limit, offset]
+    );
+
+    return { deletions: result.rows, total: count.rows[0]?.total || 0 };
+  }
+}
+
+module.exports = RecordingPolicyRepository;
@@ -0,0 +1,255 @@
+/**
+ * Scheduled Calls Repository
+ *
+ * SQL access for voice_scheduled_calls: single calls requested for a future
+ * time, whichever scheduler backend fires them.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { SCHEDULED_CALL_STATUS } = require('../constants/scheduledCallStatus');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const SCHEDULED_CALL_COLUMNS = `
+  id, tenant_id, scheduled_by_user_id, agent_id, lead_id, to_number,
+  call_request, scheduled_at, status, backend, task_ref, dispatched_at,
+  call_log_id, provider_call_id, last_error, cancelled_at,
+  cancelled_by_user_id, created_at, updated_at
+`;
+
+// A backend callback may arrive slightly before scheduled_at (clock skew)
+const EARLY_FIRE_TOLERANCE_SECONDS = 30;
+
+class ScheduledCallsRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  async create(schema, {
+    tenantId,
+    scheduledByUserId = null,
+    agentId = null,
+    leadId = null,
+    toNumber,
+    callRequest,
+    scheduledAt,
+    backend
+  }) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_scheduled_calls (
+         tenant_id, scheduled_by_user_id, agent_id, lead_id, to_number,
+         call_request, scheduled_at, status, backend
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${SCHEDULED_CALL_COLUMNS}`,
+      [
+        tenantId,
+        scheduledByUserId,
+        agentId,
+        leadId,
+        toNumber,
+        JSON.stringify(callRequest),
+        scheduledAt,
+        SCHEDULED_CALL_STATUS.PENDING,
+        backend
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async setTaskRef(schema, id, taskRef) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET task_ref = $2,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, taskRef]
+    );
+  }
+
+  async get(schema, tenantId, id) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${SCHEDULED_CALL_COLUMNS}
+       FROM ${s}.voice_scheduled_calls
+       WHERE id::text = $1 AND tenant_id = $2 AND is_deleted = false`,
+      [String(id), tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @returns {Promise<{ calls: Array, total: number }>}
+   */
+  async list(schema, tenantId, { status = null, scheduledByUserId = null, limit = 50, offset = 0 } = {}) {
+    const s = this._schema(schema);
+    const where = ['tenant_id = $1', 'is_deleted = false'];
+    const values = [tenantId];
+
+    if (status) {
+      values.push(status);
+      where.push(`status = $${values.length}`);
+    }
+    if (scheduledByUserId) {
+      values.push(scheduledByUserId);
+      where.push(`scheduled_by_user_id = $${values.length}`);
+    }
+
+    const count = await this.db.query(
+      `SELECT COUNT(*)::int AS total
+       FROM ${s}.voice_scheduled_calls
+       WHERE ${where.join(' AND ')}`,
+      values
+    );
+
+    const result = await this.db.query(
+      `SELECT ${SCHEDULED_CALL_COLUMNS}
+       FROM ${s}.voice_scheduled_calls
+       WHERE ${where.join(' AND ')}
+       ORDER BY scheduled_at ASC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return { calls: result.rows, total: count.rows[0]?.total || 0 };
+  }
+
+  /**
+   * Cancel a pending scheduled call
+   * @returns {Promise<Object|null>} updated row, or null when it is no longer pending
+   */
+  async cancel(schema, tenantId, id, cancelledByUserId = null) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET status = $3,
+           cancelled_at = NOW(),
+           cancelled_by_user_id = $4,
+           updated_at = NOW()
+       WHERE id::text = $1 AND tenant_id = $2 AND is_deleted = false AND status = $5
+       RETURNING ${SCHEDULED_CALL_COLUMNS}`,
+      [String(id), tenantId, SCHEDULED_CALL_STATUS.CANCELLED, cancelledByUserId, SCHEDULED_CALL_STATUS.PENDING]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move a pending scheduled call to a new time
+   * @returns {Promise<Object|null>} updated row, or null when it is no longer pending
+   */
+  async reschedule(schema, tenantId, id, scheduledAt) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET scheduled_at = $3,
+           updated_at = NOW()
+       WHERE id::text = $1 AND tenant_id = $2 AND is_deleted = false AND status = $4
+       RETURNING ${SCHEDULED_CALL_COLUMNS}`,
+      [String(id), tenantId, scheduledAt, SCHEDULED_CALL_STATUS.PENDING]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim due pending calls of a polling backend. Rows left in dispatching by
+   * a crashed worker are failed rather than re-dialed, since the call may
+   * already have been placed.
+   */
+  async claimDue(schema, backend, limit, lockTimeoutSeconds) {
+    const s = this._schema(schema);
+
+    await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET status = $1,
+           last_error = $2,
+           updated_at = NOW()
+       WHERE status = $3 AND locked_at < NOW() - ($4 || ' seconds')::interval`,
+      [
+        SCHEDULED_CALL_STATUS.FAILED,
+        'Dispatch interrupted',
+        SCHEDULED_CALL_STATUS.DISPATCHING,
+        String(lockTimeoutSeconds)
+      ]
+    );
+
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET status = $3,
+           locked_at = NOW(),
+           updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM ${s}.voice_scheduled_calls
+         WHERE is_deleted = false AND backend = $1 AND status = $4 AND scheduled_at <= NOW()
+         ORDER BY scheduled_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${SCHEDULED_CALL_COLUMNS}`,
+      [backend, limit, SCHEDULED_CALL_STATUS.DISPATCHING, SCHEDULED_CALL_STATUS.PENDING]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Claim one due pending call (backend callback). A callback for a call that
+   * was cancelled, already fired or moved later claims nothing.
+   */
+  async claimById(schema, id) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET status = $2,
+           locked_at = NOW(),
+           updated_at = NOW()
+       WHERE id::text = $1 AND is_deleted = false AND status = $3
+         AND scheduled_at <= NOW() + ($4 || ' seconds')::interval
+       RETURNING ${SCHEDULED_CALL_COLUMNS}`,
+      [
+        String(id),
+        SCHEDULED_CALL_STATUS.DISPATCHING,
+        SCHEDULED_CALL_STATUS.PENDING,
+        String(EARLY_FIRE_TOLERANCE_SECONDS)
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  async markDispatched(schema, id, { callLogId = null, providerCallId = null }) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET status = $2,
+           dispatched_at = NOW(),
+           call_log_id = $3,
+           provider_call_id = $4,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, SCHEDULED_CALL_STATUS.DISPATCHED, callLogId, providerCallId]
+    );
+  }
+
+  async markFailed(schema, id, error) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_scheduled_calls
+       SET status = $2,
+           last_error = $3,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, SCHEDULED_CALL_STATUS.FAILED, error]
+    );
+  }
+}
+
+module.exports = ScheduledCallsRepository;
@@ -6,6 +6,18 @@ try {
   logger = console;
 }
 
+// Provider credentials stay server-side; responses only say whether they are set
+function redactProviderConfig(agent) {
+  if (!agent || agent.provider_config === undefined) {
+    return agent;
+  }
+  const { api_key, webhook_secret, ...config } = agent.provider_config || {};
+  return {
+    ...agent,
+    provider_config: { ...config, has_api_key: !!api_key, has_webhook_secret: !!webhook_secret }
+  };
+}
+
 class SettingsRepository {
   constructor(pool) {
     this.pool = pool;
@@ -37,6 +49,11 @@ class SettingsRepository {
         va.outbound_starter_prompt,
         va.inbound_starter_prompt,
         va.voice_id,
+        va.provider as agent_provider,
+        va.provider_assistant_id,
+        va.retry_policy,
+        va.business_hours,
+        va.voicemail_policy,
         va.created_at,
         va.updated_at,
         vav.description as voice_description,
@@ -97,6 +114,11 @@ class SettingsRepository {
         va.outbound_starter_prompt,
         va.inbound_starter_prompt,
         va.voice_id,
+        va.provider as agent_provider,
+        va.provider_assistant_id,
+        va.retry_policy,
+        va.business_hours,
+        va.voicemail_policy,
         va.created_at,
         va.updated_at,
         vav.description as voice_description,
@@ -129,7 +151,13 @@ class SettingsRepository {
       system_instructions,
       outbound_starter_prompt,
       inbound_starter_prompt,
-      voice_id
+      voice_id,
+      provider = null,
+      provider_assistant_id = null,
+      provider_config = {},
+      retry_policy = null,
+      business_hours = null,
+      voicemail_policy = null
     } = agentData;
 
     const query = `
@@ -143,9 +171,15 @@ class SettingsRepository {
         outbound_starter_prompt,
         inbound_starter_prompt,
         voice_id,
+        provider,
+        provider_assistant_id,
+        provider_config,
+        retry_policy,
+        business_hours,
+        voicemail_policy,
         created_at,
         updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW(), NOW())
       RETURNING *
     `;
 
@@ -158,11 +192,17 @@ class SettingsRepository {
       system_instructions,
       outbound_starter_prompt,
       inbound_starter_prompt,
-      voice_id
+      voice_id,
+      provider,
+      provider_assistant_id,
+      JSON.stringify(provider_config || {}),
+      retry_policy ? JSON.stringify(retry_policy) : null,
+      business_hours ? JSON.stringify(business_hours) : null,
+      voicemail_policy ? JSON.stringify(voicemail_policy) : null
     ];
 
     const result = await this.pool.query(query, values);
-    return result.rows[0];
+    return redactProviderConfig(result.rows[0]);
   }
 
   /**
@@ -177,7 +217,7 @@ class SettingsRepository {
     const allowedFields = [
       'name', 'gender', 'language', 'agent_instructions', 
       'system_instructions', 'outbound_starter_prompt', 
-      'inbound_starter_prompt', 'voice_id'
+      'inbound_starter_prompt', 'voice_id', 'provider', 'provider_assistant_id'
     ];
 
     allowedFields.forEach(field => {
@@ -188,6 +228,34 @@ class SettingsRepository {
       }
     });
 
+    // Merged so a partial update (e.g. a new assistant option) keeps the stored api_key
+    if (agentData.provider_config !== undefined) {
+      updateFields.push(`provider_config = COALESCE(provider_config, '{}'::jsonb) || $${paramIndex}::jsonb`);
+      values.push(JSON.stringify(agentData.provider_config || {}));
+      paramIndex++;
+    }
+
+    // Replaced as a whole; null disables automatic retries
+    if (agentData.retry_policy !== undefined) {
+      updateFields.push(`retry_policy = $${paramIndex}::jsonb`);
+      values.push(agentData.retry_policy ? JSON.stringify(agentData.retry_policy) : null);
+      paramIndex++;
+    }
+
+    // Replaced as a whole; null inherits the tenant business hours
+    if (agentData.business_hours !== undefined) {
+      updateFields.push(`business_hours = $${paramIndex}::jsonb`);
+      values.push(agentData.business_hours ? JSON.stringify(agentData.business_hours) : null);
+      paramIndex++;
+    }
+
+    // Replaced as a whole; null restores the default (detect voicemail and hang up)
+    if (agentData.voicemail_policy !== undefined) {
+      updateFields.push(`voicemail_policy = $${paramIndex}::jsonb`);
+      values.push(agentData.voicemail_policy ? JSON.stringify(agentData.voicemail_policy) : null);
+      paramIndex++;
+    }
+
     if (updateFields.length === 0) {
       throw new Error('No valid fields to update');
     }
@@ -202,7 +270,7 @@ class SettingsRepository {
     `;
 
     const result = await this.pool.query(query, values);
-    return result.rows[0];
+    return redactProviderConfig(result.rows[0]);
   }
 
   /**
@@ -334,6 +402,13 @@ class SettingsRepository {
       }
     });
 
+    // Replaced as a whole; null restores the default (detect voicemail and hang up)
+    if (agentData.voicemail_policy !== undefined) {
+      updateFields.push(`voicemail_policy = $${paramIndex}::jsonb`);
+      values.push(agentData.voicemail_policy ? JSON.stringify(agentData.voicemail_policy) : null);
+      paramIndex++;
+    }
+
     if (updateFields.length === 0) {
       throw new Error('No valid fields to update');
     }
@@ -0,0 +1,125 @@
+/**
+ * Upload Session Repository
+ *
+ * SQL access for batch call upload sessions (voice_upload_sessions): the
+ * excel/json objects stored by /upload-gcp, consumed once by a batch.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const SESSION_COLUMNS = `
+  id, tenant_id, user_id, attachment_location, attachment_file_name,
+  json_location, json_file_name, expires_at, consumed_at, created_at
+`;
+
+class UploadSessionRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * @param {string} schema
+   * @param {Object} session
+   * @param {number} ttlSeconds
+   */
+  async createSession(schema, {
+    tenantId,
+    userId = null,
+    attachmentLocation,
+    attachmentFileName = null,
+    jsonLocation,
+    jsonFileName = null
+  }, ttlSeconds) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_upload_sessions (
+         tenant_id, user_id, attachment_location, attachment_file_name,
+         json_location, json_file_name, expires_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7))
+       RETURNING ${SESSION_COLUMNS}`,
+      [tenantId, userId, attachmentLocation, attachmentFileName, jsonLocation, jsonFileName, ttlSeconds]
+    );
+    return result.rows[0];
+  }
+
+  async getSession(schema, tenantId, sessionId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${SESSION_COLUMNS}
+       FROM ${s}.voice_upload_sessions
+       WHERE id = $1 AND tenant_id = $2`,
+      [sessionId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark an open, unexpired session as used; null when it is not (any more)
+   * usable. Atomic, so concurrent batches cannot both use one session.
+   */
+  async consumeSession(schema, tenantId, sessionId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_upload_sessions
+       SET consumed_at = NOW()
+       WHERE id = $1 AND tenant_id = $2
+         AND consumed_at IS NULL
+         AND expires_at > NOW()
+       RETURNING ${SESSION_COLUMNS}`,
+      [sessionId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Make a used session usable again (the batch using it was not created)
+   */
+  async releaseSession(schema, tenantId, sessionId) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_upload_sessions
+       SET consumed_at = NULL
+       WHERE id = $1 AND tenant_id = $2
+         AND consumed_at IS NOT NULL
+       RETURNING id`,
+      [sessionId, tenantId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Remove expired sessions (all tenants); safe to run on several instances
+   * @returns {Promise<Array<Object>>} Removed sessions
+   */
+  async deleteExpiredSessions(schema, limit = 100) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `DELETE FROM ${s}.voice_upload_sessions
+       WHERE id IN (
+         SELECT id FROM ${s}.voice_upload_sessions
+         WHERE expires_at <= NOW()
+         ORDER BY expires_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${SESSION_COLUMNS}`,
+      [limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = UploadSessionRepository;
@@ -0,0 +1,125 @@
+/**
+ * Webhook Events Repository
+ *
+ * SQL access for the provider webhook ledger (voice_webhook_events),
+ * the rejected-delivery audit trail (voice_webhook_rejections) and the
+ * agent lookups that pick a delivery's verification secret
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+class WebhookEventsRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Claim an event key. Returns the ledger row when this delivery is the
+   * first one for the key, or null when it has already been claimed.
+   */
+  async claimEvent({ provider, eventKey, eventType, providerCallId, payloadHash, metadata = {} }, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_webhook_events (
+         provider, event_key, event_type, provider_call_id, payload_hash, status, metadata
+       ) VALUES ($1, $2, $3, $4, $5, 'processing', $6)
+       ON CONFLICT (provider, event_key) DO NOTHING
+       RETURNING id, provider, event_key, status, received_at`,
+      [provider, eventKey, eventType || null, providerCallId || null, payloadHash || null, JSON.stringify(metadata)]
+    );
+    return result.rows[0] || null;
+  }
+
+  async markProcessed(id, { tenantId = null, callLogId = null } = {}, schema) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_webhook_events
+       SET status = 'processed',
+           tenant_id = COALESCE($2, tenant_id),
+           call_log_id = COALESCE($3, call_log_id),
+           processed_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, tenantId, callLogId]
+    );
+  }
+
+  async recordRejection({
+    provider,
+    reason,
+    eventType = null,
+    providerCallId = null,
+    payloadHash = null,
+    remoteIp = null,
+    userAgent = null,
+    headers = {},
+    metadata = {}
+  }, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `INSERT INTO ${s}.voice_webhook_rejections (
+         provider, reason, event_type, provider_call_id, payload_hash,
+         remote_ip, user_agent, headers, metadata
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, created_at`,
+      [
+        provider,
+        reason,
+        eventType,
+        providerCallId,
+        payloadHash,
+        remoteIp,
+        userAgent,
+        JSON.stringify(headers),
+        JSON.stringify(metadata)
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Tenant and agent of the call log with this provider call id
+   * @returns {Promise<{ tenant_id, agent_id }|null>}
+   */
+  async findCallAgent(providerCallId, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT tenant_id, agent_id
+       FROM ${s}.voice_call_logs
+       WHERE provider_call_id = $1 OR metadata->>'vapiCallId' = $1
+       LIMIT 1`,
+      [providerCallId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Agent mapped to a provider assistant (for calls without a call log yet)
+   * @returns {Promise<{ id, tenant_id, provider_config }|null>}
+   */
+  async findAgentByAssistantId(assistantId, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT id, tenant_id, provider_config
+       FROM ${s}.voice_agents
+       WHERE provider_assistant_id = $1
+       LIMIT 1`,
+      [assistantId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = WebhookEventsRepository;
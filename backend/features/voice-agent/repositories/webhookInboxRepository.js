@@ -0,0 +1,256 @@
+/**
+ * Webhook Inbox Repository
+ *
+ * SQL access for voice_webhook_inbox. Payloads are written here at receipt
+ * (together with the replay-protection claim in voice_webhook_events) and
+ * picked up by WebhookInboxWorker with FOR UPDATE SKIP LOCKED.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const WebhookEventsRepository = require('./webhookEventsRepository');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const INBOX_COLUMNS = `
+  id, tenant_id, webhook_event_id, provider, event_key, event_type,
+  provider_call_id, status, attempts, max_attempts, next_attempt_at,
+  locked_at, last_error, processed_at, dead_lettered_at, metadata,
+  created_at, updated_at
+`;
+
+/**
+ * Tenant of the call log a provider call ID belongs to (NULL for unknown calls)
+ */
+const tenantForCall = (s, providerCallIdSql) => `
+  (SELECT vcl.tenant_id FROM ${s}.voice_call_logs vcl
+    WHERE ${providerCallIdSql} IS NOT NULL
+      AND (vcl.provider_call_id = ${providerCallIdSql} OR vcl.metadata->>'vapiCallId' = ${providerCallIdSql})
+    LIMIT 1)`;
+
+class WebhookInboxRepository {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  _schema(schema) {
+    return sanitizeSchema(schema || getSchema());
+  }
+
+  /**
+   * Claim the event key and store the payload in one transaction.
+   * Returns null when the event key was already claimed (replay).
+   */
+  async enqueueEvent({
+    provider,
+    eventKey,
+    eventType,
+    providerCallId,
+    payloadHash,
+    payload,
+    maxAttempts
+  }, schema) {
+    const s = this._schema(schema);
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const claim = await new WebhookEventsRepository(client).claimEvent({
+        provider,
+        eventKey,
+        eventType,
+        providerCallId,
+        payloadHash
+      }, s);
+
+      if (!claim) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(
+        `INSERT INTO ${s}.voice_webhook_inbox (
+           tenant_id, webhook_event_id, provider, event_key, event_type,
+           provider_call_id, payload, max_attempts
+         ) VALUES (
+           ${tenantForCall(s, '$5::text')},
+           $1, $2, $3, $4, $5, $6, $7
+         )
+         RETURNING ${INBOX_COLUMNS}`,
+        [
+          claim.id,
+          provider,
+          eventKey,
+          eventType || null,
+          providerCallId || null,
+          JSON.stringify(payload),
+          maxAttempts
+        ]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lock a batch of due events for processing.
+   * Rows stuck in `processing` longer than lockTimeoutSeconds (crashed worker) are picked up again.
+   */
+  async claimDueEvents(limit, lockTimeoutSeconds, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_webhook_inbox
+       SET status = 'processing',
+           attempts = attempts + 1,
+           locked_at = NOW(),
+           updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM ${s}.voice_webhook_inbox
+         WHERE is_deleted = false
+           AND (
+             (status IN ('pending', 'failed') AND next_attempt_at <= NOW())
+             OR (status = 'processing' AND locked_at < NOW() - ($2 || ' seconds')::interval)
+           )
+         ORDER BY next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${INBOX_COLUMNS}, payload`,
+      [limit, String(lockTimeoutSeconds)]
+    );
+    return result.rows;
+  }
+
+  async markProcessed(id, { tenantId = null } = {}, schema) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_webhook_inbox
+       SET status = 'processed',
+           tenant_id = COALESCE($2, tenant_id),
+           locked_at = NULL,
+           last_error = NULL,
+           processed_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, tenantId]
+    );
+  }
+
+  /**
+   * Record a failed attempt; moves the row to dead_letter when deadLetter is true.
+   * The tenant is resolved again so the row shows up in its tenant's listing.
+   * @returns {Promise<Object|null>} { id, tenant_id, status }
+   */
+  async markFailed(id, { error, nextAttemptAt, deadLetter }, schema) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_webhook_inbox inbox
+       SET status = CASE WHEN $4 THEN 'dead_letter' ELSE 'failed' END,
+           tenant_id = COALESCE(inbox.tenant_id, ${tenantForCall(s, 'inbox.provider_call_id')}),
+           last_error = $2,
+           next_attempt_at = COALESCE($3, inbox.next_attempt_at),
+           dead_lettered_at = CASE WHEN $4 THEN NOW() ELSE inbox.dead_lettered_at END,
+           locked_at = NULL,
+           updated_at = NOW()
+       WHERE inbox.id = $1
+       RETURNING inbox.id, inbox.tenant_id, inbox.status`,
+      [id, error, nextAttemptAt || null, !!deadLetter]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Drop a dead-lettered event no tenant can see or re-drive (its call is
+   * unknown); kept soft-deleted with the reason for investigation
+   */
+  async dropEvent(id, reason, schema) {
+    const s = this._schema(schema);
+    await this.db.query(
+      `UPDATE ${s}.voice_webhook_inbox
+       SET is_deleted = true,
+           metadata = metadata || jsonb_build_object('dropped_reason', $2::text, 'dropped_at', NOW()),
+           updated_at = NOW()
+       WHERE id = $1 AND tenant_id IS NULL AND status = 'dead_letter'`,
+      [id, reason]
+    );
+  }
+
+  async listEvents(schema, tenantId, { status = null, limit = 50, offset = 0 } = {}) {
+    const s = this._schema(schema);
+    const params = [tenantId];
+    let where = 'tenant_id = $1 AND is_deleted = false';
+
+    if (status) {
+      params.push(status);
+      where += ` AND status = $${params.length}`;
+    }
+
+    const countResult = await this.db.query(
+      `SELECT COUNT(*)::int AS total FROM ${s}.voice_webhook_inbox WHERE ${where}`,
+      params
+    );
+
+    params.push(limit, offset);
+    const result = await this.db.query(
+      `SELECT ${INBOX_COLUMNS}, payload
+       FROM ${s}.voice_webhook_inbox
+       WHERE ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return { events: result.rows, total: countResult.rows[0]?.total || 0 };
+  }
+
+  /**
+   * Reset a failed or dead-lettered event so the worker picks it up immediately
+   */
+  async redriveEvent(schema, tenantId, id, { redrivenBy = null } = {}) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `UPDATE ${s}.voice_webhook_inbox
+       SET status = 'pending',
+           attempts = 0,
+           next_attempt_at = NOW(),
+           dead_lettered_at = NULL,
+           locked_at = NULL,
+           metadata = metadata || jsonb_build_object(
+             'last_redriven_at', NOW(),
+             'last_redriven_by', $4::text,
+             'redrive_count', COALESCE((metadata->>'redrive_count')::int, 0) + 1
+           ),
+           updated_at = NOW()
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+         AND status = ANY($3::text[])
+       RETURNING ${INBOX_COLUMNS}`,
+      [id, tenantId, ['failed', 'dead_letter'], redrivenBy]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getEventById(schema, tenantId, id) {
+    const s = this._schema(schema);
+    const result = await this.db.query(
+      `SELECT ${INBOX_COLUMNS}
+       FROM ${s}.voice_webhook_inbox
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = false`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = WebhookInboxRepository;
@@ -16,10 +16,20 @@ const {
   LeadTagsController,
   CallCancellationController,
   CallLogUpdatesController,
-  UploadGCPController
+  UploadGCPController,
+  WebhookInboxController,
+  ScheduledCallController,
+  DncController,
+  StorageController,
+  LiveCallController
 } = require('../controllers');
 const VAPIWebhookController = require('../controllers/VAPIWebhookController');
 const SettingsController = require('../controllers/SettingsController');
+const MockProviderController = require('../controllers/MockProviderController');
+const { getCallMonitorService } = require('../services/CallMonitorService');
+const { CALL_MONITOR_NAMESPACE } = require('../constants/callMonitor');
+const { getSocketService } = require('../../../shared/services/socketService');
+const { getProviderRegistry } = require('../services/providers');
 const { pool } = require('../../../shared/database/connection');
 const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
 const { requireCredits } = require('../../../shared/middleware/credit_guard');
@@ -36,7 +46,20 @@ const vapiWebhookController = new VAPIWebhookController(pool);
 const callCancellationController = new CallCancellationController(pool);
 const callLogUpdatesController = new CallLogUpdatesController();
 const settingsController = new SettingsController(pool);
-const uploadGCPController = new UploadGCPController();
+const uploadGCPController = new UploadGCPController(pool);
+const webhookInboxController = new WebhookInboxController(pool);
+const scheduledCallController = new ScheduledCallController(pool);
+const dncController = new DncController(pool);
+const storageController = new StorageController();
+const liveCallController = new LiveCallController(pool);
+
+// Supervisor monitor of calls in progress (Socket.IO namespace CALL_MONITOR_NAMESPACE):
+// live transcript and timeline events, optionally the provider's audio stream
+if (process.env.VOICE_MONITOR_DISABLED !== 'true') {
+  getSocketService().registerNamespace(CALL_MONITOR_NAMESPACE, (namespace) => {
+    getCallMonitorService({ db: pool }).attach(namespace);
+  });
+}
 
 const batchUpload = multer({
   storage: multer.memoryStorage(),
@@ -46,6 +69,22 @@ const batchUpload = multer({
   }
 });
 
+const dncUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: 1,
+    fileSize: parseInt(process.env.VOICE_DNC_MAX_IMPORT_BYTES || `${10 * 1024 * 1024}`, 10)
+  }
+});
+
+const leadImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: 1,
+    fileSize: parseInt(process.env.VOICE_LEAD_IMPORT_MAX_BYTES || `${10 * 1024 * 1024}`, 10)
+  }
+});
+
 // Tenant middleware - extracts tenant ID from request
 const tenantMiddleware = (req, res, next) => {
   req.tenantId = req.tenantId || 
@@ -253,6 +292,100 @@ router.get(
   (req, res) => settingsController.getAgentsByVoiceId(req, res)
 );
 
+/**
+ * GET /settings/business-hours
+ * Get the tenant's calling hours (evaluated in the lead's local time)
+ */
+router.get(
+  '/settings/business-hours',
+  jwtAuth,
+  (req, res) => settingsController.getBusinessHours(req, res)
+);
+
+/**
+ * PUT /settings/business-hours
+ * Replace the tenant's calling hours; body { business_hours } (null resets to the default)
+ * Agents (business_hours on the agent) and batches override them
+ */
+router.put(
+  '/settings/business-hours',
+  jwtAuth,
+  (req, res) => settingsController.updateBusinessHours(req, res)
+);
+
+/**
+ * GET /settings/recording-policy
+ * Get the tenant's recording, consent disclosure and retention policy
+ */
+router.get(
+  '/settings/recording-policy',
+  jwtAuth,
+  (req, res) => settingsController.getRecordingPolicy(req, res)
+);
+
+/**
+ * PUT /settings/recording-policy
+ * Replace the tenant's recording policy; body { recording_policy } (null resets to the default)
+ * countries overrides record_calls / consent_disclosure per destination calling code
+ */
+router.put(
+  '/settings/recording-policy',
+  jwtAuth,
+  (req, res) => settingsController.updateRecordingPolicy(req, res)
+);
+
+/**
+ * GET /settings/recording-policy/deletions
+ * Audit trail of recordings, transcripts and call analyses purged by the retention job
+ */
+router.get(
+  '/settings/recording-policy/deletions',
+  jwtAuth,
+  (req, res) => settingsController.getRetentionDeletions(req, res)
+);
+
+/**
+ * GET /settings/phone-policy
+ * Get the tenant's destination number policy (default country, blocked countries and number types)
+ */
+router.get(
+  '/settings/phone-policy',
+  jwtAuth,
+  (req, res) => settingsController.getPhonePolicy(req, res)
+);
+
+/**
+ * PUT /settings/phone-policy
+ * Replace the tenant's phone policy; body { phone_policy } (null resets to the default)
+ * phone_policy: { default_country, blocked_countries, blocked_number_types }
+ */
+router.put(
+  '/settings/phone-policy',
+  jwtAuth,
+  (req, res) => settingsController.updatePhonePolicy(req, res)
+);
+
+/**
+ * GET /settings/numbers/:id/inbound-routing
+ * Get how incoming calls on a number are routed to agents
+ */
+router.get(
+  '/settings/numbers/:id/inbound-routing',
+  jwtAuth,
+  (req, res) => settingsController.getInboundRouting(req, res)
+);
+
+/**
+ * PUT /settings/numbers/:id/inbound-routing
+ * Replace a number's inbound routing; body { inbound_routing } (null restores the default)
+ * inbound_routing: { enabled, rules: [{ agent_id, business_hours }], reject_when_closed, fallback_agent_id, closed_message }
+ */
+router.put(
+  '/settings/numbers/:id/inbound-routing',
+  jwtAuth,
+  (req, res) => settingsController.updateInboundRouting(req, res)
+);
+
 /**
  * GET /settings
  * Get voice agent settings
@@ -283,6 +416,11 @@ router.put(
  */
 router.get('/test', (req, res) => voiceAgentController.test(req, res));
 
+/**
+ * POST /upload-gcp
+ * Store batch call files (excel_file, json_file) as an upload session;
+ * returns upload_session_id for POST /batch/trigger-batch-call
+ */
 router.post(
   '/upload-gcp',
   tenantMiddleware,
@@ -445,6 +583,97 @@ router.get(
   (req, res) => callController.getLeadByCallLogId(req, res)
 );
 
+/**
+ * GET /calls/:id/recording
+ * Stream the call recording (HTTP Range supported); same visibility as call logs
+ */
+router.get(
+  '/calls/:id/recording',
+  jwtAuth,
+  (req, res) => callController.streamCallRecording(req, res)
+);
+
+/**
+ * GET /calls/:id/transcript
+ * Get speaker-segmented transcript turns with timestamps, summary and analysis
+ */
+router.get(
+  '/calls/:id/transcript',
+  jwtAuth,
+  (req, res) => callController.getCallTranscript(req, res)
+);
+
+/**
+ * GET /calls/:id/events
+ * Get the call timeline (status updates, transcript turns, speech/tool/hang events)
+ * Query: types (comma-separated event types, optional)
+ * Live events are pushed on /calls/stream as `call_event`
+ */
+router.get(
+  '/calls/:id/events',
+  jwtAuth,
+  (req, res) => callController.getCallEvents(req, res)
+);
+
+/**
+ * GET /calls/:id/attempts
+ * Get all attempts of a call (original call and automatic retries) and scheduled retries
+ */
+router.get(
+  '/calls/:id/attempts',
+  jwtAuth,
+  (req, res) => callController.getCallAttempts(req, res)
+);
+
+/**
+ * POST /calls/:id/transfer
+ * Transfer an in-progress call to a human
+ * Body: { to_number, mode?: 'warm' (default; the agent briefs the human first) | 'cold', message? }
+ * Recorded on the call timeline as a `transfer` event
+ */
+router.post(
+  '/calls/:id/transfer',
+  jwtAuth,
+  (req, res) => liveCallController.transferCall(req, res)
+);
+
+/**
+ * POST /calls/:id/inject
+ * Add an instruction to the agent's conversation during the call
+ * Body: { content, role?: 'system' (default) | 'user' | 'assistant', respond?: boolean (default true) }
+ * Recorded on the call timeline as a `message_injected` event
+ */
+router.post(
+  '/calls/:id/inject',
+  jwtAuth,
+  (req, res) => liveCallController.injectMessage(req, res)
+);
+
+/**
+ * POST /calls/:id/takeover
+ * Mute the agent so a user listening in can speak (action 'take'), or unmute it ('release')
+ * Body: { action?: 'take' (default) | 'release', message?: spoken by the agent before it goes quiet }
+ * Recorded on the call timeline as a `takeover` event
+ */
+router.post(
+  '/calls/:id/takeover',
+  jwtAuth,
+  (req, res) => liveCallController.takeoverCall(req, res)
+);
+
+/**
+ * PUT /calls/:id/disposition
+ * Override the call's disposition (interested, callback_requested, not_interested,
+ * wrong_number, voicemail, dnc_request); null restores the automatic classification
+ * Body: { disposition, note? }
+ * Recorded on the call timeline as a `disposition` event
+ */
+router.put(
+  '/calls/:id/disposition',
+  jwtAuth,
+  (req, res) => callController.updateCallDisposition(req, res)
+);
+
 /**
  * GET /calls/:id
  * Get a single call log by ID
@@ -479,6 +708,19 @@ router.get(
   (req, res) => callController.getCallLogs(req, res)
 );
 
+/**
+ * GET /calllogs/search
+ * Full-text search over call transcripts and summaries with highlighted snippets
+ * Query: q (required), status, lead_tag, agent_id, start_date, from_date, to_date, page, limit
+ * Must be registered before /calllogs/:call_log_id
+ */
+router.get(
+  '/calllogs/search',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => callController.searchCallLogs(req, res)
+);
+
 /**
  * GET /calllogs/:call_log_id
  * Get a single call log by ID
@@ -526,14 +768,118 @@ router.post(
  * - call.started: Call has been initiated
  * - call.ended: Call completed (triggers credit deduction)
  * - call.failed: Call failed (triggers credit refund)
+ * - assistant-request: Inbound call; answered with the routed agent (see
+ *   PUT /settings/numbers/:id/inbound-routing) or { error } to decline it
+ * 
+ * No JWT authentication - deliveries are verified by HMAC signature or shared
+ * secret (VAPI_WEBHOOK_SECRET, or provider_config.webhook_secret for agents on
+ * their own VAPI account) plus a timestamp window. Replayed events are
+ * acknowledged without reprocessing; rejected deliveries return 401 and are
+ * recorded in voice_webhook_rejections.
  * 
- * No authentication required (VAPI webhook signature verification should be added)
+ * Payloads are stored in voice_webhook_inbox and processed asynchronously
+ * with retries; returns 500 only when the payload could not be verified or stored.
  */
 router.post(
   '/webhook/vapi',
   (req, res) => vapiWebhookController.handleVAPIWebhook(req, res)
 );
 
+/**
+ * GET /webhooks/inbox
+ * List stored webhook events for the tenant (admin only)
+ * Query: status (pending|processing|processed|failed|dead_letter), page, limit
+ */
+router.get(
+  '/webhooks/inbox',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => webhookInboxController.listInboxEvents(req, res)
+);
+
+/**
+ * POST /webhooks/inbox/:id/redrive
+ * Re-drive a failed or dead-lettered webhook event (admin only)
+ */
+router.post(
+  '/webhooks/inbox/:id/redrive',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => webhookInboxController.redriveInboxEvent(req, res)
+);
+
+// ============================================
+// Object Storage Endpoints
+// ============================================
+
+/**
+ * GET /storage/objects/:token
+ * Stream a stored object through an expiring proxy link (HTTP Range supported)
+ * No JWT authentication - the HMAC-signed token grants access to one object
+ */
+router.get(
+  '/storage/objects/:token',
+  (req, res) => storageController.streamObject(req, res)
+);
+
+// ============================================
+// Mock Telephony Provider (development/tests only)
+// ============================================
+
+if (getProviderRegistry().has('mock')) {
+  const mockProviderController = new MockProviderController();
+
+  /**
+   * GET /mock-provider/calls
+   * List simulated calls and their lifecycle state
+   */
+  router.get(
+    '/mock-provider/calls',
+    jwtAuth,
+    (req, res) => mockProviderController.listCalls(req, res)
+  );
+
+  /**
+   * GET /mock-provider/outcomes
+   * Configured outcomes (default and per number)
+   */
+  router.get(
+    '/mock-provider/outcomes',
+    jwtAuth,
+    (req, res) => mockProviderController.getOutcomes(req, res)
+  );
+
+  /**
+   * PUT /mock-provider/outcomes
+   * Set the outcome (answered|voicemail|no-answer|failed) for a number or the default
+   */
+  router.put(
+    '/mock-provider/outcomes',
+    jwtAuth,
+    (req, res) => mockProviderController.setOutcome(req, res)
+  );
+
+  /**
+   * DELETE /mock-provider/outcomes
+   * Reset outcomes to the default answered call
+   */
+  router.delete(
+    '/mock-provider/outcomes',
+    jwtAuth,
+    (req, res) => mockProviderController.clearOutcomes(req, res)
+  );
+
+  /**
+   * GET /mock-provider/recordings/:callId
+   * Synthetic WAV recording of a finished simulated call
+   */
+  router.get(
+    '/mock-provider/recordings/:callId',
+    jwtAuth,
+    (req, res) => mockProviderController.getRecording(req, res)
+  );
+}
+
 // ============================================
 // V2 API Endpoints
 // ============================================
@@ -562,6 +908,8 @@ router.post(
 /**
  * POST /batch/trigger-batch-call (V2)
  * Initiate batch voice calls - V2 endpoint
+ * Files: upload_session_id from POST /upload-gcp, attachment_link/json_link,
+ * or excel_file + json_file uploaded with this request
  */
 router.post(
   '/batch/trigger-batch-call',
@@ -573,6 +921,19 @@ router.post(
   (req, res) => batchCallController.batchInitiateCallsV2(req, res)
 );
 
+/**
+ * POST /batch/batch-import (V2)
+ * Create a draft batch from a lead file (.xlsx or CSV), with a per-row validation report
+ * Multipart: file, voice_id, mapping (JSON: lead field -> column), default_country,
+ * sheet_name, dry_run, plus the trigger-batch-call options
+ */
+router.post(
+  '/batch/batch-import',
+  tenantMiddleware,
+  leadImportUpload.single('file'),
+  (req, res) => batchCallController.importBatchFileV2(req, res)
+);
+
 /**
  * GET /calls/job/:job_id (V2)
  * Get call log by job ID - V2 endpoint
@@ -596,6 +957,8 @@ router.get(
 /**
  * POST /batch/batch-cancel/:id (V2)
  * Cancel batch - V2 endpoint
+ * Natively dispatched batches cancel their pending entries;
+ * body { force: true } also ends calls already in progress
  */
 router.post(
   '/batch/batch-cancel/:id',
@@ -603,6 +966,254 @@ router.post(
   (req, res) => batchCallController.cancelBatchV2(req, res)
 );
 
+/**
+ * POST /batch/batch-launch/:id (V2)
+ * Start dialing a draft batch created by /batch/batch-import
+ * Body: { scheduled_at? } (ISO 8601; default: now)
+ */
+router.post(
+  '/batch/batch-launch/:id',
+  tenantMiddleware,
+  (req, res) => batchCallController.launchBatchV2(req, res)
+);
+
+/**
+ * POST /batch/batch-pause/:id (V2)
+ * Pause a natively dispatched batch; remaining entries stay pending
+ * Body: { reason? }
+ */
+router.post(
+  '/batch/batch-pause/:id',
+  tenantMiddleware,
+  (req, res) => batchCallController.pauseBatchV2(req, res)
+);
+
+/**
+ * POST /batch/batch-resume/:id (V2)
+ * Resume dialing a paused batch's pending entries
+ */
+router.post(
+  '/batch/batch-resume/:id',
+  tenantMiddleware,
+  (req, res) => batchCallController.resumeBatchV2(req, res)
+);
+
+/**
+ * POST /batch/batch-reschedule/:id (V2)
+ * Move a running or paused batch's pending entries to a new start time
+ * Body: { scheduled_at } (ISO 8601, in the future)
+ */
+router.post(
+  '/batch/batch-reschedule/:id',
+  tenantMiddleware,
+  (req, res) => batchCallController.rescheduleBatchV2(req, res)
+);
+
+// ============================================
+// Scheduled Call Endpoints
+// ============================================
+
+/**
+ * GET /scheduled-calls
+ * List scheduled single calls for the tenant
+ * Query: status (pending|dispatching|dispatched|failed|cancelled), page, limit
+ */
+router.get(
+  '/scheduled-calls',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => scheduledCallController.listScheduledCalls(req, res)
+);
+
+/**
+ * POST /scheduled-calls/fire
+ * Cloud Tasks callback that places a due scheduled call
+ * No JWT authentication - verified by the X-Voice-Scheduler-Secret header
+ * (VOICE_SCHEDULER_SECRET)
+ */
+router.post(
+  '/scheduled-calls/fire',
+  (req, res) => scheduledCallController.fireScheduledCall(req, res)
+);
+
+/**
+ * GET /scheduled-calls/:id
+ * Get a scheduled call
+ */
+router.get(
+  '/scheduled-calls/:id',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => scheduledCallController.getScheduledCall(req, res)
+);
+
+/**
+ * POST /scheduled-calls/:id/cancel
+ * Cancel a pending scheduled call
+ */
+router.post(
+  '/scheduled-calls/:id/cancel',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => scheduledCallController.cancelScheduledCall(req, res)
+);
+
+/**
+ * POST /scheduled-calls/:id/reschedule
+ * Move a pending scheduled call to a new time
+ * Body: { scheduled_at } (ISO 8601, in the future, within business hours)
+ */
+router.post(
+  '/scheduled-calls/:id/reschedule',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => scheduledCallController.rescheduleScheduledCall(req, res)
+);
+
+// ============================================
+// Do-Not-Call Endpoints
+// ============================================
+
+/**
+ * GET /dnc
+ * List the tenant's Do-Not-Call numbers
+ * Query: q (number or reason search), page, limit
+ */
+router.get(
+  '/dnc',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.listEntries(req, res)
+);
+
+/**
+ * POST /dnc
+ * Add a number to the tenant's Do-Not-Call list
+ * Body: { phone_number, reason?, expires_at? }
+ */
+router.post(
+  '/dnc',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.addEntry(req, res)
+);
+
+/**
+ * POST /dnc/import
+ * Import numbers from CSV (multipart `file` or JSON { csv })
+ * Header row: phone_number (or phone/number/to_number), optional reason
+ */
+router.post(
+  '/dnc/import',
+  jwtAuth,
+  tenantMiddleware,
+  dncUpload.single('file'),
+  (req, res) => dncController.importEntries(req, res)
+);
+
+/**
+ * GET /dnc/check
+ * Whether a number is suppressed for the tenant (own list or global lists)
+ * Query: phone_number
+ */
+router.get(
+  '/dnc/check',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.checkNumber(req, res)
+);
+
+/**
+ * GET /dnc/lists
+ * Global Do-Not-Call lists and whether each is enforced for the tenant
+ */
+router.get(
+  '/dnc/lists',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.listLists(req, res)
+);
+
+/**
+ * POST /dnc/lists
+ * Create a global Do-Not-Call list (platform admin only)
+ * Body: { name, description?, mandatory? }
+ */
+router.post(
+  '/dnc/lists',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.createList(req, res)
+);
+
+/**
+ * PUT /dnc/lists/:listId/subscription
+ * Opt the tenant in to or out of an optional global list
+ * Body: { subscribed }
+ */
+router.put(
+  '/dnc/lists/:listId/subscription',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.updateSubscription(req, res)
+);
+
+/**
+ * GET /dnc/lists/:listId/entries
+ * List the numbers of a global list (platform admin only)
+ */
+router.get(
+  '/dnc/lists/:listId/entries',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.listListEntries(req, res)
+);
+
+/**
+ * POST /dnc/lists/:listId/entries
+ * Add a number to a global list (platform admin only)
+ */
+router.post(
+  '/dnc/lists/:listId/entries',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.addListEntry(req, res)
+);
+
+/**
+ * POST /dnc/lists/:listId/import
+ * Import numbers into a global list from CSV (platform admin only)
+ */
+router.post(
+  '/dnc/lists/:listId/import',
+  jwtAuth,
+  tenantMiddleware,
+  dncUpload.single('file'),
+  (req, res) => dncController.importListEntries(req, res)
+);
+
+/**
+ * DELETE /dnc/lists/:listId/entries/:id
+ * Remove a number from a global list (platform admin only)
+ */
+router.delete(
+  '/dnc/lists/:listId/entries/:id',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.removeListEntry(req, res)
+);
+
+/**
+ * DELETE /dnc/:id
+ * Remove a number from the tenant's Do-Not-Call list
+ */
+router.delete(
+  '/dnc/:id',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => dncController.removeEntry(req, res)
+);
+
 // ============================================
 // Call Cancellation Endpoints (Unified)
 // ============================================
@@ -643,6 +1254,29 @@ router.get(
   (req, res) => batchCallController.getBatchesView(req, res)
 );
 
+/**
+ * GET /batch/dispatch-limits
+ * Effective batch dispatch limits (max concurrent calls per tenant and
+ * per from-number, calls per minute) for the tenant
+ */
+router.get(
+  '/batch/dispatch-limits',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => batchCallController.getDispatchLimits(req, res)
+);
+
+/**
+ * PUT /batch/dispatch-limits
+ * Update the tenant's batch dispatch limits; null resets a limit to its default
+ */
+router.put(
+  '/batch/dispatch-limits',
+  jwtAuth,
+  tenantMiddleware,
+  (req, res) => batchCallController.updateDispatchLimits(req, res)
+);
+
 /**
  * GET /batch/stats
  */
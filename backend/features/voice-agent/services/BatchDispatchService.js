@@ -0,0 +1,673 @@
+/**
+ * Batch Dispatch Service
+ *
+ * Native batch execution: batches submitted to POST /batch/trigger-batch-call
+ * are stored in voice_call_batches / voice_call_batch_entries and dialed one
+ * entry at a time by BatchDispatchWorker through the agent's telephony
+ * provider, within these limits:
+ *
+ * - max concurrent calls per tenant (and optionally per batch)
+ * - max concurrent calls per from-number (batches without one dial from the
+ *   provider's default number and share no per-number cap)
+ * - calls per minute per tenant (and optionally per batch), spread across
+ *   worker ticks rather than dialed in one burst
+ *
+ * Tenant limits come from voice_call_dispatch_limits, falling back to the
+ * VOICE_BATCH_* environment defaults. Entries outside business hours (in the
+ * lead's local time, see BusinessHoursService) are deferred to the next
+ * allowed time rather than dialed, and entries whose number is on a
+ * Do-Not-Call list (see DncService) or blocked by the tenant's phone policy
+ * (see PhonePolicyService) are marked skipped, both when the batch is
+ * created and again when the entry is dialed. Batch state is kept in the
+ * database, so a paused batch stays paused across restarts and a running
+ * batch picks up where it left off. Batches imported from a lead file (see
+ * LeadImportService) start as drafts and are only dialed once launched.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const BatchDispatchRepository = require('../repositories/batchDispatchRepository');
+const CallPlacementService = require('./CallPlacementService');
+const CallRetryService = require('./CallRetryService');
+const BusinessHoursService = require('./BusinessHoursService');
+const DncService = require('./DncService');
+const PhonePolicyService = require('./PhonePolicyService');
+const { getProviderRegistry } = require('./providers');
+const { BATCH_STATUS, BATCH_ENTRY_STATUS, BATCH_DISPATCH_MODES } = require('../constants/batchStatus');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const MAX_ERROR_LENGTH = 2000;
+
+class BatchDispatchService {
+  constructor(db = pool, options = {}) {
+    this.repository = new BatchDispatchRepository(db);
+    this.providerRegistry = options.providerRegistry || getProviderRegistry();
+    this.callPlacement = new CallPlacementService(db, { providerRegistry: this.providerRegistry });
+    this.callRetry = new CallRetryService(db, { providerRegistry: this.providerRegistry });
+    this.businessHours = new BusinessHoursService(db);
+    this.dnc = new DncService(db);
+    this.phonePolicy = new PhonePolicyService(db);
+
+    this.defaults = {
+      maxConcurrentCalls: parseInt(process.env.VOICE_BATCH_MAX_CONCURRENT_CALLS || '5', 10),
+      maxConcurrentPerNumber: parseInt(process.env.VOICE_BATCH_MAX_CONCURRENT_PER_NUMBER || '2', 10),
+      callsPerMinute: parseInt(process.env.VOICE_BATCH_CALLS_PER_MINUTE || '20', 10)
+    };
+    this.tickMs = parseInt(process.env.VOICE_BATCH_WORKER_INTERVAL_MS || '5000', 10);
+    this.staleCallMinutes = parseInt(process.env.VOICE_BATCH_STALE_CALL_MINUTES || '60', 10);
+    this.lockTimeoutSeconds = parseInt(process.env.VOICE_BATCH_LOCK_TIMEOUT_SECONDS || '300', 10);
+  }
+
+  /**
+   * Whether batches are dialed by the in-house worker (VOICE_BATCH_DISPATCH_MODE, default native)
+   * rather than forwarded to the provider's batch API
+   */
+  isNativeDispatchEnabled() {
+    return (process.env.VOICE_BATCH_DISPATCH_MODE || 'native') !== 'provider';
+  }
+
+  /**
+   * Persist a batch for native dispatch
+   *
+   * @param {string} schema - Sanitized schema name
+   * @param {Object} batchRequest - Batch request (see TelephonyProvider)
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrentCalls] - Per-batch concurrency cap
+   * @param {number} [options.callsPerMinute] - Per-batch dial rate
+   * @param {string} [options.scheduledAt] - ISO timestamp before which nothing is dialed
+   * @param {Object} [options.retryPolicy] - Retry policy for the entries (overrides the agent's)
+   * @param {Object} [options.businessHours] - Business hours for the entries (overrides agent and tenant)
+   * @param {boolean} [options.draft] - Store as a draft that is only dialed once launched (see launchBatch)
+   * @param {Object} [options.metadata] - Extra batch metadata (e.g. the lead file import report)
+   * @returns {Promise<Object>} batch row, with `skipped` ({ to_number, reason }) for blocked and Do-Not-Call entries
+   * @throws {Error} 400 when an entry's number cannot be dialed (see PhonePolicyService.checkBatchEntries)
+   */
+  async createBatch(schema, batchRequest, {
+    maxConcurrentCalls = null,
+    callsPerMinute = null,
+    scheduledAt = null,
+    retryPolicy = null,
+    businessHours = null,
+    draft = false,
+    metadata = {}
+  } = {}) {
+    const limits = this.validateLimits({ maxConcurrentCalls, callsPerMinute });
+    const normalizedRetryPolicy = this.callRetry.normalizePolicy(retryPolicy);
+    const normalizedBusinessHours = this.businessHours.normalizeBusinessHours(businessHours);
+
+    let scheduledDate = null;
+    if (scheduledAt) {
+      scheduledDate = new Date(scheduledAt);
+      if (Number.isNaN(scheduledDate.getTime())) {
+        const err = new Error('scheduled_at must be an ISO 8601 timestamp');
+        err.code = 'INVALID_SCHEDULED_AT';
+        err.status = 400;
+        throw err;
+      }
+    }
+
+    // Numbers are normalized to E.164 first; blocked destinations and
+    // Do-Not-Call numbers are stored as skipped entries
+    const phoneChecks = await this.phonePolicy.checkBatchEntries(schema, batchRequest.tenantId, batchRequest.entries);
+    const dncChecks = await this.dnc.checkNumbers(
+      schema,
+      batchRequest.tenantId,
+      batchRequest.entries.map(entry => entry.toNumber)
+    );
+    const skipReasons = batchRequest.entries.map((entry, index) => {
+      if (!phoneChecks[index].allowed) return phoneChecks[index].reason;
+      return dncChecks[index].suppressed ? dncChecks[index].reason : null;
+    });
+
+    const batch = await this.repository.createBatch({
+      tenantId: batchRequest.tenantId,
+      status: draft ? BATCH_STATUS.DRAFT : BATCH_STATUS.RUNNING,
+      initiatedByUserId: batchRequest.userId || null,
+      agentId: batchRequest.agentId || null,
+      scheduledAt: scheduledDate,
+      maxConcurrentCalls: limits.maxConcurrentCalls,
+      callsPerMinute: limits.callsPerMinute,
+      retryPolicy: normalizedRetryPolicy,
+      businessHours: normalizedBusinessHours,
+      attachments: batchRequest.attachmentLink || null,
+      metadata: batchRequest.jsonLink ? { ...metadata, json_link: batchRequest.jsonLink } : metadata,
+      callRequest: {
+        voiceId: batchRequest.voiceId || null,
+        fromNumber: batchRequest.fromNumber || null,
+        addedContext: batchRequest.addedContext || null,
+        llmProvider: batchRequest.llmProvider || null,
+        llmModel: batchRequest.llmModel || null,
+        knowledgeBaseStoreIds: batchRequest.knowledgeBaseStoreIds || null,
+        initiatedBy: batchRequest.initiatedBy || null
+      },
+      entries: batchRequest.entries.map((entry, index) => ({
+        toPhone: entry.toNumber,
+        leadId: entry.leadId,
+        leadName: entry.leadName,
+        addedContext: entry.addedContext,
+        callOptions: entry.knowledgeBaseStoreIds ? { knowledgeBaseStoreIds: entry.knowledgeBaseStoreIds } : {},
+        skipReason: skipReasons[index]
+      }))
+    }, schema);
+
+    const skipped = batchRequest.entries
+      .map((entry, index) => ({ to_number: entry.toNumber, reason: skipReasons[index] }))
+      .filter(entry => entry.reason);
+
+    logger.info(draft ? '[BatchDispatch] Draft batch created' : '[BatchDispatch] Batch queued for native dispatch', {
+      batchId: batch.id,
+      tenantId: batch.tenant_id,
+      totalCalls: batch.total_calls,
+      skippedCalls: skipped.length,
+      scheduledAt: batch.scheduled_at
+    });
+
+    return { ...batch, skipped };
+  }
+
+  /**
+   * Validate optional positive-integer limits
+   * @returns {Object} the same keys as integers (or null)
+   */
+  validateLimits(limits) {
+    const validated = {};
+    for (const [key, value] of Object.entries(limits)) {
+      if (value === undefined || value === null || value === '') {
+        validated[key] = null;
+        continue;
+      }
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed <= 0) {
+        const err = new Error(`${key} must be a positive integer`);
+        err.code = 'INVALID_DISPATCH_LIMIT';
+        err.status = 400;
+        throw err;
+      }
+      validated[key] = parsed;
+    }
+    return validated;
+  }
+
+  /**
+   * Effective tenant limits (stored values over environment defaults)
+   */
+  async getDispatchLimits(schema, tenantId) {
+    const row = await this.repository.getDispatchLimits(schema, tenantId);
+    return {
+      maxConcurrentCalls: row?.max_concurrent_calls || this.defaults.maxConcurrentCalls,
+      maxConcurrentPerNumber: row?.max_concurrent_per_number || this.defaults.maxConcurrentPerNumber,
+      callsPerMinute: row?.calls_per_minute || this.defaults.callsPerMinute,
+      defaults: { ...this.defaults },
+      updatedAt: row?.updated_at || null
+    };
+  }
+
+  /**
+   * Store tenant limits; null clears a limit back to its default
+   */
+  async updateDispatchLimits(schema, tenantId, limits, { userId = null } = {}) {
+    const validated = this.validateLimits({
+      maxConcurrentCalls: limits.maxConcurrentCalls,
+      maxConcurrentPerNumber: limits.maxConcurrentPerNumber,
+      callsPerMinute: limits.callsPerMinute
+    });
+
+    await this.repository.upsertDispatchLimits(schema, tenantId, { ...validated, updatedByUserId: userId });
+    logger.info('[BatchDispatch] Dispatch limits updated', { tenantId, userId, ...validated });
+    return this.getDispatchLimits(schema, tenantId);
+  }
+
+  /**
+   * One worker pass: settle finished calls, then dial whatever each tenant's limits allow
+   * @returns {Promise<number>} entries dialed
+   */
+  async runOnce(schema) {
+    await this.repository.settleEntries(schema, {
+      staleMinutes: this.staleCallMinutes,
+      lockTimeoutSeconds: this.lockTimeoutSeconds
+    });
+    const finished = await this.repository.refreshBatchProgress(schema);
+    for (const batch of finished.filter(b => b.status === BATCH_STATUS.COMPLETED)) {
+      logger.info('[BatchDispatch] Batch completed', { batchId: batch.id, tenantId: batch.tenant_id });
+    }
+
+    const tenantIds = await this.repository.listDispatchableTenants(schema);
+    let dialed = 0;
+
+    for (const tenantId of tenantIds) {
+      try {
+        dialed += await this.dispatchTenant(schema, tenantId);
+      } catch (error) {
+        logger.error('[BatchDispatch] Tenant dispatch failed', { tenantId, error: error.message });
+      }
+    }
+    return dialed;
+  }
+
+  /**
+   * Claim entries within the tenant's free capacity, then dial them
+   * @returns {Promise<number>} entries dialed
+   */
+  async dispatchTenant(schema, tenantId) {
+    const limits = await this.getDispatchLimits(schema, tenantId);
+
+    const claims = await this.repository.withTenantLock(tenantId, async (tx) => {
+      const usage = await tx.getTenantUsage(schema, tenantId);
+      const batches = await tx.listDispatchableBatches(schema, tenantId);
+
+      // Spread the per-minute budget across ticks instead of dialing it in one burst
+      const perTick = Math.max(1, Math.ceil(limits.callsPerMinute * this.tickMs / 60000));
+      let tenantFree = Math.min(
+        limits.maxConcurrentCalls - usage.inFlight,
+        limits.callsPerMinute - usage.lastMinute,
+        perTick
+      );
+
+      const claimed = [];
+      for (const batch of batches) {
+        if (tenantFree <= 0) break;
+
+        const fromNumber = batch.call_request?.fromNumber || null;
+        const numberFree = fromNumber
+          ? limits.maxConcurrentPerNumber - (usage.byNumber[fromNumber] || 0)
+          : Infinity;
+
+        let batchFree = Math.min(tenantFree, numberFree);
+        if (batch.max_concurrent_calls) {
+          batchFree = Math.min(batchFree, batch.max_concurrent_calls - batch.in_flight);
+        }
+        if (batch.calls_per_minute) {
+          batchFree = Math.min(
+            batchFree,
+            batch.calls_per_minute - batch.last_minute,
+            Math.max(1, Math.ceil(batch.calls_per_minute * this.tickMs / 60000))
+          );
+        }
+        if (batchFree <= 0) continue;
+
+        const entries = await tx.claimEntries(schema, batch.id, batchFree, fromNumber);
+        if (entries.length === 0) continue;
+
+        if (!batch.started_at) {
+          await tx.markBatchStarted(schema, batch.id);
+        }
+
+        tenantFree -= entries.length;
+        if (fromNumber) {
+          usage.byNumber[fromNumber] = (usage.byNumber[fromNumber] || 0) + entries.length;
+        }
+        claimed.push(...entries.map(entry => ({ batch, entry })));
+      }
+      return claimed;
+    });
+
+    if (!claims || claims.length === 0) {
+      return 0;
+    }
+
+    // Business hours are resolved once per batch per pass
+    const hoursByBatch = new Map();
+    let dialed = 0;
+    for (const { batch, entry } of claims) {
+      if (!hoursByBatch.has(batch.id)) {
+        hoursByBatch.set(batch.id, await this._resolveBusinessHours(schema, batch));
+      }
+      if (await this._deferOutsideBusinessHours(schema, entry, hoursByBatch.get(batch.id))) {
+        continue;
+      }
+      await this.dialEntry(schema, batch, entry);
+      dialed++;
+    }
+    return dialed;
+  }
+
+  /**
+   * Effective business hours of a batch; failures only log (entries are dialed)
+   */
+  async _resolveBusinessHours(schema, batch) {
+    try {
+      return await this.businessHours.resolveBusinessHours(schema, batch.tenant_id, {
+        agentId: batch.agent_id !== null && batch.agent_id !== undefined ? String(batch.agent_id) : null,
+        batchBusinessHours: batch.business_hours
+      });
+    } catch (error) {
+      logger.warn('[BatchDispatch] Failed to resolve business hours', { batchId: batch.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Defer a claimed entry that is outside business hours in the lead's timezone
+   * @returns {Promise<boolean>} true when the entry was not dialed
+   */
+  async _deferOutsideBusinessHours(schema, entry, businessHours) {
+    if (!businessHours) {
+      return false;
+    }
+
+    let check;
+    try {
+      check = await this.businessHours.checkCallTime(schema, {
+        tenantId: entry.tenant_id,
+        toNumber: entry.to_phone,
+        leadId: entry.lead_id,
+        businessHours
+      });
+    } catch (error) {
+      logger.warn('[BatchDispatch] Business hours check failed, dialing', { entryId: entry.id, error: error.message });
+      return false;
+    }
+    if (check.allowed) {
+      return false;
+    }
+
+    if (!check.nextAllowedAt) {
+      await this._failEntry(schema, entry, check.reason);
+      return true;
+    }
+
+    try {
+      await this.repository.deferEntry(schema, entry.id, check.nextAllowedAt, check.reason);
+      logger.info('[BatchDispatch] Entry deferred to business hours', {
+        batchId: entry.batch_id,
+        entryId: entry.id,
+        timezones: check.timezones,
+        nextAttemptAt: check.nextAllowedAt.toISOString()
+      });
+    } catch (error) {
+      // Entry stays in `dispatching` and is failed once the lock timeout passes
+      logger.error('[BatchDispatch] Failed to defer entry', { entryId: entry.id, error: error.message });
+    }
+    return true;
+  }
+
+  /**
+   * Place the call for a claimed entry and record the outcome on the entry
+   */
+  async dialEntry(schema, batch, entry) {
+    const shared = batch.call_request || {};
+    const request = {
+      toNumber: entry.to_phone,
+      fromNumber: shared.fromNumber || null,
+      agentId: batch.agent_id !== null && batch.agent_id !== undefined ? String(batch.agent_id) : null,
+      voiceId: shared.voiceId || null,
+      leadName: entry.lead_name || null,
+      leadId: entry.lead_id || null,
+      addedContext: entry.added_context || shared.addedContext || null,
+      llmProvider: shared.llmProvider || null,
+      llmModel: shared.llmModel || null,
+      knowledgeBaseStoreIds: entry.call_options?.knowledgeBaseStoreIds || shared.knowledgeBaseStoreIds || null,
+      initiatedBy: shared.initiatedBy || batch.initiated_by_user_id || null,
+      tenantId: batch.tenant_id,
+      userId: batch.initiated_by_user_id || null
+    };
+
+    try {
+      const placed = await this.callPlacement.placeCall(schema, request, { batchId: batch.id });
+      if (placed.suppressed) {
+        await this._skipEntry(schema, entry, placed.error);
+        return;
+      }
+      if (!placed.success) {
+        await this._failEntry(schema, entry, placed.error);
+        return;
+      }
+      const { callLogId } = placed;
+
+      await this.repository.markEntryDispatched(schema, entry.id, {
+        callLogId,
+        providerCallId: placed.providerCallId
+      });
+
+      // A re-queued entry's call is the next attempt of its first call
+      if (callLogId && entry.root_call_log_id) {
+        await this._linkAttempt(schema, entry, callLogId);
+      }
+    } catch (error) {
+      await this._failEntry(schema, entry, error.message);
+    }
+  }
+
+  async _linkAttempt(schema, entry, callLogId) {
+    try {
+      await this.callRetry.linkAttempt(schema, callLogId, {
+        rootCallLogId: entry.root_call_log_id,
+        attemptNumber: entry.attempts
+      });
+    } catch (error) {
+      // The call is placed; only the attempt history is incomplete
+      logger.warn('[BatchDispatch] Failed to link retry attempt', {
+        entryId: entry.id,
+        callLogId,
+        error: error.message
+      });
+    }
+  }
+
+  async _skipEntry(schema, entry, reason) {
+    logger.info('[BatchDispatch] Entry skipped', {
+      batchId: entry.batch_id,
+      entryId: entry.id,
+      reason
+    });
+
+    try {
+      await this.repository.markEntrySkipped(schema, entry.id, String(reason).slice(0, MAX_ERROR_LENGTH));
+    } catch (error) {
+      // Entry stays in `dispatching` and is failed once the lock timeout passes
+      logger.error('[BatchDispatch] Failed to record skipped entry', { entryId: entry.id, error: error.message });
+    }
+  }
+
+  async _failEntry(schema, entry, error) {
+    const message = String(error || 'Unknown error').slice(0, MAX_ERROR_LENGTH);
+    logger.warn('[BatchDispatch] Entry dial failed', {
+      batchId: entry.batch_id,
+      entryId: entry.id,
+      error: message
+    });
+
+    try {
+      await this.repository.markEntryFailed(schema, entry.id, message);
+    } catch (markError) {
+      // Entry stays in `dispatching` and is failed once the lock timeout passes
+      logger.error('[BatchDispatch] Failed to record entry failure', {
+        entryId: entry.id,
+        error: markError.message
+      });
+    }
+  }
+
+  async getBatch(schema, tenantId, batchId) {
+    return this.repository.getBatch(schema, tenantId, batchId);
+  }
+
+  /**
+   * Start dialing a draft batch, now or at scheduledAt
+   */
+  async launchBatch(schema, tenantId, batchId, { userId = null, scheduledAt = null } = {}) {
+    let scheduledDate;
+    if (scheduledAt) {
+      scheduledDate = new Date(scheduledAt);
+      if (Number.isNaN(scheduledDate.getTime())) {
+        const err = new Error('scheduled_at must be an ISO 8601 timestamp');
+        err.code = 'INVALID_SCHEDULED_AT';
+        err.status = 400;
+        throw err;
+      }
+    }
+
+    const batch = await this._requireNativeBatch(schema, tenantId, batchId);
+    const launched = await this.repository.transitionBatch(schema, tenantId, batchId, {
+      fromStatuses: [BATCH_STATUS.DRAFT],
+      toStatus: BATCH_STATUS.RUNNING,
+      fields: scheduledDate ? { scheduledAt: scheduledDate } : {},
+      transition: { action: 'launched', by: userId }
+    });
+    if (!launched) {
+      throw this._invalidState(`Only draft batches can be launched (current status: ${batch.status})`);
+    }
+
+    logger.info('[BatchDispatch] Draft batch launched', {
+      batchId,
+      tenantId,
+      userId,
+      scheduledAt: launched.scheduled_at
+    });
+    return launched;
+  }
+
+  /**
+   * Stop dialing a running batch. Pending entries stay pending; calls
+   * already placed finish normally.
+   */
+  async pauseBatch(schema, tenantId, batchId, { userId = null, reason = null } = {}) {
+    const batch = await this._requireNativeBatch(schema, tenantId, batchId);
+    const paused = await this.repository.transitionBatch(schema, tenantId, batchId, {
+      fromStatuses: [BATCH_STATUS.RUNNING],
+      toStatus: BATCH_STATUS.PAUSED,
+      fields: { paused: true },
+      transition: { action: 'paused', by: userId, reason }
+    });
+    if (!paused) {
+      throw this._invalidState(`Only running batches can be paused (current status: ${batch.status})`);
+    }
+
+    logger.info('[BatchDispatch] Batch paused', { batchId, tenantId, userId, reason });
+    return paused;
+  }
+
+  /**
+   * Continue dialing a paused batch's pending entries
+   */
+  async resumeBatch(schema, tenantId, batchId, { userId = null } = {}) {
+    const batch = await this._requireNativeBatch(schema, tenantId, batchId);
+    const resumed = await this.repository.transitionBatch(schema, tenantId, batchId, {
+      fromStatuses: [BATCH_STATUS.PAUSED],
+      toStatus: BATCH_STATUS.RUNNING,
+      fields: { paused: false },
+      transition: { action: 'resumed', by: userId }
+    });
+    if (!resumed) {
+      throw this._invalidState(`Only paused batches can be resumed (current status: ${batch.status})`);
+    }
+
+    logger.info('[BatchDispatch] Batch resumed', { batchId, tenantId, userId });
+    return resumed;
+  }
+
+  /**
+   * Move a running or paused batch's remaining entries to a new start time.
+   * The batch runs again from scheduledAt (a paused batch is resumed then).
+   */
+  async rescheduleBatch(schema, tenantId, batchId, scheduledAt, { userId = null } = {}) {
+    const scheduledDate = scheduledAt ? new Date(scheduledAt) : null;
+    if (!scheduledDate || Number.isNaN(scheduledDate.getTime())) {
+      const err = new Error('scheduled_at must be an ISO 8601 timestamp');
+      err.code = 'INVALID_SCHEDULED_AT';
+      err.status = 400;
+      throw err;
+    }
+    if (scheduledDate.getTime() <= Date.now()) {
+      const err = new Error('scheduled_at must be in the future');
+      err.code = 'INVALID_SCHEDULED_AT';
+      err.status = 400;
+      throw err;
+    }
+
+    const batch = await this._requireNativeBatch(schema, tenantId, batchId);
+    const counts = await this.repository.countEntriesByStatus(schema, tenantId, batch.id);
+    if (!counts[BATCH_ENTRY_STATUS.PENDING]) {
+      throw this._invalidState('Batch has no pending entries to reschedule');
+    }
+
+    const rescheduled = await this.repository.transitionBatch(schema, tenantId, batchId, {
+      fromStatuses: [BATCH_STATUS.RUNNING, BATCH_STATUS.PAUSED],
+      toStatus: BATCH_STATUS.RUNNING,
+      fields: { paused: false, scheduledAt: scheduledDate },
+      transition: { action: 'rescheduled', by: userId }
+    });
+    if (!rescheduled) {
+      throw this._invalidState(`Only running or paused batches can be rescheduled (current status: ${batch.status})`);
+    }
+
+    logger.info('[BatchDispatch] Batch rescheduled', {
+      batchId,
+      tenantId,
+      userId,
+      scheduledAt: scheduledDate.toISOString(),
+      pendingEntries: counts[BATCH_ENTRY_STATUS.PENDING]
+    });
+    return rescheduled;
+  }
+
+  /**
+   * Cancel a batch's pending entries (discarding a draft); with force, also end its in-flight calls
+   * @returns {Promise<{ batch, cancelledEntries, endedCalls }>}
+   */
+  async cancelBatch(schema, tenantId, batchId, { force = false, userId = null } = {}) {
+    const batch = await this._requireNativeBatch(schema, tenantId, batchId);
+    const cancelled = await this.repository.transitionBatch(schema, tenantId, batchId, {
+      fromStatuses: [BATCH_STATUS.DRAFT, BATCH_STATUS.RUNNING, BATCH_STATUS.PAUSED],
+      toStatus: BATCH_STATUS.CANCELLED,
+      fields: { finished: true },
+      transition: { action: 'cancelled', by: userId }
+    });
+    if (!cancelled) {
+      throw this._invalidState(`Batch is already ${batch.status}`);
+    }
+
+    const cancelledEntries = await this.repository.cancelPendingEntries(schema, tenantId, cancelled.id);
+
+    let endedCalls = 0;
+    if (force) {
+      const inFlight = await this.repository.listInFlightEntries(schema, tenantId, cancelled.id);
+      for (const entry of inFlight.filter(e => e.provider_call_id)) {
+        try {
+          const { provider, agent } = await this.providerRegistry.resolveForCall({
+            schema,
+            tenantId,
+            agentId: batch.agent_id !== null && batch.agent_id !== undefined ? String(batch.agent_id) : null
+          });
+          const result = await provider.endCall(entry.provider_call_id, { schema, agent, force: true });
+          if (result.success) endedCalls++;
+        } catch (error) {
+          logger.warn('[BatchDispatch] Failed to end in-flight call', {
+            batchId,
+            entryId: entry.id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    logger.info('[BatchDispatch] Batch cancelled', { batchId, tenantId, userId, cancelledEntries, endedCalls });
+    return { batch: cancelled, cancelledEntries, endedCalls };
+  }
+
+  async _requireNativeBatch(schema, tenantId, batchId) {
+    const batch = await this.repository.getBatch(schema, tenantId, batchId);
+    if (!batch || batch.dispatch_mode !== BATCH_DISPATCH_MODES.NATIVE) {
+      const err = new Error('Batch not found');
+      err.code = 'NOT_FOUND';
+      err.status = 404;
+      throw err;
+    }
+    return batch;
+  }
+
+  _invalidState(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_STATE';
+    err.status = 409;
+    return err;
+  }
+}
+
+module.exports = BatchDispatchService;
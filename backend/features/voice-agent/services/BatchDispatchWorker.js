@@ -0,0 +1,99 @@
+/**
+ * Batch Dispatch Worker
+ *
+ * Polls natively dispatched batches and dials their pending entries through
+ * BatchDispatchService.runOnce(). Safe to run on several instances: each
+ * tenant's entries are claimed under a transaction-scoped advisory lock.
+ */
+
+const BatchDispatchService = require('./BatchDispatchService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class BatchDispatchWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.db] - pg pool
+   * @param {BatchDispatchService} [options.dispatchService]
+   */
+  constructor(options = {}) {
+    this.dispatchService = options.dispatchService || new BatchDispatchService(options.db);
+    this.pollIntervalMs = parseInt(process.env.VOICE_BATCH_WORKER_INTERVAL_MS || '5000', 10);
+
+    this.running = false;
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('[BatchDispatchWorker] Started', { pollIntervalMs: this.pollIntervalMs });
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('[BatchDispatchWorker] Stopped');
+  }
+
+  /**
+   * Dispatch a newly created or resumed batch without waiting for the next poll
+   */
+  wake() {
+    if (this.running && !this.ticking) {
+      this._schedule(0);
+    }
+  }
+
+  _schedule(delayMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    // Never keep the process alive just for the worker
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.dispatchService.runOnce();
+    } catch (error) {
+      logger.error('[BatchDispatchWorker] Poll failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+      // Pacing is enforced per tick, so always wait a full interval
+      this._schedule(this.pollIntervalMs);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getBatchDispatchWorker(options = {}) {
+  if (!instance) {
+    instance = new BatchDispatchWorker(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  BatchDispatchWorker,
+  getBatchDispatchWorker
+};
@@ -31,19 +31,10 @@ class BatchService {
             }
 
             const trimmedUrl = attachmentUrl.trim();
-            if (!trimmedUrl.startsWith('gs://')) {
-              return {
-                ...batch,
-                attachment_file_name: trimmedUrl.split('/').pop() || null,
-                attachment_signed_url: trimmedUrl,
-                attachment_expires_at: null
-              };
-            }
-
-            const parsed = this.recordingService.parseGCSUrl(trimmedUrl);
-            const fileName = parsed?.path ? parsed.path.split('/').pop() : null;
+            const fileName = trimmedUrl.split('?')[0].split('/').pop() || null;
 
-            const signed = await this.recordingService.getGCSSignedUrl(trimmedUrl);
+            // Stored objects are signed; provider-hosted URLs come back as-is
+            const signed = await this.recordingService.getSignedUrl(trimmedUrl);
 
             return {
               ...batch,
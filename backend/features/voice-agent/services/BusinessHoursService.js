@@ -0,0 +1,226 @@
+/**
+ * Business Hours Service
+ *
+ * Decides whether an outbound call may be placed at a given time. Hours
+ * come from the batch, else the agent, else the tenant (voice_business_hours),
+ * else DEFAULT_BUSINESS_HOURS; BUSINESS_HOURS_DISABLED=true turns the check
+ * off everywhere.
+ *
+ * With timezone 'lead' the hours are evaluated in the lead's local time:
+ * a timezone stored on the lead, else the zone(s) of the number's calling
+ * code (see leadTimezone), else the hours' fallback_timezone. When a number
+ * maps to several zones the call must be inside business hours in all of
+ * them.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const BusinessHoursRepository = require('../repositories/businessHoursRepository');
+const { normalizeWindow, isValidTimezone, isWithinAllWindows, nextAllowedTimeInAll } = require('./callWindows');
+const { timezonesForNumber, timezoneFromLead } = require('./leadTimezone');
+const { LEAD_TIMEZONE, DEFAULT_BUSINESS_HOURS, TIMEZONE_SOURCES } = require('../constants/businessHours');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class BusinessHoursService {
+  constructor(db = pool) {
+    this.repository = new BusinessHoursRepository(db);
+  }
+
+  isDisabled() {
+    return process.env.BUSINESS_HOURS_DISABLED === 'true';
+  }
+
+  /**
+   * Validate business hours
+   *
+   * @param {Object|null} businessHours - { enabled, days, start, end, timezone, fallback_timezone }
+   * @returns {Object|null} normalized hours; null for "inherit"
+   * @throws {Error} status 400 when malformed
+   */
+  normalizeBusinessHours(businessHours) {
+    if (businessHours === undefined || businessHours === null) {
+      return null;
+    }
+    if (typeof businessHours !== 'object' || Array.isArray(businessHours)) {
+      throw this._invalid('business_hours must be an object');
+    }
+    if (businessHours.enabled === false) {
+      return { enabled: false };
+    }
+
+    const timezone = businessHours.timezone || LEAD_TIMEZONE;
+    if (timezone !== LEAD_TIMEZONE && !isValidTimezone(timezone)) {
+      throw this._invalid(`business_hours.timezone must be "${LEAD_TIMEZONE}" or a valid IANA timezone`);
+    }
+
+    const fallbackTimezone = businessHours.fallback_timezone || 'UTC';
+    if (!isValidTimezone(fallbackTimezone)) {
+      throw this._invalid('business_hours.fallback_timezone is not a valid IANA timezone');
+    }
+
+    let window;
+    try {
+      window = normalizeWindow({
+        days: businessHours.days,
+        start: businessHours.start,
+        end: businessHours.end
+      }, 'business_hours');
+    } catch (error) {
+      throw this._invalid(error.message);
+    }
+
+    return {
+      enabled: true,
+      days: window.days,
+      start: window.start,
+      end: window.end,
+      timezone,
+      fallback_timezone: fallbackTimezone
+    };
+  }
+
+  /**
+   * Tenant business hours (stored, else the default)
+   * @returns {Promise<{ businessHours, isDefault, updatedAt }>}
+   */
+  async getTenantBusinessHours(schema, tenantId) {
+    const row = await this.repository.getTenantBusinessHours(schema, tenantId);
+    return {
+      businessHours: row?.business_hours || { ...DEFAULT_BUSINESS_HOURS },
+      isDefault: !row,
+      updatedAt: row?.updated_at || null
+    };
+  }
+
+  /**
+   * Store tenant business hours; null resets to the default
+   */
+  async updateTenantBusinessHours(schema, tenantId, businessHours, { userId = null } = {}) {
+    const normalized = this.normalizeBusinessHours(businessHours);
+    if (normalized) {
+      await this.repository.upsertTenantBusinessHours(schema, tenantId, normalized, userId);
+    } else {
+      await this.repository.deleteTenantBusinessHours(schema, tenantId);
+    }
+
+    logger.info('[BusinessHours] Tenant business hours updated', { tenantId, userId, businessHours: normalized });
+    return this.getTenantBusinessHours(schema, tenantId);
+  }
+
+  /**
+   * Effective hours for a call: batch override, then agent override, then tenant
+   * @returns {Promise<Object|null>} null when calls are not restricted
+   */
+  async resolveBusinessHours(schema, tenantId, { agentId = null, batchBusinessHours = null } = {}) {
+    if (this.isDisabled()) {
+      return null;
+    }
+
+    let businessHours = batchBusinessHours;
+    if (!businessHours && agentId) {
+      businessHours = await this.repository.getAgentBusinessHours(schema, tenantId, agentId);
+    }
+    if (!businessHours) {
+      ({ businessHours } = await this.getTenantBusinessHours(schema, tenantId));
+    }
+
+    return businessHours.enabled === false ? null : businessHours;
+  }
+
+  /**
+   * Timezones the hours are evaluated in for one lead
+   * @returns {Promise<{ timezones: string[], source: string }>}
+   */
+  async resolveTimezones(schema, tenantId, businessHours, { toNumber = null, leadId = null } = {}) {
+    if (businessHours.timezone && businessHours.timezone !== LEAD_TIMEZONE) {
+      return { timezones: [businessHours.timezone], source: TIMEZONE_SOURCES.FIXED };
+    }
+
+    if (leadId) {
+      try {
+        const timezone = timezoneFromLead(await this.repository.getLead(schema, tenantId, leadId));
+        if (timezone) {
+          return { timezones: [timezone], source: TIMEZONE_SOURCES.LEAD };
+        }
+      } catch (error) {
+        logger.warn('[BusinessHours] Failed to read lead timezone', { tenantId, leadId, error: error.message });
+      }
+    }
+
+    const timezones = timezonesForNumber(toNumber);
+    if (timezones.length > 0) {
+      return { timezones, source: TIMEZONE_SOURCES.PHONE };
+    }
+
+    return {
+      timezones: [businessHours.fallback_timezone || DEFAULT_BUSINESS_HOURS.fallback_timezone],
+      source: TIMEZONE_SOURCES.FALLBACK
+    };
+  }
+
+  /**
+   * Check whether a call may be placed at `at`
+   *
+   * @param {string} schema - Sanitized schema name
+   * @param {Object} call
+   * @param {string} call.tenantId
+   * @param {string} [call.agentId]
+   * @param {string} [call.toNumber] - E.164 number dialed
+   * @param {string} [call.leadId]
+   * @param {Object} [call.businessHours] - Already resolved hours (skips resolveBusinessHours)
+   * @param {Object} [call.batchBusinessHours] - Batch override
+   * @param {Date} [call.at] - Time of the call (default now)
+   * @returns {Promise<Object>} { allowed, businessHours, timezones, timezoneSource, nextAllowedAt, reason }
+   */
+  async checkCallTime(schema, {
+    tenantId,
+    agentId = null,
+    toNumber = null,
+    leadId = null,
+    businessHours,
+    batchBusinessHours = null,
+    at = new Date()
+  }) {
+    const hours = businessHours !== undefined
+      ? businessHours
+      : await this.resolveBusinessHours(schema, tenantId, { agentId, batchBusinessHours });
+
+    if (!hours || hours.enabled === false) {
+      return { allowed: true, businessHours: null, timezones: [], timezoneSource: null, nextAllowedAt: null, reason: null };
+    }
+
+    const { timezones, source } = await this.resolveTimezones(schema, tenantId, hours, { toNumber, leadId });
+    const windowLists = timezones.map(timezone => [{ days: hours.days, start: hours.start, end: hours.end, timezone }]);
+
+    if (isWithinAllWindows(at, windowLists)) {
+      return { allowed: true, businessHours: hours, timezones, timezoneSource: source, nextAllowedAt: at, reason: null };
+    }
+
+    const nextAllowedAt = nextAllowedTimeInAll(at, windowLists);
+    const days = hours.days.map(day => DAY_NAMES[day]).join(', ');
+    const reason = `Calls are only allowed ${days} between ${hours.start} and ${hours.end} ` +
+      `${source === TIMEZONE_SOURCES.FIXED ? '' : 'lead local time '}(${timezones.join(', ')})` +
+      (nextAllowedAt ? `; next allowed at ${nextAllowedAt.toISOString()}` : '; these hours never overlap for this number');
+
+    return { allowed: false, businessHours: hours, timezones, timezoneSource: source, nextAllowedAt, reason };
+  }
+
+  _invalid(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_BUSINESS_HOURS';
+    err.status = 400;
+    return err;
+  }
+}
+
+BusinessHoursService.DEFAULT_BUSINESS_HOURS = DEFAULT_BUSINESS_HOURS;
+
+module.exports = BusinessHoursService;
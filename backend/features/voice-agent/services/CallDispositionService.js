@@ -0,0 +1,231 @@
+/**
+ * Call Disposition Service
+ *
+ * Classifies how each call went (interested, callback requested, not
+ * interested, wrong number, voicemail, DNC request) once it has ended, from
+ * the provider's ended reason, the provider's analysis of the call and the
+ * transcript. Reps can override the classification; an override is kept
+ * when the call is classified again (e.g. a redelivered end-of-call report)
+ * and clearing it restores the automatic disposition.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const DispositionRepository = require('../repositories/dispositionRepository');
+const CallTimelineService = require('./CallTimelineService');
+const DncService = require('./DncService');
+const { CALL_EVENT_TYPES } = require('../constants/callStatus');
+const { CALL_OUTCOMES, ENDED_REASON_OUTCOMES } = require('../constants/retryPolicy');
+const {
+  CALL_DISPOSITIONS,
+  DISPOSITION_SOURCES,
+  DISPOSITION_SIGNALS,
+  DISPOSITION_PATTERNS,
+  DISPOSITION_ALIASES,
+  MAX_DISPOSITION_NOTE_LENGTH
+} = require('../constants/dispositions');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+// Keys of the provider's structured analysis that may carry a disposition
+const ANALYSIS_KEYS = ['disposition', 'outcome', 'call_outcome', 'callOutcome', 'result'];
+
+class CallDispositionService {
+  constructor(db = pool, options = {}) {
+    this.repository = new DispositionRepository(db);
+    this.timeline = options.timelineService || new CallTimelineService(db);
+    this.dncService = options.dncService || new DncService(db);
+  }
+
+  isValidDisposition(value) {
+    return Object.values(CALL_DISPOSITIONS).includes(value);
+  }
+
+  /**
+   * Classify a finished call, strongest signal first
+   *
+   * @param {Object} input
+   * @param {string} [input.endedReason] - Provider endedReason
+   * @param {Array} [input.segments] - Transcript turns { speaker, text }
+   * @param {Object} [input.structuredData] - Provider analysis (structured data)
+   * @param {string|boolean} [input.successEvaluation] - Provider success evaluation
+   * @param {boolean} [input.voicemail] - Provider detected an answering machine
+   * @returns {Object|null} { disposition, signal, evidence } or null when nothing matched
+   */
+  classify({ endedReason = null, segments = [], structuredData = null, successEvaluation = null, voicemail = false } = {}) {
+    const reason = typeof endedReason === 'string' ? endedReason.toLowerCase() : '';
+    if (voicemail || ENDED_REASON_OUTCOMES[reason] === CALL_OUTCOMES.VOICEMAIL || reason.includes('voicemail')) {
+      return this._match(CALL_DISPOSITIONS.VOICEMAIL, DISPOSITION_SIGNALS.ENDED_REASON, endedReason);
+    }
+
+    const turns = Array.isArray(segments) ? segments : [];
+    const optOut = this.dncService.findSpokenOptOut(turns);
+    if (optOut) {
+      return this._match(CALL_DISPOSITIONS.DNC_REQUEST, DISPOSITION_SIGNALS.SPOKEN_OPT_OUT, optOut.text);
+    }
+
+    const analysed = this._fromAnalysis(structuredData);
+    if (analysed) {
+      return this._match(analysed.disposition, DISPOSITION_SIGNALS.PROVIDER_ANALYSIS, analysed.value);
+    }
+
+    const userTurns = turns.filter(turn => turn?.speaker === 'user' && typeof turn.text === 'string');
+    for (const [disposition, patterns] of DISPOSITION_PATTERNS) {
+      const turn = userTurns.find(t => patterns.some(pattern => pattern.test(t.text)));
+      if (turn) {
+        return this._match(disposition, DISPOSITION_SIGNALS.TRANSCRIPT, turn.text);
+      }
+    }
+
+    if (String(successEvaluation).trim().toLowerCase() === 'true') {
+      return this._match(CALL_DISPOSITIONS.INTERESTED, DISPOSITION_SIGNALS.SUCCESS_EVALUATION, 'true');
+    }
+
+    return null;
+  }
+
+  /**
+   * Classify a call that just ended and store the result; a rep's override is kept
+   *
+   * @param {Object} callLog - { id, tenant_id }
+   * @param {Object} params - { endedReason, transcript: saved transcript row
+   *   (segments, structured_data, success_evaluation), voicemail }
+   * @returns {Promise<Object|null>} updated disposition row, or null when nothing matched
+   */
+  async classifyCall(schema, callLog, { endedReason = null, transcript = null, voicemail = false } = {}) {
+    const match = this.classify({
+      endedReason,
+      voicemail,
+      segments: transcript?.segments,
+      structuredData: transcript?.structured_data,
+      successEvaluation: transcript?.success_evaluation
+    });
+    if (!match) {
+      return null;
+    }
+
+    const row = await this.repository.saveAutoDisposition(schema, callLog.tenant_id, callLog.id, {
+      ...match,
+      classified_at: new Date().toISOString()
+    });
+    if (!row) {
+      return null;
+    }
+
+    // A rep's override was kept: nothing changed on the call
+    if (row.disposition_source === DISPOSITION_SOURCES.AUTO) {
+      await this._recordEvent(schema, callLog, row, { signal: match.signal });
+    }
+
+    logger.info('[CallDisposition] Call classified', {
+      callLogId: callLog.id,
+      classified: match.disposition,
+      signal: match.signal,
+      disposition: row.disposition,
+      source: row.disposition_source
+    });
+    return row;
+  }
+
+  /**
+   * Set a rep's disposition on a call, or clear it with disposition null
+   *
+   * @param {Object} params - { disposition: CALL_DISPOSITIONS value | null, note? }
+   * @returns {Promise<Object>} updated disposition row
+   * @throws {Error} 400 INVALID_DISPOSITION, 404 CALL_NOT_FOUND
+   */
+  async override(schema, tenantId, callLogId, { disposition, note = null } = {}, { userId = null } = {}) {
+    if (disposition !== null && !this.isValidDisposition(disposition)) {
+      throw this._invalid(`disposition must be null or one of: ${Object.values(CALL_DISPOSITIONS).join(', ')}`);
+    }
+    if (note !== null && note !== undefined &&
+        (typeof note !== 'string' || note.length > MAX_DISPOSITION_NOTE_LENGTH)) {
+      throw this._invalid(`note must be text of at most ${MAX_DISPOSITION_NOTE_LENGTH} characters`);
+    }
+
+    const current = await this.repository.getCall(schema, tenantId, callLogId);
+    if (!current) {
+      const err = new Error('Call log not found');
+      err.code = 'CALL_NOT_FOUND';
+      err.status = 404;
+      throw err;
+    }
+
+    const override = disposition === null ? null : {
+      disposition,
+      note: note ? note.trim() || null : null,
+      user_id: userId,
+      at: new Date().toISOString(),
+      previous: current.disposition || null
+    };
+    const row = await this.repository.saveOverride(schema, tenantId, current.id, override);
+
+    await this._recordEvent(schema, current, row, { user_id: userId, note: override?.note || null });
+
+    logger.info('[CallDisposition] Disposition overridden', {
+      callLogId: current.id,
+      tenantId,
+      disposition: row.disposition,
+      previous: current.disposition,
+      userId
+    });
+    return row;
+  }
+
+  /**
+   * Best effort: the disposition is already stored
+   */
+  async _recordEvent(schema, callLog, row, metadata) {
+    try {
+      await this.timeline.recordEvent(callLog, {
+        eventType: CALL_EVENT_TYPES.DISPOSITION,
+        status: row.disposition_source,
+        content: row.disposition,
+        occurredAt: new Date(),
+        metadata
+      }, schema);
+    } catch (error) {
+      logger.warn('[CallDisposition] Failed to record timeline event', {
+        error: error.message,
+        callLogId: callLog.id
+      });
+    }
+  }
+
+  _fromAnalysis(structuredData) {
+    if (!structuredData || typeof structuredData !== 'object') {
+      return null;
+    }
+    for (const key of ANALYSIS_KEYS) {
+      const value = structuredData[key];
+      if (typeof value !== 'string') continue;
+      const disposition = DISPOSITION_ALIASES[value.trim().toLowerCase().replace(/[\s-]+/g, '_')];
+      if (disposition) {
+        return { disposition, value };
+      }
+    }
+    return null;
+  }
+
+  _match(disposition, signal, evidence) {
+    return {
+      disposition,
+      signal,
+      evidence: typeof evidence === 'string' ? evidence.slice(0, 200) : null
+    };
+  }
+
+  _invalid(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_DISPOSITION';
+    err.status = 400;
+    return err;
+  }
+}
+
+module.exports = CallDispositionService;
@@ -1,14 +1,17 @@
 const CallLogUpdatesRepository = require('../repositories/callLogUpdatesRepository');
+const CallEventsRepository = require('../repositories/callEventsRepository');
 const logger = require('../../../core/utils/logger');
 
 class CallLogUpdatesService {
   constructor(options = {}) {
     this.logger = options.logger || logger;
     this.repository = options.repository || new CallLogUpdatesRepository({ logger: this.logger });
+    this.callEventsRepository = options.callEventsRepository || new CallEventsRepository();
 
     this.tenantClients = new Map();
     this.tenantSchemas = new Map();
     this.heartbeatTimers = new Map();
+    this.callEventListeners = new Map(); // tenant_id -> Set<{ schema, listener }>
 
     this.channelName = process.env.VOICE_CALL_LOGS_PG_CHANNEL || 'voice_call_logs_channel';
 
@@ -87,6 +90,33 @@ class CallLogUpdatesService {
     }
   }
 
+  /**
+   * Receive the tenant's call timeline events in-process (e.g. the supervisor monitor)
+   * @param {Function} listener - (event) => void, event as returned by GET /calls/:id/events
+   * @returns {Function} removes the listener
+   */
+  addCallEventListener(tenantId, schema, listener) {
+    if (!tenantId || !schema) {
+      throw new Error('Tenant context required');
+    }
+
+    let set = this.callEventListeners.get(tenantId);
+    if (!set) {
+      set = new Set();
+      this.callEventListeners.set(tenantId, set);
+    }
+
+    const entry = { schema, listener };
+    set.add(entry);
+
+    return () => {
+      set.delete(entry);
+      if (set.size === 0 && this.callEventListeners.get(tenantId) === set) {
+        this.callEventListeners.delete(tenantId);
+      }
+    };
+  }
+
   _safeJsonParse(payloadText) {
     try {
       return JSON.parse(payloadText);
@@ -115,6 +145,11 @@ class CallLogUpdatesService {
       return;
     }
 
+    if (payload.kind === 'call_event') {
+      await this._handleCallEventNotification(tenantId, payload);
+      return;
+    }
+
     const callLogId = payload.id || payload.call_log_id || payload.callLogId;
     if (!callLogId) {
       this.logger.debug('[CallLogUpdatesService] Dropping update without call_log_id', { channel, tenantId });
@@ -137,6 +172,48 @@ class CallLogUpdatesService {
     this.logger.debug('[CallLogUpdatesService] call_log_update sent', { tenantId, callLogId });
   }
 
+  /**
+   * Publish a call timeline event to every instance's SSE clients.
+   * Goes through NOTIFY (ids only) so the instance processing the webhook
+   * does not need to hold the tenant's SSE connections.
+   */
+  async publishCallEvent(tenantId, callLogId, eventId) {
+    await this.callEventsRepository.notify(this.channelName, {
+      kind: 'call_event',
+      tenant_id: tenantId,
+      call_log_id: callLogId,
+      event_id: eventId
+    });
+  }
+
+  async _handleCallEventNotification(tenantId, payload) {
+    const listeners = this.callEventListeners.get(tenantId);
+    const schema = this.tenantSchemas.get(tenantId) || (listeners ? [...listeners][0]?.schema : null);
+    if (!schema || !payload.event_id) return;
+
+    const event = await this.callEventsRepository.getEventById(schema, tenantId, payload.event_id);
+    if (!event) {
+      this.logger.debug('[CallLogUpdatesService] Call event not found for stream', {
+        tenantId,
+        eventId: payload.event_id
+      });
+      return;
+    }
+
+    this._sendToTenant(tenantId, 'call_event', event);
+
+    for (const { listener } of listeners || []) {
+      try {
+        listener(event);
+      } catch (error) {
+        this.logger.warn('[CallLogUpdatesService] Call event listener failed', {
+          tenantId,
+          error: error.message
+        });
+      }
+    }
+  }
+
   _formatSse(eventName, data) {
     return `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
   }
@@ -173,4 +250,15 @@ class CallLogUpdatesService {
   }
 }
 
+// Singleton instance (one LISTEN connection per process)
+let instance = null;
+
+function getCallLogUpdatesService() {
+  if (!instance) {
+    instance = new CallLogUpdatesService();
+  }
+  return instance;
+}
+
 module.exports = CallLogUpdatesService;
+module.exports.getCallLogUpdatesService = getCallLogUpdatesService;
@@ -6,6 +6,22 @@
  */
 
 const { VoiceCallModel } = require('../models');
+const { splitPhoneNumber } = require('./phoneNumbers');
+const { CALL_DIRECTIONS } = require('../constants/callStatus');
+
+// ts_headline markers; replaced with <mark> after the snippet text is HTML-escaped
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=3, MaxWords=30, MinWords=10, FragmentDelimiter=" ... "`;
+
+// Calling code and national number of the dialed number; numbers that do not
+// parse are kept whole as the base number
+function splitToNumber(toNumber) {
+  return splitPhoneNumber(toNumber) || {
+    countryCode: null,
+    baseNumber: String(toNumber || '').replace(/\D/g, '')
+  };
+}
 
 class CallLoggingService {
   constructor(db) {
@@ -21,12 +37,15 @@ class CallLoggingService {
    * @param {number} params.agentId - Agent ID
    * @param {string} params.fromNumber - From number (deprecated)
    * @param {string} params.fromNumberId - From number ID (UUID)
-   * @param {string} params.toNumber - To number (will be parsed)
+   * @param {string} params.toNumber - To number (will be parsed); the caller for inbound calls
    * @param {string} params.leadId - Lead ID
    * @param {string} params.initiatedBy - User who initiated (deprecated)
    * @param {string} params.initiatedByUserId - User ID who initiated
    * @param {string} params.addedContext - Context (deprecated)
    * @param {Object} params.vapiResponse - VAPI API response
+   * @param {string} params.createdVia - Provider that placed the call (default 'vapi')
+   * @param {string} [params.direction] - CALL_DIRECTIONS value (default outbound)
+   * @param {Object} [params.metadata] - Extra metadata stored with the provider fields
    * @returns {Promise<Object>} Created call log
    */
   async createCallLog({
@@ -41,13 +60,14 @@ class CallLoggingService {
     initiatedBy, // deprecated
     initiatedByUserId,
     addedContext, // deprecated
-    vapiResponse
+    vapiResponse,
+    createdVia = 'vapi',
+    direction = CALL_DIRECTIONS.OUTBOUND,
+    metadata = {}
   }) {
     // Parse phone number into country code and base number
     // Format: +12345678900 -> country_code: +1, base_number: 2345678900
-    const phoneMatch = toNumber.match(/^(\+\d{1,4})(\d+)$/);
-    const toCountryCode = phoneMatch ? phoneMatch[1] : '+1';
-    const toBaseNumber = phoneMatch ? phoneMatch[2] : toNumber.replace(/\D/g, '');
+    const { countryCode: toCountryCode, baseNumber: toBaseNumber } = splitToNumber(toNumber);
 
     const callLog = await this.callModel.createCallLog({
       schema,
@@ -60,13 +80,14 @@ class CallLoggingService {
       leadId,
       initiatedByUserId: initiatedByUserId || initiatedBy || null,
       recordingUrl: null, // Will be updated later
-      direction: 'outbound',
+      direction,
       metadata: {
+        ...metadata,
         vapiCallId: vapiResponse?.id || null,
         vapiStatus: vapiResponse?.status || null,
         vapiAssistantId: vapiResponse?.assistantId || null,
         vapiPhoneNumberId: vapiResponse?.phoneNumberId || null,
-        createdVia: 'vapi'
+        createdVia
       }
     });
     return callLog;
@@ -109,9 +130,7 @@ class CallLoggingService {
       }
 
       // Parse phone number
-      const phoneMatch = entry.phoneNumber.match(/^(\+\d{1,4})(\d+)$/);
-      const toCountryCode = phoneMatch ? phoneMatch[1] : '+1';
-      const toBaseNumber = phoneMatch ? phoneMatch[2] : entry.phoneNumber.replace(/\D/g, '');
+      const { countryCode: toCountryCode, baseNumber: toBaseNumber } = splitToNumber(entry.phoneNumber);
 
       const callLog = await this.callModel.createCallLog({
         schema,
@@ -123,7 +142,7 @@ class CallLoggingService {
         status: 'calling',
         leadId: entry.leadId,
         initiatedByUserId: initiatedByUserId || initiatedBy || null,
-        direction: 'outbound'
+        direction: CALL_DIRECTIONS.OUTBOUND
       });
       callLogs.push(callLog);
     }
@@ -205,6 +224,48 @@ class CallLoggingService {
     return { calls, total };
   }
 
+  /**
+   * Full-text search over call transcripts and summaries
+   * 
+   * @param {string} tenantId - Tenant ID
+   * @param {string} searchQuery - Search text (supports "quoted phrases", or, -exclude)
+   * @param {Object} filters - Same filters as getCallLogs
+   * @returns {Promise<{calls: Array, total: number}>} Matches with HTML-safe <mark> snippets
+   */
+  async searchCallLogs(schema, tenantId, searchQuery, filters = {}, limit = 50, offset = 0) {
+    const { calls, total } = await this.callModel.searchCallLogs(schema, tenantId, searchQuery, filters, {
+      limit,
+      offset,
+      headlineOptions: HEADLINE_OPTIONS
+    });
+
+    return {
+      calls: calls.map(call => ({
+        ...call,
+        rank: call.rank !== null && call.rank !== undefined ? Number(call.rank) : null,
+        transcript_snippet: this._formatSnippet(call.transcript_snippet),
+        summary_snippet: this._formatSnippet(call.summary_snippet)
+      })),
+      total
+    };
+  }
+
+  /**
+   * Escape snippet text and turn ts_headline markers into <mark> tags
+   * 
+   * @private
+   */
+  _formatSnippet(snippet) {
+    if (!snippet || !snippet.includes(HIGHLIGHT_START)) return null;
+
+    return snippet
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .split(HIGHLIGHT_START).join('<mark>')
+      .split(HIGHLIGHT_STOP).join('</mark>');
+  }
+
   /**
    * Get call statistics
    * 
@@ -278,11 +339,11 @@ class CallLoggingService {
   /**
    * Check if call logs should be restricted to initiator only
    * 
-   * @param {Object} user - User object with id and capabilities
+   * @param {Object} user - User object with userId (JWT) or id, and capabilities
    * @returns {boolean} True if logs should be restricted to initiator
    */
   shouldRestrictToInitiator(user) {
-    if (!user?.id) return false;
+    if (!user?.userId && !user?.id) return false;
     const keys = this.getUserPermissionKeys(user);
 
     // If user can view all, never restrict.
@@ -0,0 +1,364 @@
+/**
+ * Call Monitor Service
+ *
+ * Supervisor channel for calls in progress, on the Socket.IO namespace
+ * CALL_MONITOR_NAMESPACE. Sockets authenticate with the same JWT as the REST
+ * API and join their tenant's room (as in socketService); joining a call
+ * checks the user may view it (CallLoggingService: view-all permission or the
+ * user who started the call) and adds the socket to the call's room.
+ *
+ * The call room receives the call's timeline events as they are recorded -
+ * final transcript turns, speech and status updates, live controls - relayed
+ * from CallLogUpdatesService. Sockets that ask for audio also receive the
+ * provider's live listen stream: one upstream connection per call, shared by
+ * every listener and closed when the last one leaves or the call ends.
+ */
+
+const WebSocket = require('ws');
+const { pool } = require('../../../shared/database/connection');
+const { verifyAccessToken } = require('../../../core/middleware/auth');
+const CallLoggingService = require('./CallLoggingService');
+const CallTimelineService = require('./CallTimelineService');
+const LiveCallControlService = require('./LiveCallControlService');
+const { getCallLogUpdatesService } = require('./CallLogUpdatesService');
+const { getProviderRegistry } = require('./providers');
+const { CALL_EVENT_TYPES } = require('../constants/callStatus');
+const { CALL_MONITOR_EVENTS, CALL_MONITOR_END_EVENTS } = require('../constants/callMonitor');
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+// Transcript turns sent on join so a supervisor arriving mid-call has context
+const TRANSCRIPT_BACKLOG = 50;
+
+class CallMonitorService {
+  constructor(db = pool, options = {}) {
+    this.callLogging = new CallLoggingService(db);
+    this.timeline = options.timelineService || new CallTimelineService(db);
+    this.liveCallControl = options.liveCallControlService || new LiveCallControlService(db);
+    this.updatesService = options.updatesService || getCallLogUpdatesService();
+    this.providerRegistry = options.providerRegistry || getProviderRegistry();
+    this.audioEnabled = options.audioEnabled ?? process.env.VOICE_MONITOR_AUDIO_DISABLED !== 'true';
+
+    this.namespace = null;
+    this.calls = new Map(); // call room -> { tenantId, callLogId, sockets, audioSockets, relay }
+    this.tenantListeners = new Map(); // tenant_id -> { remove, rooms }
+  }
+
+  /**
+   * Set up the namespace (socketService.registerNamespace)
+   */
+  attach(namespace) {
+    this.namespace = namespace;
+    namespace.use((socket, next) => this._authenticate(socket, next));
+    namespace.on('connection', (socket) => this._onConnection(socket));
+  }
+
+  _authenticate(socket, next) {
+    const header = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token ||
+      (header && header.split(' ')[1]) ||
+      socket.handshake.query?.token;
+    if (!token) {
+      return next(this._socketError('Access token required', 'UNAUTHORIZED'));
+    }
+
+    try {
+      const user = verifyAccessToken(token);
+      const tenantId = user.tenantId || user.tenant_id;
+      if (!tenantId) {
+        return next(this._socketError('Tenant context required', 'UNAUTHORIZED'));
+      }
+      socket.data.user = user;
+      socket.data.tenantId = tenantId;
+      socket.data.schema = sanitizeSchema(getSchema({ user }));
+      next();
+    } catch (error) {
+      next(this._socketError('Invalid token', 'UNAUTHORIZED'));
+    }
+  }
+
+  _onConnection(socket) {
+    const { tenantId } = socket.data;
+    socket.join(String(tenantId));
+
+    socket.on(CALL_MONITOR_EVENTS.JOIN, async (params, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        reply({ success: true, data: await this.join(socket, params || {}) });
+      } catch (error) {
+        if (!error.status) {
+          logger.error('[CallMonitor] Failed to join call', { error: error.message, tenantId });
+        }
+        reply({
+          success: false,
+          error: error.status ? error.message : 'Failed to monitor call',
+          code: error.code
+        });
+      }
+    });
+
+    socket.on(CALL_MONITOR_EVENTS.LEAVE, (params, ack) => {
+      this.leave(socket, String(params?.call_log_id || ''));
+      if (typeof ack === 'function') ack({ success: true });
+    });
+
+    socket.on('disconnect', () => {
+      for (const room of [...this.calls.keys()]) {
+        this._removeSocket(room, socket);
+      }
+    });
+  }
+
+  /**
+   * Start monitoring a call on a socket
+   *
+   * @param {Object} params - { call_log_id, audio?: boolean }
+   * @returns {Promise<Object>} { call, transcript, audio: { enabled, format?, reason? } }
+   * @throws {Error} 400, 403, 404 CALL_NOT_FOUND, 409 CALL_NOT_ACTIVE
+   */
+  async join(socket, { call_log_id: callLogId, audio = false }) {
+    const { user, tenantId, schema } = socket.data;
+    const userId = user.userId || user.id;
+    if (!callLogId) {
+      throw this._error('call_log_id is required', 'INVALID_MONITOR_REQUEST', 400);
+    }
+
+    const callLog = await this.liveCallControl.getControllableCall(schema, tenantId, String(callLogId));
+    if (!this.callLogging.canViewAllCallLogs(user) && callLog.initiated_by_user_id !== userId) {
+      throw this._error('You do not have permission to monitor this call', 'FORBIDDEN', 403);
+    }
+
+    const room = this._room(tenantId, callLog.id);
+    const watch = this._watch(room, tenantId, callLog.id, schema);
+    watch.sockets.add(socket.id);
+    socket.join(room);
+
+    const transcript = await this.timeline.getTimeline(schema, tenantId, callLog.id, {
+      eventTypes: [CALL_EVENT_TYPES.TRANSCRIPT]
+    });
+
+    let audioState = { enabled: false };
+    if (audio) {
+      audioState = await this._joinAudio(socket, watch, callLog, schema);
+    }
+
+    logger.info('[CallMonitor] Supervisor joined call', {
+      callLogId: callLog.id,
+      tenantId,
+      userId,
+      audio: audioState.enabled
+    });
+
+    return {
+      call: { id: callLog.id, status: callLog.status, agent_id: callLog.agent_id },
+      transcript: transcript.slice(-TRANSCRIPT_BACKLOG),
+      audio: audioState
+    };
+  }
+
+  leave(socket, callLogId) {
+    this._removeSocket(this._room(socket.data.tenantId, callLogId), socket);
+  }
+
+  async _joinAudio(socket, watch, callLog, schema) {
+    if (!this.audioEnabled) {
+      return { enabled: false, reason: 'Live audio is disabled' };
+    }
+
+    if (!watch.relay) {
+      const { provider, agent } = await this.providerRegistry.resolveForPlacedCall({
+        schema,
+        tenantId: callLog.tenant_id,
+        agentId: callLog.agent_id,
+        providerKey: callLog.provider_key
+      });
+
+      let stream;
+      try {
+        stream = await provider.getMonitorStream(callLog.provider_call_id, { schema, agent });
+      } catch (error) {
+        if (error.code !== 'PROVIDER_OPERATION_NOT_SUPPORTED') throw error;
+        return { enabled: false, reason: `${provider.name} does not offer live audio` };
+      }
+      if (!stream.success) {
+        return { enabled: false, reason: stream.error || 'Live audio is not available for this call' };
+      }
+      // Another listener may have connected while the stream was looked up
+      if (!watch.relay) {
+        watch.relay = this._openRelay(watch, stream.data);
+      }
+    }
+
+    watch.audioSockets.add(socket.id);
+    socket.join(`${watch.room}:audio`);
+    return { enabled: true, format: watch.relay.format };
+  }
+
+  _openRelay(watch, { listenUrl, format = null }) {
+    const upstream = new WebSocket(listenUrl);
+    const relay = { upstream, format };
+    const audioRoom = `${watch.room}:audio`;
+
+    upstream.on('message', (chunk, isBinary) => {
+      if (isBinary) {
+        this.namespace.to(audioRoom).emit(CALL_MONITOR_EVENTS.AUDIO, { call_log_id: watch.callLogId, chunk });
+      }
+    });
+    upstream.on('error', (error) => {
+      logger.warn('[CallMonitor] Listen stream error', { callLogId: watch.callLogId, error: error.message });
+    });
+    upstream.on('close', () => {
+      if (watch.relay !== relay) return;
+      watch.relay = null;
+      this.namespace.to(audioRoom).emit(CALL_MONITOR_EVENTS.AUDIO_STOPPED, {
+        call_log_id: watch.callLogId,
+        reason: 'stream_closed'
+      });
+      for (const socketId of watch.audioSockets) {
+        this.namespace.sockets.get(socketId)?.leave(audioRoom);
+      }
+      watch.audioSockets.clear();
+    });
+
+    return relay;
+  }
+
+  _watch(room, tenantId, callLogId, schema) {
+    let watch = this.calls.get(room);
+    if (!watch) {
+      watch = { room, tenantId, callLogId, sockets: new Set(), audioSockets: new Set(), relay: null };
+      this.calls.set(room, watch);
+      this._listenToTenant(tenantId, schema, room);
+    }
+    return watch;
+  }
+
+  /**
+   * One timeline listener per tenant with monitored calls
+   */
+  _listenToTenant(tenantId, schema, room) {
+    let entry = this.tenantListeners.get(tenantId);
+    if (!entry) {
+      this.updatesService.start().catch((error) => {
+        logger.error('[CallMonitor] Failed to start call updates listener', { error: error.message });
+      });
+      entry = {
+        rooms: new Set(),
+        remove: this.updatesService.addCallEventListener(tenantId, schema, (event) => this._relayEvent(tenantId, event))
+      };
+      this.tenantListeners.set(tenantId, entry);
+    }
+    entry.rooms.add(room);
+  }
+
+  _relayEvent(tenantId, event) {
+    const room = this._room(tenantId, event.call_log_id);
+    if (!this.calls.has(room)) return;
+
+    this.namespace.to(room).emit(CALL_MONITOR_EVENTS.EVENT, event);
+
+    if (CALL_MONITOR_END_EVENTS.includes(event.event_type)) {
+      this.namespace.to(room).emit(CALL_MONITOR_EVENTS.ENDED, {
+        call_log_id: event.call_log_id,
+        status: event.status
+      });
+      this._release(room);
+    }
+  }
+
+  _removeSocket(room, socket) {
+    const watch = this.calls.get(room);
+    if (!watch) return;
+
+    socket.leave(room);
+    socket.leave(`${room}:audio`);
+    watch.sockets.delete(socket.id);
+    watch.audioSockets.delete(socket.id);
+
+    if (watch.audioSockets.size === 0 && watch.relay) {
+      this._closeRelay(watch);
+    }
+    if (watch.sockets.size === 0) {
+      this._release(room);
+    }
+  }
+
+  /**
+   * Stop monitoring a call: close its audio relay, empty its rooms, drop the
+   * tenant listener when no other call of the tenant is monitored
+   */
+  _release(room) {
+    const watch = this.calls.get(room);
+    if (!watch) return;
+
+    this.calls.delete(room);
+    if (watch.relay) {
+      this._closeRelay(watch);
+    }
+    this.namespace.in(room).socketsLeave(room);
+    this.namespace.in(`${room}:audio`).socketsLeave(`${room}:audio`);
+
+    const entry = this.tenantListeners.get(watch.tenantId);
+    if (entry) {
+      entry.rooms.delete(room);
+      if (entry.rooms.size === 0) {
+        entry.remove();
+        this.tenantListeners.delete(watch.tenantId);
+      }
+    }
+  }
+
+  _closeRelay(watch) {
+    const { upstream } = watch.relay;
+    watch.relay = null;
+    try {
+      upstream.close();
+    } catch (error) {
+      logger.debug('[CallMonitor] Failed to close listen stream', { callLogId: watch.callLogId, error: error.message });
+    }
+  }
+
+  _room(tenantId, callLogId) {
+    return `${tenantId}:call:${callLogId}`;
+  }
+
+  _socketError(message, code) {
+    const err = new Error(message);
+    err.data = { code };
+    return err;
+  }
+
+  _error(message, code, status) {
+    const err = new Error(message);
+    err.code = code;
+    err.status = status;
+    return err;
+  }
+}
+
+// Singleton instance (one namespace per process)
+let instance = null;
+
+function getCallMonitorService(options = {}) {
+  if (!instance) {
+    instance = new CallMonitorService(options.db || pool, options);
+  }
+  return instance;
+}
+
+module.exports = CallMonitorService;
+module.exports.getCallMonitorService = getCallMonitorService;
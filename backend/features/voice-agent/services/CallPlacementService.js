@@ -0,0 +1,90 @@
+/**
+ * Call Placement Service
+ *
+ * Places a call on behalf of a background job (batch worker, retries,
+ * scheduler) - there is no HTTP request or caller JWT - through the agent's
+ * telephony provider, and makes sure the call has a voice_call_logs row:
+ * providers that do not record call logs themselves get one created here.
+ * Numbers on a Do-Not-Call list or blocked by the tenant's phone policy are
+ * never dialed (result.suppressed); other numbers are dialed in E.164 form.
+ * The tenant's recording policy is attached to the request (request.recording).
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const CallLoggingService = require('./CallLoggingService');
+const DncService = require('./DncService');
+const PhonePolicyService = require('./PhonePolicyService');
+const RecordingPolicyService = require('./RecordingPolicyService');
+const { getProviderRegistry } = require('./providers');
+
+class CallPlacementService {
+  constructor(db = pool, options = {}) {
+    this.callLogging = new CallLoggingService(db);
+    this.dnc = new DncService(db);
+    this.phonePolicy = new PhonePolicyService(db);
+    this.recordingPolicy = new RecordingPolicyService(db);
+    this.providerRegistry = options.providerRegistry || getProviderRegistry();
+  }
+
+  /**
+   * @param {string} schema - Sanitized schema name
+   * @param {Object} request - Call request (see TelephonyProvider); tenantId and agentId pick the provider
+   * @param {Object} [context] - Extra provider context (e.g. batchId)
+   * @returns {Promise<Object>} { success, provider, callLogId, providerCallId, data, error, suppressed }
+   */
+  async placeCall(schema, request, context = {}) {
+    const phone = await this.phonePolicy.checkNumber(schema, request.tenantId, request.toNumber);
+    if (!phone.allowed) {
+      // A valid number the policy blocks is skipped; one that cannot be dialed is a failure
+      return { success: false, suppressed: !!phone.phoneNumber, provider: null, error: phone.reason };
+    }
+    request.toNumber = phone.phoneNumber;
+
+    const dnc = await this.dnc.checkNumber(schema, request.tenantId, request.toNumber);
+    if (dnc.suppressed) {
+      return { success: false, suppressed: true, provider: null, error: dnc.reason };
+    }
+
+    await this.recordingPolicy.applyToRequest(schema, request);
+
+    const { provider, agent } = await this.providerRegistry.resolveForCall({
+      schema,
+      tenantId: request.tenantId,
+      agentId: request.agentId
+    });
+
+    const result = await provider.initiateCall(request, { ...context, schema, agent });
+    if (!result.success) {
+      return {
+        success: false,
+        provider,
+        error: result.error || `Call rejected by ${provider.name}`
+      };
+    }
+
+    let callLogId = result.data?.call_log_id || result.data?.callLogId || null;
+    if (!callLogId && !provider.recordsCallLogs) {
+      const callLog = await this.callLogging.createCallLog({
+        schema,
+        tenantId: request.tenantId,
+        agentId: agent?.id || request.agentId,
+        toNumber: request.toNumber,
+        leadId: request.leadId,
+        initiatedByUserId: request.userId,
+        vapiResponse: result.data?.id ? result.data : { id: result.providerCallId, status: result.status },
+        createdVia: provider.key
+      });
+      callLogId = callLog?.id || null;
+    }
+
+    return {
+      success: true,
+      provider,
+      callLogId,
+      providerCallId: result.providerCallId || null,
+      data: result.data
+    };
+  }
+}
+
+module.exports = CallPlacementService;
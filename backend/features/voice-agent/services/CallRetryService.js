@@ -0,0 +1,397 @@
+/**
+ * Call Retry Service
+ *
+ * Automatic retries of calls that end unanswered, busy or failed. The policy
+ * comes from the call's batch (voice_call_batches.retry_policy) or, failing
+ * that, its agent (voice_agents.retry_policy); without either nothing is
+ * retried.
+ *
+ * Policy: { max_attempts, min_spacing_minutes, retry_on, windows }
+ * - max_attempts counts the original call (3 = original + 2 retries)
+ * - the next attempt is placed no sooner than min_spacing_minutes after the
+ *   previous one ended, and only inside `windows` (see callWindows.js)
+ *
+ * Native batch entries are re-queued on their batch and redialed by
+ * BatchDispatchWorker within the batch's limits; single calls are queued in
+ * voice_call_retries and placed by CallRetryWorker. Every attempt is linked
+ * to the first call log (root_call_log_id / attempt_number).
+ *
+ * Calls answered by voicemail whose agent's voicemail policy is retry_later
+ * (see voicemailPolicy.js) are retried after retry_after_minutes even when
+ * the retry policy does not list voicemail, within its max_attempts and
+ * windows (the default retry policy when there is none).
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const CallRetriesRepository = require('../repositories/callRetriesRepository');
+const CallPlacementService = require('./CallPlacementService');
+const { normalizeWindows, nextAllowedTime } = require('./callWindows');
+const {
+  CALL_OUTCOMES,
+  ENDED_REASON_OUTCOMES,
+  DEFAULT_RETRY_POLICY,
+  MAX_RETRY_ATTEMPTS
+} = require('../constants/retryPolicy');
+const { CALL_STATUS } = require('../constants/callStatus');
+const { BATCH_STATUS } = require('../constants/batchStatus');
+const { VOICEMAIL_ACTIONS } = require('../constants/voicemail');
+const { resolveVoicemailPolicy } = require('./voicemailPolicy');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const MAX_ERROR_LENGTH = 2000;
+
+function invalidPolicy(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_RETRY_POLICY';
+  err.status = 400;
+  return err;
+}
+
+class CallRetryService {
+  constructor(db = pool, options = {}) {
+    this.repository = new CallRetriesRepository(db);
+    this.callPlacement = new CallPlacementService(db, options);
+
+    this.batchSize = parseInt(process.env.VOICE_RETRY_BATCH_SIZE || '20', 10);
+    this.lockTimeoutSeconds = parseInt(process.env.VOICE_RETRY_LOCK_TIMEOUT_SECONDS || '300', 10);
+  }
+
+  /**
+   * Validate a retry policy from an API payload, filling in defaults
+   *
+   * @param {Object|null} policy
+   * @returns {Object|null} normalized policy, or null (retries disabled)
+   * @throws {Error} status 400 when the policy is invalid
+   */
+  normalizePolicy(policy) {
+    if (policy === undefined || policy === null || policy === false) {
+      return null;
+    }
+    if (policy === true) {
+      return { ...DEFAULT_RETRY_POLICY };
+    }
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      throw invalidPolicy('retry_policy must be an object');
+    }
+
+    const maxAttempts = policy.max_attempts ?? DEFAULT_RETRY_POLICY.max_attempts;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_RETRY_ATTEMPTS) {
+      throw invalidPolicy(`retry_policy.max_attempts must be an integer between 1 and ${MAX_RETRY_ATTEMPTS}`);
+    }
+
+    const spacing = policy.min_spacing_minutes ?? DEFAULT_RETRY_POLICY.min_spacing_minutes;
+    if (!Number.isInteger(spacing) || spacing < 0) {
+      throw invalidPolicy('retry_policy.min_spacing_minutes must be a non-negative integer');
+    }
+
+    const retryOn = policy.retry_on ?? DEFAULT_RETRY_POLICY.retry_on;
+    const outcomes = Object.values(CALL_OUTCOMES);
+    if (!Array.isArray(retryOn) || !retryOn.every(outcome => outcomes.includes(outcome))) {
+      throw invalidPolicy(`retry_policy.retry_on must list outcomes from: ${outcomes.join(', ')}`);
+    }
+
+    let windows;
+    try {
+      windows = normalizeWindows(policy.windows);
+    } catch (error) {
+      throw invalidPolicy(`retry_policy.${error.message}`);
+    }
+
+    return {
+      max_attempts: maxAttempts,
+      min_spacing_minutes: spacing,
+      retry_on: [...new Set(retryOn)],
+      windows
+    };
+  }
+
+  /**
+   * Map a call's end onto a retry outcome
+   * @returns {string|null} CALL_OUTCOMES value, or null when the call connected
+   */
+  classifyOutcome(endedReason, status) {
+    const reason = typeof endedReason === 'string' ? endedReason.toLowerCase() : '';
+    if (ENDED_REASON_OUTCOMES[reason]) {
+      return ENDED_REASON_OUTCOMES[reason];
+    }
+    // VAPI reports carrier/SIP errors as e.g. "call.start.error-...-failed" or "twilio-failed-to-connect-call"
+    if (reason.includes('failed') || reason.includes('error')) {
+      return CALL_OUTCOMES.FAILED;
+    }
+    if (status === CALL_STATUS.FAILED) {
+      return CALL_OUTCOMES.FAILED;
+    }
+    return null;
+  }
+
+  /**
+   * Schedule the next attempt of a call that just ended, when its policy asks for one
+   *
+   * @param {string} schema - Sanitized schema name
+   * @param {string} callLogId - Call log of the attempt that ended
+   * @param {Object} outcome
+   * @param {string} [outcome.endedReason] - Provider endedReason
+   * @param {string} [outcome.status] - Final call status
+   * @param {string} [outcome.outcome] - CALL_OUTCOMES value already determined (e.g. voicemail
+   *   from answering-machine detection); classified from endedReason/status when omitted
+   * @returns {Promise<Object|null>} { kind: 'batch'|'single', attemptNumber, scheduledFor } or null
+   */
+  async scheduleRetryForCall(schema, callLogId, { endedReason = null, status = null, outcome: knownOutcome = null } = {}) {
+    const outcome = knownOutcome || this.classifyOutcome(endedReason, status);
+    if (!outcome) {
+      return null;
+    }
+
+    const callLog = await this.repository.getCallLog(schema, callLogId);
+    if (!callLog) {
+      return null;
+    }
+
+    const entry = await this.repository.findBatchEntryForCall(schema, callLog);
+    if (entry) {
+      return this._requeueBatchEntry(schema, callLog, entry, outcome);
+    }
+    return this._queueSingleRetry(schema, callLog, outcome, endedReason);
+  }
+
+  async _requeueBatchEntry(schema, callLog, entry, outcome) {
+    const policy = await this._resolvePolicy(schema, callLog.tenant_id, entry.retry_policy, entry.agent_id, outcome);
+    if (!this._shouldRetry(policy, outcome, entry.attempts) || entry.batch_status === BATCH_STATUS.CANCELLED) {
+      return null;
+    }
+
+    const scheduledFor = this._nextAttemptTime(policy);
+    if (!scheduledFor) {
+      return null;
+    }
+
+    const requeued = await this.repository.requeueBatchEntry(schema, {
+      entryId: entry.id,
+      batchId: entry.batch_id,
+      callLogId: callLog.id,
+      nextAttemptAt: scheduledFor
+    });
+    if (!requeued) {
+      return null;
+    }
+
+    logger.info('[CallRetry] Batch entry re-queued', {
+      batchId: entry.batch_id,
+      entryId: entry.id,
+      callLogId: callLog.id,
+      outcome,
+      attemptNumber: entry.attempts + 1,
+      scheduledFor: scheduledFor.toISOString()
+    });
+    return { kind: 'batch', attemptNumber: entry.attempts + 1, scheduledFor };
+  }
+
+  async _queueSingleRetry(schema, callLog, outcome, endedReason) {
+    const attemptNumber = callLog.attempt_number || 1;
+    const policy = await this._resolvePolicy(schema, callLog.tenant_id, null, callLog.agent_id, outcome);
+    if (!this._shouldRetry(policy, outcome, attemptNumber)) {
+      return null;
+    }
+
+    const scheduledFor = this._nextAttemptTime(policy);
+    if (!scheduledFor) {
+      return null;
+    }
+
+    const retry = await this.repository.insertRetry(schema, {
+      tenantId: callLog.tenant_id,
+      rootCallLogId: callLog.root_call_log_id || callLog.id,
+      previousCallLogId: callLog.id,
+      attemptNumber: attemptNumber + 1,
+      agentId: callLog.agent_id,
+      callRequest: this._callRequestFor(callLog),
+      outcome,
+      endedReason: typeof endedReason === 'string' ? endedReason : null,
+      scheduledFor
+    });
+    if (!retry) {
+      // Already scheduled by an earlier delivery of the same end event
+      return null;
+    }
+
+    logger.info('[CallRetry] Retry scheduled', {
+      retryId: retry.id,
+      callLogId: callLog.id,
+      outcome,
+      attemptNumber: retry.attempt_number,
+      scheduledFor: scheduledFor.toISOString()
+    });
+    return { kind: 'single', attemptNumber: retry.attempt_number, scheduledFor };
+  }
+
+  /**
+   * Batch policy over agent policy; a stored policy is re-normalized so older rows get defaults
+   */
+  async _resolvePolicy(schema, tenantId, batchPolicy, agentId, outcome = null) {
+    const hasAgent = agentId !== null && agentId !== undefined;
+    let policy = batchPolicy || null;
+    if (!policy && hasAgent) {
+      policy = await this.repository.getAgentRetryPolicy(schema, tenantId, agentId);
+    }
+
+    let normalized = null;
+    if (policy) {
+      try {
+        normalized = this.normalizePolicy(policy);
+      } catch (error) {
+        logger.warn('[CallRetry] Ignoring invalid stored retry policy', { tenantId, agentId, error: error.message });
+      }
+    }
+
+    if (outcome === CALL_OUTCOMES.VOICEMAIL && hasAgent) {
+      const voicemailPolicy = resolveVoicemailPolicy(
+        await this.repository.getAgentVoicemailPolicy(schema, tenantId, agentId)
+      );
+      if (voicemailPolicy.action === VOICEMAIL_ACTIONS.RETRY_LATER) {
+        return this._voicemailRetryPolicy(normalized, voicemailPolicy);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Retry policy for an agent that retries voicemail later: voicemail is always
+   * retried, retry_after_minutes apart
+   */
+  _voicemailRetryPolicy(policy, voicemailPolicy) {
+    const base = policy || this.normalizePolicy({ ...DEFAULT_RETRY_POLICY });
+    return {
+      ...base,
+      min_spacing_minutes: voicemailPolicy.retry_after_minutes,
+      retry_on: [...new Set([...base.retry_on, CALL_OUTCOMES.VOICEMAIL])]
+    };
+  }
+
+  _shouldRetry(policy, outcome, attemptsSoFar) {
+    return !!policy && policy.retry_on.includes(outcome) && attemptsSoFar < policy.max_attempts;
+  }
+
+  _nextAttemptTime(policy) {
+    const earliest = new Date(Date.now() + policy.min_spacing_minutes * 60 * 1000);
+    return nextAllowedTime(earliest, policy.windows);
+  }
+
+  /**
+   * The request the call was placed with, or the closest rebuild from its call log
+   */
+  _callRequestFor(callLog) {
+    if (callLog.metadata?.call_request) {
+      return callLog.metadata.call_request;
+    }
+    return {
+      toNumber: `${callLog.to_country_code || ''}${callLog.to_base_number || ''}`,
+      agentId: callLog.agent_id !== null && callLog.agent_id !== undefined ? String(callLog.agent_id) : null,
+      leadId: callLog.lead_id || null,
+      initiatedBy: callLog.initiated_by_user_id || null,
+      userId: callLog.initiated_by_user_id || null
+    };
+  }
+
+  /**
+   * Keep a single call's request on its call log so it can be retried as placed
+   */
+  async rememberCallRequest(schema, tenantId, callLogId, callRequest) {
+    await this.repository.saveCallRequest(schema, tenantId, callLogId, callRequest);
+  }
+
+  /**
+   * Link a newly placed call log into its call chain
+   */
+  async linkAttempt(schema, callLogId, { rootCallLogId, attemptNumber }) {
+    await this.repository.linkAttempt(schema, callLogId, { rootCallLogId, attemptNumber });
+  }
+
+  /**
+   * Place due single-call retries
+   * @returns {Promise<number>} retries dialed
+   */
+  async dispatchDue(schema) {
+    const retries = await this.repository.claimDue(schema, this.batchSize, this.lockTimeoutSeconds);
+    for (const retry of retries) {
+      await this._dialRetry(schema, retry);
+    }
+    return retries.length;
+  }
+
+  async _dialRetry(schema, retry) {
+    const request = {
+      ...retry.call_request,
+      tenantId: retry.tenant_id,
+      agentId: retry.call_request?.agentId || (retry.agent_id !== null ? String(retry.agent_id) : null)
+    };
+
+    try {
+      const placed = await this.callPlacement.placeCall(schema, request);
+      if (!placed.success) {
+        await this._failRetry(schema, retry, placed.error);
+        return;
+      }
+      const { callLogId } = placed;
+
+      await this.repository.markDispatched(schema, retry.id, callLogId);
+
+      if (callLogId) {
+        try {
+          await this.repository.linkAttempt(schema, callLogId, {
+            rootCallLogId: retry.root_call_log_id,
+            attemptNumber: retry.attempt_number
+          });
+          await this.repository.saveCallRequest(schema, retry.tenant_id, callLogId, retry.call_request || {});
+        } catch (linkError) {
+          // The call is placed; only the attempt history is incomplete
+          logger.warn('[CallRetry] Failed to link retry attempt', {
+            retryId: retry.id,
+            callLogId,
+            error: linkError.message
+          });
+        }
+      }
+
+      logger.info('[CallRetry] Retry dialed', {
+        retryId: retry.id,
+        rootCallLogId: retry.root_call_log_id,
+        attemptNumber: retry.attempt_number,
+        callLogId
+      });
+    } catch (error) {
+      await this._failRetry(schema, retry, error.message);
+    }
+  }
+
+  async _failRetry(schema, retry, error) {
+    const message = String(error || 'Unknown error').slice(0, MAX_ERROR_LENGTH);
+    logger.warn('[CallRetry] Retry dial failed', { retryId: retry.id, error: message });
+
+    try {
+      await this.repository.markFailed(schema, retry.id, message);
+    } catch (markError) {
+      // Row stays in `dispatching` and is failed once the lock timeout passes
+      logger.error('[CallRetry] Failed to record retry failure', {
+        retryId: retry.id,
+        error: markError.message
+      });
+    }
+  }
+
+  /**
+   * Every attempt of the call chain a call log belongs to
+   * @returns {Promise<Object|null>} { rootCallLogId, attempts, scheduled } or null when the call is unknown
+   */
+  async listAttempts(schema, tenantId, callLogId) {
+    return this.repository.listAttempts(schema, tenantId, callLogId);
+  }
+}
+
+module.exports = CallRetryService;
@@ -0,0 +1,92 @@
+/**
+ * Call Retry Worker
+ *
+ * Places due single-call retries from voice_call_retries through
+ * CallRetryService.dispatchDue(). Rows are claimed with SKIP LOCKED, so
+ * several instances can run side by side. Batch entry retries are redialed
+ * by BatchDispatchWorker instead.
+ */
+
+const CallRetryService = require('./CallRetryService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class CallRetryWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.db] - pg pool
+   * @param {CallRetryService} [options.retryService]
+   */
+  constructor(options = {}) {
+    this.retryService = options.retryService || new CallRetryService(options.db);
+    this.pollIntervalMs = parseInt(process.env.VOICE_RETRY_WORKER_INTERVAL_MS || '30000', 10);
+
+    this.running = false;
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('[CallRetryWorker] Started', { pollIntervalMs: this.pollIntervalMs });
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('[CallRetryWorker] Stopped');
+  }
+
+  _schedule(delayMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    // Never keep the process alive just for the worker
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    let dialed = 0;
+    try {
+      dialed = await this.retryService.dispatchDue();
+    } catch (error) {
+      logger.error('[CallRetryWorker] Poll failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+      // A full claim may mean more retries are due
+      this._schedule(dialed >= this.retryService.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getCallRetryWorker(options = {}) {
+  if (!instance) {
+    instance = new CallRetryWorker(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  CallRetryWorker,
+  getCallRetryWorker
+};
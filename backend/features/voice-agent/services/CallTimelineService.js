@@ -0,0 +1,65 @@
+/**
+ * Call Timeline Service
+ *
+ * Records provider events against a call (voice_call_events) and pushes
+ * them to connected clients through CallLogUpdatesService
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const CallEventsRepository = require('../repositories/callEventsRepository');
+const { getCallLogUpdatesService } = require('./CallLogUpdatesService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class CallTimelineService {
+  constructor(db = pool, options = {}) {
+    this.repository = new CallEventsRepository(db);
+    this.updatesService = options.updatesService || getCallLogUpdatesService();
+  }
+
+  /**
+   * @param {Object} callLog - { id, tenant_id }
+   * @param {Object} event - { eventType, providerCallId, status, role, content, payload, occurredAt, metadata }
+   * @param {string} [schema]
+   */
+  async recordEvent(callLog, event, schema) {
+    const row = await this.repository.insertEvent({
+      tenantId: callLog.tenant_id,
+      callLogId: callLog.id,
+      provider: event.provider || 'vapi',
+      providerCallId: event.providerCallId || null,
+      eventType: event.eventType,
+      status: event.status || null,
+      role: event.role || null,
+      content: event.content || null,
+      payload: event.payload || {},
+      occurredAt: event.occurredAt || null,
+      metadata: event.metadata || {}
+    }, schema);
+
+    // Live push is best effort - the event is already persisted
+    try {
+      await this.updatesService.publishCallEvent(callLog.tenant_id, callLog.id, row.id);
+    } catch (error) {
+      logger.warn('[CallTimelineService] Failed to publish call event', {
+        error: error.message,
+        callLogId: callLog.id,
+        eventType: event.eventType
+      });
+    }
+
+    return row;
+  }
+
+  async getTimeline(schema, tenantId, callLogId, options = {}) {
+    return this.repository.listEventsForCall(schema, tenantId, callLogId, options);
+  }
+}
+
+module.exports = CallTimelineService;
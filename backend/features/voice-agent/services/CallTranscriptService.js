@@ -0,0 +1,160 @@
+/**
+ * Call Transcript Service
+ *
+ * Extracts the transcript, speaker turns and analysis (summary, structured
+ * data, success evaluation) from provider end-of-call reports and serves
+ * them for GET /calls/:id and GET /calls/:id/transcript
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const CallTranscriptsRepository = require('../repositories/callTranscriptsRepository');
+
+// Provider message roles -> transcript speaker; other roles (system, tool calls) are not turns
+const SPEAKER_BY_ROLE = {
+  bot: 'assistant',
+  assistant: 'assistant',
+  user: 'user',
+  customer: 'user'
+};
+
+class CallTranscriptService {
+  constructor(db = pool) {
+    this.repository = new CallTranscriptsRepository(db);
+  }
+
+  /**
+   * Build speaker-segmented turns from VAPI conversation messages
+   * VAPI messages carry `time`/`endTime` (epoch ms), `secondsFromStart` and `duration` (ms)
+   */
+  buildSegments(rawMessages = [], callStartedAt = null) {
+    const callStartMs = callStartedAt ? Date.parse(callStartedAt) : NaN;
+
+    return rawMessages
+      .filter(m => SPEAKER_BY_ROLE[m?.role] && (m.message || m.content))
+      .map((m, index) => {
+        let startSeconds = typeof m.secondsFromStart === 'number' ? m.secondsFromStart : null;
+        if (startSeconds === null && typeof m.time === 'number' && !Number.isNaN(callStartMs)) {
+          startSeconds = (m.time - callStartMs) / 1000;
+        }
+
+        let endSeconds = null;
+        if (startSeconds !== null && typeof m.duration === 'number') {
+          endSeconds = startSeconds + m.duration / 1000;
+        } else if (typeof m.endTime === 'number' && !Number.isNaN(callStartMs)) {
+          endSeconds = (m.endTime - callStartMs) / 1000;
+        }
+
+        return {
+          index,
+          speaker: SPEAKER_BY_ROLE[m.role],
+          text: String(m.message || m.content).trim(),
+          start_seconds: startSeconds !== null ? Math.round(startSeconds * 100) / 100 : null,
+          end_seconds: endSeconds !== null ? Math.round(endSeconds * 100) / 100 : null,
+          timestamp: typeof m.time === 'number' ? new Date(m.time).toISOString() : null
+        };
+      });
+  }
+
+  /**
+   * Extract transcript/analysis fields from a VAPI end-of-call-report message
+   */
+  parseVAPIReport(report = {}) {
+    const artifact = report.artifact || {};
+    const analysis = report.analysis || {};
+    const rawMessages = artifact.messages || report.messages || [];
+    const segments = this.buildSegments(rawMessages, report.startedAt || report.call?.startedAt);
+
+    const transcriptText = artifact.transcript || report.transcript ||
+      (segments.length > 0
+        ? segments.map(seg => `${seg.speaker === 'assistant' ? 'AI' : 'User'}: ${seg.text}`).join('\n')
+        : null);
+
+    const successEvaluation = analysis.successEvaluation ?? report.successEvaluation;
+
+    return {
+      transcriptText,
+      segments,
+      messages: rawMessages,
+      summary: analysis.summary || report.summary || null,
+      structuredData: analysis.structuredData ?? report.structuredData ?? null,
+      successEvaluation: successEvaluation === undefined || successEvaluation === null
+        ? null
+        : String(successEvaluation),
+      endedReason: typeof report.endedReason === 'string' ? report.endedReason : null
+    };
+  }
+
+  /**
+   * Persist transcript/analysis from an end-of-call report
+   * @returns {Promise<Object|null>} stored row, or null when the report has nothing to store
+   */
+  async saveFromVAPIReport(callLog, report, schema) {
+    const parsed = this.parseVAPIReport(report);
+
+    if (!parsed.transcriptText && parsed.segments.length === 0 && !parsed.summary &&
+        parsed.structuredData === null && parsed.successEvaluation === null) {
+      return null;
+    }
+
+    return this.repository.upsertTranscript({
+      tenantId: callLog.tenant_id,
+      callLogId: callLog.id,
+      provider: 'vapi',
+      providerCallId: report.call?.id || report.id || null,
+      ...parsed
+    }, schema);
+  }
+
+  /**
+   * Transcript for a call; falls back to the external service's voice_call_logs.transcripts
+   * @returns {Promise<Object|null>}
+   */
+  async getTranscript(schema, tenantId, callLogId) {
+    const row = await this.repository.getByCallLogId(schema, tenantId, callLogId);
+
+    if (row) {
+      return {
+        call_log_id: row.call_log_id,
+        source: row.provider,
+        transcript_text: row.transcript_text,
+        turns: row.segments || [],
+        summary: row.summary,
+        structured_data: row.structured_data,
+        success_evaluation: row.success_evaluation,
+        ended_reason: row.ended_reason,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      };
+    }
+
+    const legacy = await this.repository.getLegacyTranscript(schema, tenantId, callLogId);
+    const legacySegments = Array.isArray(legacy?.segments) ? legacy.segments : [];
+    if (legacySegments.length === 0) {
+      return null;
+    }
+
+    const turns = legacySegments.map((seg, index) => ({
+      index,
+      speaker: SPEAKER_BY_ROLE[seg.speaker] || SPEAKER_BY_ROLE[seg.role] || seg.speaker || seg.role || null,
+      text: seg.text || seg.content || seg.message || '',
+      start_seconds: seg.start_seconds ?? seg.start ?? null,
+      end_seconds: seg.end_seconds ?? seg.end ?? null,
+      timestamp: seg.timestamp || null
+    }));
+
+    return {
+      call_log_id: callLogId,
+      source: 'legacy',
+      transcript_text: turns.map(turn => `${turn.speaker || 'unknown'}: ${turn.text}`).join('\n'),
+      turns,
+      summary: null,
+      structured_data: null,
+      success_evaluation: null,
+      ended_reason: null,
+      created_at: null,
+      updated_at: null
+    };
+  }
+}
+
+module.exports = CallTranscriptService;
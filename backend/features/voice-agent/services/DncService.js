@@ -0,0 +1,390 @@
+/**
+ * Do-Not-Call Service
+ *
+ * Tenant Do-Not-Call numbers, global lists maintained by the platform, and
+ * the suppression check every outbound dial path runs before placing a call
+ * (single calls, scheduled calls, retries, native and forwarded batches and
+ * VoiceAgentClient.startCall).
+ *
+ * A number is suppressed for a tenant when it is on the tenant's own list, on
+ * a mandatory global list, or on a global list the tenant subscribed to.
+ * Leads who ask not to be called again during a call are added to the
+ * tenant's list from the call transcript (source spoken_opt_out).
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const DncRepository = require('../repositories/dncRepository');
+const PhonePolicyService = require('./PhonePolicyService');
+const { parseCsvRecords } = require('./csvParser');
+const { formatE164 } = require('./phoneNumbers');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const DNC_SOURCES = {
+  MANUAL: 'manual',
+  IMPORT: 'import',
+  API: 'api',
+  SPOKEN_OPT_OUT: 'spoken_opt_out'
+};
+
+// Header names accepted for the number and reason columns of an import
+const PHONE_COLUMNS = ['phone_number', 'phone', 'number', 'to_number', 'mobile', 'msisdn'];
+const REASON_COLUMNS = ['reason', 'note', 'notes'];
+
+const MAX_IMPORT_ROWS = parseInt(process.env.VOICE_DNC_MAX_IMPORT_ROWS || '50000', 10);
+const IMPORT_CHUNK_SIZE = 1000;
+
+// Lead phrases that ask not to be called again
+const OPT_OUT_PATTERNS = [
+  /\b(do not|don'?t|never) (ever )?(call|phone|contact|ring) (me|us|this number)\b/i,
+  /\bstop (calling|phoning|contacting|ringing)\b/i,
+  /\b(remove|take|delete|drop) (me|us|my number|this number) (off|from)\b/i,
+  /\bput (me|my number|this number) on (your|the) (do not call|dnc|no call) list\b/i
+];
+
+class DncService {
+  constructor(db = pool) {
+    this.repository = new DncRepository(db);
+    this.phonePolicy = new PhonePolicyService(db);
+  }
+
+  isDisabled() {
+    return process.env.VOICE_DNC_DISABLED === 'true';
+  }
+
+  /**
+   * Normalize a number to E.164 (see phoneNumbers.formatE164): formatting is
+   * stripped, a 00 prefix becomes +, bare digits are read as international
+   * @returns {string|null} null when the result is not a possible phone number
+   */
+  normalizePhoneNumber(phoneNumber) {
+    return formatE164(phoneNumber);
+  }
+
+  /**
+   * Normalize numbers for a tenant: national-format numbers are read in the
+   * tenant's default country (see PhonePolicyService.defaultCountryFor)
+   * @returns {Promise<Array<string|null>>} in input order
+   */
+  async normalizeForTenant(schema, tenantId, phoneNumbers) {
+    const normalized = phoneNumbers.map(number => this.normalizePhoneNumber(number));
+    if (normalized.every(Boolean)) {
+      return normalized;
+    }
+
+    const { policy } = await this.phonePolicy.getTenantPolicy(schema, tenantId);
+    const defaultCountry = this.phonePolicy.defaultCountryFor(policy);
+    if (!defaultCountry) {
+      return normalized;
+    }
+    return normalized.map((number, index) => number || formatE164(phoneNumbers[index], { defaultCountry }));
+  }
+
+  /**
+   * Check one number for a tenant
+   * @returns {Promise<Object>} { suppressed, phoneNumber, reason, source, listId, listName }
+   */
+  async checkNumber(schema, tenantId, phoneNumber) {
+    const [result] = await this.checkNumbers(schema, tenantId, [phoneNumber]);
+    return result;
+  }
+
+  /**
+   * Check numbers for a tenant, in input order. Numbers that cannot be read
+   * as E.164, even in the tenant's default country, cannot be matched against
+   * the lists and are reported suppressed (phoneNumber null).
+   * @returns {Promise<Array<Object>>} { suppressed, phoneNumber, reason, source, listId, listName }
+   */
+  async checkNumbers(schema, tenantId, phoneNumbers) {
+    if (this.isDisabled()) {
+      return phoneNumbers.map(number => this._notSuppressed(this.normalizePhoneNumber(number) || number));
+    }
+    const normalized = await this.normalizeForTenant(schema, tenantId, phoneNumbers);
+
+    const unique = [...new Set(normalized.filter(Boolean))];
+    const matches = await this.repository.findSuppressed(schema, tenantId, unique);
+
+    // Tenant entries sort first, so they win over global lists
+    const byNumber = new Map();
+    for (const match of matches) {
+      if (!byNumber.has(match.phone_number)) byNumber.set(match.phone_number, match);
+    }
+
+    return normalized.map((number, index) => {
+      if (!number) {
+        return this._unverifiable(phoneNumbers[index]);
+      }
+      const match = byNumber.get(number);
+      if (!match) {
+        return this._notSuppressed(number);
+      }
+      return {
+        suppressed: true,
+        phoneNumber: number,
+        reason: this.describeMatch(match),
+        source: match.source,
+        listId: match.list_id || null,
+        listName: match.list_name || null
+      };
+    });
+  }
+
+  /**
+   * Throw when the number may not be called
+   * @throws {Error} status 403, code DNC_SUPPRESSED
+   */
+  async assertCallable(schema, tenantId, phoneNumber) {
+    const check = await this.checkNumber(schema, tenantId, phoneNumber);
+    if (check.suppressed) {
+      const err = new Error(check.reason);
+      err.code = 'DNC_SUPPRESSED';
+      err.status = 403;
+      throw err;
+    }
+    return check;
+  }
+
+  describeMatch(match) {
+    const where = match.list_id ? `Do-Not-Call list "${match.list_name || match.list_id}"` : 'the Do-Not-Call list';
+    return `${match.phone_number} is on ${where}` + (match.reason ? ` (${match.reason})` : '');
+  }
+
+  _notSuppressed(phoneNumber) {
+    return { suppressed: false, phoneNumber, reason: null, source: null, listId: null, listName: null };
+  }
+
+  _unverifiable(value) {
+    return {
+      suppressed: true,
+      phoneNumber: null,
+      reason: `${value || 'An empty number'} cannot be checked against the Do-Not-Call list; use the +<country code> format or set a default country`,
+      source: null,
+      listId: null,
+      listName: null
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Entries (tenant list: { tenantId }, global list: { listId })
+  // ---------------------------------------------------------------------------
+
+  async listEntries(schema, owner, options = {}) {
+    return this.repository.listEntries(schema, owner, options);
+  }
+
+  /**
+   * Add one number
+   * @param {Object} entry - { phone_number, reason, expires_at }
+   * @returns {Promise<Object>} stored row (`inserted` false when the number was already listed)
+   */
+  async addEntry(schema, owner, entry, { userId = null, source = DNC_SOURCES.MANUAL, callLogId = null } = {}) {
+    const phoneNumber = this.normalizePhoneNumber(entry?.phone_number);
+    if (!phoneNumber) {
+      throw this._invalid('phone_number must be a valid phone number in E.164 format');
+    }
+
+    const [row] = await this.repository.upsertEntries(schema, owner, [{
+      phoneNumber,
+      reason: this._reason(entry.reason),
+      source,
+      callLogId,
+      expiresAt: this._expiresAt(entry.expires_at)
+    }], userId);
+
+    logger.info('[DNC] Number added', { ...owner, entryId: row.id, source, userId });
+    return row;
+  }
+
+  async removeEntry(schema, owner, entryId, { userId = null } = {}) {
+    const row = await this.repository.deleteEntry(schema, owner, entryId);
+    if (!row) {
+      const err = new Error('Do-Not-Call entry not found');
+      err.code = 'NOT_FOUND';
+      err.status = 404;
+      throw err;
+    }
+
+    logger.info('[DNC] Number removed', { ...owner, entryId, userId });
+    return row;
+  }
+
+  /**
+   * Import numbers from CSV with a header row (phone_number/phone/number, optional reason)
+   * @returns {Promise<Object>} { total, added, updated, errors: [{ row, value, error }] }
+   */
+  async importCsv(schema, owner, csvText, { userId = null } = {}) {
+    const { headers, records } = parseCsvRecords(csvText);
+    const phoneColumn = PHONE_COLUMNS.find(name => headers.includes(name));
+    if (!phoneColumn) {
+      throw this._invalid(`CSV must have a header row with one of: ${PHONE_COLUMNS.join(', ')}`);
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw this._invalid(`CSV has ${records.length} rows; the maximum is ${MAX_IMPORT_ROWS}`);
+    }
+    const reasonColumn = REASON_COLUMNS.find(name => headers.includes(name));
+
+    const errors = [];
+    const byNumber = new Map();
+    for (const { row, values } of records) {
+      const phoneNumber = this.normalizePhoneNumber(values[phoneColumn]);
+      if (!phoneNumber) {
+        errors.push({ row, value: values[phoneColumn], error: 'Invalid phone number' });
+        continue;
+      }
+      byNumber.set(phoneNumber, {
+        phoneNumber,
+        reason: reasonColumn ? this._reason(values[reasonColumn]) : null,
+        source: DNC_SOURCES.IMPORT
+      });
+    }
+
+    const entries = [...byNumber.values()];
+    let added = 0;
+    for (let i = 0; i < entries.length; i += IMPORT_CHUNK_SIZE) {
+      const rows = await this.repository.upsertEntries(schema, owner, entries.slice(i, i + IMPORT_CHUNK_SIZE), userId);
+      added += rows.filter(row => row.inserted).length;
+    }
+
+    const summary = {
+      total: records.length,
+      added,
+      updated: entries.length - added,
+      duplicates: records.length - errors.length - entries.length,
+      errors
+    };
+    logger.info('[DNC] CSV imported', { ...owner, userId, ...summary, errors: errors.length });
+    return summary;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Global lists
+  // ---------------------------------------------------------------------------
+
+  async listLists(schema, tenantId) {
+    return this.repository.listLists(schema, tenantId);
+  }
+
+  async getList(schema, listId) {
+    const list = await this.repository.getList(schema, listId);
+    if (!list) {
+      const err = new Error('Do-Not-Call list not found');
+      err.code = 'NOT_FOUND';
+      err.status = 404;
+      throw err;
+    }
+    return list;
+  }
+
+  async createList(schema, { name, description = null, mandatory = false }, { userId = null } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw this._invalid('name is required');
+    }
+
+    const list = await this.repository.createList(schema, {
+      name: name.trim(),
+      description: description || null,
+      mandatory: mandatory === true || mandatory === 'true',
+      createdByUserId: userId
+    });
+    logger.info('[DNC] Global list created', { listId: list.id, mandatory: list.mandatory, userId });
+    return list;
+  }
+
+  /**
+   * Opt a tenant in to (or out of) an optional global list
+   * @throws {Error} status 409 when opting out of a mandatory list
+   */
+  async setSubscription(schema, tenantId, listId, subscribed, { userId = null } = {}) {
+    const list = await this.getList(schema, listId);
+    if (list.mandatory && !subscribed) {
+      const err = new Error('Mandatory Do-Not-Call lists apply to every tenant');
+      err.code = 'DNC_LIST_MANDATORY';
+      err.status = 409;
+      throw err;
+    }
+
+    if (subscribed) {
+      await this.repository.subscribe(schema, tenantId, list.id, userId);
+    } else {
+      await this.repository.unsubscribe(schema, tenantId, list.id);
+    }
+
+    logger.info('[DNC] Global list subscription changed', { tenantId, listId: list.id, subscribed, userId });
+    return { ...list, enforced: list.mandatory || subscribed };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Spoken opt-out
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The first lead turn asking not to be called again
+   * @param {Array<Object>} turns - Transcript segments ({ speaker, text })
+   * @returns {Object|null} the matching turn
+   */
+  findSpokenOptOut(turns = []) {
+    return turns.find(turn =>
+      turn?.speaker === 'user' &&
+      typeof turn.text === 'string' &&
+      OPT_OUT_PATTERNS.some(pattern => pattern.test(turn.text))
+    ) || null;
+  }
+
+  /**
+   * Add the called number to the tenant's list when the lead opted out during the call
+   * @param {Object} callLog - { id, tenant_id }
+   * @returns {Promise<Object|null>} stored entry, or null when there was no opt-out
+   */
+  async recordSpokenOptOut(schema, callLog, turns) {
+    const turn = this.findSpokenOptOut(turns);
+    if (!turn) {
+      return null;
+    }
+
+    const phoneNumber = await this.repository.getCallLogNumber(schema, callLog.tenant_id, callLog.id);
+    if (!this.normalizePhoneNumber(phoneNumber)) {
+      logger.warn('[DNC] Spoken opt-out without a callable number', { callLogId: callLog.id });
+      return null;
+    }
+
+    const entry = await this.addEntry(schema, { tenantId: callLog.tenant_id }, {
+      phone_number: phoneNumber,
+      reason: `Lead opted out during call: "${turn.text.slice(0, 200)}"`
+    }, { source: DNC_SOURCES.SPOKEN_OPT_OUT, callLogId: callLog.id });
+
+    logger.info('[DNC] Spoken opt-out recorded', { callLogId: callLog.id, tenantId: callLog.tenant_id, entryId: entry.id });
+    return entry;
+  }
+
+  _reason(reason) {
+    return reason ? String(reason).trim().slice(0, 500) || null : null;
+  }
+
+  _expiresAt(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+      return null;
+    }
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime())) {
+      throw this._invalid('expires_at must be an ISO 8601 timestamp');
+    }
+    return date.toISOString();
+  }
+
+  _invalid(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_DNC_ENTRY';
+    err.status = 400;
+    return err;
+  }
+}
+
+DncService.DNC_SOURCES = DNC_SOURCES;
+
+module.exports = DncService;
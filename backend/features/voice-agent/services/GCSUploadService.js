@@ -1,5 +1,5 @@
 const path = require('path');
-const { Storage } = require('@google-cloud/storage');
+const ObjectStorageService = require('./ObjectStorageService');
 
 let logger;
 try {
@@ -8,32 +8,25 @@ try {
   logger = console;
 }
 
+/**
+ * Batch upload files (excel/json). Kept under its original name; objects go
+ * to whichever storage driver is configured (VOICE_STORAGE_DRIVER).
+ */
 class GCSUploadService {
-  constructor() {
-    this.storage = new Storage();
-  }
-
-  getBucketName() {
-    const bucket = process.env.GCS_BUCKET_NAME || process.env.GCP_BUCKET_NAME;
-    if (!bucket) {
-      throw new Error('GCS_BUCKET_NAME is not configured');
-    }
-    return bucket;
+  constructor(config = {}) {
+    this.objectStorage = config.objectStorage || new ObjectStorageService();
   }
 
   getUploadPrefix() {
-    return (process.env.GCS_UPLOAD_PREFIX || 'voice-agent/uploads').replace(/^\/+|\/+$/g, '');
+    return this.objectStorage.getUploadPrefix();
   }
 
   getUrlMode() {
-    // 'public' or 'signed'
-    return (process.env.GCS_URL_MODE || 'signed').toLowerCase();
+    return this.objectStorage.getUrlMode();
   }
 
   getSignedUrlExpiresSeconds() {
-    const seconds = parseInt(process.env.GCS_SIGNED_URL_EXPIRES_SECONDS || '3600', 10);
-    if (Number.isNaN(seconds) || seconds <= 0) return 3600;
-    return seconds;
+    return this.objectStorage.getSignedUrlExpiresSeconds();
   }
 
   _safeFilename(filename) {
@@ -46,45 +39,16 @@ class GCSUploadService {
   }
 
   async uploadBuffer({ buffer, destination, contentType }) {
-    const bucketName = this.getBucketName();
-    const bucket = this.storage.bucket(bucketName);
-    const file = bucket.file(destination);
-
-    await file.save(buffer, {
-      resumable: false,
-      contentType: contentType || 'application/octet-stream',
-      metadata: {
-        cacheControl: 'no-cache'
-      }
+    return this.objectStorage.upload({
+      buffer,
+      key: destination,
+      contentType: contentType || 'application/octet-stream'
     });
-
-    return file;
   }
 
-  async getFileUrl(file) {
-    const mode = this.getUrlMode();
-
-    if (mode === 'gs') {
-      return `gs://${file.bucket.name}/${file.name}`;
-    }
-
-    if (mode === 'public') {
-      // Requires the object (or bucket) to be publicly readable.
-      const publicUrl = `https://storage.googleapis.com/${file.bucket.name}/${encodeURIComponent(file.name).replace(/%2F/g, '/')}`;
-      return publicUrl;
-    }
-
-    if (mode === 'signed') {
-      const expiresSeconds = this.getSignedUrlExpiresSeconds();
-      const [url] = await file.getSignedUrl({
-        version: 'v4',
-        action: 'read',
-        expires: Date.now() + expiresSeconds * 1000
-      });
-      return url;
-    }
-
-    throw new Error(`Unsupported GCS_URL_MODE: ${mode}`);
+  async getFileUrl(location) {
+    const { url } = await this.objectStorage.getAccessUrl(location);
+    return url;
   }
 
   async uploadMulterFile({ file, tenantId, userId, kind }) {
@@ -101,24 +65,24 @@ class GCSUploadService {
 
     const destination = `${prefix}/${tenantId || 'unknown'}/${userId || 'unknown'}/${kind || 'file'}/${ts}-${safeName}`;
 
-    logger.info('[GCSUploadService] Uploading file to GCS', {
-      bucket: this.getBucketName(),
+    logger.info('[GCSUploadService] Uploading file to object storage', {
       destination,
       size: file.size,
       mimetype: file.mimetype
     });
 
-    const gcsFile = await this.uploadBuffer({
+    const stored = await this.uploadBuffer({
       buffer: file.buffer,
       destination,
       contentType: this._contentTypeFromMulter(file)
     });
 
-    const url = await this.getFileUrl(gcsFile);
+    const url = await this.getFileUrl(stored.location);
 
     return {
-      bucket: gcsFile.bucket.name,
-      objectName: gcsFile.name,
+      bucket: stored.bucket,
+      objectName: stored.key,
+      location: stored.location,
       url
     };
   }
@@ -0,0 +1,499 @@
+/**
+ * Inbound Call Service
+ *
+ * Answers incoming calls. The number that was called (voice_agent_numbers)
+ * decides which agent takes the call from its inbound_routing: rules are
+ * tried in order and the first whose business hours are open wins (hours
+ * with timezone 'lead' are read in the called number's local time), else the
+ * fallback or default agent takes it, or the caller hears the closed
+ * message (see constants/inboundRouting).
+ *
+ * The provider's assistant-request is answered with the agent's assistant
+ * and a first message built from its inbound_starter_prompt, personalised
+ * for the caller when they match a lead. Every inbound call to a known
+ * number is logged with direction 'inbound' - declined ones with status
+ * 'declined' - the caller stored as the remote number (to_country_code /
+ * to_base_number) and the number called as from_number_id.
+ *
+ * Starter prompt placeholders: {lead_name}, {first_name}, {last_name},
+ * {greeting} (good morning/afternoon/evening in the number's local time),
+ * {agent_name}, {caller_number}. Placeholders without a value are dropped.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const InboundRoutingRepository = require('../repositories/inboundRoutingRepository');
+const BusinessHoursService = require('./BusinessHoursService');
+const RecordingPolicyService = require('./RecordingPolicyService');
+const CallLoggingService = require('./CallLoggingService');
+const VAPIService = require('./VAPIService');
+const { formatE164, parsePhoneNumber, splitPhoneNumber } = require('./phoneNumbers');
+const { timezonesForNumber } = require('./leadTimezone');
+const { localTime } = require('./callWindows');
+const { CALL_STATUS, CALL_DIRECTIONS } = require('../constants/callStatus');
+const {
+  DEFAULT_INBOUND_ROUTING,
+  DEFAULT_CLOSED_MESSAGE,
+  INBOUND_ROUTE_REASONS
+} = require('../constants/inboundRouting');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const { LEAD_PHONE_FIELDS } = InboundRoutingRepository;
+const MAX_RULES = 20;
+const MAX_CLOSED_MESSAGE_LENGTH = 1000;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Fill {placeholders} of a starter prompt; unknown or empty values are dropped
+ * along with the space before punctuation they leave behind
+ */
+function renderGreeting(template, values) {
+  return String(template)
+    .replace(PLACEHOLDER_PATTERN, (match, key) => values[key] || '')
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+function greetingFor(date, timezone) {
+  const hour = timezone ? Math.floor(localTime(date, timezone).minutes / 60) : date.getHours();
+  if (hour < 12) return 'Good morning';
+  if (hour < 17) return 'Good afternoon';
+  return 'Good evening';
+}
+
+function leadName(lead) {
+  if (!lead) return null;
+  return lead.name || lead.full_name ||
+    [lead.first_name, lead.last_name].filter(Boolean).join(' ') || null;
+}
+
+class InboundCallService {
+  constructor(db = pool, options = {}) {
+    this.repository = new InboundRoutingRepository(db);
+    this.businessHours = options.businessHoursService || new BusinessHoursService(db);
+    this.recordingPolicy = options.recordingPolicyService || new RecordingPolicyService(db);
+    this.callLogging = new CallLoggingService(db);
+    this.vapiService = options.vapiService || new VAPIService();
+  }
+
+  /**
+   * Validate a number's inbound routing (agent IDs are checked by updateNumberRouting)
+   *
+   * @param {Object|null} routing - see DEFAULT_INBOUND_ROUTING
+   * @returns {Object|null} normalized routing; null restores the default
+   * @throws {Error} status 400 when malformed
+   */
+  normalizeRouting(routing) {
+    if (routing === undefined || routing === null) {
+      return null;
+    }
+    if (typeof routing !== 'object' || Array.isArray(routing)) {
+      throw this._invalid('inbound_routing must be an object');
+    }
+
+    const rules = routing.rules === undefined || routing.rules === null ? [] : routing.rules;
+    if (!Array.isArray(rules)) {
+      throw this._invalid('inbound_routing.rules must be an array');
+    }
+    if (rules.length > MAX_RULES) {
+      throw this._invalid(`inbound_routing.rules has more than ${MAX_RULES} rules`);
+    }
+
+    const normalizedRules = rules.map((rule, index) => {
+      const label = `inbound_routing.rules[${index}]`;
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw this._invalid(`${label} must be an object`);
+      }
+      const agentId = this._agentId(rule.agent_id, `${label}.agent_id`);
+      if (!agentId) {
+        throw this._invalid(`${label}.agent_id is required`);
+      }
+
+      let businessHours;
+      try {
+        businessHours = this.businessHours.normalizeBusinessHours(rule.business_hours);
+      } catch (error) {
+        throw this._invalid(`${label}: ${error.message}`);
+      }
+      // Disabled hours never close, like no hours at all
+      return { agent_id: agentId, business_hours: businessHours?.enabled === false ? null : businessHours };
+    });
+
+    const closedMessage = routing.closed_message === undefined || routing.closed_message === null
+      ? ''
+      : routing.closed_message;
+    if (typeof closedMessage !== 'string' || closedMessage.length > MAX_CLOSED_MESSAGE_LENGTH) {
+      throw this._invalid(`inbound_routing.closed_message must be text of at most ${MAX_CLOSED_MESSAGE_LENGTH} characters`);
+    }
+
+    return {
+      enabled: routing.enabled !== false,
+      rules: normalizedRules,
+      reject_when_closed: routing.reject_when_closed === true,
+      fallback_agent_id: this._agentId(routing.fallback_agent_id, 'inbound_routing.fallback_agent_id'),
+      closed_message: closedMessage.trim() || null
+    };
+  }
+
+  _agentId(value, label) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw this._invalid(`${label} must be an agent ID`);
+    }
+    return String(value);
+  }
+
+  /**
+   * Inbound routing of one tenant number (stored, else the default)
+   * @returns {Promise<{ number, routing, isDefault }>}
+   * @throws {Error} 404 NUMBER_NOT_FOUND
+   */
+  async getNumberRouting(schema, tenantId, numberId) {
+    const number = await this.repository.getNumber(schema, tenantId, numberId);
+    if (!number) {
+      throw this._notFound(numberId);
+    }
+    return this._routingView(number);
+  }
+
+  /**
+   * Store a number's inbound routing; null restores the default
+   * @throws {Error} 400 for malformed routing or agents of another tenant, 404 NUMBER_NOT_FOUND
+   */
+  async updateNumberRouting(schema, tenantId, numberId, routing, { userId = null } = {}) {
+    const normalized = this.normalizeRouting(routing);
+
+    if (normalized) {
+      const agentIds = [...new Set([
+        ...normalized.rules.map(rule => rule.agent_id),
+        normalized.fallback_agent_id
+      ].filter(Boolean))];
+      const known = agentIds.length > 0 ? await this.repository.findAgentIds(schema, tenantId, agentIds) : [];
+      const unknown = agentIds.find(agentId => !known.includes(agentId));
+      if (unknown) {
+        throw this._invalid(`Unknown agent_id in inbound_routing: ${unknown}`);
+      }
+    }
+
+    const number = await this.repository.updateRouting(schema, tenantId, numberId, normalized);
+    if (!number) {
+      throw this._notFound(numberId);
+    }
+
+    logger.info('[InboundCall] Number inbound routing updated', { tenantId, numberId, userId, routing: normalized });
+    return this._routingView(number);
+  }
+
+  _routingView(number) {
+    const { inbound_routing: stored, ...details } = number;
+    return {
+      number: details,
+      routing: stored || { ...DEFAULT_INBOUND_ROUTING, rules: [] },
+      isDefault: !stored
+    };
+  }
+
+  /**
+   * Agent that takes a call on a number at `at`
+   *
+   * @param {string} schema
+   * @param {Object} number - voice_agent_numbers row (see InboundRoutingRepository)
+   * @returns {Promise<Object>} { agentId, reason (INBOUND_ROUTE_REASONS), ruleIndex };
+   *   agentId is null when the call is not taken
+   */
+  async resolveRoute(schema, number, { at = new Date() } = {}) {
+    const routing = number.inbound_routing || DEFAULT_INBOUND_ROUTING;
+    if (routing.enabled === false) {
+      return { agentId: null, reason: INBOUND_ROUTE_REASONS.DISABLED, ruleIndex: null };
+    }
+
+    const rules = routing.rules || [];
+    for (let index = 0; index < rules.length; index++) {
+      const rule = rules[index];
+      const open = !rule.business_hours || (await this.businessHours.checkCallTime(schema, {
+        tenantId: number.tenant_id,
+        toNumber: number.phone_number,
+        businessHours: rule.business_hours,
+        at
+      })).allowed;
+      if (open) {
+        return { agentId: rule.agent_id, reason: INBOUND_ROUTE_REASONS.RULE, ruleIndex: index };
+      }
+    }
+
+    if (rules.length > 0 && routing.reject_when_closed) {
+      return { agentId: null, reason: INBOUND_ROUTE_REASONS.CLOSED, ruleIndex: null };
+    }
+    if (routing.fallback_agent_id) {
+      return { agentId: routing.fallback_agent_id, reason: INBOUND_ROUTE_REASONS.FALLBACK, ruleIndex: null };
+    }
+    if (number.default_agent_id) {
+      return { agentId: String(number.default_agent_id), reason: INBOUND_ROUTE_REASONS.DEFAULT_AGENT, ruleIndex: null };
+    }
+    return { agentId: null, reason: INBOUND_ROUTE_REASONS.NO_AGENT, ruleIndex: null };
+  }
+
+  /**
+   * Lead a caller is: a lead whose phone number is the caller's (compared in
+   * E.164), else the lead of the latest call with the number. Best effort -
+   * an unmatched caller is still answered
+   *
+   * @param {string} callerNumber - E.164
+   * @returns {Promise<{ leadId, lead, source: 'lead'|'call_history' }|null>}
+   */
+  async matchLead(schema, tenantId, callerNumber) {
+    const split = splitPhoneNumber(callerNumber);
+    if (!split) {
+      return null;
+    }
+
+    try {
+      const { country } = parsePhoneNumber(callerNumber);
+      const candidates = await this.repository.findLeadCandidates(schema, tenantId, split.baseNumber);
+      const lead = candidates.find(candidate => LEAD_PHONE_FIELDS.some(field =>
+        candidate[field] && formatE164(candidate[field], { defaultCountry: country }) === callerNumber
+      ));
+      if (lead) {
+        return { leadId: lead.id, lead, source: 'lead' };
+      }
+
+      const leadId = await this.repository.findLeadIdFromCalls(schema, tenantId, split.countryCode, split.baseNumber);
+      return leadId ? { leadId, lead: null, source: 'call_history' } : null;
+    } catch (error) {
+      logger.warn('[InboundCall] Failed to match caller to a lead', { tenantId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Numbers and IDs of an inbound provider call ({ ...message, ...message.call })
+   */
+  _describeCall(callData) {
+    return {
+      providerCallId: callData.id || null,
+      providerPhoneNumberId: callData.phoneNumberId || callData.phoneNumber?.id || null,
+      calledNumber: formatE164(callData.phoneNumber?.number),
+      callerNumber: formatE164(callData.customer?.number),
+      assistantId: callData.assistantId || null
+    };
+  }
+
+  /**
+   * Response to the provider's assistant-request for an inbound call; the
+   * call is logged on the first delivery
+   *
+   * @param {string} schema
+   * @param {Object} callData - { ...message, ...message.call } of the webhook
+   * @param {Object} [options]
+   * @param {Date} [options.at] - Time of the call (default now)
+   * @returns {Promise<Object>} { assistantId, assistantOverrides } or { error } (spoken to the caller)
+   */
+  async answerAssistantRequest(schema, callData, { at = new Date() } = {}) {
+    const call = this._describeCall(callData);
+    const number = await this.repository.findNumberForCall(schema, {
+      providerPhoneNumberId: call.providerPhoneNumberId,
+      phoneNumber: call.calledNumber
+    });
+    if (!number) {
+      logger.warn('[InboundCall] Call to an unknown number', {
+        providerCallId: call.providerCallId,
+        providerPhoneNumberId: call.providerPhoneNumberId,
+        calledNumber: call.calledNumber
+      });
+      return { error: DEFAULT_CLOSED_MESSAGE };
+    }
+
+    const tenantId = number.tenant_id;
+    const closedMessage = number.inbound_routing?.closed_message || DEFAULT_CLOSED_MESSAGE;
+    const existing = call.providerCallId ? await this.repository.findCallLog(schema, call.providerCallId) : null;
+
+    let route;
+    if (existing) {
+      route = existing.status === CALL_STATUS.DECLINED
+        ? { agentId: null, reason: existing.metadata?.inbound?.route_reason, ruleIndex: null }
+        : { agentId: existing.agent_id, reason: existing.metadata?.inbound?.route_reason, ruleIndex: null };
+    } else {
+      route = await this.resolveRoute(schema, number, { at });
+    }
+
+    let agent = route.agentId ? await this.repository.getAgent(schema, tenantId, route.agentId) : null;
+    // An agent on its own provider account cannot use our default assistant
+    const ownAccount = !!agent?.provider_config?.api_key;
+    const assistantId = agent?.provider_assistant_id || (ownAccount ? null : this.vapiService.assistantId) || null;
+    if (route.agentId && (!agent || !assistantId)) {
+      logger.error('[InboundCall] Routed agent cannot take calls', {
+        tenantId,
+        numberId: number.id,
+        agentId: route.agentId,
+        reason: agent ? 'no provider assistant' : 'agent not found'
+      });
+      agent = null;
+      route = { ...route, agentId: null, reason: INBOUND_ROUTE_REASONS.NO_AGENT };
+    }
+
+    const leadMatch = await this.matchLead(schema, tenantId, call.callerNumber);
+    const recording = await this.recordingPolicy.resolveForCall(schema, tenantId, call.callerNumber);
+
+    // The provider waits on this response, so a logging failure must not drop the call
+    if (!existing) {
+      try {
+        await this._logCall(schema, number, call, {
+          agentId: agent?.id || number.default_agent_id || null,
+          assistantId: agent ? assistantId : null,
+          status: agent ? CALL_STATUS.RINGING : CALL_STATUS.DECLINED,
+          leadMatch,
+          recording,
+          route
+        });
+      } catch (error) {
+        logger.error('[InboundCall] Failed to log inbound call', {
+          tenantId,
+          providerCallId: call.providerCallId,
+          error: error.message
+        });
+      }
+    }
+
+    if (!agent) {
+      logger.info('[InboundCall] Inbound call declined', {
+        tenantId,
+        numberId: number.id,
+        providerCallId: call.providerCallId,
+        reason: route.reason
+      });
+      return { error: closedMessage };
+    }
+
+    const timezone = timezonesForNumber(number.phone_number)[0] || null;
+    const lead = leadMatch?.lead || null;
+    const values = {
+      lead_name: leadName(lead),
+      first_name: lead?.first_name || null,
+      last_name: lead?.last_name || null,
+      greeting: greetingFor(at, timezone),
+      agent_name: agent.name || null,
+      caller_number: call.callerNumber
+    };
+
+    const overrides = { monitorPlan: { ...VAPIService.MONITOR_PLAN }, variableValues: values };
+    if (agent.inbound_starter_prompt) {
+      overrides.firstMessage = renderGreeting(agent.inbound_starter_prompt, values);
+    }
+
+    logger.info('[InboundCall] Inbound call routed', {
+      tenantId,
+      numberId: number.id,
+      agentId: agent.id,
+      providerCallId: call.providerCallId,
+      reason: route.reason,
+      leadId: leadMatch?.leadId || null
+    });
+
+    return {
+      assistantId,
+      assistantOverrides: this.vapiService.applyRecordingPolicy(overrides, recording)
+    };
+  }
+
+  /**
+   * Log an inbound call the provider answered without an assistant-request
+   * (an assistant assigned to the number on the provider side)
+   *
+   * @returns {Promise<Object|null>} call log ({ id, tenant_id, ... }); null when the number is unknown
+   */
+  async logInboundCall(schema, callData) {
+    const call = this._describeCall(callData);
+    const existing = call.providerCallId ? await this.repository.findCallLog(schema, call.providerCallId) : null;
+    if (existing) {
+      return existing;
+    }
+
+    const number = await this.repository.findNumberForCall(schema, {
+      providerPhoneNumberId: call.providerPhoneNumberId,
+      phoneNumber: call.calledNumber
+    });
+    if (!number) {
+      return null;
+    }
+
+    const agent = call.assistantId
+      ? await this.repository.getAgentByAssistantId(schema, number.tenant_id, call.assistantId)
+      : null;
+
+    return this._logCall(schema, number, call, {
+      agentId: agent?.id || number.default_agent_id || null,
+      assistantId: call.assistantId,
+      status: CALL_STATUS.RINGING,
+      leadMatch: await this.matchLead(schema, number.tenant_id, call.callerNumber),
+      recording: await this.recordingPolicy.resolveForCall(schema, number.tenant_id, call.callerNumber),
+      route: {
+        reason: agent ? INBOUND_ROUTE_REASONS.PROVIDER_ASSISTANT : INBOUND_ROUTE_REASONS.DEFAULT_AGENT,
+        ruleIndex: null
+      }
+    });
+  }
+
+  async _logCall(schema, number, call, { agentId, assistantId, status, leadMatch, recording, route }) {
+    const callLog = await this.callLogging.createCallLog({
+      schema,
+      tenantId: number.tenant_id,
+      agentId,
+      fromNumberId: number.id,
+      toNumber: call.callerNumber,
+      leadId: leadMatch?.leadId || null,
+      direction: CALL_DIRECTIONS.INBOUND,
+      vapiResponse: {
+        id: call.providerCallId,
+        status,
+        assistantId,
+        phoneNumberId: call.providerPhoneNumberId || number.provider_phone_number_id
+      },
+      metadata: {
+        // Read back by RecordingPolicyService.isRecordingAllowed
+        call_request: { recording },
+        inbound: {
+          called_number: number.phone_number,
+          caller_number: call.callerNumber,
+          route_reason: route.reason,
+          rule_index: route.ruleIndex,
+          lead_match: leadMatch?.source || null
+        }
+      }
+    });
+
+    logger.info('[InboundCall] Inbound call logged', {
+      callLogId: callLog.id,
+      tenantId: number.tenant_id,
+      status,
+      leadId: callLog.lead_id
+    });
+    return callLog;
+  }
+
+  _invalid(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_INBOUND_ROUTING';
+    err.status = 400;
+    return err;
+  }
+
+  _notFound(numberId) {
+    const err = new Error(`Phone number not found: ${numberId}`);
+    err.code = 'NUMBER_NOT_FOUND';
+    err.status = 404;
+    return err;
+  }
+}
+
+InboundCallService.renderGreeting = renderGreeting;
+
+module.exports = InboundCallService;
@@ -0,0 +1,301 @@
+/**
+ * Lead Import Service
+ *
+ * Turns uploaded lead files (.xlsx or CSV) into batch entries: columns are
+ * mapped to lead fields (explicitly, or detected from common header names),
+ * phone numbers are normalized to E.164 with a default country (overridable
+ * per row by a country column) and checked against the tenant's phone
+ * policy, repeated numbers are dropped, and every rejected row is reported
+ * with the reason. The valid entries become a
+ * draft batch that can be reviewed (GET /batch/batch-status/:id) and then
+ * launched (POST /batch/batch-launch/:id).
+ *
+ * Row numbers in reports are the file's own (the worksheet row, or the CSV
+ * line the row starts on), so the header and blank rows are counted.
+ */
+
+const path = require('path');
+const { pool } = require('../../../shared/database/connection');
+const BatchDispatchService = require('./BatchDispatchService');
+const PhonePolicyService = require('./PhonePolicyService');
+const { parseCsvRows } = require('./csvParser');
+const { parseXlsx } = require('./xlsxParser');
+const { isSupportedCountry, PHONE_ERRORS } = require('./phoneNumbers');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+// Lead fields and the header names they are detected from
+const FIELD_ALIASES = {
+  phone: ['phone', 'phone_number', 'to_number', 'mobile', 'mobile_number', 'cell', 'telephone', 'number'],
+  lead_name: ['lead_name', 'name', 'full_name', 'contact_name'],
+  first_name: ['first_name', 'firstname', 'given_name'],
+  last_name: ['last_name', 'lastname', 'surname', 'family_name'],
+  lead_id: ['lead_id'],
+  added_context: ['added_context', 'context', 'notes'],
+  country: ['country', 'country_code']
+};
+
+// Messages that differ from the phone policy's own reasons
+const ROW_ERROR_MESSAGES = {
+  [PHONE_ERRORS.COUNTRY_REQUIRED]: 'National number without a country; set default_country or add a country column',
+  INVALID_LEAD_ID: 'lead_id must be a UUID',
+  DUPLICATE_PHONE: 'Phone number already listed'
+};
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Row errors kept in the report (the counts always cover every row)
+const MAX_REPORTED_ERRORS = 500;
+
+function headerKey(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+class LeadImportService {
+  constructor(db = pool, options = {}) {
+    this.batchDispatch = options.batchDispatchService || new BatchDispatchService(db);
+    this.phonePolicy = options.phonePolicyService || new PhonePolicyService(db);
+    this.maxRows = parseInt(process.env.VOICE_LEAD_IMPORT_MAX_ROWS || '10000', 10);
+  }
+
+  _badRequest(message, code = 'INVALID_LEAD_FILE') {
+    const err = new Error(message);
+    err.code = code;
+    err.status = 400;
+    return err;
+  }
+
+  /**
+   * Non-blank rows of an uploaded file (multer memory storage), by extension then mime type
+   * @returns {Promise<{ format: string, rows: Array<{ row: number, fields: string[] }> }>}
+   */
+  async readFile(file, { sheetName = null } = {}) {
+    if (!file?.buffer) {
+      throw this._badRequest('Upload a lead file as `file` (.xlsx or .csv)');
+    }
+
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    const mimetype = file.mimetype || '';
+
+    if (ext === '.xls' || mimetype === 'application/vnd.ms-excel') {
+      throw this._badRequest('Legacy .xls files are not supported; save the sheet as .xlsx or CSV', 'UNSUPPORTED_FILE_TYPE');
+    }
+    if (ext === '.xlsx' || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return { format: 'xlsx', rows: await parseXlsx(file.buffer, { sheetName }) };
+    }
+    if (ext === '.csv' || ext === '.txt' || mimetype === 'text/csv' || mimetype === 'text/plain') {
+      return { format: 'csv', rows: parseCsvRows(file.buffer.toString('utf8')) };
+    }
+    throw this._badRequest('Unsupported lead file type; upload .xlsx or .csv', 'UNSUPPORTED_FILE_TYPE');
+  }
+
+  /**
+   * Column index of each lead field
+   *
+   * @param {string[]} headers - Header row as in the file
+   * @param {Object} [mapping] - { phone: 'Mobile', lead_name: 'Full Name', ... } header names, any case
+   * @returns {Object} field -> column index (fields without a column are left out)
+   */
+  resolveColumns(headers, mapping = null) {
+    const keys = headers.map(headerKey);
+    const columns = {};
+
+    if (mapping !== null && mapping !== undefined && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      throw this._badRequest('mapping must be an object of lead field to column name', 'INVALID_COLUMN_MAPPING');
+    }
+
+    for (const [field, column] of Object.entries(mapping || {})) {
+      if (!FIELD_ALIASES[field]) {
+        throw this._badRequest(
+          `Unknown lead field in mapping: ${field} (expected ${Object.keys(FIELD_ALIASES).join(', ')})`,
+          'INVALID_COLUMN_MAPPING'
+        );
+      }
+      if (column === null || column === '') continue;
+
+      const index = keys.indexOf(headerKey(column));
+      if (index < 0) {
+        throw this._badRequest(
+          `Column "${column}" not found; columns in the file: ${headers.filter(Boolean).join(', ')}`,
+          'INVALID_COLUMN_MAPPING'
+        );
+      }
+      columns[field] = index;
+    }
+
+    // Fields not mapped explicitly are detected from the header names
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+      if (mapping && Object.prototype.hasOwnProperty.call(mapping, field)) continue;
+      const index = keys.findIndex(key => aliases.includes(key));
+      if (index >= 0) columns[field] = index;
+    }
+
+    if (columns.phone === undefined) {
+      throw this._badRequest(
+        `No phone number column found; map one with mapping.phone (columns in the file: ${headers.filter(Boolean).join(', ')})`,
+        'INVALID_COLUMN_MAPPING'
+      );
+    }
+    return columns;
+  }
+
+  /**
+   * Parse a lead file into batch entries and a validation report
+   *
+   * @param {Object} file - multer file
+   * @param {Object} [options]
+   * @param {Object} [options.mapping] - Lead field -> column name
+   * @param {string} [options.defaultCountry] - ISO country for national numbers (default: the phone policy's)
+   * @param {string} [options.sheetName] - Worksheet of an .xlsx file (default: the first)
+   * @param {Object} [options.policy] - Tenant phone policy (see PhonePolicyService.getTenantPolicy)
+   * @returns {Promise<{ entries: Array<Object>, report: Object }>} entries: { row, to_number, lead_name, lead_id, added_context }
+   */
+  async parseFile(file, { mapping = null, defaultCountry = null, sheetName = null, policy = null } = {}) {
+    const country = this.phonePolicy.defaultCountryFor(policy, defaultCountry);
+    if (country && !isSupportedCountry(country)) {
+      throw this._badRequest(`Unsupported default_country: ${country}`, PHONE_ERRORS.UNKNOWN_COUNTRY);
+    }
+
+    const { format, rows } = await this.readFile(file, { sheetName });
+    const [{ fields: headers = [] } = {}, ...dataRows] = rows;
+    if (dataRows.length === 0) {
+      throw this._badRequest('The lead file has no rows below the header row', 'NO_VALID_ROWS');
+    }
+    if (dataRows.length > this.maxRows) {
+      throw this._badRequest(`The lead file has ${dataRows.length} rows; at most ${this.maxRows} are allowed`, 'TOO_MANY_ROWS');
+    }
+
+    const columns = this.resolveColumns(headers, mapping);
+    const valueOf = (fields, field) => (columns[field] === undefined ? '' : (fields[columns[field]] || '').trim());
+
+    const entries = [];
+    const errors = [];
+    const firstRowByNumber = new Map();
+    let invalidRows = 0;
+    let duplicateRows = 0;
+
+    const reject = (row, field, value, code, message = ROW_ERROR_MESSAGES[code]) => {
+      if (errors.length < MAX_REPORTED_ERRORS) {
+        errors.push({
+          row,
+          column: headers[columns[field]] || field,
+          value,
+          code,
+          message
+        });
+      }
+    };
+
+    dataRows.forEach(({ row, fields }) => {
+      const rawPhone = valueOf(fields, 'phone');
+      const rowCountry = valueOf(fields, 'country');
+
+      const check = this.phonePolicy.evaluate(policy, rawPhone, { defaultCountry: rowCountry || country });
+      if (!check.allowed) {
+        invalidRows++;
+        return check.error === PHONE_ERRORS.UNKNOWN_COUNTRY
+          ? reject(row, 'country', rowCountry || country, check.error, check.reason)
+          : reject(row, 'phone', rawPhone, check.error, ROW_ERROR_MESSAGES[check.error] || check.reason);
+      }
+      const { phoneNumber } = check;
+
+      const leadId = valueOf(fields, 'lead_id');
+      if (leadId && !UUID_REGEX.test(leadId)) {
+        invalidRows++;
+        return reject(row, 'lead_id', leadId, 'INVALID_LEAD_ID');
+      }
+
+      if (firstRowByNumber.has(phoneNumber)) {
+        duplicateRows++;
+        return reject(row, 'phone', rawPhone, 'DUPLICATE_PHONE', `${ROW_ERROR_MESSAGES.DUPLICATE_PHONE} (row ${firstRowByNumber.get(phoneNumber)})`);
+      }
+      firstRowByNumber.set(phoneNumber, row);
+
+      const leadName = valueOf(fields, 'lead_name') ||
+        [valueOf(fields, 'first_name'), valueOf(fields, 'last_name')].filter(Boolean).join(' ');
+
+      entries.push({
+        row,
+        to_number: phoneNumber,
+        lead_name: leadName || null,
+        lead_id: leadId || null,
+        added_context: valueOf(fields, 'added_context') || null
+      });
+    });
+
+    const report = {
+      file_name: file.originalname || null,
+      format,
+      default_country: country,
+      columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+      total_rows: dataRows.length,
+      valid_rows: entries.length,
+      invalid_rows: invalidRows,
+      duplicate_rows: duplicateRows,
+      errors,
+      errors_truncated: invalidRows + duplicateRows > errors.length
+    };
+
+    return { entries, report };
+  }
+
+  /**
+   * Parse a lead file with the tenant's phone policy, without creating anything
+   * @returns {Promise<{ entries: Array<Object>, report: Object }>} see parseFile
+   */
+  async previewFile(schema, tenantId, file, importOptions = {}) {
+    const { policy } = await this.phonePolicy.getTenantPolicy(schema, tenantId);
+    return this.parseFile(file, { ...importOptions, policy });
+  }
+
+  /**
+   * Create a draft batch from a lead file
+   *
+   * @param {string} schema
+   * @param {Object} batchRequest - Batch request without entries (see TelephonyProvider)
+   * @param {Object} file - multer file
+   * @param {Object} [importOptions] - { mapping, defaultCountry, sheetName } (see parseFile)
+   * @param {Object} [batchOptions] - Dispatch options (see BatchDispatchService.createBatch)
+   * @returns {Promise<{ batch: Object, report: Object }>}
+   * @throws {Error} 400 NO_VALID_ROWS (with err.report) when no row can be called
+   */
+  async createDraftBatch(schema, batchRequest, file, importOptions = {}, batchOptions = {}) {
+    const { entries, report } = await this.previewFile(schema, batchRequest.tenantId, file, importOptions);
+    if (entries.length === 0) {
+      const err = this._badRequest('No row of the lead file has a valid phone number', 'NO_VALID_ROWS');
+      err.report = report;
+      throw err;
+    }
+
+    const batch = await this.batchDispatch.createBatch(schema, {
+      ...batchRequest,
+      entries: entries.map(entry => ({
+        toNumber: entry.to_number,
+        leadName: entry.lead_name,
+        leadId: entry.lead_id,
+        addedContext: entry.added_context
+      }))
+    }, {
+      ...batchOptions,
+      draft: true,
+      metadata: { import: report }
+    });
+
+    logger.info('[LeadImportService] Draft batch created from lead file', {
+      batchId: batch.id,
+      tenantId: batchRequest.tenantId,
+      fileName: report.file_name,
+      validRows: report.valid_rows,
+      invalidRows: report.invalid_rows,
+      duplicateRows: report.duplicate_rows
+    });
+    return { batch, report };
+  }
+}
+
+module.exports = LeadImportService;
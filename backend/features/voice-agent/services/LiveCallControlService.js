@@ -0,0 +1,228 @@
+/**
+ * Live Call Control Service
+ *
+ * Lets a user act on a call while it is in progress: transfer it to a human
+ * (warm - the agent briefs the human first - or cold), inject an instruction
+ * into the agent's conversation, or take the call over (the agent is muted
+ * so the user listening in can speak, and unmuted on release).
+ *
+ * Commands go to the provider that placed the call (metadata.createdVia)
+ * through TelephonyProvider.controlCall. Every action - sent or rejected by
+ * the provider - is recorded on the call timeline with the user who sent it.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const CallLoggingService = require('./CallLoggingService');
+const CallTimelineService = require('./CallTimelineService');
+const PhonePolicyService = require('./PhonePolicyService');
+const { getProviderRegistry } = require('./providers');
+const { CALL_EVENT_TYPES, TERMINAL_CALL_STATUSES } = require('../constants/callStatus');
+const {
+  LIVE_CONTROL_ACTIONS,
+  TRANSFER_MODES,
+  TAKEOVER_ACTIONS,
+  INJECT_ROLES,
+  MAX_INJECT_LENGTH
+} = require('../constants/liveCallControl');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class LiveCallControlService {
+  constructor(db = pool, options = {}) {
+    this.callLogging = new CallLoggingService(db);
+    this.timeline = options.timelineService || new CallTimelineService(db);
+    this.phonePolicy = options.phonePolicyService || new PhonePolicyService(db);
+    this.providerRegistry = options.providerRegistry || getProviderRegistry();
+  }
+
+  /**
+   * Transfer the call to a human
+   *
+   * @param {Object} callLog - from getControllableCall
+   * @param {Object} params - { toNumber, mode: 'warm' | 'cold', message? }
+   * @returns {Promise<Object>} { action, status, event }
+   * @throws {Error} 400 for a malformed request or undialable number, 403 DESTINATION_BLOCKED,
+   *   409 CALL_NOT_ACTIVE, 502 when the provider rejects the command
+   */
+  async transfer(schema, callLog, { toNumber, mode = TRANSFER_MODES.WARM, message = null } = {}, { userId = null } = {}) {
+    if (!Object.values(TRANSFER_MODES).includes(mode)) {
+      throw this._invalid(`mode must be one of: ${Object.values(TRANSFER_MODES).join(', ')}`);
+    }
+    const text = this._optionalText(message, 'message');
+    const check = await this.phonePolicy.assertCallable(schema, callLog.tenant_id, toNumber);
+
+    return this._send(schema, callLog, {
+      command: { action: LIVE_CONTROL_ACTIONS.TRANSFER, toNumber: check.phoneNumber, mode, message: text },
+      eventType: CALL_EVENT_TYPES.TRANSFER,
+      content: text,
+      details: { to_number: check.phoneNumber, mode },
+      userId
+    });
+  }
+
+  /**
+   * Add an instruction to the agent's conversation
+   *
+   * @param {Object} params - { content, role: 'system' (default) | 'user' | 'assistant',
+   *   respond: whether the agent replies straight away (default true) }
+   */
+  async inject(schema, callLog, { content, role = 'system', respond = true } = {}, { userId = null } = {}) {
+    const text = this._optionalText(content, 'content');
+    if (!text) {
+      throw this._invalid('content is required');
+    }
+    if (!INJECT_ROLES.includes(role)) {
+      throw this._invalid(`role must be one of: ${INJECT_ROLES.join(', ')}`);
+    }
+
+    return this._send(schema, callLog, {
+      command: { action: LIVE_CONTROL_ACTIONS.INJECT, role, content: text, respond: respond !== false },
+      eventType: CALL_EVENT_TYPES.MESSAGE_INJECTED,
+      role,
+      content: text,
+      details: { respond: respond !== false },
+      userId
+    });
+  }
+
+  /**
+   * Take the call over from the agent (mute it), or hand it back (unmute)
+   *
+   * @param {Object} params - { action: 'take' (default) | 'release', message?: spoken by
+   *   the agent before it goes quiet, e.g. "Let me bring in a colleague" }
+   */
+  async takeover(schema, callLog, { action = TAKEOVER_ACTIONS.TAKE, message = null } = {}, { userId = null } = {}) {
+    if (!Object.values(TAKEOVER_ACTIONS).includes(action)) {
+      throw this._invalid(`action must be one of: ${Object.values(TAKEOVER_ACTIONS).join(', ')}`);
+    }
+    const text = this._optionalText(message, 'message');
+    const take = action === TAKEOVER_ACTIONS.TAKE;
+
+    if (take && text) {
+      const { provider, agent } = await this._provider(schema, callLog);
+      const said = await provider.controlCall(callLog.provider_call_id, { action: LIVE_CONTROL_ACTIONS.SAY, content: text }, { schema, agent });
+      if (!said.success) {
+        logger.warn('[LiveCallControl] Handover message not spoken', { callLogId: callLog.id, error: said.error });
+      }
+    }
+
+    return this._send(schema, callLog, {
+      command: { action: take ? LIVE_CONTROL_ACTIONS.MUTE : LIVE_CONTROL_ACTIONS.UNMUTE },
+      eventType: CALL_EVENT_TYPES.TAKEOVER,
+      content: take ? text : null,
+      details: { action },
+      userId
+    });
+  }
+
+  /**
+   * Call log a live command can be sent to
+   *
+   * @returns {Promise<Object>} { id, tenant_id, agent_id, status, initiated_by_user_id,
+   *   provider_key, provider_call_id }
+   * @throws {Error} 404 CALL_NOT_FOUND, 409 CALL_NOT_ACTIVE
+   */
+  async getControllableCall(schema, tenantId, callId) {
+    const row = await this.callLogging.getCallLog(schema, callId, tenantId);
+    if (!row) {
+      const err = new Error('Call log not found');
+      err.code = 'CALL_NOT_FOUND';
+      err.status = 404;
+      throw err;
+    }
+
+    const callLog = {
+      id: row.call_log_id,
+      tenant_id: row.tenant_id,
+      agent_id: row.agent_id,
+      status: row.status,
+      initiated_by_user_id: row.initiated_by_user_id,
+      provider_key: row.metadata?.createdVia || null,
+      provider_call_id: row.metadata?.vapiCallId || null
+    };
+
+    if (TERMINAL_CALL_STATUSES.includes(String(callLog.status || '').toLowerCase())) {
+      throw this._notActive(`Call is already ${callLog.status}`);
+    }
+    if (!callLog.provider_call_id) {
+      throw this._notActive('Call has not been connected by the provider yet');
+    }
+    return callLog;
+  }
+
+  async _send(schema, callLog, { command, eventType, role = null, content = null, details = {}, userId }) {
+    const { provider, agent } = await this._provider(schema, callLog);
+    const result = await provider.controlCall(callLog.provider_call_id, command, { schema, agent });
+    const status = result.success ? 'sent' : 'failed';
+
+    const event = await this.timeline.recordEvent(callLog, {
+      eventType,
+      provider: provider.key,
+      providerCallId: callLog.provider_call_id,
+      status,
+      role,
+      content,
+      payload: result.success ? {} : { error: result.error || null },
+      occurredAt: new Date(),
+      metadata: { ...details, user_id: userId, source: 'live_control' }
+    }, schema);
+
+    logger.info('[LiveCallControl] Command sent', {
+      callLogId: callLog.id,
+      action: command.action,
+      provider: provider.key,
+      status,
+      userId
+    });
+
+    if (!result.success) {
+      const err = new Error(result.error || `${provider.name} rejected the ${command.action} command`);
+      err.code = 'PROVIDER_CONTROL_FAILED';
+      err.status = result.httpStatus === 409 ? 409 : 502;
+      throw err;
+    }
+
+    return { action: command.action, status, event };
+  }
+
+  async _provider(schema, callLog) {
+    return this.providerRegistry.resolveForPlacedCall({
+      schema,
+      tenantId: callLog.tenant_id,
+      agentId: callLog.agent_id,
+      providerKey: callLog.provider_key
+    });
+  }
+
+  _optionalText(value, field) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value !== 'string' || value.length > MAX_INJECT_LENGTH) {
+      throw this._invalid(`${field} must be text of at most ${MAX_INJECT_LENGTH} characters`);
+    }
+    return value.trim() || null;
+  }
+
+  _invalid(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_LIVE_CONTROL';
+    err.status = 400;
+    return err;
+  }
+
+  _notActive(message) {
+    const err = new Error(message);
+    err.code = 'CALL_NOT_ACTIVE';
+    err.status = 409;
+    return err;
+  }
+}
+
+module.exports = LiveCallControlService;
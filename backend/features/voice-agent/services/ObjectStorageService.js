@@ -0,0 +1,258 @@
+/**
+ * Object Storage Service
+ *
+ * Single entry point for the objects the voice agent stores (batch upload
+ * files, call recordings, voice samples), whichever storage driver holds them.
+ * New objects go to the configured driver (VOICE_STORAGE_DRIVER); existing
+ * ones are read by the driver owning their URL scheme.
+ *
+ * Access URLs (VOICE_STORAGE_URL_MODE, default signed):
+ * - signed: time-limited URL from the store itself (GCS v4, S3 SigV4)
+ * - public: direct URL of a publicly readable object
+ * - proxy: time-limited backend URL (/storage/objects/:token) streaming the
+ *   object, for stores that cannot sign (local disk) or are not reachable
+ * - location: the raw stored location (gs://, s3://, ...)
+ * Signed and public fall back to proxy when the store cannot provide them.
+ */
+
+const crypto = require('crypto');
+const { getStorageDriver, getStorageDriverFor } = require('./storage');
+
+const URL_MODES = ['signed', 'public', 'proxy', 'location'];
+const DEFAULT_EXPIRES_SECONDS = 3600;
+const PROXY_PATH = '/api/voice-agent/storage/objects';
+
+/**
+ * Parse a single-range HTTP Range header against an object size
+ *
+ * @param {string|undefined} header - e.g. "bytes=0-1023", "bytes=1024-", "bytes=-500"
+ * @param {number} size
+ * @returns {{ start: number, end: number }|null|false} range; null for the whole
+ *   object (no header, or a form we do not serve partially); false when unsatisfiable
+ */
+function parseRangeHeader(header, size) {
+  const match = String(header || '').trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) return false;
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+  return { start, end };
+}
+
+class ObjectStorageService {
+  getUploadPrefix() {
+    return (process.env.VOICE_STORAGE_UPLOAD_PREFIX || process.env.GCS_UPLOAD_PREFIX || 'voice-agent/uploads')
+      .replace(/^\/+|\/+$/g, '');
+  }
+
+  getUrlMode() {
+    const mode = (process.env.VOICE_STORAGE_URL_MODE || process.env.GCS_URL_MODE || 'signed').toLowerCase();
+    // 'gs' is the pre-driver name of the location mode
+    return mode === 'gs' ? 'location' : mode;
+  }
+
+  getSignedUrlExpiresSeconds() {
+    const seconds = parseInt(
+      process.env.VOICE_STORAGE_SIGNED_URL_EXPIRES_SECONDS || process.env.GCS_SIGNED_URL_EXPIRES_SECONDS || String(DEFAULT_EXPIRES_SECONDS),
+      10
+    );
+    if (Number.isNaN(seconds) || seconds <= 0) return DEFAULT_EXPIRES_SECONDS;
+    return seconds;
+  }
+
+  _driverFor(location) {
+    const driver = getStorageDriverFor(location);
+    if (!driver) {
+      const err = new Error('Object storage is not available for this location');
+      err.code = 'STORAGE_UNAVAILABLE';
+      err.status = 404;
+      throw err;
+    }
+    return driver;
+  }
+
+  /**
+   * Store an object with the configured driver
+   *
+   * @param {Object} params
+   * @param {Buffer} params.buffer
+   * @param {string} params.key - Object name, e.g. voice-agent/uploads/<tenant>/file.xlsx
+   * @param {string} [params.contentType]
+   * @returns {Promise<{ location: string, bucket: string|null, key: string, driver: string }>}
+   */
+  async upload({ buffer, key, contentType }) {
+    const driver = getStorageDriver();
+    const stored = await driver.upload({ buffer, key, contentType });
+    return { ...stored, driver: driver.key };
+  }
+
+  /**
+   * URL a client can read the object from
+   *
+   * @param {string} location - Stored location
+   * @param {Object} [options]
+   * @param {string} [options.mode] - signed | public | proxy | location (default VOICE_STORAGE_URL_MODE)
+   * @param {number} [options.expiresSeconds]
+   * @returns {Promise<{ url: string, expiresAt: string|null, mode: string }>}
+   */
+  async getAccessUrl(location, { mode = null, expiresSeconds = null } = {}) {
+    const urlMode = mode || this.getUrlMode();
+    const seconds = expiresSeconds || this.getSignedUrlExpiresSeconds();
+
+    if (!URL_MODES.includes(urlMode)) {
+      const err = new Error(`Unsupported storage URL mode: ${urlMode}`);
+      err.code = 'STORAGE_NOT_CONFIGURED';
+      throw err;
+    }
+
+    if (urlMode === 'location') {
+      return { url: location, expiresAt: null, mode: 'location' };
+    }
+
+    const driver = this._driverFor(location);
+
+    if (urlMode === 'signed') {
+      const signed = await driver.getSignedUrl(location, seconds);
+      if (signed) {
+        return { ...signed, mode: 'signed' };
+      }
+    }
+
+    if (urlMode === 'public') {
+      const url = driver.getPublicUrl(location);
+      if (url) {
+        return { url, expiresAt: null, mode: 'public' };
+      }
+    }
+
+    return { ...this.getProxyUrl(location, seconds), mode: 'proxy' };
+  }
+
+  _proxySecret() {
+    const secret = process.env.VOICE_STORAGE_PROXY_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      const err = new Error('VOICE_STORAGE_PROXY_SECRET is not configured');
+      err.code = 'STORAGE_NOT_CONFIGURED';
+      throw err;
+    }
+    return secret;
+  }
+
+  _sign(payload) {
+    return crypto.createHmac('sha256', this._proxySecret()).update(payload).digest('base64url');
+  }
+
+  /**
+   * Time-limited backend URL streaming the object (GET /storage/objects/:token)
+   *
+   * @param {string} location
+   * @param {number} [expiresSeconds]
+   * @returns {{ url: string, expiresAt: string }}
+   */
+  getProxyUrl(location, expiresSeconds = null) {
+    const expiresAtMs = Date.now() + (expiresSeconds || this.getSignedUrlExpiresSeconds()) * 1000;
+    const payload = Buffer.from(JSON.stringify({ l: location, e: expiresAtMs })).toString('base64url');
+    const token = `${payload}.${this._sign(payload)}`;
+    const baseUrl = (process.env.VOICE_STORAGE_PROXY_BASE_URL || '').replace(/\/+$/, '');
+
+    return {
+      url: `${baseUrl}${PROXY_PATH}/${token}`,
+      expiresAt: new Date(expiresAtMs).toISOString()
+    };
+  }
+
+  /**
+   * Location a proxy token grants access to
+   *
+   * @param {string} token
+   * @returns {string}
+   * @throws {Error} 403 INVALID_STORAGE_TOKEN when malformed, tampered with or expired
+   */
+  verifyProxyToken(token) {
+    const invalid = () => {
+      const err = new Error('Invalid or expired storage link');
+      err.code = 'INVALID_STORAGE_TOKEN';
+      err.status = 403;
+      return err;
+    };
+
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined) {
+      throw invalid();
+    }
+
+    const expected = Buffer.from(this._sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw invalid();
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalid();
+    }
+    if (!claims?.l || !(claims.e > Date.now())) {
+      throw invalid();
+    }
+    return claims.l;
+  }
+
+  /**
+   * Open an object for streaming through the backend
+   *
+   * @param {string} location - Stored location (gs://, s3://, local://, https://)
+   * @param {string} [rangeHeader] - Incoming HTTP Range header
+   * @returns {Promise<Object>} { stream, size, contentType, range } range null for the whole object
+   * @throws {Error} 404 STORAGE_UNAVAILABLE / NOT_FOUND, 416 RANGE_NOT_SATISFIABLE (with err.size)
+   */
+  async open(location, rangeHeader = null) {
+    const driver = this._driverFor(location);
+    const info = await driver.stat(location);
+
+    const range = parseRangeHeader(rangeHeader, info.size);
+    if (range === false) {
+      const err = new Error('Requested range not satisfiable');
+      err.code = 'RANGE_NOT_SATISFIABLE';
+      err.status = 416;
+      err.size = info.size;
+      throw err;
+    }
+
+    const stream = await driver.createReadStream(location, range);
+    return { stream, size: info.size, contentType: info.contentType, range };
+  }
+
+  /**
+   * Delete an object; provider-hosted URLs are left alone
+   *
+   * @param {string} location
+   * @returns {Promise<{ deleted: boolean }>}
+   */
+  async delete(location) {
+    const driver = getStorageDriverFor(location);
+    if (!driver) {
+      return { deleted: false };
+    }
+    return driver.delete(location);
+  }
+}
+
+module.exports = ObjectStorageService;
@@ -0,0 +1,234 @@
+/**
+ * Phone Policy Service
+ *
+ * Per-tenant rules for destination numbers, applied on every call path:
+ * national numbers are completed with the tenant's default country
+ * (VOICE_PHONE_DEFAULT_COUNTRY when the tenant sets none), and numbers in a
+ * blocked country or of a blocked type (premium rate by default) are never
+ * dialed. Tenants without a stored policy get DEFAULT_PHONE_POLICY.
+ *
+ * Single calls, including VoiceAgentClient.startCall, are rejected
+ * (assertCallable: 400 for numbers that cannot be dialed, 403
+ * DESTINATION_BLOCKED); batch entries to blocked destinations
+ * are skipped with the reason, like Do-Not-Call entries.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const PhonePolicyRepository = require('../repositories/phonePolicyRepository');
+const { parsePhoneNumber, normalizeCountry, isSupportedCountry, PHONE_ERRORS } = require('./phoneNumbers');
+const {
+  DEFAULT_PHONE_POLICY,
+  PHONE_NUMBER_TYPES,
+  PHONE_POLICY_ERRORS
+} = require('../constants/phonePolicy');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const PHONE_ERROR_MESSAGES = {
+  [PHONE_ERRORS.MISSING]: 'Phone number is empty',
+  [PHONE_ERRORS.INVALID]: 'Not a valid phone number',
+  [PHONE_ERRORS.COUNTRY_REQUIRED]: 'National number without a country; use the +<country code> format or set a default country',
+  [PHONE_ERRORS.UNKNOWN_COUNTRY]: 'Unsupported country'
+};
+
+class PhonePolicyService {
+  constructor(db = pool) {
+    this.repository = new PhonePolicyRepository(db);
+  }
+
+  /**
+   * Validate a phone policy
+   *
+   * @param {Object|null} policy - see DEFAULT_PHONE_POLICY
+   * @returns {Object|null} normalized policy; null resets to the default
+   * @throws {Error} status 400 when malformed
+   */
+  normalizePolicy(policy) {
+    if (policy === undefined || policy === null) {
+      return null;
+    }
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      throw this._invalid('phone_policy must be an object');
+    }
+
+    const defaultCountry = normalizeCountry(policy.default_country);
+    if (defaultCountry && !isSupportedCountry(defaultCountry)) {
+      throw this._invalid('phone_policy.default_country must be an ISO 3166-1 alpha-2 country code such as "US"');
+    }
+
+    const blockedCountries = this._normalizeList(policy.blocked_countries, 'blocked_countries', [])
+      .map(normalizeCountry);
+    const unknownCountry = blockedCountries.find(country => !isSupportedCountry(country));
+    if (unknownCountry) {
+      throw this._invalid(`phone_policy.blocked_countries has an unknown country code: ${unknownCountry}`);
+    }
+
+    const types = Object.values(PHONE_NUMBER_TYPES);
+    const blockedTypes = this._normalizeList(policy.blocked_number_types, 'blocked_number_types', DEFAULT_PHONE_POLICY.blocked_number_types)
+      .map(type => String(type).trim().toLowerCase());
+    const unknownType = blockedTypes.find(type => !types.includes(type));
+    if (unknownType) {
+      throw this._invalid(`phone_policy.blocked_number_types has an unknown type: ${unknownType} (expected ${types.join(', ')})`);
+    }
+
+    return {
+      default_country: defaultCountry,
+      blocked_countries: [...new Set(blockedCountries)],
+      blocked_number_types: [...new Set(blockedTypes)]
+    };
+  }
+
+  _normalizeList(value, field, fallback) {
+    if (value === undefined || value === null) {
+      return [...fallback];
+    }
+    if (!Array.isArray(value)) {
+      throw this._invalid(`phone_policy.${field} must be an array`);
+    }
+    return value;
+  }
+
+  /**
+   * Tenant policy (stored, else the default)
+   * @returns {Promise<{ policy, isDefault, updatedAt }>}
+   */
+  async getTenantPolicy(schema, tenantId) {
+    const row = await this.repository.getPolicy(schema, tenantId);
+    return {
+      policy: row?.policy || { ...DEFAULT_PHONE_POLICY, blocked_countries: [], blocked_number_types: [...DEFAULT_PHONE_POLICY.blocked_number_types] },
+      isDefault: !row,
+      updatedAt: row?.updated_at || null
+    };
+  }
+
+  /**
+   * Store the tenant policy; null resets to the default
+   */
+  async updateTenantPolicy(schema, tenantId, policy, { userId = null } = {}) {
+    const normalized = this.normalizePolicy(policy);
+    if (normalized) {
+      await this.repository.upsertPolicy(schema, tenantId, normalized, userId);
+    } else {
+      await this.repository.deletePolicy(schema, tenantId);
+    }
+
+    logger.info('[PhonePolicy] Tenant phone policy updated', { tenantId, userId, policy: normalized });
+    return this.getTenantPolicy(schema, tenantId);
+  }
+
+  /**
+   * Country national numbers are read in: explicit, else the tenant's, else the environment's
+   */
+  defaultCountryFor(policy, defaultCountry = null) {
+    return normalizeCountry(defaultCountry) ||
+      normalizeCountry(policy?.default_country) ||
+      normalizeCountry(process.env.VOICE_PHONE_DEFAULT_COUNTRY);
+  }
+
+  /**
+   * Check one number against a policy
+   *
+   * @param {Object} policy - Tenant policy (see getTenantPolicy)
+   * @param {string} value - Number as given
+   * @param {Object} [options]
+   * @param {string} [options.defaultCountry] - Overrides the policy's default country
+   * @returns {Object} { allowed, phoneNumber, country, type, error, reason }; error is one of
+   *   PHONE_ERRORS (phoneNumber null) or PHONE_POLICY_ERRORS (valid but blocked)
+   */
+  evaluate(policy, value, { defaultCountry = null } = {}) {
+    const parsed = parsePhoneNumber(value, { defaultCountry: this.defaultCountryFor(policy, defaultCountry) });
+    const check = {
+      allowed: false,
+      phoneNumber: parsed.phoneNumber,
+      country: parsed.country,
+      type: parsed.type,
+      error: parsed.error,
+      reason: parsed.error ? PHONE_ERROR_MESSAGES[parsed.error] : null
+    };
+    if (parsed.error) {
+      return check;
+    }
+
+    if (parsed.country && (policy?.blocked_countries || []).includes(parsed.country)) {
+      return { ...check, error: PHONE_POLICY_ERRORS.BLOCKED_COUNTRY, reason: `Calls to ${parsed.country} numbers are blocked` };
+    }
+    if ((policy?.blocked_number_types || []).includes(parsed.type)) {
+      return {
+        ...check,
+        error: PHONE_POLICY_ERRORS.BLOCKED_NUMBER_TYPE,
+        reason: `Calls to ${parsed.type.replace(/_/g, ' ')} numbers are blocked`
+      };
+    }
+    return { ...check, allowed: true };
+  }
+
+  /**
+   * Check numbers for a tenant, in input order
+   * @returns {Promise<Array<Object>>} see evaluate()
+   */
+  async checkNumbers(schema, tenantId, values, options = {}) {
+    const { policy } = await this.getTenantPolicy(schema, tenantId);
+    return values.map(value => this.evaluate(policy, value, options));
+  }
+
+  async checkNumber(schema, tenantId, value, options = {}) {
+    const [check] = await this.checkNumbers(schema, tenantId, [value], options);
+    return check;
+  }
+
+  /**
+   * Check the numbers of batch entries ({ toNumber }); each toNumber is
+   * rewritten to E.164 in place
+   *
+   * @returns {Promise<Array<Object>>} checks in entry order; entries to blocked
+   *   destinations have allowed false and a reason
+   * @throws {Error} 400 (code from PHONE_ERRORS) for the first entry that cannot be dialed
+   */
+  async checkBatchEntries(schema, tenantId, entries) {
+    const checks = await this.checkNumbers(schema, tenantId, entries.map(entry => entry.toNumber));
+
+    checks.forEach((check, index) => {
+      if (!check.phoneNumber) {
+        const err = new Error(`Entry ${index}: ${check.reason} (${entries[index].toNumber || 'empty'})`);
+        err.code = check.error;
+        err.status = 400;
+        throw err;
+      }
+      entries[index].toNumber = check.phoneNumber;
+    });
+    return checks;
+  }
+
+  /**
+   * Check a number about to be dialed
+   *
+   * @returns {Promise<Object>} the check; check.phoneNumber is the E.164 number to dial
+   * @throws {Error} 400 (code from PHONE_ERRORS) when the number cannot be dialed,
+   *   403 DESTINATION_BLOCKED when the tenant's policy blocks it
+   */
+  async assertCallable(schema, tenantId, value, options = {}) {
+    const check = await this.checkNumber(schema, tenantId, value, options);
+    if (!check.allowed) {
+      const err = new Error(check.reason);
+      err.code = check.phoneNumber ? 'DESTINATION_BLOCKED' : check.error;
+      err.status = check.phoneNumber ? 403 : 400;
+      throw err;
+    }
+    return check;
+  }
+
+  _invalid(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_PHONE_POLICY';
+    err.status = 400;
+    return err;
+  }
+}
+
+module.exports = PhonePolicyService;
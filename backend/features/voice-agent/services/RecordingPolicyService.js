@@ -0,0 +1,357 @@
+/**
+ * Recording Policy Service
+ *
+ * Per-tenant recording rules: whether calls are recorded, whether a
+ * recording consent disclosure is spoken at the start of the call (both
+ * overridable per destination calling code) and how many days recordings
+ * and transcripts are kept. Tenants without a stored policy get
+ * DEFAULT_RECORDING_POLICY.
+ *
+ * applyToRequest() resolves the policy for a call request and attaches it as
+ * request.recording = { enabled, disclosureMessage, countryCode }; providers
+ * turn that into their own recording/first-message settings.
+ *
+ * purgeExpired() is run by RecordingRetentionWorker: recordings and
+ * transcripts older than the tenant's retention period are removed, along
+ * with the summary, key points and sentiment of the call analysis, and each
+ * removal is written to voice_retention_deletions.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const RecordingPolicyRepository = require('../repositories/recordingPolicyRepository');
+const RecordingService = require('./RecordingService');
+const {
+  DEFAULT_RECORDING_POLICY,
+  RETENTION_ARTIFACTS,
+  RETENTION_DELETION_STATUS
+} = require('../constants/recordingPolicy');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const MAX_DISCLOSURE_LENGTH = 500;
+const MAX_RETENTION_DAYS = 3650;
+const OVERRIDE_FIELDS = ['record_calls', 'consent_disclosure', 'disclosure_message'];
+
+class RecordingPolicyService {
+  constructor(db = pool, options = {}) {
+    this.repository = new RecordingPolicyRepository(db);
+    this.recordingService = options.recordingService || null;
+    this.batchSize = parseInt(process.env.VOICE_RETENTION_BATCH_SIZE || '100', 10);
+  }
+
+  // Storage client is only needed by the purge job
+  _recordings() {
+    if (!this.recordingService) {
+      this.recordingService = new RecordingService();
+    }
+    return this.recordingService;
+  }
+
+  /**
+   * Validate a recording policy
+   *
+   * @param {Object|null} policy - see DEFAULT_RECORDING_POLICY
+   * @returns {Object|null} normalized policy; null resets to the default
+   * @throws {Error} status 400 when malformed
+   */
+  normalizePolicy(policy) {
+    if (policy === undefined || policy === null) {
+      return null;
+    }
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      throw this._invalid('recording_policy must be an object');
+    }
+
+    const normalized = {
+      ...this._normalizeRules(policy, 'recording_policy', DEFAULT_RECORDING_POLICY),
+      countries: {},
+      recording_retention_days: this._normalizeRetention(policy.recording_retention_days, 'recording_retention_days'),
+      transcript_retention_days: this._normalizeRetention(policy.transcript_retention_days, 'transcript_retention_days')
+    };
+
+    const countries = policy.countries ?? {};
+    if (typeof countries !== 'object' || Array.isArray(countries)) {
+      throw this._invalid('recording_policy.countries must be an object keyed by calling code (e.g. "+49")');
+    }
+    for (const [key, override] of Object.entries(countries)) {
+      const digits = String(key).replace(/^\+/, '');
+      if (!/^[1-9]\d{0,5}$/.test(digits)) {
+        throw this._invalid(`recording_policy.countries key "${key}" must be a calling code such as "+49"`);
+      }
+      if (!override || typeof override !== 'object' || Array.isArray(override)) {
+        throw this._invalid(`recording_policy.countries["${key}"] must be an object`);
+      }
+      normalized.countries[`+${digits}`] = this._normalizeRules(override, `recording_policy.countries["${key}"]`, null);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * record_calls / consent_disclosure / disclosure_message; with no defaults
+   * (country overrides) only the fields that are set are kept
+   */
+  _normalizeRules(rules, path, defaults) {
+    const normalized = {};
+
+    for (const field of ['record_calls', 'consent_disclosure']) {
+      if (rules[field] === undefined || rules[field] === null) {
+        if (defaults) normalized[field] = defaults[field];
+      } else if (typeof rules[field] !== 'boolean') {
+        throw this._invalid(`${path}.${field} must be a boolean`);
+      } else {
+        normalized[field] = rules[field];
+      }
+    }
+
+    const message = rules.disclosure_message;
+    if (message === undefined || message === null || message === '') {
+      if (defaults) normalized.disclosure_message = defaults.disclosure_message;
+    } else if (typeof message !== 'string' || message.trim().length > MAX_DISCLOSURE_LENGTH) {
+      throw this._invalid(`${path}.disclosure_message must be a string of at most ${MAX_DISCLOSURE_LENGTH} characters`);
+    } else {
+      normalized.disclosure_message = message.trim();
+    }
+
+    return normalized;
+  }
+
+  _normalizeRetention(value, field) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION_DAYS) {
+      throw this._invalid(`recording_policy.${field} must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}, or null to keep forever`);
+    }
+    return value;
+  }
+
+  /**
+   * Tenant policy (stored, else the default)
+   * @returns {Promise<{ policy, isDefault, updatedAt }>}
+   */
+  async getTenantPolicy(schema, tenantId) {
+    const row = await this.repository.getPolicy(schema, tenantId);
+    return {
+      policy: row?.policy || { ...DEFAULT_RECORDING_POLICY, countries: {} },
+      isDefault: !row,
+      updatedAt: row?.updated_at || null
+    };
+  }
+
+  /**
+   * Store the tenant policy; null resets to the default
+   */
+  async updateTenantPolicy(schema, tenantId, policy, { userId = null } = {}) {
+    const normalized = this.normalizePolicy(policy);
+    if (normalized) {
+      await this.repository.upsertPolicy(schema, tenantId, normalized, userId);
+    } else {
+      await this.repository.deletePolicy(schema, tenantId);
+    }
+
+    logger.info('[RecordingPolicy] Tenant recording policy updated', { tenantId, userId, policy: normalized });
+    return this.getTenantPolicy(schema, tenantId);
+  }
+
+  /**
+   * Rules for a destination number: the longest matching calling-code
+   * override on top of the tenant defaults
+   *
+   * @returns {Object} { recordCalls, consentDisclosure, disclosureMessage, countryCode }
+   */
+  resolveRules(policy, toNumber) {
+    const digits = String(toNumber || '').replace(/\D/g, '');
+    const countryCode = Object.keys(policy.countries || {})
+      .filter(code => digits.startsWith(code.slice(1)))
+      .sort((a, b) => b.length - a.length)[0] || null;
+
+    const rules = { ...policy };
+    if (countryCode) {
+      for (const field of OVERRIDE_FIELDS) {
+        if (policy.countries[countryCode][field] !== undefined) {
+          rules[field] = policy.countries[countryCode][field];
+        }
+      }
+    }
+
+    return {
+      recordCalls: rules.record_calls !== false,
+      consentDisclosure: rules.consent_disclosure === true,
+      disclosureMessage: rules.disclosure_message || DEFAULT_RECORDING_POLICY.disclosure_message,
+      countryCode
+    };
+  }
+
+  /**
+   * Recording settings for one call
+   * @returns {Promise<Object>} { enabled, disclosureMessage (null when none is played), countryCode }
+   */
+  async resolveForCall(schema, tenantId, toNumber) {
+    const { policy } = await this.getTenantPolicy(schema, tenantId);
+    const rules = this.resolveRules(policy, toNumber);
+    return {
+      enabled: rules.recordCalls,
+      disclosureMessage: rules.consentDisclosure ? rules.disclosureMessage : null,
+      countryCode: rules.countryCode
+    };
+  }
+
+  /**
+   * Attach the recording settings to a call request (request.recording)
+   * @returns {Promise<Object>} the same request
+   */
+  async applyToRequest(schema, request) {
+    request.recording = await this.resolveForCall(schema, request.tenantId, request.toNumber);
+    return request;
+  }
+
+  /**
+   * Recording settings for each entry of a batch request (entry.recording)
+   */
+  async applyToBatchRequest(schema, batchRequest) {
+    const { policy } = await this.getTenantPolicy(schema, batchRequest.tenantId);
+    for (const entry of batchRequest.entries || []) {
+      const rules = this.resolveRules(policy, entry.toNumber);
+      entry.recording = {
+        enabled: rules.recordCalls,
+        disclosureMessage: rules.consentDisclosure ? rules.disclosureMessage : null,
+        countryCode: rules.countryCode
+      };
+    }
+    return batchRequest;
+  }
+
+  /**
+   * Whether a finished call's recording may be stored: the settings the call
+   * was placed with, else the tenant's current policy for its number
+   *
+   * @param {Object} callLog - { tenant_id, metadata, to_number }
+   */
+  async isRecordingAllowed(schema, callLog) {
+    const placedWith = callLog.metadata?.call_request?.recording;
+    if (typeof placedWith?.enabled === 'boolean') {
+      return placedWith.enabled;
+    }
+
+    const { enabled } = await this.resolveForCall(schema, callLog.tenant_id, callLog.to_number);
+    return enabled;
+  }
+
+  async listDeletions(schema, tenantId, options = {}) {
+    return this.repository.listDeletions(schema, tenantId, options);
+  }
+
+  /**
+   * Remove recordings and transcripts past each tenant's retention period
+   * @returns {Promise<number>} artifacts processed (purged or failed)
+   */
+  async purgeExpired(schema = null) {
+    const policies = await this.repository.listPoliciesWithRetention(schema);
+    let processed = 0;
+
+    for (const { tenant_id: tenantId, policy } of policies) {
+      if (policy.recording_retention_days) {
+        processed += await this._purgeRecordings(schema, tenantId, policy.recording_retention_days);
+      }
+      if (policy.transcript_retention_days) {
+        processed += await this._purgeTranscripts(schema, tenantId, policy.transcript_retention_days);
+      }
+    }
+
+    return processed;
+  }
+
+  async _purgeRecordings(schema, tenantId, retentionDays) {
+    const calls = await this.repository.findExpiredRecordings(schema, tenantId, retentionDays, this.batchSize);
+
+    for (const call of calls) {
+      const audit = {
+        tenantId,
+        callLogId: call.id,
+        artifactType: RETENTION_ARTIFACTS.RECORDING,
+        location: call.recording_url,
+        retentionDays
+      };
+
+      try {
+        const { deleted } = await this._recordings().deleteRecording(call.recording_url);
+        await this.repository.markRecordingPurged(schema, tenantId, call.id);
+        await this.repository.insertDeletion(schema, {
+          ...audit,
+          status: deleted ? RETENTION_DELETION_STATUS.DELETED : RETENTION_DELETION_STATUS.UNLINKED
+        });
+      } catch (error) {
+        logger.error('[RecordingPolicy] Failed to purge recording', { tenantId, callLogId: call.id, error: error.message });
+        await this._auditFailure(schema, audit, error);
+      }
+    }
+
+    if (calls.length > 0) {
+      logger.info('[RecordingPolicy] Purged expired recordings', { tenantId, retentionDays, count: calls.length });
+    }
+    return calls.length;
+  }
+
+  async _purgeTranscripts(schema, tenantId, retentionDays) {
+    const calls = await this.repository.findExpiredTranscripts(schema, tenantId, retentionDays, this.batchSize);
+
+    for (const call of calls) {
+      const audit = {
+        tenantId,
+        callLogId: call.id,
+        artifactType: RETENTION_ARTIFACTS.TRANSCRIPT,
+        retentionDays
+      };
+
+      try {
+        const { analysisRedacted } = await this.repository.purgeTranscript(schema, tenantId, call.id);
+        if (call.has_transcript) {
+          await this.repository.insertDeletion(schema, { ...audit, status: RETENTION_DELETION_STATUS.DELETED });
+        }
+        if (analysisRedacted) {
+          await this.repository.insertDeletion(schema, {
+            ...audit,
+            artifactType: RETENTION_ARTIFACTS.ANALYSIS,
+            status: RETENTION_DELETION_STATUS.DELETED
+          });
+        }
+      } catch (error) {
+        logger.error('[RecordingPolicy] Failed to purge transcript', { tenantId, callLogId: call.id, error: error.message });
+        await this._auditFailure(schema, audit, error);
+      }
+    }
+
+    if (calls.length > 0) {
+      logger.info('[RecordingPolicy] Purged expired transcripts', { tenantId, retentionDays, count: calls.length });
+    }
+    return calls.length;
+  }
+
+  async _auditFailure(schema, audit, error) {
+    try {
+      await this.repository.insertDeletion(schema, {
+        ...audit,
+        status: RETENTION_DELETION_STATUS.FAILED,
+        error: error.message
+      });
+    } catch (auditError) {
+      logger.error('[RecordingPolicy] Failed to record purge failure', { callLogId: audit.callLogId, error: auditError.message });
+    }
+  }
+
+  _invalid(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_RECORDING_POLICY';
+    err.status = 400;
+    return err;
+  }
+}
+
+module.exports = RecordingPolicyService;
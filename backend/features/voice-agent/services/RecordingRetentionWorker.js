@@ -0,0 +1,91 @@
+/**
+ * Recording Retention Worker
+ *
+ * Periodically purges recordings and transcripts older than each tenant's
+ * retention period through RecordingPolicyService.purgeExpired(). Every
+ * deletion is audited in voice_retention_deletions.
+ */
+
+const RecordingPolicyService = require('./RecordingPolicyService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class RecordingRetentionWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.db] - pg pool
+   * @param {RecordingPolicyService} [options.recordingPolicyService]
+   */
+  constructor(options = {}) {
+    this.recordingPolicyService = options.recordingPolicyService || new RecordingPolicyService(options.db);
+    this.pollIntervalMs = parseInt(process.env.VOICE_RETENTION_WORKER_INTERVAL_MS || '3600000', 10);
+
+    this.running = false;
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('[RecordingRetentionWorker] Started', { pollIntervalMs: this.pollIntervalMs });
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('[RecordingRetentionWorker] Stopped');
+  }
+
+  _schedule(delayMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    // Never keep the process alive just for the worker
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    let processed = 0;
+    try {
+      processed = await this.recordingPolicyService.purgeExpired();
+    } catch (error) {
+      logger.error('[RecordingRetentionWorker] Purge failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+      // A full batch may mean more artifacts have expired
+      this._schedule(processed >= this.recordingPolicyService.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getRecordingRetentionWorker(options = {}) {
+  if (!instance) {
+    instance = new RecordingRetentionWorker(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  RecordingRetentionWorker,
+  getRecordingRetentionWorker
+};
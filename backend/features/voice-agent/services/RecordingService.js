@@ -2,11 +2,13 @@
  * Recording Service1.0
  * 
  * Handles call recording management and signed URL generation
- * Integrates with GCS (Google Cloud Storage) for recording storage
+ * Recordings and voice samples are read through the storage drivers
+ * (GCS, S3-compatible, local disk) via ObjectStorageService
  */
 
 const axios = require('axios');
-const { Storage } = require('@google-cloud/storage');
+const ObjectStorageService = require('./ObjectStorageService');
+const { getStorageDriverFor } = require('./storage');
 let logger;
 try {
   logger = require('../../../core/utils/logger');
@@ -20,52 +22,43 @@ class RecordingService {
     this.baseUrl = config.baseUrl || process.env.BASE_URL;
     this.signingEndpoint = config.signingEndpoint || process.env.SIGNING_ENDPOINT_URL;
     this.defaultExpirationHours = 96; // 4 days
-    this.storage = new Storage();
+    this.objectStorage = config.objectStorage || new ObjectStorageService();
   }
 
-  _getSignedUrlExpiresSeconds() {
-    const seconds = parseInt(process.env.GCS_SIGNED_URL_EXPIRES_SECONDS || '3600', 10);
-    if (Number.isNaN(seconds) || seconds <= 0) return 3600;
-    return seconds;
-  }
-
-  async getGCSSignedUrl(gsUrl, expirationSeconds = null) {
-    const seconds = expirationSeconds || this._getSignedUrlExpiresSeconds();
+  /**
+   * Get a readable URL for a stored object (recording, attachment, voice sample)
+   *
+   * Objects in our storage (gs://, s3://, local://) get a signed URL, or a
+   * backend proxy URL when the store cannot sign; provider-hosted and other
+   * URLs are returned as-is.
+   *
+   * @param {string} location - Stored location
+   * @param {number} expirationSeconds - URL expiration in seconds
+   * @returns {Promise<Object>} Signed URL result
+   */
+  async getSignedUrl(location, expirationSeconds = null) {
+    const seconds = expirationSeconds || this.objectStorage.getSignedUrlExpiresSeconds();
 
-    if (!gsUrl || !gsUrl.startsWith('gs://')) {
+    if (!location || !getStorageDriverFor(location)) {
       return {
         success: true,
-        signedUrl: gsUrl,
+        signedUrl: location,
         expiresAt: null,
-        originalUrl: gsUrl
-      };
-    }
-
-    const parsed = this.parseGCSUrl(gsUrl);
-    if (!parsed?.bucket || !parsed?.path) {
-      return {
-        success: false,
-        error: 'Invalid GCS URL'
+        originalUrl: location
       };
     }
 
     try {
-      const file = this.storage.bucket(parsed.bucket).file(parsed.path);
-      const expiresAtMs = Date.now() + seconds * 1000;
-      const [url] = await file.getSignedUrl({
-        version: 'v4',
-        action: 'read',
-        expires: expiresAtMs
-      });
+      const access = await this.objectStorage.getAccessUrl(location, { mode: 'signed', expiresSeconds: seconds });
 
       return {
         success: true,
-        signedUrl: url,
-        expiresAt: new Date(expiresAtMs).toISOString(),
-        originalUrl: gsUrl
+        signedUrl: access.url,
+        expiresAt: access.expiresAt,
+        originalUrl: location
       };
     } catch (error) {
-      logger.error('GCS signed URL error:', error.message);
+      logger.error('Storage signed URL error:', error.message);
       return {
         success: false,
         error: error.message
@@ -73,6 +66,45 @@ class RecordingService {
     }
   }
 
+  /**
+   * Open a recording for streaming through the backend
+   *
+   * @param {string} recordingUrl - Stored recording location (gs://, s3://, local://, https://)
+   * @param {string} [rangeHeader] - Incoming HTTP Range header
+   * @returns {Promise<Object>} { stream, size, contentType, range } range null for the whole recording
+   * @throws {Error} 404 RECORDING_UNAVAILABLE, 416 RANGE_NOT_SATISFIABLE (with err.size)
+   */
+  async openRecording(recordingUrl, rangeHeader = null) {
+    try {
+      return await this.objectStorage.open(recordingUrl, rangeHeader);
+    } catch (error) {
+      if (error.code === 'STORAGE_UNAVAILABLE') {
+        error.code = 'RECORDING_UNAVAILABLE';
+        error.message = 'Recording storage is not available for this call';
+      } else if (error.code === 'NOT_FOUND') {
+        error.code = 'RECORDING_UNAVAILABLE';
+        error.message = 'Recording not found in storage';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a recording from storage (retention purge)
+   *
+   * Only recordings in our storage are deleted; provider-hosted URLs are left
+   * alone and reported as not deleted.
+   *
+   * @param {string} recordingUrl
+   * @returns {Promise<{ deleted: boolean }>}
+   */
+  async deleteRecording(recordingUrl) {
+    if (!recordingUrl) {
+      return { deleted: false };
+    }
+    return this.objectStorage.delete(recordingUrl);
+  }
+
   /**
    * Get signed URL for a call recording
    * 
@@ -115,34 +147,22 @@ class RecordingService {
   /**
    * Get signed URL for voice sample
    * 
-   * Routes to signing service for voice profile samples
+   * Signed through the storage drivers; gs:// samples go to the external
+   * signing service instead when SIGNING_ENDPOINT_URL is configured
    * 
-   * @param {string} gsUrl - GCS URL (gs://bucket/path)
+   * @param {string} gsUrl - Stored sample location (gs://, s3://, local://, https://)
    * @param {number} expirationHours - URL expiration in hours
    * @returns {Promise<Object>} Signed URL result
    */
   async getVoiceSampleSignedUrl(gsUrl, expirationHours = null) {
     const hours = expirationHours || this.defaultExpirationHours;
     
-    // If URL is not a GCS URL (gs://), return it directly without signing
-    if (!gsUrl || !gsUrl.startsWith('gs://')) {
-      logger.info('Voice sample URL is not a GCS URL, returning as-is', {
-        url: gsUrl,
-        isGcs: false
-      });
-      
-      return {
-        success: true,
-        signedUrl: gsUrl,  // Return the original URL if it's already accessible
-        expiresAt: null,   // No expiration for non-GCS URLs
-        originalUrl: gsUrl
-      };
+    if (!this.signingEndpoint || !this.isValidGCSUrl(gsUrl)) {
+      return this.getSignedUrl(gsUrl, hours * 3600);
     }
     
     // Declare url outside try block for error logging
-    // If signingEndpoint is set, use it directly (assumes full URL)
-    // Otherwise, append /recordings/signed-url to baseUrl
-    const url = this.signingEndpoint || `${this.baseUrl}/recordings/signed-url`;
+    const url = this.signingEndpoint;
     
     try {
       // LAD Standard: Include authentication headers for remote API
@@ -275,7 +295,7 @@ class RecordingService {
   getConfigInfo() {
     return {
       hasBaseUrl: !!this.baseUrl,
-      signingEndpoint: this.signingEndpoint || 'using BASE_URL',
+      signingEndpoint: this.signingEndpoint || 'using storage drivers',
       defaultExpirationHours: this.defaultExpirationHours
     };
   }
@@ -0,0 +1,315 @@
+/**
+ * Scheduled Call Service
+ *
+ * Single calls requested for a future time (POST /calls/start-call with
+ * scheduled_at). Every scheduled call is a voice_scheduled_calls row; the
+ * configured scheduler backend (see services/schedulers) decides how it is
+ * fired when due:
+ *
+ * - postgres (default): ScheduledCallWorker polls for due rows
+ * - cloud-tasks: a Cloud Task calls back POST /scheduled-calls/fire
+ *
+ * Either way the row is claimed atomically (pending -> dispatching) before
+ * dialing, so a call fires once even if a cancelled task still calls back.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const ScheduledCallsRepository = require('../repositories/scheduledCallsRepository');
+const CallPlacementService = require('./CallPlacementService');
+const CallRetryService = require('./CallRetryService');
+const BusinessHoursService = require('./BusinessHoursService');
+const { getCallScheduler, PostgresCallScheduler } = require('./schedulers');
+const { SCHEDULED_CALL_STATUS } = require('../constants/scheduledCallStatus');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const MAX_ERROR_LENGTH = 2000;
+const POLLING_BACKEND = new PostgresCallScheduler().key;
+
+class ScheduledCallService {
+  constructor(db = pool, options = {}) {
+    this.repository = new ScheduledCallsRepository(db);
+    this.callPlacement = new CallPlacementService(db, options);
+    this.callRetry = new CallRetryService(db, options);
+    this.businessHours = new BusinessHoursService(db);
+    this.scheduler = options.scheduler || getCallScheduler();
+
+    this.batchSize = parseInt(process.env.VOICE_SCHEDULER_BATCH_SIZE || '20', 10);
+    this.lockTimeoutSeconds = parseInt(process.env.VOICE_SCHEDULER_LOCK_TIMEOUT_SECONDS || '300', 10);
+  }
+
+  /**
+   * Parse a scheduled_at value that must lie in the future
+   * @throws {Error} status 400
+   */
+  parseScheduledAt(scheduledAt) {
+    const scheduledDate = scheduledAt ? new Date(scheduledAt) : null;
+    if (!scheduledDate || Number.isNaN(scheduledDate.getTime())) {
+      throw this._badRequest('scheduled_at must be an ISO 8601 timestamp');
+    }
+    if (scheduledDate.getTime() <= Date.now()) {
+      throw this._badRequest('scheduled_at must be in the future');
+    }
+    return scheduledDate;
+  }
+
+  /**
+   * Store a call request to be placed at scheduledAt
+   *
+   * @param {string} schema - Sanitized schema name
+   * @param {Object} callRequest - Call request (see TelephonyProvider)
+   * @param {string} scheduledAt - ISO 8601 timestamp in the future
+   * @returns {Promise<Object>} voice_scheduled_calls row
+   */
+  async scheduleCall(schema, callRequest, scheduledAt) {
+    const scheduledDate = this.parseScheduledAt(scheduledAt);
+
+    const scheduledCall = await this.repository.create(schema, {
+      tenantId: callRequest.tenantId,
+      scheduledByUserId: callRequest.userId || null,
+      agentId: callRequest.agentId || null,
+      leadId: callRequest.leadId || null,
+      toNumber: callRequest.toNumber,
+      callRequest,
+      scheduledAt: scheduledDate,
+      backend: this.scheduler.key
+    });
+
+    try {
+      const { taskRef } = await this.scheduler.enqueue(scheduledCall);
+      if (taskRef) {
+        await this.repository.setTaskRef(schema, scheduledCall.id, taskRef);
+        scheduledCall.task_ref = taskRef;
+      }
+    } catch (error) {
+      await this._failScheduledCall(schema, scheduledCall, `Could not enqueue with ${this.scheduler.name}: ${error.message}`);
+      const err = new Error('Failed to schedule call');
+      err.code = 'SCHEDULER_UNAVAILABLE';
+      err.status = 502;
+      throw err;
+    }
+
+    logger.info('[ScheduledCall] Call scheduled', {
+      scheduledCallId: scheduledCall.id,
+      tenantId: scheduledCall.tenant_id,
+      scheduledAt: scheduledDate.toISOString(),
+      backend: scheduledCall.backend
+    });
+    return scheduledCall;
+  }
+
+  async listScheduledCalls(schema, tenantId, options = {}) {
+    return this.repository.list(schema, tenantId, options);
+  }
+
+  async getScheduledCall(schema, tenantId, id) {
+    const scheduledCall = await this.repository.get(schema, tenantId, id);
+    if (!scheduledCall) {
+      throw this._notFound();
+    }
+    return scheduledCall;
+  }
+
+  /**
+   * Cancel a pending scheduled call and withdraw its backend task
+   */
+  async cancelScheduledCall(schema, tenantId, id, { userId = null } = {}) {
+    const current = await this.getScheduledCall(schema, tenantId, id);
+    const cancelled = await this.repository.cancel(schema, tenantId, id, userId);
+    if (!cancelled) {
+      throw this._invalidState(`Only pending calls can be cancelled (current status: ${current.status})`);
+    }
+
+    // The claim in fire() already ignores cancelled rows; removing the task just saves a callback
+    await this._withBackend(cancelled, scheduler => scheduler.dequeue(cancelled));
+
+    logger.info('[ScheduledCall] Scheduled call cancelled', { scheduledCallId: cancelled.id, tenantId, userId });
+    return cancelled;
+  }
+
+  /**
+   * Move a pending scheduled call to a new time, held to the same business
+   * hours as scheduling it (POST /calls/start-call)
+   */
+  async rescheduleScheduledCall(schema, tenantId, id, scheduledAt, { userId = null } = {}) {
+    const scheduledDate = this.parseScheduledAt(scheduledAt);
+    const current = await this.getScheduledCall(schema, tenantId, id);
+    await this._assertWithinBusinessHours(schema, current, scheduledDate);
+
+    const rescheduled = await this.repository.reschedule(schema, tenantId, id, scheduledDate);
+    if (!rescheduled) {
+      throw this._invalidState(`Only pending calls can be rescheduled (current status: ${current.status})`);
+    }
+
+    const moved = await this._withBackend(rescheduled, scheduler => scheduler.reschedule(rescheduled));
+    if (moved?.taskRef && moved.taskRef !== rescheduled.task_ref) {
+      await this.repository.setTaskRef(schema, rescheduled.id, moved.taskRef);
+      rescheduled.task_ref = moved.taskRef;
+    }
+
+    logger.info('[ScheduledCall] Scheduled call rescheduled', {
+      scheduledCallId: rescheduled.id,
+      tenantId,
+      userId,
+      scheduledAt: scheduledDate.toISOString()
+    });
+    return rescheduled;
+  }
+
+  /**
+   * Fire due calls of the polling backend
+   * @returns {Promise<number>} calls fired
+   */
+  async fireDue(schema) {
+    const due = await this.repository.claimDue(schema, POLLING_BACKEND, this.batchSize, this.lockTimeoutSeconds);
+    for (const scheduledCall of due) {
+      await this._dial(schema, scheduledCall);
+    }
+    return due.length;
+  }
+
+  /**
+   * Fire one scheduled call (task backend callback)
+   * @returns {Promise<Object|null>} the fired row, or null when it is not pending and due
+   */
+  async fire(schema, id) {
+    const scheduledCall = await this.repository.claimById(schema, id);
+    if (!scheduledCall) {
+      return null;
+    }
+    await this._dial(schema, scheduledCall);
+    return scheduledCall;
+  }
+
+  async _dial(schema, scheduledCall) {
+    const request = { ...scheduledCall.call_request, tenantId: scheduledCall.tenant_id };
+
+    try {
+      const placed = await this.callPlacement.placeCall(schema, request);
+      if (!placed.success) {
+        await this._failScheduledCall(schema, scheduledCall, placed.error);
+        return;
+      }
+
+      await this.repository.markDispatched(schema, scheduledCall.id, {
+        callLogId: placed.callLogId,
+        providerCallId: placed.providerCallId
+      });
+
+      // Best effort: lets an automatic retry repeat the call as placed
+      if (placed.callLogId) {
+        try {
+          await this.callRetry.rememberCallRequest(schema, scheduledCall.tenant_id, placed.callLogId, scheduledCall.call_request);
+        } catch (error) {
+          logger.warn('[ScheduledCall] Failed to store call request for retries', {
+            scheduledCallId: scheduledCall.id,
+            error: error.message
+          });
+        }
+      }
+
+      logger.info('[ScheduledCall] Scheduled call fired', {
+        scheduledCallId: scheduledCall.id,
+        tenantId: scheduledCall.tenant_id,
+        callLogId: placed.callLogId
+      });
+    } catch (error) {
+      await this._failScheduledCall(schema, scheduledCall, error.message);
+    }
+  }
+
+  /**
+   * Run a backend operation with the scheduler that enqueued the row; failures only log
+   */
+  async _withBackend(scheduledCall, operation) {
+    if (scheduledCall.backend !== this.scheduler.key) {
+      return null;
+    }
+    try {
+      return await operation(this.scheduler);
+    } catch (error) {
+      logger.warn('[ScheduledCall] Scheduler backend operation failed', {
+        scheduledCallId: scheduledCall.id,
+        backend: scheduledCall.backend,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async _failScheduledCall(schema, scheduledCall, error) {
+    const message = String(error || 'Unknown error').slice(0, MAX_ERROR_LENGTH);
+    logger.warn('[ScheduledCall] Scheduled call failed', { scheduledCallId: scheduledCall.id, error: message });
+
+    try {
+      await this.repository.markFailed(schema, scheduledCall.id, message);
+    } catch (markError) {
+      // Row stays in `dispatching` and is failed once the lock timeout passes
+      logger.error('[ScheduledCall] Failed to record scheduled call failure', {
+        scheduledCallId: scheduledCall.id,
+        error: markError.message
+      });
+    }
+  }
+
+  _badRequest(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_SCHEDULED_AT';
+    err.status = 400;
+    return err;
+  }
+
+  /**
+   * Reject a time outside the call's business hours (lead local time).
+   * Fails open when the check itself fails, as at creation.
+   * @throws {Error} status 403 OUTSIDE_BUSINESS_HOURS
+   */
+  async _assertWithinBusinessHours(schema, scheduledCall, at) {
+    let check;
+    try {
+      check = await this.businessHours.checkCallTime(schema, {
+        tenantId: scheduledCall.tenant_id,
+        agentId: scheduledCall.agent_id !== null && scheduledCall.agent_id !== undefined ? String(scheduledCall.agent_id) : null,
+        toNumber: scheduledCall.to_number,
+        leadId: scheduledCall.lead_id || null,
+        at
+      });
+    } catch (error) {
+      logger.error('[ScheduledCall] Business hours check failed', { scheduledCallId: scheduledCall.id, error: error.message });
+      return;
+    }
+    if (check.allowed) {
+      return;
+    }
+
+    const err = new Error(check.reason);
+    err.code = 'OUTSIDE_BUSINESS_HOURS';
+    err.status = 403;
+    err.nextAllowedAt = check.nextAllowedAt;
+    throw err;
+  }
+
+  _notFound() {
+    const err = new Error('Scheduled call not found');
+    err.code = 'NOT_FOUND';
+    err.status = 404;
+    return err;
+  }
+
+  _invalidState(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_STATE';
+    err.status = 409;
+    return err;
+  }
+}
+
+ScheduledCallService.STATUS = SCHEDULED_CALL_STATUS;
+
+module.exports = ScheduledCallService;
@@ -0,0 +1,92 @@
+/**
+ * Scheduled Call Worker
+ *
+ * Places due calls of the postgres scheduler backend from
+ * voice_scheduled_calls through ScheduledCallService.fireDue(). Rows are
+ * claimed with SKIP LOCKED, so several instances can run side by side.
+ * Calls enqueued with Cloud Tasks are fired by its callback instead.
+ */
+
+const ScheduledCallService = require('./ScheduledCallService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class ScheduledCallWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.db] - pg pool
+   * @param {ScheduledCallService} [options.scheduledCallService]
+   */
+  constructor(options = {}) {
+    this.scheduledCallService = options.scheduledCallService || new ScheduledCallService(options.db);
+    this.pollIntervalMs = parseInt(process.env.VOICE_SCHEDULER_WORKER_INTERVAL_MS || '15000', 10);
+
+    this.running = false;
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('[ScheduledCallWorker] Started', { pollIntervalMs: this.pollIntervalMs });
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('[ScheduledCallWorker] Stopped');
+  }
+
+  _schedule(delayMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    // Never keep the process alive just for the worker
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    let fired = 0;
+    try {
+      fired = await this.scheduledCallService.fireDue();
+    } catch (error) {
+      logger.error('[ScheduledCallWorker] Poll failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+      // A full claim may mean more calls are due
+      this._schedule(fired >= this.scheduledCallService.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getScheduledCallWorker(options = {}) {
+  if (!instance) {
+    instance = new ScheduledCallWorker(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  ScheduledCallWorker,
+  getScheduledCallWorker
+};
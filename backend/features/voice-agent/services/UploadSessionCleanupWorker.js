@@ -0,0 +1,91 @@
+/**
+ * Upload Session Cleanup Worker
+ *
+ * Periodically removes expired batch upload sessions through
+ * UploadSessionService.purgeExpired(), deleting the files of sessions that
+ * no batch used.
+ */
+
+const UploadSessionService = require('./UploadSessionService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class UploadSessionCleanupWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.db] - pg pool
+   * @param {UploadSessionService} [options.uploadSessionService]
+   */
+  constructor(options = {}) {
+    this.uploadSessionService = options.uploadSessionService || new UploadSessionService(options.db);
+    this.pollIntervalMs = parseInt(process.env.VOICE_UPLOAD_SESSION_WORKER_INTERVAL_MS || '600000', 10);
+
+    this.running = false;
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('[UploadSessionCleanupWorker] Started', { pollIntervalMs: this.pollIntervalMs });
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('[UploadSessionCleanupWorker] Stopped');
+  }
+
+  _schedule(delayMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    // Never keep the process alive just for the worker
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    let removed = 0;
+    try {
+      removed = await this.uploadSessionService.purgeExpired();
+    } catch (error) {
+      logger.error('[UploadSessionCleanupWorker] Cleanup failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+      // A full batch may mean more sessions have expired
+      this._schedule(removed >= this.uploadSessionService.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getUploadSessionCleanupWorker(options = {}) {
+  if (!instance) {
+    instance = new UploadSessionCleanupWorker(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  UploadSessionCleanupWorker,
+  getUploadSessionCleanupWorker
+};
@@ -0,0 +1,187 @@
+/**
+ * Upload Session Service
+ *
+ * Batch call files uploaded through /upload-gcp are kept as upload sessions
+ * in Postgres (voice_upload_sessions), so /batch/trigger-batch-call can use
+ * them on any instance by upload_session_id. A session is used by one batch
+ * at most and expires after VOICE_UPLOAD_SESSION_TTL_SECONDS; it is claimed
+ * only for the batch that is created, and released when that fails. Links
+ * are created from the stored locations when the session is read, so they
+ * are never older than the batch.
+ *
+ * UploadSessionCleanupWorker removes expired sessions, and deletes the
+ * objects of sessions no batch ever used.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const UploadSessionRepository = require('../repositories/uploadSessionRepository');
+const GCSUploadService = require('./GCSUploadService');
+const ObjectStorageService = require('./ObjectStorageService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class UploadSessionService {
+  constructor(db = pool, options = {}) {
+    this.repository = new UploadSessionRepository(db);
+    this.uploadService = options.uploadService || new GCSUploadService();
+    this.objectStorage = options.objectStorage || new ObjectStorageService();
+    this.batchSize = parseInt(process.env.VOICE_UPLOAD_SESSION_CLEANUP_BATCH_SIZE || '100', 10);
+  }
+
+  getTtlSeconds() {
+    const seconds = parseInt(process.env.VOICE_UPLOAD_SESSION_TTL_SECONDS || process.env.GCS_LINK_TTL_SECONDS || '3600', 10);
+    if (Number.isNaN(seconds) || seconds <= 0) return 3600;
+    return seconds;
+  }
+
+  _error(message, code, status) {
+    const err = new Error(message);
+    err.code = code;
+    err.status = status;
+    return err;
+  }
+
+  /**
+   * Store uploaded batch files as a session
+   *
+   * @param {string} schema
+   * @param {Object} params
+   * @param {string} params.tenantId
+   * @param {string} [params.userId]
+   * @param {Object} params.excelUpload - GCSUploadService.uploadMulterFile result
+   * @param {Object} params.jsonUpload - GCSUploadService.uploadMulterFile result
+   * @returns {Promise<Object>} Session row
+   */
+  async createSession(schema, { tenantId, userId = null, excelUpload, jsonUpload }) {
+    const session = await this.repository.createSession(schema, {
+      tenantId,
+      userId,
+      attachmentLocation: excelUpload.location,
+      attachmentFileName: excelUpload.objectName ? excelUpload.objectName.split('/').pop() : null,
+      jsonLocation: jsonUpload.location,
+      jsonFileName: jsonUpload.objectName ? jsonUpload.objectName.split('/').pop() : null
+    }, this.getTtlSeconds());
+
+    logger.info('[UploadSessionService] Upload session created', {
+      sessionId: session.id,
+      tenantId,
+      expiresAt: session.expires_at
+    });
+    return session;
+  }
+
+  /**
+   * Links to a session's files
+   * @returns {Promise<{ attachmentLink: string, jsonLink: string }>}
+   */
+  async getLinks(session) {
+    const [attachmentLink, jsonLink] = await Promise.all([
+      this.uploadService.getFileUrl(session.attachment_location),
+      this.uploadService.getFileUrl(session.json_location)
+    ]);
+    return { attachmentLink, jsonLink };
+  }
+
+  /**
+   * Read a session a batch is about to use (see claimSession)
+   *
+   * @param {string} schema
+   * @param {string} tenantId
+   * @param {string} sessionId
+   * @param {string} [userId] - Sessions are used by the user who uploaded them
+   * @returns {Promise<Object>} { session, attachmentLink, jsonLink }
+   * @throws {Error} 404 UPLOAD_SESSION_NOT_FOUND, 410 UPLOAD_SESSION_EXPIRED, 409 UPLOAD_SESSION_USED
+   */
+  async getSessionUpload(schema, tenantId, sessionId, userId = null) {
+    const notFound = () => this._error('Upload session not found', 'UPLOAD_SESSION_NOT_FOUND', 404);
+
+    if (!UUID_REGEX.test(String(sessionId))) {
+      throw notFound();
+    }
+
+    const session = await this.repository.getSession(schema, tenantId, sessionId);
+    if (!session || (session.user_id && userId && session.user_id !== userId)) {
+      throw notFound();
+    }
+    if (session.consumed_at) {
+      throw this._usedError();
+    }
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+      throw this._error('Upload session has expired; upload the files again', 'UPLOAD_SESSION_EXPIRED', 410);
+    }
+
+    return { session, ...(await this.getLinks(session)) };
+  }
+
+  /**
+   * Mark a session used by the batch being created. Atomic, so concurrent
+   * batches cannot both use it; release it when the batch is not created.
+   *
+   * @throws {Error} 409 UPLOAD_SESSION_USED
+   */
+  async claimSession(schema, tenantId, sessionId) {
+    const session = await this.repository.consumeSession(schema, tenantId, sessionId);
+    if (!session) {
+      // Used by a concurrent batch (or expired) since it was read
+      throw this._usedError();
+    }
+    return session;
+  }
+
+  /**
+   * Make a claimed session usable again; failures only log (the files are
+   * uploaded again)
+   */
+  async releaseSession(schema, tenantId, sessionId) {
+    try {
+      await this.repository.releaseSession(schema, tenantId, sessionId);
+    } catch (error) {
+      logger.warn('[UploadSessionService] Failed to release upload session', {
+        sessionId,
+        tenantId,
+        error: error.message
+      });
+    }
+  }
+
+  _usedError() {
+    return this._error('Upload session was already used by a batch', 'UPLOAD_SESSION_USED', 409);
+  }
+
+  /**
+   * Remove expired sessions; files of sessions no batch used are deleted
+   * @returns {Promise<number>} Sessions removed
+   */
+  async purgeExpired(schema = null) {
+    const sessions = await this.repository.deleteExpiredSessions(schema, this.batchSize);
+
+    for (const session of sessions.filter(s => !s.consumed_at)) {
+      for (const location of [session.attachment_location, session.json_location]) {
+        try {
+          await this.objectStorage.delete(location);
+        } catch (error) {
+          logger.warn('[UploadSessionService] Failed to delete unused upload', {
+            sessionId: session.id,
+            location,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (sessions.length > 0) {
+      logger.info('[UploadSessionService] Expired upload sessions removed', { count: sessions.length });
+    }
+    return sessions.length;
+  }
+}
+
+module.exports = UploadSessionService;
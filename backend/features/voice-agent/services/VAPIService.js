@@ -9,6 +9,8 @@
  */
 
 const axios = require('axios');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+const { dropMessageFor } = require('./voicemailPolicy');
 let logger;
 try {
   logger = require('../../../core/utils/logger');
@@ -17,6 +19,12 @@ try {
   logger = loggerAdapter.getLogger();
 }
 
+// Calls are placed with live listen/control URLs so supervisors can act on them (see controlCall)
+const MONITOR_PLAN = { listenEnabled: true, controlEnabled: true };
+
+// Answering-machine detection used for agents whose voicemail policy detects voicemail
+const VOICEMAIL_DETECTION = { provider: 'vapi' };
+
 class VAPIService {
   constructor(config = {}) {
     this.apiKey = config.apiKey || process.env.VAPI_API_KEY;
@@ -42,6 +50,11 @@ class VAPIService {
    * @param {string} params.agentId - Agent ID (if "VAPI", use VAPI)
    * @param {string} params.addedContext - Additional context for the call
    * @param {Object} params.assistantOverrides - Assistant configuration overrides
+   * @param {Object} [params.recording] - Tenant recording policy { enabled, disclosureMessage }
+   * @param {Object} [params.voicemail] - Agent voicemail policy (see voicemailPolicy.js)
+   * @param {string} [params.assistantId] - Per-agent assistant ID (defaults to VAPI_ASSISTANT_ID)
+   * @param {string} [params.phoneNumberId] - Per-number phone number ID (defaults to VAPI_PHONE_NUMBER_ID)
+   * @param {string} [params.apiKey] - Per-agent API key (defaults to VAPI_API_KEY)
    * @returns {Promise<Object>} VAPI call response
    */
   async initiateCall({
@@ -49,11 +62,16 @@ class VAPIService {
     leadName,
     agentId,
     addedContext = '',
-    assistantOverrides = {}
+    assistantOverrides = {},
+    recording = null,
+    voicemail = null,
+    assistantId = this.assistantId,
+    phoneNumberId = this.phoneNumberId,
+    apiKey = this.apiKey
   }) {
-    // Check if should route to VAPI
-    if (!this.shouldUseVAPI(agentId)) {
-      throw new Error('Agent is not configured for VAPI routing');
+    // Routing is decided by the provider registry; only guard against missing credentials
+    if (!apiKey) {
+      throw new Error('VAPI is not configured');
     }
 
     // Generate greeting based on time of day
@@ -64,21 +82,22 @@ class VAPIService {
 
     // Build VAPI request payload
     const payload = {
-      phoneNumberId: this.phoneNumberId,
+      phoneNumberId,
       customer: {
         number: phoneNumber
       },
-      assistantId: this.assistantId,
-      assistantOverrides: {
+      assistantId,
+      assistantOverrides: this.applyVoicemailPolicy(this.applyRecordingPolicy({
+        monitorPlan: { ...MONITOR_PLAN },
         firstMessage,
         ...assistantOverrides
-      }
+      }, recording), voicemail)
     };
 
     try {
       const response = await axios.post(this.apiUrl, payload, {
         headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
+          'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json'
         }
       });
@@ -100,6 +119,54 @@ class VAPIService {
     }
   }
 
+  /**
+   * Apply the tenant recording policy to assistant overrides: the consent
+   * disclosure is spoken before the first message and recording can be
+   * switched off for the call
+   *
+   * @param {Object} overrides - Assistant overrides
+   * @param {Object|null} recording - { enabled, disclosureMessage }
+   * @returns {Object} overrides
+   */
+  applyRecordingPolicy(overrides, recording) {
+    if (!recording) {
+      return overrides;
+    }
+
+    if (recording.disclosureMessage) {
+      overrides.firstMessage = `${recording.disclosureMessage} ${overrides.firstMessage || ''}`.trim();
+    }
+    if (recording.enabled === false) {
+      overrides.artifactPlan = { ...(overrides.artifactPlan || {}), recordingEnabled: false };
+    }
+    return overrides;
+  }
+
+  /**
+   * Apply the agent's voicemail policy to assistant overrides: VAPI detects
+   * voicemail, then leaves voicemailMessage (text, or a URL to an audio file
+   * as with firstMessage) or hangs up when there is none. With detection off
+   * the assistant's own settings are left as they are.
+   *
+   * @param {Object} overrides - Assistant overrides
+   * @param {Object|null} voicemail - { detection, action, message_type, message, audio_url }
+   * @returns {Object} overrides
+   */
+  applyVoicemailPolicy(overrides, voicemail) {
+    if (!voicemail || voicemail.detection === false) {
+      return overrides;
+    }
+
+    overrides.voicemailDetection = overrides.voicemailDetection || { ...VOICEMAIL_DETECTION };
+    const message = dropMessageFor(voicemail);
+    if (message) {
+      overrides.voicemailMessage = message;
+    } else {
+      delete overrides.voicemailMessage;
+    }
+    return overrides;
+  }
+
   /**
    * Batch initiate calls via VAPI
    * 
@@ -107,16 +174,21 @@ class VAPIService {
    * @param {string} entries[].phoneNumber - Recipient phone number
    * @param {string} entries[].leadName - Lead name
    * @param {string} entries[].added_context - Entry-specific context
+   * @param {Object} [entries[].recording] - Tenant recording policy for the entry
    * @param {string} globalContext - Global context for all calls
    * @param {string} agentId - Agent ID
    * @param {Object} assistantOverrides - Global assistant overrides
+   * @param {Object} [voicemail] - Agent voicemail policy
+   * @param {Object} credentials - Per-agent { assistantId, phoneNumberId, apiKey } overrides
    * @returns {Promise<Array>} Array of call results
    */
   async batchInitiateCalls({
     entries,
     globalContext = '',
     agentId,
-    assistantOverrides = {}
+    assistantOverrides = {},
+    voicemail = null,
+    credentials = {}
   }) {
     const results = [];
 
@@ -131,7 +203,10 @@ class VAPIService {
           leadName: entry.leadName || entry.name,
           agentId,
           addedContext: contextToUse,
-          assistantOverrides
+          assistantOverrides,
+          recording: entry.recording || null,
+          voicemail,
+          ...credentials
         });
 
         results.push({
@@ -162,6 +237,7 @@ class VAPIService {
    * 
    * @param {string} agentId - Agent ID
    * @returns {boolean} Should use VAPI
+   * @deprecated Routing lives in ProviderRegistry.resolveForAgent
    */
   shouldUseVAPI(agentId) {
     // VAPI routing: only for explicit "VAPI" agent (removed hardcoded agent 24)
@@ -212,13 +288,15 @@ class VAPIService {
    * Get call status from VAPI
    * 
    * @param {string} vapiCallId - VAPI call ID
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Per-agent API key (defaults to VAPI_API_KEY)
    * @returns {Promise<Object>} Call status
    */
-  async getCallStatus(vapiCallId) {
+  async getCallStatus(vapiCallId, { apiKey = this.apiKey } = {}) {
     try {
       const response = await axios.get(`${this.apiUrl}/${vapiCallId}`, {
         headers: {
-          'Authorization': `Bearer ${this.apiKey}`
+          'Authorization': `Bearer ${apiKey}`
         }
       });
 
@@ -240,16 +318,18 @@ class VAPIService {
    * 
    * @param {string} vapiCallId - VAPI call ID
    * @param {Object} updates - Update payload
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Per-agent API key (defaults to VAPI_API_KEY)
    * @returns {Promise<Object>} Update result
    */
-  async updateCall(vapiCallId, updates) {
+  async updateCall(vapiCallId, updates, { apiKey = this.apiKey } = {}) {
     try {
       const response = await axios.patch(
         `${this.apiUrl}/${vapiCallId}`,
         updates,
         {
           headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
+            'Authorization': `Bearer ${apiKey}`,
             'Content-Type': 'application/json'
           }
         }
@@ -271,13 +351,15 @@ class VAPIService {
    * End call via VAPI API
    * 
    * @param {string} vapiCallId - VAPI call ID
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Per-agent API key (defaults to VAPI_API_KEY)
    * @returns {Promise<Object>} End call result
    */
-  async endCall(vapiCallId) {
+  async endCall(vapiCallId, { apiKey = this.apiKey } = {}) {
     try {
       const response = await axios.delete(`${this.apiUrl}/${vapiCallId}`, {
         headers: {
-          'Authorization': `Bearer ${this.apiKey}`
+          'Authorization': `Bearer ${apiKey}`
         }
       });
 
@@ -293,6 +375,72 @@ class VAPIService {
     }
   }
 
+  /**
+   * Monitor URLs of an in-progress call: listenUrl (websocket audio stream)
+   * and controlUrl (see controlCall); present when placed with MONITOR_PLAN
+   * 
+   * @param {string} vapiCallId - VAPI call ID
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Per-agent API key (defaults to VAPI_API_KEY)
+   * @returns {Promise<Object>} { success, data: { listenUrl, controlUrl } }; 409 once the call has ended
+   */
+  async getMonitor(vapiCallId, { apiKey = this.apiKey } = {}) {
+    const call = await this.getCallStatus(vapiCallId, { apiKey });
+    if (!call.success) {
+      return call;
+    }
+    if (call.status === 'ended') {
+      return { success: false, error: 'The call has ended', httpStatus: 409 };
+    }
+
+    return {
+      success: true,
+      data: {
+        listenUrl: call.data?.monitor?.listenUrl || null,
+        controlUrl: call.data?.monitor?.controlUrl || null
+      }
+    };
+  }
+
+  /**
+   * Send a live control message to an in-progress call through its monitor
+   * control URL (the call must have been placed with MONITOR_PLAN)
+   * 
+   * @param {string} vapiCallId - VAPI call ID
+   * @param {Object} message - Control message, e.g. { type: 'add-message', message: { role, content } },
+   *   { type: 'transfer', destination }, { type: 'control', control: 'mute-assistant' }, { type: 'say', content }
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Per-agent API key (defaults to VAPI_API_KEY)
+   * @returns {Promise<Object>} { success, data } or { success: false, error, httpStatus }
+   */
+  async controlCall(vapiCallId, message, { apiKey = this.apiKey } = {}) {
+    const monitor = await this.getMonitor(vapiCallId, { apiKey });
+    if (!monitor.success) {
+      return monitor;
+    }
+    const controlUrl = monitor.data.controlUrl;
+    if (!controlUrl) {
+      return { success: false, error: 'Live control is not enabled for this call', httpStatus: 409 };
+    }
+
+    try {
+      const response = await axios.post(controlUrl, message, {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+        httpStatus: error.response?.status
+      };
+    }
+  }
+
   /**
    * Build assistant overrides with custom configuration
    * 
@@ -328,21 +476,11 @@ class VAPIService {
    * Validate phone number format
    * 
    * @param {string} phoneNumber - Phone number
+   * @param {string} defaultCountry - ISO country for national numbers (e.g., 'US')
    * @returns {boolean} Is valid
    */
-  isValidPhoneNumber(phoneNumber) {
-    if (!phoneNumber) return false;
-    
-    // Remove common formatting characters
-    const cleaned = phoneNumber.replace(/[\s\-\(\)\.]/g, '');
-    
-    // Check if it's a valid international number (e.g., +1234567890)
-    const internationalPattern = /^\+\d{10,15}$/;
-    
-    // Check if it's a valid US number (10 digits)
-    const usPattern = /^\d{10}$/;
-    
-    return internationalPattern.test(cleaned) || usPattern.test(cleaned);
+  isValidPhoneNumber(phoneNumber, defaultCountry = process.env.VOICE_PHONE_DEFAULT_COUNTRY || null) {
+    return !!normalizePhoneNumber(phoneNumber, { defaultCountry }).phoneNumber;
   }
 
   /**
@@ -350,27 +488,11 @@ class VAPIService {
    * Ensures E.164 format (+[country code][number])
    * 
    * @param {string} phoneNumber - Phone number
-   * @param {string} defaultCountryCode - Default country code (e.g., '+1')
-   * @returns {string} Formatted phone number
+   * @param {string} defaultCountry - ISO country for national numbers (e.g., 'US')
+   * @returns {string|null} Formatted phone number, null when it is not a valid number
    */
-  formatPhoneNumber(phoneNumber, defaultCountryCode = '+1') {
-    if (!phoneNumber) return null;
-
-    // Remove all non-digit characters except '+'
-    let cleaned = phoneNumber.replace(/[^\d+]/g, '');
-
-    // If already has '+', return as is
-    if (cleaned.startsWith('+')) {
-      return cleaned;
-    }
-
-    // If starts with country code without '+', add it
-    if (cleaned.length > 10) {
-      return `+${cleaned}`;
-    }
-
-    // Otherwise, add default country code
-    return `${defaultCountryCode}${cleaned}`;
+  formatPhoneNumber(phoneNumber, defaultCountry = process.env.VOICE_PHONE_DEFAULT_COUNTRY || null) {
+    return normalizePhoneNumber(phoneNumber, { defaultCountry }).phoneNumber;
   }
 
   /**
@@ -422,4 +544,6 @@ class VAPIService {
   }
 }
 
+VAPIService.MONITOR_PLAN = MONITOR_PLAN;
+
 module.exports = VAPIService;
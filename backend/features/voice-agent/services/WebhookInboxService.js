@@ -0,0 +1,149 @@
+/**
+ * Webhook Inbox Service
+ *
+ * Durable inbox for provider webhooks. Raw payloads are stored at receipt
+ * and processed by WebhookInboxWorker; failed attempts are retried with
+ * exponential backoff and moved to dead_letter once max attempts is reached.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const WebhookInboxRepository = require('../repositories/webhookInboxRepository');
+const WebhookEventsRepository = require('../repositories/webhookEventsRepository');
+const WebhookSecurityService = require('./WebhookSecurityService');
+const { PROVIDER_VAPI } = WebhookSecurityService;
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const INBOX_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead_letter'];
+const MAX_ERROR_LENGTH = 2000;
+
+class WebhookInboxService {
+  constructor(db = pool) {
+    this.inboxRepository = new WebhookInboxRepository(db);
+    this.eventsRepository = new WebhookEventsRepository(db);
+    this.security = new WebhookSecurityService(db);
+    this.maxAttempts = parseInt(process.env.VOICE_WEBHOOK_MAX_ATTEMPTS || '8', 10);
+    this.retryBaseMs = parseInt(process.env.VOICE_WEBHOOK_RETRY_BASE_MS || '5000', 10);
+    this.retryMaxMs = parseInt(process.env.VOICE_WEBHOOK_RETRY_MAX_MS || `${60 * 60 * 1000}`, 10);
+  }
+
+  /**
+   * Store a verified VAPI delivery
+   * @returns {Promise<Object|null>} inbox row, or null when the event is a replay
+   */
+  async enqueueVAPIEvent(req) {
+    const { eventType, providerCallId } = this.security.describeEvent(req.body);
+    const payloadHash = this.security.hashPayload(this.security.getRawBody(req));
+    const eventKey = this.security.buildEventKey(eventType, providerCallId, payloadHash);
+
+    return this.inboxRepository.enqueueEvent({
+      provider: PROVIDER_VAPI,
+      eventKey,
+      eventType,
+      providerCallId,
+      payloadHash,
+      payload: req.body,
+      maxAttempts: this.maxAttempts
+    });
+  }
+
+  async claimDueEvents(limit, lockTimeoutSeconds) {
+    return this.inboxRepository.claimDueEvents(limit, lockTimeoutSeconds);
+  }
+
+  /**
+   * @param {Object} event - inbox row
+   * @param {Object} context - { tenantId, callLogId } returned by the event processor
+   */
+  async markProcessed(event, context = {}) {
+    await this.inboxRepository.markProcessed(event.id, context);
+    if (event.webhook_event_id) {
+      await this.eventsRepository.markProcessed(event.webhook_event_id, context);
+    }
+  }
+
+  async markFailed(event, error) {
+    const attempts = event.attempts || 1;
+    const maxAttempts = event.max_attempts || this.maxAttempts;
+    const deadLetter = attempts >= maxAttempts;
+    const nextAttemptAt = deadLetter ? null : new Date(Date.now() + this.computeBackoffMs(attempts));
+    const message = String(error?.message || error || 'Unknown error').slice(0, MAX_ERROR_LENGTH);
+
+    const failed = await this.inboxRepository.markFailed(event.id, { error: message, nextAttemptAt, deadLetter });
+
+    // Tenant admins list and re-drive their own events only, so a dead letter
+    // of a call no tenant owns would sit there unreachable
+    const dropped = deadLetter && failed && !failed.tenant_id;
+    if (dropped) {
+      await this.inboxRepository.dropEvent(event.id, 'unknown_call');
+    }
+
+    const log = deadLetter ? logger.error.bind(logger) : logger.warn.bind(logger);
+    log(dropped ? '[WebhookInbox] Event processing failed, dropped (no tenant call)' : '[WebhookInbox] Event processing failed', {
+      inboxId: event.id,
+      eventType: event.event_type,
+      providerCallId: event.provider_call_id,
+      attempts,
+      maxAttempts,
+      deadLetter,
+      nextAttemptAt,
+      error: message
+    });
+  }
+
+  /**
+   * Exponential backoff with jitter: base * 2^(attempt - 1), capped at retryMaxMs
+   */
+  computeBackoffMs(attempts) {
+    const exponential = this.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1));
+    const capped = Math.min(exponential, this.retryMaxMs);
+    const jitter = Math.floor(Math.random() * capped * 0.2);
+    return capped + jitter;
+  }
+
+  async listEvents(schema, tenantId, { status, limit, offset }) {
+    if (status && !INBOX_STATUSES.includes(status)) {
+      const err = new Error(`Invalid status. Allowed: ${INBOX_STATUSES.join(', ')}`);
+      err.code = 'INVALID_STATUS';
+      err.status = 400;
+      throw err;
+    }
+    return this.inboxRepository.listEvents(schema, tenantId, { status, limit, offset });
+  }
+
+  async redriveEvent(schema, tenantId, id, { redrivenBy } = {}) {
+    const event = await this.inboxRepository.getEventById(schema, tenantId, id);
+    if (!event) {
+      const err = new Error('Webhook event not found');
+      err.code = 'NOT_FOUND';
+      err.status = 404;
+      throw err;
+    }
+
+    const redriven = await this.inboxRepository.redriveEvent(schema, tenantId, id, { redrivenBy });
+    if (!redriven) {
+      const err = new Error(`Only failed or dead_letter events can be re-driven (current status: ${event.status})`);
+      err.code = 'INVALID_STATE';
+      err.status = 409;
+      throw err;
+    }
+
+    logger.info('[WebhookInbox] Event re-driven', {
+      inboxId: id,
+      tenantId,
+      redrivenBy,
+      previousStatus: event.status
+    });
+
+    return redriven;
+  }
+}
+
+module.exports = WebhookInboxService;
+module.exports.INBOX_STATUSES = INBOX_STATUSES;
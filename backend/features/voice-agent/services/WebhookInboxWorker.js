@@ -0,0 +1,130 @@
+/**
+ * Webhook Inbox Worker
+ *
+ * Polls voice_webhook_inbox for due events and hands each payload to the
+ * configured processor (VAPIWebhookController.processEvent). Safe to run
+ * on several instances: rows are claimed with FOR UPDATE SKIP LOCKED.
+ */
+
+const WebhookInboxService = require('./WebhookInboxService');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+class WebhookInboxWorker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.processEvent - async (payload, event) => { tenantId, callLogId } | null
+   */
+  constructor(options = {}) {
+    this.processEvent = options.processEvent;
+    this.inboxService = options.inboxService || new WebhookInboxService(options.db);
+    this.pollIntervalMs = parseInt(process.env.VOICE_WEBHOOK_WORKER_INTERVAL_MS || '2000', 10);
+    this.batchSize = parseInt(process.env.VOICE_WEBHOOK_WORKER_BATCH_SIZE || '10', 10);
+    this.lockTimeoutSeconds = parseInt(process.env.VOICE_WEBHOOK_LOCK_TIMEOUT_SECONDS || '300', 10);
+
+    this.running = false;
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    if (typeof this.processEvent !== 'function') {
+      throw new Error('WebhookInboxWorker requires a processEvent function');
+    }
+
+    this.running = true;
+    logger.info('[WebhookInboxWorker] Started', {
+      pollIntervalMs: this.pollIntervalMs,
+      batchSize: this.batchSize
+    });
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('[WebhookInboxWorker] Stopped');
+  }
+
+  /**
+   * Process newly enqueued events without waiting for the next poll
+   */
+  wake() {
+    if (this.running && !this.ticking) {
+      this._schedule(0);
+    }
+  }
+
+  _schedule(delayMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    // Never keep the process alive just for the worker
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    let claimed = 0;
+    try {
+      const events = await this.inboxService.claimDueEvents(this.batchSize, this.lockTimeoutSeconds);
+      claimed = events.length;
+
+      for (const event of events) {
+        await this._processOne(event);
+      }
+    } catch (error) {
+      logger.error('[WebhookInboxWorker] Poll failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+      // A full batch usually means more work is waiting
+      this._schedule(claimed >= this.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+
+  async _processOne(event) {
+    try {
+      const context = await this.processEvent(event.payload, event);
+      await this.inboxService.markProcessed(event, context || {});
+    } catch (error) {
+      try {
+        await this.inboxService.markFailed(event, error);
+      } catch (markError) {
+        // Row stays locked in `processing` and is retried after the lock timeout
+        logger.error('[WebhookInboxWorker] Failed to record processing failure', {
+          inboxId: event.id,
+          error: markError.message
+        });
+      }
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getWebhookInboxWorker(options = {}) {
+  if (!instance) {
+    instance = new WebhookInboxWorker(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  WebhookInboxWorker,
+  getWebhookInboxWorker
+};
@@ -0,0 +1,244 @@
+/**
+ * Webhook Security Service
+ *
+ * Verifies that provider webhooks really come from the provider and
+ * protects handlers with side effects (credit deductions) from replays.
+ *
+ * VAPI deliveries are accepted when either:
+ * - x-vapi-signature carries an HMAC-SHA256 of `${timestamp}.${rawBody}`
+ *   (or of the raw body when no x-vapi-timestamp header is sent), or
+ * - x-vapi-secret matches the configured server secret.
+ *
+ * The secret is VAPI_WEBHOOK_SECRET, except for calls of agents on their own
+ * VAPI account (provider_config.api_key), which are verified only with the
+ * agent's provider_config.webhook_secret (see VAPIProvider.webhookSecret).
+ * The agent is the one on the call log for the delivery's call id, or the one
+ * mapped to its assistant when no call log has that id yet.
+ *
+ * The delivery timestamp (x-vapi-timestamp header or message.timestamp)
+ * must fall within VAPI_WEBHOOK_TOLERANCE_SECONDS of the server clock.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../../../shared/database/connection');
+const WebhookEventsRepository = require('../repositories/webhookEventsRepository');
+const { VoiceAgentModel } = require('../models');
+const VAPIProvider = require('./providers/VAPIProvider');
+
+let logger;
+try {
+  logger = require('../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+let getSchema;
+let sanitizeSchema;
+try {
+  ({ getSchema, sanitizeSchema } = require('../../../core/utils/schemaHelper'));
+} catch (e) {
+  ({ getSchema, sanitizeSchema } = require('../utils/schemaHelper'));
+}
+
+const PROVIDER_VAPI = 'vapi';
+
+// Terminal events are deduplicated per call so a re-signed replay cannot charge twice
+const TERMINAL_EVENT_TYPES = new Set(['end-of-call-report', 'call.ended', 'call.failed']);
+
+const REJECTION_REASONS = {
+  MISSING_SECRET: 'missing_secret',
+  INVALID_SIGNATURE: 'invalid_signature',
+  MISSING_TIMESTAMP: 'missing_timestamp',
+  STALE_TIMESTAMP: 'stale_timestamp',
+  DUPLICATE_EVENT: 'duplicate_event'
+};
+
+// Headers that must never be written to the audit trail
+const REDACTED_HEADERS = new Set(['authorization', 'cookie', 'x-vapi-secret', 'x-vapi-signature']);
+
+class WebhookSecurityService {
+  constructor(db = pool) {
+    this.repository = new WebhookEventsRepository(db);
+    this.agentModel = new VoiceAgentModel(db);
+    this.secret = process.env.VAPI_WEBHOOK_SECRET || process.env.VAPI_SERVER_SECRET || null;
+    this.toleranceSeconds = parseInt(process.env.VAPI_WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+    this.verificationDisabled = process.env.VAPI_WEBHOOK_VERIFICATION_DISABLED === 'true';
+    // The webhook endpoint has no JWT: never accept unsigned payloads in production
+    if (this.verificationDisabled && process.env.NODE_ENV === 'production') {
+      logger.error('[WebhookSecurity] VAPI_WEBHOOK_VERIFICATION_DISABLED is ignored in production');
+      this.verificationDisabled = false;
+    }
+  }
+
+  /**
+   * Normalize a VAPI payload ({ message: { type, call } } or the legacy flat shape)
+   */
+  describeEvent(payload = {}) {
+    return VAPIProvider.parseWebhookPayload(payload);
+  }
+
+  getRawBody(req) {
+    if (req.rawBody) {
+      return Buffer.isBuffer(req.rawBody) ? req.rawBody : Buffer.from(String(req.rawBody));
+    }
+    return Buffer.from(JSON.stringify(req.body || {}));
+  }
+
+  hashPayload(rawBody) {
+    return crypto.createHash('sha256').update(rawBody).digest('hex');
+  }
+
+  /**
+   * Secret a delivery must be signed with
+   * @returns {Promise<string|null>} null when none is configured for the call's agent
+   */
+  async resolveSecret(req) {
+    const { providerCallId, call } = this.describeEvent(req.body);
+    const schema = sanitizeSchema(getSchema());
+
+    let agent = null;
+    const callLog = providerCallId ? await this.repository.findCallAgent(providerCallId, schema) : null;
+    if (callLog) {
+      agent = callLog.agent_id !== null && callLog.agent_id !== undefined
+        ? await this.agentModel.getAgentProviderConfig(schema, callLog.agent_id, callLog.tenant_id)
+        : null;
+    } else if (call?.assistantId) {
+      agent = await this.repository.findAgentByAssistantId(call.assistantId, schema);
+    }
+
+    return VAPIProvider.webhookSecret(agent, this.secret);
+  }
+
+  /**
+   * Verify signature/secret and timestamp window
+   * @returns {Promise<{ valid: boolean, reason?: string, method?: string }>}
+   */
+  async verifyRequest(req) {
+    if (this.verificationDisabled) {
+      return { valid: true, method: 'disabled' };
+    }
+
+    const signature = req.get('x-vapi-signature');
+    const sharedSecret = req.get('x-vapi-secret');
+    if (!signature && !sharedSecret) {
+      return { valid: false, reason: REJECTION_REASONS.INVALID_SIGNATURE };
+    }
+
+    const secret = await this.resolveSecret(req);
+    if (!secret) {
+      logger.error('[WebhookSecurity] No webhook secret configured for this call (VAPI_WEBHOOK_SECRET or the agent\'s provider_config.webhook_secret); rejecting webhook');
+      return { valid: false, reason: REJECTION_REASONS.MISSING_SECRET };
+    }
+
+    const rawBody = this.getRawBody(req);
+    const timestampHeader = req.get('x-vapi-timestamp');
+
+    let method;
+    if (signature) {
+      const signedContent = timestampHeader
+        ? Buffer.concat([Buffer.from(`${timestampHeader}.`), rawBody])
+        : rawBody;
+      const expected = crypto.createHmac('sha256', secret).update(signedContent).digest('hex');
+      const provided = String(signature).replace(/^sha256=/i, '').trim();
+      if (!this._safeEqual(provided, expected)) {
+        return { valid: false, reason: REJECTION_REASONS.INVALID_SIGNATURE };
+      }
+      method = 'hmac';
+    } else {
+      if (!this._safeEqual(String(sharedSecret), secret)) {
+        return { valid: false, reason: REJECTION_REASONS.INVALID_SIGNATURE };
+      }
+      method = 'secret';
+    }
+
+    const { message } = this.describeEvent(req.body);
+    const timestampMs = this._parseTimestamp(timestampHeader || message?.timestamp);
+    if (timestampMs === null) {
+      return { valid: false, reason: REJECTION_REASONS.MISSING_TIMESTAMP, method };
+    }
+
+    const skewSeconds = Math.abs(Date.now() - timestampMs) / 1000;
+    if (skewSeconds > this.toleranceSeconds) {
+      return { valid: false, reason: REJECTION_REASONS.STALE_TIMESTAMP, method, skewSeconds };
+    }
+
+    return { valid: true, method };
+  }
+
+  /**
+   * Build the dedupe key for a delivery
+   */
+  buildEventKey(eventType, providerCallId, payloadHash) {
+    if (eventType && providerCallId && TERMINAL_EVENT_TYPES.has(eventType)) {
+      return `${eventType}:${providerCallId}`;
+    }
+    return `sha256:${payloadHash}`;
+  }
+
+  /**
+   * Persist an audit record for a rejected delivery. Never throws.
+   */
+  async recordRejection(req, reason, metadata = {}) {
+    const { eventType, providerCallId } = this.describeEvent(req.body);
+    try {
+      await this.repository.recordRejection({
+        provider: PROVIDER_VAPI,
+        reason,
+        eventType,
+        providerCallId,
+        payloadHash: this.hashPayload(this.getRawBody(req)),
+        remoteIp: req.ip || req.headers['x-forwarded-for'] || null,
+        userAgent: req.get('user-agent') || null,
+        headers: this._sanitizeHeaders(req.headers),
+        metadata
+      });
+    } catch (error) {
+      logger.error('[WebhookSecurity] Failed to record webhook rejection', {
+        error: error.message,
+        reason,
+        providerCallId
+      });
+    }
+
+    logger.warn('[WebhookSecurity] Webhook delivery rejected', {
+      reason,
+      eventType,
+      providerCallId
+    });
+  }
+
+  _parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const num = Number(value);
+      // Seconds vs milliseconds since epoch
+      return num < 1e12 ? num * 1000 : num;
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  _safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    if (left.length !== right.length) return false;
+    return crypto.timingSafeEqual(left, right);
+  }
+
+  _sanitizeHeaders(headers = {}) {
+    const sanitized = {};
+    for (const [key, value] of Object.entries(headers)) {
+      if (REDACTED_HEADERS.has(key.toLowerCase())) continue;
+      sanitized[key] = value;
+    }
+    return sanitized;
+  }
+}
+
+module.exports = WebhookSecurityService;
+module.exports.REJECTION_REASONS = REJECTION_REASONS;
+module.exports.TERMINAL_EVENT_TYPES = TERMINAL_EVENT_TYPES;
+module.exports.PROVIDER_VAPI = PROVIDER_VAPI;
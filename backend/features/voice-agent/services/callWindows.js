@@ -0,0 +1,178 @@
+/**
+ * Call Windows
+ *
+ * Evaluates "allowed calling window" lists such as
+ *   [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00', timezone: 'Europe/London' }]
+ * Days are 0 (Sunday) .. 6 (Saturday); start/end are local HH:MM in the
+ * window's IANA timezone (default UTC); end is exclusive. An empty list
+ * allows any time.
+ */
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Search granularity and horizon for nextAllowedTime
+const STEP_MINUTES = 5;
+const HORIZON_DAYS = 8;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+function invalidWindow(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_CALL_WINDOW';
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate and normalize one window
+ * @param {string} label - Field name used in error messages
+ * @throws {Error} status 400 when the window is malformed
+ */
+function normalizeWindow(window, label = 'window') {
+  if (!window || typeof window !== 'object') {
+    throw invalidWindow(`${label} must be an object`);
+  }
+
+  const timezone = window.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw invalidWindow(`${label}.timezone is not a valid IANA timezone`);
+  }
+
+  for (const key of ['start', 'end']) {
+    if (typeof window[key] !== 'string' || !TIME_PATTERN.test(window[key])) {
+      throw invalidWindow(`${label}.${key} must be HH:MM`);
+    }
+  }
+  if (toMinutes(window.start) >= toMinutes(window.end)) {
+    throw invalidWindow(`${label}.start must be before end`);
+  }
+
+  const days = window.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : window.days;
+  if (!Array.isArray(days) || days.length === 0 ||
+      !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw invalidWindow(`${label}.days must list weekdays 0 (Sunday) to 6 (Saturday)`);
+  }
+
+  return { days: [...new Set(days)].sort(), start: window.start, end: window.end, timezone };
+}
+
+/**
+ * Validate and normalize a window list
+ * @throws {Error} status 400 when a window is malformed
+ */
+function normalizeWindows(windows) {
+  if (windows === undefined || windows === null) return [];
+  if (!Array.isArray(windows)) {
+    throw invalidWindow('windows must be an array');
+  }
+
+  return windows.map((window, index) => normalizeWindow(window, `windows[${index}]`));
+}
+
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Weekday and minute-of-day of an instant in a timezone
+ */
+function localTime(date, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(date);
+  const get = type => parts.find(part => part.type === type)?.value;
+  // Some runtimes render midnight as 24:00 with hour12: false
+  const hour = Number(get('hour')) % 24;
+  return {
+    day: WEEKDAYS[get('weekday')],
+    minutes: hour * 60 + Number(get('minute'))
+  };
+}
+
+function isWithinWindows(date, windows = []) {
+  if (!windows || windows.length === 0) return true;
+
+  return windows.some(window => {
+    const { day, minutes } = localTime(date, window.timezone || 'UTC');
+    return window.days.includes(day) &&
+      minutes >= toMinutes(window.start) &&
+      minutes < toMinutes(window.end);
+  });
+}
+
+/**
+ * Inside at least one window of every list, e.g. business hours that must
+ * hold in each timezone a phone number may be in
+ */
+function isWithinAllWindows(date, windowLists = []) {
+  return windowLists.every(windows => isWithinWindows(date, windows));
+}
+
+/**
+ * First instant at or after `date` accepted by `isAllowed`
+ */
+function nextMatchingTime(date, isAllowed) {
+  if (isAllowed(date)) return new Date(date.getTime());
+
+  // Align to the step so results land on window starts (e.g. 09:00, not 09:03)
+  const stepMs = STEP_MINUTES * 60 * 1000;
+  let candidate = Math.ceil(date.getTime() / stepMs) * stepMs;
+  const horizon = date.getTime() + HORIZON_DAYS * 24 * 60 * 60 * 1000;
+
+  for (; candidate <= horizon; candidate += stepMs) {
+    if (isAllowed(new Date(candidate))) {
+      return new Date(candidate);
+    }
+  }
+  return null;
+}
+
+/**
+ * First instant at or after `date` inside one of the windows
+ * @returns {Date|null} null when no window opens within the search horizon
+ */
+function nextAllowedTime(date, windows = []) {
+  return nextMatchingTime(date, candidate => isWithinWindows(candidate, windows));
+}
+
+/**
+ * First instant at or after `date` inside every window list
+ * @returns {Date|null} null when the lists do not overlap within the search horizon
+ */
+function nextAllowedTimeInAll(date, windowLists = []) {
+  return nextMatchingTime(date, candidate => isWithinAllWindows(candidate, windowLists));
+}
+
+module.exports = {
+  normalizeWindow,
+  normalizeWindows,
+  isValidTimezone,
+  localTime,
+  isWithinWindows,
+  isWithinAllWindows,
+  nextAllowedTime,
+  nextAllowedTimeInAll
+};
@@ -0,0 +1,97 @@
+/**
+ * CSV Parser
+ *
+ * Minimal RFC 4180 parser for uploaded lists: quoted fields (with "" escapes
+ * and embedded newlines), comma or semicolon separators, CRLF or LF line
+ * endings and a leading UTF-8 BOM.
+ */
+
+/**
+ * Parse CSV text into rows of trimmed fields with the line each row starts
+ * on; blank lines are dropped
+ * @param {string} text
+ * @returns {Array<{ row: number, fields: string[] }>} row is 1-based and counts every line
+ */
+function parseCsvRows(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0] || '';
+  const separator = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push({ row: rowLine, fields: row });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  row.push(field.trim());
+  rows.push({ row: rowLine, fields: row });
+
+  return rows.filter(({ fields }) => fields.some(value => value !== ''));
+}
+
+/**
+ * Parse CSV text into rows of trimmed fields; blank lines are dropped
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  return parseCsvRows(text).map(({ fields }) => fields);
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by lower-cased header
+ * @param {string} text
+ * @returns {{ headers: string[], records: Array<{ row: number, values: Object }> }} row is 1-based after the header
+ */
+function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const headers = header.map(name => name.toLowerCase().replace(/\s+/g, '_'));
+
+  return {
+    headers,
+    records: rows.map((fields, index) => ({
+      row: index + 1,
+      values: Object.fromEntries(headers.map((name, column) => [name, fields[column] ?? '']))
+    }))
+  };
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  parseCsvRecords
+};
@@ -8,14 +8,50 @@ const VAPIService = require('./VAPIService');
 const CallLoggingService = require('./CallLoggingService');
 const RecordingService = require('./RecordingService');
 const BatchService = require('./BatchService');
+const BatchDispatchService = require('./BatchDispatchService');
+const CallRetryService = require('./CallRetryService');
+const CallPlacementService = require('./CallPlacementService');
+const ScheduledCallService = require('./ScheduledCallService');
+const BusinessHoursService = require('./BusinessHoursService');
+const DncService = require('./DncService');
+const PhonePolicyService = require('./PhonePolicyService');
+const RecordingPolicyService = require('./RecordingPolicyService');
+const ObjectStorageService = require('./ObjectStorageService');
 const GCSUploadService = require('./GCSUploadService');
-const GCSLinkStore = require('./GCSLinkStore');
+const UploadSessionService = require('./UploadSessionService');
+const LeadImportService = require('./LeadImportService');
+const InboundCallService = require('./InboundCallService');
+const LiveCallControlService = require('./LiveCallControlService');
+const WebhookSecurityService = require('./WebhookSecurityService');
+const WebhookInboxService = require('./WebhookInboxService');
+const CallTimelineService = require('./CallTimelineService');
+const CallTranscriptService = require('./CallTranscriptService');
+const CallDispositionService = require('./CallDispositionService');
+const { getProviderRegistry } = require('./providers');
 
 module.exports = {
   VAPIService,
   CallLoggingService,
   RecordingService,
   BatchService,
+  BatchDispatchService,
+  CallRetryService,
+  CallPlacementService,
+  ScheduledCallService,
+  BusinessHoursService,
+  DncService,
+  PhonePolicyService,
+  RecordingPolicyService,
+  ObjectStorageService,
   GCSUploadService,
-  GCSLinkStore
+  UploadSessionService,
+  LeadImportService,
+  InboundCallService,
+  LiveCallControlService,
+  WebhookSecurityService,
+  WebhookInboxService,
+  CallTimelineService,
+  CallTranscriptService,
+  CallDispositionService,
+  getProviderRegistry
 };
@@ -0,0 +1,117 @@
+/**
+ * Lead Timezone
+ *
+ * Resolves the timezone(s) a lead is in, from lead data (a timezone column or
+ * metadata key) or from the country calling code of the number dialed.
+ *
+ * A calling code maps to one zone, or to several where a country's callers
+ * are split across zones (NANP +1, Australia). Callers check business hours
+ * in every returned zone, so a +1 number is only dialed when it is inside
+ * business hours from New York to Los Angeles. Countries spanning many zones
+ * with most of the population in one (Russia, Brazil, Indonesia, ...) map to
+ * that zone.
+ */
+
+const { isValidTimezone } = require('./callWindows');
+
+const CALLING_CODE_TIMEZONES = {
+  1: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'],
+  7: ['Europe/Moscow'],
+  20: ['Africa/Cairo'],
+  27: ['Africa/Johannesburg'],
+  30: ['Europe/Athens'],
+  31: ['Europe/Amsterdam'],
+  32: ['Europe/Brussels'],
+  33: ['Europe/Paris'],
+  34: ['Europe/Madrid'],
+  36: ['Europe/Budapest'],
+  39: ['Europe/Rome'],
+  40: ['Europe/Bucharest'],
+  41: ['Europe/Zurich'],
+  43: ['Europe/Vienna'],
+  44: ['Europe/London'],
+  45: ['Europe/Copenhagen'],
+  46: ['Europe/Stockholm'],
+  47: ['Europe/Oslo'],
+  48: ['Europe/Warsaw'],
+  49: ['Europe/Berlin'],
+  51: ['America/Lima'],
+  52: ['America/Mexico_City'],
+  54: ['America/Argentina/Buenos_Aires'],
+  55: ['America/Sao_Paulo'],
+  56: ['America/Santiago'],
+  57: ['America/Bogota'],
+  60: ['Asia/Kuala_Lumpur'],
+  61: ['Australia/Perth', 'Australia/Sydney'],
+  62: ['Asia/Jakarta'],
+  63: ['Asia/Manila'],
+  64: ['Pacific/Auckland'],
+  65: ['Asia/Singapore'],
+  66: ['Asia/Bangkok'],
+  81: ['Asia/Tokyo'],
+  82: ['Asia/Seoul'],
+  84: ['Asia/Ho_Chi_Minh'],
+  86: ['Asia/Shanghai'],
+  90: ['Europe/Istanbul'],
+  91: ['Asia/Kolkata'],
+  92: ['Asia/Karachi'],
+  94: ['Asia/Colombo'],
+  212: ['Africa/Casablanca'],
+  234: ['Africa/Lagos'],
+  254: ['Africa/Nairobi'],
+  351: ['Europe/Lisbon'],
+  353: ['Europe/Dublin'],
+  358: ['Europe/Helsinki'],
+  420: ['Europe/Prague'],
+  852: ['Asia/Hong_Kong'],
+  880: ['Asia/Dhaka'],
+  961: ['Asia/Beirut'],
+  962: ['Asia/Amman'],
+  965: ['Asia/Kuwait'],
+  966: ['Asia/Riyadh'],
+  968: ['Asia/Muscat'],
+  971: ['Asia/Dubai'],
+  972: ['Asia/Jerusalem'],
+  973: ['Asia/Bahrain'],
+  974: ['Asia/Qatar'],
+  977: ['Asia/Kathmandu']
+};
+
+// Lead fields checked for an explicit timezone, in order
+const LEAD_TIMEZONE_FIELDS = ['timezone', 'time_zone', 'tz'];
+
+/**
+ * Timezones for an E.164 number or a calling code ('+971', '971')
+ * @returns {string[]} empty when the calling code is unknown
+ */
+function timezonesForNumber(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  // Calling codes are prefix-free, so the first match is the only one
+  for (let length = 1; length <= 3 && length <= digits.length; length++) {
+    const zones = CALLING_CODE_TIMEZONES[digits.slice(0, length)];
+    if (zones) return [...zones];
+  }
+  return [];
+}
+
+/**
+ * Explicit timezone stored on a lead row (or its metadata)
+ * @returns {string|null}
+ */
+function timezoneFromLead(lead) {
+  if (!lead || typeof lead !== 'object') return null;
+
+  for (const source of [lead, lead.metadata, lead.custom_fields]) {
+    if (!source || typeof source !== 'object') continue;
+    for (const field of LEAD_TIMEZONE_FIELDS) {
+      if (isValidTimezone(source[field])) return source[field];
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  CALLING_CODE_TIMEZONES,
+  timezonesForNumber,
+  timezoneFromLead
+};
@@ -0,0 +1,152 @@
+/**
+ * Phone Numbers
+ *
+ * Shared parsing, validation and formatting of phone numbers, backed by
+ * libphonenumber's full metadata. Numbers are accepted as typed - "+44 20
+ * 7946 0958", "00442079460958", "(415) 555-0100", "020 7946 0958" - and
+ * national numbers are completed with a default country. Long digit strings
+ * written without "+" are read as international when no country is given.
+ *
+ * Dialing uses parsePhoneNumber (the number must be valid for its country,
+ * and its country and type are reported); lookups that only need a
+ * canonical form - Do-Not-Call matching, call log columns - use
+ * formatE164, which accepts any possible number.
+ */
+
+const {
+  parsePhoneNumberFromString,
+  isSupportedCountry: isKnownCountry
+} = require('libphonenumber-js/max');
+const { PHONE_NUMBER_TYPES } = require('../constants/phonePolicy');
+
+const PHONE_ERRORS = {
+  MISSING: 'MISSING_PHONE',
+  INVALID: 'INVALID_PHONE',
+  COUNTRY_REQUIRED: 'COUNTRY_REQUIRED',
+  UNKNOWN_COUNTRY: 'UNKNOWN_COUNTRY'
+};
+
+// National numbers have at most 10 digits almost everywhere; longer digit
+// strings without a country are taken to start with the calling code
+const MAX_NATIONAL_DIGITS = 10;
+
+function normalizeCountry(country) {
+  const code = String(country || '').trim().toUpperCase();
+  return code || null;
+}
+
+function isSupportedCountry(country) {
+  const code = normalizeCountry(country);
+  return !!code && isKnownCountry(code);
+}
+
+function isValidE164(phoneNumber) {
+  return typeof phoneNumber === 'string' && /^\+[1-9]\d{6,14}$/.test(phoneNumber) &&
+    !!parsePhoneNumberFromString(phoneNumber)?.isValid();
+}
+
+/**
+ * Parse a typed number; without a country, bare digits are read as international
+ * @returns {{ parsed: Object|null, error: string|null }}
+ */
+function _parse(value, defaultCountry) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { parsed: null, error: PHONE_ERRORS.MISSING };
+  }
+
+  const country = normalizeCountry(defaultCountry);
+  if (country && !isKnownCountry(country)) {
+    return { parsed: null, error: PHONE_ERRORS.UNKNOWN_COUNTRY };
+  }
+
+  let text = String(value).trim();
+  const digits = text.replace(/[\s().\-/]/g, '');
+  if (digits.startsWith('00')) {
+    text = `+${digits.slice(2)}`;
+  } else if (!country && /^\d+$/.test(digits)) {
+    if (digits.length <= MAX_NATIONAL_DIGITS) {
+      return { parsed: null, error: PHONE_ERRORS.COUNTRY_REQUIRED };
+    }
+    text = `+${digits}`;
+  } else if (!country && !digits.startsWith('+')) {
+    return { parsed: null, error: PHONE_ERRORS.INVALID };
+  }
+
+  const parsed = parsePhoneNumberFromString(text, country || undefined);
+  return parsed ? { parsed, error: null } : { parsed: null, error: PHONE_ERRORS.INVALID };
+}
+
+/**
+ * Parse a phone number for dialing
+ *
+ * @param {string|number} value - As typed, e.g. "(415) 555-0123", "07911 123456", "+44 7911 123456"
+ * @param {Object} [options]
+ * @param {string} [options.defaultCountry] - ISO 3166-1 alpha-2 country for national numbers, e.g. "US"
+ * @returns {Object} { phoneNumber (E.164), country, callingCode, nationalNumber, type, error };
+ *   phoneNumber is null and error one of PHONE_ERRORS when the number cannot be dialed
+ */
+function parsePhoneNumber(value, { defaultCountry = null } = {}) {
+  const { parsed, error } = _parse(value, defaultCountry);
+  if (error || !parsed.isValid()) {
+    return {
+      phoneNumber: null,
+      country: null,
+      callingCode: null,
+      nationalNumber: null,
+      type: null,
+      error: error || PHONE_ERRORS.INVALID
+    };
+  }
+
+  return {
+    phoneNumber: parsed.number,
+    country: parsed.country || null,
+    callingCode: `+${parsed.countryCallingCode}`,
+    nationalNumber: parsed.nationalNumber,
+    type: PHONE_NUMBER_TYPES[parsed.getType()] || PHONE_NUMBER_TYPES.UNKNOWN,
+    error: null
+  };
+}
+
+/**
+ * Normalize a phone number to E.164 for dialing
+ * @returns {{ phoneNumber: string|null, error: string|null }} error is one of PHONE_ERRORS
+ */
+function normalizePhoneNumber(value, options = {}) {
+  const { phoneNumber, error } = parsePhoneNumber(value, options);
+  return { phoneNumber, error };
+}
+
+/**
+ * Canonical E.164 form of a possible number (not necessarily assigned)
+ * @returns {string|null}
+ */
+function formatE164(value, { defaultCountry = null } = {}) {
+  const { parsed } = _parse(value, defaultCountry);
+  return parsed?.isPossible() ? parsed.number : null;
+}
+
+/**
+ * Split an E.164 number into calling code and national number
+ * (voice_call_logs.to_country_code / to_base_number)
+ *
+ * @returns {{ countryCode: string, baseNumber: string }|null}
+ */
+function splitPhoneNumber(phoneNumber) {
+  const { parsed } = _parse(phoneNumber, null);
+  if (!parsed) {
+    return null;
+  }
+  return { countryCode: `+${parsed.countryCallingCode}`, baseNumber: parsed.nationalNumber };
+}
+
+module.exports = {
+  PHONE_ERRORS,
+  parsePhoneNumber,
+  normalizePhoneNumber,
+  formatE164,
+  splitPhoneNumber,
+  normalizeCountry,
+  isSupportedCountry,
+  isValidE164
+};
@@ -0,0 +1,254 @@
+/**
+ * External Voice Service Provider
+ *
+ * Telephony adapter for the internal voice agent service at BASE_URL
+ * (custom voices, batch calling). The service owns voice_call_logs rows for
+ * the calls it places, so it has no webhook to parse here. The tenant
+ * recording policy (request.recording) is forwarded as recording_enabled and
+ * recording_disclosure for the service to honor.
+ */
+
+const axios = require('axios');
+const TelephonyProvider = require('./TelephonyProvider');
+
+let logger;
+try {
+  logger = require('../../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+// Single call forwarding waits on the downstream dial, keep it bounded
+const CALL_TIMEOUT_MS = 30000;
+
+class ExternalVoiceServiceProvider extends TelephonyProvider {
+  constructor(config = {}) {
+    super({ key: 'custom', name: 'Custom Voice Agents', ...config });
+    this.baseUrl = config.baseUrl || process.env.BASE_URL;
+    this.frontendId = config.frontendId || process.env.BASE_URL_FRONTEND_HEADER;
+    this.apiKey = config.apiKey || process.env.BASE_URL_FRONTEND_APIKEY || process.env.FRONTEND_API_KEY || '';
+    this.recordsCallLogs = true;
+  }
+
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * @param {Object} request - Call request (see TelephonyProvider)
+   * @param {Object} context - { legacy } selects the 1.0 POST /calls contract
+   */
+  async initiateCall(request, context = {}) {
+    if (context.legacy) {
+      const payload = {
+        to_number: request.toNumber,
+        added_context: request.addedContext || '',
+        initiated_by: request.initiatedBy,
+        agent_id: parseInt(request.agentId, 10),
+        lead_name: request.leadName || null,
+        voice_id: 'default',
+        ...this._recordingFields(request.recording)
+      };
+      if (request.fromNumber) {
+        payload.from_number = request.fromNumber;
+      }
+      return this._post('/calls', payload, context, { timeout: CALL_TIMEOUT_MS });
+    }
+
+    const payload = {
+      to_number: request.toNumber,
+      agent_id: request.agentId || 'default',
+      from_number: request.fromNumber || null,
+      lead_name: request.leadName || null,
+      lead_id: request.leadId || null,
+      voice_id: request.voiceId,
+      added_context: request.addedContext || null,
+      llm_provider: request.llmProvider || null,
+      llm_model: request.llmModel || null,
+      initiated_by: request.initiatedBy || null,
+      knowledge_base_store_ids: request.knowledgeBaseStoreIds || null,
+      tenant_id: request.tenantId,
+      user_id: request.userId,
+      ...this._recordingFields(request.recording)
+    };
+    return this._post('/calls/start-call', payload, context, { timeout: CALL_TIMEOUT_MS });
+  }
+
+  /**
+   * @param {Object} request - Batch request (see TelephonyProvider)
+   * @param {Object} context - { legacy } selects the 1.0 POST /calls/batch contract
+   */
+  async batchInitiateCalls(request, context = {}) {
+    const entries = request.entries || [];
+
+    if (context.legacy) {
+      return this._post('/calls/batch', {
+        entries: entries.map(entry => ({
+          phoneNumber: entry.toNumber,
+          leadName: entry.leadName || null,
+          leadId: entry.leadId || null,
+          added_context: entry.addedContext || null,
+          ...this._recordingFields(entry.recording)
+        })),
+        agent_id: request.agentId,
+        voice_id: request.voiceId,
+        from_number: request.fromNumber,
+        added_context: request.addedContext,
+        initiated_by: request.initiatedBy
+      }, context);
+    }
+
+    return this._post('/batch/trigger-batch-call', {
+      voice_id: request.voiceId,
+      from_number: request.fromNumber || null,
+      added_context: request.addedContext || null,
+      initiated_by: request.initiatedBy || null,
+      agent_id: request.agentId || 'default',
+      attachment_link: request.attachmentLink || null,
+      json_link: request.jsonLink || null,
+      llm_provider: request.llmProvider || null,
+      llm_model: request.llmModel || null,
+      knowledge_base_store_ids: request.knowledgeBaseStoreIds || null,
+      entries: entries.map(entry => ({
+        to_number: entry.toNumber,
+        lead_name: entry.leadName || null,
+        added_context: entry.addedContext || null,
+        lead_id: entry.leadId || null,
+        knowledge_base_store_ids: entry.knowledgeBaseStoreIds || null,
+        ...this._recordingFields(entry.recording)
+      })),
+      tenant_id: request.tenantId,
+      user_id: request.userId
+    }, context);
+  }
+
+  /**
+   * Status of a call UUID or batch id (batch-xxx)
+   */
+  async getCallStatus(resourceId, context = {}) {
+    return this._get(`/calls/status/${encodeURIComponent(resourceId)}`, context);
+  }
+
+  async endCall(resourceId, context = {}) {
+    return this.cancelCalls(resourceId, context);
+  }
+
+  /**
+   * Cancel one or more calls/batches
+   * @param {string|string[]} resourceId
+   * @param {Object} context - { force } terminates ringing/in-progress calls
+   */
+  async cancelCalls(resourceId, context = {}) {
+    return this._post('/calls/cancel', {
+      resource_id: resourceId,
+      force: context.force === true
+    }, context);
+  }
+
+  async getBatchStatus(batchId, context = {}) {
+    return this._get(`/batch/batch-status/${encodeURIComponent(batchId)}`, context);
+  }
+
+  async cancelBatch(batchId, context = {}) {
+    return this._post(`/batch/batch-cancel/${encodeURIComponent(batchId)}`, {}, context);
+  }
+
+  _headers(context = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Frontend-ID': this.frontendId || context.frontendId || 'dev',
+      'X-API-Key': this.apiKey
+    };
+
+    // Downstream may require the caller's JWT and tenant context
+    if (context.authorization) {
+      headers.Authorization = context.authorization;
+    }
+    if (context.tenantHeader) {
+      headers['x-tenant-id'] = context.tenantHeader;
+    }
+
+    return headers;
+  }
+
+  _notConfigured() {
+    return this._result({
+      success: false,
+      notConfigured: true,
+      error: 'BASE_URL is not configured',
+      httpStatus: 500
+    });
+  }
+
+  /**
+   * Payload fields for the recording settings of a call (none when unset)
+   */
+  _recordingFields(recording) {
+    if (!recording) {
+      return {};
+    }
+    return {
+      recording_enabled: recording.enabled,
+      recording_disclosure: recording.disclosureMessage || null
+    };
+  }
+
+  async _post(path, payload, context, options = {}) {
+    if (!this.baseUrl) {
+      return this._notConfigured();
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}${path}`, payload, {
+        headers: this._headers(context),
+        ...options
+      });
+      return this._result({
+        success: true,
+        providerCallId: response.data?.call_id || response.data?.id || null,
+        status: response.data?.status || null,
+        data: response.data,
+        requestPayload: payload
+      });
+    } catch (error) {
+      return this._failure(error, 'POST', path);
+    }
+  }
+
+  async _get(path, context) {
+    if (!this.baseUrl) {
+      return this._notConfigured();
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}${path}`, { headers: this._headers(context) });
+      return this._result({
+        success: true,
+        status: response.data?.status || null,
+        data: response.data
+      });
+    } catch (error) {
+      return this._failure(error, 'GET', path);
+    }
+  }
+
+  _failure(error, method, path) {
+    logger.error('[ExternalVoiceServiceProvider] Request failed', {
+      method,
+      path,
+      error: error.message,
+      status: error.response?.status,
+      responseData: error.response?.data
+    });
+
+    return this._result({
+      success: false,
+      error: error.response?.data?.message || error.message,
+      errorDetails: error.response?.data || error.message,
+      httpStatus: error.response?.status || null
+    });
+  }
+}
+
+module.exports = ExternalVoiceServiceProvider;
@@ -0,0 +1,623 @@
+/**
+ * Mock Telephony Provider
+ *
+ * Simulated provider for local development and automated tests. Calls are
+ * accepted immediately, get a voice_call_logs row, and are walked through a
+ * scripted lifecycle whose events are delivered to POST /webhook/vapi in
+ * VAPI's webhook format (signed with VAPI_WEBHOOK_SECRET), so the real
+ * inbox, timeline, transcript and billing paths run end to end.
+ *
+ * Outcomes: answered (default), voicemail, no-answer, failed. They are set
+ * per destination number or as the default with setOutcome(), or over HTTP
+ * through the /mock-provider routes. Voicemail calls follow the agent's
+ * voicemail policy: a spoken drop message is the only turn, otherwise the
+ * call ends with no conversation.
+ *
+ * Enabled by VOICE_MOCK_PROVIDER_ENABLED=true (never in production).
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { pool } = require('../../../../shared/database/connection');
+const TelephonyProvider = require('./TelephonyProvider');
+const VAPIProvider = require('./VAPIProvider');
+const CallLoggingService = require('../CallLoggingService');
+const { resolveVoicemailPolicy } = require('../voicemailPolicy');
+const { VOICEMAIL_ACTIONS, VOICEMAIL_MESSAGE_TYPES } = require('../../constants/voicemail');
+
+let logger;
+try {
+  logger = require('../../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const MOCK_OUTCOMES = {
+  ANSWERED: 'answered',
+  VOICEMAIL: 'voicemail',
+  NO_ANSWER: 'no-answer',
+  FAILED: 'failed'
+};
+
+// VAPI endedReason values the simulated calls finish with
+const ENDED_REASONS = {
+  [MOCK_OUTCOMES.ANSWERED]: 'customer-ended-call',
+  [MOCK_OUTCOMES.VOICEMAIL]: 'voicemail',
+  [MOCK_OUTCOMES.NO_ANSWER]: 'customer-did-not-answer',
+  [MOCK_OUTCOMES.FAILED]: 'failed-to-connect',
+  cancelled: 'manually-canceled'
+};
+
+// Finished calls beyond this are forgotten, oldest first
+const MAX_TRACKED_CALLS = 1000;
+
+const RECORDING_SAMPLE_RATE = 8000;
+const RECORDING_MAX_SECONDS = 5;
+
+class MockTelephonyProvider extends TelephonyProvider {
+  constructor(config = {}) {
+    super({ key: 'mock', name: 'Mock Telephony', ...config });
+    const port = process.env.PORT || 3004;
+    this.webhookUrl = config.webhookUrl || process.env.VOICE_MOCK_WEBHOOK_URL ||
+      `http://127.0.0.1:${port}/api/voice-agent/webhook/vapi`;
+    this.stepMs = parseInt(config.stepMs ?? process.env.VOICE_MOCK_STEP_MS ?? '1000', 10);
+    this.secret = process.env.VAPI_WEBHOOK_SECRET || process.env.VAPI_SERVER_SECRET || null;
+    this.callLogging = new CallLoggingService(config.db || pool);
+    this.webhookHandler = config.webhookHandler || null;
+    this.recordsCallLogs = true;
+
+    this.defaultScenario = { outcome: process.env.VOICE_MOCK_DEFAULT_OUTCOME || MOCK_OUTCOMES.ANSWERED };
+    this.scenarios = new Map();
+    this.calls = new Map();
+    this.batches = new Map();
+  }
+
+  /**
+   * Configure the outcome for calls to a number (or the default when toNumber is null)
+   *
+   * @param {string|null} toNumber - Destination in E.164 format
+   * @param {Object} scenario
+   * @param {string} scenario.outcome - answered | voicemail | no-answer | failed
+   * @param {number} [scenario.durationSeconds] - Talk time reported at the end of the call
+   * @param {Array<{role: string, message: string}>} [scenario.transcript] - Conversation turns
+   * @param {string} [scenario.summary] - Analysis summary
+   * @param {string} [scenario.endedReason] - Overrides the outcome's endedReason
+   */
+  setOutcome(toNumber, scenario = {}) {
+    if (!Object.values(MOCK_OUTCOMES).includes(scenario.outcome)) {
+      const err = new Error(`outcome must be one of: ${Object.values(MOCK_OUTCOMES).join(', ')}`);
+      err.code = 'INVALID_MOCK_OUTCOME';
+      err.status = 400;
+      throw err;
+    }
+
+    if (toNumber) {
+      this.scenarios.set(toNumber, scenario);
+    } else {
+      this.defaultScenario = scenario;
+    }
+    return scenario;
+  }
+
+  clearOutcomes() {
+    this.scenarios.clear();
+    this.defaultScenario = { outcome: MOCK_OUTCOMES.ANSWERED };
+  }
+
+  getOutcomes() {
+    return {
+      default: this.defaultScenario,
+      numbers: Object.fromEntries(this.scenarios)
+    };
+  }
+
+  /**
+   * Deliver webhooks in-process instead of over HTTP (tests)
+   * @param {Function|null} handler - async (payload) => void
+   */
+  setWebhookHandler(handler) {
+    this.webhookHandler = handler;
+  }
+
+  listCalls() {
+    return Array.from(this.calls.values()).map(call => this._describeCall(call));
+  }
+
+  async initiateCall(request, context = {}) {
+    const scenario = this.scenarios.get(request.toNumber) || this.defaultScenario;
+    const call = {
+      id: `mock-${crypto.randomUUID()}`,
+      toNumber: request.toNumber,
+      fromNumber: request.fromNumber || null,
+      leadName: request.leadName || null,
+      scenario,
+      status: 'queued',
+      endedReason: null,
+      callLogId: null,
+      batchId: context.batchId || null,
+      recording: request.recording || null,
+      voicemail: resolveVoicemailPolicy(context.agent?.voicemail_policy),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      endedAt: null,
+      metadata: {},
+      timers: []
+    };
+
+    if (context.schema && request.tenantId) {
+      const callLog = await this.callLogging.createCallLog({
+        schema: context.schema,
+        tenantId: request.tenantId,
+        agentId: context.agent?.id || null,
+        toNumber: request.toNumber,
+        leadId: request.leadId || null,
+        initiatedByUserId: request.initiatedBy || request.userId || null,
+        vapiResponse: { id: call.id, status: 'queued' },
+        createdVia: this.key
+      });
+      call.callLogId = callLog?.id || null;
+    }
+
+    this._prune();
+    this.calls.set(call.id, call);
+    this._schedule(call, this._buildLifecycle(call));
+
+    logger.info('[MockTelephonyProvider] Call accepted', {
+      callId: call.id,
+      callLogId: call.callLogId,
+      outcome: scenario.outcome
+    });
+
+    return this._result({
+      success: true,
+      providerCallId: call.id,
+      status: call.status,
+      data: this._describeCall(call)
+    });
+  }
+
+  async batchInitiateCalls(request, context = {}) {
+    const batchId = `batch-mock-${crypto.randomUUID()}`;
+    const results = [];
+
+    for (const entry of request.entries || []) {
+      const result = await this.initiateCall({
+        ...request,
+        toNumber: entry.toNumber,
+        leadName: entry.leadName,
+        leadId: entry.leadId,
+        addedContext: entry.addedContext || request.addedContext,
+        recording: entry.recording || request.recording
+      }, { ...context, batchId });
+
+      results.push({
+        to_number: entry.toNumber,
+        success: result.success,
+        call_id: result.providerCallId,
+        call_log_id: result.data?.call_log_id || null
+      });
+    }
+
+    this.batches.set(batchId, { id: batchId, callIds: results.map(r => r.call_id), createdAt: new Date().toISOString() });
+
+    return this._result({
+      success: true,
+      data: { batch_id: batchId, total_calls: results.length, results }
+    });
+  }
+
+  async getCallStatus(resourceId) {
+    if (this.batches.has(resourceId)) {
+      return this.getBatchStatus(resourceId);
+    }
+
+    const call = this._findCall(resourceId);
+    if (!call) {
+      return this._result({ success: false, error: 'Call not found', httpStatus: 404 });
+    }
+    return this._result({ success: true, status: call.status, data: this._describeCall(call) });
+  }
+
+  async updateCall(providerCallId, updates = {}) {
+    const call = this._findCall(providerCallId);
+    if (!call) {
+      return this._result({ success: false, error: 'Call not found', httpStatus: 404 });
+    }
+    call.metadata = { ...call.metadata, ...updates };
+    return this._result({ success: true, data: this._describeCall(call) });
+  }
+
+  async endCall(providerCallId) {
+    const call = this._findCall(providerCallId);
+    if (!call) {
+      return this._result({ success: false, error: 'Call not found', httpStatus: 404 });
+    }
+
+    const cancelled = this._cancel(call);
+    return this._result({ success: true, status: call.status, data: { ...this._describeCall(call), cancelled } });
+  }
+
+  /**
+   * Live controls are recorded on the call (data.controls) instead of being acted on
+   */
+  async controlCall(providerCallId, command = {}) {
+    const call = this._findCall(providerCallId);
+    if (!call) {
+      return this._result({ success: false, error: 'Call not found', httpStatus: 404 });
+    }
+    if (call.endedAt) {
+      return this._result({ success: false, error: 'The call has ended', httpStatus: 409 });
+    }
+
+    call.controls = [...(call.controls || []), { ...command, at: new Date().toISOString() }];
+    return this._result({ success: true, status: call.status, data: this._describeCall(call) });
+  }
+
+  async cancelCalls(resourceId) {
+    const ids = Array.isArray(resourceId) ? resourceId : [resourceId];
+    const results = [];
+
+    for (const id of ids) {
+      const batch = this.batches.get(id);
+      const callIds = batch ? batch.callIds : [id];
+      const cancelled = callIds
+        .map(callId => this._findCall(callId))
+        .filter(Boolean)
+        .filter(call => this._cancel(call)).length;
+
+      results.push({ resource_id: id, type: batch ? 'batch' : 'call', cancelled_count: cancelled });
+    }
+
+    return this._result({
+      success: true,
+      data: {
+        results,
+        total_cancelled: results.reduce((sum, r) => sum + r.cancelled_count, 0)
+      }
+    });
+  }
+
+  async getBatchStatus(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      return this._result({ success: false, error: 'Batch not found', httpStatus: 404 });
+    }
+
+    const calls = batch.callIds.map(id => this.calls.get(id)).filter(Boolean);
+    const finished = calls.filter(call => call.endedAt);
+    return this._result({
+      success: true,
+      status: finished.length === calls.length ? 'completed' : 'running',
+      data: {
+        id: batch.id,
+        status: finished.length === calls.length ? 'completed' : 'running',
+        total_calls: calls.length,
+        completed_calls: finished.filter(call => call.status === 'ended').length,
+        failed_calls: finished.filter(call => call.status === 'failed').length,
+        calls: calls.map(call => this._describeCall(call))
+      }
+    });
+  }
+
+  async cancelBatch(batchId) {
+    if (!this.batches.has(batchId)) {
+      return this._result({ success: false, error: 'Batch not found', httpStatus: 404 });
+    }
+    return this.cancelCalls(batchId);
+  }
+
+  /**
+   * Simulated calls report in VAPI's webhook format
+   */
+  parseWebhook(payload = {}) {
+    return { ...VAPIProvider.parseWebhookPayload(payload), provider: this.key };
+  }
+
+  /**
+   * Synthetic recording (mono 16-bit PCM WAV tone) for a finished call
+   * @returns {Buffer|null}
+   */
+  renderRecording(providerCallId) {
+    const call = this.calls.get(providerCallId);
+    if (!call || !call.endedAt || !this._talkSeconds(call)) {
+      return null;
+    }
+
+    const seconds = Math.min(this._talkSeconds(call), RECORDING_MAX_SECONDS);
+    const samples = seconds * RECORDING_SAMPLE_RATE;
+    const buffer = Buffer.alloc(44 + samples * 2);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(RECORDING_SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(RECORDING_SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples * 2, 40);
+
+    for (let i = 0; i < samples; i++) {
+      const sample = Math.round(Math.sin((2 * Math.PI * 440 * i) / RECORDING_SAMPLE_RATE) * 8000);
+      buffer.writeInt16LE(sample, 44 + i * 2);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Ordered webhook messages for the call's scenario; each step is one stepMs tick
+   */
+  _buildLifecycle(call) {
+    const { outcome } = call.scenario;
+    const steps = [];
+
+    if (outcome === MOCK_OUTCOMES.FAILED) {
+      steps.push(() => this._finish(call, 'call.failed', 'failed'));
+      return steps;
+    }
+
+    steps.push(() => this._statusUpdate(call, 'ringing'));
+
+    if (outcome === MOCK_OUTCOMES.NO_ANSWER) {
+      steps.push(() => this._finish(call, 'end-of-call-report', 'ended'));
+      return steps;
+    }
+
+    steps.push(() => {
+      call.startedAt = new Date().toISOString();
+      return this._statusUpdate(call, 'in-progress');
+    });
+
+    for (const turn of this._transcriptFor(call)) {
+      steps.push(() => {
+        call.turns = [...(call.turns || []), { ...turn, time: Date.now() }];
+        return {
+          message: {
+            type: 'transcript',
+            role: turn.role,
+            transcriptType: 'final',
+            transcript: turn.message,
+            timestamp: Date.now(),
+            call: { id: call.id }
+          }
+        };
+      });
+    }
+
+    steps.push(() => this._finish(call, 'end-of-call-report', 'ended'));
+    return steps;
+  }
+
+  /**
+   * Scripted turns, opened by the recording consent disclosure when the
+   * tenant policy requires one
+   */
+  _transcriptFor(call) {
+    const turns = this._scriptFor(call);
+    return call.recording?.disclosureMessage
+      ? [{ role: 'assistant', message: call.recording.disclosureMessage }, ...turns]
+      : turns;
+  }
+
+  _scriptFor(call) {
+    if (Array.isArray(call.scenario.transcript) && call.scenario.transcript.length > 0) {
+      return call.scenario.transcript;
+    }
+
+    const name = call.leadName || 'there';
+    if (call.scenario.outcome === MOCK_OUTCOMES.VOICEMAIL) {
+      // The agent's voicemail policy: only a spoken drop message leaves a transcript
+      const { action, message_type: messageType, message } = call.voicemail || {};
+      return action === VOICEMAIL_ACTIONS.DROP_MESSAGE && messageType === VOICEMAIL_MESSAGE_TYPES.TTS && message
+        ? [{ role: 'assistant', message }]
+        : [];
+    }
+
+    return [
+      { role: 'assistant', message: `Hi ${name}. This is a simulated call. Do you have a minute?` },
+      { role: 'user', message: 'Sure, go ahead.' },
+      { role: 'assistant', message: 'Great, I will send over the details by email.' },
+      { role: 'user', message: 'Sounds good, thanks.' }
+    ];
+  }
+
+  _statusUpdate(call, status) {
+    call.status = status;
+    return {
+      message: {
+        type: 'status-update',
+        status,
+        timestamp: Date.now(),
+        call: { id: call.id, status }
+      }
+    };
+  }
+
+  _finish(call, type, status) {
+    call.status = status;
+    call.endedAt = new Date().toISOString();
+    call.endedReason = call.cancelled
+      ? ENDED_REASONS.cancelled
+      : call.scenario.endedReason || ENDED_REASONS[call.scenario.outcome];
+
+    const duration = this._talkSeconds(call);
+    const turns = call.turns || [];
+    const callStartMs = call.startedAt ? Date.parse(call.startedAt) : null;
+    const recordingUrl = duration > 0 && call.recording?.enabled !== false ? this._recordingUrl(call) : null;
+
+    const messages = turns.map(turn => ({
+      role: turn.role === 'assistant' ? 'bot' : 'user',
+      message: turn.message,
+      time: turn.time,
+      secondsFromStart: callStartMs ? (turn.time - callStartMs) / 1000 : 0
+    }));
+
+    return {
+      message: {
+        type,
+        timestamp: Date.now(),
+        endedReason: call.endedReason,
+        startedAt: call.startedAt,
+        endedAt: call.endedAt,
+        duration,
+        durationSeconds: duration,
+        recordingUrl,
+        cost: 0,
+        artifact: {
+          transcript: turns.map(turn => `${turn.role === 'assistant' ? 'AI' : 'User'}: ${turn.message}`).join('\n') || null,
+          messages,
+          recordingUrl
+        },
+        analysis: turns.length > 0
+          ? {
+            summary: call.scenario.summary || `Simulated ${call.scenario.outcome} call with ${call.leadName || call.toNumber}.`,
+            successEvaluation: call.scenario.outcome === MOCK_OUTCOMES.ANSWERED ? 'true' : 'false'
+          }
+          : {},
+        call: { id: call.id, status }
+      }
+    };
+  }
+
+  _talkSeconds(call) {
+    if (!call.startedAt) {
+      return 0;
+    }
+    if (typeof call.scenario.durationSeconds === 'number') {
+      return call.scenario.durationSeconds;
+    }
+    return Math.max(1, Math.round((Date.parse(call.endedAt || new Date().toISOString()) - Date.parse(call.startedAt)) / 1000));
+  }
+
+  _recordingUrl(call) {
+    const origin = new URL(this.webhookUrl).origin;
+    return `${origin}/api/voice-agent/mock-provider/recordings/${call.id}`;
+  }
+
+  /**
+   * Run lifecycle steps one tick apart; the timers never hold the process open
+   */
+  _schedule(call, steps) {
+    call.pending = steps;
+    const runNext = () => {
+      const step = call.pending.shift();
+      if (!step) {
+        return;
+      }
+      const payload = step();
+      this._deliver(payload)
+        .catch(error => {
+          logger.warn('[MockTelephonyProvider] Webhook delivery failed', {
+            callId: call.id,
+            type: payload?.message?.type,
+            error: error.message
+          });
+        })
+        .finally(() => {
+          if (call.pending.length > 0) {
+            const timer = setTimeout(runNext, this.stepMs);
+            timer.unref?.();
+            call.timers = [timer];
+          }
+        });
+    };
+
+    const timer = setTimeout(runNext, this.stepMs);
+    timer.unref?.();
+    call.timers = [timer];
+  }
+
+  /**
+   * Stop a call that has not finished; it still reports an end-of-call-report
+   * @returns {boolean} Whether the call was still running
+   */
+  _cancel(call) {
+    if (call.endedAt) {
+      return false;
+    }
+
+    call.timers.forEach(timer => clearTimeout(timer));
+    call.cancelled = true;
+    call.pending = [() => this._finish(call, 'end-of-call-report', 'ended')];
+    this._schedule(call, call.pending);
+    return true;
+  }
+
+  async _deliver(payload) {
+    if (this.webhookHandler) {
+      return this.webhookHandler(payload);
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.secret) {
+      const timestamp = String(Date.now());
+      headers['x-vapi-timestamp'] = timestamp;
+      headers['x-vapi-signature'] = crypto
+        .createHmac('sha256', this.secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    }
+
+    await axios.post(this.webhookUrl, body, { headers, timeout: 10000 });
+  }
+
+  /**
+   * Look up by provider call id or by voice_call_logs id (what /calls/cancel and /calls/status receive)
+   */
+  _findCall(id) {
+    if (this.calls.has(id)) {
+      return this.calls.get(id);
+    }
+    for (const call of this.calls.values()) {
+      if (call.callLogId && call.callLogId === id) {
+        return call;
+      }
+    }
+    return null;
+  }
+
+  _prune() {
+    if (this.calls.size < MAX_TRACKED_CALLS) {
+      return;
+    }
+    for (const [id, call] of this.calls) {
+      if (this.calls.size < MAX_TRACKED_CALLS) {
+        break;
+      }
+      if (call.endedAt) {
+        this.calls.delete(id);
+      }
+    }
+  }
+
+  _describeCall(call) {
+    return {
+      id: call.id,
+      call_log_id: call.callLogId,
+      batch_id: call.batchId,
+      to_number: call.toNumber,
+      from_number: call.fromNumber,
+      outcome: call.scenario.outcome,
+      status: call.status,
+      ended_reason: call.endedReason,
+      created_at: call.createdAt,
+      started_at: call.startedAt,
+      ended_at: call.endedAt,
+      metadata: call.metadata,
+      controls: call.controls || [],
+      voicemail_action: call.scenario.outcome === MOCK_OUTCOMES.VOICEMAIL ? call.voicemail?.action || null : null
+    };
+  }
+}
+
+MockTelephonyProvider.MOCK_OUTCOMES = MOCK_OUTCOMES;
+
+module.exports = MockTelephonyProvider;
@@ -0,0 +1,180 @@
+/**
+ * Provider Registry
+ *
+ * Holds the telephony adapters registered from the manifest `providers` block
+ * and resolves which one handles a call. A manifest entry becomes a
+ * registration when it names an adapter module in this directory:
+ *
+ *   vapi: { enabled: true, adapter: 'VAPIProvider', agentIds: ['VAPI'], config: {...} }
+ *
+ * A voice_agents row naming a provider (voice_agents.provider) routes to it;
+ * otherwise `agentIds` routes those agents to the provider, and the entry
+ * flagged `default: true` handles everything else.
+ */
+
+const { pool } = require('../../../../shared/database/connection');
+const { VoiceAgentModel } = require('../../models');
+
+let logger;
+try {
+  logger = require('../../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+// Adapter names resolve to modules in this directory only
+const ADAPTER_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*Provider$/;
+
+class ProviderRegistry {
+  constructor(db = pool) {
+    this.agentModel = new VoiceAgentModel(db);
+    this.providers = new Map();
+    this.agentRoutes = new Map();
+    this.defaultKey = null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {TelephonyProvider} provider
+   * @param {Object} [options]
+   * @param {string[]} [options.agentIds] - Agent ids routed to this provider
+   * @param {boolean} [options.isDefault] - Fallback provider for unrouted agents
+   */
+  register(key, provider, { agentIds = [], isDefault = false } = {}) {
+    this.providers.set(key, provider);
+    for (const agentId of agentIds) {
+      this.agentRoutes.set(String(agentId), key);
+    }
+    if (isDefault || !this.defaultKey) {
+      this.defaultKey = key;
+    }
+    return this;
+  }
+
+  /**
+   * Register every enabled manifest provider that names an adapter
+   */
+  registerFromManifest(providersConfig = {}) {
+    for (const [key, entry] of Object.entries(providersConfig)) {
+      if (!entry || entry.enabled === false || !entry.adapter) {
+        continue;
+      }
+      if (!ADAPTER_NAME_PATTERN.test(entry.adapter)) {
+        logger.warn('[ProviderRegistry] Ignoring provider with invalid adapter name', { key, adapter: entry.adapter });
+        continue;
+      }
+
+      const Adapter = require(`./${entry.adapter}`);
+      const provider = new Adapter({
+        ...(entry.config || {}),
+        key,
+        name: entry.name,
+        features: entry.features || []
+      });
+
+      this.register(key, provider, {
+        agentIds: entry.agentIds || [],
+        isDefault: entry.default === true
+      });
+    }
+    return this;
+  }
+
+  has(key) {
+    return this.providers.has(key);
+  }
+
+  get(key) {
+    const provider = this.providers.get(key);
+    if (!provider) {
+      const err = new Error(`Telephony provider "${key}" is not registered`);
+      err.code = 'PROVIDER_NOT_FOUND';
+      err.status = 400;
+      throw err;
+    }
+    return provider;
+  }
+
+  getDefault() {
+    if (!this.defaultKey) {
+      const err = new Error('No telephony provider is registered');
+      err.code = 'PROVIDER_NOT_FOUND';
+      err.status = 500;
+      throw err;
+    }
+    return this.providers.get(this.defaultKey);
+  }
+
+  /**
+   * Provider for an agent: its routed provider when available, otherwise the default
+   */
+  resolveForAgent(agentId) {
+    const key = agentId !== undefined && agentId !== null ? this.agentRoutes.get(String(agentId)) : null;
+    const provider = key ? this.providers.get(key) : null;
+
+    if (provider && provider.isAvailable()) {
+      return provider;
+    }
+    return this.getDefault();
+  }
+
+  /**
+   * Provider and agent mapping for a call
+   * 
+   * @param {Object} params
+   * @param {string} params.schema - Sanitized schema name
+   * @param {string} params.tenantId - Tenant ID for isolation
+   * @param {string} params.agentId - Agent ID from the request
+   * @returns {Promise<{ provider: TelephonyProvider, agent: Object|null }>}
+   */
+  async resolveForCall({ schema, tenantId, agentId }) {
+    let agent = null;
+    if (schema && tenantId && agentId !== undefined && agentId !== null) {
+      agent = await this.agentModel.getAgentProviderConfig(schema, agentId, tenantId);
+    }
+
+    const key = agent?.provider || this.agentRoutes.get(String(agentId));
+    const provider = key ? this.providers.get(key) : null;
+
+    if (provider && provider.isAvailable(agent)) {
+      return { provider, agent };
+    }
+    if (agent?.provider && !provider) {
+      logger.warn('[ProviderRegistry] Agent names an unregistered provider, using default', {
+        agentId,
+        provider: agent.provider
+      });
+    }
+    return { provider: this.getDefault(), agent };
+  }
+
+  /**
+   * Provider and agent mapping for a call already placed: the provider that
+   * placed it (voice_call_logs.metadata.createdVia) when still registered,
+   * else as resolveForCall
+   *
+   * @param {Object} params - resolveForCall params plus providerKey
+   * @returns {Promise<{ provider: TelephonyProvider, agent: Object|null }>}
+   */
+  async resolveForPlacedCall({ schema, tenantId, agentId, providerKey = null }) {
+    const resolved = await this.resolveForCall({
+      schema,
+      tenantId,
+      agentId: agentId !== undefined && agentId !== null ? String(agentId) : null
+    });
+    if (providerKey && providerKey !== resolved.provider.key && this.providers.has(providerKey)) {
+      return { provider: this.providers.get(providerKey), agent: resolved.agent };
+    }
+    return resolved;
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      ...provider.describe(),
+      default: provider.key === this.defaultKey
+    }));
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,139 @@
+/**
+ * Telephony Provider
+ *
+ * Base class for voice/telephony adapters. Controllers talk to providers only
+ * through this interface; adapters are registered from the manifest's
+ * `providers` block (see ProviderRegistry).
+ *
+ * Call request (camelCase, provider neutral):
+ *   { toNumber, fromNumber, agentId, voiceId, leadName, leadId, addedContext,
+ *     llmProvider, llmModel, knowledgeBaseStoreIds, assistantOverrides,
+ *     initiatedBy, tenantId, userId }
+ *
+ * Batch request: the call request fields (minus toNumber/lead fields) plus
+ *   { entries: [{ toNumber, leadName, leadId, addedContext, knowledgeBaseStoreIds }],
+ *     attachmentLink, jsonLink }
+ *
+ * Operation result:
+ *   { success, provider, providerCallId?, status?, data, error?, errorDetails?, httpStatus? }
+ *
+ * Context (second argument) carries request-scoped transport details such as
+ * { authorization, frontendId, tenantHeader, legacy, batchId }.
+ */
+
+class TelephonyProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.key - Registry key (manifest providers key)
+   * @param {string} [config.name] - Display name
+   * @param {string[]} [config.features] - Advertised capabilities
+   */
+  constructor(config = {}) {
+    this.key = config.key;
+    this.name = config.name || config.key;
+    this.features = config.features || [];
+    // True when the provider writes voice_call_logs itself; otherwise callers
+    // dispatching through it (BatchDispatchService) record the call log
+    this.recordsCallLogs = false;
+  }
+
+  /**
+   * Whether the provider is configured well enough to place calls
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  supports(feature) {
+    return this.features.includes(feature);
+  }
+
+  async initiateCall(request, context = {}) {
+    throw this._notSupported('initiateCall');
+  }
+
+  async batchInitiateCalls(request, context = {}) {
+    throw this._notSupported('batchInitiateCalls');
+  }
+
+  async getCallStatus(providerCallId, context = {}) {
+    throw this._notSupported('getCallStatus');
+  }
+
+  async updateCall(providerCallId, updates, context = {}) {
+    throw this._notSupported('updateCall');
+  }
+
+  async endCall(providerCallId, context = {}) {
+    throw this._notSupported('endCall');
+  }
+
+  /**
+   * Send a live control command to an in-progress call
+   *
+   * @param {string} providerCallId
+   * @param {Object} command - { action } plus, per LIVE_CONTROL_ACTIONS:
+   *   transfer { toNumber, mode, message }, inject { role, content, respond },
+   *   say { content }, mute / unmute {}
+   */
+  async controlCall(providerCallId, command, context = {}) {
+    throw this._notSupported('controlCall');
+  }
+
+  /**
+   * Live audio of an in-progress call
+   * @returns {Promise<Object>} result whose data is { listenUrl (websocket of binary audio frames), format }
+   */
+  async getMonitorStream(providerCallId, context = {}) {
+    throw this._notSupported('getMonitorStream');
+  }
+
+  /**
+   * Cancel one or more calls/batches by provider resource id
+   */
+  async cancelCalls(resourceIds, context = {}) {
+    throw this._notSupported('cancelCalls');
+  }
+
+  async getBatchStatus(batchId, context = {}) {
+    throw this._notSupported('getBatchStatus');
+  }
+
+  async cancelBatch(batchId, context = {}) {
+    throw this._notSupported('cancelBatch');
+  }
+
+  /**
+   * Normalize a provider webhook payload
+   * @returns {{ provider, eventType, providerCallId, status, message, call }}
+   */
+  parseWebhook(payload) {
+    throw this._notSupported('parseWebhook');
+  }
+
+  /**
+   * Describe the provider for listings (no secrets)
+   */
+  describe() {
+    return {
+      key: this.key,
+      name: this.name,
+      available: this.isAvailable(),
+      features: this.features
+    };
+  }
+
+  _result(fields) {
+    return { provider: this.key, ...fields };
+  }
+
+  _notSupported(operation) {
+    const err = new Error(`Provider "${this.key}" does not support ${operation}`);
+    err.code = 'PROVIDER_OPERATION_NOT_SUPPORTED';
+    err.status = 501;
+    return err;
+  }
+}
+
+module.exports = TelephonyProvider;
@@ -0,0 +1,232 @@
+/**
+ * VAPI Provider
+ *
+ * Telephony adapter over VAPIService (https://api.vapi.ai/call)
+ *
+ * Assistant, phone number and API key resolve per call:
+ * - assistant: voice_agents.provider_assistant_id
+ * - phone number: voice_agent_numbers.provider_phone_number_id for the caller ID
+ *   (or the agent's default number), then voice_agents.provider_config.phone_number_id
+ * - API key: voice_agents.provider_config.api_key
+ * - webhook secret: voice_agents.provider_config.webhook_secret
+ * An agent with its own API key belongs to a separate VAPI account, so it never
+ * falls back to the global VAPI_* environment variables.
+ */
+
+const { pool } = require('../../../../shared/database/connection');
+const TelephonyProvider = require('./TelephonyProvider');
+const VAPIService = require('../VAPIService');
+const { PhoneNumberModel } = require('../../models');
+const { resolveVoicemailPolicy } = require('../voicemailPolicy');
+const { LIVE_CONTROL_ACTIONS, TRANSFER_MODES } = require('../../constants/liveCallControl');
+
+// Frames on the monitor listenUrl: raw PCM, customer and assistant as separate channels
+const LISTEN_AUDIO_FORMAT = { encoding: 'pcm_s16le', sampleRate: 16000, channels: 2 };
+
+class VAPIProvider extends TelephonyProvider {
+  constructor(config = {}) {
+    super({ key: 'vapi', name: 'VAPI', ...config });
+    this.service = config.service || new VAPIService(config);
+    this.numberModel = new PhoneNumberModel(config.db || pool);
+  }
+
+  /**
+   * @param {Object} [agent] - voice_agents provider mapping; agents with their own key are available
+   */
+  isAvailable(agent = null) {
+    return this.service.enabled || !!agent?.provider_config?.api_key;
+  }
+
+  /**
+   * @param {Object} request - Call request (see TelephonyProvider)
+   * @param {Object} context - { schema, agent } agent = voice_agents provider mapping;
+   *   its voicemail_policy sets the call's voicemail detection and drop message
+   */
+  async initiateCall(request, context = {}) {
+    const credentials = await this._resolveCredentials(request, context);
+    if (credentials.error) {
+      return this._result({ success: false, error: credentials.error });
+    }
+
+    const result = await this.service.initiateCall({
+      phoneNumber: request.toNumber,
+      leadName: request.leadName,
+      agentId: request.agentId,
+      addedContext: request.addedContext || '',
+      assistantOverrides: request.assistantOverrides || {},
+      recording: request.recording || null,
+      voicemail: resolveVoicemailPolicy(context.agent?.voicemail_policy),
+      ...credentials
+    });
+
+    return this._result({
+      ...result,
+      providerCallId: result.vapiCallId || null
+    });
+  }
+
+  async batchInitiateCalls(request, context = {}) {
+    const credentials = await this._resolveCredentials(request, context);
+    if (credentials.error) {
+      return this._result({ success: false, error: credentials.error });
+    }
+
+    const results = await this.service.batchInitiateCalls({
+      entries: (request.entries || []).map(entry => ({
+        phoneNumber: entry.toNumber,
+        leadName: entry.leadName,
+        added_context: entry.addedContext,
+        recording: entry.recording || null
+      })),
+      globalContext: request.addedContext || '',
+      agentId: request.agentId,
+      assistantOverrides: request.assistantOverrides || {},
+      voicemail: resolveVoicemailPolicy(context.agent?.voicemail_policy),
+      credentials
+    });
+
+    return this._result({ success: true, data: results });
+  }
+
+  async getCallStatus(providerCallId, context = {}) {
+    return this._result(await this.service.getCallStatus(providerCallId, this._apiKeyOption(context)));
+  }
+
+  async updateCall(providerCallId, updates, context = {}) {
+    return this._result(await this.service.updateCall(providerCallId, updates, this._apiKeyOption(context)));
+  }
+
+  async endCall(providerCallId, context = {}) {
+    return this._result(await this.service.endCall(providerCallId, this._apiKeyOption(context)));
+  }
+
+  async controlCall(providerCallId, command, context = {}) {
+    const message = VAPIProvider.controlMessage(command);
+    if (!message) {
+      return this._result({ success: false, error: `Unknown control action: ${command?.action}`, httpStatus: 400 });
+    }
+    return this._result(await this.service.controlCall(providerCallId, message, this._apiKeyOption(context)));
+  }
+
+  async getMonitorStream(providerCallId, context = {}) {
+    const monitor = await this.service.getMonitor(providerCallId, this._apiKeyOption(context));
+    if (!monitor.success) {
+      return this._result(monitor);
+    }
+    if (!monitor.data.listenUrl) {
+      return this._result({ success: false, error: 'Live listen is not enabled for this call', httpStatus: 409 });
+    }
+    return this._result({ success: true, data: { listenUrl: monitor.data.listenUrl, format: LISTEN_AUDIO_FORMAT } });
+  }
+
+  parseWebhook(payload = {}) {
+    return VAPIProvider.parseWebhookPayload(payload);
+  }
+
+  /**
+   * Resolve { assistantId, phoneNumberId, apiKey } for a call
+   * @returns {Promise<Object>} credentials, or { error } when the agent's mapping is incomplete
+   */
+  async _resolveCredentials(request, context = {}) {
+    const agent = context.agent || null;
+    const agentConfig = agent?.provider_config || {};
+    const ownAccount = !!agentConfig.api_key;
+
+    let number = null;
+    if (context.schema && request.tenantId) {
+      number = await this.numberModel.getProviderPhoneNumber(context.schema, request.tenantId, {
+        fromNumber: request.fromNumber || null,
+        agentId: agent?.id || null
+      });
+    }
+
+    const credentials = {
+      apiKey: ownAccount ? agentConfig.api_key : this.service.apiKey,
+      assistantId: agent?.provider_assistant_id || (ownAccount ? null : this.service.assistantId),
+      phoneNumberId: number?.provider_phone_number_id || agentConfig.phone_number_id ||
+        (ownAccount ? null : this.service.phoneNumberId)
+    };
+
+    if (!credentials.assistantId) {
+      return { error: 'VAPI assistant is not configured for this agent' };
+    }
+    if (!credentials.phoneNumberId) {
+      return { error: 'VAPI phone number is not configured for this agent' };
+    }
+
+    return credentials;
+  }
+
+  _apiKeyOption(context = {}) {
+    const apiKey = context.agent?.provider_config?.api_key;
+    return apiKey ? { apiKey } : {};
+  }
+
+  /**
+   * Secret the agent's webhook deliveries are signed with
+   * @param {Object|null} agent - voice_agents provider mapping
+   * @param {string|null} defaultSecret - Global secret (VAPI_WEBHOOK_SECRET)
+   * @returns {string|null} null when an agent with its own API key has no webhook_secret
+   */
+  static webhookSecret(agent, defaultSecret = null) {
+    const agentConfig = agent?.provider_config || {};
+    if (agentConfig.api_key) {
+      return agentConfig.webhook_secret || null;
+    }
+    return defaultSecret;
+  }
+
+  /**
+   * VAPI live control message for a provider-neutral command (see TelephonyProvider.controlCall)
+   * @returns {Object|null} null for unknown actions
+   */
+  static controlMessage(command = {}) {
+    switch (command.action) {
+      case LIVE_CONTROL_ACTIONS.TRANSFER: {
+        const destination = { type: 'number', number: command.toNumber };
+        if (command.mode === TRANSFER_MODES.WARM) {
+          destination.transferPlan = command.message
+            ? { mode: 'warm-transfer-say-message', message: command.message }
+            : { mode: 'warm-transfer-say-summary' };
+        } else if (command.message) {
+          destination.message = command.message;
+        }
+        return { type: 'transfer', destination };
+      }
+      case LIVE_CONTROL_ACTIONS.INJECT:
+        return {
+          type: 'add-message',
+          message: { role: command.role || 'system', content: command.content },
+          triggerResponseEnabled: command.respond !== false
+        };
+      case LIVE_CONTROL_ACTIONS.SAY:
+        return { type: 'say', content: command.content };
+      case LIVE_CONTROL_ACTIONS.MUTE:
+        return { type: 'control', control: 'mute-assistant' };
+      case LIVE_CONTROL_ACTIONS.UNMUTE:
+        return { type: 'control', control: 'unmute-assistant' };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * VAPI server messages arrive as { message: { type, call, ... } }; older
+   * deliveries are flat ({ event, callId, ... }). Static so webhook
+   * verification can describe a delivery without a provider instance.
+   */
+  static parseWebhookPayload(payload = {}) {
+    const message = payload.message || payload;
+    const call = message.call || payload.call || message;
+    return {
+      provider: 'vapi',
+      eventType: message.type || message.event || payload.event || payload.type || null,
+      providerCallId: call?.id || message.callId || payload.callId || null,
+      status: message.status || null,
+      message,
+      call
+    };
+  }
+}
+
+module.exports = VAPIProvider;
@@ -0,0 +1,28 @@
+/**
+ * Telephony Providers Index
+ *
+ * Exports the adapter classes and the shared registry built from the manifest
+ */
+
+const TelephonyProvider = require('./TelephonyProvider');
+const VAPIProvider = require('./VAPIProvider');
+const ExternalVoiceServiceProvider = require('./ExternalVoiceServiceProvider');
+const ProviderRegistry = require('./ProviderRegistry');
+
+let registry = null;
+
+function getProviderRegistry() {
+  if (!registry) {
+    const manifest = require('../../manifest');
+    registry = new ProviderRegistry().registerFromManifest(manifest.providers);
+  }
+  return registry;
+}
+
+module.exports = {
+  TelephonyProvider,
+  VAPIProvider,
+  ExternalVoiceServiceProvider,
+  ProviderRegistry,
+  getProviderRegistry
+};
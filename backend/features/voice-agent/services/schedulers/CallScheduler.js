@@ -0,0 +1,78 @@
+/**
+ * Call Scheduler
+ *
+ * Base class for scheduler backends that fire scheduled single calls.
+ * voice_scheduled_calls stays the source of truth for every backend (listing,
+ * cancel, reschedule, who fires what); a backend only decides *how* a due row
+ * gets fired:
+ *
+ * - polling backends (pollsForDueCalls = true) are drained by
+ *   ScheduledCallWorker
+ * - task backends enqueue an external task per call that calls back
+ *   POST /scheduled-calls/fire when it is due, and keep the task reference in
+ *   voice_scheduled_calls.task_ref
+ */
+
+class CallScheduler {
+  /**
+   * @param {Object} config
+   * @param {string} config.key - Stored in voice_scheduled_calls.backend
+   * @param {string} [config.name] - Display name
+   */
+  constructor(config = {}) {
+    this.key = config.key;
+    this.name = config.name || config.key;
+    this.pollsForDueCalls = false;
+  }
+
+  /**
+   * Whether the backend is configured well enough to schedule calls
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Arrange for a scheduled call to be fired at its scheduled_at
+   * @param {Object} scheduledCall - voice_scheduled_calls row
+   * @returns {Promise<{ taskRef: string|null }>}
+   */
+  async enqueue(scheduledCall) {
+    throw this._notSupported('enqueue');
+  }
+
+  /**
+   * Withdraw a cancelled or rescheduled call's pending task
+   * @param {Object} scheduledCall - voice_scheduled_calls row (with task_ref)
+   */
+  async dequeue(scheduledCall) {
+    throw this._notSupported('dequeue');
+  }
+
+  /**
+   * Move a call's task to its new scheduled_at
+   * @returns {Promise<{ taskRef: string|null }>}
+   */
+  async reschedule(scheduledCall) {
+    await this.dequeue(scheduledCall);
+    return this.enqueue(scheduledCall);
+  }
+
+  describe() {
+    return {
+      key: this.key,
+      name: this.name,
+      available: this.isAvailable(),
+      pollsForDueCalls: this.pollsForDueCalls
+    };
+  }
+
+  _notSupported(operation) {
+    const err = new Error(`${this.name} does not support ${operation}`);
+    err.code = 'NOT_SUPPORTED';
+    return err;
+  }
+}
+
+module.exports = CallScheduler;
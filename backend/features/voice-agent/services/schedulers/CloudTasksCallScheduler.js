@@ -0,0 +1,91 @@
+/**
+ * Cloud Tasks Call Scheduler
+ *
+ * Enqueues one Google Cloud Tasks HTTP task per scheduled call. When due, the
+ * task POSTs { scheduled_call_id } to VOICE_SCHEDULER_CALLBACK_URL
+ * (POST /scheduled-calls/fire) with the shared secret in the
+ * X-Voice-Scheduler-Secret header.
+ *
+ * Requires GCP_PROJECT_ID (see shared/gcp/cloudTasksClient),
+ * VOICE_SCHEDULER_CALLBACK_URL and VOICE_SCHEDULER_SECRET.
+ */
+
+const crypto = require('crypto');
+const CallScheduler = require('./CallScheduler');
+
+const SECRET_HEADER = 'X-Voice-Scheduler-Secret';
+
+class CloudTasksCallScheduler extends CallScheduler {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.client] - Cloud Tasks client (defaults to the shared one)
+   * @param {string} [config.queue]
+   * @param {string} [config.callbackUrl]
+   * @param {string} [config.secret]
+   */
+  constructor(config = {}) {
+    super({ key: 'cloud-tasks', name: 'Google Cloud Tasks' });
+    this.queue = config.queue || process.env.VOICE_SCHEDULER_QUEUE || 'voice-scheduled-calls';
+    this.callbackUrl = config.callbackUrl || process.env.VOICE_SCHEDULER_CALLBACK_URL || null;
+    this.secret = config.secret || process.env.VOICE_SCHEDULER_SECRET || null;
+    this.client = config.client || null;
+  }
+
+  _getClient() {
+    // Loaded on first use so environments without GCP never touch the SDK
+    if (!this.client) {
+      this.client = require('../../../../shared/gcp/cloudTasksClient');
+    }
+    return this.client;
+  }
+
+  isAvailable() {
+    if (!this.callbackUrl || !this.secret) {
+      return false;
+    }
+    try {
+      return this._getClient().isEnabled();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async enqueue(scheduledCall) {
+    const scheduleTime = new Date(scheduledCall.scheduled_at);
+    const task = await this._getClient().createScheduledHttpTask({
+      queue: this.queue,
+      url: this.callbackUrl,
+      payload: { scheduled_call_id: scheduledCall.id },
+      scheduleTime,
+      // Task names cannot be reused for a while after deletion, so a reschedule needs a new one
+      idempotencyKey: `voice-scheduled-call-${scheduledCall.id}-${scheduleTime.getTime()}`,
+      headers: { [SECRET_HEADER]: this.secret }
+    });
+    return { taskRef: task.taskName || null };
+  }
+
+  async dequeue(scheduledCall) {
+    if (scheduledCall.task_ref) {
+      await this._getClient().deleteTask(scheduledCall.task_ref);
+    }
+  }
+
+  /**
+   * Check the shared secret of a task callback
+   * @param {Object} headers - Request headers (lower-cased, as in Express)
+   * @returns {boolean}
+   */
+  verifyCallback(headers = {}) {
+    const provided = headers[SECRET_HEADER.toLowerCase()];
+    if (!this.secret || !provided) {
+      return false;
+    }
+    const left = Buffer.from(String(provided));
+    const right = Buffer.from(this.secret);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+}
+
+CloudTasksCallScheduler.SECRET_HEADER = SECRET_HEADER;
+
+module.exports = CloudTasksCallScheduler;
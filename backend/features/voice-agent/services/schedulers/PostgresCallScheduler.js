@@ -0,0 +1,24 @@
+/**
+ * Postgres Call Scheduler
+ *
+ * Default backend: nothing is enqueued anywhere; ScheduledCallWorker polls
+ * voice_scheduled_calls for due rows. Works in any environment with the
+ * feature's database.
+ */
+
+const CallScheduler = require('./CallScheduler');
+
+class PostgresCallScheduler extends CallScheduler {
+  constructor(config = {}) {
+    super({ key: 'postgres', name: 'Postgres scheduler', ...config });
+    this.pollsForDueCalls = true;
+  }
+
+  async enqueue() {
+    return { taskRef: null };
+  }
+
+  async dequeue() {}
+}
+
+module.exports = PostgresCallScheduler;
@@ -0,0 +1,51 @@
+/**
+ * Call Schedulers Index
+ *
+ * Exports the scheduler backends and the configured one
+ * (VOICE_CALL_SCHEDULER: postgres (default) | cloud-tasks)
+ */
+
+const CallScheduler = require('./CallScheduler');
+const PostgresCallScheduler = require('./PostgresCallScheduler');
+const CloudTasksCallScheduler = require('./CloudTasksCallScheduler');
+
+let logger;
+try {
+  logger = require('../../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const SCHEDULERS = {
+  postgres: PostgresCallScheduler,
+  'cloud-tasks': CloudTasksCallScheduler
+};
+
+let scheduler = null;
+
+function getCallScheduler() {
+  if (!scheduler) {
+    const key = process.env.VOICE_CALL_SCHEDULER || 'postgres';
+    const Scheduler = SCHEDULERS[key];
+
+    if (!Scheduler) {
+      logger.warn('[CallScheduler] Unknown scheduler backend, using postgres', { scheduler: key });
+      scheduler = new PostgresCallScheduler();
+    } else {
+      scheduler = new Scheduler();
+      if (!scheduler.isAvailable()) {
+        logger.warn('[CallScheduler] Scheduler backend is not configured, using postgres', { scheduler: key });
+        scheduler = new PostgresCallScheduler();
+      }
+    }
+  }
+  return scheduler;
+}
+
+module.exports = {
+  CallScheduler,
+  PostgresCallScheduler,
+  CloudTasksCallScheduler,
+  getCallScheduler
+};
@@ -0,0 +1,103 @@
+/**
+ * GCS Storage Driver
+ *
+ * gs://bucket/path objects in Google Cloud Storage, with the application
+ * default credentials. Uploads go to GCS_BUCKET_NAME (or GCP_BUCKET_NAME).
+ */
+
+const StorageDriver = require('./StorageDriver');
+
+class GCSStorageDriver extends StorageDriver {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.storage] - @google-cloud/storage client
+   * @param {string} [config.bucket] - Upload bucket
+   */
+  constructor(config = {}) {
+    super({ key: 'gcs', name: 'Google Cloud Storage', schemes: ['gs:'] });
+    this.storage = config.storage || null;
+    this.bucket = config.bucket || process.env.GCS_BUCKET_NAME || process.env.GCP_BUCKET_NAME || null;
+  }
+
+  _getStorage() {
+    // Loaded on first use so environments without GCP never touch the SDK
+    if (!this.storage) {
+      const { Storage } = require('@google-cloud/storage');
+      this.storage = new Storage();
+    }
+    return this.storage;
+  }
+
+  /**
+   * @returns {{ bucket: string, path: string }|null}
+   */
+  parse(location) {
+    const match = String(location || '').match(/^gs:\/\/([^/]+)\/(.+)$/);
+    return match ? { bucket: match[1], path: match[2] } : null;
+  }
+
+  _file(location) {
+    const parsed = this.parse(location);
+    if (!parsed) {
+      throw this._notFound(location);
+    }
+    return this._getStorage().bucket(parsed.bucket).file(parsed.path);
+  }
+
+  async stat(location) {
+    try {
+      const [metadata] = await this._file(location).getMetadata();
+      return {
+        size: parseInt(metadata.size, 10),
+        contentType: metadata.contentType || this.guessContentType(location)
+      };
+    } catch (error) {
+      throw error.code === 404 ? this._notFound(location) : error;
+    }
+  }
+
+  async createReadStream(location, range = null) {
+    return this._file(location).createReadStream(range ? { start: range.start, end: range.end } : {});
+  }
+
+  async upload({ buffer, key, contentType }) {
+    if (!this.bucket) {
+      throw this._notConfigured('GCS_BUCKET_NAME is not configured');
+    }
+
+    const location = `gs://${this.bucket}/${key}`;
+    await this._file(location).save(buffer, {
+      resumable: false,
+      contentType: contentType || 'application/octet-stream',
+      metadata: {
+        cacheControl: 'no-cache'
+      }
+    });
+
+    return { location, bucket: this.bucket, key };
+  }
+
+  async getSignedUrl(location, expiresSeconds) {
+    const expiresAtMs = Date.now() + expiresSeconds * 1000;
+    const [url] = await this._file(location).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAtMs
+    });
+    return { url, expiresAt: new Date(expiresAtMs).toISOString() };
+  }
+
+  getPublicUrl(location) {
+    const parsed = this.parse(location);
+    if (!parsed) return null;
+    // Requires the object (or bucket) to be publicly readable
+    return `https://storage.googleapis.com/${parsed.bucket}/${encodeURIComponent(parsed.path).replace(/%2F/g, '/')}`;
+  }
+
+  async delete(location) {
+    await this._file(location).delete({ ignoreNotFound: true });
+    return { deleted: true };
+  }
+}
+
+module.exports = GCSStorageDriver;
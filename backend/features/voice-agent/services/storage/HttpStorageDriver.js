@@ -0,0 +1,118 @@
+/**
+ * HTTP Storage Driver
+ *
+ * Read-only access to objects hosted elsewhere (provider recordings, public
+ * voice samples; https:// URLs, often pre-signed) so they can be proxied
+ * instead of handing the URL to the browser. Byte ranges are forwarded as
+ * Range requests; hosts that ignore them and answer 200 with the whole object
+ * are sliced here. The data is not ours: delete only reports deleted false.
+ */
+
+const { Transform } = require('stream');
+const axios = require('axios');
+const StorageDriver = require('./StorageDriver');
+
+// Upstream must start answering within this time
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Bytes start..end (inclusive) of a stream of the whole object; the source
+ * is closed once the range has been read
+ */
+function sliceStream(source, { start, end }) {
+  let offset = 0;
+  let done = false;
+
+  const slice = new Transform({
+    transform(chunk, encoding, callback) {
+      if (!done) {
+        const from = Math.max(start - offset, 0);
+        const to = Math.min(end + 1 - offset, chunk.length);
+        offset += chunk.length;
+        if (to > from) this.push(chunk.subarray(from, to));
+        if (offset > end) {
+          done = true;
+          this.push(null);
+          source.destroy();
+        }
+      }
+      callback();
+    }
+  });
+
+  source.on('error', error => slice.destroy(error));
+  slice.on('close', () => source.destroy());
+  return source.pipe(slice);
+}
+
+class HttpStorageDriver extends StorageDriver {
+  constructor() {
+    super({ key: 'http', name: 'Provider-hosted URL', schemes: ['https:', 'http:'] });
+  }
+
+  async stat(location) {
+    // A one-byte range read works on signed URLs that do not allow HEAD
+    const response = await this._get(location, 'bytes=0-0');
+    response.data.destroy();
+
+    const total = String(response.headers['content-range'] || '').match(/\/(\d+)$/)?.[1];
+    const size = response.status === 206 ? parseInt(total, 10) : parseInt(response.headers['content-length'], 10);
+    if (Number.isNaN(size)) {
+      const err = new Error('Recording host did not report a size');
+      err.code = 'UPSTREAM_ERROR';
+      err.status = 502;
+      throw err;
+    }
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0];
+    return {
+      size,
+      contentType: contentType && contentType !== 'application/octet-stream'
+        ? contentType
+        : this.guessContentType(location)
+    };
+  }
+
+  async createReadStream(location, range = null) {
+    const response = await this._get(location, range ? `bytes=${range.start}-${range.end}` : null);
+    // A 200 to a Range request carries the whole object
+    return range && response.status === 200 ? sliceStream(response.data, range) : response.data;
+  }
+
+  async getSignedUrl(location) {
+    // Already directly readable
+    return { url: location, expiresAt: null };
+  }
+
+  getPublicUrl(location) {
+    return location;
+  }
+
+  async delete() {
+    return { deleted: false };
+  }
+
+  async _get(location, rangeHeader) {
+    const response = await axios.get(location, {
+      responseType: 'stream',
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: rangeHeader ? { Range: rangeHeader } : {},
+      validateStatus: () => true
+    });
+
+    if (response.status === 404 || response.status === 403 || response.status === 410) {
+      response.data.destroy();
+      throw this._notFound(location);
+    }
+    if (response.status !== 200 && response.status !== 206) {
+      response.data.destroy();
+      const err = new Error(`Recording host responded with ${response.status}`);
+      err.code = 'UPSTREAM_ERROR';
+      err.status = 502;
+      throw err;
+    }
+    return response;
+  }
+}
+
+module.exports = HttpStorageDriver;
@@ -0,0 +1,93 @@
+/**
+ * Local Storage Driver
+ *
+ * local://relative/path objects in a directory on this machine
+ * (VOICE_STORAGE_LOCAL_DIR, default ./storage under the working directory),
+ * for self-hosted deployments, development and tests. Paths cannot escape
+ * the directory. The disk has no URLs of its own, so objects are handed out
+ * as proxied URLs (see ObjectStorageService).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageDriver = require('./StorageDriver');
+
+class LocalStorageDriver extends StorageDriver {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.rootDir]
+   */
+  constructor(config = {}) {
+    super({ key: 'local', name: 'Local disk', schemes: ['local:'] });
+    this.rootDir = path.resolve(config.rootDir || process.env.VOICE_STORAGE_LOCAL_DIR || 'storage');
+  }
+
+  /**
+   * Absolute file path of a local:// location
+   * @returns {string|null} null when malformed or outside the root directory
+   */
+  resolvePath(location) {
+    const match = String(location || '').match(/^local:\/\/(.+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const filePath = path.resolve(this.rootDir, decodeURIComponent(match[1]).replace(/^\/+/, ''));
+    return filePath.startsWith(this.rootDir + path.sep) ? filePath : null;
+  }
+
+  async stat(location) {
+    const filePath = this.resolvePath(location);
+    if (!filePath) {
+      throw this._notFound(location);
+    }
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) {
+        throw this._notFound(location);
+      }
+      return { size: stats.size, contentType: this.guessContentType(filePath) };
+    } catch (error) {
+      throw error.code === 'ENOENT' ? this._notFound(location) : error;
+    }
+  }
+
+  async createReadStream(location, range = null) {
+    const filePath = this.resolvePath(location);
+    if (!filePath) {
+      throw this._notFound(location);
+    }
+    return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : {});
+  }
+
+  async upload({ buffer, key }) {
+    const location = `local://${key}`;
+    const filePath = this.resolvePath(location);
+    if (!filePath) {
+      const err = new Error(`Invalid object key: ${key}`);
+      err.code = 'INVALID_OBJECT_KEY';
+      throw err;
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { location, bucket: null, key };
+  }
+
+  async delete(location) {
+    const filePath = this.resolvePath(location);
+    if (!filePath) {
+      return { deleted: false };
+    }
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return { deleted: true };
+  }
+}
+
+module.exports = LocalStorageDriver;
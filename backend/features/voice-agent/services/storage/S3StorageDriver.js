@@ -0,0 +1,217 @@
+/**
+ * S3 Storage Driver
+ *
+ * s3://bucket/key objects in Amazon S3 or an S3-compatible store (MinIO,
+ * Cloudflare R2, Wasabi, ...). Every request is made with an AWS Signature
+ * Version 4 pre-signed URL, so no SDK is needed.
+ *
+ * Config: VOICE_S3_BUCKET (uploads), VOICE_S3_REGION (default us-east-1),
+ * VOICE_S3_ENDPOINT (S3-compatible stores; path-style addressing unless
+ * VOICE_S3_FORCE_PATH_STYLE=false), VOICE_S3_ACCESS_KEY_ID /
+ * VOICE_S3_SECRET_ACCESS_KEY (default AWS_ACCESS_KEY_ID /
+ * AWS_SECRET_ACCESS_KEY) and optional AWS_SESSION_TOKEN.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const StorageDriver = require('./StorageDriver');
+
+// Pre-signed URLs for internal requests only need to outlive the request
+const REQUEST_URL_EXPIRES_SECONDS = 300;
+// SigV4 pre-signed URLs are valid for at most 7 days
+const MAX_EXPIRES_SECONDS = 7 * 24 * 3600;
+const REQUEST_TIMEOUT_MS = 30000;
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+class S3StorageDriver extends StorageDriver {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.bucket]
+   * @param {string} [config.region]
+   * @param {string} [config.endpoint] - e.g. https://minio.internal:9000
+   * @param {boolean} [config.forcePathStyle]
+   * @param {string} [config.accessKeyId]
+   * @param {string} [config.secretAccessKey]
+   * @param {string} [config.sessionToken]
+   */
+  constructor(config = {}) {
+    super({ key: 's3', name: 'S3-compatible storage', schemes: ['s3:'] });
+    this.bucket = config.bucket || process.env.VOICE_S3_BUCKET || null;
+    this.region = config.region || process.env.VOICE_S3_REGION || process.env.AWS_REGION || 'us-east-1';
+    this.endpoint = config.endpoint || process.env.VOICE_S3_ENDPOINT || null;
+    this.forcePathStyle = config.forcePathStyle ?? (
+      process.env.VOICE_S3_FORCE_PATH_STYLE
+        ? process.env.VOICE_S3_FORCE_PATH_STYLE === 'true'
+        : !!this.endpoint
+    );
+    this.accessKeyId = config.accessKeyId || process.env.VOICE_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || null;
+    this.secretAccessKey = config.secretAccessKey || process.env.VOICE_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || null;
+    this.sessionToken = config.sessionToken || process.env.AWS_SESSION_TOKEN || null;
+  }
+
+  isAvailable() {
+    return !!(this.accessKeyId && this.secretAccessKey);
+  }
+
+  /**
+   * @returns {{ bucket: string, key: string }|null}
+   */
+  parse(location) {
+    const match = String(location || '').match(/^s3:\/\/([^/]+)\/(.+)$/);
+    return match ? { bucket: match[1], key: match[2] } : null;
+  }
+
+  /**
+   * Host and path of an object (virtual-hosted or path-style)
+   */
+  _address(bucket, key) {
+    const base = new URL(this.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+
+    return this.forcePathStyle
+      ? { protocol: base.protocol, host: base.host, path: `/${bucket}/${encodedKey}` }
+      : { protocol: base.protocol, host: `${bucket}.${base.host}`, path: `/${encodedKey}` };
+  }
+
+  /**
+   * AWS SigV4 query-string signed URL (only the host header is signed)
+   *
+   * @param {string} method - GET, HEAD, PUT, DELETE
+   * @param {string} location - s3://bucket/key
+   * @param {number} expiresSeconds
+   * @param {Date} [now]
+   */
+  presign(method, location, expiresSeconds, now = new Date()) {
+    const parsed = this.parse(location);
+    if (!parsed) {
+      throw this._notFound(location);
+    }
+
+    const { protocol, host, path } = this._address(parsed.bucket, parsed.key);
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const params = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(Math.max(Math.floor(expiresSeconds), 1), MAX_EXPIRES_SECONDS)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (this.sessionToken) {
+      params['X-Amz-Security-Token'] = this.sessionToken;
+    }
+
+    const query = Object.keys(params)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+      .join('&');
+
+    const canonicalRequest = [method, path, query, `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `${protocol}//${host}${path}?${query}&X-Amz-Signature=${signature}`;
+  }
+
+  async _request(method, location, options = {}) {
+    const response = await axios({
+      method,
+      url: this.presign(method, location, REQUEST_URL_EXPIRES_SECONDS),
+      timeout: REQUEST_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+      validateStatus: () => true,
+      ...options
+    });
+
+    if (response.status === 404) {
+      if (typeof response.data?.destroy === 'function') response.data.destroy();
+      throw this._notFound(location);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      if (typeof response.data?.destroy === 'function') response.data.destroy();
+      const err = new Error(`S3 ${method} failed with status ${response.status}`);
+      err.code = 'STORAGE_ERROR';
+      err.status = 502;
+      throw err;
+    }
+    return response;
+  }
+
+  async stat(location) {
+    const response = await this._request('HEAD', location);
+    const contentType = String(response.headers['content-type'] || '').split(';')[0];
+    return {
+      size: parseInt(response.headers['content-length'], 10),
+      contentType: contentType && contentType !== 'application/octet-stream'
+        ? contentType
+        : this.guessContentType(location)
+    };
+  }
+
+  async createReadStream(location, range = null) {
+    const response = await this._request('GET', location, {
+      responseType: 'stream',
+      headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {}
+    });
+    return response.data;
+  }
+
+  async upload({ buffer, key, contentType }) {
+    if (!this.bucket) {
+      throw this._notConfigured('VOICE_S3_BUCKET is not configured');
+    }
+
+    const location = `s3://${this.bucket}/${key}`;
+    await this._request('PUT', location, {
+      data: buffer,
+      headers: {
+        'Content-Type': contentType || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+      }
+    });
+
+    return { location, bucket: this.bucket, key };
+  }
+
+  async getSignedUrl(location, expiresSeconds) {
+    const seconds = Math.min(expiresSeconds, MAX_EXPIRES_SECONDS);
+    return {
+      url: this.presign('GET', location, seconds),
+      expiresAt: new Date(Date.now() + seconds * 1000).toISOString()
+    };
+  }
+
+  getPublicUrl(location) {
+    const parsed = this.parse(location);
+    if (!parsed) return null;
+    const { protocol, host, path } = this._address(parsed.bucket, parsed.key);
+    return `${protocol}//${host}${path}`;
+  }
+
+  async delete(location) {
+    try {
+      await this._request('DELETE', location);
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') throw error;
+    }
+    return { deleted: true };
+  }
+}
+
+module.exports = S3StorageDriver;
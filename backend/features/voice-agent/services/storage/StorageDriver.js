@@ -0,0 +1,156 @@
+/**
+ * Storage Driver
+ *
+ * Base class for the object stores used for uploads, recordings and voice
+ * samples. A driver owns one or more URL schemes (gs://, s3://, local://,
+ * https://): stored locations are read by the driver owning their scheme
+ * (getStorageDriverFor), new objects are written to the configured one
+ * (getStorageDriver, VOICE_STORAGE_DRIVER).
+ *
+ * Object info: { size, contentType }
+ * Byte ranges are inclusive: { start, end }, as in HTTP Range headers.
+ *
+ * Missing objects are reported as errors with code NOT_FOUND and status 404.
+ */
+
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.webm': 'audio/webm',
+  '.flac': 'audio/flac',
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel'
+};
+
+class StorageDriver {
+  /**
+   * @param {Object} config
+   * @param {string} config.key - Registry key
+   * @param {string} [config.name] - Display name
+   * @param {string[]} [config.schemes] - URL schemes handled, e.g. ['gs:']
+   */
+  constructor(config = {}) {
+    this.key = config.key;
+    this.name = config.name || config.key;
+    this.schemes = config.schemes || [];
+  }
+
+  /**
+   * Whether the driver is configured well enough to read objects
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Whether the location belongs to this driver
+   * @param {string} location
+   * @returns {boolean}
+   */
+  handles(location) {
+    const scheme = String(location || '').match(/^([a-z][a-z0-9+.-]*:)\/\//i)?.[1]?.toLowerCase();
+    return !!scheme && this.schemes.includes(scheme);
+  }
+
+  /**
+   * Size and content type of an object
+   * @returns {Promise<{ size: number, contentType: string }>}
+   */
+  async stat(location) {
+    throw this._notSupported('stat');
+  }
+
+  /**
+   * Readable stream of an object, or of a byte range of it
+   * @param {string} location
+   * @param {{ start: number, end: number }} [range] - inclusive byte range
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async createReadStream(location, range = null) {
+    throw this._notSupported('createReadStream');
+  }
+
+  /**
+   * Store an object
+   * @param {Object} params
+   * @param {Buffer} params.buffer
+   * @param {string} params.key - Object name, e.g. voice-agent/uploads/<tenant>/file.xlsx
+   * @param {string} [params.contentType]
+   * @returns {Promise<{ location: string, bucket: string|null, key: string }>}
+   */
+  async upload({ buffer, key, contentType }) {
+    throw this._notSupported('upload');
+  }
+
+  /**
+   * Time-limited URL for reading an object directly from the store
+   * @returns {Promise<{ url: string, expiresAt: string|null }|null>} null when the store cannot sign URLs
+   */
+  async getSignedUrl(location, expiresSeconds) {
+    return null;
+  }
+
+  /**
+   * Unauthenticated URL of a publicly readable object
+   * @returns {string|null} null when the store has no public URLs
+   */
+  getPublicUrl(location) {
+    return null;
+  }
+
+  /**
+   * Remove an object; missing objects are not an error
+   * @returns {Promise<{ deleted: boolean }>} deleted false when the store does not own the data
+   */
+  async delete(location) {
+    throw this._notSupported('delete');
+  }
+
+  /**
+   * Content type from the object name's extension
+   */
+  guessContentType(location) {
+    const pathname = String(location || '').split(/[?#]/)[0];
+    return CONTENT_TYPES[path.extname(pathname).toLowerCase()] || 'application/octet-stream';
+  }
+
+  describe() {
+    return {
+      key: this.key,
+      name: this.name,
+      schemes: this.schemes,
+      available: this.isAvailable()
+    };
+  }
+
+  _notFound(location) {
+    const err = new Error(`Object not found: ${location}`);
+    err.code = 'NOT_FOUND';
+    err.status = 404;
+    return err;
+  }
+
+  _notConfigured(message) {
+    const err = new Error(message);
+    err.code = 'STORAGE_NOT_CONFIGURED';
+    return err;
+  }
+
+  _notSupported(operation) {
+    const err = new Error(`${this.name} does not support ${operation}`);
+    err.code = 'NOT_SUPPORTED';
+    return err;
+  }
+}
+
+module.exports = StorageDriver;
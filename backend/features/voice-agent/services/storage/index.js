@@ -0,0 +1,72 @@
+/**
+ * Storage Drivers Index
+ *
+ * Exports the storage drivers, picks the one that owns a stored location by
+ * its URL scheme (gs://, s3://, local://, http(s)://), and the one new
+ * objects are written to (VOICE_STORAGE_DRIVER: gcs | s3 | local).
+ */
+
+const StorageDriver = require('./StorageDriver');
+const GCSStorageDriver = require('./GCSStorageDriver');
+const S3StorageDriver = require('./S3StorageDriver');
+const LocalStorageDriver = require('./LocalStorageDriver');
+const HttpStorageDriver = require('./HttpStorageDriver');
+let logger;
+try {
+  logger = require('../../../../core/utils/logger');
+} catch (e) {
+  const loggerAdapter = require('../../utils/logger');
+  logger = loggerAdapter.getLogger();
+}
+
+const DEFAULT_DRIVER = 'gcs';
+
+let drivers = null;
+let writeDriver = null;
+
+function getStorageDrivers() {
+  if (!drivers) {
+    drivers = [new GCSStorageDriver(), new S3StorageDriver(), new LocalStorageDriver(), new HttpStorageDriver()];
+  }
+  return drivers;
+}
+
+/**
+ * Driver that can read a location
+ * @param {string} location - Stored URL, e.g. gs://bucket/path
+ * @returns {StorageDriver|null}
+ */
+function getStorageDriverFor(location) {
+  return getStorageDrivers().find(driver => driver.handles(location) && driver.isAvailable()) || null;
+}
+
+/**
+ * Driver new uploads are written to (VOICE_STORAGE_DRIVER)
+ * @returns {StorageDriver}
+ */
+function getStorageDriver() {
+  if (!writeDriver) {
+    const key = (process.env.VOICE_STORAGE_DRIVER || DEFAULT_DRIVER).toLowerCase();
+    writeDriver = getStorageDrivers().find(driver => driver.key === key && driver.key !== 'http');
+
+    if (!writeDriver) {
+      logger.warn('[Storage] Unknown VOICE_STORAGE_DRIVER, falling back to default', {
+        requested: key,
+        fallback: DEFAULT_DRIVER
+      });
+      writeDriver = getStorageDrivers().find(driver => driver.key === DEFAULT_DRIVER);
+    }
+  }
+  return writeDriver;
+}
+
+module.exports = {
+  StorageDriver,
+  GCSStorageDriver,
+  S3StorageDriver,
+  LocalStorageDriver,
+  HttpStorageDriver,
+  getStorageDrivers,
+  getStorageDriverFor,
+  getStorageDriver
+};
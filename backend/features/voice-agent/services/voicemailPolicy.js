@@ -0,0 +1,158 @@
+/**
+ * Voicemail Policy
+ *
+ * Per-agent handling of calls answered by voicemail (voice_agents.voicemail_policy):
+ *   { detection, action, message_type, message, audio_url, retry_after_minutes }
+ * - action hangup: end the call as soon as voicemail is detected
+ * - action drop_message: leave `message` (message_type tts) or play the
+ *   recording at `audio_url` (message_type audio), then end the call
+ * - action retry_later: end the call and try again after retry_after_minutes
+ *   (CallRetryService), whether or not the agent's retry policy lists voicemail
+ * Agents without a policy use DEFAULT_VOICEMAIL_POLICY (detect and hang up).
+ *
+ * Providers turn the policy into their own answering-machine detection
+ * settings; detectVoicemail() reads the detection result back from the end
+ * of the call.
+ */
+
+const {
+  VOICEMAIL_ACTIONS,
+  VOICEMAIL_MESSAGE_TYPES,
+  ANSWERED_BY,
+  DEFAULT_VOICEMAIL_POLICY,
+  MAX_VOICEMAIL_MESSAGE_LENGTH,
+  MAX_RETRY_AFTER_MINUTES
+} = require('../constants/voicemail');
+
+// Answering-machine detection results (Twilio AnsweredBy values and plain ones)
+const MACHINE_RESULTS = ['machine', 'machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax', 'voicemail'];
+
+function invalidPolicy(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_VOICEMAIL_POLICY';
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate a voicemail policy from an API payload, filling in defaults
+ *
+ * @param {Object|null} policy
+ * @returns {Object|null} normalized policy, or null (agent uses the default)
+ * @throws {Error} status 400 when the policy is invalid
+ */
+function normalizeVoicemailPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw invalidPolicy('voicemail_policy must be an object');
+  }
+
+  const action = policy.action ?? DEFAULT_VOICEMAIL_POLICY.action;
+  if (!Object.values(VOICEMAIL_ACTIONS).includes(action)) {
+    throw invalidPolicy(`voicemail_policy.action must be one of: ${Object.values(VOICEMAIL_ACTIONS).join(', ')}`);
+  }
+
+  const messageType = policy.message_type ?? DEFAULT_VOICEMAIL_POLICY.message_type;
+  if (!Object.values(VOICEMAIL_MESSAGE_TYPES).includes(messageType)) {
+    throw invalidPolicy(`voicemail_policy.message_type must be one of: ${Object.values(VOICEMAIL_MESSAGE_TYPES).join(', ')}`);
+  }
+
+  if (policy.message !== undefined && policy.message !== null && typeof policy.message !== 'string') {
+    throw invalidPolicy('voicemail_policy.message must be text');
+  }
+  const message = policy.message ? policy.message.trim() || null : null;
+  if (message && message.length > MAX_VOICEMAIL_MESSAGE_LENGTH) {
+    throw invalidPolicy(`voicemail_policy.message must be at most ${MAX_VOICEMAIL_MESSAGE_LENGTH} characters`);
+  }
+
+  const audioUrl = policy.audio_url ? String(policy.audio_url).trim() : null;
+  if (audioUrl && !/^https?:\/\/\S+$/i.test(audioUrl)) {
+    throw invalidPolicy('voicemail_policy.audio_url must be an http(s) URL');
+  }
+
+  if (action === VOICEMAIL_ACTIONS.DROP_MESSAGE) {
+    if (messageType === VOICEMAIL_MESSAGE_TYPES.TTS && !message) {
+      throw invalidPolicy('voicemail_policy.message is required to drop a spoken message');
+    }
+    if (messageType === VOICEMAIL_MESSAGE_TYPES.AUDIO && !audioUrl) {
+      throw invalidPolicy('voicemail_policy.audio_url is required to drop a recorded message');
+    }
+  }
+
+  const retryAfter = policy.retry_after_minutes ?? DEFAULT_VOICEMAIL_POLICY.retry_after_minutes;
+  if (!Number.isInteger(retryAfter) || retryAfter < 0 || retryAfter > MAX_RETRY_AFTER_MINUTES) {
+    throw invalidPolicy(`voicemail_policy.retry_after_minutes must be an integer between 0 and ${MAX_RETRY_AFTER_MINUTES}`);
+  }
+
+  return {
+    detection: policy.detection !== false,
+    action,
+    message_type: messageType,
+    message,
+    audio_url: audioUrl,
+    retry_after_minutes: retryAfter
+  };
+}
+
+/**
+ * Policy in force for an agent: its stored policy, else the default. A stored
+ * policy that no longer validates falls back to the default rather than
+ * blocking calls.
+ *
+ * @param {Object|null} stored - voice_agents.voicemail_policy
+ * @returns {Object} normalized policy
+ */
+function resolveVoicemailPolicy(stored) {
+  try {
+    return normalizeVoicemailPolicy(stored) || { ...DEFAULT_VOICEMAIL_POLICY };
+  } catch (error) {
+    return { ...DEFAULT_VOICEMAIL_POLICY };
+  }
+}
+
+/**
+ * The message a drop leaves: text to speak, or the recording URL
+ * @returns {string|null}
+ */
+function dropMessageFor(policy) {
+  if (!policy || policy.action !== VOICEMAIL_ACTIONS.DROP_MESSAGE) {
+    return null;
+  }
+  return policy.message_type === VOICEMAIL_MESSAGE_TYPES.AUDIO ? policy.audio_url : policy.message;
+}
+
+/**
+ * Who answered a finished call, from the provider's detection result
+ *
+ * @param {Object} result
+ * @param {string} [result.endedReason] - Provider endedReason ("voicemail" when detected)
+ * @param {string} [result.answeredBy] - Provider answering-machine detection result
+ * @param {Array} [result.segments] - Transcript turns { speaker, text }
+ * @returns {{ voicemail: boolean, answeredBy: string|null }} answeredBy is an ANSWERED_BY value,
+ *   or null when the call was never answered
+ */
+function detectVoicemail({ endedReason = null, answeredBy = null, segments = [] } = {}) {
+  const detected = typeof answeredBy === 'string' ? answeredBy.trim().toLowerCase() : '';
+  const reason = typeof endedReason === 'string' ? endedReason.toLowerCase() : '';
+
+  if (MACHINE_RESULTS.includes(detected) || reason.includes('voicemail')) {
+    return { voicemail: true, answeredBy: ANSWERED_BY.MACHINE };
+  }
+  if (detected === ANSWERED_BY.HUMAN) {
+    return { voicemail: false, answeredBy: ANSWERED_BY.HUMAN };
+  }
+  // Without a detection result, a lead who spoke is a person
+  if (Array.isArray(segments) && segments.some(turn => turn?.speaker === 'user' && turn.text)) {
+    return { voicemail: false, answeredBy: ANSWERED_BY.HUMAN };
+  }
+  return { voicemail: false, answeredBy: detected ? ANSWERED_BY.UNKNOWN : null };
+}
+
+module.exports = {
+  normalizeVoicemailPolicy,
+  resolveVoicemailPolicy,
+  dropMessageFor,
+  detectVoicemail
+};
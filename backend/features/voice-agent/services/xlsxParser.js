@@ -0,0 +1,71 @@
+/**
+ * XLSX Parser
+ *
+ * Reads the cell values of one worksheet of an uploaded .xlsx workbook with
+ * exceljs. Rich text is flattened, formulas give their cached result, dates
+ * are written as YYYY-MM-DD and formatting is ignored. Legacy binary .xls
+ * files are not supported.
+ */
+
+const ExcelJS = require('exceljs');
+
+function invalidWorkbook(message) {
+  const err = new Error(`Invalid .xlsx file: ${message}`);
+  err.code = 'INVALID_XLSX';
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Text of a cell value (see exceljs ValueType)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value !== 'object') return String(value);
+
+  if (Array.isArray(value.richText)) return value.richText.map(run => run.text || '').join('');
+  if ('formula' in value || 'sharedFormula' in value) return cellText(value.result);
+  if ('hyperlink' in value) return cellText(value.text);
+  return '';
+}
+
+/**
+ * Parse a worksheet into rows of trimmed cell values; blank rows are dropped
+ *
+ * @param {Buffer} buffer - .xlsx file contents
+ * @param {Object} [options]
+ * @param {string} [options.sheetName] - Worksheet to read (default: the first one)
+ * @returns {Promise<Array<{ row: number, fields: string[] }>>} row is the sheet's own row number
+ * @throws {Error} 400 INVALID_XLSX (with err.sheets when the worksheet is not found)
+ */
+async function parseXlsx(buffer, { sheetName = null } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw invalidWorkbook(error.message);
+  }
+
+  const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!worksheet) {
+    const err = invalidWorkbook(sheetName ? `worksheet "${sheetName}" not found` : 'no worksheets');
+    err.sheets = workbook.worksheets.map(sheet => sheet.name);
+    throw err;
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    // row.values is 1-based and sparse
+    const fields = Array.from(row.values.slice(1), value => cellText(value).trim());
+    if (fields.some(value => value !== '')) {
+      rows.push({ row: rowNumber, fields });
+    }
+  });
+  return rows;
+}
+
+module.exports = {
+  parseXlsx
+};
@@ -0,0 +1,234 @@
+/**
+ * BatchDispatchService: claiming within tenant, per-number and per-batch
+ * limits, and dialing claimed entries through the mock telephony provider
+ */
+
+const BatchDispatchService = require('../services/BatchDispatchService');
+const MockTelephonyProvider = require('../services/providers/MockTelephonyProvider');
+
+const SCHEMA = 'lad_test';
+const TENANT_ID = 'tenant-1';
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+function entry(batchId, position, toPhone) {
+  return { id: `${batchId}-entry-${position}`, batch_id: batchId, tenant_id: TENANT_ID, to_phone: toPhone, lead_name: `Lead ${position}`, attempts: 0 };
+}
+
+function batch(id, { fromNumber = null, ...fields } = {}) {
+  return {
+    id,
+    tenant_id: TENANT_ID,
+    agent_id: 7,
+    call_request: { fromNumber },
+    max_concurrent_calls: null,
+    calls_per_minute: null,
+    in_flight: 0,
+    last_minute: 0,
+    started_at: null,
+    ...fields
+  };
+}
+
+/**
+ * In-memory stand-in for BatchDispatchRepository: claims hand out pending
+ * entries in order and every state change is recorded
+ */
+function createRepository({ batches, entries, usage = {}, limits = {} }) {
+  const pending = entries.slice();
+  const state = { claims: [], started: [], dispatched: [], skipped: [], failed: [], deferred: [] };
+
+  const tx = {
+    getTenantUsage: () => Promise.resolve({ inFlight: 0, lastMinute: 0, byNumber: {}, ...usage }),
+    listDispatchableBatches: () => Promise.resolve(batches),
+    claimEntries: (schema, batchId, limit, fromNumber) => {
+      const claimed = pending.filter(e => e.batch_id === batchId).slice(0, limit);
+      claimed.forEach(e => pending.splice(pending.indexOf(e), 1));
+      state.claims.push({ batchId, limit, fromNumber, count: claimed.length });
+      return Promise.resolve(claimed.map(e => ({ ...e, attempts: e.attempts + 1 })));
+    },
+    markBatchStarted: (schema, batchId) => {
+      state.started.push(batchId);
+      return Promise.resolve();
+    }
+  };
+
+  return {
+    state,
+    withTenantLock: (tenantId, fn) => fn(tx),
+    getDispatchLimits: () => Promise.resolve({
+      max_concurrent_calls: 5,
+      max_concurrent_per_number: 2,
+      calls_per_minute: 120,
+      ...limits
+    }),
+    markEntryDispatched: (schema, entryId, { callLogId, providerCallId }) => {
+      state.dispatched.push({ entryId, callLogId, providerCallId });
+      return Promise.resolve();
+    },
+    markEntrySkipped: (schema, entryId, reason) => {
+      state.skipped.push({ entryId, reason });
+      return Promise.resolve();
+    },
+    markEntryFailed: (schema, entryId, error) => {
+      state.failed.push({ entryId, error });
+      return Promise.resolve();
+    },
+    deferEntry: (schema, entryId, nextAttemptAt) => {
+      state.deferred.push({ entryId, nextAttemptAt });
+      return Promise.resolve();
+    }
+  };
+}
+
+function createService(repositoryOptions, { suppressed = [], businessHours = null, checkCallTime = null } = {}) {
+  const provider = new MockTelephonyProvider({ db: noDb, stepMs: 0, webhookHandler: () => Promise.resolve() });
+  provider.callLogging.createCallLog = ({ toNumber }) => Promise.resolve({ id: `log-${toNumber}` });
+
+  const providerRegistry = {
+    resolveForCall: () => Promise.resolve({ provider, agent: { id: 7 } })
+  };
+  const service = new BatchDispatchService(noDb, { providerRegistry });
+  const repository = createRepository(repositoryOptions);
+  service.repository = repository;
+
+  service.businessHours = {
+    resolveBusinessHours: () => Promise.resolve(businessHours),
+    checkCallTime: () => Promise.resolve(checkCallTime || { allowed: true })
+  };
+  service.callPlacement.phonePolicy = {
+    checkNumber: (schema, tenantId, toNumber) => Promise.resolve(
+      /^\+\d{8,15}$/.test(toNumber)
+        ? { allowed: true, phoneNumber: toNumber }
+        : { allowed: false, phoneNumber: null, reason: `${toNumber} is not a valid phone number` }
+    )
+  };
+  service.callPlacement.dnc = {
+    checkNumber: (schema, tenantId, toNumber) => Promise.resolve(
+      suppressed.includes(toNumber)
+        ? { suppressed: true, reason: `${toNumber} is on the Do-Not-Call list` }
+        : { suppressed: false }
+    )
+  };
+  service.callPlacement.recordingPolicy = { applyToRequest: () => Promise.resolve() };
+
+  return { service, provider, state: repository.state };
+}
+
+describe('BatchDispatchService.dispatchTenant', () => {
+  it('dials claimed entries through the provider and records the provider call', async () => {
+    const { service, provider, state } = createService({
+      batches: [batch('batch-1')],
+      entries: [entry('batch-1', 1, '+14155550101'), entry('batch-1', 2, '+14155550102')]
+    });
+
+    const dialed = await service.dispatchTenant(SCHEMA, TENANT_ID);
+
+    expect(dialed).toBe(2);
+    expect(state.started).toEqual(['batch-1']);
+    expect(state.dispatched.map(d => d.callLogId)).toEqual(['log-+14155550101', 'log-+14155550102']);
+    const calls = provider.listCalls();
+    expect(calls.map(call => call.to_number)).toEqual(['+14155550101', '+14155550102']);
+    expect(state.dispatched.map(d => d.providerCallId)).toEqual(calls.map(call => call.id));
+    expect(calls[0].batch_id).toBe('batch-1');
+  });
+
+  it('claims no more than the tenant has free', async () => {
+    const { service, state } = createService({
+      batches: [batch('batch-1')],
+      entries: [1, 2, 3, 4].map(n => entry('batch-1', n, `+1415555010${n}`)),
+      usage: { inFlight: 4 }
+    });
+
+    expect(await service.dispatchTenant(SCHEMA, TENANT_ID)).toBe(1);
+    expect(state.claims).toEqual([{ batchId: 'batch-1', limit: 1, fromNumber: null, count: 1 }]);
+  });
+
+  it('spreads the per-minute budget across worker ticks', async () => {
+    const { service, state } = createService({
+      batches: [batch('batch-1')],
+      entries: [1, 2, 3, 4].map(n => entry('batch-1', n, `+1415555010${n}`)),
+      limits: { calls_per_minute: 12 }
+    });
+
+    // 12 calls per minute at one tick every 5 seconds: one call per tick
+    expect(await service.dispatchTenant(SCHEMA, TENANT_ID)).toBe(1);
+    expect(state.claims[0].limit).toBe(1);
+  });
+
+  it('shares the per-number cap between batches calling from the same number', async () => {
+    const { service, state } = createService({
+      batches: [batch('batch-1', { fromNumber: '+14155559999' }), batch('batch-2', { fromNumber: '+14155559999' })],
+      entries: [
+        entry('batch-1', 1, '+14155550101'),
+        entry('batch-2', 1, '+14155550201'),
+        entry('batch-2', 2, '+14155550202')
+      ],
+      usage: { inFlight: 1, byNumber: { '+14155559999': 1 } }
+    });
+
+    expect(await service.dispatchTenant(SCHEMA, TENANT_ID)).toBe(1);
+    expect(state.claims.map(c => c.batchId)).toEqual(['batch-1']);
+  });
+
+  it('applies no per-number cap to batches without a from-number', async () => {
+    const { service, state } = createService({
+      batches: [batch('batch-1'), batch('batch-2')],
+      entries: [
+        entry('batch-1', 1, '+14155550101'),
+        entry('batch-1', 2, '+14155550102'),
+        entry('batch-2', 1, '+14155550201')
+      ],
+      usage: { inFlight: 2, byNumber: { '': 2 } }
+    });
+
+    expect(await service.dispatchTenant(SCHEMA, TENANT_ID)).toBe(3);
+    expect(state.claims.map(c => [c.batchId, c.count])).toEqual([['batch-1', 2], ['batch-2', 1]]);
+  });
+
+  it('honours per-batch concurrency', async () => {
+    const { service, state } = createService({
+      batches: [batch('batch-1', { max_concurrent_calls: 2, in_flight: 1 }), batch('batch-2')],
+      entries: [
+        entry('batch-1', 1, '+14155550101'),
+        entry('batch-1', 2, '+14155550102'),
+        entry('batch-2', 1, '+14155550201')
+      ]
+    });
+
+    expect(await service.dispatchTenant(SCHEMA, TENANT_ID)).toBe(2);
+    expect(state.claims.map(c => [c.batchId, c.count])).toEqual([['batch-1', 1], ['batch-2', 1]]);
+  });
+
+  it('skips Do-Not-Call numbers and fails undialable ones without calling them', async () => {
+    const { service, provider, state } = createService({
+      batches: [batch('batch-1')],
+      entries: [
+        entry('batch-1', 1, '+14155550101'),
+        entry('batch-1', 2, 'not-a-number'),
+        entry('batch-1', 3, '+14155550103')
+      ]
+    }, { suppressed: ['+14155550101'] });
+
+    await service.dispatchTenant(SCHEMA, TENANT_ID);
+
+    expect(state.skipped).toEqual([{ entryId: 'batch-1-entry-1', reason: '+14155550101 is on the Do-Not-Call list' }]);
+    expect(state.failed.map(f => f.entryId)).toEqual(['batch-1-entry-2']);
+    expect(provider.listCalls().map(call => call.to_number)).toEqual(['+14155550103']);
+  });
+
+  it('defers entries outside business hours instead of dialing them', async () => {
+    const nextAllowedAt = new Date(Date.now() + 60 * 60 * 1000);
+    const { service, provider, state } = createService({
+      batches: [batch('batch-1')],
+      entries: [entry('batch-1', 1, '+14155550101')]
+    }, {
+      businessHours: { enabled: true },
+      checkCallTime: { allowed: false, nextAllowedAt, reason: 'Outside business hours' }
+    });
+
+    expect(await service.dispatchTenant(SCHEMA, TENANT_ID)).toBe(0);
+    expect(state.deferred).toEqual([{ entryId: 'batch-1-entry-1', nextAttemptAt: nextAllowedAt }]);
+    expect(provider.listCalls()).toEqual([]);
+  });
+});
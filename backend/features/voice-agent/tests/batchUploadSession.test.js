@@ -0,0 +1,133 @@
+/**
+ * POST /batch/trigger-batch-call with an upload_session_id: the session is
+ * used up only by a batch that is created, and never picked implicitly
+ */
+
+const BatchCallController = require('../controllers/call-controllers/BatchCallController');
+
+const TENANT_ID = 'tenant-1';
+const USER_ID = 'user-1';
+const SESSION_ID = '5d9a3c1e-8f2b-4c6d-9e7a-1b2c3d4e5f60';
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+function createController({ createBatch }) {
+  const controller = new BatchCallController(noDb);
+  const session = {
+    id: SESSION_ID,
+    tenant_id: TENANT_ID,
+    user_id: USER_ID,
+    attachment_location: 'local://uploads/leads.xlsx',
+    json_location: 'local://uploads/leads.json',
+    consumed_at: null,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  };
+  const created = [];
+
+  controller.uploadSessionService.uploadService = { getFileUrl: location => Promise.resolve(`https://files.test/${location}`) };
+  controller.uploadSessionService.repository = {
+    getSession: () => Promise.resolve({ ...session }),
+    consumeSession: () => {
+      if (session.consumed_at) return Promise.resolve(null);
+      session.consumed_at = new Date().toISOString();
+      return Promise.resolve({ ...session });
+    },
+    releaseSession: () => {
+      session.consumed_at = null;
+      return Promise.resolve(true);
+    }
+  };
+  controller.batchDispatchService.isNativeDispatchEnabled = () => true;
+  controller.batchDispatchService.createBatch = (schema, batchRequest, options) => {
+    created.push(batchRequest);
+    return createBatch(batchRequest, options);
+  };
+
+  return { controller, session, created };
+}
+
+function triggerRequest(body) {
+  return {
+    tenantId: TENANT_ID,
+    user: { id: USER_ID, tenantId: TENANT_ID },
+    headers: {},
+    body: { voice_id: 'voice-1', entries: [{ to_number: '+14155550100' }], ...body }
+  };
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+function invalidLimits() {
+  const err = new Error('max_concurrent_calls must be a positive integer');
+  err.code = 'INVALID_LIMITS';
+  err.status = 400;
+  return Promise.reject(err);
+}
+
+describe('BatchCallController upload sessions', () => {
+  it('uses the session up once the batch is created', async () => {
+    const { controller, session, created } = createController({
+      createBatch: () => Promise.resolve({ id: 'batch-1', status: 'running', total_calls: 1, skipped: [] })
+    });
+    const res = fakeResponse();
+
+    await controller.batchInitiateCallsV2(triggerRequest({ upload_session_id: SESSION_ID }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(created[0].attachmentLink).toBe('https://files.test/local://uploads/leads.xlsx');
+    expect(session.consumed_at).not.toBe(null);
+  });
+
+  it('leaves the session usable when the batch is rejected', async () => {
+    const { controller, session } = createController({ createBatch: invalidLimits });
+    const rejected = fakeResponse();
+
+    await controller.batchInitiateCallsV2(triggerRequest({ upload_session_id: SESSION_ID, max_concurrent_calls: 0 }), rejected);
+
+    expect(rejected.statusCode).toBe(400);
+    expect(session.consumed_at).toBe(null);
+
+    controller.batchDispatchService.createBatch = () => Promise.resolve({ id: 'batch-1', status: 'running', total_calls: 1, skipped: [] });
+    const retried = fakeResponse();
+    await controller.batchInitiateCallsV2(triggerRequest({ upload_session_id: SESSION_ID }), retried);
+    expect(retried.statusCode).toBe(200);
+  });
+
+  it('rejects a session another batch already used', async () => {
+    const { controller, session, created } = createController({
+      createBatch: () => Promise.resolve({ id: 'batch-1', status: 'running', total_calls: 1, skipped: [] })
+    });
+    session.consumed_at = new Date().toISOString();
+    const res = fakeResponse();
+
+    await controller.batchInitiateCallsV2(triggerRequest({ upload_session_id: SESSION_ID }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('UPLOAD_SESSION_USED');
+    expect(created).toEqual([]);
+  });
+
+  it('does not pick up a session the request did not name', async () => {
+    const { controller, session, created } = createController({
+      createBatch: () => Promise.resolve({ id: 'batch-1', status: 'running', total_calls: 1, skipped: [] })
+    });
+    const res = fakeResponse();
+
+    await controller.batchInitiateCallsV2(triggerRequest({}), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(created[0].attachmentLink).toBe(null);
+    expect(session.consumed_at).toBe(null);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * CallController and LiveCallController access checks with the tokens core/auth issues: the JWT
+ * carries userId and a role, but no id
+ */
+
+const CallController = require('../controllers/CallController');
+const LiveCallController = require('../controllers/LiveCallController');
+
+const TENANT_ID = 'tenant-1';
+const CALL_ID = 'call-1';
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+// Payload signed by core/auth/routes.js
+function member(fields = {}) {
+  return { userId: 'user-1', email: 'rep@example.com', role: 'member', tenantId: TENANT_ID, ...fields };
+}
+
+function createController(callLog = { id: CALL_ID, tenant_id: TENANT_ID, initiated_by_user_id: 'user-1' }) {
+  const controller = new CallController(noDb);
+  controller.callLoggingService.getCallLog = () => Promise.resolve(callLog);
+  return controller;
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+function request(user, fields = {}) {
+  return { tenantId: TENANT_ID, user, params: { id: CALL_ID }, query: {}, headers: {}, ...fields };
+}
+
+describe('PUT /calls/:id/disposition', () => {
+  it('lets the user who placed the call override it, audited with their id', async () => {
+    const controller = createController();
+    const overrides = [];
+    controller.callDispositionService.override = (schema, tenantId, id, change, { userId }) => {
+      overrides.push(userId);
+      return Promise.resolve({ disposition: change.disposition });
+    };
+    const res = fakeResponse();
+
+    await controller.updateCallDisposition(request(member(), { body: { disposition: 'interested' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(overrides).toEqual(['user-1']);
+  });
+
+  it("rejects another member's call", async () => {
+    const controller = createController();
+    const res = fakeResponse();
+
+    await controller.updateCallDisposition(request(member({ userId: 'user-2' }), { body: { disposition: 'interested' } }), res);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('GET /calls/search', () => {
+  function searchWith(user) {
+    const controller = createController();
+    const searches = [];
+    controller.callLoggingService.searchCallLogs = (schema, tenantId, query, filters) => {
+      searches.push(filters);
+      return Promise.resolve({ calls: [], total: 0 });
+    };
+    return { controller, searches, req: request(user, { query: { q: 'pricing' } }) };
+  }
+
+  it('restricts assigned-only users to the calls they placed', async () => {
+    const { controller, searches, req } = searchWith(member({ capabilities: ['leads_view_assigned'] }));
+
+    await controller.searchCallLogs(req, fakeResponse());
+
+    expect(searches[0].userId).toBe('user-1');
+  });
+
+  it('searches the tenant for users with view-all', async () => {
+    const { controller, searches, req } = searchWith(member({ capabilities: ['leads_view_assigned', 'leads_view_all'] }));
+
+    await controller.searchCallLogs(req, fakeResponse());
+
+    expect(searches[0].userId).toBeUndefined();
+  });
+});
+
+describe('GET /calls/:id/transcript', () => {
+  function transcriptFor(user) {
+    const controller = createController();
+    controller.callTranscriptService.getTranscript = () => Promise.resolve({ segments: [] });
+    const res = fakeResponse();
+    return controller.getCallTranscript(request(user), res).then(() => res);
+  }
+
+  it('serves the transcript to an assigned-only user who placed the call', async () => {
+    expect((await transcriptFor(member({ capabilities: ['leads_view_assigned'] }))).statusCode).toBe(200);
+  });
+
+  it("rejects an assigned-only user on another member's call", async () => {
+    expect((await transcriptFor(member({ userId: 'user-2', capabilities: ['leads_view_assigned'] }))).statusCode).toBe(403);
+  });
+});
+
+describe('GET /calls/:id/events', () => {
+  function eventsFor(user) {
+    const controller = createController();
+    controller.callTimelineService.getTimeline = () => Promise.resolve([]);
+    const res = fakeResponse();
+    return controller.getCallEvents(request(user), res).then(() => res);
+  }
+
+  it('serves the timeline to an assigned-only user who placed the call', async () => {
+    expect((await eventsFor(member({ capabilities: ['leads_view_assigned'] }))).statusCode).toBe(200);
+  });
+
+  it("rejects an assigned-only user on another member's call", async () => {
+    expect((await eventsFor(member({ userId: 'user-2', capabilities: ['leads_view_assigned'] }))).statusCode).toBe(403);
+  });
+});
+
+describe('GET /calls/:id/attempts', () => {
+  function attemptsFor(user) {
+    const controller = createController();
+    controller.callRetryService.listAttempts = () => Promise.resolve({ attempts: [], scheduled: [] });
+    const res = fakeResponse();
+    return controller.getCallAttempts(request(user), res).then(() => res);
+  }
+
+  it('serves the attempts to an assigned-only user who placed the call', async () => {
+    expect((await attemptsFor(member({ capabilities: ['leads_view_assigned'] }))).statusCode).toBe(200);
+  });
+
+  it("rejects an assigned-only user on another member's call", async () => {
+    expect((await attemptsFor(member({ userId: 'user-2', capabilities: ['leads_view_assigned'] }))).statusCode).toBe(403);
+  });
+});
+
+describe('GET /calls/:id/recording', () => {
+  it('lets a member who placed the call past the access check', async () => {
+    const res = fakeResponse();
+    await createController().streamCallRecording(request(member()), res);
+
+    // The call log has no recording_url, so an allowed caller gets a 404
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Recording not available for this call');
+  });
+
+  it("rejects a member on another member's call", async () => {
+    const res = fakeResponse();
+    await createController().streamCallRecording(request(member({ userId: 'user-2' })), res);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('live call control', () => {
+  function controllableFor(user) {
+    const controller = new LiveCallController(noDb);
+    controller.liveCallControlService.getControllableCall = () =>
+      Promise.resolve({ id: CALL_ID, tenant_id: TENANT_ID, initiated_by_user_id: 'user-1' });
+    const res = fakeResponse();
+    return controller._controllableCall(request(user), res, 'public').then(callLog => ({ callLog, res }));
+  }
+
+  it('lets a member control a call they placed', async () => {
+    const { callLog, res } = await controllableFor(member());
+
+    expect(callLog.id).toBe(CALL_ID);
+    expect(res.body).toBeNull();
+  });
+
+  it("rejects a member on another member's call", async () => {
+    const { callLog, res } = await controllableFor(member({ userId: 'user-2' }));
+
+    expect(callLog).toBeNull();
+    expect(res.statusCode).toBe(403);
+  });
+});
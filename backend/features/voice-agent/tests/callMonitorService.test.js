@@ -0,0 +1,84 @@
+/**
+ * CallMonitorService: Socket.IO handshakes accept the same tokens as the REST
+ * API, and members may monitor the calls they placed
+ */
+
+const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../../../core/middleware/auth');
+const CallMonitorService = require('../services/CallMonitorService');
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+function handshake(token) {
+  return { handshake: { auth: { token }, headers: {}, query: {} }, data: {} };
+}
+
+function authenticate(service, socket) {
+  return new Promise(resolve => service._authenticate(socket, error => resolve(error || null)));
+}
+
+describe('CallMonitorService._authenticate', () => {
+  const originalSecret = process.env.JWT_SECRET;
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = originalSecret;
+    }
+  });
+
+  const service = new CallMonitorService(noDb, { updatesService: {}, providerRegistry: {}, timelineService: {}, liveCallControlService: {} });
+
+  it('accepts a token the REST API accepts', async () => {
+    process.env.JWT_SECRET = 'rotated-secret';
+    const token = jwt.sign({ userId: 'user-1', tenantId: 'tenant-1' }, 'rotated-secret');
+    const socket = handshake(token);
+
+    expect(verifyAccessToken(token).tenantId).toBe('tenant-1');
+    expect(await authenticate(service, socket)).toBe(null);
+    expect(socket.data.tenantId).toBe('tenant-1');
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    process.env.JWT_SECRET = 'rotated-secret';
+    const token = jwt.sign({ userId: 'user-1', tenantId: 'tenant-1' }, 'your-secret-key-change-in-production');
+
+    const error = await authenticate(service, handshake(token));
+
+    expect(error.message).toBe('Invalid token');
+  });
+});
+
+describe('CallMonitorService.join', () => {
+  const callLog = { id: 'call-1', status: 'in-progress', agent_id: 'agent-1', initiated_by_user_id: 'user-1' };
+
+  function createService() {
+    return new CallMonitorService(noDb, {
+      updatesService: { start: () => Promise.resolve(), addCallEventListener: () => () => {} },
+      providerRegistry: {},
+      timelineService: { getTimeline: () => Promise.resolve([]) },
+      liveCallControlService: { getControllableCall: () => Promise.resolve(callLog) }
+    });
+  }
+
+  // socket.data as _authenticate leaves it for a token signed by core/auth
+  function memberSocket(userId) {
+    return {
+      id: 'socket-1',
+      data: { user: { userId, role: 'member', tenantId: 'tenant-1' }, tenantId: 'tenant-1', schema: 'public' },
+      join: () => {}
+    };
+  }
+
+  it('lets a member monitor a call they placed', async () => {
+    const result = await createService().join(memberSocket('user-1'), { call_log_id: 'call-1' });
+
+    expect(result.call.id).toBe('call-1');
+    expect(result.audio.enabled).toBe(false);
+  });
+
+  it("rejects a member on another member's call", async () => {
+    await expect(createService().join(memberSocket('user-2'), { call_log_id: 'call-1' }))
+      .rejects.toMatchObject({ status: 403, code: 'FORBIDDEN' });
+  });
+});
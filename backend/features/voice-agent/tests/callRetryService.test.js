@@ -0,0 +1,177 @@
+/**
+ * CallRetryService: outcome classification, policy validation and scheduling
+ */
+
+const CallRetryService = require('../services/CallRetryService');
+const { CALL_STATUS } = require('../constants/callStatus');
+
+const SCHEMA = 'lad_test';
+const TENANT_ID = 'tenant-1';
+
+function createService({ callLog = {}, batchEntry = null, retryPolicy = null, voicemailPolicy = null } = {}) {
+  const service = new CallRetryService({ query: () => Promise.reject(new Error('unexpected query')) });
+  const calls = { inserted: [], requeued: [] };
+
+  service.repository = {
+    getCallLog: () => Promise.resolve({
+      id: 'call-1',
+      tenant_id: TENANT_ID,
+      agent_id: 7,
+      to_country_code: '+1',
+      to_base_number: '4155550100',
+      attempt_number: 1,
+      root_call_log_id: null,
+      metadata: { call_request: { toNumber: '+14155550100', agentId: '7' } },
+      ...callLog
+    }),
+    findBatchEntryForCall: () => Promise.resolve(batchEntry),
+    getAgentRetryPolicy: () => Promise.resolve(retryPolicy),
+    getAgentVoicemailPolicy: () => Promise.resolve(voicemailPolicy),
+    insertRetry: (schema, retry) => {
+      calls.inserted.push(retry);
+      return Promise.resolve({ id: 'retry-1', attempt_number: retry.attemptNumber });
+    },
+    requeueBatchEntry: (schema, requeue) => {
+      calls.requeued.push(requeue);
+      return Promise.resolve({ id: requeue.entryId });
+    }
+  };
+
+  return { service, calls };
+}
+
+describe('CallRetryService', () => {
+  describe('classifyOutcome', () => {
+    const service = new CallRetryService({});
+
+    it('maps provider ended reasons onto retry outcomes', () => {
+      expect(service.classifyOutcome('customer-did-not-answer')).toBe('no-answer');
+      expect(service.classifyOutcome('customer-busy')).toBe('busy');
+      expect(service.classifyOutcome('voicemail')).toBe('voicemail');
+      expect(service.classifyOutcome('failed-to-connect')).toBe('failed');
+    });
+
+    it('treats carrier errors and failed calls as failed', () => {
+      expect(service.classifyOutcome('call.start.error-vapifault-transport-never-connected')).toBe('failed');
+      expect(service.classifyOutcome('twilio-failed-to-connect-call')).toBe('failed');
+      expect(service.classifyOutcome(null, CALL_STATUS.FAILED)).toBe('failed');
+    });
+
+    it('does not retry connected calls', () => {
+      expect(service.classifyOutcome('customer-ended-call', CALL_STATUS.ENDED)).toBe(null);
+      expect(service.classifyOutcome('assistant-ended-call')).toBe(null);
+    });
+  });
+
+  describe('normalizePolicy', () => {
+    const service = new CallRetryService({});
+
+    it('fills in defaults', () => {
+      expect(service.normalizePolicy(true)).toEqual({
+        max_attempts: 3,
+        min_spacing_minutes: 60,
+        retry_on: ['no-answer', 'busy', 'failed'],
+        windows: []
+      });
+      expect(service.normalizePolicy(null)).toBe(null);
+      expect(service.normalizePolicy({ max_attempts: 2 }).min_spacing_minutes).toBe(60);
+    });
+
+    it('rejects invalid policies with a 400', () => {
+      const invalid = [
+        { max_attempts: 0 },
+        { max_attempts: 11 },
+        { min_spacing_minutes: -5 },
+        { retry_on: ['answered'] },
+        []
+      ];
+      invalid.forEach(policy => {
+        let error = null;
+        try {
+          service.normalizePolicy(policy);
+        } catch (e) {
+          error = e;
+        }
+        expect(error && error.status).toBe(400);
+        expect(error.code).toBe('INVALID_RETRY_POLICY');
+      });
+    });
+  });
+
+  describe('scheduleRetryForCall', () => {
+    it('queues the next attempt of an unanswered single call after the spacing', async () => {
+      const { service, calls } = createService({ retryPolicy: { max_attempts: 3, min_spacing_minutes: 30 } });
+      const before = Date.now();
+
+      const result = await service.scheduleRetryForCall(SCHEMA, 'call-1', { endedReason: 'customer-did-not-answer' });
+
+      expect(result.kind).toBe('single');
+      expect(result.attemptNumber).toBe(2);
+      expect(result.scheduledFor.getTime()).toBeGreaterThanOrEqual(before + 30 * 60 * 1000);
+      expect(calls.inserted.length).toBe(1);
+      expect(calls.inserted[0].rootCallLogId).toBe('call-1');
+      expect(calls.inserted[0].outcome).toBe('no-answer');
+      expect(calls.inserted[0].callRequest.toNumber).toBe('+14155550100');
+    });
+
+    it('stops once the policy has no attempts left', async () => {
+      const { service, calls } = createService({
+        callLog: { attempt_number: 3, root_call_log_id: 'call-0' },
+        retryPolicy: { max_attempts: 3 }
+      });
+
+      expect(await service.scheduleRetryForCall(SCHEMA, 'call-1', { endedReason: 'customer-busy' })).toBe(null);
+      expect(calls.inserted.length).toBe(0);
+    });
+
+    it('does not retry outcomes the policy leaves out or calls without a policy', async () => {
+      const busyOnly = createService({ retryPolicy: { retry_on: ['busy'] } });
+      expect(await busyOnly.service.scheduleRetryForCall(SCHEMA, 'call-1', { endedReason: 'failed-to-connect' })).toBe(null);
+
+      const noPolicy = createService();
+      expect(await noPolicy.service.scheduleRetryForCall(SCHEMA, 'call-1', { endedReason: 'customer-busy' })).toBe(null);
+      expect(busyOnly.calls.inserted.length + noPolicy.calls.inserted.length).toBe(0);
+    });
+
+    it('re-queues native batch entries on their batch with the batch policy', async () => {
+      const { service, calls } = createService({
+        batchEntry: {
+          id: 'entry-1',
+          batch_id: 'batch-1',
+          agent_id: 7,
+          attempts: 1,
+          batch_status: 'running',
+          retry_policy: { max_attempts: 2, min_spacing_minutes: 5 }
+        }
+      });
+
+      const result = await service.scheduleRetryForCall(SCHEMA, 'call-1', { endedReason: 'customer-busy' });
+
+      expect(result.kind).toBe('batch');
+      expect(calls.requeued.length).toBe(1);
+      expect(calls.requeued[0].entryId).toBe('entry-1');
+      expect(calls.inserted.length).toBe(0);
+    });
+
+    it('retries voicemail after retry_after_minutes when the agent retries voicemail later', async () => {
+      const { service, calls } = createService({
+        voicemailPolicy: { action: 'retry_later', retry_after_minutes: 15 }
+      });
+      const before = Date.now();
+
+      const result = await service.scheduleRetryForCall(SCHEMA, 'call-1', { outcome: 'voicemail' });
+
+      expect(result.kind).toBe('single');
+      expect(result.scheduledFor.getTime()).toBeGreaterThanOrEqual(before + 15 * 60 * 1000);
+      expect(result.scheduledFor.getTime()).toBeLessThan(before + 60 * 60 * 1000);
+      expect(calls.inserted[0].outcome).toBe('voicemail');
+    });
+
+    it('leaves voicemail alone when the agent hangs up on it', async () => {
+      const { service, calls } = createService({ retryPolicy: { max_attempts: 3 } });
+
+      expect(await service.scheduleRetryForCall(SCHEMA, 'call-1', { outcome: 'voicemail' })).toBe(null);
+      expect(calls.inserted.length).toBe(0);
+    });
+  });
+});
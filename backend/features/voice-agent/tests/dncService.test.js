@@ -0,0 +1,157 @@
+/**
+ * DncService: number matching against tenant and global lists, spoken opt-outs
+ */
+
+const DncService = require('../services/DncService');
+
+const SCHEMA = 'lad_test';
+const TENANT_ID = 'tenant-1';
+
+function createService(listed = [], { defaultCountry = null } = {}) {
+  const service = new DncService({ query: () => Promise.reject(new Error('unexpected query')) });
+  const lookups = [];
+  const upserts = [];
+
+  service.repository = {
+    findSuppressed: (schema, tenantId, numbers) => {
+      lookups.push(numbers);
+      return Promise.resolve(listed.filter(row => numbers.includes(row.phone_number)));
+    },
+    getCallLogNumber: () => Promise.resolve('+14155550100'),
+    upsertEntries: (schema, owner, entries) => {
+      upserts.push({ owner, entries });
+      return Promise.resolve(entries.map((entry, index) => ({ id: `dnc-${index}`, inserted: true })));
+    }
+  };
+
+  service.phonePolicy.repository = {
+    getPolicy: () => Promise.resolve(defaultCountry ? { policy: { default_country: defaultCountry } } : null)
+  };
+
+  return { service, lookups, upserts };
+}
+
+describe('DncService', () => {
+  const originalDisabled = process.env.VOICE_DNC_DISABLED;
+  afterEach(() => {
+    if (originalDisabled === undefined) {
+      delete process.env.VOICE_DNC_DISABLED;
+    } else {
+      process.env.VOICE_DNC_DISABLED = originalDisabled;
+    }
+  });
+
+  describe('checkNumbers', () => {
+    it('matches listed numbers whatever their formatting', async () => {
+      const { service, lookups } = createService([
+        { phone_number: '+14155550100', source: 'manual', reason: 'Asked by email' }
+      ]);
+
+      const results = await service.checkNumbers(SCHEMA, TENANT_ID, ['+1 (415) 555-0100', '0014155550100', '+14155550199']);
+
+      expect(lookups[0]).toEqual(['+14155550100', '+14155550199']);
+      expect(results.map(result => result.suppressed)).toEqual([true, true, false]);
+      expect(results[0].reason).toBe('+14155550100 is on the Do-Not-Call list (Asked by email)');
+    });
+
+    it('names the global list a number is on', async () => {
+      const { service } = createService([
+        { phone_number: '+442071838750', source: 'import', list_id: 'list-1', list_name: 'UK TPS' }
+      ]);
+
+      const [result] = await service.checkNumbers(SCHEMA, TENANT_ID, ['+44 20 7183 8750']);
+
+      expect(result.suppressed).toBe(true);
+      expect(result.listName).toBe('UK TPS');
+      expect(result.reason).toContain('Do-Not-Call list "UK TPS"');
+    });
+
+    it("reads national numbers in the tenant's default country", async () => {
+      const { service, lookups } = createService([{ phone_number: '+14155550100', source: 'manual' }], { defaultCountry: 'US' });
+
+      const [result] = await service.checkNumbers(SCHEMA, TENANT_ID, ['(415) 555-0100']);
+
+      expect(lookups[0]).toEqual(['+14155550100']);
+      expect(result.suppressed).toBe(true);
+      expect(result.phoneNumber).toBe('+14155550100');
+    });
+
+    it('suppresses numbers it cannot read without a default country', async () => {
+      const { service } = createService([{ phone_number: '+14155550100', source: 'manual' }]);
+
+      const [result] = await service.checkNumbers(SCHEMA, TENANT_ID, ['(415) 555-0100']);
+
+      expect(result.suppressed).toBe(true);
+      expect(result.phoneNumber).toBe(null);
+      expect(result.reason).toContain('cannot be checked against the Do-Not-Call list');
+    });
+
+    it('checks nothing when Do-Not-Call is disabled', async () => {
+      process.env.VOICE_DNC_DISABLED = 'true';
+      const { service, lookups } = createService([{ phone_number: '+14155550100' }]);
+
+      const [result] = await service.checkNumbers(SCHEMA, TENANT_ID, ['+14155550100']);
+
+      expect(result.suppressed).toBe(false);
+      expect(lookups.length).toBe(0);
+    });
+
+    it('rejects suppressed numbers with a 403 in assertCallable', async () => {
+      const { service } = createService([{ phone_number: '+14155550100' }]);
+
+      let error = null;
+      try {
+        await service.assertCallable(SCHEMA, TENANT_ID, '+14155550100');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.status).toBe(403);
+      expect(error.code).toBe('DNC_SUPPRESSED');
+    });
+  });
+
+  describe('spoken opt-out', () => {
+    const { service } = createService();
+    const lead = text => [{ speaker: 'assistant', text: 'Is now a good time?' }, { speaker: 'user', text }];
+
+    it('recognises leads asking not to be called again', () => {
+      [
+        'Please do not call me again.',
+        "Don't ever contact us",
+        'Stop calling this number!',
+        'Take me off your list',
+        'Put my number on your do not call list'
+      ].forEach(text => {
+        expect(service.findSpokenOptOut(lead(text))).toEqual({ speaker: 'user', text });
+      });
+    });
+
+    it('ignores the agent and ordinary answers', () => {
+      expect(service.findSpokenOptOut([{ speaker: 'assistant', text: 'We will stop calling you.' }])).toBe(null);
+      expect(service.findSpokenOptOut(lead('Sure, call me back tomorrow.'))).toBe(null);
+    });
+
+    it('ignores questions about lists and opting out', () => {
+      [
+        'Am I on your DNC list?',
+        "I don't want to opt out",
+        'How do I unsubscribe from your emails?'
+      ].forEach(text => {
+        expect(service.findSpokenOptOut(lead(text))).toBe(null);
+      });
+    });
+
+    it('adds the called number to the tenant list with the call as the source', async () => {
+      const { service: recorder, upserts } = createService();
+
+      const entry = await recorder.recordSpokenOptOut(SCHEMA, { id: 'call-1', tenant_id: TENANT_ID }, lead('Stop calling me'));
+
+      expect(entry.id).toBe('dnc-0');
+      expect(upserts[0].owner).toEqual({ tenantId: TENANT_ID });
+      expect(upserts[0].entries[0].phoneNumber).toBe('+14155550100');
+      expect(upserts[0].entries[0].source).toBe('spoken_opt_out');
+      expect(upserts[0].entries[0].callLogId).toBe('call-1');
+    });
+  });
+});
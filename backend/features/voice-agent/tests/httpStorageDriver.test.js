@@ -0,0 +1,55 @@
+/**
+ * HttpStorageDriver: byte ranges from hosts that ignore Range requests
+ */
+
+const http = require('http');
+const HttpStorageDriver = require('../services/storage/HttpStorageDriver');
+
+const CONTENT = 'recorded call audio, served whole';
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+describe('HttpStorageDriver', () => {
+  const driver = new HttpStorageDriver();
+  let server;
+  let url;
+
+  beforeAll(done => {
+    // Answers every request with the whole object
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': Buffer.byteLength(CONTENT) });
+      res.end(CONTENT);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/recordings/call-1.wav`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  it('reports the full size when the host ignores the range', async () => {
+    const stat = await driver.stat(url);
+
+    expect(stat).toEqual({ size: Buffer.byteLength(CONTENT), contentType: 'audio/wav' });
+  });
+
+  it('returns only the requested bytes when the host answers 200', async () => {
+    const stream = await driver.createReadStream(url, { start: 9, end: 18 });
+
+    expect(await readAll(stream)).toBe(CONTENT.slice(9, 19));
+  });
+
+  it('streams the whole object without a range', async () => {
+    expect(await readAll(await driver.createReadStream(url))).toBe(CONTENT);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * InboundCallService: which assistant answers an inbound call
+ */
+
+const InboundCallService = require('../services/InboundCallService');
+
+const SCHEMA = 'lad_test';
+const TENANT_ID = 'tenant-1';
+const CLOSED_MESSAGE = 'We are closed, please call back later.';
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+function createService(agent) {
+  const vapiService = {
+    assistantId: 'default-assistant',
+    applyRecordingPolicy: overrides => overrides
+  };
+  const service = new InboundCallService(noDb, {
+    vapiService,
+    businessHoursService: {},
+    recordingPolicyService: { resolveForCall: () => Promise.resolve(null) }
+  });
+
+  service.repository = {
+    findNumberForCall: () => Promise.resolve({
+      id: 'number-1',
+      tenant_id: TENANT_ID,
+      phone_number: '+14155559999',
+      inbound_routing: { closed_message: CLOSED_MESSAGE }
+    }),
+    // Already logged on an earlier delivery, so the stored route is reused
+    findCallLog: () => Promise.resolve({ id: 'call-1', agent_id: agent.id, status: 'ringing', metadata: {} }),
+    getAgent: () => Promise.resolve(agent),
+    findLeadCandidates: () => Promise.resolve([]),
+    findLeadIdFromCalls: () => Promise.resolve(null)
+  };
+
+  return service;
+}
+
+const assistantRequest = {
+  type: 'assistant-request',
+  id: 'provider-call-1',
+  phoneNumber: { number: '+14155559999' },
+  customer: { number: '+14155550100' }
+};
+
+describe('InboundCallService.answerAssistantRequest', () => {
+  it("answers with the agent's own assistant", async () => {
+    const service = createService({ id: 7, name: 'Ada', provider_assistant_id: 'agent-assistant', provider_config: {} });
+
+    const response = await service.answerAssistantRequest(SCHEMA, assistantRequest);
+
+    expect(response.assistantId).toBe('agent-assistant');
+  });
+
+  it('falls back to the default assistant for agents on the shared account', async () => {
+    const service = createService({ id: 7, name: 'Ada', provider_assistant_id: null, provider_config: {} });
+
+    const response = await service.answerAssistantRequest(SCHEMA, assistantRequest);
+
+    expect(response.assistantId).toBe('default-assistant');
+  });
+
+  it('declines calls routed to an agent on its own account without an assistant', async () => {
+    const service = createService({
+      id: 7,
+      name: 'Ada',
+      provider_assistant_id: null,
+      provider_config: { api_key: 'agent-account-key' }
+    });
+
+    const response = await service.answerAssistantRequest(SCHEMA, assistantRequest);
+
+    expect(response).toEqual({ error: CLOSED_MESSAGE });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * LeadImportService: lead files are read with their own row numbers
+ */
+
+const ExcelJS = require('exceljs');
+const LeadImportService = require('../services/LeadImportService');
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+const policy = { default_country: 'US', blocked_countries: [], blocked_number_types: [] };
+
+async function workbookFile(build) {
+  const workbook = new ExcelJS.Workbook();
+  build(workbook.addWorksheet('Leads'));
+  return { originalname: 'leads.xlsx', buffer: Buffer.from(await workbook.xlsx.writeBuffer()) };
+}
+
+describe('LeadImportService.parseFile', () => {
+  const service = new LeadImportService(noDb, { batchDispatchService: {} });
+
+  it('reports the worksheet row numbers, counting the header and blank rows', async () => {
+    const file = await workbookFile(sheet => {
+      sheet.getCell('A2').value = 'Phone';
+      sheet.getCell('B2').value = 'Name';
+      sheet.getCell('A3').value = 4155550100;
+      sheet.getCell('B3').value = { richText: [{ text: 'Ada ' }, { text: 'Lovelace' }] };
+      sheet.getCell('A5').value = 'not a number';
+      sheet.getCell('A6').value = '(415) 555-0100';
+    });
+
+    const { entries, report } = await service.parseFile(file, { policy });
+
+    expect(entries).toEqual([
+      { row: 3, to_number: '+14155550100', lead_name: 'Ada Lovelace', lead_id: null, added_context: null }
+    ]);
+    expect(report.errors.map(error => [error.row, error.code])).toEqual([[5, 'INVALID_PHONE'], [6, 'DUPLICATE_PHONE']]);
+    expect(report.errors[1].message).toContain('(row 3)');
+  });
+
+  it('reports CSV line numbers', async () => {
+    const file = { originalname: 'leads.csv', buffer: Buffer.from('phone,name\n\n+14155550100,"Ada\nLovelace"\nnope,Bob\n') };
+
+    const { entries, report } = await service.parseFile(file, { policy });
+
+    expect(entries.map(entry => entry.row)).toEqual([3]);
+    expect(report.errors.map(error => error.row)).toEqual([5]);
+  });
+
+  it('rejects files that are not workbooks', async () => {
+    await expect(service.parseFile({ originalname: 'leads.xlsx', buffer: Buffer.from('phone\n+14155550100\n') }, { policy }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_XLSX' });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Transcript retention: the call analysis derived from the transcript is
+ * cleared with it, and its removal is audited
+ */
+
+const RecordingPolicyService = require('../services/RecordingPolicyService');
+const RecordingPolicyRepository = require('../repositories/recordingPolicyRepository');
+
+const SCHEMA = 'lad_test';
+const TENANT_ID = 'tenant-1';
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+function createService(calls, purged) {
+  const service = new RecordingPolicyService(noDb);
+  const deletions = [];
+  service.repository = {
+    listPoliciesWithRetention: () => Promise.resolve([{ tenant_id: TENANT_ID, policy: { transcript_retention_days: 30 } }]),
+    findExpiredTranscripts: () => Promise.resolve(calls),
+    purgeTranscript: (schema, tenantId, callLogId) => Promise.resolve(purged[callLogId]),
+    insertDeletion: (schema, deletion) => {
+      deletions.push([deletion.callLogId, deletion.artifactType, deletion.status]);
+      return Promise.resolve(deletion);
+    }
+  };
+  return { service, deletions };
+}
+
+describe('RecordingPolicyService transcript purge', () => {
+  it('audits the transcript and the analysis it cleared', async () => {
+    const { service, deletions } = createService(
+      [{ id: 'call-1', has_transcript: true }, { id: 'call-2', has_transcript: false }],
+      { 'call-1': { analysisRedacted: true }, 'call-2': { analysisRedacted: true } }
+    );
+
+    await service.purgeExpired(SCHEMA);
+
+    expect(deletions).toEqual([
+      ['call-1', 'transcript', 'deleted'],
+      ['call-1', 'analysis', 'deleted'],
+      // Transcript purged before analyses were covered
+      ['call-2', 'analysis', 'deleted']
+    ]);
+  });
+
+  it('clears the summary, key points and sentiment in the same transaction', async () => {
+    const statements = [];
+    const client = {
+      query: (sql) => {
+        statements.push(sql.replace(/\s+/g, ' ').trim());
+        return Promise.resolve({ rows: [], rowCount: /voice_call_analysis/.test(sql) ? 1 : 0 });
+      },
+      release: () => {}
+    };
+    const repository = new RecordingPolicyRepository({ connect: () => Promise.resolve(client) });
+
+    const result = await repository.purgeTranscript(SCHEMA, TENANT_ID, 'call-1');
+
+    expect(result).toEqual({ analysisRedacted: true });
+    const analysisUpdate = statements.find(sql => sql.startsWith(`UPDATE ${SCHEMA}.voice_call_analysis`));
+    expect(analysisUpdate).toContain('summary = NULL, sentiment = NULL, key_points = NULL');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Scheduled calls: rescheduling within business hours, and the Cloud Tasks
+ * callback reaching its controller without a JWT
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const ScheduledCallService = require('../services/ScheduledCallService');
+const { authenticateToken } = require('../../../core/middleware/auth');
+const voiceAgentRoutes = require('../routes/index');
+
+const SCHEMA = 'lad_test';
+const TENANT_ID = 'tenant-1';
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+function createService({ allowedAfter }) {
+  const moved = [];
+  const checks = [];
+  const scheduler = {
+    key: 'postgres',
+    reschedule: () => Promise.resolve({ taskRef: null })
+  };
+  const service = new ScheduledCallService(noDb, { providerRegistry: {}, scheduler });
+
+  service.repository = {
+    get: (schema, tenantId, id) => Promise.resolve({
+      id,
+      tenant_id: tenantId,
+      agent_id: 7,
+      lead_id: 'lead-1',
+      to_number: '+14155550100',
+      status: 'pending',
+      backend: 'postgres',
+      task_ref: null
+    }),
+    reschedule: (schema, tenantId, id, scheduledAt) => {
+      moved.push(scheduledAt);
+      return Promise.resolve({ id, tenant_id: tenantId, status: 'pending', backend: 'postgres', scheduled_at: scheduledAt });
+    }
+  };
+  service.businessHours = {
+    checkCallTime: (schema, call) => {
+      checks.push(call);
+      return Promise.resolve(call.at >= allowedAfter
+        ? { allowed: true }
+        : { allowed: false, nextAllowedAt: allowedAfter, reason: 'Calls are only allowed Mon-Fri between 09:00 and 17:00' });
+    }
+  };
+
+  return { service, moved, checks };
+}
+
+describe('ScheduledCallService.rescheduleScheduledCall', () => {
+  const inTwoHours = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+  it('rejects a new time outside business hours with a 403', async () => {
+    const { service, moved, checks } = createService({ allowedAfter: inTwoHours });
+    const inOneHour = new Date(Date.now() + 60 * 60 * 1000);
+
+    let error = null;
+    try {
+      await service.rescheduleScheduledCall(SCHEMA, TENANT_ID, 'scheduled-1', inOneHour.toISOString());
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.status).toBe(403);
+    expect(error.code).toBe('OUTSIDE_BUSINESS_HOURS');
+    expect(error.nextAllowedAt).toBe(inTwoHours);
+    expect(moved).toEqual([]);
+    expect(checks[0]).toMatchObject({ tenantId: TENANT_ID, agentId: '7', toNumber: '+14155550100', leadId: 'lead-1' });
+    expect(checks[0].at.getTime()).toBe(inOneHour.getTime());
+  });
+
+  it('moves the call when the new time is within business hours', async () => {
+    const { service, moved } = createService({ allowedAfter: inTwoHours });
+    const inThreeHours = new Date(Date.now() + 3 * 60 * 60 * 1000);
+
+    const rescheduled = await service.rescheduleScheduledCall(SCHEMA, TENANT_ID, 'scheduled-1', inThreeHours.toISOString());
+
+    expect(rescheduled.scheduled_at.getTime()).toBe(inThreeHours.getTime());
+    expect(moved.length).toBe(1);
+  });
+});
+
+describe('POST /scheduled-calls/fire', () => {
+  it('is authenticated by the scheduler secret instead of a JWT', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(authenticateToken);
+    app.use('/api/voice-agent', authenticateToken, voiceAgentRoutes);
+
+    // Reaches the controller, which rejects the missing X-Voice-Scheduler-Secret
+    const response = await request(app)
+      .post('/api/voice-agent/scheduled-calls/fire')
+      .send({ scheduled_call_id: 'scheduled-1' })
+      .expect(401);
+
+    expect(response.body.error).toBe('Invalid scheduler secret');
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Voice agent test setup: quiet logs, no real provider credentials, and the
+ * background workers stay off (tests drive services directly)
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+process.env.VOICE_WORKERS_DISABLED = 'true';
+delete process.env.VAPI_API_KEY;
@@ -0,0 +1,69 @@
+/**
+ * GET /storage/objects/:token through the app's authentication: the signed
+ * link is the credential, so it is served without a JWT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-storage-'));
+process.env.VOICE_STORAGE_LOCAL_DIR = storageDir;
+process.env.VOICE_STORAGE_PROXY_SECRET = 'test-storage-secret';
+delete process.env.VOICE_STORAGE_PROXY_BASE_URL;
+
+const { authenticateToken } = require('../../../core/middleware/auth');
+const voiceAgentRoutes = require('../routes/index');
+const ObjectStorageService = require('../services/ObjectStorageService');
+
+const CONTENT = 'recorded call audio';
+
+function createApp() {
+  // Mounted the way core/app.js mounts the feature: global auth, then auth on the router
+  const app = express();
+  app.use(authenticateToken);
+  app.use('/api/voice-agent', authenticateToken, voiceAgentRoutes);
+  return app;
+}
+
+describe('GET /storage/objects/:token', () => {
+  const app = createApp();
+  const storage = new ObjectStorageService();
+
+  beforeAll(() => {
+    fs.mkdirSync(path.join(storageDir, 'recordings'), { recursive: true });
+    fs.writeFileSync(path.join(storageDir, 'recordings', 'call-1.txt'), CONTENT);
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('streams the object without an Authorization header', async () => {
+    const { url } = storage.getProxyUrl('local://recordings/call-1.txt');
+
+    const response = await request(app).get(url).buffer(true).parse((res, done) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => done(null, body));
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toBe(CONTENT);
+  });
+
+  it('still rejects a tampered link', async () => {
+    const { url } = storage.getProxyUrl('local://recordings/call-1.txt');
+
+    await request(app).get(`${url.slice(0, -2)}xx`).expect(403);
+  });
+
+  it('keeps JWT authentication on every other path', async () => {
+    const { url } = storage.getProxyUrl('local://recordings/call-1.txt');
+
+    await request(app).get(`${url}/extra`).expect(401);
+    await request(app).get('/api/voice-agent/calls').expect(401);
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * VAPI webhook path: signature verification (global and per-agent secrets)
+ * and the inbox hand-off, driven by the mock telephony provider delivering a
+ * simulated call over HTTP
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+const SECRET = 'test-webhook-secret';
+const WEBHOOK_PATH = '/api/voice-agent/webhook/vapi';
+
+process.env.VAPI_WEBHOOK_SECRET = SECRET;
+delete process.env.VAPI_WEBHOOK_VERIFICATION_DISABLED;
+
+const VAPIWebhookController = require('../controllers/VAPIWebhookController');
+const WebhookSecurityService = require('../services/WebhookSecurityService');
+const MockTelephonyProvider = require('../services/providers/MockTelephonyProvider');
+const { VoiceAgentModel } = require('../models');
+const { detectVoicemail } = require('../services/voicemailPolicy');
+
+const noDb = { query: () => Promise.reject(new Error('unexpected query')) };
+
+function sign(body, timestamp = String(Date.now()), secret = SECRET) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return { 'x-vapi-timestamp': timestamp, 'x-vapi-signature': signature };
+}
+
+// Agent lookups of WebhookSecurityService.resolveSecret: no call log, and the given agent by assistant
+function withAgents(security, agentsByAssistant = {}) {
+  security.repository.findCallAgent = () => Promise.resolve(null);
+  security.repository.findAgentByAssistantId = assistantId => Promise.resolve(agentsByAssistant[assistantId] || null);
+  return security;
+}
+
+function fakeRequest(body, headers = {}) {
+  const rawBody = Buffer.from(body);
+  return {
+    body: JSON.parse(body),
+    rawBody,
+    headers,
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function createApp() {
+  const controller = new VAPIWebhookController(noDb);
+  const stored = [];
+  const rejections = [];
+
+  withAgents(controller.webhookSecurity);
+
+  controller.webhookInbox.enqueueVAPIEvent = (req) => {
+    stored.push(req.body);
+    return Promise.resolve({ id: `inbox-${stored.length}` });
+  };
+  controller.webhookSecurity.recordRejection = (req, reason) => {
+    rejections.push(reason);
+    return Promise.resolve();
+  };
+
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.post(WEBHOOK_PATH, (req, res) => controller.handleVAPIWebhook(req, res));
+
+  return { app, controller, stored, rejections };
+}
+
+function waitFor(condition, timeoutMs = 5000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting for webhooks'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+describe('WebhookSecurityService.verifyRequest', () => {
+  const security = withAgents(new WebhookSecurityService(noDb));
+  const body = JSON.stringify({ message: { type: 'status-update', status: 'ringing', call: { id: 'call-1' } } });
+
+  it('accepts an HMAC signature over the timestamp and raw body', async () => {
+    expect(await security.verifyRequest(fakeRequest(body, sign(body)))).toEqual({ valid: true, method: 'hmac' });
+  });
+
+  it('rejects a tampered body', async () => {
+    const headers = sign(body);
+    const tampered = body.replace('ringing', 'ended');
+    expect((await security.verifyRequest(fakeRequest(tampered, headers))).reason).toBe('invalid_signature');
+  });
+
+  it('rejects timestamps outside the tolerance window', async () => {
+    const stale = String(Date.now() - 10 * 60 * 1000);
+    expect((await security.verifyRequest(fakeRequest(body, sign(body, stale)))).reason).toBe('stale_timestamp');
+  });
+
+  it('accepts the shared secret header with the message timestamp', async () => {
+    const withTimestamp = JSON.stringify({ message: { type: 'hang', timestamp: Date.now(), call: { id: 'call-1' } } });
+    const result = await security.verifyRequest(fakeRequest(withTimestamp, { 'x-vapi-secret': SECRET }));
+    expect(result).toEqual({ valid: true, method: 'secret' });
+    expect((await security.verifyRequest(fakeRequest(withTimestamp, { 'x-vapi-secret': 'wrong' }))).valid).toBe(false);
+  });
+
+  it('rejects unsigned deliveries', async () => {
+    expect((await security.verifyRequest(fakeRequest(body))).reason).toBe('invalid_signature');
+  });
+
+  it('never skips verification in production', async () => {
+    const env = { disabled: process.env.VAPI_WEBHOOK_VERIFICATION_DISABLED, nodeEnv: process.env.NODE_ENV };
+    process.env.VAPI_WEBHOOK_VERIFICATION_DISABLED = 'true';
+    try {
+      process.env.NODE_ENV = 'development';
+      expect((await new WebhookSecurityService(noDb).verifyRequest(fakeRequest(body))).valid).toBe(true);
+      process.env.NODE_ENV = 'production';
+      expect((await withAgents(new WebhookSecurityService(noDb)).verifyRequest(fakeRequest(body))).valid).toBe(false);
+    } finally {
+      if (env.disabled === undefined) delete process.env.VAPI_WEBHOOK_VERIFICATION_DISABLED;
+      else process.env.VAPI_WEBHOOK_VERIFICATION_DISABLED = env.disabled;
+      process.env.NODE_ENV = env.nodeEnv;
+    }
+  });
+});
+
+describe('per-agent webhook secrets', () => {
+  const AGENT_SECRET = 'agent-webhook-secret';
+  const ownAccount = { id: '7', tenant_id: 'tenant-1', provider_config: { api_key: 'agent-key', webhook_secret: AGENT_SECRET } };
+  const body = JSON.stringify({
+    message: { type: 'status-update', status: 'ringing', call: { id: 'call-1', assistantId: 'assistant-own' } }
+  });
+
+  it('verifies calls of an agent on its own VAPI account with its secret only', async () => {
+    const security = withAgents(new WebhookSecurityService(noDb), { 'assistant-own': ownAccount });
+
+    expect((await security.verifyRequest(fakeRequest(body, sign(body, undefined, AGENT_SECRET)))).valid).toBe(true);
+    expect((await security.verifyRequest(fakeRequest(body, sign(body)))).reason).toBe('invalid_signature');
+  });
+
+  it('resolves the agent from the call log before the assistant', async () => {
+    const security = new WebhookSecurityService(noDb);
+    security.repository.findCallAgent = () => Promise.resolve({ tenant_id: 'tenant-1', agent_id: '7' });
+    security.repository.findAgentByAssistantId = () => Promise.reject(new Error('unexpected lookup'));
+    security.agentModel.getAgentProviderConfig = (schema, agentId, tenantId) => Promise.resolve(
+      agentId === '7' && tenantId === 'tenant-1' ? ownAccount : null
+    );
+
+    expect(await security.resolveSecret(fakeRequest(body))).toBe(AGENT_SECRET);
+  });
+
+  it('rejects own-account calls when the agent has no webhook secret', async () => {
+    const noSecret = { ...ownAccount, provider_config: { api_key: 'agent-key' } };
+    const security = withAgents(new WebhookSecurityService(noDb), { 'assistant-own': noSecret });
+
+    expect((await security.verifyRequest(fakeRequest(body, sign(body)))).reason).toBe('missing_secret');
+  });
+
+  it('looks agents up by their primary key and skips ids that are not integers', async () => {
+    const queries = [];
+    const agentModel = new VoiceAgentModel({
+      query: (sql, params) => {
+        queries.push({ sql, params });
+        return Promise.resolve({ rows: [ownAccount] });
+      }
+    });
+
+    expect(await agentModel.getAgentProviderConfig('public', 'VAPI', 'tenant-1')).toBe(null);
+    expect(await agentModel.getAgentProviderConfig('public', 7, 'tenant-1')).toBe(ownAccount);
+    expect(queries.length).toBe(1);
+    expect(queries[0].sql).toMatch(/WHERE id = \$1 AND tenant_id = \$2/);
+    expect(queries[0].params).toEqual(['7', 'tenant-1']);
+  });
+});
+
+describe('POST /webhook/vapi', () => {
+  let server;
+  let context;
+  let provider;
+
+  beforeEach((done) => {
+    context = createApp();
+    server = context.app.listen(0, '127.0.0.1', () => {
+      provider = new MockTelephonyProvider({
+        db: noDb,
+        stepMs: 0,
+        webhookUrl: `http://127.0.0.1:${server.address().port}${WEBHOOK_PATH}`
+      });
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('stores every event of a simulated call in order', async () => {
+    const placed = await provider.initiateCall({ toNumber: '+14155550100', leadName: 'Ada' });
+    expect(placed.success).toBe(true);
+
+    await waitFor(() => context.stored.some(payload => payload.message.type === 'end-of-call-report'));
+
+    expect(context.rejections).toEqual([]);
+    expect(context.stored.map(payload => payload.message.type)).toEqual([
+      'status-update',
+      'status-update',
+      'transcript',
+      'transcript',
+      'transcript',
+      'transcript',
+      'end-of-call-report'
+    ]);
+    const report = context.stored[context.stored.length - 1].message;
+    expect(report.call.id).toBe(placed.providerCallId);
+    expect(report.endedReason).toBe('customer-ended-call');
+  });
+
+  it('delivers voicemail calls with the agent drop message', async () => {
+    provider.setOutcome(null, { outcome: 'voicemail' });
+    await provider.initiateCall({ toNumber: '+14155550100' }, {
+      agent: { voicemail_policy: { action: 'drop_message', message: 'Sorry we missed you.' } }
+    });
+
+    await waitFor(() => context.stored.some(payload => payload.message.type === 'end-of-call-report'));
+
+    const report = context.stored[context.stored.length - 1].message;
+    expect(report.artifact.transcript).toBe('AI: Sorry we missed you.');
+    expect(detectVoicemail({ endedReason: report.endedReason }).voicemail).toBe(true);
+  });
+
+  it('rejects unsigned and tampered deliveries with a 401 and records why', async () => {
+    const body = JSON.stringify({ message: { type: 'status-update', status: 'ringing', call: { id: 'call-1' } } });
+
+    await request(context.app)
+      .post(WEBHOOK_PATH)
+      .set('Content-Type', 'application/json')
+      .send(body)
+      .expect(401);
+    await request(context.app)
+      .post(WEBHOOK_PATH)
+      .set('Content-Type', 'application/json')
+      .set(sign(body))
+      .send(body.replace('ringing', 'ended'))
+      .expect(401);
+
+    expect(context.rejections).toEqual(['invalid_signature', 'invalid_signature']);
+    expect(context.stored).toEqual([]);
+  });
+
+  it('routes stored events to their handlers', async () => {
+    const { controller } = context;
+    const handled = [];
+    ['handleStatusUpdate', 'handleTranscript', 'handleCallEnded'].forEach(name => {
+      controller[name] = (...args) => {
+        handled.push({ name, callData: args[args.length - 1] });
+        return Promise.resolve(null);
+      };
+    });
+
+    await provider.initiateCall({ toNumber: '+14155550100' });
+    await waitFor(() => context.stored.some(payload => payload.message.type === 'end-of-call-report'));
+    for (const payload of context.stored) {
+      await controller.processEvent(payload);
+    }
+
+    expect(handled.map(h => h.name)).toEqual([
+      'handleStatusUpdate',
+      'handleStatusUpdate',
+      'handleTranscript',
+      'handleTranscript',
+      'handleTranscript',
+      'handleTranscript',
+      'handleCallEnded'
+    ]);
+    const ended = handled[handled.length - 1].callData;
+    expect(ended.endedReason).toBe('customer-ended-call');
+    expect(ended.artifact.messages.length).toBe(4);
+  });
+});
+
+describe('call end handling', () => {
+  function createController(direction) {
+    const controller = new VAPIWebhookController({ query: () => Promise.resolve({ rows: [] }) });
+    const retries = [];
+    const voicemails = [];
+
+    controller.findCallByVAPIId = () => Promise.resolve({ id: 'call-1', tenant_id: 'tenant-1', agent_id: 7, direction });
+    controller.transcriptService.saveFromVAPIReport = () => Promise.resolve({ segments: [] });
+    controller.deductCallCredits = () => Promise.resolve();
+    controller.refundCallCredits = () => Promise.resolve();
+    controller.recordTimelineEvent = () => Promise.resolve();
+    controller.recordDisposition = () => Promise.resolve();
+    controller.getVoicemailPolicy = () => Promise.resolve({ action: 'hangup' });
+    controller.recordVoicemail = (...args) => {
+      voicemails.push(args);
+      return Promise.resolve();
+    };
+    controller.retryService.scheduleRetryForCall = (schema, callLogId, details) => {
+      retries.push(details);
+      return Promise.resolve(null);
+    };
+
+    return { controller, retries, voicemails };
+  }
+
+  it('schedules retries and handles voicemail for outbound calls', async () => {
+    const unanswered = createController('outbound');
+    await unanswered.controller.handleCallEnded({ id: 'provider-call-1', endedReason: 'customer-did-not-answer', duration: 0 });
+    expect(unanswered.retries.length).toBe(1);
+
+    const voicemail = createController('outbound');
+    await voicemail.controller.handleCallEnded({ id: 'provider-call-1', endedReason: 'voicemail', duration: 30 });
+    expect(voicemail.voicemails.length).toBe(1);
+    expect(voicemail.retries[0].outcome).toBe('voicemail');
+  });
+
+  it('never calls an inbound caller back or treats them as voicemail', async () => {
+    const ended = createController('inbound');
+    await ended.controller.handleCallEnded({ id: 'provider-call-1', endedReason: 'voicemail', duration: 30 });
+    expect(ended.voicemails).toEqual([]);
+    expect(ended.retries).toEqual([]);
+
+    const failed = createController('inbound');
+    await failed.controller.handleCallFailed({ id: 'provider-call-1', endedReason: 'failed-to-connect' });
+    expect(failed.retries).toEqual([]);
+  });
+});
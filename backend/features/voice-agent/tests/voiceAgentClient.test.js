@@ -0,0 +1,59 @@
+/**
+ * VoiceAgentClient.startCall: destinations are checked before the external
+ * service is asked to dial
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const voiceAgentClient = require('../../../shared/clients/voiceAgentClient');
+const PhonePolicyService = require('../services/PhonePolicyService');
+
+const TENANT_ID = 'tenant-1';
+
+function createClient({ policy = { default_country: 'US', blocked_countries: [], blocked_number_types: [] }, dnc = null } = {}) {
+  const client = new voiceAgentClient.constructor();
+  client.phonePolicyService = new PhonePolicyService({ query: () => Promise.reject(new Error('unexpected query')) });
+  client.phonePolicyService.repository = { getPolicy: () => Promise.resolve({ policy }) };
+  client.dncService = {
+    checkNumber: (schema, tenantId, phoneNumber) => (dnc ? dnc(phoneNumber) : Promise.resolve({ suppressed: false, phoneNumber }))
+  };
+  client.recordingPolicyService = { resolveForCall: () => Promise.resolve(null) };
+  return client;
+}
+
+const call = phoneNumber => ({ tenantId: TENANT_ID, leadId: 'lead-1', agentId: '7', phoneNumber, initiatedByUserId: 'user-1' });
+
+describe('VoiceAgentClient.startCall', () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ data: { success: true, callId: 'call-1' } });
+  });
+
+  it('dials national numbers in E.164', async () => {
+    const client = createClient();
+
+    const result = await client.startCall(call('(415) 555-0100'));
+
+    expect(result.success).toBe(true);
+    expect(axios.post.mock.calls[0][1].to_number).toBe('+14155550100');
+  });
+
+  it('does not dial destinations the phone policy blocks', async () => {
+    const client = createClient({ policy: { default_country: 'US', blocked_countries: ['GB'], blocked_number_types: [] } });
+
+    const result = await client.startCall(call('+44 20 7183 8750'));
+
+    expect(result).toMatchObject({ success: false, blocked: true, code: 'DESTINATION_BLOCKED', statusCode: 403 });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('fails the call when the Do-Not-Call lists cannot be read', async () => {
+    const client = createClient({ dnc: () => Promise.reject(new Error('connection reset')) });
+
+    const result = await client.startCall(call('+14155550100'));
+
+    expect(result).toMatchObject({ success: false, error: 'connection reset' });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Webhook inbox: an event processed again after its inbox update failed
+ * settles the call once, events that arrive before their call log is stored
+ * are retried, and dead letters no tenant can reach are dropped
+ */
+
+const VAPIWebhookController = require('../controllers/VAPIWebhookController');
+const WebhookInboxService = require('../services/WebhookInboxService');
+const { WebhookInboxWorker } = require('../services/WebhookInboxWorker');
+
+/**
+ * Pool stand-in keeping the credit ledger: statements of a transaction are
+ * applied on COMMIT and discarded on ROLLBACK
+ */
+function createLedgerDb() {
+  const ledger = { settlements: new Set(), balanceChanges: [] };
+
+  const connect = () => {
+    let pending = null;
+    return Promise.resolve({
+      query: (sql, params = []) => {
+        if (sql === 'BEGIN') {
+          pending = { settlements: [], balanceChanges: [] };
+        } else if (sql === 'COMMIT') {
+          pending.settlements.forEach(key => ledger.settlements.add(key));
+          ledger.balanceChanges.push(...pending.balanceChanges);
+          pending = null;
+        } else if (sql === 'ROLLBACK') {
+          pending = null;
+        } else if (/INSERT INTO \S+\.voice_call_settlements/.test(sql)) {
+          const key = `${params[1]}:${params[2]}:${params[4]}`;
+          if (ledger.settlements.has(key) || pending.settlements.includes(key)) {
+            return Promise.resolve({ rows: [], rowCount: 0 });
+          }
+          pending.settlements.push(key);
+          return Promise.resolve({ rows: [{ id: key }], rowCount: 1 });
+        } else if (/UPDATE \S+\.user_credits/.test(sql)) {
+          pending.balanceChanges.push(sql.includes('balance - $1') ? -params[0] : params[0]);
+        }
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      },
+      release: () => {}
+    });
+  };
+
+  return { db: { connect, query: () => Promise.resolve({ rows: [], rowCount: 1 }) }, ledger };
+}
+
+function createController(db) {
+  const controller = new VAPIWebhookController(db);
+  controller.findCallByVAPIId = () => Promise.resolve({ id: 'call-1', tenant_id: 'tenant-1', agent_id: 7, direction: 'outbound' });
+  controller.transcriptService.saveFromVAPIReport = () => Promise.resolve({ segments: [] });
+  controller.recordTimelineEvent = () => Promise.resolve();
+  controller.recordDisposition = () => Promise.resolve();
+  controller.scheduleRetry = () => Promise.resolve();
+  return controller;
+}
+
+describe('call settlement', () => {
+  const endOfCallReport = {
+    message: {
+      type: 'end-of-call-report',
+      endedReason: 'customer-ended-call',
+      duration: 90,
+      call: { id: 'provider-call-1' }
+    }
+  };
+
+  it('charges a call once when its event is processed again after markProcessed failed', async () => {
+    const { db, ledger } = createLedgerDb();
+    const controller = createController(db);
+    const failures = [];
+    let markProcessedCalls = 0;
+
+    const worker = new WebhookInboxWorker({
+      processEvent: payload => controller.processEvent(payload),
+      inboxService: {
+        markProcessed: () => {
+          markProcessedCalls++;
+          return markProcessedCalls === 1 ? Promise.reject(new Error('connection reset')) : Promise.resolve();
+        },
+        markFailed: (event, error) => {
+          failures.push(error.message);
+          return Promise.resolve();
+        }
+      }
+    });
+
+    const event = { id: 'inbox-1', payload: endOfCallReport, attempts: 1 };
+    await worker._processOne(event);
+    await worker._processOne({ ...event, attempts: 2 });
+
+    expect(failures).toEqual(['connection reset']);
+    expect(ledger.balanceChanges).toEqual([-6]);
+    expect([...ledger.settlements]).toEqual(['vapi:provider-call-1:deduction']);
+  });
+
+  it('refunds a failed call once', async () => {
+    const { db, ledger } = createLedgerDb();
+    const controller = createController(db);
+    const failed = { id: 'provider-call-2', endedReason: 'failed-to-connect' };
+
+    await controller.handleCallFailed(failed);
+    await controller.handleCallFailed(failed);
+
+    expect(ledger.balanceChanges).toEqual([1]);
+  });
+});
+
+describe('events ahead of their call log', () => {
+  const events = [
+    { type: 'status-update', status: 'ringing', call: { id: 'provider-call-3', type: 'outboundPhoneCall' } },
+    { type: 'transcript', transcriptType: 'final', role: 'user', transcript: 'Hello?', call: { id: 'provider-call-3' } }
+  ];
+
+  it('fails them so the worker delivers them again once the call id is stored', async () => {
+    const controller = createController({ query: () => Promise.resolve({ rows: [] }) });
+    let callLog = null;
+    controller.findCallByVAPIId = () => Promise.resolve(callLog);
+    controller.callModel.applyProgressStatus = () => Promise.resolve(null);
+    const processed = [];
+    const failures = [];
+
+    const worker = new WebhookInboxWorker({
+      processEvent: payload => controller.processEvent(payload),
+      inboxService: {
+        markProcessed: (event, context) => {
+          processed.push({ id: event.id, context });
+          return Promise.resolve();
+        },
+        markFailed: (event, error) => {
+          failures.push({ id: event.id, code: error.code });
+          return Promise.resolve();
+        }
+      }
+    });
+
+    for (const [index, message] of events.entries()) {
+      await worker._processOne({ id: `inbox-${index}`, payload: { message }, attempts: 1 });
+    }
+    expect(failures).toEqual([
+      { id: 'inbox-0', code: 'CALL_LOG_NOT_FOUND' },
+      { id: 'inbox-1', code: 'CALL_LOG_NOT_FOUND' }
+    ]);
+    expect(processed).toEqual([]);
+
+    callLog = { id: 'call-3', tenant_id: 'tenant-1', agent_id: 7, direction: 'outbound' };
+    for (const [index, message] of events.entries()) {
+      await worker._processOne({ id: `inbox-${index}`, payload: { message }, attempts: 2 });
+    }
+    expect(processed.map(entry => entry.context)).toEqual([
+      { tenantId: 'tenant-1', callLogId: 'call-3' },
+      { tenantId: 'tenant-1', callLogId: 'call-3' }
+    ]);
+  });
+});
+
+describe('WebhookInboxService.markFailed', () => {
+  function createService(tenantId) {
+    const service = new WebhookInboxService({ query: () => Promise.reject(new Error('unexpected query')) });
+    const dropped = [];
+    service.inboxRepository = {
+      markFailed: (id, { deadLetter }) => Promise.resolve({ id, tenant_id: tenantId, status: deadLetter ? 'dead_letter' : 'failed' }),
+      dropEvent: (id, reason) => {
+        dropped.push({ id, reason });
+        return Promise.resolve();
+      }
+    };
+    return { service, dropped };
+  }
+
+  it('drops dead letters of calls no tenant owns', async () => {
+    const { service, dropped } = createService(null);
+
+    await service.markFailed({ id: 'inbox-1', attempts: 8, max_attempts: 8 }, new Error('Call log not found'));
+
+    expect(dropped).toEqual([{ id: 'inbox-1', reason: 'unknown_call' }]);
+  });
+
+  it('keeps dead letters their tenant can re-drive, and retries pending ones', async () => {
+    const owned = createService('tenant-1');
+    await owned.service.markFailed({ id: 'inbox-1', attempts: 8, max_attempts: 8 }, new Error('timeout'));
+    expect(owned.dropped).toEqual([]);
+
+    const retrying = createService(null);
+    await retrying.service.markFailed({ id: 'inbox-2', attempts: 1, max_attempts: 8 }, new Error('timeout'));
+    expect(retrying.dropped).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Voice Agent Background Workers
+ *
+ * Pollers that run alongside the API: webhook inbox processing, native batch
+ * dialing, call retries, scheduled calls, retention purge and upload session
+ * cleanup. They are started explicitly by server startup (server.js), never
+ * as a side effect of requiring the router, so scripts and tests can load the
+ * feature without polling the database.
+ *
+ * Each worker can be switched off per instance with its own
+ * VOICE_*_WORKER_DISABLED flag; VOICE_WORKERS_DISABLED skips them all.
+ */
+
+const VAPIWebhookController = require('./controllers/VAPIWebhookController');
+const { getWebhookInboxWorker } = require('./services/WebhookInboxWorker');
+const { getBatchDispatchWorker } = require('./services/BatchDispatchWorker');
+const { getCallRetryWorker } = require('./services/CallRetryWorker');
+const { getScheduledCallWorker } = require('./services/ScheduledCallWorker');
+const { getRecordingRetentionWorker } = require('./services/RecordingRetentionWorker');
+const { getUploadSessionCleanupWorker } = require('./services/UploadSessionCleanupWorker');
+const { pool } = require('../../shared/database/connection');
+
+// [disable flag, worker factory]
+const WORKERS = [
+  // Background processing of stored provider webhooks
+  ['VOICE_WEBHOOK_WORKER_DISABLED', (db) => {
+    const webhookController = new VAPIWebhookController(db);
+    return getWebhookInboxWorker({
+      db,
+      processEvent: (payload) => webhookController.processEvent(payload)
+    });
+  }],
+  // Native batch dialing (concurrency limits and pacing)
+  ['VOICE_BATCH_WORKER_DISABLED', (db) => getBatchDispatchWorker({ db })],
+  // Automatic retries of unanswered, busy and failed single calls
+  ['VOICE_RETRY_WORKER_DISABLED', (db) => getCallRetryWorker({ db })],
+  // Scheduled single calls of the postgres scheduler backend
+  ['VOICE_SCHEDULER_WORKER_DISABLED', (db) => getScheduledCallWorker({ db })],
+  // Purge of recordings and transcripts past each tenant's retention period
+  ['VOICE_RETENTION_WORKER_DISABLED', (db) => getRecordingRetentionWorker({ db })],
+  // Removal of expired batch upload sessions
+  ['VOICE_UPLOAD_SESSION_WORKER_DISABLED', (db) => getUploadSessionCleanupWorker({ db })]
+];
+
+let started = [];
+
+/**
+ * Start every worker not disabled on this instance
+ * @returns {Array<Object>} started workers
+ */
+function startWorkers({ db = pool } = {}) {
+  if (started.length > 0 || process.env.VOICE_WORKERS_DISABLED === 'true') {
+    return started;
+  }
+
+  started = WORKERS
+    .filter(([disabledFlag]) => process.env[disabledFlag] !== 'true')
+    .map(([, create]) => create(db));
+  started.forEach(worker => worker.start());
+  return started;
+}
+
+function stopWorkers() {
+  started.forEach(worker => worker.stop());
+  started = [];
+}
+
+module.exports = {
+  startWorkers,
+  stopWorkers
+};
@@ -0,0 +1,42 @@
+/**
+ * Jest configuration
+ *
+ * One project per feature test suite (features/<feature>/tests/**\/*.test.js).
+ * Features are deployed independently, so a suite whose feature is not in
+ * this checkout is left out instead of failing on its missing setup file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const featureSuites = [
+  {
+    displayName: 'deals-pipeline',
+    testEnvironment: 'node',
+    setupFilesAfterEnv: ['<rootDir>/features/deals-pipeline/tests/setup.js'],
+    testMatch: ['<rootDir>/features/deals-pipeline/tests/**/*.test.js'],
+    collectCoverageFrom: [
+      '<rootDir>/features/deals-pipeline/**/*.js',
+      '!<rootDir>/features/deals-pipeline/tests/**',
+      '!<rootDir>/features/deals-pipeline/index.js'
+    ]
+  },
+  {
+    displayName: 'voice-agent',
+    testEnvironment: 'node',
+    setupFilesAfterEnv: ['<rootDir>/features/voice-agent/tests/setup.js'],
+    testMatch: ['<rootDir>/features/voice-agent/tests/**/*.test.js'],
+    collectCoverageFrom: [
+      '<rootDir>/features/voice-agent/**/*.js',
+      '!<rootDir>/features/voice-agent/tests/**'
+    ]
+  }
+];
+
+module.exports = {
+  coverageDirectory: 'coverage',
+  verbose: true,
+  projects: featureSuites
+    .filter(suite => fs.existsSync(path.join(__dirname, 'features', suite.displayName)))
+    .map(suite => ({ rootDir: __dirname, ...suite }))
+};
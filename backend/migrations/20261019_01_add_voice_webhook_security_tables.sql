@@ -0,0 +1,60 @@
+-- Migration: Add webhook replay-protection and rejection audit tables for voice-agent
+-- Date: 2026-10-19
+-- Purpose: Persist processed provider webhook events (so a replayed end-of-call-report
+--          cannot charge a tenant twice) and record every rejected webhook delivery for audit
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+-- Ledger of accepted webhook events, keyed by provider + event key
+-- tenant_id is resolved from the matching call log and may be NULL until then
+CREATE TABLE IF NOT EXISTS voice_webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID,
+  provider VARCHAR(32) NOT NULL,
+  event_key VARCHAR(255) NOT NULL,
+  event_type VARCHAR(64),
+  provider_call_id VARCHAR(255),
+  call_log_id UUID,
+  status VARCHAR(32) NOT NULL DEFAULT 'processing',
+  payload_hash CHAR(64),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_voice_webhook_events_provider_key UNIQUE (provider, event_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_webhook_events_tenant
+ON voice_webhook_events(tenant_id, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_voice_webhook_events_call
+ON voice_webhook_events(provider, provider_call_id);
+
+-- Audit trail of webhook deliveries that failed verification or were replays
+CREATE TABLE IF NOT EXISTS voice_webhook_rejections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID,
+  provider VARCHAR(32) NOT NULL,
+  reason VARCHAR(64) NOT NULL,
+  event_type VARCHAR(64),
+  provider_call_id VARCHAR(255),
+  payload_hash CHAR(64),
+  remote_ip VARCHAR(64),
+  user_agent TEXT,
+  headers JSONB NOT NULL DEFAULT '{}',
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_webhook_rejections_provider
+ON voice_webhook_rejections(provider, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_voice_webhook_rejections_reason
+ON voice_webhook_rejections(reason, created_at DESC);
+
+COMMENT ON COLUMN voice_webhook_events.event_key IS 'Dedupe key: <event_type>:<provider_call_id> for terminal events, otherwise sha256 of the raw body';
+COMMENT ON COLUMN voice_webhook_events.status IS 'processing while handlers run, processed once side effects are committed';
+COMMENT ON COLUMN voice_webhook_rejections.reason IS 'missing_secret, invalid_signature, missing_timestamp, stale_timestamp, duplicate_event';
@@ -0,0 +1,45 @@
+-- Migration: Add durable webhook inbox for voice-agent provider webhooks
+-- Date: 2026-10-19
+-- Purpose: Store raw webhook payloads before processing so transient failures are retried
+--          by a background worker (with backoff) instead of silently losing call-ended events
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_webhook_inbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID,
+  webhook_event_id UUID REFERENCES voice_webhook_events(id) ON DELETE SET NULL,
+  provider VARCHAR(32) NOT NULL,
+  event_key VARCHAR(255) NOT NULL,
+  event_type VARCHAR(64),
+  provider_call_id VARCHAR(255),
+  payload JSONB NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  processed_at TIMESTAMPTZ,
+  dead_lettered_at TIMESTAMPTZ,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_voice_webhook_inbox_provider_key UNIQUE (provider, event_key),
+  CONSTRAINT chk_voice_webhook_inbox_status
+    CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead_letter'))
+);
+
+-- Worker pick-up: due pending/failed rows
+CREATE INDEX IF NOT EXISTS idx_voice_webhook_inbox_due
+ON voice_webhook_inbox(status, next_attempt_at)
+WHERE is_deleted = false AND status IN ('pending', 'failed', 'processing');
+
+-- Admin listing per tenant
+CREATE INDEX IF NOT EXISTS idx_voice_webhook_inbox_tenant_status
+ON voice_webhook_inbox(tenant_id, status, created_at DESC)
+WHERE is_deleted = false;
+
+COMMENT ON TABLE voice_webhook_inbox IS 'Raw provider webhook payloads, processed asynchronously with retries';
+COMMENT ON COLUMN voice_webhook_inbox.status IS 'pending, processing, processed, failed (retry scheduled), dead_letter (retries exhausted)';
+COMMENT ON COLUMN voice_webhook_inbox.tenant_id IS 'Resolved from voice_call_logs by provider_call_id at receipt or after processing; NULL for unknown calls';
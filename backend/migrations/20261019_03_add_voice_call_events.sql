@@ -0,0 +1,37 @@
+-- Migration: Add call events timeline for voice-agent
+-- Date: 2026-10-19
+-- Purpose: Persist intermediate provider events (status updates, final transcript
+--          turns, speech updates, tool calls, hang warnings) per call so the UI can
+--          show live call progress and a per-call timeline
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_call_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  call_log_id UUID NOT NULL REFERENCES voice_call_logs(id) ON DELETE CASCADE,
+  provider VARCHAR(32) NOT NULL DEFAULT 'vapi',
+  provider_call_id VARCHAR(255),
+  event_type VARCHAR(64) NOT NULL,
+  status VARCHAR(50),
+  role VARCHAR(32),
+  content TEXT,
+  payload JSONB NOT NULL DEFAULT '{}',
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_events_tenant_call
+ON voice_call_events(tenant_id, call_log_id, occurred_at)
+WHERE is_deleted = false;
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_events_tenant_type
+ON voice_call_events(tenant_id, event_type, occurred_at DESC)
+WHERE is_deleted = false;
+
+COMMENT ON TABLE voice_call_events IS 'Per-call timeline of provider events (status, transcript, speech, tool calls, hang)';
+COMMENT ON COLUMN voice_call_events.event_type IS 'call_started, status_update, transcript, speech_update, tool_calls, hang, call_ended, call_failed';
+COMMENT ON COLUMN voice_call_events.role IS 'Speaker for transcript/speech events (assistant, user)';
+COMMENT ON COLUMN voice_call_events.content IS 'Transcript text or a short human-readable description of the event';
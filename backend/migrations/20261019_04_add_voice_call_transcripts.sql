@@ -0,0 +1,34 @@
+-- Migration: Add call transcript/analysis store for voice-agent
+-- Date: 2026-10-19
+-- Purpose: Keep the transcript, speaker-segmented turns, summary, structured data and
+--          success evaluation from provider end-of-call reports (previously discarded)
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_call_transcripts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  call_log_id UUID NOT NULL REFERENCES voice_call_logs(id) ON DELETE CASCADE,
+  provider VARCHAR(32) NOT NULL DEFAULT 'vapi',
+  provider_call_id VARCHAR(255),
+  transcript_text TEXT,
+  segments JSONB NOT NULL DEFAULT '[]',
+  messages JSONB NOT NULL DEFAULT '[]',
+  summary TEXT,
+  structured_data JSONB,
+  success_evaluation TEXT,
+  ended_reason VARCHAR(100),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_voice_call_transcripts_call_log UNIQUE (call_log_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_transcripts_tenant_call
+ON voice_call_transcripts(tenant_id, call_log_id)
+WHERE is_deleted = false;
+
+COMMENT ON TABLE voice_call_transcripts IS 'Transcript and provider analysis per call (one row per voice_call_logs row)';
+COMMENT ON COLUMN voice_call_transcripts.segments IS 'Speaker turns: [{ index, speaker, text, start_seconds, end_seconds, timestamp }]';
+COMMENT ON COLUMN voice_call_transcripts.messages IS 'Raw provider conversation messages as received';
+COMMENT ON COLUMN voice_call_transcripts.success_evaluation IS 'Provider success evaluation (stored as text: boolean, score or rubric label)';
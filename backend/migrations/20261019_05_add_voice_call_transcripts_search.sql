@@ -0,0 +1,18 @@
+-- Migration: Add full-text search over voice call transcripts and summaries
+-- Date: 2026-10-19
+-- Purpose: Let sales managers find calls where a topic or competitor was mentioned
+--          (GET /api/voice-agent/calllogs/search)
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+-- Summary matches rank above transcript matches
+ALTER TABLE voice_call_transcripts
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(summary, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(transcript_text, '')), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_transcripts_search
+ON voice_call_transcripts USING GIN (search_vector);
+
+COMMENT ON COLUMN voice_call_transcripts.search_vector IS 'English tsvector of summary (weight A) and transcript_text (weight B)';
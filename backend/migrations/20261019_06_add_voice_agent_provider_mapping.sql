@@ -0,0 +1,28 @@
+-- Migration: Add per-agent telephony provider assistant and phone-number mapping
+-- Date: 2026-10-19
+-- Purpose: Let each tenant's voice agents run their own provider (VAPI) assistant
+--          with their own credentials, and map tenant numbers to provider
+--          phone-number IDs, instead of the global VAPI_ASSISTANT_ID /
+--          VAPI_PHONE_NUMBER_ID environment variables
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+ALTER TABLE voice_agents
+ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+ADD COLUMN IF NOT EXISTS provider_assistant_id TEXT,
+ADD COLUMN IF NOT EXISTS provider_config JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE voice_agent_numbers
+ADD COLUMN IF NOT EXISTS provider_phone_number_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_voice_agents_tenant_provider
+ON voice_agents (tenant_id, provider)
+WHERE provider IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_voice_agent_numbers_provider_number
+ON voice_agent_numbers (tenant_id, provider_phone_number_id)
+WHERE provider_phone_number_id IS NOT NULL;
+
+COMMENT ON COLUMN voice_agents.provider IS 'Telephony provider key from the feature manifest (e.g. vapi); NULL uses the default provider';
+COMMENT ON COLUMN voice_agents.provider_assistant_id IS 'Provider-side assistant ID (VAPI assistantId) for this agent';
+COMMENT ON COLUMN voice_agents.provider_config IS 'Provider credentials/options for this agent (e.g. {"api_key": "...", "phone_number_id": "..."}); never returned by the API';
+COMMENT ON COLUMN voice_agent_numbers.provider_phone_number_id IS 'Provider-side phone number ID (VAPI phoneNumberId) for this number';
@@ -0,0 +1,68 @@
+-- Migration: Add native batch dispatch (concurrency limits and pacing)
+-- Date: 2026-10-19
+-- Purpose: Persist batch call requests and their entries so an in-house worker
+--          (BatchDispatchWorker) dials them under per-tenant and per-number
+--          concurrency limits and calls-per-minute pacing, instead of looping
+--          in-process or forwarding the whole batch to the external service.
+--          Batch state lives in the database, so paused batches stay paused
+--          across restarts.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+ALTER TABLE voice_call_batches
+ADD COLUMN IF NOT EXISTS dispatch_mode VARCHAR(20) NOT NULL DEFAULT 'external',
+ADD COLUMN IF NOT EXISTS call_request JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS max_concurrent_calls INTEGER,
+ADD COLUMN IF NOT EXISTS calls_per_minute INTEGER,
+ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+
+ALTER TABLE voice_call_batch_entries
+ADD COLUMN IF NOT EXISTS position INTEGER,
+ADD COLUMN IF NOT EXISTS lead_name TEXT,
+ADD COLUMN IF NOT EXISTS added_context TEXT,
+ADD COLUMN IF NOT EXISTS from_number VARCHAR(32),
+ADD COLUMN IF NOT EXISTS call_options JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS provider_call_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS dispatched_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS finished_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS voice_call_dispatch_limits (
+  tenant_id UUID PRIMARY KEY,
+  max_concurrent_calls INTEGER,
+  max_concurrent_per_number INTEGER,
+  calls_per_minute INTEGER,
+  updated_by_user_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_voice_call_dispatch_limits_positive CHECK (
+    (max_concurrent_calls IS NULL OR max_concurrent_calls > 0)
+    AND (max_concurrent_per_number IS NULL OR max_concurrent_per_number > 0)
+    AND (calls_per_minute IS NULL OR calls_per_minute > 0)
+  )
+);
+
+-- Worker pick-up: native batches with work left
+CREATE INDEX IF NOT EXISTS idx_voice_call_batches_dispatch
+ON voice_call_batches (status, scheduled_at)
+WHERE is_deleted = false AND dispatch_mode = 'native';
+
+-- Next pending entries of a batch
+CREATE INDEX IF NOT EXISTS idx_voice_call_batch_entries_pending
+ON voice_call_batch_entries (batch_id, position)
+WHERE is_deleted = false AND status = 'pending';
+
+-- In-flight calls per tenant / from-number (concurrency and pacing)
+CREATE INDEX IF NOT EXISTS idx_voice_call_batch_entries_in_flight
+ON voice_call_batch_entries (tenant_id, from_number, dispatched_at)
+WHERE is_deleted = false AND status IN ('dispatching', 'dispatched');
+
+COMMENT ON COLUMN voice_call_batches.dispatch_mode IS 'native (dialed by BatchDispatchWorker) or external (forwarded to the external voice service)';
+COMMENT ON COLUMN voice_call_batches.call_request IS 'Call options shared by every entry of a native batch (voice_id, from_number, added_context, llm_provider, ...)';
+COMMENT ON COLUMN voice_call_batches.max_concurrent_calls IS 'Per-batch cap on in-flight calls; NULL uses the tenant limit';
+COMMENT ON COLUMN voice_call_batches.calls_per_minute IS 'Per-batch dial rate; NULL uses the tenant limit';
+COMMENT ON COLUMN voice_call_batches.paused_at IS 'When the batch was paused; the worker skips paused batches';
+COMMENT ON COLUMN voice_call_batch_entries.status IS 'pending, dispatching (claimed by the worker), dispatched (call placed), completed, failed, cancelled';
+COMMENT ON COLUMN voice_call_batch_entries.position IS 'Order of the entry in the submitted batch; entries are dialed in this order';
+COMMENT ON COLUMN voice_call_batch_entries.from_number IS 'Caller ID the entry was dialed from (per-number concurrency)';
+COMMENT ON COLUMN voice_call_batch_entries.call_options IS 'Per-entry call options (knowledge_base_store_ids, ...)';
+COMMENT ON TABLE voice_call_dispatch_limits IS 'Per-tenant batch dispatch limits; NULL columns fall back to the VOICE_BATCH_* environment defaults';
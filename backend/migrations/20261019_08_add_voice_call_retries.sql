@@ -0,0 +1,69 @@
+-- Migration: Add automatic call retry policies and attempt linking
+-- Date: 2026-10-19
+-- Purpose: Retry calls that end unanswered, busy or failed according to a
+--          per-agent or per-batch policy (max attempts, minimum spacing,
+--          allowed windows, retryable outcomes). Every attempt links back to
+--          the first call log so lead history shows attempt 1/2/3 together.
+--          Batch entries are re-queued on the batch itself; single calls are
+--          queued in voice_call_retries and placed by CallRetryWorker.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+ALTER TABLE voice_call_logs
+ADD COLUMN IF NOT EXISTS root_call_log_id UUID,
+ADD COLUMN IF NOT EXISTS attempt_number INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE voice_agents
+ADD COLUMN IF NOT EXISTS retry_policy JSONB;
+
+ALTER TABLE voice_call_batches
+ADD COLUMN IF NOT EXISTS retry_policy JSONB;
+
+ALTER TABLE voice_call_batch_entries
+ADD COLUMN IF NOT EXISTS root_call_log_id UUID,
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS voice_call_retries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  root_call_log_id UUID NOT NULL,
+  previous_call_log_id UUID NOT NULL,
+  attempt_number INTEGER NOT NULL,
+  agent_id BIGINT,
+  call_request JSONB NOT NULL DEFAULT '{}',
+  outcome VARCHAR(32) NOT NULL,
+  ended_reason TEXT,
+  status VARCHAR(32) NOT NULL DEFAULT 'pending',
+  scheduled_for TIMESTAMPTZ NOT NULL,
+  locked_at TIMESTAMPTZ,
+  call_log_id UUID,
+  last_error TEXT,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- A call is retried at most once, however often its end event is delivered
+  CONSTRAINT uq_voice_call_retries_previous UNIQUE (previous_call_log_id),
+  CONSTRAINT chk_voice_call_retries_status
+    CHECK (status IN ('pending', 'dispatching', 'dispatched', 'failed', 'cancelled'))
+);
+
+-- Worker pick-up: due retries
+CREATE INDEX IF NOT EXISTS idx_voice_call_retries_due
+ON voice_call_retries (status, scheduled_for)
+WHERE is_deleted = false AND status IN ('pending', 'dispatching');
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_retries_root
+ON voice_call_retries (tenant_id, root_call_log_id);
+
+-- Lead history: all attempts of a call
+CREATE INDEX IF NOT EXISTS idx_voice_call_logs_root
+ON voice_call_logs (tenant_id, root_call_log_id)
+WHERE root_call_log_id IS NOT NULL;
+
+COMMENT ON COLUMN voice_call_logs.root_call_log_id IS 'First attempt of this call (NULL on the first attempt itself)';
+COMMENT ON COLUMN voice_call_logs.attempt_number IS '1 for the original call, 2.. for automatic retries';
+COMMENT ON COLUMN voice_agents.retry_policy IS 'Automatic retry policy: { max_attempts, min_spacing_minutes, retry_on, windows }; NULL disables retries';
+COMMENT ON COLUMN voice_call_batches.retry_policy IS 'Retry policy for this batch''s entries; overrides the agent''s policy';
+COMMENT ON COLUMN voice_call_batch_entries.root_call_log_id IS 'Call log of the entry''s first attempt once it has been retried';
+COMMENT ON COLUMN voice_call_batch_entries.next_attempt_at IS 'Earliest time a re-queued entry may be dialed again';
+COMMENT ON TABLE voice_call_retries IS 'Scheduled automatic retries of single (non-batch) calls';
+COMMENT ON COLUMN voice_call_retries.outcome IS 'Outcome that triggered the retry: no-answer, busy, failed, voicemail';
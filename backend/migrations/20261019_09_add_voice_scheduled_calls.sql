@@ -0,0 +1,49 @@
+-- Migration: Add scheduled single calls
+-- Date: 2026-10-19
+-- Purpose: Let POST /calls/start-call take a scheduled_at and place the call
+--          later. voice_scheduled_calls is the source of truth for every
+--          scheduler backend: the default Postgres backend polls it
+--          (ScheduledCallWorker), the Cloud Tasks backend keeps the task name
+--          in task_ref and fires the row through a callback.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_scheduled_calls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  scheduled_by_user_id UUID,
+  agent_id BIGINT,
+  lead_id UUID,
+  to_number VARCHAR(32) NOT NULL,
+  call_request JSONB NOT NULL DEFAULT '{}',
+  scheduled_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'pending',
+  backend VARCHAR(32) NOT NULL DEFAULT 'postgres',
+  task_ref TEXT,
+  locked_at TIMESTAMPTZ,
+  dispatched_at TIMESTAMPTZ,
+  call_log_id UUID,
+  provider_call_id VARCHAR(255),
+  last_error TEXT,
+  cancelled_at TIMESTAMPTZ,
+  cancelled_by_user_id UUID,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_voice_scheduled_calls_status
+    CHECK (status IN ('pending', 'dispatching', 'dispatched', 'failed', 'cancelled'))
+);
+
+-- Worker pick-up: due calls
+CREATE INDEX IF NOT EXISTS idx_voice_scheduled_calls_due
+ON voice_scheduled_calls (status, scheduled_at)
+WHERE is_deleted = false AND status IN ('pending', 'dispatching');
+
+-- Listing a tenant's scheduled calls
+CREATE INDEX IF NOT EXISTS idx_voice_scheduled_calls_tenant
+ON voice_scheduled_calls (tenant_id, scheduled_at DESC)
+WHERE is_deleted = false;
+
+COMMENT ON TABLE voice_scheduled_calls IS 'Single calls requested for a future time';
+COMMENT ON COLUMN voice_scheduled_calls.call_request IS 'Call request (camelCase, see TelephonyProvider) placed when the call fires';
+COMMENT ON COLUMN voice_scheduled_calls.backend IS 'Scheduler backend that fires the call: postgres (polling worker) or cloud-tasks';
+COMMENT ON COLUMN voice_scheduled_calls.task_ref IS 'Backend task reference (Cloud Tasks task name); NULL for postgres';
@@ -0,0 +1,27 @@
+-- Migration: Add per-tenant business hours with agent and batch overrides
+-- Date: 2026-10-19
+-- Purpose: Replace the hard-coded business hours of voiceCallValidation with
+--          hours stored per tenant, overridable per voice agent or batch.
+--          Hours are evaluated in the lead's local time (lead data or the
+--          number's country code). Batch entries outside the window are
+--          deferred to the next allowed time instead of being dialed.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_business_hours (
+  tenant_id UUID PRIMARY KEY,
+  business_hours JSONB NOT NULL,
+  updated_by_user_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE voice_agents
+ADD COLUMN IF NOT EXISTS business_hours JSONB;
+
+ALTER TABLE voice_call_batches
+ADD COLUMN IF NOT EXISTS business_hours JSONB;
+
+COMMENT ON TABLE voice_business_hours IS 'Per-tenant calling hours; tenants without a row use the default (Mon-Fri 08:00-22:00 lead local time)';
+COMMENT ON COLUMN voice_business_hours.business_hours IS '{ enabled, days (0=Sunday..6), start, end (HH:MM, end exclusive), timezone (IANA or "lead"), fallback_timezone }';
+COMMENT ON COLUMN voice_agents.business_hours IS 'Overrides the tenant business hours for calls by this agent; NULL inherits';
+COMMENT ON COLUMN voice_call_batches.business_hours IS 'Overrides agent and tenant business hours for this batch; NULL inherits';
@@ -0,0 +1,69 @@
+-- Migration: Add Do-Not-Call lists
+-- Date: 2026-10-19
+-- Purpose: Tenant-scoped Do-Not-Call numbers plus global lists maintained by
+--          the platform (mandatory for every tenant, or opt-in per tenant).
+--          Every outbound dial path checks these before placing a call;
+--          suppressed batch entries are marked skipped with a reason. Leads
+--          who ask not to be called again during a call are added
+--          automatically.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_dnc_lists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  mandatory BOOLEAN NOT NULL DEFAULT false,
+  created_by_user_id UUID,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS voice_dnc_list_subscriptions (
+  tenant_id UUID NOT NULL,
+  list_id UUID NOT NULL REFERENCES voice_dnc_lists(id),
+  subscribed_by_user_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tenant_id, list_id)
+);
+
+CREATE TABLE IF NOT EXISTS voice_dnc_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID,
+  list_id UUID REFERENCES voice_dnc_lists(id),
+  phone_number TEXT NOT NULL,
+  reason TEXT,
+  source TEXT NOT NULL DEFAULT 'manual',
+  call_log_id UUID,
+  added_by_user_id UUID,
+  expires_at TIMESTAMPTZ,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT voice_dnc_entries_owner_check CHECK ((tenant_id IS NULL) <> (list_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_dnc_entries_tenant_number
+ON voice_dnc_entries (tenant_id, phone_number)
+WHERE list_id IS NULL AND is_deleted = false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_dnc_entries_list_number
+ON voice_dnc_entries (list_id, phone_number)
+WHERE list_id IS NOT NULL AND is_deleted = false;
+
+CREATE INDEX IF NOT EXISTS idx_voice_dnc_entries_number
+ON voice_dnc_entries (phone_number)
+WHERE is_deleted = false;
+
+ALTER TABLE voice_call_batch_entries
+ADD COLUMN IF NOT EXISTS skip_reason TEXT;
+
+COMMENT ON TABLE voice_dnc_lists IS 'Global Do-Not-Call lists maintained by the platform; tenant numbers live in voice_dnc_entries with list_id NULL';
+COMMENT ON COLUMN voice_dnc_lists.mandatory IS 'Enforced for every tenant; otherwise only for tenants subscribed in voice_dnc_list_subscriptions';
+COMMENT ON TABLE voice_dnc_list_subscriptions IS 'Optional global Do-Not-Call lists a tenant has opted into';
+COMMENT ON TABLE voice_dnc_entries IS 'Suppressed numbers: tenant-scoped (tenant_id set) or on a global list (list_id set)';
+COMMENT ON COLUMN voice_dnc_entries.phone_number IS 'E.164 number';
+COMMENT ON COLUMN voice_dnc_entries.source IS 'manual, import, api or spoken_opt_out (lead asked not to be called during call_log_id)';
+COMMENT ON COLUMN voice_dnc_entries.expires_at IS 'Suppression ends after this time; NULL never expires';
+COMMENT ON COLUMN voice_call_batch_entries.status IS 'pending, dispatching (claimed by the worker), dispatched (call placed), completed, failed, cancelled, skipped (not dialed, see skip_reason)';
+COMMENT ON COLUMN voice_call_batch_entries.skip_reason IS 'Why a skipped entry was not dialed (e.g. number on a Do-Not-Call list)';
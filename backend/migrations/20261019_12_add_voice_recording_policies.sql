@@ -0,0 +1,52 @@
+-- Migration: Add per-tenant recording consent and retention policies
+-- Date: 2026-10-19
+-- Purpose: Let tenants decide whether calls are recorded and whether a
+--          recording consent disclosure is played (per destination calling
+--          code), and how long recordings and transcripts are kept. A
+--          background job purges expired recordings and transcripts and
+--          writes an audit row for every deletion.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_recording_policies (
+  tenant_id UUID PRIMARY KEY,
+  policy JSONB NOT NULL,
+  updated_by_user_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE voice_call_logs
+ADD COLUMN IF NOT EXISTS recording_purged_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS transcript_purged_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS voice_retention_deletions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  call_log_id UUID NOT NULL,
+  artifact_type TEXT NOT NULL,
+  location TEXT,
+  retention_days INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_retention_deletions_tenant
+ON voice_retention_deletions (tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_logs_recording_retention
+ON voice_call_logs (tenant_id, created_at)
+WHERE recording_url IS NOT NULL AND recording_purged_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_logs_transcript_retention
+ON voice_call_logs (tenant_id, created_at)
+WHERE transcript_purged_at IS NULL;
+
+COMMENT ON TABLE voice_recording_policies IS 'Per-tenant recording and retention policy; tenants without a row record every call, play no disclosure and keep everything';
+COMMENT ON COLUMN voice_recording_policies.policy IS '{ record_calls, consent_disclosure, disclosure_message, countries: { "+44": { record_calls, consent_disclosure, disclosure_message } }, recording_retention_days, transcript_retention_days }';
+COMMENT ON COLUMN voice_call_logs.recording_purged_at IS 'Recording removed by the retention job (recording_url cleared)';
+COMMENT ON COLUMN voice_call_logs.transcript_purged_at IS 'Transcript, summary and transcript timeline events removed by the retention job';
+COMMENT ON TABLE voice_retention_deletions IS 'Audit trail of recordings and transcripts purged by the retention job';
+COMMENT ON COLUMN voice_retention_deletions.artifact_type IS 'recording or transcript';
+COMMENT ON COLUMN voice_retention_deletions.location IS 'Recording URL that was removed (NULL for transcripts)';
+COMMENT ON COLUMN voice_retention_deletions.status IS 'deleted, unlinked (provider-hosted recording, only the reference was removed) or failed';
@@ -0,0 +1,34 @@
+-- Migration: Add persistent upload sessions for batch call files
+-- Date: 2026-10-19
+-- Purpose: Replace the process-local GCSLinkStore. /upload-gcp stores the
+--          uploaded excel/json objects as an upload session and returns its
+--          id; /batch/trigger-batch-call references the session explicitly,
+--          so it works on any instance. Sessions are consumed once, expire
+--          after a TTL and are removed by a background cleanup job (objects
+--          of sessions that were never used are deleted with them).
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_upload_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  attachment_location TEXT NOT NULL,
+  attachment_file_name TEXT,
+  json_location TEXT NOT NULL,
+  json_file_name TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_upload_sessions_open
+ON voice_upload_sessions (tenant_id, user_id, created_at DESC)
+WHERE consumed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_voice_upload_sessions_expires
+ON voice_upload_sessions (expires_at);
+
+COMMENT ON TABLE voice_upload_sessions IS 'Batch call files uploaded through /upload-gcp, referenced by upload_session_id when triggering a batch';
+COMMENT ON COLUMN voice_upload_sessions.attachment_location IS 'Stored location of the excel file (gs://, s3://, local://); links are signed when the session is used';
+COMMENT ON COLUMN voice_upload_sessions.consumed_at IS 'When a batch used the session; a session is used at most once';
+COMMENT ON COLUMN voice_upload_sessions.expires_at IS 'After this the session can no longer be used and is removed by the cleanup job';
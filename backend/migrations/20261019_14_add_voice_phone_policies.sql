@@ -0,0 +1,17 @@
+-- Migration: Add per-tenant phone number policies
+-- Date: 2026-10-19
+-- Purpose: Let tenants set the country national numbers are dialed in, and
+--          block destination countries and number types (premium rate by
+--          default) on every call path.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_phone_policies (
+  tenant_id UUID PRIMARY KEY,
+  policy JSONB NOT NULL,
+  updated_by_user_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE voice_phone_policies IS 'Per-tenant destination number rules; tenants without a row use the default policy';
+COMMENT ON COLUMN voice_phone_policies.policy IS '{ default_country, blocked_countries: [ISO codes], blocked_number_types: [premium_rate, ...] }';
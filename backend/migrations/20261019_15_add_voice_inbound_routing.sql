@@ -0,0 +1,24 @@
+-- Migration: Add inbound call routing per phone number
+-- Date: 2026-10-19
+-- Purpose: Route incoming calls on each tenant number to a voice agent,
+--          optionally by business hours, answer the provider's
+--          assistant-request with that agent and its inbound greeting, and
+--          find the number and the caller's earlier calls quickly.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+ALTER TABLE voice_agent_numbers
+ADD COLUMN IF NOT EXISTS inbound_routing JSONB;
+
+-- Inbound webhooks carry no tenant; the number is looked up across tenants
+CREATE INDEX IF NOT EXISTS idx_voice_agent_numbers_inbound_provider_number
+ON voice_agent_numbers (provider_phone_number_id)
+WHERE provider_phone_number_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_voice_agent_numbers_inbound_e164
+ON voice_agent_numbers (('+' || country_code || base_number));
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_logs_tenant_remote_number
+ON voice_call_logs (tenant_id, to_country_code, to_base_number, created_at DESC);
+
+COMMENT ON COLUMN voice_agent_numbers.inbound_routing IS '{ enabled, rules: [{ agent_id, business_hours }], reject_when_closed, fallback_agent_id, closed_message }; NULL routes every inbound call to default_agent_id';
+COMMENT ON COLUMN voice_call_logs.direction IS 'outbound or inbound; for inbound calls to_country_code/to_base_number hold the caller and from_number_id the number called';
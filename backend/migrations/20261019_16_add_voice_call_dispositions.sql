@@ -0,0 +1,21 @@
+-- Migration: Add call dispositions
+-- Date: 2026-10-19
+-- Purpose: Record what happened on each call (interested, callback requested,
+--          not interested, wrong number, voicemail, DNC request), classified
+--          after the call from its transcript and provider analysis, with
+--          rep overrides, and filter and count call logs by it.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+ALTER TABLE voice_call_logs
+ADD COLUMN IF NOT EXISTS disposition VARCHAR(32),
+ADD COLUMN IF NOT EXISTS disposition_source VARCHAR(16),
+ADD COLUMN IF NOT EXISTS disposition_details JSONB NOT NULL DEFAULT '{}'::jsonb,
+ADD COLUMN IF NOT EXISTS disposition_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_logs_tenant_disposition
+ON voice_call_logs (tenant_id, disposition, started_at DESC)
+WHERE disposition IS NOT NULL;
+
+COMMENT ON COLUMN voice_call_logs.disposition IS 'interested, callback_requested, not_interested, wrong_number, voicemail or dnc_request; NULL when the call could not be classified';
+COMMENT ON COLUMN voice_call_logs.disposition_source IS 'auto (classified after the call) or rep (set by a user; never replaced by reclassification)';
+COMMENT ON COLUMN voice_call_logs.disposition_details IS '{ auto: { disposition, signal, evidence, classified_at }, override: { disposition, note, user_id, at, previous } }';
@@ -0,0 +1,23 @@
+-- Migration: Add voicemail detection and per-agent voicemail policy
+-- Date: 2026-10-19
+-- Purpose: Capture the provider's answering-machine detection result on each
+--          call, log calls answered by voicemail with an explicit voicemail
+--          outcome and bill them on their own cost line, and let each agent
+--          choose what happens on voicemail: hang up, leave a spoken or
+--          recorded message, or retry the call later.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+ALTER TABLE voice_agents
+ADD COLUMN IF NOT EXISTS voicemail_policy JSONB;
+
+ALTER TABLE voice_call_logs
+ADD COLUMN IF NOT EXISTS outcome VARCHAR(16),
+ADD COLUMN IF NOT EXISTS answered_by VARCHAR(16);
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_logs_tenant_outcome
+ON voice_call_logs (tenant_id, outcome, started_at DESC)
+WHERE outcome IS NOT NULL;
+
+COMMENT ON COLUMN voice_agents.voicemail_policy IS '{ detection, action (hangup | drop_message | retry_later), message_type (tts | audio), message, audio_url, retry_after_minutes }; NULL detects voicemail and hangs up';
+COMMENT ON COLUMN voice_call_logs.outcome IS 'How the call ended when nobody took it: voicemail, no_answer, busy or failed; NULL when a person answered';
+COMMENT ON COLUMN voice_call_logs.answered_by IS 'Answering-machine detection result: human, machine or unknown; NULL when the call was not answered';
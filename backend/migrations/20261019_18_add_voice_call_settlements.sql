@@ -0,0 +1,26 @@
+-- Migration: Add per-call credit settlement ledger for voice-agent
+-- Date: 2026-10-19
+-- Purpose: Settle a provider call's credits once. The settlement row is written in the
+--          same transaction as the balance change, so a webhook event processed again
+--          (its inbox row could not be marked processed) cannot charge or refund twice.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE TABLE IF NOT EXISTS voice_call_settlements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  provider VARCHAR(32) NOT NULL,
+  provider_call_id VARCHAR(255) NOT NULL,
+  call_log_id UUID,
+  settlement_type VARCHAR(16) NOT NULL,
+  credits NUMERIC(12, 2) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_voice_call_settlements_call UNIQUE (provider, provider_call_id, settlement_type),
+  CONSTRAINT chk_voice_call_settlements_type CHECK (settlement_type IN ('deduction', 'refund'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_settlements_tenant
+ON voice_call_settlements(tenant_id, created_at DESC);
+
+COMMENT ON TABLE voice_call_settlements IS 'One row per settled provider call and settlement type; guards credit_transactions against double charges';
+
+COMMENT ON COLUMN voice_webhook_inbox.tenant_id IS 'Resolved from voice_call_logs by provider_call_id at receipt, after processing or on failure; dead-lettered events of no tenant''s call are dropped (is_deleted)';
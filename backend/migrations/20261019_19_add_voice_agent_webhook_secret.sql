@@ -0,0 +1,13 @@
+-- Migration: Verify webhooks of agents on their own VAPI account with the agent's secret
+-- Date: 2026-10-19
+-- Purpose: Agents with their own provider_config.api_key sign webhooks with
+--          provider_config.webhook_secret instead of VAPI_WEBHOOK_SECRET. A
+--          delivery for a call without a call log yet finds its agent by the
+--          provider assistant ID.
+-- Repository: https://github.com/techiemaya-admin/lad-feature-voice-agent
+
+CREATE INDEX IF NOT EXISTS idx_voice_agents_provider_assistant
+ON voice_agents (provider_assistant_id)
+WHERE provider_assistant_id IS NOT NULL;
+
+COMMENT ON COLUMN voice_agents.provider_config IS 'Provider credentials/options for this agent (e.g. {"api_key": "...", "phone_number_id": "...", "webhook_secret": "..."}); never returned by the API';
@@ -33,6 +33,11 @@ async function startServer() {
     
     const app = new CoreApplication();
     await app.start(PORT);
+
+    // Voice agent pollers (webhook inbox, batch dialing, retries, scheduled calls, cleanup)
+    if (process.env.VOICE_WORKERS_DISABLED !== 'true') {
+      require('./features/voice-agent/workers').startWorkers();
+    }
     
     logger.info('Server successfully started', {
       port: PORT,
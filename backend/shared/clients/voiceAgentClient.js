@@ -26,6 +26,9 @@ class VoiceAgentClient {
     this.frontendHeader = process.env.BASE_URL_FRONTEND_HEADER || 'settings';
     this.apiKey = process.env.BASE_URL_FRONTEND_APIKEY || '';
     this.timeout = 30000; // 30 seconds
+    this.phonePolicyService = null; // Loaded on first use
+    this.dncService = null; // Loaded on first use
+    this.recordingPolicyService = null; // Loaded on first use
   }
 
   /**
@@ -85,6 +88,53 @@ class VoiceAgentClient {
     };
 
     try {
+      // The external service dials directly, so blocked destinations and
+      // Do-Not-Call numbers are stopped here
+      const policy = await this.checkPhonePolicy(tenantId, phoneNumber);
+      if (policy && !policy.allowed) {
+        logger.warn('Voice call blocked by phone policy:', {
+          tenantId,
+          leadId,
+          bookingId,
+          reason: policy.reason,
+          phoneNumber: this.maskPhoneNumber(phoneNumber)
+        });
+
+        return {
+          success: false,
+          blocked: true,
+          error: policy.reason,
+          code: policy.code,
+          statusCode: policy.statusCode
+        };
+      }
+      if (policy?.phoneNumber) {
+        payload.to_number = policy.phoneNumber;
+      }
+
+      const dnc = await this.checkDoNotCall(tenantId, payload.to_number);
+      if (dnc?.suppressed) {
+        logger.warn('Voice call blocked by Do-Not-Call list:', {
+          tenantId,
+          leadId,
+          bookingId,
+          phoneNumber: this.maskPhoneNumber(phoneNumber)
+        });
+
+        return {
+          success: false,
+          suppressed: true,
+          error: dnc.reason,
+          statusCode: 403
+        };
+      }
+
+      const recording = await this.getRecordingSettings(tenantId, payload.to_number);
+      if (recording) {
+        payload.recording_enabled = recording.enabled;
+        payload.recording_disclosure = recording.disclosureMessage || null;
+      }
+
       logger.info('Starting voice call via internal client:', {
         tenantId,
         leadId,
@@ -133,6 +183,82 @@ class VoiceAgentClient {
     }
   }
 
+  /**
+   * Tenant phone policy check through the voice-agent feature
+   * (PhonePolicyService.assertCallable)
+   *
+   * @returns {Promise<Object|null>} { allowed, phoneNumber } with phoneNumber in E.164,
+   *   { allowed: false, reason, code, statusCode } when the destination may not be dialed,
+   *   or null when the check is unavailable
+   * @throws when the policy cannot be read (the call is not placed)
+   */
+  async checkPhonePolicy(tenantId, phoneNumber) {
+    if (!this.phonePolicyService) {
+      let PhonePolicyService;
+      try {
+        PhonePolicyService = require('../../features/voice-agent/services/PhonePolicyService');
+      } catch (error) {
+        logger.warn('Phone policy check unavailable:', { error: error.message });
+        return null;
+      }
+      this.phonePolicyService = new PhonePolicyService();
+    }
+
+    try {
+      // No request context here: the default schema is used
+      const check = await this.phonePolicyService.assertCallable(null, tenantId, phoneNumber);
+      return { allowed: true, phoneNumber: check.phoneNumber };
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return { allowed: false, reason: error.message, code: error.code, statusCode: error.status };
+    }
+  }
+
+  /**
+   * Do-Not-Call check through the voice-agent feature
+   *
+   * @returns {Promise<Object|null>} { suppressed, reason }, or null when the check is unavailable
+   * @throws when the lists cannot be read (the call is not placed)
+   */
+  async checkDoNotCall(tenantId, phoneNumber) {
+    if (!this.dncService) {
+      let DncService;
+      try {
+        DncService = require('../../features/voice-agent/services/DncService');
+      } catch (error) {
+        logger.warn('Do-Not-Call check unavailable:', { error: error.message });
+        return null;
+      }
+      this.dncService = new DncService();
+    }
+
+    // No request context here: the default schema is used
+    return this.dncService.checkNumber(null, tenantId, phoneNumber);
+  }
+
+  /**
+   * Tenant recording policy for a number through the voice-agent feature
+   *
+   * @returns {Promise<Object|null>} { enabled, disclosureMessage }, or null when the policy is unavailable
+   */
+  async getRecordingSettings(tenantId, phoneNumber) {
+    if (!this.recordingPolicyService) {
+      let RecordingPolicyService;
+      try {
+        RecordingPolicyService = require('../../features/voice-agent/services/RecordingPolicyService');
+      } catch (error) {
+        logger.warn('Recording policy unavailable:', { error: error.message });
+        return null;
+      }
+      this.recordingPolicyService = new RecordingPolicyService();
+    }
+
+    // No request context here: the default schema is used
+    return this.recordingPolicyService.resolveForCall(null, tenantId, phoneNumber);
+  }
+
   /**
    * Get call status
    * 
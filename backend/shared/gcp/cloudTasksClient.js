@@ -49,6 +49,7 @@ class CloudTasksService {
    * @param {Date|string} params.scheduleTime - When to execute (Date or ISO string)
    * @param {string} params.oidcServiceAccountEmail - Service account for OIDC token (optional)
    * @param {string} params.idempotencyKey - Unique task name for deduplication (optional)
+   * @param {Object} params.headers - Extra HTTP headers sent with the task (optional)
    * @returns {Promise<Object>} Created task details
    */
   async createScheduledHttpTask({
@@ -57,7 +58,8 @@ class CloudTasksService {
     payload,
     scheduleTime,
     oidcServiceAccountEmail,
-    idempotencyKey = null
+    idempotencyKey = null,
+    headers = {}
   }) {
     if (!this.client) {
       throw new Error('Cloud Tasks client not initialized - check GCP configuration');
@@ -83,6 +85,7 @@ class CloudTasksService {
         httpMethod: 'POST',
         url,
         headers: {
+          ...headers,
           'Content-Type': 'application/json'
         },
         body: Buffer.from(JSON.stringify(payload)).toString('base64')
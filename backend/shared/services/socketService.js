@@ -12,6 +12,7 @@ class SocketService {
   constructor() {
     this.io = null;
     this.server = null;
+    this.namespaces = new Map(); // name -> setup(namespace), applied on initialize
   }
 
   /**
@@ -46,6 +47,9 @@ class SocketService {
     });
 
     this.setupEventHandlers();
+    for (const [name, setup] of this.namespaces) {
+      this.setupNamespace(name, setup);
+    }
     logger.info('[SocketService] Socket.IO server initialized', {
       allowedOrigins: allowedOrigins.length
     });
@@ -89,6 +93,32 @@ class SocketService {
     });
   }
 
+  /**
+   * Register a namespace with its own handlers (e.g. authenticated feature channels).
+   * Features load before the server starts, so setup runs on initialize when
+   * Socket.IO is not up yet.
+   * @param {string} name - Namespace, e.g. '/voice-monitor'
+   * @param {Function} setup - (namespace) => void
+   */
+  registerNamespace(name, setup) {
+    this.namespaces.set(name, setup);
+    if (this.io) {
+      this.setupNamespace(name, setup);
+    }
+  }
+
+  setupNamespace(name, setup) {
+    try {
+      setup(this.io.of(name));
+      logger.info('[SocketService] Namespace registered', { namespace: name });
+    } catch (error) {
+      logger.error('[SocketService] Failed to set up namespace', {
+        namespace: name,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Emit call logs update to all clients
    * @param {string} tenantId - Tenant ID for scoped updates
@@ -1,6 +1,6 @@
 import { useQuery, useMutation, useQueryClient, UseQueryResult, UseMutationResult } from '@tanstack/react-query';
 import voiceAgentService from './services/voiceAgentService';
-import type { VoiceAgent, CallLog, PhoneNumber, BatchCallLogEntry } from './types';
+import type { VoiceAgent, CallLog, PhoneNumber, BatchCallLogEntry, CallEvent, CallEventType, CallTransferInput, CallInjectInput, CallTakeoverInput, LiveCallControlResult, CallDispositionFilter, CallDispositionInput, CallDispositionResult, CallTranscript, CallAttempts, CallLogSearchParams, CallLogSearchResponse, ScheduledCall, ScheduledCallListParams, ScheduledCallListResponse, BusinessHours, TenantBusinessHours, RecordingPolicy, TenantRecordingPolicy, RetentionDeletionListResponse, PhonePolicy, TenantPhonePolicy, InboundRouting, NumberInboundRouting, DncEntry, DncEntryInput, DncEntryListParams, DncEntryListResponse, DncImportResult, DncList } from './types';
 
 /**
  * Voice Agent Hooks
@@ -13,7 +13,22 @@ export const voiceAgentKeys = {
   agents: () => [...voiceAgentKeys.all, 'agents'] as const,
   callLogs: () => [...voiceAgentKeys.all, 'callLogs'] as const,
   callLog: (id: string) => [...voiceAgentKeys.callLogs(), id] as const,
+  callLogSearch: (params: CallLogSearchParams) => [...voiceAgentKeys.callLogs(), 'search', params] as const,
+  callEvents: (id: string) => [...voiceAgentKeys.callLog(id), 'events'] as const,
+  callTranscript: (id: string) => [...voiceAgentKeys.callLog(id), 'transcript'] as const,
+  callRecording: (id: string) => [...voiceAgentKeys.callLog(id), 'recording'] as const,
+  callAttempts: (id: string) => [...voiceAgentKeys.callLog(id), 'attempts'] as const,
+  scheduledCalls: () => [...voiceAgentKeys.all, 'scheduledCalls'] as const,
+  scheduledCallList: (params: ScheduledCallListParams) => [...voiceAgentKeys.scheduledCalls(), params] as const,
   batchCallLogs: (batchId: string) => [...voiceAgentKeys.all, 'batchCallLogs', batchId] as const,
+  businessHours: () => [...voiceAgentKeys.all, 'businessHours'] as const,
+  recordingPolicy: () => [...voiceAgentKeys.all, 'recordingPolicy'] as const,
+  retentionDeletions: (params?: { page?: number; limit?: number }) => [...voiceAgentKeys.recordingPolicy(), 'deletions', params] as const,
+  phonePolicy: () => [...voiceAgentKeys.all, 'phonePolicy'] as const,
+  inboundRouting: (numberId: string) => [...voiceAgentKeys.phoneNumbers(), numberId, 'inboundRouting'] as const,
+  dnc: () => [...voiceAgentKeys.all, 'dnc'] as const,
+  dncEntries: (params: DncEntryListParams) => [...voiceAgentKeys.dnc(), 'entries', params] as const,
+  dncLists: () => [...voiceAgentKeys.dnc(), 'lists'] as const,
   phoneNumbers: () => [...voiceAgentKeys.all, 'phoneNumbers'] as const,
   userAvailableNumbers: () => [...voiceAgentKeys.all, 'userAvailableNumbers'] as const,
 };
@@ -32,11 +47,25 @@ export function useVoiceAgents(): UseQueryResult<VoiceAgent[], Error> {
 /**
  * Hook to fetch call logs
  * @param voiceAgentId - Optional filter by voice agent ID
+ * @param dispositions - Optional filter by disposition (any of)
  */
-export function useCallLogs(voiceAgentId?: string): UseQueryResult<CallLog[], Error> {
+export function useCallLogs(voiceAgentId?: string, dispositions?: CallDispositionFilter[]): UseQueryResult<CallLog[], Error> {
   return useQuery({
-    queryKey: [...voiceAgentKeys.callLogs(), voiceAgentId],
-    queryFn: () => voiceAgentService.getCallLogs(voiceAgentId),
+    queryKey: [...voiceAgentKeys.callLogs(), voiceAgentId, dispositions],
+    queryFn: () => voiceAgentService.getCallLogs(voiceAgentId, dispositions),
+    staleTime: 30 * 1000, // 30 seconds
+  });
+}
+
+/**
+ * Hook to search call transcripts and summaries
+ * @param params - Search text and call log filters
+ */
+export function useSearchCallLogs(params: CallLogSearchParams): UseQueryResult<CallLogSearchResponse, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.callLogSearch(params),
+    queryFn: () => voiceAgentService.searchCallLogs(params),
+    enabled: !!params.q?.trim(),
     staleTime: 30 * 1000, // 30 seconds
   });
 }
@@ -53,6 +82,173 @@ export function useCallLog(id: string): UseQueryResult<CallLog, Error> {
   });
 }
 
+/**
+ * Hook to fetch the event timeline for a call
+ * @param callLogId - Call log ID
+ * @param types - Optional event type filter
+ */
+export function useCallEvents(callLogId: string, types?: CallEventType[]): UseQueryResult<CallEvent[], Error> {
+  return useQuery({
+    queryKey: [...voiceAgentKeys.callEvents(callLogId), types],
+    queryFn: () => voiceAgentService.getCallEvents(callLogId, types),
+    enabled: !!callLogId,
+  });
+}
+
+/**
+ * Hook to transfer an in-progress call to a human
+ */
+export function useTransferCall(): UseMutationResult<
+  LiveCallControlResult,
+  Error,
+  { callLogId: string; input: CallTransferInput }
+> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ callLogId, input }) => voiceAgentService.transferCall(callLogId, input),
+    onSuccess: (_data, { callLogId }) => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.callEvents(callLogId) });
+    },
+  });
+}
+
+/**
+ * Hook to add an instruction to the agent's conversation during a call
+ */
+export function useInjectCallMessage(): UseMutationResult<
+  LiveCallControlResult,
+  Error,
+  { callLogId: string; input: CallInjectInput }
+> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ callLogId, input }) => voiceAgentService.injectCallMessage(callLogId, input),
+    onSuccess: (_data, { callLogId }) => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.callEvents(callLogId) });
+    },
+  });
+}
+
+/**
+ * Hook to take a call over from the agent (or hand it back)
+ */
+export function useTakeoverCall(): UseMutationResult<
+  LiveCallControlResult,
+  Error,
+  { callLogId: string; input?: CallTakeoverInput }
+> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ callLogId, input }) => voiceAgentService.takeoverCall(callLogId, input),
+    onSuccess: (_data, { callLogId }) => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.callEvents(callLogId) });
+    },
+  });
+}
+
+/**
+ * Hook to set (or clear) a rep's disposition on a call
+ */
+export function useUpdateCallDisposition(): UseMutationResult<
+  CallDispositionResult,
+  Error,
+  { callLogId: string; input: CallDispositionInput }
+> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ callLogId, input }) => voiceAgentService.updateCallDisposition(callLogId, input),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.callLogs() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the transcript for a call
+ * @param callLogId - Call log ID
+ */
+export function useCallTranscript(callLogId: string): UseQueryResult<CallTranscript, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.callTranscript(callLogId),
+    queryFn: () => voiceAgentService.getCallTranscript(callLogId),
+    enabled: !!callLogId,
+  });
+}
+
+/**
+ * Hook to download a call's recording (use URL.createObjectURL for playback)
+ * @param callLogId - Call log ID
+ */
+export function useCallRecording(callLogId: string): UseQueryResult<Blob, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.callRecording(callLogId),
+    queryFn: () => voiceAgentService.getCallRecording(callLogId),
+    enabled: !!callLogId,
+    staleTime: Infinity,
+  });
+}
+
+/**
+ * Hook to fetch all attempts of a call (original call and automatic retries)
+ * @param callLogId - Call log ID of any attempt
+ */
+export function useCallAttempts(callLogId: string): UseQueryResult<CallAttempts, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.callAttempts(callLogId),
+    queryFn: () => voiceAgentService.getCallAttempts(callLogId),
+    enabled: !!callLogId,
+  });
+}
+
+/**
+ * Hook to list scheduled single calls
+ * @param params - Optional status filter and pagination
+ */
+export function useScheduledCalls(params: ScheduledCallListParams = {}): UseQueryResult<ScheduledCallListResponse, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.scheduledCallList(params),
+    queryFn: () => voiceAgentService.getScheduledCalls(params),
+    staleTime: 30 * 1000, // 30 seconds
+  });
+}
+
+/**
+ * Hook to cancel a pending scheduled call
+ */
+export function useCancelScheduledCall(): UseMutationResult<ScheduledCall, Error, string> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => voiceAgentService.cancelScheduledCall(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.scheduledCalls() });
+    },
+  });
+}
+
+/**
+ * Hook to move a pending scheduled call to a new time
+ */
+export function useRescheduleScheduledCall(): UseMutationResult<
+  ScheduledCall,
+  Error,
+  { id: string; scheduledAt: string }
+> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, scheduledAt }: { id: string; scheduledAt: string }) =>
+      voiceAgentService.rescheduleScheduledCall(id, scheduledAt),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.scheduledCalls() });
+    },
+  });
+}
+
 /**
  * Hook to fetch batch call logs
  * @param batchId - Batch ID
@@ -66,6 +262,210 @@ export function useBatchCallLogs(batchId: string): UseQueryResult<BatchCallLogEn
   });
 }
 
+/**
+ * Hook to fetch the tenant's calling hours
+ */
+export function useBusinessHours(): UseQueryResult<TenantBusinessHours, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.businessHours(),
+    queryFn: () => voiceAgentService.getBusinessHours(),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+/**
+ * Hook to replace the tenant's calling hours (null resets to the default)
+ */
+export function useUpdateBusinessHours(): UseMutationResult<TenantBusinessHours, Error, BusinessHours | null> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (businessHours: BusinessHours | null) => voiceAgentService.updateBusinessHours(businessHours),
+    onSuccess: (data) => {
+      queryClient.setQueryData(voiceAgentKeys.businessHours(), data);
+    },
+  });
+}
+
+/**
+ * Hook to fetch the tenant's recording policy
+ */
+export function useRecordingPolicy(): UseQueryResult<TenantRecordingPolicy, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.recordingPolicy(),
+    queryFn: () => voiceAgentService.getRecordingPolicy(),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+/**
+ * Hook to replace the tenant's recording policy (null resets to the default)
+ */
+export function useUpdateRecordingPolicy(): UseMutationResult<TenantRecordingPolicy, Error, RecordingPolicy | null> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (policy: RecordingPolicy | null) => voiceAgentService.updateRecordingPolicy(policy),
+    onSuccess: (data) => {
+      queryClient.setQueryData(voiceAgentKeys.recordingPolicy(), data);
+    },
+  });
+}
+
+/**
+ * Hook to list recordings and transcripts purged by the retention job
+ * @param params - Optional pagination
+ */
+export function useRetentionDeletions(
+  params: { page?: number; limit?: number } = {}
+): UseQueryResult<RetentionDeletionListResponse, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.retentionDeletions(params),
+    queryFn: () => voiceAgentService.getRetentionDeletions(params),
+    staleTime: 60 * 1000, // 1 minute
+  });
+}
+
+/**
+ * Hook to fetch the tenant's phone policy
+ */
+export function usePhonePolicy(): UseQueryResult<TenantPhonePolicy, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.phonePolicy(),
+    queryFn: () => voiceAgentService.getPhonePolicy(),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+/**
+ * Hook to replace the tenant's phone policy (null resets to the default)
+ */
+export function useUpdatePhonePolicy(): UseMutationResult<TenantPhonePolicy, Error, PhonePolicy | null> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (policy: PhonePolicy | null) => voiceAgentService.updatePhonePolicy(policy),
+    onSuccess: (data) => {
+      queryClient.setQueryData(voiceAgentKeys.phonePolicy(), data);
+    },
+  });
+}
+
+/**
+ * Hook to fetch a number's inbound call routing
+ * @param numberId - voice agent number ID
+ */
+export function useInboundRouting(numberId: string): UseQueryResult<NumberInboundRouting, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.inboundRouting(numberId),
+    queryFn: () => voiceAgentService.getInboundRouting(numberId),
+    enabled: !!numberId,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+/**
+ * Hook to replace a number's inbound routing (null restores the default)
+ */
+export function useUpdateInboundRouting(): UseMutationResult<
+  NumberInboundRouting,
+  Error,
+  { numberId: string; routing: InboundRouting | null }
+> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ numberId, routing }) => voiceAgentService.updateInboundRouting(numberId, routing),
+    onSuccess: (data, { numberId }) => {
+      queryClient.setQueryData(voiceAgentKeys.inboundRouting(numberId), data);
+    },
+  });
+}
+
+/**
+ * Hook to list the tenant's Do-Not-Call numbers
+ * @param params - Optional search and pagination
+ */
+export function useDncEntries(params: DncEntryListParams = {}): UseQueryResult<DncEntryListResponse, Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.dncEntries(params),
+    queryFn: () => voiceAgentService.getDncEntries(params),
+    staleTime: 30 * 1000, // 30 seconds
+  });
+}
+
+/**
+ * Hook to add a number to the tenant's Do-Not-Call list
+ */
+export function useAddDncEntry(): UseMutationResult<DncEntry, Error, DncEntryInput> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (entry: DncEntryInput) => voiceAgentService.addDncEntry(entry),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.dnc() });
+    },
+  });
+}
+
+/**
+ * Hook to remove a number from the tenant's Do-Not-Call list
+ */
+export function useRemoveDncEntry(): UseMutationResult<DncEntry, Error, string> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => voiceAgentService.removeDncEntry(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.dnc() });
+    },
+  });
+}
+
+/**
+ * Hook to import Do-Not-Call numbers from a CSV file or CSV text
+ */
+export function useImportDncCsv(): UseMutationResult<DncImportResult, Error, File | string> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (csv: File | string) => voiceAgentService.importDncCsv(csv),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.dnc() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the global Do-Not-Call lists
+ */
+export function useDncLists(): UseQueryResult<DncList[], Error> {
+  return useQuery({
+    queryKey: voiceAgentKeys.dncLists(),
+    queryFn: () => voiceAgentService.getDncLists(),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+/**
+ * Hook to opt in to or out of an optional global Do-Not-Call list
+ */
+export function useSetDncListSubscription(): UseMutationResult<
+  DncList,
+  Error,
+  { listId: string; subscribed: boolean }
+> {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ listId, subscribed }: { listId: string; subscribed: boolean }) =>
+      voiceAgentService.setDncListSubscription(listId, subscribed),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: voiceAgentKeys.dncLists() });
+    },
+  });
+}
+
 /**
  * Hook to fetch tenant phone numbers
  */
@@ -2,17 +2,96 @@
 export { default as voiceAgentService } from './services/voiceAgentService';
 export type {
   VoiceAgent,
+  BusinessHours,
+  VoicemailAction,
+  VoicemailPolicy,
+  TenantBusinessHours,
+  RecordingRules,
+  RecordingPolicy,
+  TenantRecordingPolicy,
+  RetentionDeletion,
+  RetentionDeletionListResponse,
+  PhoneNumberType,
+  PhonePolicy,
+  TenantPhonePolicy,
+  InboundRoutingRule,
+  InboundRouting,
+  NumberInboundRouting,
   CallLog,
   PhoneNumber,
   BatchCallLogEntry,
+  CallEvent,
+  CallEventType,
+  CallTransferInput,
+  CallInjectInput,
+  CallTakeoverInput,
+  LiveCallControlResult,
+  CallDisposition,
+  CallDispositionFilter,
+  CallDispositionInput,
+  CallDispositionResult,
+  CallMonitorJoinRequest,
+  CallMonitorAudioFormat,
+  CallMonitorSession,
+  CallMonitorJoinResponse,
+  CallMonitorAudioFrame,
+  CallMonitorEnded,
+  TranscriptTurn,
+  CallTranscript,
+  CallRetryOutcome,
+  CallAttempt,
+  ScheduledCallAttempt,
+  CallAttempts,
+  ScheduledCallStatus,
+  ScheduledCall,
+  ScheduledCallListParams,
+  ScheduledCallListResponse,
+  DncSource,
+  DncEntry,
+  DncEntryInput,
+  DncEntryListParams,
+  DncEntryListResponse,
+  DncImportResult,
+  DncCheckResult,
+  DncList,
+  CallLogSearchParams,
+  CallLogSearchResult,
+  CallLogSearchResponse,
 } from './types';
 
 // React Query Hooks
 export {
   useVoiceAgents,
   useCallLogs,
+  useSearchCallLogs,
   useCallLog,
+  useCallEvents,
+  useTransferCall,
+  useInjectCallMessage,
+  useTakeoverCall,
+  useUpdateCallDisposition,
+  useCallTranscript,
+  useCallRecording,
+  useCallAttempts,
+  useScheduledCalls,
+  useCancelScheduledCall,
+  useRescheduleScheduledCall,
   useBatchCallLogs,
+  useBusinessHours,
+  useUpdateBusinessHours,
+  useRecordingPolicy,
+  useUpdateRecordingPolicy,
+  useRetentionDeletions,
+  usePhonePolicy,
+  useUpdatePhonePolicy,
+  useInboundRouting,
+  useUpdateInboundRouting,
+  useDncEntries,
+  useAddDncEntry,
+  useRemoveDncEntry,
+  useImportDncCsv,
+  useDncLists,
+  useSetDncListSubscription,
   useTenantPhoneNumbers,
   useUserAvailableNumbers,
   useMakeCall,
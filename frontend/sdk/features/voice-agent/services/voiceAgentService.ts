@@ -1,5 +1,5 @@
 import api from './api';
-import { VoiceAgent, CallLog, PhoneNumber, BatchCallLogEntry } from '../types';
+import { VoiceAgent, CallLog, PhoneNumber, BatchCallLogEntry, CallEvent, CallEventType, CallTransferInput, CallInjectInput, CallTakeoverInput, LiveCallControlResult, CallDispositionFilter, CallDispositionInput, CallDispositionResult, CallTranscript, CallAttempts, CallLogSearchParams, CallLogSearchResponse, ScheduledCall, ScheduledCallListParams, ScheduledCallListResponse, BusinessHours, TenantBusinessHours, RecordingPolicy, TenantRecordingPolicy, RetentionDeletionListResponse, PhonePolicy, TenantPhonePolicy, InboundRouting, NumberInboundRouting, DncEntry, DncEntryInput, DncEntryListParams, DncEntryListResponse, DncImportResult, DncCheckResult, DncList } from '../types';
 
 /**
  * Voice Agent Service
@@ -37,14 +37,25 @@ class VoiceAgentService {
   /**
    * Get call logs for current tenant
    */
-  async getCallLogs(voiceAgentId?: string): Promise<CallLog[]> {
-    const url = voiceAgentId
-      ? `/voice-agent/calllogs?voice_agent_id=${voiceAgentId}`
-      : '/voice-agent/calllogs';
-    const response = await api.get(url);
+  async getCallLogs(voiceAgentId?: string, dispositions?: CallDispositionFilter[]): Promise<CallLog[]> {
+    const params: Record<string, string> = {};
+    if (voiceAgentId) params.voice_agent_id = voiceAgentId;
+    if (dispositions && dispositions.length > 0) params.disposition = dispositions.join(',');
+    const response = await api.get('/voice-agent/calllogs', { params });
     return response.data?.data ?? response.data;
   }
 
+  /**
+   * Full-text search over call transcripts and summaries
+   */
+  async searchCallLogs(params: CallLogSearchParams): Promise<CallLogSearchResponse> {
+    const response = await api.get('/voice-agent/calllogs/search', { params });
+    return {
+      logs: response.data?.logs ?? [],
+      pagination: response.data?.pagination,
+    };
+  }
+
   /**
    * Get a specific call log
    */
@@ -53,6 +64,254 @@ class VoiceAgentService {
     return response.data?.data ?? response.data;
   }
 
+  /**
+   * Get the event timeline for a call
+   */
+  async getCallEvents(callLogId: string, types?: CallEventType[]): Promise<CallEvent[]> {
+    const query = types && types.length > 0 ? `?types=${types.join(',')}` : '';
+    const response = await api.get(`/voice-agent/calls/${callLogId}/events${query}`);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Transfer an in-progress call to a human
+   */
+  async transferCall(callLogId: string, input: CallTransferInput): Promise<LiveCallControlResult> {
+    const response = await api.post(`/voice-agent/calls/${callLogId}/transfer`, input);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Add an instruction to the agent's conversation during a call
+   */
+  async injectCallMessage(callLogId: string, input: CallInjectInput): Promise<LiveCallControlResult> {
+    const response = await api.post(`/voice-agent/calls/${callLogId}/inject`, input);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Take a call over from the agent, or hand it back
+   */
+  async takeoverCall(callLogId: string, input: CallTakeoverInput = {}): Promise<LiveCallControlResult> {
+    const response = await api.post(`/voice-agent/calls/${callLogId}/takeover`, input);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Set a call's disposition, or clear the override with disposition null
+   */
+  async updateCallDisposition(callLogId: string, input: CallDispositionInput): Promise<CallDispositionResult> {
+    const response = await api.put(`/voice-agent/calls/${callLogId}/disposition`, input);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Get every attempt (original call and automatic retries) of a call
+   */
+  async getCallAttempts(callLogId: string): Promise<CallAttempts> {
+    const response = await api.get(`/voice-agent/calls/${callLogId}/attempts`);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * List scheduled single calls for the current tenant
+   */
+  async getScheduledCalls(params: ScheduledCallListParams = {}): Promise<ScheduledCallListResponse> {
+    const response = await api.get('/voice-agent/scheduled-calls', { params });
+    return {
+      calls: response.data?.data ?? [],
+      pagination: response.data?.pagination,
+    };
+  }
+
+  /**
+   * Cancel a pending scheduled call
+   */
+  async cancelScheduledCall(id: string): Promise<ScheduledCall> {
+    const response = await api.post(`/voice-agent/scheduled-calls/${id}/cancel`);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Move a pending scheduled call to a new time (ISO 8601)
+   */
+  async rescheduleScheduledCall(id: string, scheduledAt: string): Promise<ScheduledCall> {
+    const response = await api.post(`/voice-agent/scheduled-calls/${id}/reschedule`, {
+      scheduled_at: scheduledAt,
+    });
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Get the transcript turns, summary and analysis for a call
+   */
+  async getCallTranscript(callLogId: string): Promise<CallTranscript> {
+    const response = await api.get(`/voice-agent/calls/${callLogId}/transcript`);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Download a call's recording through the backend (no storage URL is exposed)
+   */
+  async getCallRecording(callLogId: string): Promise<Blob> {
+    const response = await api.get(`/voice-agent/calls/${callLogId}/recording`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  }
+
+  /**
+   * Get the tenant's calling hours
+   */
+  async getBusinessHours(): Promise<TenantBusinessHours> {
+    const response = await api.get('/voice-agent/settings/business-hours');
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Replace the tenant's calling hours; null resets to the default
+   */
+  async updateBusinessHours(businessHours: BusinessHours | null): Promise<TenantBusinessHours> {
+    const response = await api.put('/voice-agent/settings/business-hours', {
+      business_hours: businessHours,
+    });
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Get the tenant's recording, consent disclosure and retention policy
+   */
+  async getRecordingPolicy(): Promise<TenantRecordingPolicy> {
+    const response = await api.get('/voice-agent/settings/recording-policy');
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Replace the tenant's recording policy; null resets to the default
+   */
+  async updateRecordingPolicy(policy: RecordingPolicy | null): Promise<TenantRecordingPolicy> {
+    const response = await api.put('/voice-agent/settings/recording-policy', {
+      recording_policy: policy,
+    });
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Recordings and transcripts purged by the retention job
+   */
+  async getRetentionDeletions(params: { page?: number; limit?: number } = {}): Promise<RetentionDeletionListResponse> {
+    const response = await api.get('/voice-agent/settings/recording-policy/deletions', { params });
+    return {
+      deletions: response.data?.data ?? [],
+      pagination: response.data?.pagination,
+    };
+  }
+
+  /**
+   * Get the tenant's destination number policy
+   */
+  async getPhonePolicy(): Promise<TenantPhonePolicy> {
+    const response = await api.get('/voice-agent/settings/phone-policy');
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Replace the tenant's phone policy; null resets to the default
+   */
+  async updatePhonePolicy(policy: PhonePolicy | null): Promise<TenantPhonePolicy> {
+    const response = await api.put('/voice-agent/settings/phone-policy', {
+      phone_policy: policy,
+    });
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Get how incoming calls on a number are routed to agents
+   */
+  async getInboundRouting(numberId: string): Promise<NumberInboundRouting> {
+    const response = await api.get(`/voice-agent/settings/numbers/${numberId}/inbound-routing`);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Replace a number's inbound routing; null restores the default
+   */
+  async updateInboundRouting(numberId: string, routing: InboundRouting | null): Promise<NumberInboundRouting> {
+    const response = await api.put(`/voice-agent/settings/numbers/${numberId}/inbound-routing`, {
+      inbound_routing: routing,
+    });
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * List the tenant's Do-Not-Call numbers
+   */
+  async getDncEntries(params: DncEntryListParams = {}): Promise<DncEntryListResponse> {
+    const response = await api.get('/voice-agent/dnc', { params });
+    return {
+      entries: response.data?.data ?? [],
+      pagination: response.data?.pagination,
+    };
+  }
+
+  /**
+   * Add a number to the tenant's Do-Not-Call list
+   */
+  async addDncEntry(entry: DncEntryInput): Promise<DncEntry> {
+    const response = await api.post('/voice-agent/dnc', entry);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Remove a number from the tenant's Do-Not-Call list
+   */
+  async removeDncEntry(id: string): Promise<DncEntry> {
+    const response = await api.delete(`/voice-agent/dnc/${id}`);
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Import Do-Not-Call numbers from a CSV file or CSV text
+   * (header row with phone_number, optional reason)
+   */
+  async importDncCsv(csv: File | string): Promise<DncImportResult> {
+    if (typeof csv === 'string') {
+      const response = await api.post('/voice-agent/dnc/import', { csv });
+      return response.data?.data ?? response.data;
+    }
+
+    const formData = new FormData();
+    formData.append('file', csv);
+    const response = await api.post('/voice-agent/dnc/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Whether calls to a number are suppressed for the tenant, and why
+   */
+  async checkDncNumber(phoneNumber: string): Promise<DncCheckResult> {
+    const response = await api.get('/voice-agent/dnc/check', { params: { phone_number: phoneNumber } });
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Global Do-Not-Call lists and whether each is enforced for the tenant
+   */
+  async getDncLists(): Promise<DncList[]> {
+    const response = await api.get('/voice-agent/dnc/lists');
+    return response.data?.data ?? response.data;
+  }
+
+  /**
+   * Opt the tenant in to or out of an optional global Do-Not-Call list
+   */
+  async setDncListSubscription(listId: string, subscribed: boolean): Promise<DncList> {
+    const response = await api.put(`/voice-agent/dnc/lists/${listId}/subscription`, { subscribed });
+    return response.data?.data ?? response.data;
+  }
+
   /**
    * Get all phone numbers for the current tenant
    * Uses JWT-authenticated tenant context; no tenant_id query needed.
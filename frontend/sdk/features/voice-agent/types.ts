@@ -4,18 +4,221 @@ export interface VoiceAgent {
   description?: string;
   voice_id?: string;
   prompt_template?: string;
+  /** Overrides the tenant business hours; null inherits */
+  business_hours?: BusinessHours | null;
+  /** What the agent does when a call is answered by voicemail; null hangs up */
+  voicemail_policy?: VoicemailPolicy | null;
   created_at: string;
   updated_at: string;
 }
 
+export type VoicemailAction = 'hangup' | 'drop_message' | 'retry_later';
+
+export interface VoicemailPolicy {
+  /** Ask the provider to detect answering machines (default true) */
+  detection?: boolean;
+  action: VoicemailAction;
+  /** drop_message: speak `message` (tts) or play the recording at `audio_url` (audio) */
+  message_type?: 'tts' | 'audio';
+  message?: string | null;
+  audio_url?: string | null;
+  /** retry_later: minutes until the next attempt (default 120) */
+  retry_after_minutes?: number;
+}
+
+export type BusinessHours =
+  | { enabled: false }
+  | {
+      enabled: true;
+      /** Weekdays, 0 (Sunday) to 6 (Saturday) */
+      days: number[];
+      /** HH:MM local time */
+      start: string;
+      /** HH:MM local time, exclusive */
+      end: string;
+      /** IANA timezone, or 'lead' for the lead's local time */
+      timezone: string;
+      /** Used when the lead's timezone cannot be resolved */
+      fallback_timezone: string;
+    };
+
+export interface TenantBusinessHours {
+  business_hours: BusinessHours;
+  /** No hours stored for the tenant; the default applies */
+  is_default: boolean;
+  /** Business hours are switched off for the whole deployment */
+  disabled: boolean;
+  updated_at: string | null;
+}
+
+export interface RecordingRules {
+  record_calls?: boolean;
+  /** Speak disclosure_message before the agent's first message */
+  consent_disclosure?: boolean;
+  disclosure_message?: string;
+}
+
+export interface RecordingPolicy extends Required<RecordingRules> {
+  /** Overrides keyed by destination calling code, e.g. "+49" (longest match wins) */
+  countries: Record<string, RecordingRules>;
+  /** Days recordings are kept; null keeps them forever */
+  recording_retention_days: number | null;
+  /** Days transcripts are kept; null keeps them forever */
+  transcript_retention_days: number | null;
+}
+
+export interface TenantRecordingPolicy {
+  recording_policy: RecordingPolicy;
+  /** No policy stored for the tenant; the default applies */
+  is_default: boolean;
+  updated_at: string | null;
+}
+
+/** Number types reported by libphonenumber */
+export type PhoneNumberType =
+  | 'mobile'
+  | 'fixed_line'
+  | 'fixed_line_or_mobile'
+  | 'toll_free'
+  | 'premium_rate'
+  | 'shared_cost'
+  | 'voip'
+  | 'personal_number'
+  | 'pager'
+  | 'uan'
+  | 'voicemail'
+  | 'unknown';
+
+export interface PhonePolicy {
+  /** ISO country national numbers are read in, e.g. "US"; null uses the deployment default */
+  default_country: string | null;
+  /** ISO countries that are never dialed */
+  blocked_countries: string[];
+  /** Number types that are never dialed (premium_rate by default) */
+  blocked_number_types: PhoneNumberType[];
+}
+
+export interface TenantPhonePolicy {
+  phone_policy: PhonePolicy;
+  /** default_country, else the deployment default (null when neither is set) */
+  effective_default_country: string | null;
+  /** No policy stored for the tenant; the default applies */
+  is_default: boolean;
+  updated_at: string | null;
+}
+
+export interface InboundRoutingRule {
+  agent_id: string;
+  /** When the rule applies ('lead' timezone = the number's local time); null always applies */
+  business_hours: BusinessHours | null;
+}
+
+export interface InboundRouting {
+  /** false declines every incoming call with closed_message */
+  enabled: boolean;
+  /** Tried in order; the first rule whose hours are open takes the call */
+  rules: InboundRoutingRule[];
+  /** Decline calls when no rule is open instead of using the fallback agent */
+  reject_when_closed: boolean;
+  /** Takes calls no rule matched; null uses the number's default agent */
+  fallback_agent_id: string | null;
+  /** Spoken to declined callers; null uses the built-in message */
+  closed_message: string | null;
+}
+
+export interface NumberInboundRouting {
+  number: {
+    id: string;
+    tenant_id: string;
+    /** E.164 */
+    phone_number: string;
+    provider: string | null;
+    provider_phone_number_id: string | null;
+    default_agent_id: string | null;
+    status: string | null;
+  };
+  inbound_routing: InboundRouting;
+  /** No routing stored for the number; every call goes to the default agent */
+  is_default: boolean;
+}
+
+export interface RetentionDeletion {
+  id: string;
+  call_log_id: string;
+  artifact_type: 'recording' | 'transcript' | 'analysis';
+  /** Recording URL that was removed (null for transcripts and analyses) */
+  location: string | null;
+  retention_days: number;
+  /** unlinked: provider-hosted recording, only the reference was removed */
+  status: 'deleted' | 'unlinked' | 'failed';
+  error: string | null;
+  created_at: string;
+}
+
+export interface RetentionDeletionListResponse {
+  deletions: RetentionDeletion[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+  };
+}
+
+/** How a call went; classified after the call, reps can override it */
+export type CallDisposition =
+  | 'interested'
+  | 'callback_requested'
+  | 'not_interested'
+  | 'wrong_number'
+  | 'voicemail'
+  | 'dnc_request';
+
+/** Disposition filter value; 'unclassified' matches calls without a disposition */
+export type CallDispositionFilter = CallDisposition | 'unclassified';
+
+export interface CallDispositionInput {
+  /** null clears a rep's override and restores the automatic classification */
+  disposition: CallDisposition | null;
+  note?: string;
+}
+
+export interface CallDispositionResult {
+  id: string;
+  disposition: CallDisposition | null;
+  disposition_source: 'auto' | 'rep' | null;
+  disposition_details: {
+    auto?: { disposition: CallDisposition; signal: string; evidence: string | null; classified_at: string };
+    override?: { disposition: CallDisposition; note: string | null; user_id: string | null; at: string; previous: CallDisposition | null };
+  };
+  disposition_updated_at: string | null;
+}
+
 export interface CallLog {
   id: string;
   voice_agent_id: string;
   phone_number: string;
   status: 'initiated' | 'ringing' | 'answered' | 'completed' | 'failed' | 'busy' | 'no_answer';
+  /** For inbound calls phone_number is the caller */
+  direction?: 'outbound' | 'inbound';
   duration?: number;
   recording_url?: string;
+  /** Authenticated backend URL streaming the recording (supports Range requests) */
+  recording_stream_url?: string;
   transcript?: string;
+  /** First attempt of this call; null on the original call */
+  root_call_log_id?: string | null;
+  /** 1 for the original call, 2.. for automatic retries */
+  attempt_number?: number;
+  disposition?: CallDisposition | null;
+  /** auto: classified after the call; rep: set by a user */
+  disposition_source?: 'auto' | 'rep' | null;
+  /** How the call ended when nobody took it; null when a person answered */
+  outcome?: CallRetryOutcome | null;
+  /** Answering-machine detection result; null when the call was not answered */
+  answered_by?: 'human' | 'machine' | 'unknown' | null;
   created_at: string;
   updated_at: string;
 }
@@ -49,3 +252,313 @@ export interface BatchCallLogEntry {
   started_at: string | null;
   ended_at: string | null;
 }
+
+export type CallRetryOutcome = 'no-answer' | 'busy' | 'failed' | 'voicemail';
+
+export interface CallAttempt {
+  call_log_id: string;
+  attempt_number: number;
+  status: string;
+  started_at: string | null;
+  ended_at: string | null;
+  duration_seconds: number | null;
+  /** Outcome that caused the next attempt to be scheduled */
+  retried_because: CallRetryOutcome | null;
+}
+
+export interface ScheduledCallAttempt {
+  id: string;
+  attempt_number: number;
+  status: string;
+  scheduled_for: string | null;
+  outcome: CallRetryOutcome | null;
+}
+
+export interface CallAttempts {
+  rootCallLogId: string;
+  attempts: CallAttempt[];
+  scheduled: ScheduledCallAttempt[];
+}
+
+export type ScheduledCallStatus = 'pending' | 'dispatching' | 'dispatched' | 'failed' | 'cancelled';
+
+export interface ScheduledCall {
+  id: string;
+  tenant_id: string;
+  scheduled_by_user_id: string | null;
+  agent_id: string | null;
+  lead_id: string | null;
+  to_number: string;
+  call_request: Record<string, unknown>;
+  scheduled_at: string;
+  status: ScheduledCallStatus;
+  /** Scheduler backend that fires the call: postgres | cloud-tasks */
+  backend: string;
+  task_ref: string | null;
+  dispatched_at: string | null;
+  call_log_id: string | null;
+  provider_call_id: string | null;
+  last_error: string | null;
+  cancelled_at: string | null;
+  cancelled_by_user_id: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ScheduledCallListParams {
+  status?: ScheduledCallStatus;
+  page?: number;
+  limit?: number;
+}
+
+export interface ScheduledCallListResponse {
+  calls: ScheduledCall[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+  };
+}
+
+export type DncSource = 'manual' | 'import' | 'api' | 'spoken_opt_out';
+
+export interface DncEntry {
+  id: string;
+  tenant_id: string | null;
+  list_id: string | null;
+  /** E.164 number */
+  phone_number: string;
+  reason: string | null;
+  source: DncSource;
+  /** Call in which the lead opted out (source spoken_opt_out) */
+  call_log_id: string | null;
+  added_by_user_id: string | null;
+  expires_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface DncEntryInput {
+  phone_number: string;
+  reason?: string;
+  expires_at?: string;
+}
+
+export interface DncEntryListParams {
+  q?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface DncEntryListResponse {
+  entries: DncEntry[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+  };
+}
+
+export interface DncImportResult {
+  total: number;
+  added: number;
+  updated: number;
+  duplicates: number;
+  errors: { row: number; value: string; error: string }[];
+}
+
+export interface DncCheckResult {
+  phone_number: string;
+  suppressed: boolean;
+  reason: string | null;
+  source: DncSource | null;
+  list_id: string | null;
+  list_name: string | null;
+}
+
+/** Global Do-Not-Call list maintained by the platform */
+export interface DncList {
+  id: string;
+  name: string;
+  description: string | null;
+  /** Enforced for every tenant; optional lists are enforced once subscribed */
+  mandatory: boolean;
+  enforced: boolean;
+  entry_count?: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export type CallEventType =
+  | 'call_started'
+  | 'status_update'
+  | 'transcript'
+  | 'speech_update'
+  | 'tool_calls'
+  | 'hang'
+  | 'call_ended'
+  | 'call_failed'
+  | 'transfer'
+  | 'message_injected'
+  | 'takeover'
+  | 'disposition'
+  | 'voicemail';
+
+export interface CallEvent {
+  id: string;
+  tenant_id: string;
+  call_log_id: string;
+  provider: string;
+  provider_call_id: string | null;
+  event_type: CallEventType;
+  status: string | null;
+  role: string | null;
+  content: string | null;
+  payload: Record<string, unknown>;
+  occurred_at: string;
+  metadata: Record<string, unknown>;
+  created_at: string;
+}
+
+export interface CallTransferInput {
+  to_number: string;
+  /** warm (default): the agent briefs the human first; cold: connect straight away */
+  mode?: 'warm' | 'cold';
+  message?: string;
+}
+
+export interface CallInjectInput {
+  content: string;
+  role?: 'system' | 'user' | 'assistant';
+  /** Whether the agent replies straight away (default true) */
+  respond?: boolean;
+}
+
+export interface CallTakeoverInput {
+  /** take (default): mute the agent so you can speak; release: hand the call back */
+  action?: 'take' | 'release';
+  /** Spoken by the agent before it goes quiet */
+  message?: string;
+}
+
+export interface LiveCallControlResult {
+  action: 'transfer' | 'inject' | 'mute' | 'unmute';
+  status: 'sent' | 'failed';
+  event: CallEvent;
+}
+
+/**
+ * Supervisor monitor (Socket.IO namespace `/voice-monitor`, access token in
+ * handshake `auth.token`): emit `monitor:join` with a CallMonitorJoinRequest,
+ * then receive `monitor:event` (CallEvent), `monitor:audio`
+ * (CallMonitorAudioFrame), `monitor:audio_stopped` and `monitor:ended`
+ */
+export interface CallMonitorJoinRequest {
+  call_log_id: string;
+  /** Also relay the call's live audio when the provider offers it */
+  audio?: boolean;
+}
+
+export interface CallMonitorAudioFormat {
+  encoding: string;
+  sampleRate: number;
+  channels: number;
+}
+
+export interface CallMonitorSession {
+  call: { id: string; status: string; agent_id: string | number | null };
+  /** Transcript turns recorded before joining */
+  transcript: CallEvent[];
+  audio: { enabled: boolean; format?: CallMonitorAudioFormat | null; reason?: string };
+}
+
+export interface CallMonitorJoinResponse {
+  success: boolean;
+  data?: CallMonitorSession;
+  error?: string;
+  code?: string;
+}
+
+export interface CallMonitorAudioFrame {
+  call_log_id: string;
+  chunk: ArrayBuffer;
+}
+
+export interface CallMonitorEnded {
+  call_log_id: string;
+  status: string | null;
+}
+
+export interface TranscriptTurn {
+  index: number;
+  speaker: 'assistant' | 'user' | string | null;
+  text: string;
+  start_seconds: number | null;
+  end_seconds: number | null;
+  timestamp: string | null;
+}
+
+export interface CallTranscript {
+  call_log_id: string;
+  source: string;
+  transcript_text: string | null;
+  turns: TranscriptTurn[];
+  summary: string | null;
+  structured_data: Record<string, unknown> | null;
+  success_evaluation: string | null;
+  ended_reason: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+}
+
+export interface CallLogSearchParams {
+  q: string;
+  status?: string;
+  lead_tag?: string;
+  agent_id?: string;
+  /** Comma-separated CallDispositionFilter values */
+  disposition?: string;
+  from_date?: string;
+  to_date?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface CallLogSearchResult {
+  call_log_id: string;
+  lead_id: string | null;
+  agent_id: string | null;
+  agent_name: string | null;
+  status: string;
+  started_at: string | null;
+  ended_at: string | null;
+  duration_seconds: number | null;
+  disposition: CallDisposition | null;
+  disposition_source: 'auto' | 'rep' | null;
+  lead_first_name: string | null;
+  lead_last_name: string | null;
+  summary: string | null;
+  rank: number | null;
+  /** HTML-escaped text with matches wrapped in <mark> */
+  transcript_snippet: string | null;
+  /** HTML-escaped text with matches wrapped in <mark> */
+  summary_snippet: string | null;
+}
+
+export interface CallLogSearchResponse {
+  logs: CallLogSearchResult[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+  };
+}